@@ -8,9 +8,21 @@ const fs = require('fs');
 const path = require('path');
 const { analyze, analyzeByRoute, formatConsoleOutput, formatRouteResults, TIERS, DEFAULT_CONFIG } = require('../src/index.js');
 const { analyzeBySitemap, formatSitemapResults, findSitemap } = require('../src/core/sitemapAnalyzer.js');
-const { analyzeByComponent, analyzeByComponentAsync, formatComponentResults } = require('../src/core/componentAnalyzer.js');
+const { analyzeByComponent, analyzeByComponentAsync, formatComponentResults, hasTypeScriptChecks } = require('../src/core/componentAnalyzer.js');
 const { loadAllFormatters, listFormatters } = require('../src/formatters/index.js');
 const { optimizeIssues, getOptimizationSummary } = require('../src/core/issueOptimizer.js');
+const { loadConfig } = require('../src/core/config.js');
+const { loadProjectPlugins } = require('../src/core/plugins.js');
+const { createBaseline, writeBaseline, readBaseline, applyBaseline, formatBaselineSummary } = require('../src/core/baseline.js');
+const { HISTORY_FILE, recordSnapshot, readHistory, formatHistorySummary, formatTrend } = require('../src/core/history.js');
+const { readReport, diffReports, formatDiff } = require('../src/core/reportDiff.js');
+const { formatUnusedDisables } = require('../src/core/suppressions.js');
+const { fixFiles, formatFixSummary } = require('../src/core/fixer.js');
+const { WatchSession, formatWatchUpdate } = require('../src/core/watcher.js');
+const { getChangedFiles, findChangedComponents, formatChangedComponents } = require('../src/core/changedFiles.js');
+const { formatProjectResults } = require('../src/core/workspace.js');
+const { validateGate, parseThreshold, evaluateGate, formatGateResult } = require('../src/core/gate.js');
+const { normalizeLevel, CONFORMANCE_LEVELS } = require('../src/core/conformance.js');
 
 // GUI server (lazy loaded)
 let guiServer = null;
@@ -35,6 +47,7 @@ const c = {
 // Parse args
 function parseArgs(args) {
   const options = {
+    command: null,          // Subcommand: 'trend' or 'diff'
     files: [],
     tier: 'full',           // Default to full scan
     format: 'ai',           // Default to AI output
@@ -43,16 +56,43 @@ function parseArgs(args) {
     version: false,
     output: null,           // Default set after parsing unless --output is used
     outputExplicit: false,
+    tierExplicit: false,    // Flags win over project config (.mat-a11yrc etc.)
+    formatExplicit: false,
+    workersExplicit: false,
+    configFile: null,       // --config <path>: explicit project config file
+    noConfig: false,        // --no-config: ignore project config files
+    baseline: null,         // --baseline <file>: only report issues not in the baseline
+    baselineCreate: null,   // --baseline-create <file>: record current issues as baseline
+    history: null,          // --history: append a snapshot to .mat-a11y/history.jsonl (config: true or a file)
+    component: null,        // trend --component <name>: follow one component or page
+    last: null,             // trend --last <n>: number of snapshots listed
+    reportUnusedDisables: false, // --report-unused-disables: fail on mat-a11y-disable comments that suppress nothing
+    fix: false,             // --fix: apply autofixes to templates/stylesheets, then report what's left
+    fixDryRun: false,       // --fix-dry-run: print the autofixes as a unified diff, change nothing
+    watch: false,           // --watch: re-analyze on file changes (console with --headless, live GUI otherwise)
+    changedSince: null,     // --changed-since <ref>: only scan components touched since a git ref
+    staged: false,          // --staged: only scan components touched by staged changes
+    failOn: null,           // --fail-on <severity>: only issues of this severity or higher fail the run
+    maxIssues: null,        // --max-issues <n>: fail when more issues are found
+    minScore: null,         // --min-score <n>: fail when the audit score is lower
+    maxCheck: [],           // --max-check <check=n>: per-check issue limit (can repeat)
+    maxLevel: [],           // --max-level <level=n>: per-WCAG-level issue limit (can repeat)
     ignore: [],
     check: null,  // Single check mode
+    wcagLevel: null,    // --wcag-level <A|AA|AAA>: only checks for WCAG criteria up to this level
     listChecks: false,
     verified: false,    // --verified or combined --full-verified
     workers: 'sync',    // --workers <auto|sync|n> - sync is default for consistent object return
     selfTest: false,    // --self-test
     fileBased: false,   // --file-based: use old file-based analysis instead of component-based
     sitemapBased: false, // --sitemap: use sitemap-based analysis (for SEO/Google crawling view)
+    sitemapPath: null,   // --sitemap-path: sitemap or sitemap index to use instead of searching
+    routeBased: false,   // --routes: score every route in the Angular router config (no sitemap needed)
     deepResolve: false,  // --deep: bundle parent + child components (Lighthouse-like)
     collapseRootCause: true,  // --no-collapse: disable SCSS root cause analysis
+    i18n: false,        // --i18n: check translated accessible names and <html lang>
+    project: null,      // --project <name>: only one workspace project (plus the libraries it uses)
+    perProject: false,  // --per-project: a summary per workspace project plus the roll-up
     headless: false,    // --headless, --ci, -H: run without GUI (CLI only)
     guiPort: null       // --port <number>: custom GUI port
   };
@@ -63,59 +103,87 @@ function parseArgs(args) {
     if (arg === '--help' || arg === '-h') options.help = true;
     else if (arg === '--version' || arg === '-v') options.version = true;
     else if (arg === '--verbose' || arg === '-V') options.verbose = true;
-    else if (arg === '--basic' || arg === '-b') options.tier = 'basic';
-    else if (arg === '--material' || arg === '-m') options.tier = 'material';
-    else if (arg === '--angular' || arg === '-a') options.tier = 'angular';
-    else if (arg === '--full' || arg === '-F') options.tier = 'full';
-    else if (arg === '--tier' || arg === '-t') options.tier = args[++i] || 'material';
-    else if (arg === '--format' || arg === '-f') options.format = args[++i] || 'console';
+    else if (arg === '--basic' || arg === '-b') { options.tier = 'basic'; options.tierExplicit = true; }
+    else if (arg === '--material' || arg === '-m') { options.tier = 'material'; options.tierExplicit = true; }
+    else if (arg === '--angular' || arg === '-a') { options.tier = 'angular'; options.tierExplicit = true; }
+    else if (arg === '--full' || arg === '-F') { options.tier = 'full'; options.tierExplicit = true; }
+    else if (arg === '--tier' || arg === '-t') { options.tier = args[++i] || 'material'; options.tierExplicit = true; }
+    else if (arg === '--format' || arg === '-f') { options.format = args[++i] || 'console'; options.formatExplicit = true; }
     else if (arg === '--output' || arg === '-o') { options.output = args[++i]; options.outputExplicit = true; }
     else if (arg === '--ignore' || arg === '-i') options.ignore.push(args[++i]);
     else if (arg === '--check' || arg === '-c') options.check = args[++i];
+    else if (arg === '--wcag-level') options.wcagLevel = args[++i] || '';
     else if (arg === '--list-checks' || arg === '-l') options.listChecks = true;
     else if (arg === '--verified') options.verified = true;
-    else if (arg === '--full-verified') { options.tier = 'full'; options.verified = true; }
+    else if (arg === '--full-verified') { options.tier = 'full'; options.tierExplicit = true; options.verified = true; }
     // === FORMAT SHORTCUTS (all do full scan on src, auto output filename) ===
     // CI/CD
-    else if (arg === '--sarif') { options.format = 'sarif'; if (!options.outputExplicit) options.output = '_mat-a11y.sarif.json'; }
-    else if (arg === '--junit') { options.format = 'junit'; if (!options.outputExplicit) options.output = '_mat-a11y.junit.xml'; }
-    else if (arg === '--github') { options.format = 'github-annotations'; if (!options.outputExplicit) options.output = '_mat-a11y.github.txt'; }
-    else if (arg === '--gitlab') { options.format = 'gitlab-codequality'; if (!options.outputExplicit) options.output = '_mat-a11y.gitlab.json'; }
+    else if (arg === '--sarif') { options.format = 'sarif'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.sarif.json'; }
+    else if (arg === '--junit') { options.format = 'junit'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.junit.xml'; }
+    else if (arg === '--github') { options.format = 'github-annotations'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.github.txt'; }
+    else if (arg === '--gitlab') { options.format = 'gitlab-codequality'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.gitlab.json'; }
     // Code Quality
-    else if (arg === '--sonar') { options.format = 'sonarqube'; if (!options.outputExplicit) options.output = '_mat-a11y.sonar.json'; }
-    else if (arg === '--checkstyle') { options.format = 'checkstyle'; if (!options.outputExplicit) options.output = '_mat-a11y.checkstyle.xml'; }
+    else if (arg === '--sonar') { options.format = 'sonarqube'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.sonar.json'; }
+    else if (arg === '--checkstyle') { options.format = 'checkstyle'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.checkstyle.xml'; }
     // Monitoring
-    else if (arg === '--prometheus') { options.format = 'prometheus'; if (!options.outputExplicit) options.output = '_mat-a11y.prom'; }
-    else if (arg === '--grafana') { options.format = 'grafana-json'; if (!options.outputExplicit) options.output = '_mat-a11y.grafana.json'; }
-    else if (arg === '--datadog') { options.format = 'datadog'; if (!options.outputExplicit) options.output = '_mat-a11y.datadog.json'; }
+    else if (arg === '--prometheus') { options.format = 'prometheus'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.prom'; }
+    else if (arg === '--grafana') { options.format = 'grafana-json'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.grafana.json'; }
+    else if (arg === '--datadog') { options.format = 'datadog'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.datadog.json'; }
     // Notifications
-    else if (arg === '--slack') { options.format = 'slack'; if (!options.outputExplicit) options.output = '_mat-a11y.slack.json'; }
-    else if (arg === '--discord') { options.format = 'discord'; if (!options.outputExplicit) options.output = '_mat-a11y.discord.json'; }
-    else if (arg === '--teams') { options.format = 'teams'; if (!options.outputExplicit) options.output = '_mat-a11y.teams.json'; }
+    else if (arg === '--slack') { options.format = 'slack'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.slack.json'; }
+    else if (arg === '--discord') { options.format = 'discord'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.discord.json'; }
+    else if (arg === '--teams') { options.format = 'teams'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.teams.json'; }
     // Docs
-    else if (arg === '--markdown' || arg === '--md') { options.format = 'markdown'; if (!options.outputExplicit) options.output = '_mat-a11y.md'; }
-    else if (arg === '--csv') { options.format = 'csv'; if (!options.outputExplicit) options.output = '_mat-a11y.csv'; }
+    else if (arg === '--markdown' || arg === '--md') { options.format = 'markdown'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.md'; }
+    else if (arg === '--csv') { options.format = 'csv'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.csv'; }
+    else if (arg === '--conformance') { options.format = 'conformance'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.conformance.md'; }
     // Data / Reports
-    else if (arg === '--json') { options.format = 'json'; if (!options.outputExplicit) options.output = '_mat-a11y.json'; }
-    else if (arg === '--html') { options.format = 'html'; if (!options.outputExplicit) options.output = '_mat-a11y.html'; }
-    else if (arg === '--pdf') { options.format = 'pdf'; if (!options.outputExplicit) options.output = '_mat-a11y.pdf.html'; }
+    else if (arg === '--json') { options.format = 'json'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.json'; }
+    else if (arg === '--html') { options.format = 'html'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.html'; }
+    else if (arg === '--pdf') { options.format = 'pdf'; options.formatExplicit = true; if (!options.outputExplicit) options.output = '_mat-a11y.pdf.html'; }
     // === END FORMAT SHORTCUTS ===
     else if (arg === '--workers' || arg === '-w') {
       const val = args[++i];
+      options.workersExplicit = true;
       if (val === 'auto' || val === 'sync') {
         options.workers = val;
       } else {
         options.workers = parseInt(val, 10) || 'sync';
       }
     }
+    else if (arg === '--config') options.configFile = args[++i];
+    else if (arg === '--no-config') options.noConfig = true;
+    else if (arg === '--baseline') options.baseline = args[++i];
+    else if (arg === '--baseline-create') options.baselineCreate = args[++i];
+    else if (arg === '--report-unused-disables') options.reportUnusedDisables = true;
+    else if (arg === '--history') options.history = true;
+    else if (arg === '--component') options.component = args[++i];
+    else if (arg === '--last') options.last = args[++i];
+    else if (arg === '--fix') { options.fix = true; options.headless = true; }
+    else if (arg === '--fix-dry-run') { options.fixDryRun = true; options.headless = true; }
+    else if (arg === '--watch') options.watch = true;
+    else if (arg === '--changed-since') { options.changedSince = args[++i]; options.headless = true; }
+    else if (arg === '--staged') { options.staged = true; options.headless = true; }
+    else if (arg === '--fail-on') options.failOn = args[++i];
+    else if (arg === '--max-issues') options.maxIssues = args[++i];
+    else if (arg === '--min-score') options.minScore = args[++i];
+    else if (arg === '--max-check') options.maxCheck.push(args[++i]);
+    else if (arg === '--max-level') options.maxLevel.push(args[++i]);
     else if (arg === '--self-test') options.selfTest = true;
     else if (arg === '--file-based') options.fileBased = true;
     else if (arg === '--sitemap') options.sitemapBased = true;
+    else if (arg === '--sitemap-path') { options.sitemapPath = args[++i]; options.sitemapBased = true; }
+    else if (arg === '--routes') options.routeBased = true;
     else if (arg === '--deep') options.deepResolve = true;
     else if (arg === '--no-collapse') options.collapseRootCause = false;
+    else if (arg === '--i18n') options.i18n = true;
+    else if (arg === '--project') options.project = args[++i];
+    else if (arg === '--per-project') options.perProject = true;
     // GUI/Headless mode options
     else if (arg === '--headless' || arg === '--ci' || arg === '-H') options.headless = true;
     else if (arg === '--port' || arg === '-p') options.guiPort = parseInt(args[++i], 10) || null;
+    // The first positional argument can be a subcommand (mat-a11y --json diff a.json b.json)
+    else if (!arg.startsWith('-') && !options.command && options.files.length === 0 && (arg === 'trend' || arg === 'diff')) options.command = arg;
     else if (!arg.startsWith('-')) options.files.push(arg);
   }
 
@@ -127,14 +195,382 @@ function parseArgs(args) {
   // Default output filename if none provided and not already set by a shortcut.
   // For other formats, CLI later derives a sensible extension-based filename.
   if (!options.outputExplicit && !options.output) {
-    if (options.format === 'ai') options.output = '_mat-a11y.backlog.txt';
-    else if (options.format === 'json') options.output = '_mat-a11y.json';
-    else if (options.format === 'html') options.output = '_mat-a11y.html';
+    options.output = getDefaultOutput(options.format);
   }
 
   return options;
 }
 
+// Default output filename for formats without a shortcut-specific name
+function getDefaultOutput(format) {
+  if (format === 'ai') return '_mat-a11y.backlog.txt';
+  if (format === 'json') return '_mat-a11y.json';
+  if (format === 'html') return '_mat-a11y.html';
+  return null;
+}
+
+// Apply project config (.mat-a11yrc, mat-a11y.config.js, package.json "mat-a11y")
+// Explicit CLI flags always win over config values.
+function applyProjectConfig(opts) {
+  if (opts.noConfig) return { config: {}, filePath: null };
+
+  const { config, filePath, errors } = loadConfig(opts.files[0] || '.', { configFile: opts.configFile });
+  for (const error of errors) {
+    console.error(c.yellow + '[config] ' + error + c.reset);
+  }
+
+  if (config.tier && !opts.tierExplicit) opts.tier = config.tier;
+  if (config.workers !== undefined && !opts.workersExplicit) opts.workers = config.workers;
+  if (config.deepResolve === true) opts.deepResolve = true;
+  if (config.collapseRootCause === false) opts.collapseRootCause = false;
+  // --i18n keeps the settings of an "i18n" object
+  if (config.i18n && (!opts.i18n || typeof config.i18n === 'object')) opts.i18n = config.i18n;
+
+  if (config.format && !opts.formatExplicit) {
+    opts.format = config.format;
+    if (!opts.outputExplicit) opts.output = getDefaultOutput(config.format);
+  }
+  if (config.output && !opts.outputExplicit) opts.output = config.output;
+  if (config.baseline && !opts.baseline && !opts.baselineCreate) opts.baseline = config.baseline;
+  if (config.history && opts.history === null) opts.history = config.history;
+  if (config.reportUnusedDisables === true) opts.reportUnusedDisables = true;
+  if (config.wcagLevel && opts.wcagLevel === null) opts.wcagLevel = config.wcagLevel;
+
+  return { config, filePath };
+}
+
+// Check plugins (config "plugins"): a plugin that doesn't load would silently
+// drop its checks, so that is an error rather than a warning
+function checkPlugins(config, configFile) {
+  if (!config.plugins) return;
+
+  const { errors } = loadProjectPlugins({ plugins: config.plugins, configFile });
+  if (errors.length === 0) return;
+
+  for (const error of errors) {
+    console.error(c.red + '[plugins] ' + error + c.reset);
+  }
+  process.exit(2);
+}
+
+// Baseline handling: --baseline-create records all issues and exits,
+// --baseline filters results down to issues that are not in the baseline.
+// Paths in the baseline are relative to the baseline file's directory.
+function handleBaseline(results, opts) {
+  if (opts.baselineCreate) {
+    const baseline = createBaseline(results, { projectDir: path.dirname(path.resolve(opts.baselineCreate)) });
+    writeBaseline(opts.baselineCreate, baseline);
+    console.log(c.green + `Baseline written: ${opts.baselineCreate} (${baseline.total} issues)` + c.reset);
+    process.exit(0);
+  }
+
+  if (!opts.baseline) return results;
+
+  let baseline;
+  try {
+    baseline = readBaseline(opts.baseline);
+  } catch (error) {
+    console.error(c.red + error.message + c.reset);
+    process.exit(2);
+  }
+  return applyBaseline(results, baseline, {
+    projectDir: path.dirname(path.resolve(opts.baseline)),
+    file: opts.baseline
+  });
+}
+
+// History file: config "history" path, else .mat-a11y/history.jsonl in the project
+function getHistoryFile(opts) {
+  return typeof opts.history === 'string' ? opts.history : path.join(opts.files[0], HISTORY_FILE);
+}
+
+// Scan history (--history or config "history"): append a snapshot of the full
+// results (before baseline filtering) and attach the change since the previous
+// run, for the console and the monitoring formatters. Partial scans
+// (--changed-since, --staged, --check) would distort the trend and aren't recorded.
+function handleHistory(results, opts) {
+  if (!opts.history) return results;
+
+  if (opts.changedSince || opts.staged || opts.check) {
+    console.log(c.yellow + 'History: partial scans (--changed-since, --staged, --check) are not recorded' + c.reset);
+    return results;
+  }
+
+  try {
+    return { ...results, history: recordSnapshot(results, { projectDir: opts.files[0], file: getHistoryFile(opts) }) };
+  } catch (error) {
+    console.error(c.yellow + `History: could not record snapshot: ${error.message}` + c.reset);
+    return results;
+  }
+}
+
+// Trend (mat-a11y trend [path]): score and issue counts of the recorded
+// snapshots, overall or for one --component or --check. Shows the mode of
+// the latest snapshot unless --sitemap, --routes or --file-based is given.
+function showTrend(opts) {
+  applyProjectConfig(opts);
+
+  const last = opts.last !== null ? Number(opts.last) : undefined;
+  if (last !== undefined && (!Number.isInteger(last) || last < 1)) {
+    console.error(c.red + 'Error: --last must be a positive integer' + c.reset);
+    process.exit(2);
+  }
+
+  const file = getHistoryFile(opts);
+  let mode;
+  if (opts.sitemapBased) mode = 'sitemap';
+  else if (opts.routeBased) mode = 'routes';
+  else if (opts.fileBased) mode = 'file-based';
+
+  console.log(formatTrend(readHistory(file), { file, mode, component: opts.component, check: opts.check, last }));
+  process.exit(0);
+}
+
+// Positional arguments beyond the path (or the two reports of diff) are
+// mistakes, e.g. a subcommand after the path: exit with 2 instead of ignoring them
+function checkPositionals(opts) {
+  const extra = opts.files.slice(opts.command === 'diff' ? 2 : 1);
+  if (extra.length === 0) return;
+
+  console.error(c.red + `Error: unexpected argument${extra.length === 1 ? '' : 's'}: ${extra.join(' ')}` + c.reset);
+  console.log('Usage: mat-a11y [path] [options]');
+  console.log('       mat-a11y trend [path] [options]');
+  console.log('       mat-a11y diff <old.json> <new.json> [options]');
+  process.exit(2);
+}
+
+// Formats that render report diffs
+const DIFF_FORMATS = ['markdown', 'html', 'slack', 'teams', 'discord', 'json'];
+
+// Diff command: compare two JSON reports. Exits with 1 when the newer report
+// has new issues, 2 on unreadable reports or unsupported formats.
+function showDiff(opts) {
+  if (opts.files.length !== 2) {
+    console.error(c.red + 'Error: diff needs two JSON reports' + c.reset);
+    console.log('Usage: mat-a11y diff <old.json> <new.json> [--markdown|--html|--slack|--teams|--discord|--json]');
+    process.exit(2);
+  }
+
+  const format = opts.formatExplicit ? opts.format : null;
+  if (format && !DIFF_FORMATS.includes(format)) {
+    console.error(c.red + `Error: diff reports can't be written as ${format}` + c.reset);
+    console.log('Diff formats: ' + DIFF_FORMATS.join(', '));
+    process.exit(2);
+  }
+
+  let diff;
+  try {
+    diff = diffReports(readReport(opts.files[0]), readReport(opts.files[1]));
+  } catch (error) {
+    console.error(c.red + 'Error: ' + error.message + c.reset);
+    process.exit(2);
+  }
+
+  console.log(formatDiff(diff.diff));
+
+  if (format) {
+    const formatter = loadAllFormatters().get(format);
+    const outputPath = opts.outputExplicit && opts.output
+      ? opts.output
+      : `_mat-a11y.diff${formatter.fileExtension || '.txt'}`;
+    fs.writeFileSync(outputPath, formatter.format(diff));
+    console.log('');
+    console.log(c.green + `${format} diff: ${outputPath}` + c.reset);
+  }
+
+  process.exit(diff.diff.new.length > 0 ? 1 : 0);
+}
+
+// WCAG level: --wcag-level or config "wcagLevel" ('aa' -> 'AA').
+// Exits with 2 on anything but A, AA or AAA.
+function resolveWcagLevel(opts) {
+  if (opts.wcagLevel === null) return null;
+
+  const level = normalizeLevel(opts.wcagLevel);
+  if (!level) {
+    console.error(c.red + `Error: Invalid WCAG level "${opts.wcagLevel}" (use ${CONFORMANCE_LEVELS.join(', ')})` + c.reset);
+    process.exit(2);
+  }
+  return level;
+}
+
+// Quality gate: config "gate" thresholds, overridden by --fail-on, --max-issues,
+// --min-score, --max-check and --max-level. Exits with 2 on invalid thresholds.
+function resolveGateOptions(opts, config) {
+  const gate = { ...(config.gate || {}) };
+  const checks = { ...(gate.checks || {}) };
+  const levels = { ...(gate.levels || {}) };
+
+  if (opts.failOn !== null) gate.failOn = opts.failOn;
+  if (opts.maxIssues !== null) gate.maxIssues = Number(opts.maxIssues);
+  if (opts.minScore !== null) gate.minScore = Number(opts.minScore);
+
+  try {
+    for (const spec of opts.maxCheck) {
+      const { name, max } = parseThreshold(spec);
+      checks[name] = max;
+    }
+    for (const spec of opts.maxLevel) {
+      const { name, max } = parseThreshold(spec);
+      levels[name.toUpperCase()] = max;
+    }
+  } catch (error) {
+    console.error(c.red + 'Error: ' + error.message + c.reset);
+    process.exit(2);
+  }
+  if (Object.keys(checks).length > 0) gate.checks = checks;
+  if (Object.keys(levels).length > 0) gate.levels = levels;
+
+  const errors = validateGate(gate);
+  if (errors.length > 0) {
+    for (const error of errors) console.error(c.red + 'Error: ' + error + c.reset);
+    process.exit(2);
+  }
+  return gate;
+}
+
+// Evaluate the quality gate, print it (and why it failed) and attach it to
+// the reported results so JUnit/SARIF can embed it. Returns true if it failed.
+function checkGate(results, reportResults, gate) {
+  const gateResult = evaluateGate(results, gate);
+  console.log((gateResult.passed ? c.green : c.red) + formatGateResult(gateResult) + c.reset);
+  reportResults.gate = gateResult;
+  return !gateResult.passed;
+}
+
+// Autofix: --fix-dry-run prints the fixes as a unified diff (stdout, so it can
+// be piped to `git apply`) and exits, --fix writes them and returns so the
+// analysis reports what is left. Only .html/.scss/.css files are fixed.
+function handleFix(opts, fixOptions) {
+  if (!opts.fix && !opts.fixDryRun) return;
+
+  const result = fixFiles(opts.files[0], { ...fixOptions, write: !opts.fixDryRun });
+
+  if (opts.fixDryRun) {
+    for (const file of result.files) process.stdout.write(file.diff);
+    console.error(c.cyan + formatFixSummary(result, true) + c.reset);
+    process.exit(0);
+  }
+
+  console.log(c.green + formatFixSummary(result) + c.reset + '\n');
+}
+
+// Watch mode (headless): analyze once, then re-analyze only the components
+// that changed files affect and print new/resolved issues until interrupted.
+// Component analysis only; no reports are written.
+function handleWatch(opts, watchOptions) {
+  if (!opts.watch) return false;
+
+  if (opts.fileBased || opts.sitemapBased || opts.routeBased) {
+    console.error(c.red + 'Error: --watch only supports component analysis (not --file-based, --sitemap or --routes)' + c.reset);
+    process.exit(2);
+  }
+
+  const session = new WatchSession(opts.files[0], watchOptions);
+  const results = session.analyze();
+  if (results.error) {
+    console.error(c.red + results.error + c.reset);
+    process.exit(2);
+  }
+
+  console.log(formatComponentResults(results));
+  console.log(c.cyan + 'Watching for changes... (Ctrl+C to stop)' + c.reset);
+
+  session.watch((update) => {
+    console.log('');
+    console.log(formatWatchUpdate(update));
+  });
+  return true;
+}
+
+// Changed files (--changed-since <ref>, --staged): pick the components the
+// change touches and print why. Exits when there is nothing to scan.
+// Returns the component .ts files to analyze, or null for a full scan.
+function selectChangedComponents(opts, options) {
+  if (!opts.changedSince && !opts.staged) return null;
+
+  if (opts.fileBased || opts.sitemapBased || opts.routeBased || opts.watch) {
+    console.error(c.red + 'Error: --changed-since/--staged only support component analysis (not --file-based, --sitemap, --routes or --watch)' + c.reset);
+    process.exit(2);
+  }
+
+  let files;
+  try {
+    files = getChangedFiles(opts.files[0], { since: opts.changedSince, staged: opts.staged });
+  } catch (error) {
+    console.error(c.red + 'Error: ' + error.message + c.reset);
+    process.exit(2);
+  }
+
+  const components = findChangedComponents(opts.files[0], files, {
+    ignore: options.ignore,
+    withSource: hasTypeScriptChecks(options)
+  });
+  const label = opts.staged ? 'Staged changes' : `Changed since ${opts.changedSince}`;
+  console.log(c.cyan + formatChangedComponents({ label, files, components }) + c.reset + '\n');
+
+  if (components.length === 0) {
+    console.log(c.green + 'No changed components to analyze' + c.reset);
+    process.exit(0);
+  }
+  return components.map(component => component.filePath);
+}
+
+// Workspace projects (--project, --per-project) are only supported by component
+// analysis; other modes would silently scan everything.
+function checkWorkspaceMode(opts) {
+  if (!opts.project && !opts.perProject) return;
+
+  if (opts.fileBased || opts.sitemapBased || opts.routeBased || opts.watch) {
+    console.error(c.red + 'Error: --project/--per-project only support component analysis (not --file-based, --sitemap, --routes or --watch)' + c.reset);
+    process.exit(2);
+  }
+}
+
+// Inline suppressions: print how many issues mat-a11y-disable comments silenced.
+// With --report-unused-disables, list comments that silenced nothing.
+// Returns true if the run should fail because of unused disables.
+function reportSuppressions(results, opts) {
+  const suppressions = results.suppressions;
+  if (!suppressions) return false;
+
+  if (suppressions.count > 0) {
+    console.log(c.dim + `Suppressed: ${suppressions.count} issue${suppressions.count === 1 ? '' : 's'} (inline mat-a11y-disable comments)` + c.reset);
+  }
+
+  if (!opts.reportUnusedDisables) return false;
+  const unused = formatUnusedDisables(results);
+  for (const line of unused) {
+    console.log(c.yellow + line + c.reset);
+  }
+  return unused.length > 0;
+}
+
+// Write the main report plus any extra reports from the config "outputs" map
+function writeReports(results, opts, outputs) {
+  const formatters = loadAllFormatters();
+  const reports = [];
+
+  if (opts.format && opts.format !== 'console') {
+    reports.push({ format: opts.format, output: opts.output });
+  }
+  for (const [format, output] of Object.entries(outputs || {})) {
+    if (format !== opts.format) reports.push({ format, output });
+  }
+
+  for (const report of reports) {
+    const formatter = formatters.get(report.format);
+    if (formatter) {
+      const outputPath = report.output || `mat-a11y-report${formatter.fileExtension || '.txt'}`;
+      fs.writeFileSync(outputPath, formatter.format(results, { projectDir: path.resolve(opts.files[0]) }));
+      console.log(c.green + `${report.format} report: ${outputPath}` + c.reset);
+    } else {
+      console.error(c.red + `Unknown format: ${report.format}` + c.reset);
+      console.log('Available formats: ' + listFormatters().join(', '));
+    }
+  }
+}
+
 // Help
 function showHelp() {
   const basicCount = TIERS.basic.html.length + TIERS.basic.scss.length +
@@ -152,13 +588,14 @@ ${c.cyan}USAGE:${c.reset}
   ${c.green}npx mat-a11y --headless${c.reset}     ${c.dim}# CLI mode: → _mat-a11y.backlog.txt${c.reset}
   ${c.green}npx mat-a11y --headless --html${c.reset}  ${c.dim}# CLI mode: → _mat-a11y.html${c.reset}
 
-${c.cyan}ALL 18 FORMATS:${c.reset}
+${c.cyan}ALL 19 FORMATS:${c.reset}
   ${c.dim}(default)${c.reset}       AI backlog     ${c.green}--html${c.reset}        HTML report    ${c.green}--pdf${c.reset}         PDF summary
   ${c.green}--json${c.reset}          JSON data      ${c.green}--sarif${c.reset}       GitHub         ${c.green}--junit${c.reset}       Jenkins/CI
   ${c.green}--gitlab${c.reset}        GitLab         ${c.green}--sonar${c.reset}       SonarQube      ${c.green}--checkstyle${c.reset}  Checkstyle
   ${c.green}--github${c.reset}        GH Annotations ${c.green}--prometheus${c.reset}  Prometheus     ${c.green}--grafana${c.reset}     Grafana
   ${c.green}--datadog${c.reset}       Datadog        ${c.green}--slack${c.reset}       Slack          ${c.green}--discord${c.reset}     Discord
   ${c.green}--teams${c.reset}         MS Teams       ${c.green}--markdown${c.reset}    Markdown       ${c.green}--csv${c.reset}         CSV/Excel
+  ${c.green}--conformance${c.reset}   WCAG audit
 
 ${c.cyan}TIERS:${c.reset}
   ${c.green}-b, --basic${c.reset}      Quick wins across all categories (${basicCount} checks)
@@ -171,6 +608,17 @@ ${c.cyan}MODE:${c.reset}
   --headless, -H        CLI mode: Output to terminal/file (no GUI)
   --ci                  Alias for --headless (CI/CD convenience)
   --port, -p <number>   Custom port for GUI (default: 3847)
+  --watch               Re-analyze changed components on save (GUI updates live;
+                        with --headless, prints new and resolved issues)
+
+${c.cyan}COMMANDS:${c.reset}
+  trend [path]          Score and issue trend of the runs recorded with --history
+    --component <name>  Follow one component (or page path)
+    -c, --check <name>  Follow one check
+    --last <n>          Number of runs listed (default: 20)
+  diff <old> <new>      New, fixed and unchanged issues between two --json reports
+                        (exit 1 on new issues; --markdown, --html, --slack, --teams,
+                        --discord or --json write the diff as a report)
 
 ${c.cyan}OPTIONS:${c.reset}
   -h, --help            Show this help
@@ -179,18 +627,51 @@ ${c.cyan}OPTIONS:${c.reset}
   -t, --tier <tier>     Set tier: basic, material, angular, full
   -i, --ignore <path>   Ignore pattern (can repeat)
   -c, --check <name>    Run only a single specific check
+  --wcag-level <level>  Only run checks for WCAG criteria up to A, AA or AAA
+                        (--conformance then lists the criteria of that level)
   -l, --list-checks     List all available checks
   -o, --output <path>   Custom output path
+  --baseline-create <f> Record current issues as baseline and exit
+  --baseline <file>     Only report (and fail on) issues not in the baseline
+  --report-unused-disables  Fail on mat-a11y-disable comments that suppress nothing
+  --history             Append a snapshot of this run to .mat-a11y/history.jsonl
+                        (monitoring formats then include the change since the last run)
+  --fix                 Apply autofixes to templates/stylesheets, then report the rest
+  --fix-dry-run         Print the autofixes as a unified diff without changing files
+  --changed-since <ref> Only scan components touched since a git ref (e.g. origin/main)
+  --staged              Only scan components touched by staged changes
+  --config <path>       Use this project config file
+  --no-config           Ignore project config files
+
+${c.cyan}QUALITY GATE (exit code):${c.reset}
+  ${c.dim}Default: any issue fails (sitemap/routes: any page below 50%; with --baseline: any new issue)${c.reset}
+  --fail-on <severity>  Only issues of this severity or higher fail: error, warning, info
+  --max-issues <n>      Fail when more than n issues are found
+  --min-score <n>       Fail below this audit score (sitemap/routes: any page below it)
+  --max-check <c=n>     Fail when check c finds more than n issues (can repeat)
+  --max-level <l=n>     Fail on more than n issues at WCAG level l: A, AA, AAA (can repeat)
 
 ${c.cyan}ANALYSIS MODE:${c.reset}
   ${c.dim}Default: Component-level (scans all @Component files directly)${c.reset}
-  --sitemap             Sitemap-based analysis (for SEO/Google crawling view)
+  --sitemap             Sitemap-based analysis (for SEO/Google crawling view;
+                        follows sitemap indexes, reads .xml.gz, groups hreflang alternates)
+  --sitemap-path <f>    Sitemap or sitemap index to use (implies --sitemap;
+                        default: sitemap.xml, sitemap_index.xml or sitemap.xml.gz
+                        in dist/*/browser, public, src or the project root)
+  --routes              Route-based analysis: scores every route in the router config
+                        (lazy, guarded and redirect targets; no sitemap.xml needed)
   --file-based          Legacy file-based analysis (scans HTML/SCSS files only)
-  --deep                Bundle parent + child components (Lighthouse-like scores)
+  --deep                Bundle parent + child components (Lighthouse-like scores;
+                        with --sitemap or --routes)
   --no-collapse         Disable SCSS root cause collapse (show all duplicates)
+  --i18n                Check translated accessible names in every locale (XLIFF/XMB,
+                        ngx-translate/Transloco JSON) and <html lang> against angular.json
+  --project <name>      Only one project of an Angular/Nx workspace, with the libraries it uses
+  --per-project         Scores per workspace project (libraries count for every app
+                        using them) plus the roll-up
 
   ${c.dim}Note: Default mode scans ALL Angular components for complete coverage.
-  Use --sitemap for Google-crawl perspective.${c.reset}
+  Use --sitemap for Google-crawl perspective, --routes for apps behind a login.${c.reset}
 
 ${c.cyan}VERIFICATION:${c.reset}
   --verified            Verify checks work before running (self-test)
@@ -211,20 +692,58 @@ ${c.cyan}EXAMPLES:${c.reset}
 
   ${c.dim}# CI/CD pipelines${c.reset}
   mat-a11y --ci --junit -o results.xml
+  mat-a11y --ci --fail-on error --min-score 80 --max-level A=0
 
   ${c.dim}# Custom path${c.reset}
   mat-a11y --headless ./my-app/src
 
+  ${c.dim}# Per-route scores for an app without a sitemap${c.reset}
+  mat-a11y --headless --routes --deep
+
+  ${c.dim}# WCAG 2.2 AA conformance report for an audit${c.reset}
+  mat-a11y --headless --wcag-level AA --conformance
+
   ${c.dim}# Quick scan with fewer checks${c.reset}
   mat-a11y --headless --basic
 
+  ${c.dim}# One app of an Nx monorepo, or every project at once${c.reset}
+  mat-a11y --headless --project shop
+  mat-a11y --headless --per-project
+
+  ${c.dim}# Pull request check: only what the branch touched${c.reset}
+  mat-a11y --changed-since origin/main
+
+  ${c.dim}# Track the score over time${c.reset}
+  mat-a11y --ci --history
+  mat-a11y trend --check colorContrast
+
+  ${c.dim}# What did this branch fix and break?${c.reset}
+  mat-a11y diff main.json branch.json --markdown
+
+  ${c.dim}# Re-check components while you edit${c.reset}
+  mat-a11y --headless --watch
+
+  ${c.dim}# Preview autofixes as a patch, then apply them${c.reset}
+  mat-a11y --fix-dry-run > a11y-fixes.patch
+  mat-a11y --fix
+
 ${c.cyan}DEFAULTS:${c.reset}
   Mode:    GUI (opens dashboard in browser)
   Path:    . (current directory)
-  Tier:    --full (82 checks)
+  Tier:    --full (90 checks)
   Format:  AI backlog (in CLI mode)
   Output:  _mat-a11y.backlog.txt (in CLI mode)
 
+${c.cyan}PROJECT CONFIG:${c.reset}
+  Looked up from the target directory upwards:
+  .mat-a11yrc, .mat-a11yrc.json, mat-a11y.config.js, package.json ("mat-a11y" key)
+  ${c.dim}CLI flags always win over config values.${c.reset}
+  Custom checks: "plugins": ["mat-a11y-plugin-acme", "./a11y-rules"] (see --list-checks)
+  Wrappers:      "components": { "acme-button": { "as": "button[mat-button]", "label": "label" } }
+                 or "deriveComponents": true for wrappers rendering a single Material root
+  Translations:  "i18n": { "translations": "src/assets/i18n", "locales": ["de", "fr"] } (or --i18n)
+  WCAG level:    "wcagLevel": "AA" (or --wcag-level)
+
 ${c.cyan}DEFAULT IGNORES:${c.reset}
   ${DEFAULT_CONFIG.ignore.join(', ')}
 
@@ -242,8 +761,8 @@ function showVersion() {
   console.log('mat-a11y v' + pkg.version);
 }
 
-// List all available checks
-function listChecks() {
+// List all available checks (plus plugin checks from the project config)
+function listChecks(opts) {
   console.log('\n' + c.bold + 'AVAILABLE CHECKS' + c.reset + '\n');
 
   const countTier = (tier) => {
@@ -275,6 +794,20 @@ function listChecks() {
   console.log('  CDK: ' + TIERS.full.cdk.join(', '));
   console.log('  ' + c.dim + 'Total: ' + countTier(TIERS.full) + ' checks' + c.reset);
 
+  // Plugin checks from the project config
+  const { config, filePath } = opts.noConfig ? { config: {} } : loadConfig(opts.files[0] || '.', { configFile: opts.configFile });
+  if (config.plugins) {
+    const { plugins, errors } = loadProjectPlugins({ plugins: config.plugins, configFile: filePath });
+    console.log('\n' + c.cyan + 'PLUGINS:' + c.reset);
+    for (const plugin of plugins) {
+      const checks = [...plugin.checks.values()].map(check => `${check.name} (${check.tier}, ${check.type})`);
+      console.log('  ' + plugin.name + ': ' + (checks.length ? checks.join(', ') : c.dim + 'no checks' + c.reset));
+    }
+    for (const error of errors) {
+      console.log('  ' + c.red + error + c.reset);
+    }
+  }
+
   console.log('\n' + c.bold + 'SUMMARY:' + c.reset);
   console.log('  basic=' + countTier(TIERS.basic) + ', material=' + TIERS.material.material.length +
               ', angular=' + (TIERS.angular.angular.length + TIERS.angular.cdk.length) +
@@ -288,13 +821,16 @@ async function main() {
 
   if (opts.help) { showHelp(); process.exit(0); }
   if (opts.version) { showVersion(); process.exit(0); }
-  if (opts.listChecks) { listChecks(); process.exit(0); }
+  if (opts.listChecks) { listChecks(opts); process.exit(0); }
+  checkPositionals(opts);
+  if (opts.command === 'trend') showTrend(opts);
+  if (opts.command === 'diff') showDiff(opts);
 
   // GUI mode (default) - launch dashboard unless --headless/--ci is specified
   if (!opts.headless && !opts.selfTest) {
     const gui = getGuiServer();
     const port = opts.guiPort || 3847;
-    gui.start({ port, open: true });
+    gui.start({ port, open: true, watch: opts.watch });
     return; // Keep server running
   }
 
@@ -361,11 +897,40 @@ async function main() {
     process.exit(2);
   }
 
+  // Project config: flags > config file > defaults
+  const { config, filePath: configFile } = applyProjectConfig(opts);
+  checkPlugins(config, configFile);
+
+  // WCAG level (--wcag-level, config "wcagLevel")
+  const wcagLevel = resolveWcagLevel(opts);
+
   // Merge ignore patterns
-  const ignore = [...DEFAULT_CONFIG.ignore, ...opts.ignore];
+  const ignore = [...DEFAULT_CONFIG.ignore, ...(config.ignore || []), ...opts.ignore];
+
+  // Check selection and scoring overrides from config (already resolved here)
+  const configOptions = {
+    config: false,
+    enable: config.enable,
+    disable: config.disable,
+    wcagLevel: wcagLevel || undefined,
+    weights: config.weights,
+    severity: config.severity,
+    plugins: config.plugins,
+    components: config.components,
+    deriveComponents: config.deriveComponents,
+    // Without a config file, --i18n looks for angular.json from the analyzed path
+    i18n: opts.i18n === true && !configFile ? { root: opts.files[0] } : opts.i18n,
+    configFile: configFile || undefined
+  };
+
+  const gate = resolveGateOptions(opts, config);
+
+  handleFix(opts, { ...configOptions, tier: opts.tier, ignore, check: opts.check });
 
   if (opts.verbose) {
+    if (configFile) console.log(c.cyan + 'Config: ' + configFile + c.reset);
     console.log(c.cyan + 'Tier: ' + opts.tier.toUpperCase() + c.reset);
+    if (wcagLevel) console.log(c.cyan + 'WCAG level: ' + wcagLevel + c.reset);
     console.log(c.cyan + 'Ignoring: ' + ignore.join(', ') + c.reset + '\n');
   }
 
@@ -378,20 +943,36 @@ async function main() {
     }
   }
 
+  checkWorkspaceMode(opts);
+  const changedComponentFiles = selectChangedComponents(opts, { ...configOptions, tier: opts.tier, ignore });
+
+  if (handleWatch(opts, { ...configOptions, tier: opts.tier, ignore })) return; // Keep watching
+
   let results;
 
   // Sitemap-based analysis (explicit --sitemap flag)
   if (opts.sitemapBased) {
-    const sitemapPath = findSitemap(opts.files[0]);
+    const sitemapPath = opts.sitemapPath
+      ? path.resolve(opts.sitemapPath)
+      : findSitemap(opts.files[0]);
+
+    if (opts.sitemapPath && !fs.existsSync(sitemapPath)) {
+      console.error(c.red + `Error: Sitemap not found: ${opts.sitemapPath}` + c.reset);
+      process.exit(2);
+    }
 
     if (sitemapPath) {
-      const sitemapResults = analyzeBySitemap(opts.files[0], {
+      let sitemapResults = analyzeBySitemap(opts.files[0], {
+        ...configOptions,
         tier: opts.tier,
         sitemap: sitemapPath,
         deepResolve: opts.deepResolve
       });
 
       if (!sitemapResults.error && sitemapResults.urlCount > 0) {
+        sitemapResults = handleHistory(sitemapResults, opts);
+        sitemapResults = handleBaseline(sitemapResults, opts);
+
         // Optimize issues by collapsing to root cause
         const optimizedSitemapResults = optimizeIssues(sitemapResults, opts.files[0], {
           enabled: opts.collapseRootCause
@@ -401,33 +982,71 @@ async function main() {
         if (summary) console.log(c.cyan + summary + c.reset + '\n');
         
         console.log(formatSitemapResults(optimizedSitemapResults));
+        const sitemapBaselineSummary = formatBaselineSummary(sitemapResults);
+        if (sitemapBaselineSummary) console.log(c.cyan + sitemapBaselineSummary + c.reset);
+        const sitemapHistorySummary = formatHistorySummary(sitemapResults);
+        if (sitemapHistorySummary) console.log(c.cyan + sitemapHistorySummary + c.reset);
+        const sitemapUnusedDisables = reportSuppressions(sitemapResults, opts);
+        const sitemapGateFailed = checkGate(sitemapResults, optimizedSitemapResults, gate);
+
+        // Write custom format (and config "outputs") if requested
+        writeReports(optimizedSitemapResults, opts, config.outputs);
 
-        // Write custom format if requested
-        if (opts.format && opts.format !== 'console') {
-          const formatters = loadAllFormatters();
-          const formatter = formatters.get(opts.format);
-          if (formatter) {
-            const outputPath = opts.output || `mat-a11y-report${formatter.fileExtension || '.txt'}`;
-            fs.writeFileSync(outputPath, formatter.format(optimizedSitemapResults));
-            console.log(c.green + `${opts.format} report: ${outputPath}` + c.reset);
-          } else {
-            console.error(c.red + `Unknown format: ${opts.format}` + c.reset);
-            console.log('Available formats: ' + listFormatters().join(', '));
-          }
-        }
-
-        const exitCode = sitemapResults.distribution.failing > 0 ? 1 : 0;
-        process.exit(exitCode);
+        process.exit(sitemapGateFailed || sitemapUnusedDisables ? 1 : 0);
+      }
+
+      if (sitemapResults.error) {
+        console.error(c.red + `Error: ${sitemapResults.error}` + c.reset);
+        process.exit(2);
       }
     }
 
-    console.error(c.red + 'No sitemap.xml found. Use default mode or --file-based.' + c.reset);
+    console.error(c.red + 'No sitemap.xml found. Use --sitemap-path, default mode or --file-based.' + c.reset);
     process.exit(2);
   }
 
+  // Route-based analysis (explicit --routes flag)
+  if (opts.routeBased) {
+    let routeResults = analyzeByRoute(opts.files[0], {
+      ...configOptions,
+      tier: opts.tier,
+      deepResolve: opts.deepResolve
+    });
+
+    if (routeResults.error) {
+      console.error(c.red + routeResults.error + c.reset);
+      process.exit(2);
+    }
+
+    routeResults = handleHistory(routeResults, opts);
+    routeResults = handleBaseline(routeResults, opts);
+
+    // Optimize issues by collapsing to root cause
+    const optimizedRouteResults = optimizeIssues(routeResults, opts.files[0], {
+      enabled: opts.collapseRootCause
+    });
+
+    const summary = getOptimizationSummary(optimizedRouteResults);
+    if (summary) console.log(c.cyan + summary + c.reset + '\n');
+
+    console.log(formatRouteResults(optimizedRouteResults));
+    const routeBaselineSummary = formatBaselineSummary(routeResults);
+    if (routeBaselineSummary) console.log(c.cyan + routeBaselineSummary + c.reset);
+    const routeHistorySummary = formatHistorySummary(routeResults);
+    if (routeHistorySummary) console.log(c.cyan + routeHistorySummary + c.reset);
+    const routeUnusedDisables = reportSuppressions(routeResults, opts);
+    const routeGateFailed = checkGate(routeResults, optimizedRouteResults, gate);
+
+    // Write custom format (and config "outputs") if requested
+    writeReports(optimizedRouteResults, opts, config.outputs);
+
+    process.exit(routeGateFailed || routeUnusedDisables ? 1 : 0);
+  }
+
   // File-based analysis (explicit --file-based flag)
   if (opts.fileBased) {
     results = await analyze(opts.files[0], {
+      ...configOptions,
       tier: opts.tier,
       ignore: ignore,
       verbose: opts.verbose,
@@ -436,6 +1055,9 @@ async function main() {
       workers: opts.workers
     });
 
+    results = handleHistory(results, opts);
+    results = handleBaseline(results, opts);
+
     // Single check mode - show result clearly
     if (opts.check) {
       console.log('\n' + c.bold + 'Single Check Mode: ' + opts.check + c.reset + '\n');
@@ -443,6 +1065,11 @@ async function main() {
 
     // Output to console
     console.log(formatConsoleOutput(results));
+    const fileBaselineSummary = formatBaselineSummary(results);
+    if (fileBaselineSummary) console.log(c.cyan + fileBaselineSummary + c.reset);
+    const fileHistorySummary = formatHistorySummary(results);
+    if (fileHistorySummary) console.log(c.cyan + fileHistorySummary + c.reset);
+    const fileUnusedDisables = reportSuppressions(results, opts);
 
     // Optimize issues by collapsing to root cause
     const optimizedResults = optimizeIssues(results, opts.files[0], {
@@ -451,22 +1078,12 @@ async function main() {
     
     const summary = getOptimizationSummary(optimizedResults);
     if (summary) console.log(c.cyan + summary + c.reset);
+    const fileGateFailed = checkGate(results, optimizedResults, gate);
 
-    // Write custom format if requested
-    if (opts.format && opts.format !== 'console') {
-      const formatters = loadAllFormatters();
-      const formatter = formatters.get(opts.format);
-      if (formatter) {
-        const outputPath = opts.output || `mat-a11y-report${formatter.fileExtension || '.txt'}`;
-        fs.writeFileSync(outputPath, formatter.format(optimizedResults));
-        console.log(c.green + `${opts.format} report: ${outputPath}` + c.reset);
-      } else {
-        console.error(c.red + `Unknown format: ${opts.format}` + c.reset);
-        console.log('Available formats: ' + listFormatters().join(', '));
-      }
-    }
+    // Write custom format (and config "outputs") if requested
+    writeReports(optimizedResults, opts, config.outputs);
 
-    process.exit(results.summary.issues.length > 0 ? 1 : 0);
+    process.exit(fileGateFailed || fileUnusedDisables ? 1 : 0);
   }
 
   // Default: Component-based analysis (scans all @Component files)
@@ -474,14 +1091,22 @@ async function main() {
   let componentResults;
   if (opts.workers !== 'sync') {
     componentResults = await analyzeByComponentAsync(opts.files[0], {
+      ...configOptions,
       tier: opts.tier,
       ignore: ignore,
-      workers: opts.workers
+      workers: opts.workers,
+      componentFiles: changedComponentFiles || undefined,
+      project: opts.project || undefined,
+      perProject: opts.perProject
     });
   } else {
     componentResults = analyzeByComponent(opts.files[0], {
+      ...configOptions,
       tier: opts.tier,
-      ignore: ignore
+      ignore: ignore,
+      componentFiles: changedComponentFiles || undefined,
+      project: opts.project || undefined,
+      perProject: opts.perProject
     });
   }
 
@@ -490,8 +1115,18 @@ async function main() {
     process.exit(2);
   }
 
+  componentResults = handleHistory(componentResults, opts);
+  componentResults = handleBaseline(componentResults, opts);
+
   // Output to console
   console.log(formatComponentResults(componentResults));
+  const projectResults = formatProjectResults(componentResults);
+  if (projectResults) console.log(projectResults + '\n');
+  const componentBaselineSummary = formatBaselineSummary(componentResults);
+  if (componentBaselineSummary) console.log(c.cyan + componentBaselineSummary + c.reset);
+  const componentHistorySummary = formatHistorySummary(componentResults);
+  if (componentHistorySummary) console.log(c.cyan + componentHistorySummary + c.reset);
+  const componentUnusedDisables = reportSuppressions(componentResults, opts);
 
   // Optimize issues by collapsing to root cause
   const optimizedComponentResults = optimizeIssues(componentResults, opts.files[0], {
@@ -500,22 +1135,12 @@ async function main() {
   
   const compSummary = getOptimizationSummary(optimizedComponentResults);
   if (compSummary) console.log(c.cyan + compSummary + c.reset);
+  const componentGateFailed = checkGate(componentResults, optimizedComponentResults, gate);
 
-  // Write custom format if requested
-  if (opts.format && opts.format !== 'console') {
-    const formatters = loadAllFormatters();
-    const formatter = formatters.get(opts.format);
-    if (formatter) {
-      const outputPath = opts.output || `mat-a11y-report${formatter.fileExtension || '.txt'}`;
-      fs.writeFileSync(outputPath, formatter.format(optimizedComponentResults));
-      console.log(c.green + `${opts.format} report: ${outputPath}` + c.reset);
-    } else {
-      console.error(c.red + `Unknown format: ${opts.format}` + c.reset);
-      console.log('Available formats: ' + listFormatters().join(', '));
-    }
-  }
+  // Write custom format (and config "outputs") if requested
+  writeReports(optimizedComponentResults, opts, config.outputs);
 
-  process.exit(componentResults.totalIssues > 0 ? 1 : 0);
+  process.exit(componentGateFailed || componentUnusedDisables ? 1 : 0);
 }
 
 // Make main async
@@ -45,7 +45,7 @@ function loadAllCheckResults() {
 
   for (const [checkName, checkModule] of registry) {
     const checkPath = path.join(CHECKS_DIR, checkName);
-    const ext = checkModule.type === 'html' ? '.html' : '.scss';
+    const ext = checkModule.type === 'html' ? '.html' : (checkModule.type === 'ts' ? '.ts' : '.scss');
     const verifyPath = path.join(checkPath, `verify${ext}`);
 
     if (!fs.existsSync(verifyPath)) continue;
@@ -160,7 +160,7 @@ function generateUrlResult(urlPath, checkResults, issueCount) {
   for (const check of selectedChecks) {
     // Pick 1-3 issues from this check
     const checkIssues = pickRandom(check.issues, Math.min(3, check.issues.length));
-    const fileExt = check.type === 'html' ? 'html' : 'scss';
+    const fileExt = check.type === 'html' ? 'html' : (check.type === 'ts' ? 'ts' : 'scss');
     const filePath = `src/app${urlPath === '/' ? '/home' : urlPath}/component.${fileExt}`;
     files.add(filePath);
 
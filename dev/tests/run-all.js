@@ -11,8 +11,8 @@
  *   node dev/tests/run-all.js --verbose # Full output
  * 
  * Dev tests verify:
- * - Check implementations (82 checks against verify files)
- * - Formatters (17 formatters against fixtures)
+ * - Check implementations (90 checks against verify files)
+ * - Formatters (18 formatters against fixtures)
  * - Page resolver (component registry and recursive resolution)
  * - Error robustness (PageResolver and ComponentRegistry edge cases)
  * - Verify file structure (required sections in verify files)
@@ -37,14 +37,39 @@ const devToolsDir = path.resolve(__dirname, '..');
 const rootDir = path.resolve(devToolsDir, '..');
 
 const tests = [
-  { name: 'Verify Files', count: '82 files', cmd: 'node dev/verify-structure.js' },
-  { name: 'Formatters', count: '17×17', cmd: 'node dev/verify-formatters.js' },
-  { name: 'Consulting Promo', count: '18 formatters', cmd: 'node dev/tests/test-consulting-promo.js' },
+  { name: 'Verify Files', count: '90 files', cmd: 'node dev/verify-structure.js' },
+  { name: 'Formatters', count: '18×17', cmd: 'node dev/verify-formatters.js' },
+  { name: 'Consulting Promo', count: '19 formatters', cmd: 'node dev/tests/test-consulting-promo.js' },
   { name: 'Package Contents', count: 'pack list clean', cmd: 'node dev/tests/test-package-contents.js' },
   { name: 'Result Normalization', count: '6 scenarios', cmd: 'node dev/tests/test-result-normalization.js' },
-  { name: 'A11y Checks', count: '82 checks', cmd: 'node dev/tests/verify-checks.js' },
+  { name: 'A11y Checks', count: '90 checks', cmd: 'node dev/tests/verify-checks.js' },
   { name: 'Page Resolver', count: '51 tests', cmd: 'node dev/tests/verify-page-resolver.js' },
   { name: 'SCSS Graph', count: '13 tests', cmd: 'node dev/tests/test-scss-graph.js' },
+  { name: 'Project Config', count: '10 tests', cmd: 'node dev/tests/test-config.js' },
+  { name: 'Baseline', count: '8 tests', cmd: 'node dev/tests/test-baseline.js' },
+  { name: 'Inline Suppressions', count: '10 tests', cmd: 'node dev/tests/test-suppressions.js' },
+  { name: 'Issue Locations', count: '5 tests', cmd: 'node dev/tests/test-locations.js' },
+  { name: 'Structured Issues', count: '5 tests', cmd: 'node dev/tests/test-issues.js' },
+  { name: 'Template Parser', count: '8 tests', cmd: 'node dev/tests/test-template-parser.js' },
+  { name: 'Autofix', count: '8 tests', cmd: 'node dev/tests/test-fix.js' },
+  { name: 'Watch Mode', count: '8 tests', cmd: 'node dev/tests/test-watch.js' },
+  { name: 'Changed Files', count: '6 tests', cmd: 'node dev/tests/test-changed.js' },
+  { name: 'Quality Gate', count: '7 tests', cmd: 'node dev/tests/test-gate.js' },
+  { name: 'TypeScript Checks', count: '9 tests', cmd: 'node dev/tests/test-ts-checks.js' },
+  { name: 'Page Composer', count: '6 tests', cmd: 'node dev/tests/test-page-composer.js' },
+  { name: 'Route Analysis', count: '10 tests', cmd: 'node dev/tests/test-routes.js' },
+  { name: 'Sitemap Index', count: '7 tests', cmd: 'node dev/tests/test-sitemap-index.js' },
+  { name: 'Scan History', count: '8 tests', cmd: 'node dev/tests/test-history.js' },
+  { name: 'Report Diff', count: '7 tests', cmd: 'node dev/tests/test-report-diff.js' },
+  { name: 'Plugins', count: '9 tests', cmd: 'node dev/tests/test-plugins.js' },
+  { name: 'Component Mapping', count: '7 tests', cmd: 'node dev/tests/test-component-map.js' },
+  { name: 'i18n Names', count: '9 tests', cmd: 'node dev/tests/test-i18n.js' },
+  { name: 'Workspaces', count: '8 tests', cmd: 'node dev/tests/test-workspace.js' },
+  { name: 'Material Themes', count: '8 tests', cmd: 'node dev/tests/test-material-theme.js' },
+  { name: 'Non-text Contrast', count: '7 tests', cmd: 'node dev/tests/test-non-text-contrast.js' },
+  { name: 'Color Inheritance', count: '7 tests', cmd: 'node dev/tests/test-color-inheritance.js' },
+  { name: 'WCAG 2.2', count: '7 tests', cmd: 'node dev/tests/test-wcag22.js' },
+  { name: 'WCAG Conformance', count: '8 tests', cmd: 'node dev/tests/test-conformance.js' },
   { name: 'Issue Optimizer', count: '12 tests', cmd: 'node dev/tests/test-issue-optimizer.js' },
   { name: 'SCSS Functions', count: '43 tests', cmd: 'node dev/tests/test-scss-functions.js' },
   { name: 'Variable Resolver', count: '27 tests', cmd: 'node dev/tests/test-variable-resolver.js' },
@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Tests for Baseline Support
+ *
+ * Verifies that the baseline module correctly:
+ * - Fingerprints issues independent of line numbers
+ * - Tracks duplicate issues by count
+ * - Reports new and fixed issues after unrelated and related edits
+ * - Filters component-based and file-based results
+ * - Surfaces the comparison in SARIF and JUnit output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getIssueFingerprint,
+  createBaseline,
+  writeBaseline,
+  readBaseline,
+  applyBaseline
+} = require('../../src/core/baseline');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { analyze } = require('../../src/index');
+const sarif = require('../../src/formatters/sarif');
+const junit = require('../../src/formatters/junit');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+const COMPONENT_TS = `
+import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-home',
+  templateUrl: './home.component.html'
+})
+export class HomeComponent {}
+`;
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-baseline-'));
+
+  const appDir = path.join(FIXTURE_DIR, 'src', 'app');
+  fs.mkdirSync(appDir, { recursive: true });
+
+  fs.writeFileSync(path.join(appDir, 'home.component.ts'), COMPONENT_TS);
+  fs.writeFileSync(path.join(appDir, 'home.component.html'), `
+<button></button>
+<img src="logo.png">
+`);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+function writeTemplate(content) {
+  fs.writeFileSync(path.join(FIXTURE_DIR, 'src', 'app', 'home.component.html'), content);
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nBaseline Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    const srcDir = path.join(FIXTURE_DIR, 'src');
+    const analyzeOpts = { config: false };
+
+    // Test 1: Line numbers don't affect fingerprints
+    test('getIssueFingerprint ignores line numbers', () => {
+      const a = getIssueFingerprint({ check: 'buttonNames', file: 'a.html', message: '[Error] x\n  Found: <button> (line 3)' });
+      const b = getIssueFingerprint({ check: 'buttonNames', file: 'a.html', message: '[Error] x\n  Found: <button> (line 42)' });
+      assertEqual(a.fingerprint, b.fingerprint);
+      assertEqual(a.element, '<button>');
+    });
+
+    // Test 2: Check and file are part of the fingerprint
+    test('getIssueFingerprint distinguishes check and file', () => {
+      const issue = { message: '[Error] x\n  Found: <button>' };
+      const base = getIssueFingerprint({ ...issue, check: 'buttonNames', file: 'a.html' }).fingerprint;
+      assertTrue(base !== getIssueFingerprint({ ...issue, check: 'linkNames', file: 'a.html' }).fingerprint, 'Check should matter');
+      assertTrue(base !== getIssueFingerprint({ ...issue, check: 'buttonNames', file: 'b.html' }).fingerprint, 'File should matter');
+    });
+
+    // Test 3: Paths are stored relative to the project
+    test('createBaseline stores project-relative paths and counts duplicates', () => {
+      const results = {
+        tier: 'full',
+        components: [{
+          name: 'A',
+          issues: [
+            { check: 'buttonNames', file: path.join(FIXTURE_DIR, 'src', 'a.html'), message: '[Error] x\n  Found: <button> (line 1)' },
+            { check: 'buttonNames', file: path.join(FIXTURE_DIR, 'src', 'a.html'), message: '[Error] x\n  Found: <button> (line 9)' }
+          ]
+        }]
+      };
+      const baseline = createBaseline(results, { projectDir: FIXTURE_DIR });
+      assertEqual(baseline.total, 2);
+      assertEqual(baseline.issues.length, 1);
+      assertEqual(baseline.issues[0].file, 'src/a.html');
+      assertEqual(baseline.issues[0].count, 2);
+    });
+
+    // Test 4: Round trip through a file
+    test('writeBaseline / readBaseline round trip, invalid files throw', () => {
+      const file = path.join(FIXTURE_DIR, 'baseline.json');
+      const baseline = createBaseline(analyzeByComponent(srcDir, analyzeOpts), { projectDir: FIXTURE_DIR });
+      writeBaseline(file, baseline);
+      assertEqual(readBaseline(file), baseline);
+
+      fs.writeFileSync(path.join(FIXTURE_DIR, 'bad.json'), '{"version":1}');
+      let threw = false;
+      try { readBaseline(path.join(FIXTURE_DIR, 'bad.json')); } catch (e) { threw = true; }
+      assertTrue(threw, 'Baseline without issues should throw');
+    });
+
+    // Test 5: Unrelated edits keep everything unchanged
+    test('applyBaseline reports nothing new after unrelated edits', () => {
+      const baseline = createBaseline(analyzeByComponent(srcDir, analyzeOpts), { projectDir: FIXTURE_DIR });
+      writeTemplate(`
+<h1>Welcome</h1>
+<p>Some new text that shifts every line down.</p>
+
+<button></button>
+<img src="logo.png">
+`);
+      const filtered = applyBaseline(analyzeByComponent(srcDir, analyzeOpts), baseline, { projectDir: FIXTURE_DIR });
+      assertEqual(filtered.baseline.new, 0);
+      assertEqual(filtered.baseline.fixed, 0);
+      assertEqual(filtered.baseline.unchanged, baseline.total);
+      assertEqual(filtered.components.length, 0, 'No component should have new issues');
+    });
+
+    // Test 6: New and fixed issues
+    test('applyBaseline detects new and fixed issues', () => {
+      writeTemplate(`
+<button></button>
+<img src="logo.png">
+`);
+      const baseline = createBaseline(analyzeByComponent(srcDir, analyzeOpts), { projectDir: FIXTURE_DIR });
+      writeTemplate(`
+<button></button>
+<img src="logo.png" alt="Logo">
+<a href="/home"></a>
+`);
+      const results = analyzeByComponent(srcDir, analyzeOpts);
+      const filtered = applyBaseline(results, baseline, { projectDir: FIXTURE_DIR });
+      const newIssues = filtered.components.flatMap(comp => comp.issues);
+
+      assertTrue(filtered.baseline.new > 0, 'Should report new issues');
+      assertTrue(newIssues.every(i => i.check !== 'buttonNames'), 'Baseline buttonNames issue should be hidden');
+      assertTrue(newIssues.every(i => i.baselineState === 'new' && i.fingerprint), 'New issues should be marked');
+      assertTrue(filtered.baseline.fixedIssues.some(i => i.check === 'imageAlt'), 'imageAlt should be fixed');
+      assertEqual(filtered.totalIssues, newIssues.length);
+      assertTrue(results.components.length > 0 && results.baseline === undefined, 'Input should not be mutated');
+    });
+
+    // Test 7: File-based results
+    test('applyBaseline filters file-based results', () => {
+      writeTemplate(`
+<button></button>
+<img src="logo.png">
+`);
+      const baseline = createBaseline(analyze(srcDir, { ...analyzeOpts, tier: 'full' }), { projectDir: FIXTURE_DIR });
+      writeTemplate(`
+<img src="logo.png">
+<button></button>
+<button></button>
+`);
+      const filtered = applyBaseline(analyze(srcDir, { ...analyzeOpts, tier: 'full' }), baseline, { projectDir: FIXTURE_DIR });
+      assertEqual(filtered.baseline.new, 1, 'Second identical button is new');
+      assertEqual(filtered.summary.issues.length, 1);
+      const fileIssues = Object.values(filtered.files).flat().flatMap(r => r.issues);
+      assertEqual(fileIssues.length, 1, 'files map should only list new issues');
+    });
+
+    // Test 8: SARIF and JUnit output
+    test('SARIF and JUnit report the baseline comparison', () => {
+      writeTemplate(`
+<button></button>
+`);
+      const baseline = createBaseline(analyzeByComponent(srcDir, analyzeOpts), { projectDir: FIXTURE_DIR });
+      writeTemplate(`
+<button></button>
+<img src="logo.png">
+`);
+      const filtered = applyBaseline(analyzeByComponent(srcDir, analyzeOpts), baseline, { projectDir: FIXTURE_DIR });
+
+      const log = JSON.parse(sarif.format(filtered));
+      const sarifResults = log.runs[0].results;
+      assertTrue(sarifResults.length > 0, 'SARIF should list new issues');
+      assertTrue(sarifResults.every(r => r.baselineState === 'new'), 'SARIF results should be new');
+      assertTrue(sarifResults.every(r => r.partialFingerprints && r.partialFingerprints['matA11y/v1']), 'SARIF should carry fingerprints');
+
+      const xml = junit.format(filtered);
+      assertTrue(xml.includes('baselineNew'), 'JUnit should include baseline properties');
+    });
+
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * Tests for Changed-File Analysis (--changed-since / --staged)
+ *
+ * Verifies that:
+ * - getChangedFiles() lists committed, unstaged and untracked changes since a ref
+ * - --staged only lists files in the index
+ * - Refs that start with `-` are rejected instead of passed to git as options
+ * - Changed templates, stylesheets and .ts files map to their component
+ * - Changed partials map to every component that imports them (transitively)
+ * - Only the picked components are analyzed, and the output says why
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getChangedFiles, findChangedComponents, formatChangedComponents } = require('../../src/core/changedFiles');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function git(...args) {
+  execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+    { cwd: FIXTURE_DIR, stdio: 'ignore' });
+}
+
+function componentTs(name, className) {
+  return `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html',
+  styleUrls: ['./${name}.component.scss']
+})
+export class ${className} {}
+`;
+}
+
+// Setup test fixtures: a git repository with three components and shared partials
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-changed-'));
+
+  write('src/styles/_tokens.scss', '$gap: 8px;\n');
+  write('src/styles/_theme.scss', "@use 'tokens';\n");
+
+  for (const [name, className] of [['home', 'HomeComponent'], ['about', 'AboutComponent'], ['contact', 'ContactComponent']]) {
+    write(`src/app/${name}/${name}.component.ts`, componentTs(name, className));
+    write(`src/app/${name}/${name}.component.html`, `<h1>${className}</h1>\n`);
+  }
+  write('src/app/home/home.component.scss', "@use '../../styles/theme';\n.home { margin: 0; }\n");
+  write('src/app/about/about.component.scss', "@use '../../styles/tokens';\n.about { margin: 0; }\n");
+  write('src/app/contact/contact.component.scss', '.contact { margin: 0; }\n');
+
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'initial');
+  git('tag', 'base');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function relative(files) {
+  return files.map(file => path.relative(FIXTURE_DIR, file).split(path.sep).join('/')).sort();
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nChanged-File Analysis Tests\n' + c.reset);
+
+  setupFixtures();
+  try {
+    // Test 1: Changes since a ref
+    test('getChangedFiles() lists committed, modified and untracked files since a ref', () => {
+      write('src/app/home/home.component.html', '<h1>Home</h1>\n<img src="logo.png">\n');
+      git('commit', '-q', '-am', 'home');
+      write('src/styles/_tokens.scss', '$gap: 12px;\n');
+      write('src/app/new.txt', 'untracked\n');
+
+      assertEqual(relative(getChangedFiles(FIXTURE_DIR, { since: 'base' })),
+        ['src/app/home/home.component.html', 'src/app/new.txt', 'src/styles/_tokens.scss']);
+      assertEqual(relative(getChangedFiles(FIXTURE_DIR, {})),
+        ['src/app/new.txt', 'src/styles/_tokens.scss'], 'Defaults to HEAD');
+      assertEqual(relative(getChangedFiles(path.join(FIXTURE_DIR, 'src', 'app'), { since: 'base' })),
+        ['src/app/home/home.component.html', 'src/app/new.txt'], 'Only changes below the project directory');
+    });
+
+    // Test 2: Staged
+    test('--staged lists only files in the index', () => {
+      assertEqual(getChangedFiles(FIXTURE_DIR, { staged: true }), []);
+      git('add', 'src/styles/_tokens.scss');
+      assertEqual(relative(getChangedFiles(FIXTURE_DIR, { staged: true })), ['src/styles/_tokens.scss']);
+    });
+
+    // Test 3: Git errors
+    test('unknown refs and missing repositories are reported as errors', () => {
+      let error = null;
+      try {
+        getChangedFiles(FIXTURE_DIR, { since: 'no-such-ref' });
+      } catch (e) {
+        error = e;
+      }
+      assertTrue(error && error.message.startsWith('git diff failed:'), String(error && error.message));
+
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-nogit-'));
+      try {
+        let repoError = null;
+        try {
+          getChangedFiles(outside, { since: 'HEAD' });
+        } catch (e) {
+          repoError = e;
+        }
+        assertTrue(repoError && repoError.message.startsWith('git rev-parse failed:'), String(repoError && repoError.message));
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    // Test 4: Option-like refs
+    test('refs that start with - are rejected, not passed to git as options', () => {
+      const output = path.join(FIXTURE_DIR, 'diff-output.txt');
+      for (const since of [`--output=${output}`, '-p']) {
+        let error = null;
+        try {
+          getChangedFiles(FIXTURE_DIR, { since });
+        } catch (e) {
+          error = e;
+        }
+        assertEqual(error && error.message, `Invalid git ref: ${since}`);
+      }
+      assertTrue(!fs.existsSync(output), 'git diff did not write the output file');
+    });
+
+    // Test 5: Mapping
+    test('changed files map to their components, partials to all importers', () => {
+      const files = [
+        path.join(FIXTURE_DIR, 'src/app/home/home.component.html'),
+        path.join(FIXTURE_DIR, 'src/styles/_tokens.scss'),
+        path.join(FIXTURE_DIR, 'src/app/new.txt')
+      ];
+      const components = findChangedComponents(FIXTURE_DIR, files);
+      const byName = Object.fromEntries(components.map(component => [component.name, component.reasons.map(reason =>
+        `${reason.type} ${relative([reason.file])[0]}${reason.via ? ' via ' + path.basename(reason.via) : ''}`)]));
+
+      assertEqual(byName, {
+        AboutComponent: ['imports src/styles/_tokens.scss via about.component.scss'],
+        HomeComponent: [
+          'changed src/app/home/home.component.html',
+          'imports src/styles/_tokens.scss via home.component.scss'
+        ]
+      }, 'Home imports _tokens through _theme; Contact is untouched');
+
+      const ts = findChangedComponents(FIXTURE_DIR, [path.join(FIXTURE_DIR, 'src/app/contact/contact.component.ts')]);
+      assertEqual(ts.map(component => component.name), ['ContactComponent']);
+    });
+
+    // Test 6: Analysis and output
+    test('only the picked components are analyzed and the output says why', () => {
+      const files = getChangedFiles(FIXTURE_DIR, { since: 'base' });
+      const components = findChangedComponents(FIXTURE_DIR, files);
+      const results = analyzeByComponent(FIXTURE_DIR, {
+        tier: 'full',
+        config: false,
+        componentFiles: components.map(component => component.filePath)
+      });
+      assertEqual(results.totalComponentsScanned, 2);
+      assertEqual(results.components.map(component => component.name), ['HomeComponent'], 'imageAlt in home');
+
+      const text = formatChangedComponents({ label: 'Changed since base', files, components }, { cwd: FIXTURE_DIR });
+      const lines = text.split('\n');
+      assertEqual(lines[0], 'Changed since base: 3 files, 2 components to scan');
+      assertTrue(lines.includes('  HomeComponent (src/app/home/home.component.ts)'), text);
+      assertTrue(lines.includes('    - changed src/app/home/home.component.html'), text);
+      assertTrue(lines.includes('    - imports src/styles/_tokens.scss (via src/app/about/about.component.scss)'), text);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
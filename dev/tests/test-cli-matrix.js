@@ -162,7 +162,9 @@ function buildRuns({ tierName, tmpOutDir, tmpCwd }) {
     { id: 'component', args: [] },
     { id: 'file', args: ['--file-based'] },
     { id: 'sitemap', args: ['--sitemap'] },
-    { id: 'sitemap-deep', args: ['--sitemap', '--deep'] }
+    { id: 'sitemap-deep', args: ['--sitemap', '--deep'] },
+    { id: 'routes', args: ['--routes'] },
+    { id: 'routes-deep', args: ['--routes', '--deep'] }
   ];
 
   const tiers = {
@@ -174,13 +176,13 @@ function buildRuns({ tierName, tmpOutDir, tmpCwd }) {
     },
     // Medium: all modes, representative formats, multiple tiers.
     advanced: {
-      modes: ['component', 'file', 'sitemap', 'sitemap-deep'],
+      modes: ['component', 'file', 'sitemap', 'sitemap-deep', 'routes', 'routes-deep'],
       formats: ['ai', 'json', 'sarif', 'junit', 'github-annotations', 'gitlab-codequality', 'sonarqube', 'prometheus', 'slack', 'markdown', 'csv', 'html'],
       tierFlags: ['--basic', '--material', '--full']
     },
     // Full: try everything (all formats × all modes × full tier), plus a few default-filename checks.
     full: {
-      modes: ['component', 'file', 'sitemap', 'sitemap-deep'],
+      modes: ['component', 'file', 'sitemap', 'sitemap-deep', 'routes', 'routes-deep'],
       formats: formatters.map(f => f.name),
       tierFlags: ['--full']
     }
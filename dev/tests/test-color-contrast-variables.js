@@ -253,7 +253,7 @@ test('detects dark mode CSS variables from @media query', () => {
   // Light mode: white on #1a56db = 4.68:1 (good)
   // Dark mode: white on #60a5fa = 2.54:1 (bad)
   assert(!result.pass, 'Should flag dark mode contrast issue');
-  const hasDarkModeIssue = result.issues.some(i => i.includes('dark mode'));
+  const hasDarkModeIssue = result.issues.some(i => i.element.includes('dark mode'));
   assert(hasDarkModeIssue, 'Should specifically mention dark mode');
 });
 
@@ -297,7 +297,7 @@ test('dark mode class override fixes contrast (no false positive)', () => {
   // Base: white on #60a5fa = 2.54:1 (bad)
   // But dark-mode override fixes it: #1f2937 on #60a5fa = 7.2:1 (good)
   // Should NOT flag dark mode issue since it's fixed
-  const hasDarkModeIssue = result.issues.some(i => i.includes('dark mode'));
+  const hasDarkModeIssue = result.issues.some(i => i.element.includes('dark mode'));
   assert(!hasDarkModeIssue, 'Should NOT flag dark mode when override fixes it');
 });
 
@@ -455,7 +455,7 @@ test('full dark mode setup with variables', () => {
   const result = colorContrastCheck.check(scss);
   // .hero: good in both modes
   // .cta-button: white on #3b82f6 = 4.5:1 (borderline), white on #60a5fa = 2.54:1 (bad)
-  const ctaIssue = result.issues.some(i => i.includes('cta-button') || i.includes('dark mode'));
+  const ctaIssue = result.issues.some(i => i.element.includes('cta-button') || i.element.includes('dark mode'));
   assert(ctaIssue || !result.pass, 'Should detect dark mode contrast issue in cta-button');
 });
 
@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Tests for the cross-file color cascade (core/colorInheritance)
+ *
+ * Verifies that:
+ * - Child component text is checked against the nearest background rendered
+ *   behind it: a parent's :host, a wrapper element in the parent template,
+ *   or the global styles (angular.json `styles`)
+ * - Translucent backgrounds are composited and dark mode is checked separately
+ * - Text with no known background, or with its own, is left to colorContrast
+ * - Inline suppressions apply, and worker mode reports the same issues
+ * - Parents outside the analyzed components (--changed-since) still count
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInheritanceModel, getInheritedBackgrounds } = require('../../src/core/colorInheritance');
+const colorContrast = require('../../src/checks/colorContrast');
+const { buildComponentRegistry } = require('../../src/core/componentRegistry');
+const { buildContext } = require('../../src/core/variableResolver');
+const { analyzeByComponent, analyzeByComponentAsync } = require('../../src/core/componentAnalyzer');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return filePath;
+}
+
+function component(dir, selector, className, template, styles = null) {
+  write(`src/app/${dir}/${dir}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: '${selector}',
+  templateUrl: './${dir}.component.html'${styles !== null ? `,
+  styleUrls: ['./${dir}.component.scss']` : ''}
+})
+export class ${className} {}
+`);
+  write(`src/app/${dir}/${dir}.component.html`, template);
+  if (styles !== null) write(`src/app/${dir}/${dir}.component.scss`, styles);
+}
+
+// Setup test fixtures: a dashboard (white :host, blue hero section) renders
+// a card and a stat; the app shell renders a footer on the global body background
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-inheritance-'));
+  write('angular.json', {
+    version: 1,
+    projects: {
+      shop: {
+        projectType: 'application',
+        root: '',
+        sourceRoot: 'src',
+        architect: { build: { options: { styles: ['src/styles.scss'] } } }
+      }
+    }
+  });
+  write('src/styles.scss', `$page-background: #fafafa;
+
+body {
+  margin: 0;
+  background: $page-background;
+}
+`);
+  component('app', 'app-root', 'AppComponent', '<app-dashboard></app-dashboard>\n<app-footer></app-footer>\n');
+  component('dashboard', 'app-dashboard', 'DashboardComponent',
+    '<section class="hero">\n  <app-card></app-card>\n</section>\n<app-stat></app-stat>\n',
+    ':host {\n  display: block;\n  background: #ffffff;\n}\n\n.hero {\n  background: #0d47a1;\n}\n');
+  component('card', 'app-card', 'CardComponent', '<h2 class="title">Title</h2>\n', '.title {\n  color: #ffffff;\n}\n');
+  component('stat', 'app-stat', 'StatComponent', '<span class="value">42</span>\n<span class="hint">Orders</span>\n',
+    `.value {
+  font-size: 2rem;
+  color: #ffffff;
+}
+
+// mat-a11y-disable-next-line colorContrast -- hint is decorative, the value is announced
+.hint { color: #f5f5f5; }
+`);
+  component('footer', 'app-footer', 'FooterComponent', '<p class="note">Terms</p>\n', '.note {\n  color: #e6e6e6;\n}\n');
+}
+
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// In-memory registry entry (componentRegistry shape)
+function entry(selector, template, styles) {
+  return [selector, { selector, filePath: `/app/${selector}.component.ts`, template, styles }];
+}
+
+// Inherited colorContrast issues of the analysis, as [component, element]
+function inheritedIssues(results) {
+  return results.components
+    .flatMap(comp => comp.issues.filter(issue => issue.check === 'colorContrast').map(issue => [comp.name, issue.element]))
+    .sort();
+}
+
+const EXPECTED_ISSUES = [
+  ['FooterComponent', '".note": #e6e6e6 on #fafafa ("body" in styles.scss)'],
+  ['StatComponent', '".value": #ffffff on #ffffff (":host" in dashboard.component.scss)']
+];
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nColor Inheritance Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: Parent :host
+    test('child text is checked against the parent :host background', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+      const stat = results.components.find(comp => comp.name === 'StatComponent');
+      const issue = stat.issues.find(i => i.check === 'colorContrast');
+      assertEqual(issue.code, 'COLOR_CONTRAST_INHERITED');
+      assertEqual(issue.element, EXPECTED_ISSUES[1][1]);
+      assertTrue(issue.message.includes('1.00:1') && issue.message.includes('dashboard.component.scss'),
+        'Message names the ratio and the background source');
+      assertTrue(issue.file.endsWith('stat.component.scss'), 'Issue points at the child stylesheet');
+      assertEqual(issue.location.line, 1);
+    });
+
+    // Test 2: Global styles and parent template
+    test('global body backgrounds and parent template wrappers are inherited', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+      assertEqual(inheritedIssues(results), EXPECTED_ISSUES, 'White card title on the blue hero passes');
+
+      // The model reads the page composition of the component registry
+      const model = createInheritanceModel(buildComponentRegistry(FIXTURE_DIR),
+        [{ file: path.join(FIXTURE_DIR, 'src/styles.scss') }], buildContext(FIXTURE_DIR));
+      assertEqual(getInheritedBackgrounds(model, 'app-card').map(e => [e.selector, e.background, e.source]),
+        [['.title', '#0d47a1', '".hero" in dashboard.component.scss']]);
+    });
+
+    // Test 3: Suppressions
+    test('inline suppressions silence inherited contrast issues', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+      const stat = results.components.find(comp => comp.name === 'StatComponent');
+      assertEqual(stat.suppressed.map(s => [s.check, s.element]),
+        [['colorContrast', '".hint": #f5f5f5 on #ffffff (":host" in dashboard.component.scss)']]);
+    });
+
+    // Test 4: Worker mode
+    await testAsync('worker threads report the same inherited issues', async () => {
+      const results = await analyzeByComponentAsync(FIXTURE_DIR, { tier: 'full', config: false, workers: 1 });
+      assertEqual(inheritedIssues(results), EXPECTED_ISSUES);
+      assertEqual(results.suppressions.count, 1);
+    });
+
+    // Test 5: Picked component files
+    test('parents outside the picked component files still provide the background', () => {
+      const statFile = path.join(FIXTURE_DIR, 'src/app/stat/stat.component.ts');
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false, componentFiles: [statFile] });
+      assertEqual(inheritedIssues(results), [EXPECTED_ISSUES[1]]);
+    });
+
+    // Test 6: Compositing and dark mode
+    test('translucent backgrounds are composited and dark mode is resolved separately', () => {
+      const model = createInheritanceModel(new Map([
+        entry('app-shell', '<div class="scrim"><app-badge></app-badge></div>', '.scrim { background: rgba(0, 0, 0, 0.5); }'),
+        entry('app-badge', '<span class="label">New</span>', '.label { color: var(--badge-text); }')
+      ]), [{
+        file: '/app/styles.css',
+        content: `:root { --badge-text: #ffffff; }
+body { background: #ffffff; }
+@media (prefers-color-scheme: dark) {
+  :root { --badge-text: #9e9e9e; }
+  body { background: #121212; }
+}`
+      }]);
+      assertEqual(getInheritedBackgrounds(model, 'app-badge').map(e => [e.mode, e.color, e.background, e.source]), [
+        ['light', '#ffffff', '#808080', '".scrim" in app-shell.component.ts'],
+        ['dark', '#9e9e9e', '#090909', '".scrim" in app-shell.component.ts']
+      ]);
+
+      const result = colorContrast.check('.label { color: var(--badge-text); }', {
+        scssVars: new Map(), cssVars: new Map(), maps: new Map(),
+        inherited: getInheritedBackgrounds(model, 'app-badge')
+      });
+      assertEqual(result.issues.map(issue => [issue.code, issue.element]), [
+        ['COLOR_CONTRAST_LARGE_TEXT', '".label": #ffffff on #808080 (".scrim" in app-shell.component.ts)']
+      ]);
+      assertEqual(result.elementsFound, 2);
+    });
+
+    // Test 7: Nothing to inherit
+    test('text with its own background, state styles and unknown backgrounds are skipped', () => {
+      const model = createInheritanceModel(new Map([
+        entry('app-page', '<app-chip></app-chip>', ':host { display: block; }'),
+        entry('app-chip', '<span class="chip">A</span><a class="link">B</a>',
+          '.chip { color: #ffffff; background: #1565c0; }\n.link:hover { color: #ffffff; }\n.link { color: #fafafa; }')
+      ]));
+      assertEqual(getInheritedBackgrounds(model, 'app-chip'), []);
+      assertEqual(getInheritedBackgrounds(model, 'app-missing'), []);
+      assertEqual(getInheritedBackgrounds(createInheritanceModel(null), 'app-chip'), []);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
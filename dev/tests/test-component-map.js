@@ -0,0 +1,290 @@
+'use strict';
+
+/**
+ * Tests for wrapper component mapping (config "components" / "deriveComponents")
+ *
+ * Verifies that:
+ * - Map entries are normalized from the config and invalid entries reported
+ * - Wrapper tags are rewritten to their mapped element without moving lines
+ * - Existing checks report wrappers, at the wrapper's location and with its markup
+ * - Entries are derived from wrapper templates with a single Material root
+ * - Mapping works in component, worker and file-based mode, with inline suppressions
+ * - The CLI reads the mapping from the project config
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  parseTarget,
+  normalizeComponentMap,
+  deriveComponentMap,
+  applyComponentMap
+} = require('../../src/core/componentMap');
+const { buildComponentRegistry } = require('../../src/core/componentRegistry');
+const { analyzeByComponent, analyzeByComponentAsync } = require('../../src/core/componentAnalyzer');
+const { validateConfig } = require('../../src/core/config');
+const { analyze } = require('../../src/index');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const COMPONENTS = {
+  'acme-button': { as: 'button[mat-button]', label: 'label' },
+  'acme-checkbox': 'mat-checkbox'
+};
+
+const HOME_TEMPLATE = `<h1>Home</h1>
+<acme-button (click)="save()"></acme-button>
+<acme-button label="Save"></acme-button>
+<acme-button [label]="saveLabel"></acme-button>
+<acme-button>Cancel</acme-button>
+<acme-checkbox formControlName="terms"></acme-checkbox>
+<acme-checkbox>Accept terms</acme-checkbox>
+<!-- mat-a11y-disable-next-line buttonNames -- icon set by the design system -->
+<acme-button icon="close"></acme-button>
+`;
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(dir, selector, className, html) {
+  write(`src/app/${dir}/${dir}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: '${selector}',
+  templateUrl: './${dir}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${dir}/${dir}.component.html`, html);
+}
+
+// Setup test fixtures: the design system's wrappers, a page using them, and enough files for worker mode
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-component-map-'));
+  write('.mat-a11yrc', JSON.stringify({ components: COMPONENTS }));
+
+  component('acme-button', 'acme-button', 'AcmeButtonComponent',
+    '<button mat-flat-button color="primary" [attr.aria-label]="label">\n  <ng-content></ng-content>\n</button>\n');
+  component('acme-toggle', 'acme-toggle', 'AcmeToggleComponent',
+    '<!-- Design system toggle -->\n<mat-slide-toggle [checked]="checked">{{ caption }}</mat-slide-toggle>\n');
+  component('acme-card', 'acme-card', 'AcmeCardComponent', '<h2>{{ title }}</h2>\n<ng-content></ng-content>\n');
+
+  component('home', 'app-home', 'HomeComponent', HOME_TEMPLATE);
+  for (let i = 1; i <= 10; i++) {
+    component(`item${i}`, `app-item${i}`, `Item${i}Component`, '<acme-button label="Add"></acme-button>\n');
+  }
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Issues of the checks the wrappers are mapped for, as [check, line, column, element]
+function wrapperIssues(issues) {
+  return issues
+    .filter(issue => issue.check === 'buttonNames' || issue.check === 'matCheckboxLabel')
+    .map(issue => [issue.check, issue.location.line, issue.location.column, issue.element]);
+}
+
+const EXPECTED_HOME_ISSUES = [
+  ['buttonNames', 2, 1, '<acme-button (click)="save()"></acme-button>'],
+  ['matCheckboxLabel', 6, 1, '<acme-checkbox formControlName="terms"></acme-checkbox>']
+];
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURE_DIR, encoding: 'utf-8', timeout: 60000 });
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nComponent Mapping Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: Config entries
+    test('map entries are normalized from the config', () => {
+      assertEqual(parseTarget("input[matInput][type='checkbox']"), {
+        tag: 'input',
+        attrs: [{ name: 'matInput', value: null }, { name: 'type', value: 'checkbox' }]
+      });
+      assertEqual(parseTarget('button mat-button'), null);
+
+      const { map, errors } = normalizeComponentMap({
+        ...COMPONENTS,
+        'acme-chip': { as: 'mat-chip', inputs: { Text: 'aria-label' } }
+      });
+      assertEqual(errors, []);
+      assertEqual(map.get('acme-button'), {
+        selector: 'acme-button',
+        tag: 'button',
+        attrs: [{ name: 'mat-button', value: null }],
+        inputs: { label: 'aria-label' }
+      });
+      assertEqual(map.get('acme-checkbox').tag, 'mat-checkbox');
+      assertEqual(map.get('acme-chip').inputs, { text: 'aria-label' });
+
+      assertEqual(normalizeComponentMap({
+        button: 'mat-button',
+        'acme-select': { as: '.select' },
+        'acme-radio': { as: 'mat-radio-button', label: 42 }
+      }).errors, [
+        'Component "button" must be an element selector like "acme-button"',
+        'Component "acme-select": "as" must be an element selector like "button[mat-button]"',
+        'Component "acme-radio": "label" must be an input name'
+      ]);
+    });
+
+    // Test 2: Rewriting
+    test('wrapper tags are rewritten without moving lines', () => {
+      const { map } = normalizeComponentMap(COMPONENTS);
+      const template = '<acme-button\n  [label]="title"\n  (click)="go()">\n  <mat-icon>add</mat-icon>\n</acme-button>\n';
+      const mapped = applyComponentMap(template, map);
+      assertEqual(mapped.content,
+        '<button mat-button\n  [aria-label]="title"\n  (click)="go()">\n  <mat-icon>add</mat-icon>\n</button>\n');
+      assertEqual(mapped.original, template);
+      assertEqual(applyComponentMap('<button mat-button>Save</button>', map), null);
+      assertEqual(applyComponentMap('<acme-button>Save</acme-button>', null), null);
+    });
+
+    // Test 3: Component analysis
+    test('existing checks report wrappers at their location', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full' });
+      const home = results.components.find(comp => comp.name === 'HomeComponent');
+      assertEqual(wrapperIssues(home.issues), EXPECTED_HOME_ISSUES);
+      assertEqual(home.issues.find(issue => issue.check === 'buttonNames').data.element, EXPECTED_HOME_ISSUES[0][3]);
+      assertEqual(home.suppressed.map(entry => [entry.check, entry.line]), [['buttonNames', 9]]);
+
+      const unmapped = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+      const unmappedHome = (unmapped.components.find(comp => comp.name === 'HomeComponent') || { issues: [] });
+      assertEqual(wrapperIssues(unmappedHome.issues), [], 'wrappers are unknown without a mapping');
+    });
+
+    // Test 4: Derived entries
+    test('entries are derived from wrappers with a single Material root', () => {
+      const derived = deriveComponentMap(buildComponentRegistry(FIXTURE_DIR));
+      assertEqual([...derived.keys()].sort(), ['acme-button', 'acme-toggle']);
+      assertEqual(derived.get('acme-button'), {
+        selector: 'acme-button',
+        tag: 'button',
+        attrs: [{ name: 'mat-flat-button', value: null }],
+        inputs: { label: 'aria-label' }
+      });
+      assertEqual(derived.get('acme-toggle').tag, 'mat-slide-toggle');
+      assertEqual(derived.get('acme-toggle').inputs, { caption: 'aria-label' });
+
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false, deriveComponents: true });
+      const home = results.components.find(comp => comp.name === 'HomeComponent');
+      assertEqual(wrapperIssues(home.issues), [EXPECTED_HOME_ISSUES[0]], 'acme-checkbox has no wrapper to derive from');
+    });
+
+    // Test 5: Worker mode
+    await testAsync('wrappers are mapped in worker threads', async () => {
+      const results = await analyzeByComponentAsync(FIXTURE_DIR, { tier: 'full', workers: 1 });
+      const home = results.components.find(comp => comp.name === 'HomeComponent');
+      assertEqual(wrapperIssues(home.issues), EXPECTED_HOME_ISSUES);
+      assertEqual(results.suppressions.count, 1);
+      assertTrue(results.components.every(comp => comp.name === 'HomeComponent' ||
+        wrapperIssues(comp.issues).length === 0), 'labelled wrappers pass');
+    });
+
+    // Test 6: File-based analysis
+    test('wrappers are mapped in file-based analysis', () => {
+      const results = analyze(path.join(FIXTURE_DIR, 'src'), { tier: 'full', configFile: path.join(FIXTURE_DIR, '.mat-a11yrc') });
+      const issues = results.summary.issues.filter(issue => issue.file.endsWith('home.component.html'));
+      assertEqual(wrapperIssues(issues), EXPECTED_HOME_ISSUES);
+    });
+
+    // Test 7: Config and CLI
+    test('the CLI reads the mapping from the project config', () => {
+      assertEqual(validateConfig({ components: COMPONENTS, deriveComponents: true }).errors, []);
+      assertEqual(validateConfig({ components: { 'acme-button': 42 } }).errors,
+        ['Component "acme-button" must map to a selector or { as, label, inputs }']);
+      assertEqual(validateConfig({ deriveComponents: 'yes' }).errors, ['Config key "deriveComponents" must be a boolean']);
+
+      const run = runCli(['.', '--headless', '--json', '-o', 'report.json']);
+      assertEqual(run.status, 1, run.stderr);
+      const report = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'report.json'), 'utf-8'));
+      const home = report.raw.components.find(comp => comp.name === 'HomeComponent');
+      assertEqual(wrapperIssues(home.issues), EXPECTED_HOME_ISSUES);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
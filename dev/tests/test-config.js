@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Tests for Project Configuration
+ *
+ * Verifies that the config module correctly:
+ * - Discovers .mat-a11yrc / mat-a11y.config.js / package.json configs walking up
+ * - Validates config keys and values
+ * - Lets explicit options win over config values
+ * - Applies enable/disable, weight and severity overrides in the analyzers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  findConfigFile,
+  loadConfig,
+  validateConfig,
+  resolveOptions,
+  selectChecks,
+  applySeverityOverride
+} = require('../../src/core/config');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { analyze } = require('../../src/index');
+const { loadAllChecks } = require('../../src/core/loader');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-config-'));
+
+  const appDir = path.join(FIXTURE_DIR, 'app', 'src', 'app');
+  fs.mkdirSync(appDir, { recursive: true });
+
+  fs.writeFileSync(path.join(FIXTURE_DIR, 'app', 'package.json'), JSON.stringify({
+    name: 'fixture-app',
+    'mat-a11y': { tier: 'basic' }
+  }));
+
+  fs.writeFileSync(path.join(FIXTURE_DIR, 'app', 'src', '.mat-a11yrc'), JSON.stringify({
+    tier: 'full',
+    disable: ['imageAlt'],
+    weights: { buttonNames: 1 },
+    severity: { buttonNames: 'warning' }
+  }));
+
+  fs.writeFileSync(path.join(appDir, 'home.component.ts'), `
+import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-home',
+  templateUrl: './home.component.html'
+})
+export class HomeComponent {}
+`);
+
+  fs.writeFileSync(path.join(appDir, 'home.component.html'), `
+<button></button>
+<img src="logo.png">
+`);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nProject Config Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    const srcDir = path.join(FIXTURE_DIR, 'app', 'src');
+    const appDir = path.join(srcDir, 'app');
+
+    // Test 1: Nearest config wins when walking up
+    test('findConfigFile finds nearest .mat-a11yrc walking up', () => {
+      assertEqual(findConfigFile(appDir), path.join(srcDir, '.mat-a11yrc'));
+    });
+
+    // Test 2: package.json "mat-a11y" key
+    test('findConfigFile uses package.json with "mat-a11y" key', () => {
+      const found = findConfigFile(path.join(FIXTURE_DIR, 'app'));
+      assertEqual(found, path.join(FIXTURE_DIR, 'app', 'package.json'));
+      assertEqual(loadConfig(path.join(FIXTURE_DIR, 'app')).config.tier, 'basic');
+    });
+
+    // Test 3: mat-a11y.config.js
+    test('loadConfig reads mat-a11y.config.js', () => {
+      const jsDir = path.join(FIXTURE_DIR, 'js');
+      fs.mkdirSync(jsDir);
+      fs.writeFileSync(path.join(jsDir, 'mat-a11y.config.js'), "module.exports = { tier: 'material' };");
+      const { config, filePath, errors } = loadConfig(jsDir);
+      assertEqual(config.tier, 'material');
+      assertTrue(filePath.endsWith('mat-a11y.config.js'), 'Should report the JS config path');
+      assertEqual(errors, []);
+    });
+
+    // Test 4: Validation
+    test('validateConfig reports unknown keys and bad values', () => {
+      const result = validateConfig({ tierr: 'full', severity: { buttonNames: 'fatal' }, ignore: 'dist' });
+      assertTrue(!result.valid, 'Should be invalid');
+      assertEqual(result.errors.length, 3, 'Should report 3 errors');
+    });
+
+    // Test 5: Precedence
+    test('resolveOptions lets explicit options win over config', () => {
+      const merged = resolveOptions(appDir, { tier: 'material', check: undefined });
+      assertEqual(merged.tier, 'material');
+      assertEqual(merged.disable, ['imageAlt']);
+      assertEqual(merged.configFile, path.join(srcDir, '.mat-a11yrc'));
+    });
+
+    // Test 6: config: false
+    test('resolveOptions skips config when config is false', () => {
+      const merged = resolveOptions(appDir, { config: false });
+      assertTrue(merged.disable === undefined, 'Should not load disable list');
+    });
+
+    // Test 7: Check selection
+    test('selectChecks applies enable and disable lists', () => {
+      const registry = loadAllChecks();
+      const enabled = selectChecks(registry, { enable: ['buttonNames', 'imageAlt'], disable: ['imageAlt'] });
+      assertEqual([...enabled.keys()], ['buttonNames']);
+    });
+
+    // Test 8: Severity override
+    test('applySeverityOverride rewrites the severity prefix', () => {
+      const issue = applySeverityOverride('[Error] Button missing name', 'buttonNames', { buttonNames: 'info' });
+      assertEqual(issue, '[Info] Button missing name');
+    });
+
+    // Test 9: Component analyzer honors config
+    test('analyzeByComponent honors disable, weights and severity from config', () => {
+      const results = analyzeByComponent(srcDir, {});
+      const issues = results.components.flatMap(comp => comp.issues);
+      assertEqual(results.tier, 'full', 'Tier should come from config');
+      assertTrue(!issues.some(i => i.check === 'imageAlt'), 'imageAlt should be disabled');
+      const buttonIssues = issues.filter(i => i.check === 'buttonNames');
+      assertTrue(buttonIssues.length > 0, 'buttonNames should report');
+      assertTrue(buttonIssues.every(i => i.severity === 'warning'), 'buttonNames should be a warning');
+      assertEqual(results.weightOverrides, { buttonNames: 1 });
+    });
+
+    // Test 10: File-based analyzer honors config
+    test('analyze honors config and explicit options', () => {
+      const results = analyze(srcDir, { tier: 'basic' });
+      assertEqual(results.tier, 'basic', 'Explicit tier should win');
+      const files = Object.values(results.files).flat();
+      assertTrue(!files.some(r => r.name === 'imageAlt'), 'imageAlt should be disabled');
+      const button = results.summary.audits.find(a => a.name === 'buttonNames');
+      assertTrue(button && button.weight === 1, 'buttonNames weight should be overridden');
+    });
+
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
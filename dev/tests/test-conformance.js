@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Tests for WCAG levels and the conformance report
+ *
+ * Verifies that:
+ * - Levels are normalized and cumulative (AA = A + AA criteria)
+ * - wcagLevel limits the checks that run and is validated in project config
+ * - getConformance derives pass/fail/not-applicable/not-tested per criterion,
+ *   also from older results without coverage, and leaves out 4.1.1 Parsing
+ * - Issues that cite another criterion than their check fail that criterion
+ * - Component analysis records coverage for components without issues
+ * - The conformance formatter lists every criterion of the level
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeLevel, isWithinLevel, getConformance } = require('../../src/core/conformance');
+const { selectChecks, validateConfig } = require('../../src/core/config');
+const { loadAllChecks } = require('../../src/core/loader');
+const { WCAG, WCAG_LEVELS } = require('../../src/core/errors');
+const { analyzeByComponent } = require('../../src/index');
+const conformanceFormatter = require('../../src/formatters/conformance');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR;
+
+const COMPONENT_TS = `
+import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-home',
+  templateUrl: './home.component.html'
+})
+export class HomeComponent {}
+`;
+
+// Setup test fixtures: one component with a missing alt, one without issues
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-conformance-'));
+
+  const appDir = path.join(FIXTURE_DIR, 'src', 'app');
+  fs.mkdirSync(appDir, { recursive: true });
+
+  fs.writeFileSync(path.join(appDir, 'home.component.ts'), COMPONENT_TS);
+  fs.writeFileSync(path.join(appDir, 'home.component.html'), '<img src="logo.png">\n');
+  fs.writeFileSync(path.join(appDir, 'about.component.ts'),
+    COMPONENT_TS.replace(/home/g, 'about').replace('HomeComponent', 'AboutComponent'));
+  fs.writeFileSync(path.join(appDir, 'about.component.html'), '<a href="/contact">Contact us</a>\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Criterion entry of a conformance result
+function criterion(conformance, sc) {
+  return conformance.criteria.find(entry => entry.criterion === sc);
+}
+
+// Criteria of a level that are reported (4.1.1 Parsing is obsolete in WCAG 2.2)
+function reportedCriteria(level) {
+  return Object.keys(WCAG_LEVELS).filter(sc => sc !== '4.1.1' && isWithinLevel(sc, level));
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nWCAG Conformance Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: Levels
+    test('levels are normalized and cumulative', () => {
+      assertEqual(['aa', ' AAA ', 'A', 'B', '', null].map(normalizeLevel), ['AA', 'AAA', 'A', null, null, null]);
+      assertTrue(isWithinLevel('1.1.1', 'AA'), 'A criterion is part of AA');
+      assertTrue(isWithinLevel('1.4.3', 'aa'), 'AA criterion is part of AA');
+      assertTrue(!isWithinLevel('1.4.6', 'AA'), 'AAA criterion is not part of AA');
+      assertTrue(!isWithinLevel('1.4.3', 'A'), 'AA criterion is not part of A');
+      assertTrue(!isWithinLevel('9.9.9', 'AAA'), 'Unknown criterion');
+      assertEqual(Object.keys(WCAG).length, 87, 'All 2.2 criteria plus 4.1.1');
+    });
+
+    // Test 2: Check selection
+    test('wcagLevel limits the checks to criteria of the level', () => {
+      const registry = loadAllChecks();
+      const selected = selectChecks(registry, { wcagLevel: 'AA' });
+      assertTrue(selected.size > 0 && selected.size < registry.size);
+      for (const [name, check] of selected) {
+        assertTrue(isWithinLevel(check.wcag, 'AA'), `${name} (${check.wcag}) is not an A/AA check`);
+      }
+      assertTrue(selected.has('colorContrast'), 'AA check');
+      assertTrue(!selected.has('textJustify'), 'AAA check');
+      assertTrue(!selected.has('ngForTrackBy'), 'Check without criterion');
+
+      const combined = selectChecks(registry, { wcagLevel: 'A', disable: ['imageAlt'] });
+      assertTrue(!combined.has('imageAlt') && combined.has('inputImageAlt') && !combined.has('colorContrast'));
+      assertEqual(selectChecks(registry, { wcagLevel: 'XL' }).size, registry.size, 'Invalid levels are reported, not applied');
+    });
+
+    // Test 3: Config validation
+    test('project config validates wcagLevel', () => {
+      assertEqual(validateConfig({ wcagLevel: 'AA' }).errors, []);
+      assertEqual(validateConfig({ wcagLevel: 'aaa' }).errors, []);
+      assertEqual(validateConfig({ wcagLevel: 'AAAA' }).errors, ['Config key "wcagLevel" must be one of: A, AA, AAA']);
+    });
+
+    // Test 4: Statuses
+    test('getConformance derives the status of each criterion from coverage', () => {
+      const conformance = getConformance({
+        coverage: {
+          imageAlt: { wcag: '1.1.1', elementsFound: 3, issues: 1 },
+          objectAlt: { wcag: '1.1.1', elementsFound: 0, issues: 0 },
+          colorContrast: { wcag: '1.4.3', elementsFound: 5, issues: 0 },
+          videoCaptions: { wcag: '1.2.2', elementsFound: 0, issues: 0 },
+          textJustify: { wcag: '1.4.8', elementsFound: 2, issues: 2 },
+          ngForTrackBy: { wcag: null, elementsFound: 4, issues: 4 }
+        }
+      }, { level: 'AA' });
+
+      assertEqual(conformance.level, 'AA');
+      assertEqual(criterion(conformance, '1.1.1'), {
+        criterion: '1.1.1', name: 'Non-text Content', level: 'A',
+        checks: ['imageAlt', 'objectAlt'], elementsFound: 3, issues: 1, status: 'fail'
+      });
+      assertEqual(['1.4.3', '1.2.2', '2.1.1'].map(sc => criterion(conformance, sc).status),
+        ['pass', 'not-applicable', 'not-tested']);
+      assertTrue(!criterion(conformance, '1.4.8'), 'AAA criteria are not reported at AA');
+      assertTrue(!criterion(conformance, '4.1.1'), '4.1.1 Parsing is obsolete');
+
+      const expected = reportedCriteria('AA').length;
+      assertEqual(conformance.criteria.length, expected);
+      assertEqual(conformance.summary, { pass: 1, fail: 1, 'not-applicable': 1, 'not-tested': expected - 3 });
+    });
+
+    // Test 5: Results without coverage
+    test('results without coverage fall back to the issues', () => {
+      const conformance = getConformance({
+        wcagLevel: 'A',
+        components: [{
+          name: 'HomeComponent',
+          issues: [
+            { check: 'imageAlt', wcag: '1.1.1', message: 'Missing alt' },
+            { check: 'colorContrast', wcag: '1.4.3', message: 'Low contrast' }
+          ]
+        }]
+      });
+      assertEqual(conformance.level, 'A', 'Level of the run');
+      assertEqual(criterion(conformance, '1.1.1').status, 'fail');
+      assertEqual(criterion(conformance, '1.1.1').checks, ['imageAlt']);
+      assertEqual(conformance.summary.fail, 1, '1.4.3 is not an A criterion');
+      assertEqual(conformance.summary.pass, 0, 'Nothing passes without coverage');
+    });
+
+    // Test 6: Component analysis
+    test('component analysis records coverage for every check that ran', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', wcagLevel: 'AA' });
+      assertEqual(results.wcagLevel, 'AA');
+      assertEqual(results.coverage.imageAlt, { wcag: '1.1.1', elementsFound: 1, issues: 1 });
+      assertEqual(results.coverage.linkNames.wcag, '2.4.4');
+      assertTrue(results.coverage.linkNames.elementsFound >= 1, 'Counted in the component without issues');
+      assertTrue(!results.coverage.textJustify && !results.coverage.ngForTrackBy, 'Excluded checks did not run');
+
+      const conformance = getConformance(results);
+      assertEqual(criterion(conformance, '1.1.1').status, 'fail');
+      assertEqual(criterion(conformance, '2.4.4').status, 'pass');
+    });
+
+    // Test 7: Formatter
+    test('conformance formatter lists every criterion of the level', () => {
+      const results = {
+        tier: 'full',
+        wcagLevel: 'A',
+        coverage: {
+          imageAlt: { wcag: '1.1.1', elementsFound: 2, issues: 1 },
+          linkNames: { wcag: '2.4.4', elementsFound: 4, issues: 0 }
+        }
+      };
+      const output = conformanceFormatter.format(results, { includeTimestamp: false });
+      assertTrue(output.includes('**Level:** A\n'), 'Level line');
+      assertTrue(output.includes('| 1.1.1 Non-text Content | A | Fail | `imageAlt` | 2 | 1 |'), 'Failed criterion');
+      assertTrue(output.includes('| 2.4.4 Link Purpose (In Context) | A | Pass | `linkNames` | 4 | 0 |'), 'Passed criterion');
+      assertTrue(output.includes('| 2.1.1 Keyboard | A | Not tested | - | - | - |'), 'Untested criterion');
+      assertTrue(!output.includes('1.4.3 Contrast'), 'AA criteria are not listed at level A');
+      assertTrue(!output.includes('**Generated:**'), 'No timestamp');
+
+      const criteriaRows = output.split('\n').filter(line => /^\| \d+\.\d+\.\d+ /.test(line));
+      assertEqual(criteriaRows.length, reportedCriteria('A').length);
+      assertTrue(!output.includes('4.1.1 Parsing'), 'Obsolete criterion');
+
+      const all = conformanceFormatter.format(results, { level: 'AAA' });
+      assertTrue(all.includes('**Level:** AAA (all criteria)') && all.includes('1.4.6 Contrast (Enhanced)'), 'Level option');
+    });
+
+    // Test 8: Criteria cited by issues
+    test('issues fail the criterion they cite, also for another criterion than their check', () => {
+      const conformance = getConformance({
+        coverage: {
+          formLabels: { wcag: '1.3.1', elementsFound: 3, issues: 2, criteria: { '3.3.2': 2 } },
+          uniqueIds: { wcag: '4.1.1', elementsFound: 4, issues: 1 }
+        }
+      });
+      assertEqual(criterion(conformance, '3.3.2'), {
+        criterion: '3.3.2', name: 'Labels or Instructions', level: 'A',
+        checks: ['formLabels'], elementsFound: 0, issues: 2, status: 'fail'
+      });
+      assertEqual([criterion(conformance, '1.3.1').status, criterion(conformance, '1.3.1').issues], ['pass', 0]);
+      assertEqual(conformance.summary.fail, 1, 'Issues citing 4.1.1 are not counted');
+
+      const contact = path.join(FIXTURE_DIR, 'src', 'app', 'contact.component');
+      fs.writeFileSync(`${contact}.ts`, COMPONENT_TS.replace(/home/g, 'contact').replace('HomeComponent', 'ContactComponent'));
+      fs.writeFileSync(`${contact}.html`, '<input type="text" name="q">\n');
+      try {
+        const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full' });
+        assertEqual(results.coverage.formLabels.criteria, { '3.3.2': 1 });
+        const fromResults = getConformance(results);
+        assertEqual(criterion(fromResults, '3.3.2').status, 'fail');
+        assertTrue(criterion(fromResults, '3.3.2').checks.includes('formLabels'), JSON.stringify(criterion(fromResults, '3.3.2')));
+        assertTrue(conformanceFormatter.format(results).includes('| 3.3.2 Labels or Instructions | A | Fail |'), 'Reported as failing');
+      } finally {
+        fs.rmSync(`${contact}.ts`);
+        fs.rmSync(`${contact}.html`);
+      }
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  process.exit(runTests() ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * Tests for Autofix (--fix / --fix-dry-run)
+ *
+ * Verifies that:
+ * - Each fixable check rewrites its issues and the result passes the check
+ * - Fixes of different checks in the same file don't conflict
+ * - Overlapping edits of different fixes are applied conflict-free over passes
+ * - mat-a11y-disable comments keep fixes from being applied
+ * - fixFiles() only writes with `write: true` and reports a unified diff
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fixContent, fixFiles, applyEdits } = require('../../src/core/fixer');
+const { createUnifiedDiff } = require('../../src/core/diff');
+const { loadAllChecks, validateCheckModule } = require('../../src/core/loader');
+const matButtonType = require('../../src/checks/matButtonType');
+const matIconAccessibility = require('../../src/checks/matIconAccessibility');
+const ngForTrackBy = require('../../src/checks/ngForTrackBy');
+const iframeTitles = require('../../src/checks/iframeTitles');
+const prefersReducedMotion = require('../../src/checks/prefersReducedMotion');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-fix-'));
+
+  const appDir = path.join(FIXTURE_DIR, 'src', 'app');
+  fs.mkdirSync(appDir, { recursive: true });
+
+  fs.writeFileSync(path.join(appDir, 'home.component.html'), '<h1>Home</h1>\n<iframe src="/map"></iframe>\n');
+  fs.writeFileSync(path.join(appDir, 'home.component.scss'), 'h1 { color: #222; }\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Apply one check's fixes and make sure the check passes afterwards
+function fixAndRecheck(checkModule, content) {
+  const { output, fixed } = fixContent(content, checkModule.type, [checkModule]);
+  const result = checkModule.check(output);
+  assertTrue(result.pass, `${checkModule.name} should pass after fixing, got: ${JSON.stringify(result.issues)}`);
+  return { output, fixed };
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nAutofix Tests\n' + c.reset);
+
+  // Test 1: matButtonType
+  test('matButtonType turns button directive hosts into <button type="button">', () => {
+    const html = '<div mat-button (click)="save()">Save</div>\n<span mat-icon-button />\n<a mat-button href="/">Home</a>';
+    const { output, fixed } = fixAndRecheck(matButtonType, html);
+    assertEqual(output,
+      '<button type="button" mat-button (click)="save()">Save</button>\n' +
+      '<button type="button" mat-icon-button></button>\n' +
+      '<a mat-button href="/">Home</a>');
+    assertEqual(fixed, { matButtonType: 2 });
+
+    const custom = '<app-card mat-button>Card</app-card>';
+    assertEqual(fixContent(custom, 'html', [matButtonType]).output, custom, 'Components are not renamed');
+  });
+
+  // Test 2: matIconAccessibility
+  test('matIconAccessibility hides decorative icons and leaves icon-only buttons alone', () => {
+    const html = [
+      '<button mat-button><mat-icon>save</mat-icon> Save</button>',
+      '<button mat-icon-button aria-label="Close"><mat-icon>close</mat-icon></button>',
+      '<p><mat-icon>info</mat-icon> Opening hours</p>',
+      '<button mat-icon-button><mat-icon>menu</mat-icon></button>',
+      '<mat-icon [attr.aria-hidden]="hidden">star</mat-icon>'
+    ].join('\n');
+    const { output, fixed } = fixContent(html, 'html', [matIconAccessibility]);
+    assertEqual(fixed, { matIconAccessibility: 3 });
+    assertEqual(output.split('\n')[0], '<button mat-button><mat-icon aria-hidden="true">save</mat-icon> Save</button>');
+    assertTrue(output.includes('<button mat-icon-button><mat-icon>menu</mat-icon></button>'), 'Icon-only button needs a label instead');
+    assertEqual(matIconAccessibility.check(output).issues.length, 2, 'Only the manual fixes are left');
+  });
+
+  // Test 3: ngForTrackBy, iframeTitles, prefersReducedMotion
+  test('ngForTrackBy, iframeTitles and prefersReducedMotion fixes pass their checks', () => {
+    const loops = '@for (item of items) { <li>{{ item }}</li> }\n@for (row of rows; let i = $index;) { <tr></tr> }';
+    assertEqual(fixAndRecheck(ngForTrackBy, loops).output,
+      '@for (item of items; track item) { <li>{{ item }}</li> }\n@for (row of rows; let i = $index; track row) { <tr></tr> }');
+    assertEqual(fixContent('<li *ngFor="let x of xs"></li>', 'html', [ngForTrackBy]).fixed, {},
+      '*ngFor needs a trackBy function in the component');
+
+    assertEqual(fixAndRecheck(iframeTitles, '<iframe src="/map"></iframe>').output,
+      '<iframe title="TODO: describe iframe content" src="/map"></iframe>');
+
+    // The scaffold follows each animated rule and only turns off that rule's motion
+    const styles = [
+      '.panel { transition: transform 0.3s; }',
+      '.fade { transition: opacity 0.3s; }',
+      '.card {',
+      '  &:hover {',
+      '    animation: bounce 1s infinite;',
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+    const { output } = fixAndRecheck(prefersReducedMotion, styles);
+    assertEqual(output, [
+      '.panel { transition: transform 0.3s; }',
+      '/* TODO: keep only the motion this rule needs with reduced motion */',
+      '@media (prefers-reduced-motion: reduce) {',
+      '  .panel {',
+      '    transition: none;',
+      '  }',
+      '}',
+      '.fade { transition: opacity 0.3s; }',
+      '.card {',
+      '  &:hover {',
+      '    animation: bounce 1s infinite;',
+      '  }',
+      '  /* TODO: keep only the motion this rule needs with reduced motion */',
+      '  @media (prefers-reduced-motion: reduce) {',
+      '    &:hover {',
+      '      animation: none;',
+      '    }',
+      '  }',
+      '}',
+      ''
+    ].join('\n'));
+    assertEqual(fixContent(output, 'scss', [prefersReducedMotion]).output, output, 'Fix is applied once');
+    assertEqual(fixContent('@media (prefers-reduced-motion: no-preference) { .a { animation: spin 1s; } }', 'scss', [prefersReducedMotion]).fixed, {},
+      'no-preference media queries need a manual fix');
+  });
+
+  // Test 4: Fixes in the same file
+  test('fixes of different checks in the same file do not conflict', () => {
+    const fixers = [...loadAllChecks().values()].filter(check => typeof check.fix === 'function');
+    const html = '<div mat-button><mat-icon>map</mat-icon> Map</div>\n<iframe src="/map"></iframe><iframe src="/b" title="B"></iframe>\n';
+    const result = fixContent(html, 'html', fixers.filter(check => check.type === 'html'));
+    assertEqual(result.output,
+      '<button type="button" mat-button><mat-icon aria-hidden="true">map</mat-icon> Map</button>\n' +
+      '<iframe title="TODO: describe iframe content" src="/map"></iframe><iframe src="/b" title="B"></iframe>\n');
+    assertEqual(result.fixed, { iframeTitles: 1, matButtonType: 1, matIconAccessibility: 1 });
+
+    const scss = fixContent('.a { animation: spin 1s; }\n.b { transition: all 0.5s; }\n', 'scss', fixers.filter(check => check.type === 'scss'));
+    assertEqual(scss.fixed, { prefersReducedMotion: 1 });
+    assertEqual(scss.output.match(/@media \(prefers-reduced-motion: reduce\)/g).length, 2, 'One block per animated rule');
+    assertTrue(scss.output.includes('.b { transition: all 0.5s; }\n/* TODO'), 'Second block follows its rule');
+    assertTrue(prefersReducedMotion.check(scss.output).pass);
+  });
+
+  // Test 5: Conflicts
+  test('overlapping edits of different fixes are applied in later passes, never merged', () => {
+    const insert = (name, text) => ({
+      name,
+      type: 'html',
+      fix: content => (content.includes(text) ? [] : [{ edits: [{ start: content.indexOf('x'), end: content.indexOf('x'), text }] }])
+    });
+    const upper = {
+      name: 'upper',
+      type: 'html',
+      fix: content => (content.includes('x') ? [{ edits: [{ start: content.indexOf('x'), end: content.indexOf('x') + 1, text: 'X' }] }] : [])
+    };
+
+    // All three edit offset 3: one per pass, each on the content left by the previous one
+    const result = fixContent('<b>x</b>', 'html', [insert('one', '1'), insert('two', '2'), upper]);
+    assertEqual(result.fixed, { one: 1, two: 1, upper: 1 });
+    assertEqual(result.output, '<b>12X</b>');
+
+    assertEqual(applyEdits('abcdef', [{ start: 4, end: 6, text: 'X' }, { start: 0, end: 1, text: '' }]), 'bcdX');
+    assertEqual(validateCheckModule({ name: 'x', description: 'x', tier: 'basic', type: 'html', weight: 1, check() {}, fix: true }).errors,
+      ['Field "fix" must be a function']);
+  });
+
+  // Test 6: Suppressions
+  test('mat-a11y-disable comments keep fixes from being applied', () => {
+    const html = '<!-- mat-a11y-disable-next-line iframeTitles -->\n<iframe src="/a"></iframe>\n<iframe src="/b"></iframe>';
+    const { output, fixed } = fixContent(html, 'html', [iframeTitles]);
+    assertEqual(fixed, { iframeTitles: 1 });
+    assertTrue(output.includes('<iframe src="/a">'), 'Suppressed iframe is left alone');
+    assertTrue(output.includes('<iframe title="TODO: describe iframe content" src="/b">'), 'Other iframe is fixed');
+  });
+
+  setupFixtures();
+  try {
+    // Test 7: Dry run vs write
+    test('fixFiles() reports a unified diff and only writes with write: true', () => {
+      const htmlFile = path.join(FIXTURE_DIR, 'src', 'app', 'home.component.html');
+      const before = fs.readFileSync(htmlFile, 'utf-8');
+
+      const dryRun = fixFiles(FIXTURE_DIR, { config: false, cwd: FIXTURE_DIR });
+      assertEqual(dryRun.fixCount, 1);
+      assertEqual(dryRun.files.map(f => f.file), ['src/app/home.component.html'], 'Unchanged files are not listed');
+      assertEqual(fs.readFileSync(htmlFile, 'utf-8'), before, 'Dry run leaves files alone');
+      assertEqual(dryRun.files[0].diff, [
+        '--- a/src/app/home.component.html',
+        '+++ b/src/app/home.component.html',
+        '@@ -1,2 +1,2 @@',
+        ' <h1>Home</h1>',
+        '-<iframe src="/map"></iframe>',
+        '+<iframe title="TODO: describe iframe content" src="/map"></iframe>',
+        ''
+      ].join('\n'));
+
+      assertEqual(fixFiles(FIXTURE_DIR, { config: false, disable: ['iframeTitles'] }).fixCount, 0, 'Disabled checks do not fix');
+      assertEqual(fixFiles(FIXTURE_DIR, { config: false, check: 'matButtonType' }).fixCount, 0, 'Single check mode');
+
+      fixFiles(FIXTURE_DIR, { config: false, write: true });
+      assertEqual(fs.readFileSync(htmlFile, 'utf-8'), dryRun.files[0].output, 'write: true writes the output');
+      assertEqual(fixFiles(FIXTURE_DIR, { config: false }).fixCount, 0, 'Nothing left to fix');
+    });
+
+    // Test 8: Diff edge cases
+    test('unified diffs mark missing trailing newlines and split distant changes into hunks', () => {
+      assertEqual(createUnifiedDiff('a.css', 'x', 'x'), '');
+      assertEqual(createUnifiedDiff('a.css', 'a\nb', 'a\nb\n'), [
+        '--- a/a.css', '+++ b/a.css', '@@ -1,2 +1,2 @@', ' a', '-b', '\\ No newline at end of file', '+b', ''
+      ].join('\n'));
+
+      const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+      const changed = lines.map((line, i) => (i === 1 || i === 18 ? line + '!' : line));
+      const diff = createUnifiedDiff('a.html', lines.join('\n') + '\n', changed.join('\n') + '\n');
+      assertEqual(diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
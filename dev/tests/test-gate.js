@@ -0,0 +1,250 @@
+'use strict';
+
+/**
+ * Tests for the Quality Gate (--fail-on, --max-issues, --min-score, --max-check, --max-level)
+ *
+ * Verifies that:
+ * - Without a gate, each mode keeps its previous exit behavior
+ * - failOn, maxIssues, minScore, per-check and per-WCAG-level limits work in every mode
+ * - Invalid gates are rejected (config and CLI)
+ * - The gate and why it failed are printed and embedded in JUnit and SARIF output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { evaluateGate, validateGate, parseThreshold, formatGateResult } = require('../../src/core/gate');
+const { validateConfig } = require('../../src/core/config');
+const junit = require('../../src/formatters/junit');
+const sarif = require('../../src/formatters/sarif');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+function issue(check, severity, wcag) {
+  return { check, severity, wcag, message: `${check} problem`, file: 'app.component.html' };
+}
+
+// Component results: 1 error (A), 1 warning (AA), 1 info (no criterion)
+function componentResults() {
+  return {
+    tier: 'full',
+    auditScore: 72,
+    totalIssues: 3,
+    components: [{
+      name: 'AppComponent',
+      issues: [issue('imageAlt', 'error', '1.1.1'), issue('colorContrast', 'warning', '1.4.3'), issue('headingOrder', 'info', null)]
+    }]
+  };
+}
+
+// File-based results
+function fileResults() {
+  return {
+    tier: 'full',
+    summary: { auditScore: 88, issues: [issue('buttonNames', 'error', '4.1.2')] },
+    files: {}
+  };
+}
+
+// Sitemap results: one page below 50%
+function sitemapResults() {
+  return {
+    tier: 'full',
+    urlCount: 2,
+    distribution: { passing: 1, warning: 0, failing: 1 },
+    urls: [
+      { url: 'https://example.com/', auditScore: 95, issues: [] },
+      { url: 'https://example.com/contact', auditScore: 40, issues: [issue('formLabels', 'error', '3.3.2')] }
+    ]
+  };
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nQuality Gate Tests\n' + c.reset);
+
+  // Test 1: Defaults
+  test('without a gate, each mode keeps its previous behavior', () => {
+    const component = evaluateGate(componentResults());
+    assertEqual([component.passed, component.isDefault, component.failures], [false, true, ['3 issues, max 0']]);
+    assertEqual(evaluateGate({ ...componentResults(), components: [] }).passed, true, 'No issues passes');
+    assertEqual(evaluateGate(fileResults()).passed, false, 'File-based: any issue fails');
+
+    const sitemap = evaluateGate(sitemapResults());
+    assertEqual(sitemap.failures, ['1 page below 50% (lowest: 40% https://example.com/contact)']);
+    const healthy = sitemapResults();
+    healthy.urls[1].auditScore = 60;
+    assertEqual(evaluateGate(healthy).passed, true, 'Issues alone do not fail a sitemap run');
+
+    // With a baseline, results only hold new issues: any of them fails
+    assertEqual(evaluateGate({ ...healthy, baseline: { new: 1 } }).failures, ['1 issue, max 0']);
+  });
+
+  // Test 2: failOn and maxIssues
+  test('failOn counts only issues of that severity or higher', () => {
+    assertEqual(evaluateGate(componentResults(), { failOn: 'error' }).failures, ['1 issue (error or higher), max 0']);
+    assertEqual(evaluateGate(componentResults(), { failOn: 'warning', maxIssues: 2 }).passed, true);
+    assertEqual(evaluateGate(componentResults(), { failOn: 'info', maxIssues: 2 }).failures, ['3 issues, max 2']);
+    assertEqual(evaluateGate(componentResults(), { maxIssues: 3 }).passed, true);
+    assertEqual(evaluateGate(sitemapResults(), { failOn: 'error' }).failures, ['1 issue (error or higher), max 0'],
+      'Same thresholds in sitemap mode');
+  });
+
+  // Test 3: minScore
+  test('minScore uses the audit score, or every page score', () => {
+    assertEqual(evaluateGate(componentResults(), { minScore: 80 }).failures, ['score 72%, min 80%']);
+    assertEqual(evaluateGate(componentResults(), { minScore: 70 }).passed, true, 'Issues do not count with only minScore');
+    assertEqual(evaluateGate(fileResults(), { minScore: 90 }).score, 88);
+    assertEqual(evaluateGate({ routes: [{ path: '/a', auditScore: 70, issues: [] }, { path: '/b', auditScore: 85, issues: [] }] },
+      { minScore: 80 }).failures, ['1 page below 80% (lowest: 70% /a)'], 'Route results');
+  });
+
+  // Test 4: Per-check and per-level
+  test('per-check and per-WCAG-level limits', () => {
+    const gate = evaluateGate(componentResults(), { checks: { imageAlt: 0, colorContrast: 1 }, levels: { A: 0, AA: 0 } });
+    assertEqual(gate.failures, [
+      '1 issue from imageAlt, max 0',
+      '1 issue at WCAG level A, max 0',
+      '1 issue at WCAG level AA, max 0'
+    ]);
+    assertEqual(evaluateGate(componentResults(), { failOn: 'error', maxIssues: 5, levels: { AA: 0 } }).passed, true,
+      'The AA issue is only a warning');
+    assertEqual(evaluateGate(sitemapResults(), { levels: { A: 0 } }).failures, ['1 issue at WCAG level A, max 0']);
+  });
+
+  // Test 5: Validation
+  test('invalid gates are rejected in config and CLI thresholds', () => {
+    assertEqual(validateGate({ failOn: 'error', maxIssues: 0, minScore: 80, checks: { imageAlt: 0 }, levels: { AA: 2 } }), []);
+    assertEqual(validateGate({ failOn: 'fatal', maxIssues: -1, minScore: 120, levels: { AAAA: 1 }, other: 1 }), [
+      'Unknown gate key: other',
+      'Gate "failOn" must be one of: error, warning, info',
+      'Gate "maxIssues" must be a non-negative integer',
+      'Gate "minScore" must be a number from 0 to 100',
+      'Unknown WCAG level in gate: AAAA (use A, AA, AAA)'
+    ]);
+    assertTrue(validateConfig({ gate: { maxIssues: 'ten' } }).errors.includes('Gate "maxIssues" must be a non-negative integer'));
+    assertEqual(validateConfig({ gate: { minScore: 80 } }).valid, true);
+
+    assertEqual(parseThreshold('imageAlt=0'), { name: 'imageAlt', max: 0 });
+    let error = null;
+    try {
+      parseThreshold('imageAlt');
+    } catch (e) {
+      error = e;
+    }
+    assertTrue(error && error.message.startsWith('Invalid threshold'), String(error));
+  });
+
+  // Test 6: Output
+  test('the gate and why it failed are printed and embedded in JUnit and SARIF', () => {
+    const results = componentResults();
+    results.gate = evaluateGate(results, { failOn: 'warning', minScore: 80 });
+
+    assertEqual(formatGateResult(results.gate).split('\n'), [
+      'Quality gate: max 0 issues (warning or higher), min score 80% - FAILED',
+      '  - 2 issues (warning or higher), max 0',
+      '  - score 72%, min 80%'
+    ]);
+
+    const xml = junit.format(results);
+    assertTrue(xml.includes('<property name="gate" value="max 0 issues (warning or higher), min score 80%"/>'), 'JUnit property');
+    assertTrue(xml.includes('<property name="gatePassed" value="false"/>'), 'JUnit gatePassed');
+    assertTrue(/<testcase name="Quality gate: [^"]+" classname="mat-a11y.gate" time="0">\s*<failure message="2 issues \(warning or higher\), max 0; score 72%, min 80%" type="QualityGateFailure">/.test(xml),
+      'JUnit gate testcase with the failure reasons');
+
+    const invocation = JSON.parse(sarif.format(results)).runs[0].invocations[0];
+    assertEqual(invocation.exitCode, 1);
+    assertEqual(invocation.properties.gate.failures, results.gate.failures);
+    assertEqual(invocation.toolExecutionNotifications.map(n => n.message.text), [
+      'Quality gate failed: 2 issues (warning or higher), max 0',
+      'Quality gate failed: score 72%, min 80%'
+    ]);
+
+    results.gate = evaluateGate(results, { minScore: 50 });
+    assertEqual(JSON.parse(sarif.format(results)).runs[0].invocations[0].exitCode, 0, 'Passing gate');
+    assertTrue(junit.format(results).includes('<testcase name="Quality gate: min score 50%" classname="mat-a11y.gate" time="0"/>'));
+  });
+
+  // Test 7: CLI
+  test('CLI flags and config thresholds set the exit code', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-gate-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'app.component.ts'), `import { Component } from '@angular/core';
+@Component({ selector: 'app-root', templateUrl: './app.component.html' })
+export class AppComponent {}
+`);
+      fs.writeFileSync(path.join(dir, 'app.component.html'), '<h1>App</h1>\n<img src="logo.png">\n');
+      const run = (...args) => spawnSync(process.execPath, [CLI, dir, '--headless', '--format', 'console', ...args],
+        { encoding: 'utf-8', timeout: 60000 });
+
+      const failing = run('--no-config', '--max-check', 'imageAlt=0');
+      assertEqual(failing.status, 1, failing.stdout + failing.stderr);
+      assertTrue(failing.stdout.includes('Quality gate: imageAlt max 0 - FAILED'), failing.stdout);
+      assertTrue(failing.stdout.includes('  - 1 issue from imageAlt, max 0'), failing.stdout);
+
+      assertEqual(run('--no-config', '--max-issues', '1').status, 0);
+      assertEqual(run('--no-config', '--fail-on', 'fatal').status, 2, 'Invalid severity');
+
+      fs.writeFileSync(path.join(dir, '.mat-a11yrc'), JSON.stringify({ gate: { maxIssues: 1 } }));
+      assertEqual(run().status, 0, 'Config gate');
+      assertEqual(run('--max-issues', '0').status, 1, 'Flags win over config');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * Tests for scan history and trends (--history, mat-a11y trend)
+ *
+ * Verifies that:
+ * - Snapshots hold the score, issue counts per check and component, and fingerprints
+ * - Recording a run appends a snapshot and compares it with the previous run of the same mode
+ * - Broken lines in the history file are skipped
+ * - The trend output follows the whole project, one component or one check
+ * - The Prometheus, Grafana and Datadog formatters emit the change since the previous run
+ * - The CLI (--history, trend) and the GUI (history option, /api/history) use the same file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  HISTORY_FILE,
+  createSnapshot,
+  readHistory,
+  recordSnapshot,
+  formatHistorySummary,
+  formatTrend,
+  sparkline
+} = require('../../src/core/history');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { validateConfig } = require('../../src/core/config');
+const { loadAllFormatters } = require('../../src/formatters/index');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(name, className, html) {
+  write(`src/app/${name}/${name}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${name}/${name}.component.html`, html);
+}
+
+// Setup test fixtures: two components with issues, one fixed between runs
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-history-'));
+  component('header', 'HeaderComponent', '<h1>Shop</h1>\n<img src="logo.png">\n<button></button>\n');
+  component('footer', 'FooterComponent', '<footer><img src="badge.png"></footer>\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function analyze() {
+  return analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+}
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURE_DIR, encoding: 'utf-8', timeout: 60000 });
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nScan History Tests\n' + c.reset);
+
+  setupFixtures();
+  try {
+    const historyFile = path.join(FIXTURE_DIR, 'history.jsonl');
+    const before = analyze();
+
+    // Test 1: Snapshots
+    test('snapshots hold scores, issue counts and fingerprints', () => {
+      const snapshot = createSnapshot(before, { projectDir: FIXTURE_DIR, commit: 'abc1234', timestamp: '2026-10-01T10:00:00.000Z' });
+      assertEqual(snapshot.mode, 'component');
+      assertEqual(snapshot.commit, 'abc1234');
+      assertEqual(snapshot.auditScore, before.auditScore);
+      assertEqual(snapshot.issues, before.totalIssues);
+      assertEqual(snapshot.checks.imageAlt, 2);
+      assertEqual(snapshot.checks.buttonNames, 1);
+      assertEqual(snapshot.components.HeaderComponent.issues, before.components.find(comp => comp.name === 'HeaderComponent').issues.length);
+      assertEqual(snapshot.fingerprints.length, 3);
+    });
+
+    // Test 2: Recording
+    let second;
+    test('recording compares a run with the previous run of the same mode', () => {
+      const first = recordSnapshot(before, { projectDir: FIXTURE_DIR, file: historyFile });
+      assertEqual(first.previous, null);
+      assertEqual(first.delta, null);
+      assertTrue(formatHistorySummary({ history: first }).includes('first snapshot'), formatHistorySummary({ history: first }));
+
+      // A route run in between is not what the next component run is compared with
+      recordSnapshot({ routes: [{ path: '/', auditScore: 40, issues: [] }], routeCount: 1 }, { projectDir: FIXTURE_DIR, file: historyFile });
+
+      write('src/app/header/header.component.html', '<h1>Shop</h1>\n<img src="logo.png" alt="Shop">\n<button></button>\n');
+      const after = analyze();
+      second = recordSnapshot(after, { projectDir: FIXTURE_DIR, file: historyFile });
+
+      assertEqual(second.snapshots, 3);
+      assertEqual(second.previous.issues, before.totalIssues);
+      assertEqual(second.delta.issues, -1);
+      assertEqual(second.delta.new, 0);
+      assertEqual(second.delta.fixed, 1);
+      assertEqual(second.delta.checks, { imageAlt: -1 });
+      assertEqual(second.delta.components.HeaderComponent.issues, -1);
+      assertTrue(formatHistorySummary({ history: second }).includes('issues -1 (0 new, 1 fixed)'), formatHistorySummary({ history: second }));
+    });
+
+    // Test 3: Broken lines
+    test('broken lines in the history file are skipped', () => {
+      fs.appendFileSync(historyFile, '{"timestamp": "2026-10-02T10:00');
+      const snapshots = readHistory(historyFile);
+      assertEqual(snapshots.map(snapshot => snapshot.mode), ['component', 'routes', 'component']);
+      assertEqual(readHistory(path.join(FIXTURE_DIR, 'missing.jsonl')), []);
+    });
+
+    // Test 4: Trend output
+    test('the trend follows the project, one component or one check', () => {
+      const snapshots = readHistory(historyFile);
+      const overall = formatTrend(snapshots, { file: historyFile });
+      assertTrue(overall.includes('Mode: component | 2 snapshots'), overall);
+      assertTrue(overall.includes('-1 issues'), overall);
+      assertTrue(/imageAlt\s+2 ->\s+1\s+\(-1\)/.test(overall), overall);
+      assertTrue(/HeaderComponent\s+\d+ ->\s+\d+\s+\(-1\)/.test(overall), overall);
+
+      const routes = formatTrend(snapshots, { mode: 'routes' });
+      assertTrue(routes.includes('Mode: routes | 1 snapshot'), routes);
+
+      const check = formatTrend(snapshots, { check: 'buttonNames' });
+      assertTrue(check.includes('check buttonNames') && !check.includes('Score:'), check);
+
+      const header = formatTrend(snapshots, { component: 'HeaderComponent' });
+      assertTrue(header.includes('| HeaderComponent |'), header);
+
+      assertEqual(sparkline([0, 50, 100, null]), '▁▅█ ');
+      assertTrue(formatTrend([]).includes('No history yet'), formatTrend([]));
+    });
+
+    // Test 5: Monitoring formatters
+    test('monitoring formatters emit the change since the previous run', () => {
+      const results = { ...analyze(), history: second };
+      const formatters = loadAllFormatters();
+
+      const prometheus = formatters.get('prometheus').format(results);
+      assertTrue(/mat_a11y_issues_fixed\{tier="full"\} 1/.test(prometheus), prometheus);
+      assertTrue(/mat_a11y_issues_by_check_delta\{check="imageAlt",tier="full"\} -1/.test(prometheus), prometheus);
+
+      const datadog = JSON.parse(formatters.get('datadog').format(results));
+      const fixed = datadog.series.find(series => series.metric === 'mat_a11y.history.issues_fixed');
+      assertTrue(fixed && fixed.points[0][1] === 1, JSON.stringify(datadog.series.map(series => series.metric)));
+
+      const grafana = JSON.parse(formatters.get('grafana-json').format(results));
+      const delta = grafana.timeseries.find(series => series.target === 'issues_delta');
+      assertTrue(delta && delta.datapoints[0][0] === -1, JSON.stringify(grafana.timeseries.map(series => series.target)));
+
+      // Without history nothing changes
+      assertTrue(!formatters.get('prometheus').format(analyze()).includes('_delta'), 'no delta without history');
+    });
+
+    // Test 6: CLI
+    test('--history records CLI runs and trend prints them', () => {
+      const run = runCli(['.', '--headless', '--no-config', '--history', '--json', '-o', 'report.json']);
+      assertTrue(run.status === 0 || run.status === 1, `exit ${run.status}: ${run.stderr}`);
+      assertTrue(run.stdout.includes('History: first snapshot recorded'), run.stdout);
+      const report = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'report.json'), 'utf-8'));
+      assertTrue(report.history && report.history.delta === null, JSON.stringify(report.history));
+
+      const again = runCli(['.', '--headless', '--no-config', '--history', '--json', '-o', 'report.json']);
+      assertEqual(readHistory(path.join(FIXTURE_DIR, HISTORY_FILE)).length, 2);
+      assertTrue(again.stdout.includes('History: no change since the last run'), again.stdout);
+
+      const trend = runCli(['--no-config', 'trend', '--check', 'imageAlt']);
+      assertEqual(trend.status, 0, trend.stderr);
+      assertTrue(trend.stdout.includes('MAT-A11Y TREND') && trend.stdout.includes('check imageAlt'), trend.stdout);
+
+      const invalid = runCli(['trend', '--no-config', '--last', '0']);
+      assertEqual(invalid.status, 2, 'Invalid --last');
+    });
+
+    // Test 7: GUI
+    await testAsync('the GUI records scans and serves the history', async () => {
+      const { runScan, loadHistory } = require('../../gui/server');
+      const scan = await runScan(FIXTURE_DIR, { history: true, noConfig: true });
+      assertTrue(!scan.error, scan.error);
+      assertEqual(scan.history.snapshots, 3);
+
+      const history = loadHistory(FIXTURE_DIR, { noConfig: true });
+      assertEqual(history.snapshots.length, 3);
+      assertTrue(history.snapshots.every(snapshot => !snapshot.fingerprints), 'fingerprints left out');
+    });
+
+    // Test 8: Config
+    test('the history config key takes a boolean or a file path', () => {
+      assertEqual(validateConfig({ history: true }).errors, []);
+      assertEqual(validateConfig({ history: 'a11y/history.jsonl' }).errors, []);
+      assertEqual(validateConfig({ history: 1 }).errors, ['Config key "history" must be a boolean or a file path']);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
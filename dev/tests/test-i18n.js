@@ -0,0 +1,432 @@
+'use strict';
+
+/**
+ * Tests for translation-aware accessible names (config "i18n" / --i18n)
+ *
+ * Verifies that:
+ * - XLIFF 1.2/2.0, XMB and XTB message files and runtime JSON translations are read
+ * - Translation files are found from angular.json and the ngx-translate/Transloco defaults
+ * - Names in templates and TypeScript without a translation are reported per locale
+ * - <html lang> is checked against the source locale and runtime language switching
+ * - The checks run in component, worker and file-based mode, with inline suppressions
+ * - The config is validated and the CLI enables the checks with --i18n
+ * - GUI scans run the checks from the config or the request
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  parseMessageFile,
+  flattenTranslations,
+  findTranslationKeys,
+  loadI18n,
+  createI18nChecks
+} = require('../../src/core/i18n');
+const { analyzeByComponent, analyzeByComponentAsync } = require('../../src/core/componentAnalyzer');
+const { validateConfig } = require('../../src/core/config');
+const { analyze } = require('../../src/index');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const ANGULAR_JSON = {
+  version: 1,
+  projects: {
+    app: {
+      projectType: 'application',
+      sourceRoot: 'src',
+      i18n: {
+        sourceLocale: 'en-US',
+        locales: {
+          de: 'src/locale/messages.de.xlf',
+          fr: { translation: ['src/locale/messages.fr.xlf'], baseHref: '/fr/' }
+        }
+      },
+      architect: { build: { options: { index: 'src/index.html' } } }
+    }
+  }
+};
+
+const MESSAGES_DE = `<?xml version="1.0" encoding="UTF-8" ?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en-US" target-language="de" datatype="plaintext" original="ng2.template">
+    <body>
+      <trans-unit id="closeLabel" datatype="html">
+        <source>Close</source>
+        <target state="translated">Schließen</target>
+      </trans-unit>
+      <trans-unit id="5a8c4b1e" datatype="html">
+        <source>Save</source>
+        <target>Speichern</target>
+      </trans-unit>
+      <trans-unit id="9f2d3c4b" datatype="html">
+        <source>Hello <x id="INTERPOLATION" equiv-text="{{ name }}"/></source>
+        <target>Hallo <x id="INTERPOLATION" equiv-text="{{ name }}"/></target>
+      </trans-unit>
+      <trans-unit id="menuLabel" datatype="html">
+        <source>Menu</source>
+        <target></target>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>
+`;
+
+const MESSAGES_FR = `<?xml version="1.0" encoding="UTF-8" ?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en-US" trgLang="fr">
+  <file id="ngi18n" original="ng.template">
+    <unit id="closeLabel">
+      <segment>
+        <source>Close</source>
+        <target>Fermer</target>
+      </segment>
+    </unit>
+    <unit id="5a8c4b1e">
+      <segment>
+        <source>Save</source>
+      </segment>
+    </unit>
+    <unit id="9f2d3c4b">
+      <segment>
+        <source>Hello <ph id="0" equiv="INTERPOLATION" disp="{{ name }}"/></source>
+        <target>Bonjour <ph id="0" equiv="INTERPOLATION" disp="{{ name }}"/></target>
+      </segment>
+    </unit>
+  </file>
+</xliff>
+`;
+
+const HOME_TEMPLATE = `<button mat-icon-button i18n-aria-label="@@closeLabel" aria-label="Close"><mat-icon>close</mat-icon></button>
+<button mat-button i18n>Save</button>
+<h1 i18n>Hello {{ name }}</h1>
+<button mat-button i18n-title="@@menuLabel" title="Menu"><mat-icon>menu</mat-icon></button>
+<a routerLink="/">{{ 'nav.home' | translate }}</a>
+<button mat-icon-button [attr.aria-label]="'nav.close' | translate"><mat-icon>close</mat-icon></button>
+<ng-container *transloco="let t"><img [alt]="t('nav.logo')" src="logo.png"></ng-container>
+<!-- mat-a11y-disable-next-line i18nNames -- ships with the next release -->
+<button mat-button i18n="@@later">Later</button>
+`;
+
+const HOME_SOURCE = `import { Component } from '@angular/core';
+import { TranslateService } from '@ngx-translate/core';
+
+@Component({
+  selector: 'app-home',
+  templateUrl: './home.component.html'
+})
+export class HomeComponent {
+  closeLabel = $localize\`:@@closeLabel:Close\`;
+  pageTitle: string = $localize\`:Page title@@pageTitle:Dashboard\`;
+  greeting = $localize\`Welcome\`;
+  searchLabel = '';
+
+  constructor(private translate: TranslateService) {
+    this.searchLabel = this.translate.instant('nav.search');
+  }
+}
+`;
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(dir, selector, className, html) {
+  write(`src/app/${dir}/${dir}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: '${selector}',
+  templateUrl: './${dir}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${dir}/${dir}.component.html`, html);
+}
+
+// Setup test fixtures: an Angular workspace with compiled and runtime translations
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-i18n-'));
+  write('.mat-a11yrc', JSON.stringify({ i18n: true }));
+  write('angular.json', JSON.stringify(ANGULAR_JSON, null, 2));
+  write('src/index.html', '<!doctype html>\n<html lang="de">\n<head><title>App</title></head>\n<body><app-root></app-root></body>\n</html>\n');
+  write('src/locale/messages.de.xlf', MESSAGES_DE);
+  write('src/locale/messages.fr.xlf', MESSAGES_FR);
+  write('src/assets/i18n/en.json', JSON.stringify({ nav: { home: 'Home', close: 'Close', search: 'Search' } }));
+  write('src/assets/i18n/de.json', JSON.stringify({ nav: { home: 'Start', close: '' } }));
+
+  write('src/app/home/home.component.ts', HOME_SOURCE);
+  write('src/app/home/home.component.html', HOME_TEMPLATE);
+  for (let i = 1; i <= 10; i++) {
+    component(`item${i}`, `app-item${i}`, `Item${i}Component`, '<button mat-button i18n="@@closeLabel">Close</button>\n');
+  }
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// i18n issues as [check, code, line, key, locale]
+function i18nIssues(issues) {
+  return issues
+    .filter(issue => issue.check && issue.check.startsWith('i18n'))
+    .map(issue => [issue.check, issue.code, issue.location.line, issue.data.key || issue.data.lang, issue.data.locale || null]);
+}
+
+const EXPECTED_TEMPLATE_ISSUES = [
+  ['i18nNames', 'I18N_MISSING_TRANSLATION', 2, 'Save', 'fr'],
+  ['i18nNames', 'I18N_EMPTY_TRANSLATION', 4, 'menuLabel', 'de'],
+  ['i18nNames', 'I18N_MISSING_TRANSLATION', 4, 'menuLabel', 'fr'],
+  ['i18nNames', 'I18N_EMPTY_TRANSLATION', 6, 'nav.close', 'de'],
+  ['i18nNames', 'I18N_MISSING_TRANSLATION', 7, 'nav.logo', 'de'],
+  ['i18nNames', 'I18N_MISSING_TRANSLATION', 7, 'nav.logo', 'en']
+];
+
+const EXPECTED_SOURCE_ISSUES = [
+  ['i18nLocalizeNames', 'I18N_MISSING_TRANSLATION', 10, 'pageTitle', 'de'],
+  ['i18nLocalizeNames', 'I18N_MISSING_TRANSLATION', 10, 'pageTitle', 'fr'],
+  ['i18nLocalizeNames', 'I18N_MISSING_TRANSLATION', 15, 'nav.search', 'de']
+];
+
+const EXPECTED_DOCUMENT_ISSUES = [
+  ['i18nHtmlLang', 'I18N_LANG_MISMATCH', 2, 'de', null],
+  ['i18nHtmlLang', 'I18N_LANG_STATIC', 2, 'de', null]
+];
+
+// Sort issues by line, then locale (checks run one after another)
+function byLine(a, b) {
+  return a[2] - b[2] || String(a[4]).localeCompare(String(b[4]));
+}
+
+// Issues of a component result
+function componentIssues(results, name) {
+  const entry = results.components.find(comp => comp.name === name);
+  return entry ? i18nIssues(entry.issues).sort(byLine) : [];
+}
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURE_DIR, encoding: 'utf-8', timeout: 60000 });
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\ni18n Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: Message and translation files
+    test('message files and runtime translations are parsed', () => {
+      const de = parseMessageFile(MESSAGES_DE);
+      assertEqual([de.format, de.locale, de.messages.size], ['xliff', 'de', 4]);
+      assertEqual(de.messages.get('9f2d3c4b'), { source: 'Hello {{}}', target: 'Hallo {{}}' });
+      assertEqual(de.messages.get('menuLabel').target, '');
+
+      const fr = parseMessageFile(MESSAGES_FR);
+      assertEqual([fr.format, fr.locale], ['xliff2', 'fr']);
+      assertEqual(fr.messages.get('5a8c4b1e'), { source: 'Save', target: null });
+
+      const xtb = parseMessageFile('<translationbundle lang="it"><translation id="123">Salva &amp; chiudi</translation></translationbundle>');
+      assertEqual([xtb.format, xtb.locale, xtb.messages.get('123').target], ['xtb', 'it', 'Salva & chiudi']);
+      const xmb = parseMessageFile('<messagebundle><msg id="123" desc="Save">Save <ph name="NAME"><ex>Bob</ex></ph></msg></messagebundle>');
+      assertEqual([xmb.format, xmb.messages.get('123').target], ['xmb', 'Save {{}}']);
+      assertEqual(parseMessageFile('{}').format, null);
+
+      assertEqual([...flattenTranslations({ nav: { home: 'Home' }, 'a.b': 'flat' })], [['nav.home', 'Home'], ['a.b', 'flat']]);
+      assertEqual(findTranslationKeys("{{ 'nav.home' | translate }} {{ t(\"nav.back\") }} {{ 'x' | transloco: { n: 1 } }}"),
+        ['nav.home', 'x', 'nav.back']);
+      assertEqual(findTranslationKeys("label | translate"), []);
+    });
+
+    // Test 2: Finding the files
+    test('translation files are found from angular.json and the library defaults', () => {
+      const i18n = loadI18n({}, path.join(FIXTURE_DIR, 'src', 'app'));
+      assertEqual(i18n.root, FIXTURE_DIR);
+      assertEqual(i18n.sourceLocale, 'en-US');
+      assertEqual(i18n.index, path.join(FIXTURE_DIR, 'src', 'index.html'));
+      assertEqual(i18n.messages.map(catalog => catalog.locale), ['de', 'fr']);
+      assertEqual(i18n.translations.map(catalog => catalog.locale), ['de', 'en']);
+      assertEqual(i18n.setsLang, false);
+      assertEqual(i18n.errors, []);
+
+      const limited = loadI18n({ locales: ['de'], translations: 'src/assets/i18n/de.json' }, FIXTURE_DIR);
+      assertEqual(limited.messages.map(catalog => catalog.locale), ['de']);
+      assertEqual(limited.translations.map(catalog => catalog.locale), ['de']);
+    });
+
+    // Test 3: Template names
+    test('names in templates without a translation are reported per locale', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'basic' });
+      const home = results.components.find(comp => comp.name === 'HomeComponent');
+      assertEqual(componentIssues(results, 'HomeComponent').filter(issue => issue[0] === 'i18nNames'), EXPECTED_TEMPLATE_ISSUES);
+      assertEqual(home.suppressed.map(entry => [entry.check, entry.line]), [['i18nNames', 9], ['i18nNames', 9]]);
+
+      const issue = home.issues.find(entry => entry.code === 'I18N_EMPTY_TRANSLATION' && entry.data.key === 'nav.close');
+      assertEqual(issue.message, 'Accessible name "nav.close" is empty in de');
+      assertEqual(issue.fixes, ['Translate "nav.close" in src/assets/i18n/de.json']);
+      assertTrue(results.audits.some(audit => audit.name === 'i18nNames' && audit.weight === 10), 'i18nNames is scored');
+
+      const off = analyzeByComponent(FIXTURE_DIR, { tier: 'basic', config: false });
+      assertEqual(off.components.flatMap(comp => i18nIssues(comp.issues)), [], 'no i18n checks without the option');
+    });
+
+    // Test 4: TypeScript names
+    test('$localize and instant() labels without a translation are reported', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'basic' });
+      assertEqual(componentIssues(results, 'HomeComponent').filter(issue => issue[0] === 'i18nLocalizeNames'), EXPECTED_SOURCE_ISSUES);
+    });
+
+    // Test 5: <html lang>
+    test('<html lang> is checked against angular.json and language switching', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'basic' });
+      assertEqual(componentIssues(results, 'index.html').filter(issue => issue[0] === 'i18nHtmlLang'), EXPECTED_DOCUMENT_ISSUES);
+
+      write('src/app/language.service.ts', `import { Injectable, inject, DOCUMENT } from '@angular/core';
+
+@Injectable({ providedIn: 'root' })
+export class LanguageService {
+  private document = inject(DOCUMENT);
+  use(lang: string) {
+    this.document.documentElement.lang = lang;
+  }
+}
+`);
+      try {
+        const [, , htmlLang] = createI18nChecks(loadI18n({}, FIXTURE_DIR));
+        const result = htmlLang.check('<html lang="en">');
+        assertEqual([result.pass, result.elementsFound], [true, 1]);
+        assertEqual(htmlLang.check('<html lang="de-CH">').issues.map(entry => entry.code), ['I18N_LANG_MISMATCH']);
+        assertEqual(htmlLang.check('<html>').issues, [], 'a missing lang is left to htmlHasLang');
+      } finally {
+        fs.rmSync(path.join(FIXTURE_DIR, 'src/app/language.service.ts'));
+      }
+    });
+
+    // Test 6: Worker mode
+    await testAsync('i18n checks run in worker threads', async () => {
+      const results = await analyzeByComponentAsync(FIXTURE_DIR, { tier: 'basic', workers: 1 });
+      assertEqual(componentIssues(results, 'HomeComponent'), [...EXPECTED_TEMPLATE_ISSUES, ...EXPECTED_SOURCE_ISSUES].sort(byLine));
+      assertEqual(componentIssues(results, 'index.html'), EXPECTED_DOCUMENT_ISSUES);
+      assertEqual(results.suppressions.count, 2);
+      assertTrue(results.components.every(comp => !/^Item\d+Component$/.test(comp.name) ||
+        i18nIssues(comp.issues).length === 0), 'translated names pass');
+    });
+
+    // Test 7: File-based analysis
+    test('i18n checks run in file-based analysis', () => {
+      const results = analyze(path.join(FIXTURE_DIR, 'src'), { tier: 'basic', configFile: path.join(FIXTURE_DIR, '.mat-a11yrc') });
+      const byFile = (suffix) => i18nIssues(results.summary.issues.filter(issue => issue.file.endsWith(suffix)));
+      assertEqual(byFile('home.component.html'), EXPECTED_TEMPLATE_ISSUES);
+      assertEqual(byFile('home.component.ts'), EXPECTED_SOURCE_ISSUES);
+      assertEqual(byFile('index.html'), EXPECTED_DOCUMENT_ISSUES);
+    });
+
+    // Test 8: Config and CLI
+    test('the CLI enables the checks with --i18n', () => {
+      assertEqual(validateConfig({ i18n: { translations: ['public/i18n'], locales: ['de'] } }).errors, []);
+      assertEqual(validateConfig({ i18n: 'yes' }).errors, ['Config key "i18n" must be a boolean or { root, translations, locales }']);
+      assertEqual(validateConfig({ i18n: { locales: 'de', lang: 'de' } }).errors,
+        ['Unknown i18n key: lang', 'i18n "locales" must be a list of locale codes']);
+
+      const run = runCli(['src', '--headless', '--json', '-o', 'report.json', '--no-config', '--i18n']);
+      assertEqual(run.status, 1, run.stderr);
+      const report = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'report.json'), 'utf-8'));
+      assertEqual(componentIssues(report.raw, 'index.html'), EXPECTED_DOCUMENT_ISSUES);
+      assertEqual(componentIssues(report.raw, 'HomeComponent').length,
+        EXPECTED_TEMPLATE_ISSUES.length + EXPECTED_SOURCE_ISSUES.length);
+
+      const without = runCli(['src', '--headless', '--json', '-o', 'plain.json', '--no-config']);
+      const plain = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'plain.json'), 'utf-8'));
+      assertEqual(plain.raw.components.flatMap(comp => i18nIssues(comp.issues)), [], without.stderr);
+    });
+
+    // Test 9: GUI
+    await testAsync('GUI scans run the checks from the config or the request', async () => {
+      const { runScan } = require('../../gui/server');
+      const summaryChecks = (scan) => scan.issueSummary.map(entry => entry.check).filter(check => /^i18n/.test(check)).sort();
+
+      const configured = await runScan(FIXTURE_DIR, { tier: 'basic' });
+      assertTrue(!configured.error, configured.error);
+      assertEqual(summaryChecks(configured), ['i18nHtmlLang', 'i18nLocalizeNames', 'i18nNames']);
+
+      const requested = await runScan(FIXTURE_DIR, { tier: 'basic', noConfig: true, i18n: true });
+      assertEqual(summaryChecks(requested), ['i18nHtmlLang', 'i18nLocalizeNames', 'i18nNames']);
+      const plain = await runScan(FIXTURE_DIR, { tier: 'basic', noConfig: true });
+      assertEqual(summaryChecks(plain), []);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
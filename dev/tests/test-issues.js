@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Tests for Structured Issues
+ *
+ * Verifies that:
+ * - Checks emit { code, severity, wcag, message, fixes, element, location, data }
+ * - renderIssue() produces the same text as errors.format()
+ * - Plain-string issues from custom checks are converted, not re-rendered
+ * - Analysis results and the JSON formatter keep the structured fields
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIssue, toIssue, renderIssue, format } = require('../../src/core/errors');
+const { applySeverityOverride } = require('../../src/core/config');
+const { analyze, formatConsoleOutput } = require('../../src/index');
+const json = require('../../src/formatters/json');
+const imageAlt = require('../../src/checks/imageAlt');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+const PAGE = `<main>
+  <h1>Page</h1>
+  <img src="logo.png">
+</main>
+`;
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-issues-'));
+  fs.mkdirSync(path.join(FIXTURE_DIR, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(FIXTURE_DIR, 'src', 'page.html'), PAGE);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nStructured Issue Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    const srcDir = path.join(FIXTURE_DIR, 'src');
+
+    // Test 1: createIssue
+    await test('createIssue fills code, severity, wcag, message, fixes and element', () => {
+      const issue = createIssue('IMG_MISSING_ALT', { element: '<img src="a.png">' });
+      assertEqual(issue.code, 'IMG_MISSING_ALT');
+      assertEqual(issue.severity, 'error');
+      assertEqual(issue.wcag, '1.1.1');
+      assertTrue(!issue.message.startsWith('['), 'Message has no severity prefix');
+      assertTrue(!issue.message.includes('\n'), 'Message is a single line');
+      assertTrue(issue.fixes.length > 0, 'Fixes are listed');
+      assertEqual(issue.element, '<img src="a.png">');
+      assertEqual(issue.location, null);
+    });
+
+    // Test 2: renderIssue
+    await test('renderIssue renders the same text as errors.format', () => {
+      const data = { element: '<button mat-button></button>', line: 4 };
+      assertEqual(renderIssue(createIssue('BTN_MISSING_NAME', data)), format('BTN_MISSING_NAME', data));
+      assertEqual(renderIssue(createIssue('IMG_MISSING_ALT')), format('IMG_MISSING_ALT'));
+    });
+
+    // Test 3: Plain strings
+    await test('plain-string issues keep their text and get parsed fields', () => {
+      const text = '[Warning] Custom problem\n  How to fix:\n    - Do this\n  Found: <x-widget>';
+      const issue = toIssue(text);
+      assertEqual([issue.code, issue.severity, issue.element], [null, 'warning', '<x-widget>']);
+      assertEqual(issue.fixes, ['Do this']);
+      assertEqual(renderIssue(issue), text, 'Rendered verbatim');
+    });
+
+    // Test 4: Checks and severity overrides
+    await test('checks emit structured issues and overrides change the severity', () => {
+      const result = imageAlt.check(PAGE);
+      assertEqual(result.issues.length, 1);
+      const issue = result.issues[0];
+      assertEqual([issue.code, issue.wcag], ['IMG_MISSING_ALT', '1.1.1']);
+
+      const overridden = applySeverityOverride(issue, 'imageAlt', { imageAlt: 'warning' });
+      assertEqual(overridden.severity, 'warning');
+      assertTrue(renderIssue(overridden).startsWith('[Warning] '), 'Rendered with the new severity');
+    });
+
+    // Test 5: Analysis results and JSON output
+    await test('analysis results and JSON output keep code, wcag and location', () => {
+      const results = analyze(srcDir, { config: false, tier: 'full' });
+      const issue = results.summary.issues.find(i => i.check === 'imageAlt');
+      assertTrue(issue, 'imageAlt issue is reported');
+      assertEqual([issue.code, issue.severity, issue.wcag], ['IMG_MISSING_ALT', 'error', '1.1.1']);
+      assertEqual(issue.location.line, 3);
+      assertTrue(formatConsoleOutput(results).includes(issue.message), 'Console output renders the issue');
+
+      const output = JSON.parse(json.format(results));
+      const reported = output.issues.find(i => i.check === 'imageAlt');
+      assertEqual([reported.code, reported.severity, reported.wcag], ['IMG_MISSING_ALT', 'error', '1.1.1']);
+      assertEqual(reported.message, renderIssue(issue), 'JSON message is the rendered text');
+      assertEqual(reported.line, 3);
+    });
+
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
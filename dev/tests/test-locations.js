@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Tests for Issue Locations
+ *
+ * Verifies that:
+ * - Every check returns one location per issue
+ * - Locations point at the offending element (1-based, end exclusive)
+ * - Inline templates and <style> blocks are mapped to the containing file
+ * - SARIF, GitHub annotations and SonarQube output use the location
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getLocation, offsetIssue } = require('../../src/core/location');
+const { loadAllChecks } = require('../../src/core/loader');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { analyze } = require('../../src/index');
+const sarif = require('../../src/formatters/sarif');
+const githubAnnotations = require('../../src/formatters/github-annotations');
+const sonarqube = require('../../src/formatters/sonarqube');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const VERIFY_DIR = path.join(__dirname, 'verify-files');
+
+let FIXTURE_DIR = null;
+
+const COMPONENT = `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-logo',
+  template: \`
+    <h1>Logo</h1>
+    <img src="logo.png">
+  \`
+})
+export class LogoComponent {}
+`;
+
+const PAGE = `<main>
+  <h1>Page</h1>
+</main>
+<style>
+  .ok { color: #000; }
+  button:focus { outline: none; }
+</style>
+`;
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-locations-'));
+
+  const appDir = path.join(FIXTURE_DIR, 'src', 'app');
+  fs.mkdirSync(appDir, { recursive: true });
+
+  fs.writeFileSync(path.join(appDir, 'logo.component.ts'), COMPONENT);
+  fs.writeFileSync(path.join(appDir, 'page.html'), PAGE);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nIssue Location Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    const srcDir = path.join(FIXTURE_DIR, 'src');
+    const logoPath = path.join(srcDir, 'app', 'logo.component.ts');
+
+    // Test 1: Location helpers
+    await test('getLocation and offsetIssue compute 1-based, end-exclusive ranges', () => {
+      const content = '<div>\n  <img src="a.png">\n</div>';
+      const index = content.indexOf('<img');
+      assertEqual(getLocation(content, index, '<img src="a.png">'.length),
+        { line: 2, column: 3, endLine: 2, endColumn: 20 });
+
+      const shifted = offsetIssue({ message: 'Problem (line 1)', location: { line: 1, column: 3, endLine: 2, endColumn: 4 } },
+        { line: 10, column: 5 });
+      assertEqual(shifted, { message: 'Problem (line 10)', location: { line: 10, column: 7, endLine: 11, endColumn: 4 } },
+        'Only the first line is shifted by the origin column');
+    });
+
+    // Test 2: Every check reports a location per issue
+    await test('every check returns one location per issue on its verify file', () => {
+      const registry = loadAllChecks('full');
+      const files = fs.readdirSync(VERIFY_DIR);
+      let located = 0;
+
+      for (const [name, checkModule] of registry) {
+        const file = files.find(f => f.replace(/\.[^.]+$/, '') === name);
+        if (!file) continue;
+
+        const content = fs.readFileSync(path.join(VERIFY_DIR, file), 'utf-8');
+        const result = checkModule.check(content);
+        // Early returns without issues may omit locations
+        const locations = result.locations || [];
+        assertEqual(locations.length, result.issues.length, `${name} locations match issues`);
+
+        for (const location of locations.filter(Boolean)) {
+          assertTrue(location.line >= 1 && location.column >= 1, `${name} location is 1-based`);
+          assertTrue(location.endLine > location.line ||
+            (location.endLine === location.line && location.endColumn >= location.column), `${name} range is ordered`);
+          located++;
+        }
+      }
+      assertTrue(located > 0, 'Some issues are located');
+    });
+
+    // Test 3: Inline templates
+    await test('inline template issues point into the component .ts file', () => {
+      const results = analyzeByComponent(srcDir, { config: false });
+      const issue = results.components.flatMap(comp => comp.issues).find(i => i.check === 'imageAlt');
+      assertTrue(issue, 'imageAlt issue is reported');
+      assertEqual(issue.file, logoPath);
+
+      const lines = COMPONENT.split('\n');
+      const line = lines.findIndex(l => l.includes('<img')) + 1;
+      assertEqual([issue.location.line, issue.location.column], [line, lines[line - 1].indexOf('<img') + 1]);
+    });
+
+    // Test 4: <style> blocks
+    await test('<style> block issues point into the HTML file', () => {
+      const results = analyze(srcDir, { config: false, tier: 'full' });
+      const issue = results.summary.issues.find(i => i.file.endsWith('page.html') && /outline/i.test(i.message + i.element));
+      assertTrue(issue, 'outline issue is reported');
+
+      const lines = PAGE.split('\n');
+      assertEqual(issue.location.line, lines.findIndex(l => l.includes('outline: none')) + 1);
+      assertTrue(typeof issue.location.column === 'number', 'Column is reported');
+    });
+
+    // Test 5: Formatters
+    await test('SARIF, GitHub annotations and SonarQube use the location', () => {
+      const results = analyzeByComponent(srcDir, { config: false });
+      const issue = results.components.flatMap(comp => comp.issues).find(i => i.check === 'imageAlt').location;
+
+      const log = JSON.parse(sarif.format(results));
+      const result = log.runs[0].results.find(r => r.ruleId === 'imageAlt');
+      const region = result.locations[0].physicalLocation.region;
+      assertEqual([region.startLine, region.startColumn, region.endLine, region.endColumn],
+        [issue.line, issue.column, issue.endLine, issue.endColumn]);
+
+      const annotation = githubAnnotations.format(results).split('\n').find(l => l.includes('title=imageAlt'));
+      assertTrue(annotation.includes(`line=${issue.line},col=${issue.column},endColumn=${issue.endColumn - 1}`),
+        'GitHub annotation has col and inclusive endColumn');
+
+      const sonar = JSON.parse(sonarqube.format(results));
+      const range = sonar.issues.find(i => i.ruleId === 'imageAlt').primaryLocation.textRange;
+      assertEqual(range.startColumn, issue.column - 1, 'SonarQube columns are 0-based');
+    });
+
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
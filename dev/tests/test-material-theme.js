@@ -0,0 +1,337 @@
+'use strict';
+
+/**
+ * Tests for Angular Material theme-aware contrast checking
+ *
+ * Verifies that:
+ * - M2 palettes resolve (built-in and custom $mat-* maps, hues, contrast colors)
+ *   and mat.get-color-from-palette() works in declarations
+ * - M2 light and dark themes resolve in both the positional and the map form
+ * - M3 themes (mat.define-theme, mat.theme) resolve by tone, or to the hex
+ *   values of generated palette maps, and mat.get-theme-color() works
+ * - colorContrast reports every themed component combination below 4.5:1
+ * - Component tokens, mat.theme-overrides() and --mat-sys-* overrides are applied
+ * - Component analysis checks the theme in the workspace's global styles
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLookup, resolvePalette, getPaletteColor, findThemes, getThemeCombinations, flattenColor } = require('../../src/core/materialTheme');
+const { buildContext, resolveValue, createThemeLookup } = require('../../src/core/variableResolver');
+const { getContrastRatio } = require('../../src/colors');
+const colorContrast = require('../../src/checks/colorContrast');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// A custom M2 palette whose 500 hue is too light for white text
+const BRAND_PALETTE = `
+$dark-primary-text: rgba(black, 0.87);
+$light-primary-text: white;
+$mat-brand: (
+  50: #e0f2f1,
+  100: #b2dfdb,
+  500: #4db6ac,
+  700: #00796b,
+  contrast: (
+    50: $dark-primary-text,
+    100: $dark-primary-text,
+    500: $light-primary-text,
+    700: $light-primary-text
+  )
+);
+`;
+
+// A generated M3 palette (ng generate @angular/material:theme-color)
+const M3_PALETTE = `
+$brand-palette: (
+  0: #000000, 10: #001f24, 20: #00363d, 30: #004f58, 40: #006874, 80: #4fd8eb, 90: #97f0ff, 98: #f1fdff, 100: #ffffff,
+  secondary: (10: #051f23, 30: #334b4f, 90: #cde7ec),
+  neutral: (6: #0e1415, 10: #191c1d, 90: #e1e3e3, 98: #f9fafa)
+);
+`;
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return filePath;
+}
+
+// Setup test fixtures: an Angular app whose theme lives in the global styles.scss
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-theme-'));
+  write('angular.json', {
+    version: 1,
+    projects: {
+      shop: {
+        projectType: 'application',
+        root: '',
+        sourceRoot: 'src',
+        architect: { build: { options: { styles: ['src/styles.scss'] } } }
+      }
+    }
+  });
+  write('src/styles.scss', `@use '@angular/material' as mat;
+${BRAND_PALETTE}
+$shop-primary: mat.define-palette($mat-brand);
+$shop-accent: mat.define-palette(mat.$amber-palette, A200, A100, A400);
+$shop-warn: mat.define-palette(mat.$red-palette, 700);
+$shop-theme: mat.define-light-theme((color: (primary: $shop-primary, accent: $shop-accent, warn: $shop-warn)));
+@include mat.all-component-themes($shop-theme);
+`);
+  write('src/app/home.component.ts', `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-home',
+  template: '<h1>Shop</h1>'
+})
+export class HomeComponent {}
+`);
+}
+
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Lookup resolving palette values like the colorContrast check does
+function lookupFor(content) {
+  return createThemeLookup(content, buildContext([content]));
+}
+
+// [component, foreground, background] of every combination of a theme variant
+function combinations(theme, variant) {
+  return getThemeCombinations(theme, variant).map(entry => [entry.component, entry.foreground.label, entry.background.label]);
+}
+
+// Components of the MAT_THEME_CONTRAST issues, as "variant component"
+function themeIssues(result) {
+  return result.issues
+    .filter(issue => issue.code === 'MAT_THEME_CONTRAST')
+    .map(issue => `${issue.data.variant} ${issue.data.component}`);
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nMaterial Theme Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: M2 palettes
+    test('M2 palettes resolve hues, contrast colors and get-color-from-palette()', () => {
+      const content = `$primary: mat.define-palette(mat.$indigo-palette, 700, 300, 900);
+$accent: mat.m2-define-palette(mat.$m2-pink-palette, A200);
+$legacy: mat-palette($mat-teal);`;
+      const lookup = lookupFor(content);
+      const primary = resolvePalette('$primary', lookup);
+      assertEqual(['default', 'lighter', 'darker', 'text', '500', 'default-contrast', 'lighter-contrast'].map(hue => getPaletteColor(primary, hue)),
+        ['#303f9f', '#7986cb', '#1a237e', '#303f9f', '#3f51b5', '#ffffff', '#ffffff']);
+      assertEqual(getPaletteColor(resolvePalette('$accent', lookup), 'default-contrast'), '#ffffff');
+      assertEqual(getPaletteColor(resolvePalette('$legacy', lookup), '100-contrast'), 'rgba(0, 0, 0, 0.87)');
+      assertEqual(resolvePalette('mat.$unknown-palette', lookup), null);
+
+      const context = buildContext([content]);
+      assertEqual(resolveValue('mat.get-color-from-palette($primary)', context), '#303f9f');
+      assertEqual(resolveValue('mat.get-color-from-palette($primary, lighter-contrast)', context), '#ffffff');
+      assertEqual(resolveValue('mat-color($accent, A400, 0.5)', context), 'rgba(245, 0, 87, 0.5)');
+      assertEqual(resolveValue('mat.get-color-from-palette($missing)', context), null);
+    });
+
+    // Test 2: Custom palette maps
+    test('custom $mat-* palette maps resolve their contrast map through variables', () => {
+      const lookup = lookupFor(BRAND_PALETTE + '$brand: mat.define-palette($mat-brand, 700);');
+      const brand = resolvePalette('$brand', lookup);
+      assertEqual(getPaletteColor(brand), '#00796b');
+      assertEqual(getPaletteColor(brand, 'default-contrast'), 'white');
+      assertEqual(getPaletteColor(brand, '50-contrast'), 'rgba(0, 0, 0, 0.87)');
+      assertEqual(flattenColor('rgba(0, 0, 0, 0.87)', '#ffffff'), '#212121');
+    });
+
+    // Test 3: M2 themes
+    test('M2 light and dark themes resolve in positional and map form', () => {
+      const content = `$p: mat.define-palette(mat.$indigo-palette);
+$a: mat.define-palette(mat.$amber-palette, A200);
+$light: mat.define-light-theme((color: (primary: $p, accent: $a), typography: mat.define-typography-config()));
+$dark: mat-dark-theme($p, $a);`;
+      const themes = findThemes(content, lookupFor(content));
+      assertEqual(themes.map(theme => [theme.name, theme.version, theme.variants.map(variant => variant.type)]),
+        [['$light', 'm2', ['light']], ['$dark', 'm2', ['dark']]]);
+
+      const light = combinations(themes[0], themes[0].variants[0]);
+      assertEqual(light.find(entry => entry[0] === 'mat-toolbar color="accent"'), ['mat-toolbar color="accent"', 'rgba(0, 0, 0, 0.87)', '#ffd740']);
+      // The default warn palette is red
+      assertEqual(light.find(entry => entry[0] === 'mat-flat-button color="warn"'), ['mat-flat-button color="warn"', '#ffffff', '#f44336']);
+
+      const dark = combinations(themes[1], themes[1].variants[0]);
+      assertEqual(dark.find(entry => entry[0] === 'body text on the app background'), ['body text on the app background', '#ffffff', '#303030']);
+      assertEqual(getThemeCombinations(themes[1], themes[1].variants[0])[3].roles, ['accent', 'accent contrast']);
+    });
+
+    // Test 4: M3 themes
+    test('M3 themes resolve by tone or to generated palette colors', () => {
+      const content = `${M3_PALETTE}
+$azure: mat.define-theme((color: (theme-type: dark, primary: mat.$azure-palette)));
+$brand: mat.define-theme((color: (primary: $brand-palette)));
+.shell { @include mat.theme((color: (primary: $brand-palette, theme-type: color-scheme))); }`;
+      const themes = findThemes(content, lookupFor(content));
+      assertEqual(themes.map(theme => [theme.name, theme.version, theme.variants.map(variant => variant.type)]),
+        [['$azure', 'm3', ['dark']], ['$brand', 'm3', ['light']], ['mat.theme in .shell', 'm3', ['light', 'dark']]]);
+
+      // Built-in palettes: colors by tone, with the luminance of the tone
+      const azure = themes[0].variants[0].roles;
+      assertEqual([azure.primary.label, azure['on-primary'].label], ['tone 80', 'tone 20']);
+      assertEqual(Number(getContrastRatio(azure.primary.color, azure['on-primary'].color).toFixed(1)), 7.7);
+
+      const chip = combinations(themes[1], themes[1].variants[0]).find(entry => entry[0] === 'mat-chip-option (selected)');
+      assertEqual(chip, ['mat-chip-option (selected)', '#051f23', '#cde7ec']);
+      assertEqual(themes[2].variants[1].roles.surface.label, '#0e1415');
+
+      const context = buildContext([content]);
+      assertEqual(resolveValue('mat.get-theme-color($brand, primary)', context), '#006874');
+      assertEqual(resolveValue('mat.get-theme-color($brand, secondary, 30)', context), '#334b4f');
+    });
+
+    // Test 5: colorContrast
+    test('colorContrast reports themed components below 4.5:1 at the theme', () => {
+      const content = `@use '@angular/material' as mat;
+${BRAND_PALETTE}
+$primary: mat.define-palette($mat-brand);
+$accent: mat.define-palette(mat.$amber-palette, A200);
+$warn: mat.define-palette(mat.$red-palette, 700);
+$theme: mat.define-light-theme((color: (primary: $primary, accent: $accent, warn: $warn)));
+$fixed: mat.define-light-theme((color: (primary: mat.define-palette($mat-brand, 700), accent: $accent, warn: $warn)));
+`;
+      const result = colorContrast.check(content, buildContext([content]));
+      assertEqual(result.pass, false);
+      assertEqual(themeIssues(result), [
+        'light mat-flat-button color="primary"',
+        'light mat-raised-button color="primary"',
+        'light mat-button color="primary"',
+        'light mat-toolbar color="primary"',
+        'light mat-chip-option (selected)'
+      ]);
+
+      const issue = result.issues[0];
+      assertEqual(issue.message, 'Theme $theme (light): mat-flat-button color="primary" has contrast 2.44:1 (needs 4.5:1)');
+      assertEqual(issue.element, '$theme (light) mat-flat-button color="primary": white on #4db6ac');
+      assertEqual(issue.wcag, '1.4.3');
+      assertTrue(issue.fixes[0].includes('primary / primary contrast'), issue.fixes[0]);
+      assertEqual(result.locations[0], { line: 21, column: 9, endLine: 21, endColumn: 31 });
+
+      // M3 themes are designed to pass
+      const m3 = colorContrast.check('$t: mat.define-theme((color: (primary: mat.$rose-palette, tertiary: mat.$orange-palette)));');
+      assertEqual([m3.pass, m3.issues.length, m3.elementsFound], [true, 0, 9]);
+    });
+
+    // Test 6: Overrides
+    test('component tokens, theme-overrides() and --mat-sys-* overrides are checked', () => {
+      const content = `${M3_PALETTE}
+html {
+  @include mat.theme((color: (primary: $brand-palette, theme-type: color-scheme)));
+  @include mat.theme-overrides((primary: #7fdfe9));
+  --mdc-chip-selected-label-text-color: #8a8a8a;
+}
+@media (prefers-color-scheme: dark) {
+  html { --mat-sys-on-surface: #3a3a3a; }
+}
+.banner { color: var(--mat-sys-on-primary); background: var(--mat-sys-primary-container); }
+`;
+      const result = colorContrast.check(content, buildContext([content]));
+      assertEqual(themeIssues(result), [
+        'light mat-flat-button color="primary"',
+        'light mat-raised-button color="primary"',
+        'light mat-button color="primary"',
+        'light mat-toolbar color="primary"',
+        'light mat-chip-option (selected)',
+        'dark mat-chip-option (selected)',
+        'dark body text on the app background'
+      ]);
+      assertTrue(result.issues.some(issue => issue.element === 'mat.theme in html (light) mat-chip-option (selected): #8a8a8a on #cde7ec'),
+        result.issues.map(issue => issue.element).join('\n'));
+
+      // Generated palette colors are what var(--mat-sys-*) resolves to
+      assertTrue(result.issues.some(issue => issue.code === 'COLOR_CONTRAST_LOW' && issue.element.includes('#ffffff on #97f0ff')),
+        result.issues.map(issue => issue.element).join('\n'));
+    });
+
+    // Test 7: Global styles
+    test('component analysis checks the theme in the global styles', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'basic' });
+      const styles = results.components.find(entry => entry.name === 'styles.scss');
+      assertTrue(styles, JSON.stringify(results.components.map(entry => entry.name)));
+      assertEqual(styles.issues.map(issue => issue.code), Array(5).fill('MAT_THEME_CONTRAST'));
+      assertEqual(styles.issues[0].file, path.join(FIXTURE_DIR, 'src', 'styles.scss'));
+
+      const picked = analyzeByComponent(FIXTURE_DIR, { tier: 'basic', componentFiles: [path.join(FIXTURE_DIR, 'src', 'app', 'home.component.ts')] });
+      assertEqual(picked.components.filter(entry => entry.name === 'styles.scss'), []);
+    });
+
+    // Test 8: No theme
+    test('stylesheets without a theme are checked as before', () => {
+      const context = buildContext([]);
+      assertEqual(colorContrast.check('.a { padding: 0; }', context), { pass: true, issues: [], elementsFound: 0 });
+      assertEqual(findThemes('.a { color: red; }', createLookup('')), []);
+      // A theme that can't be resolved (unknown palette) is skipped
+      assertEqual(findThemes('$t: mat.define-light-theme($nope, $nope);', createLookup('')), []);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  process.exit(runTests() ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * Tests for the nonTextContrast check (WCAG 1.4.11)
+ *
+ * Verifies that:
+ * - Focus rings (outline, box-shadow), control borders and Material form-field
+ *   outline/underline tokens are compared against the background at 3:1
+ * - $variables, var() and #{} interpolation resolve; alpha is flattened
+ * - Decorative borders, box-shadows outside focus styles and disabled controls are skipped
+ * - Dark mode (@media and .dark-mode) is checked against the dark background
+ * - Issues report the computed ratio and point at the rule
+ * - Component analysis runs the check on component stylesheets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nonTextContrast = require('../../src/checks/nonTextContrast');
+const { getIndicatorStyles } = require('../../src/core/cssCascade');
+const { buildContext } = require('../../src/core/variableResolver');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// Setup test fixtures: a component whose stylesheet has a faint focus ring
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-non-text-'));
+  write('app/search.component.ts', `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-search',
+  templateUrl: './search.component.html',
+  styleUrls: ['./search.component.scss']
+})
+export class SearchComponent {}
+`);
+  write('app/search.component.html', '<button type="button" class="search-button">Search</button>\n');
+  write('app/search.component.scss', `.search-button {
+  color: #1a1a1a;
+}
+
+.search-button:focus-visible {
+  outline: 2px solid #c5cae9;
+}
+`);
+}
+
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run the check with the file's own variables, like the verifier does
+function check(content) {
+  return nonTextContrast.check(content, buildContext([content]));
+}
+
+// Elements of the reported issues
+function elements(result) {
+  return result.issues.map(issue => issue.element);
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nNon-text Contrast Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: Focus rings
+    test('outline and box-shadow focus rings are checked at 3:1', () => {
+      const result = check(`$ring: #b3d4fc;
+.a:focus-visible { outline: 2px solid $ring; }
+.b:focus-visible { outline: 2px solid #005fcc; }
+.c:focus { box-shadow: 0 0 0 3px rgba(0, 0, 255, 0.1); }
+.d:focus { box-shadow: 0 0 0 2px #fff, 0 0 0 4px #1a73e8; }
+`);
+      assertEqual(elements(result), [
+        '".a:focus-visible": outline #b3d4fc on #ffffff',
+        '".c:focus": box-shadow rgba(0, 0, 255, 0.1) on #ffffff'
+      ]);
+      assertEqual(result.elementsFound, 4);
+    });
+
+    // Test 2: Ratio and issue shape
+    test('issues report the computed ratio and point at the rule', () => {
+      const content = `.card { padding: 8px; }
+
+.field:focus {
+  border-color: #cccccc;
+}
+`;
+      const result = check(content);
+      const issue = result.issues[0];
+      assertEqual(issue.code, 'NON_TEXT_CONTRAST_LOW');
+      assertEqual(issue.wcag, '1.4.11');
+      assertEqual(issue.data.ratio, '1.61');
+      assertTrue(issue.message.includes('1.61:1'), 'Message includes the ratio');
+      assertEqual([result.locations[0].line, result.locations[0].column], [3, 1]);
+    });
+
+    // Test 3: Material form fields
+    test('mat-form-field outline and underline tokens are checked', () => {
+      const result = check(`$faint: #e0e0e0;
+.mat-mdc-form-field.a { --mdc-outlined-text-field-outline-color: #{$faint}; }
+.mat-mdc-form-field.b { --mdc-filled-text-field-active-indicator-color: #cccccc; }
+.mat-mdc-form-field.c { --mdc-outlined-text-field-outline-color: #767676; }
+.mat-mdc-form-field.d { --mdc-outlined-text-field-disabled-outline-color: #f5f5f5; }
+`);
+      assertEqual(result.issues.map(issue => issue.data.property), [
+        '--mdc-outlined-text-field-outline-color',
+        '--mdc-filled-text-field-active-indicator-color'
+      ]);
+    });
+
+    // Test 4: Exemptions
+    test('decorative borders, plain shadows and disabled controls are skipped', () => {
+      const result = check(`.card { border: 1px solid #eeeeee; box-shadow: 0 1px 2px #f5f5f5; }
+button:disabled { border: 1px solid #f0f0f0; }
+.link:focus { outline: none; }
+input.search { border: 1px solid transparent; }
+`);
+      assertEqual(result.issues, []);
+      assertEqual(check('.a { color: #333; }'), { pass: true, issues: [], elementsFound: 0 });
+    });
+
+    // Test 5: Backgrounds
+    test('the rule\'s own background replaces the white default', () => {
+      const result = check(`.toolbar button:focus-visible { background-color: #1e1e1e; outline: 2px solid #ffd740; }
+.sidebar button:focus-visible { background: var(--panel, #1e1e1e); outline: 2px solid #333333; }
+`);
+      assertEqual(elements(result), ['".sidebar button:focus-visible": outline #333333 on #1e1e1e']);
+    });
+
+    // Test 6: Dark mode
+    test('dark mode is checked against the dark background', () => {
+      const content = `.a:focus-visible { outline: 2px solid #1a56db; }
+.b:focus-visible { outline: 2px solid #1a56db; }
+
+@media (prefers-color-scheme: dark) {
+  .a:focus-visible { background: #121212; outline-color: #1a237e; }
+}
+
+.dark-mode .b:focus-visible { background: #121212; outline-color: #90caf9; }
+`;
+      assertEqual(elements(check(content)), ['[dark mode] ".a:focus-visible": outline-color #1a237e on #121212']);
+
+      const styles = getIndicatorStyles(content);
+      const a = styles.find(style => style.selector === '.a:focus-visible');
+      assertEqual(a.light.indicators, { outline: '2px solid #1a56db' });
+      assertEqual(a.dark.hasOverride, true);
+    });
+
+    // Test 7: Component analysis
+    test('component analysis reports the faint focus ring in the component stylesheet', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { config: false });
+      const issue = results.components.flatMap(comp => comp.issues).find(i => i.check === 'nonTextContrast');
+      assertTrue(issue, 'nonTextContrast issue is reported');
+      assertTrue(issue.file.endsWith('search.component.scss'), 'Issue points at the stylesheet');
+      assertTrue(issue.message.includes('outline contrast 1.'), 'Message includes the ratio');
+      assertEqual(issue.location.line, 5);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  process.exit(runTests() ? 0 : 1);
+}
+
+module.exports = { runTests };
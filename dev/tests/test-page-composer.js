@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * Tests for the Page Composer (page-level checks across components)
+ *
+ * Verifies that:
+ * - Child component templates are inserted at their selectors, recursively
+ * - Host content is projected into ng-content slots (select and default)
+ * - Recursive components don't loop
+ * - Issues found on the composed page map back to the template they come from
+ * - Deep route and sitemap analysis run page-level checks on the composed page,
+ *   honoring disable comments in the originating template
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { composePage, mapPageIssues } = require('../../src/core/pageComposer');
+const { buildComponentRegistry } = require('../../src/core/componentRegistry');
+const { withLocations } = require('../../src/core/location');
+const { analyzeByRoute } = require('../../src/core/routeAnalyzer');
+const { analyzeBySitemap } = require('../../src/core/sitemapAnalyzer');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function componentTs(name, className, selector = `app-${name}`) {
+  return `import { Component } from '@angular/core';
+
+@Component({
+  selector: '${selector}',
+  templateUrl: './${name}.component.html'
+})
+export class ${className} {}
+`;
+}
+
+// Setup test fixtures: a routed page whose headings, ids and references span components
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-page-'));
+
+  write('src/app/app.routes.ts', `import { Routes } from '@angular/router';
+
+export const routes: Routes = [
+  { path: 'home', loadComponent: () => import('./home/home.component').then(m => m.HomeComponent) }
+];
+`);
+  write('src/sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/home</loc></url>
+</urlset>
+`);
+
+  write('src/app/home/home.component.ts', componentTs('home', 'HomeComponent'));
+  write('src/app/home/home.component.html', `<h1 id="page-title">Home</h1>
+<app-panel>
+  <h2 panel-title>Latest</h2>
+  <app-list></app-list>
+</app-panel>
+<app-tree></app-tree>
+`);
+
+  // Projects a title slot and the rest into its body
+  write('src/app/panel/panel.component.ts', componentTs('panel', 'PanelComponent'));
+  write('src/app/panel/panel.component.html', `<section aria-labelledby="page-title">
+  <ng-content select="[panel-title]"></ng-content>
+  <div class="body"><ng-content></ng-content></div>
+</section>
+`);
+
+  // Skips from h2 (in the home template) to h4
+  write('src/app/list/list.component.ts', componentTs('list', 'ListComponent'));
+  write('src/app/list/list.component.html', `<h4>Items</h4>
+<!-- mat-a11y-disable-next-line duplicateIdAria -- described by the page footer -->
+<ul aria-describedby="footer-note"><li>One</li></ul>
+`);
+
+  // Renders itself
+  write('src/app/tree/tree.component.ts', componentTs('tree', 'TreeComponent'));
+  write('src/app/tree/tree.component.html', '<div class="node"><app-tree></app-tree></div>\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function relative(file) {
+  return path.relative(FIXTURE_DIR, file).split(path.sep).join('/');
+}
+
+function pageIssues(issues) {
+  return issues
+    .filter(issue => ['headingOrder', 'duplicateIdAria'].includes(issue.check))
+    .map(issue => `${issue.check} ${issue.code} ${relative(issue.file)}:${issue.location.line}`)
+    .sort();
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nPage Composer Tests\n' + c.reset);
+
+  setupFixtures();
+  try {
+    const registry = buildComponentRegistry(FIXTURE_DIR);
+    const page = composePage(path.join(FIXTURE_DIR, 'src/app/home/home.component.html'), registry);
+
+    // Test 1: Composition and projection
+    test('child templates are inserted at their selectors with projected content', () => {
+      assertTrue(page !== null, 'page is composed');
+      const compact = page.content.replace(/\s+/g, ' ').trim();
+      assertEqual(compact,
+        '<h1 id="page-title">Home</h1> <app-panel><section aria-labelledby="page-title"> <h2 panel-title>Latest</h2> ' +
+        '<div class="body"> <app-list><h4>Items</h4> ' +
+        '<!-- mat-a11y-disable-next-line duplicateIdAria -- described by the page footer --> ' +
+        '<ul aria-describedby="footer-note"><li>One</li></ul> </app-list> </div> </section> </app-panel> ' +
+        '<app-tree><div class="node"><app-tree></app-tree></div> </app-tree>');
+      assertEqual(page.components, ['app-panel', 'app-list', 'app-tree']);
+      assertEqual(page.templates.map(template => relative(template.file)), [
+        'src/app/home/home.component.html',
+        'src/app/panel/panel.component.html',
+        'src/app/list/list.component.html',
+        'src/app/tree/tree.component.html'
+      ]);
+    });
+
+    // Test 2: Segments
+    test('segments map every composed character to its template', () => {
+      for (const segment of page.segments) {
+        assertEqual(page.content.slice(segment.start, segment.end),
+          segment.template.content.slice(segment.offset, segment.offset + segment.end - segment.start));
+      }
+      assertEqual(page.segments.reduce((length, segment) => length + segment.end - segment.start, 0), page.content.length);
+    });
+
+    // Test 3: Issue mapping
+    test('issues on the composed page map to the originating template', () => {
+      const headingOrder = require('../../src/checks/headingOrder');
+      const result = headingOrder.check(page.content, {});
+      const mapped = mapPageIssues(page, withLocations(result.issues, result.locations))
+        .filter(entry => entry.issues.length > 0)
+        .map(entry => [relative(entry.template.file), entry.issues.map(issue => [issue.code, issue.location])]);
+
+      assertEqual(mapped, [['src/app/list/list.component.html', [
+        ['HEADING_SKIP_LEVEL', { line: 1, column: 1, endLine: 1, endColumn: 15 }]
+      ]]]);
+    });
+
+    // Test 4: Unknown page
+    test('composePage() returns null for missing templates and registries', () => {
+      assertEqual(composePage(path.join(FIXTURE_DIR, 'missing.html'), registry), null);
+      assertEqual(composePage(path.join(FIXTURE_DIR, 'src/app/home/home.component.html'), null), null);
+    });
+
+    // Test 5: Route analysis
+    test('deep route analysis runs page-level checks on the composed page', () => {
+      // Alone, the panel's aria-labelledby target is missing and the list's h4 is fine
+      const duplicateIdAria = require('../../src/checks/duplicateIdAria');
+      const panel = fs.readFileSync(path.join(FIXTURE_DIR, 'src/app/panel/panel.component.html'), 'utf-8');
+      assertEqual(duplicateIdAria.check(panel, {}).issues.map(issue => issue.code), ['ARIA_REFERENCE_MISSING']);
+
+      const deep = analyzeByRoute(FIXTURE_DIR, { tier: 'full', config: false, deepResolve: true });
+      assertEqual(pageIssues(deep.routes[0].issues), [
+        'headingOrder HEADING_SKIP_LEVEL src/app/list/list.component.html:1'
+      ]);
+      assertEqual(deep.suppressions.issues.map(issue => `${issue.check} ${relative(issue.file)}:${issue.line}`),
+        ['duplicateIdAria src/app/list/list.component.html:3']);
+    });
+
+    // Test 6: Sitemap analysis
+    test('deep sitemap analysis runs page-level checks on the composed page', () => {
+      const deep = analyzeBySitemap(FIXTURE_DIR, { tier: 'full', config: false, deepResolve: true, sitemap: path.join(FIXTURE_DIR, 'src/sitemap.xml') });
+      assertEqual(pageIssues(deep.urls[0].issues), [
+        'headingOrder HEADING_SKIP_LEVEL src/app/list/list.component.html:1'
+      ]);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Tests for check plugins (config "plugins")
+ *
+ * Verifies that:
+ * - Plugins register their error codes in the catalog, without replacing other codes
+ * - Plugins load from npm packages and local directories, with checks validated like built-in ones
+ * - Plugin checks run in component, file-based and worker mode
+ * - Plugin verify files are picked up by the verifier
+ * - The CLI fails on plugins that don't load and lists plugin checks
+ * - GUI scans load the plugins and component mappings of the project config
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { resolvePlugin, loadPlugins, loadProjectChecks, getPluginInfo } = require('../../src/core/plugins');
+const { registerErrors, getError, createIssue } = require('../../src/core/errors');
+const { analyzeByComponent, analyzeByComponentAsync } = require('../../src/core/componentAnalyzer');
+const { verifyByTier } = require('../../src/core/verifier');
+const { validateConfig } = require('../../src/core/config');
+const { analyze } = require('../../src/index');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+const ERRORS_MODULE = JSON.stringify(path.join(__dirname, '..', '..', 'src', 'core', 'errors'));
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(name, className, html) {
+  write(`src/app/${name}/${name}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${name}/${name}.component.html`, html);
+}
+
+// Setup test fixtures: an npm plugin with a check list and a local plugin with a checks directory
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-plugins-'));
+
+  // The check records whether it ran in a worker thread
+  write('node_modules/mat-a11y-plugin-acme/index.js', `const { isMainThread } = require('worker_threads');
+const { createIssue } = require(${ERRORS_MODULE});
+
+module.exports = {
+  name: 'acme',
+  errors: {
+    ACME_ICON_BUTTON_LABEL: {
+      severity: 'error',
+      message: 'Icon button missing aria-label',
+      why: 'The icon alone has no accessible name',
+      fix: ['Add aria-label="..."'],
+      wcag: '4.1.2',
+      link: null
+    }
+  },
+  checks: [{
+    name: 'acmeIconButtonLabel',
+    description: 'acme-icon-button must have aria-label',
+    tier: 'basic',
+    type: 'html',
+    check(content) {
+      const issues = [];
+      const buttons = content.match(/<acme-icon-button\\b[^>]*>/g) || [];
+      for (const element of buttons) {
+        if (!/aria-label/.test(element)) issues.push(createIssue('ACME_ICON_BUTTON_LABEL', { element, mainThread: isMainThread }));
+      }
+      return { pass: issues.length === 0, issues, elementsFound: buttons.length };
+    }
+  }]
+};
+`);
+
+  write('a11y-rules/index.js', `module.exports = {
+  name: 'shop-rules',
+  checks: 'checks',
+  verifyDir: 'verify-files'
+};
+`);
+  write('a11y-rules/checks/shopPriceLabel.js', `const { createIssue } = require(${ERRORS_MODULE});
+
+module.exports = {
+  name: 'shopPriceLabel',
+  description: 'Prices need a currency label',
+  tier: 'material',
+  type: 'html',
+  check(content) {
+    const prices = content.match(/<shop-price\\b[^>]*>/g) || [];
+    const issues = prices.filter(element => !/currency=/.test(element))
+      .map(element => createIssue('BTN_MISSING_NAME', { element }));
+    return { pass: issues.length === 0, issues, elementsFound: prices.length };
+  }
+};
+`);
+  write('a11y-rules/verify-files/shopPriceLabel.html', `<!-- @a11y-pass -->
+<shop-price currency="EUR">12</shop-price>
+
+<!-- @a11y-fail -->
+<shop-price>12</shop-price>
+`);
+
+  write('.mat-a11yrc', JSON.stringify({ plugins: ['mat-a11y-plugin-acme', './a11y-rules'] }));
+
+  // Enough files for worker mode
+  component('header', 'HeaderComponent', '<h1>Shop</h1>\n<acme-icon-button icon="cart"></acme-icon-button>\n<shop-price>12</shop-price>\n');
+  for (let i = 1; i <= 10; i++) {
+    component(`item${i}`, `Item${i}Component`, `<acme-icon-button icon="add" aria-label="Add"></acme-icon-button>\n`);
+  }
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function pluginIssues(issues) {
+  return issues.filter(issue => issue.check === 'acmeIconButtonLabel' || issue.check === 'shopPriceLabel');
+}
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURE_DIR, encoding: 'utf-8', timeout: 60000 });
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nPlugin Tests\n' + c.reset);
+
+  setupFixtures();
+  const configFile = path.join(FIXTURE_DIR, '.mat-a11yrc');
+  const pluginOptions = { plugins: ['mat-a11y-plugin-acme', './a11y-rules'], configFile };
+
+  try {
+    // Test 1: Error codes
+    test('plugins add error codes without replacing others', () => {
+      const added = registerErrors({
+        TEST_WIDGET_LABEL: { severity: 'warning', message: (data) => `Widget ${data.name} needs a label`, wcag: '2.4.6' }
+      }, 'Plugin "test"');
+      assertEqual(added, { registered: ['TEST_WIDGET_LABEL'], errors: [] });
+      const issue = createIssue('TEST_WIDGET_LABEL', { name: 'rating' });
+      assertEqual([issue.severity, issue.message, issue.wcag, issue.fixes], ['warning', 'Widget rating needs a label', '2.4.6', []]);
+
+      const rejected = registerErrors({
+        IMG_MISSING_ALT: { severity: 'error', message: 'Mine now' },
+        TEST_WIDGET_LABEL: { severity: 'error', message: 'Mine now' },
+        lowercase: { severity: 'error', message: 'x' },
+        TEST_BAD_DEFINITION: { severity: 'fatal', message: 'x', wcag: '9.9.9' }
+      }, 'Plugin "other"');
+      assertEqual(rejected.registered, []);
+      assertEqual(rejected.errors, [
+        'Plugin "other": error code IMG_MISSING_ALT: code is already defined by mat-a11y',
+        'Plugin "other": error code TEST_WIDGET_LABEL: code is already defined by Plugin "test"',
+        'Plugin "other": error code lowercase: code must be UPPER_SNAKE_CASE with a prefix (e.g. ACME_ICON_BUTTON_LABEL)',
+        'Plugin "other": error code TEST_BAD_DEFINITION: severity must be error, warning or info; unknown WCAG criterion "9.9.9"'
+      ]);
+      assertEqual(getError('IMG_MISSING_ALT').message, 'Image missing alt attribute');
+    });
+
+    // Test 2: Loading
+    test('plugins load from packages and local directories', () => {
+      assertTrue(resolvePlugin('./a11y-rules', FIXTURE_DIR).path.endsWith(path.join('a11y-rules', 'index.js')));
+      assertEqual(resolvePlugin('./missing', FIXTURE_DIR).error, `Plugin "./missing" not found at ${path.join(FIXTURE_DIR, 'missing')}`);
+      assertEqual(resolvePlugin('mat-a11y-plugin-missing', FIXTURE_DIR).error, 'Plugin "mat-a11y-plugin-missing" not found (is it installed?)');
+
+      const { plugins, errors } = loadPlugins(pluginOptions.plugins, FIXTURE_DIR);
+      assertEqual(errors, []);
+      assertEqual(plugins.map(plugin => [plugin.name, [...plugin.checks.keys()]]), [
+        ['acme', ['acmeIconButtonLabel']],
+        ['shop-rules', ['shopPriceLabel']]
+      ]);
+      assertEqual(getError('ACME_ICON_BUTTON_LABEL').wcag, '4.1.2');
+
+      const registry = loadProjectChecks(pluginOptions);
+      assertTrue(registry.has('buttonNames') && registry.has('acmeIconButtonLabel') && registry.has('shopPriceLabel'), 'built-in and plugin checks');
+      assertEqual(getPluginInfo(registry.get('shopPriceLabel')).verifyDir, path.join(FIXTURE_DIR, 'a11y-rules', 'verify-files'));
+      assertEqual(getPluginInfo(registry.get('buttonNames')), null);
+    });
+
+    // Test 3: Invalid plugins
+    test('invalid checks and name clashes are reported', () => {
+      write('broken/index.js', `module.exports = {
+  checks: [
+    { name: 'brokenCheck', description: 'x', tier: 'expert', type: 'html', check() {} },
+    { name: 'buttonNames', description: 'x', tier: 'basic', type: 'html', check() { return { pass: true, issues: [] }; } },
+    { name: 'acmeIconButtonLabel', description: 'x', tier: 'basic', type: 'html', check() { return { pass: true, issues: [] }; } }
+  ]
+};
+`);
+      const { plugins, errors } = loadPlugins(['mat-a11y-plugin-acme', './broken'], FIXTURE_DIR);
+      assertEqual(errors, [
+        'Plugin "./broken": Check "brokenCheck": Invalid module - Field "tier" must be one of: basic, material, full',
+        'Plugin "./broken": Check "buttonNames" is already defined by mat-a11y',
+        'Plugin "./broken": Check "acmeIconButtonLabel" is already defined by plugin "acme"'
+      ]);
+      assertEqual(plugins.length, 2);
+
+      write('throws/index.js', 'throw new Error("boom");');
+      assertEqual(loadPlugins(['./throws'], FIXTURE_DIR).errors, ['Plugin "./throws": Failed to load - boom']);
+    });
+
+    // Test 4: Component analysis
+    test('plugin checks from the config run in component analysis', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full' });
+      const header = results.components.find(comp => comp.name === 'HeaderComponent');
+      const issues = pluginIssues(header.issues);
+      assertEqual(issues.map(issue => [issue.check, issue.code]), [
+        ['acmeIconButtonLabel', 'ACME_ICON_BUTTON_LABEL'],
+        ['shopPriceLabel', 'BTN_MISSING_NAME']
+      ]);
+      // Plugin checks count toward the audit score like built-in ones
+      const audit = results.audits.find(entry => entry.name === 'acmeIconButtonLabel');
+      assertTrue(audit && !audit.passed, JSON.stringify(results.audits.map(entry => entry.name)));
+
+      // Tiers apply: the local plugin's check is a material check
+      const basic = analyzeByComponent(FIXTURE_DIR, { tier: 'basic' });
+      assertEqual(pluginIssues(basic.components.flatMap(comp => comp.issues)).map(issue => issue.check), ['acmeIconButtonLabel']);
+    });
+
+    // Test 5: Worker mode
+    await testAsync('plugin checks run in worker threads', async () => {
+      const results = await analyzeByComponentAsync(FIXTURE_DIR, { tier: 'full', workers: 1 });
+      const issues = pluginIssues(results.components.flatMap(comp => comp.issues));
+      assertEqual(issues.map(issue => issue.code), ['ACME_ICON_BUTTON_LABEL', 'BTN_MISSING_NAME']);
+      assertEqual(issues[0].data.mainThread, false);
+      assertEqual(issues[0].message, 'Icon button missing aria-label');
+    });
+
+    // Test 6: File-based analysis
+    test('plugin checks run in file-based analysis', () => {
+      // The config is found from src/ upwards
+      const results = analyze(path.join(FIXTURE_DIR, 'src'), { tier: 'full' });
+      const issues = pluginIssues(results.summary.issues);
+      assertEqual(issues.map(issue => [path.basename(issue.file), issue.check]), [
+        ['header.component.html', 'acmeIconButtonLabel'],
+        ['header.component.html', 'shopPriceLabel']
+      ]);
+    });
+
+    // Test 7: Verify files
+    test('plugin verify files are picked up by the verifier', () => {
+      const results = verifyByTier('full', pluginOptions);
+      assertEqual(results.get('shopPriceLabel').verified, true);
+      assertTrue(results.get('buttonNames').verified, 'built-in checks still verified');
+      assertEqual(results.get('acmeIconButtonLabel').error, 'SKIPPED: Plugin "acme" has no verifyDir');
+    });
+
+    // Test 8: Config and CLI
+    test('the CLI fails on plugins that do not load and lists plugin checks', () => {
+      assertEqual(validateConfig({ plugins: ['./a11y-rules'] }).errors, []);
+      assertEqual(validateConfig({ plugins: [42] }).errors, ['Config key "plugins" must list package names or paths']);
+
+      const list = runCli(['--list-checks']);
+      assertEqual(list.status, 0, list.stderr);
+      assertTrue(list.stdout.includes('acme: acmeIconButtonLabel (basic, html)'), list.stdout);
+      assertTrue(list.stdout.includes('shop-rules: shopPriceLabel (material, html)'), list.stdout);
+
+      const run = runCli(['.', '--headless', '--json', '-o', 'report.json']);
+      assertEqual(run.status, 1, run.stderr);
+      const report = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'report.json'), 'utf-8'));
+      assertEqual(pluginIssues(report.raw.components.flatMap(comp => comp.issues)).length, 2);
+
+      write('.mat-a11yrc', JSON.stringify({ plugins: ['mat-a11y-plugin-missing'] }));
+      const missing = runCli(['.', '--headless']);
+      assertEqual(missing.status, 2, missing.stdout);
+      assertTrue(missing.stderr.includes('Plugin "mat-a11y-plugin-missing" not found'), missing.stderr);
+    });
+
+    // Test 9: GUI
+    await testAsync('GUI scans use the plugins and component mappings of the config', async () => {
+      const { runScan } = require('../../gui/server');
+      const failing = await runScan(FIXTURE_DIR, { tier: 'full' });
+      assertTrue(/Plugin "mat-a11y-plugin-missing" not found/.test(failing.error || ''), JSON.stringify(failing.error));
+
+      // An explicit config file, with a wrapper mapped to a plain button
+      component('footer', 'FooterComponent', '<shop-button></shop-button>\n');
+      const explicit = write('config/a11y.json', JSON.stringify({
+        plugins: ['mat-a11y-plugin-acme'],
+        components: { 'shop-button': 'button' }
+      }));
+      const scan = await runScan(FIXTURE_DIR, { tier: 'full', configFile: explicit });
+      assertTrue(!scan.error, scan.error);
+      assertEqual(scan.configFile, explicit);
+      const componentsOf = (check) => (scan.issueSummary.find(entry => entry.check === check) || { components: [] }).components;
+      assertEqual(componentsOf('acmeIconButtonLabel'), ['HeaderComponent']);
+      assertTrue(componentsOf('buttonNames').includes('FooterComponent'), JSON.stringify(scan.issueSummary));
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,277 @@
+'use strict';
+
+/**
+ * Tests for comparing reports (mat-a11y diff)
+ *
+ * Verifies that:
+ * - JSON reports (and plain results) are read, other files are rejected
+ * - Issues are matched by fingerprint: moved code is unchanged, duplicates are counted
+ * - Score changes are reported per component, with the scores of the JSON reports
+ * - Reports from different checkouts match
+ * - The markdown, HTML, Slack, Teams, Discord and JSON formatters render the diff
+ * - The CLI prints the diff, writes it as a report and exits with 1 on new issues
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readReport, diffReports, formatDiff } = require('../../src/core/reportDiff');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { loadAllFormatters } = require('../../src/formatters/index');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(name, className, html) {
+  write(`src/app/${name}/${name}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${name}/${name}.component.html`, html);
+}
+
+// Setup test fixtures: a release that fixes one image and breaks a link
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-report-diff-'));
+  component('header', 'HeaderComponent', '<h1>Shop</h1>\n<img src="logo.png">\n<button></button>\n<button></button>\n');
+  component('footer', 'FooterComponent', '<footer><img src="badge.png"></footer>\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function assertThrows(fn, pattern) {
+  try {
+    fn();
+  } catch (error) {
+    assertTrue(pattern.test(error.message), error.message);
+    return;
+  }
+  throw new Error(`Expected an error matching ${pattern}`);
+}
+
+// Scan the fixture and write a JSON report like the CLI does
+function writeReport(name) {
+  const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+  const json = loadAllFormatters().get('json').format(results, { projectDir: FIXTURE_DIR });
+  return write(name, json);
+}
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURE_DIR, encoding: 'utf-8', timeout: 60000 });
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nReport Diff Tests\n' + c.reset);
+
+  setupFixtures();
+  try {
+    const oldFile = writeReport('old.json');
+    // The release adds a line above the header issues, fixes the logo and breaks a link
+    component('header', 'HeaderComponent', '<p>Sale!</p>\n<h1>Shop</h1>\n<img src="logo.png" alt="Shop">\n<button></button>\n<button></button>\n<a href="/cart"></a>\n');
+    const newFile = writeReport('new.json');
+
+    // Test 1: Reading reports
+    test('JSON reports and plain results are read, other files rejected', () => {
+      const report = readReport(oldFile);
+      assertEqual(report.projectDir, FIXTURE_DIR);
+      assertTrue(Array.isArray(report.results.components), 'raw results');
+      assertTrue(/^\d{4}-\d{2}-\d{2}T/.test(report.timestamp), report.timestamp);
+
+      const plain = write('plain.json', JSON.stringify(report.results));
+      assertEqual(readReport(plain).projectDir, null);
+
+      assertThrows(() => readReport(path.join(FIXTURE_DIR, 'missing.json')), /Report not found/);
+      assertThrows(() => readReport(write('broken.json', '{')), /Invalid report/);
+      assertThrows(() => readReport(write('other.json', '{"name": "app"}')), /not a mat-a11y JSON report/);
+      assertThrows(() => readReport(write('diff.json', '{"diff": {}}')), /is a diff report/);
+    });
+
+    const { diff } = diffReports(readReport(oldFile), readReport(newFile));
+
+    // Test 2: Matching
+    test('issues are matched by fingerprint, moved code is unchanged', () => {
+      assertEqual(diff.new.map(issue => issue.check), ['linkNames']);
+      assertEqual(diff.fixed.map(issue => issue.check), ['imageAlt']);
+      assertEqual(diff.fixed[0].file, 'src/app/header/header.component.html');
+      assertEqual(diff.fixed[0].component, 'HeaderComponent');
+      // Both bare buttons moved down a line; the footer image is untouched
+      assertEqual(diff.unchanged.map(issue => issue.check).sort(), ['buttonNames', 'buttonNames', 'imageAlt']);
+      assertEqual(diff.new[0].line, 6);
+    });
+
+    // Test 3: Scores
+    test('score changes are reported per component', () => {
+      assertEqual(diff.before.mode, 'component');
+      assertEqual(diff.before.issues, 4);
+      assertEqual(diff.after.issues, 4);
+      assertEqual(diff.auditScore, diff.after.auditScore - diff.before.auditScore);
+      assertEqual(diff.components.map(entry => entry.name), ['HeaderComponent']);
+      const header = diff.components[0];
+      assertEqual([header.new, header.fixed], [1, 1]);
+      assertEqual(header.before.issues, 3);
+      assertEqual(header.after.issues, 3);
+      assertTrue(typeof header.before.auditScore === 'number' && typeof header.after.auditScore === 'number', JSON.stringify(header));
+
+      // The same per-component scores the JSON reports show
+      const reported = file => JSON.parse(fs.readFileSync(file, 'utf-8')).entities.find(entity => entity.label === 'HeaderComponent').auditScore;
+      assertEqual([header.before.auditScore, header.after.auditScore], [reported(oldFile), reported(newFile)]);
+    });
+
+    // Test 4: Different checkouts
+    test('reports from different checkouts match', () => {
+      const moved = JSON.parse(fs.readFileSync(newFile, 'utf-8').split(FIXTURE_DIR).join('/builds/other-checkout'));
+      const movedFile = write('moved.json', JSON.stringify(moved));
+      const recorded = diffReports(readReport(oldFile), readReport(movedFile)).diff;
+      assertEqual([recorded.new.length, recorded.fixed.length, recorded.unchanged.length], [1, 1, 3]);
+
+      // Without a recorded directory, both reports use their common directory
+      const plainOld = { results: readReport(oldFile).results };
+      const plainNew = { results: readReport(newFile).results };
+      const fallback = diffReports(plainOld, plainNew).diff;
+      assertEqual([fallback.new.length, fallback.fixed.length, fallback.unchanged.length], [1, 1, 3]);
+
+      const sitemap = { results: { urls: [], tier: 'full' } };
+      assertThrows(() => diffReports(plainOld, sitemap), /different analysis modes \(component and sitemap\)/);
+    });
+
+    // Test 5: Console output
+    test('console output lists score, components and issues', () => {
+      const output = formatDiff(diff);
+      assertTrue(output.includes('MAT-A11Y DIFF'), output);
+      assertTrue(output.includes('Issues: 4 -> 4 (1 new, 1 fixed, 3 unchanged)'), output);
+      assertTrue(/HeaderComponent\s+\d+% ->\s+\d+%/.test(output), output);
+      assertTrue(output.includes('linkNames  src/app/header/header.component.html:6'), output);
+    });
+
+    // Test 6: Formatters
+    test('markdown, HTML, Slack, Teams, Discord and JSON render the diff', () => {
+      const formatters = loadAllFormatters();
+      const result = { diff };
+
+      const markdown = formatters.get('markdown').format(result);
+      assertTrue(markdown.includes('## New Issues (1)') && markdown.includes('## Fixed Issues (1)'), markdown);
+      assertTrue(markdown.includes('| HeaderComponent |'), markdown);
+
+      const html = formatters.get('html').format(result);
+      assertTrue(html.includes('<h2>New Issues (1)</h2>') && html.includes('Changed Components (1)'), html);
+
+      const slack = JSON.parse(formatters.get('slack').format(result));
+      assertTrue(slack.text.includes('1 new, 1 fixed'), slack.text);
+
+      const teams = JSON.parse(formatters.get('teams').format(result));
+      const facts = teams.attachments[0].content.body.find(block => block.type === 'FactSet').facts;
+      assertEqual(facts.find(fact => fact.title === 'New').value, '1');
+
+      const discord = JSON.parse(formatters.get('discord').format(result));
+      assertTrue(discord.embeds[0].fields.some(field => field.name === 'Fixed Issues (1)'), JSON.stringify(discord.embeds[0].fields));
+
+      const json = JSON.parse(formatters.get('json').format(result));
+      assertEqual(json.diff.new.length, 1);
+      assertTrue(!json.raw, 'no scan data in a diff report');
+    });
+
+    // Test 7: CLI
+    test('the CLI prints the diff, writes it and exits with 1 on new issues', () => {
+      const run = runCli(['diff', 'old.json', 'new.json', '--markdown']);
+      assertEqual(run.status, 1, run.stderr);
+      assertTrue(run.stdout.includes('MAT-A11Y DIFF'), run.stdout);
+      assertTrue(fs.readFileSync(path.join(FIXTURE_DIR, '_mat-a11y.diff.md'), 'utf-8').includes('# mat-a11y Accessibility Changes'));
+
+      const reverse = runCli(['diff', 'new.json', 'old.json', '--html', '-o', 'diff.html']);
+      assertEqual(reverse.status, 1, 'the reverted release breaks the logo again');
+      assertTrue(fs.existsSync(path.join(FIXTURE_DIR, 'diff.html')), 'HTML diff written');
+
+      const same = runCli(['diff', 'new.json', 'new.json']);
+      assertEqual(same.status, 0, same.stdout);
+
+      const sarif = runCli(['diff', 'old.json', 'new.json', '--sarif']);
+      assertEqual(sarif.status, 2, 'SARIF has no diff rendering');
+      const single = runCli(['diff', 'old.json']);
+      assertEqual(single.status, 2, 'Two reports needed');
+
+      // The subcommand is the first positional argument, wherever the options are
+      const flagsFirst = runCli(['--json', 'diff', 'old.json', 'new.json', '-o', 'diff.json']);
+      assertEqual(flagsFirst.status, 1, flagsFirst.stderr);
+      assertTrue(flagsFirst.stdout.includes('MAT-A11Y DIFF'), flagsFirst.stdout);
+      assertTrue(fs.existsSync(path.join(FIXTURE_DIR, 'diff.json')), 'JSON diff written');
+      const extra = runCli(['diff', 'old.json', 'new.json', 'newest.json']);
+      assertEqual(extra.status, 2, 'Unknown extra positionals are reported');
+      assertTrue(extra.stderr.includes('unexpected argument: newest.json'), extra.stderr);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
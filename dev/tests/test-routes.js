@@ -0,0 +1,343 @@
+'use strict';
+
+/**
+ * Tests for route-based analysis (--routes)
+ *
+ * Verifies that:
+ * - Lazily loaded routes files and NgModules are flattened under the path that loads them
+ * - Guards are parsed and inherited by child routes
+ * - Redirects point to the route they lead to
+ * - NgModule `component:` routes resolve through the routing file's imports
+ * - analyzeByRoute() scores every resolvable route and lists the rest
+ * - Standalone components with an inline template and styles are scored, with their children
+ * - The CLI (--routes) and the GUI (analysisMode: 'routes') run route analysis
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseAngularRoutes } = require('../../src/core/routeParser');
+const { resolveAllRoutes } = require('../../src/core/componentResolver');
+const { analyzeByRoute, formatRouteResults } = require('../../src/core/routeAnalyzer');
+const { loadAllFormatters } = require('../../src/formatters/index');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(dir, name, className, html) {
+  write(`src/app/${dir}/${name}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${dir}/${name}.component.html`, html);
+}
+
+// Setup test fixtures: a back-office app without a sitemap
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-routes-'));
+
+  write('src/app/app.routes.ts', `import { Routes } from '@angular/router';
+import { authGuard, roleGuard } from './auth.guard';
+import { LoginComponent } from './login/login.component';
+
+export const routes: Routes = [
+  { path: '', redirectTo: 'dashboard', pathMatch: 'full' },
+  { path: 'login', component: LoginComponent },
+  {
+    path: 'dashboard',
+    canActivate: [authGuard],
+    loadComponent: () => import('./dashboard/dashboard.component').then(m => m.DashboardComponent)
+  },
+  {
+    path: 'admin',
+    canMatch: [authGuard, roleGuard('admin')],
+    loadChildren: () => import('./admin/admin.routes').then(m => m.ADMIN_ROUTES)
+  },
+  { path: 'reports', loadChildren: () => import('./reports/reports.module').then(m => m.ReportsModule) },
+  { path: 'help', loadComponent: () => import('./help/help.component').then(m => m.HelpComponent) },
+  {
+    path: 'settings',
+    canActivate: [authGuard],
+    loadComponent: () => import('./settings/settings.component').then(m => m.SettingsComponent)
+  },
+  { path: 'old-reports', redirectTo: '/archive' }
+];
+`);
+
+  // Standalone lazy routes file
+  write('src/app/admin/admin.routes.ts', `import { Routes } from '@angular/router';
+
+export const ADMIN_ROUTES: Routes = [
+  { path: '', redirectTo: 'users', pathMatch: 'full' },
+  { path: 'users', loadComponent: () => import('./users/users.component').then(m => m.UsersComponent) }
+];
+`);
+
+  // Lazy NgModule with its routes in a routing module
+  write('src/app/reports/reports.module.ts', `import { NgModule } from '@angular/core';
+import { ReportsRoutingModule } from './reports-routing.module';
+
+@NgModule({ imports: [ReportsRoutingModule] })
+export class ReportsModule {}
+`);
+  write('src/app/reports/reports-routing.module.ts', `import { NgModule } from '@angular/core';
+import { RouterModule, Routes } from '@angular/router';
+import { ReportsComponent } from './reports.component';
+
+const routes: Routes = [
+  { path: '', component: ReportsComponent }
+];
+
+@NgModule({ imports: [RouterModule.forChild(routes)], exports: [RouterModule] })
+export class ReportsRoutingModule {}
+`);
+
+  component('login', 'login', 'LoginComponent', '<h1>Sign in</h1>\n<img src="logo.png">\n');
+  component('dashboard', 'dashboard', 'DashboardComponent', '<h1>Dashboard</h1>\n');
+  component('admin/users', 'users', 'UsersComponent', '<h1>Users</h1>\n<button></button>\n');
+  component('reports', 'reports', 'ReportsComponent', '<h1>Reports</h1>\n');
+
+  // Standalone component with inline template and styles (no selector, like most routed components)
+  write('src/app/settings/settings.component.ts', `import { Component } from '@angular/core';
+import { AvatarComponent } from './avatar.component';
+
+@Component({
+  standalone: true,
+  imports: [AvatarComponent],
+  template: \`
+    <h1>Settings</h1>
+    <img src="profile.png">
+    <app-avatar></app-avatar>
+  \`,
+  styles: [\`
+    .hint { color: #999; background-color: #fff; }
+  \`]
+})
+export class SettingsComponent {}
+`);
+  component('settings', 'avatar', 'AvatarComponent', '<button></button>\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function byPath(routes) {
+  return Object.fromEntries(routes.map(route => [route.path, route]));
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nRoute Analysis Tests\n' + c.reset);
+
+  setupFixtures();
+  try {
+    const parsed = parseAngularRoutes(FIXTURE_DIR);
+    const routes = byPath(parsed.routes);
+
+    // Test 1: Lazy loading
+    test('lazily loaded routes are flattened under the path that loads them', () => {
+      assertEqual(parsed.routes.map(route => route.path).sort(),
+        ['/admin/users', '/dashboard', '/help', '/login', '/reports', '/settings']);
+      assertEqual(routes['/admin/users'].lazy, true);
+      assertEqual(routes['/reports'].lazy, true);
+      assertEqual(routes['/dashboard'].lazy, true, 'loadComponent');
+      assertEqual(routes['/login'].lazy, false);
+    });
+
+    // Test 2: Guards
+    test('guards are parsed and inherited by child routes', () => {
+      assertEqual(routes['/dashboard'].guards, ['authGuard']);
+      assertEqual(routes['/admin/users'].guards, ['authGuard', 'roleGuard']);
+      assertEqual(routes['/login'].guards, []);
+    });
+
+    // Test 3: Redirects
+    test('redirects point to the route they lead to', () => {
+      assertEqual(parsed.redirects, [
+        { path: '/', redirectTo: '/dashboard', resolved: true },
+        { path: '/admin', redirectTo: '/admin/users', resolved: true },
+        { path: '/old-reports', redirectTo: '/archive', resolved: false }
+      ]);
+      assertEqual(routes['/dashboard'].redirectFrom, ['/']);
+      assertEqual(routes['/admin/users'].redirectFrom, ['/admin']);
+    });
+
+    // Test 4: NgModule component routes
+    test('component: routes resolve through the routing file imports', () => {
+      const resolved = byPath(resolveAllRoutes(parsed.routes, FIXTURE_DIR));
+      assertEqual(routes['/reports'].componentImport, './reports.component');
+      assertTrue(resolved['/reports'].files.html.endsWith('reports/reports.component.html'), resolved['/reports'].files.html);
+      assertTrue(resolved['/login'].files.html.endsWith('login/login.component.html'), resolved['/login'].files.html);
+      assertTrue(!resolved['/help'], 'No component files for /help');
+    });
+
+    // Test 5: Route analysis
+    const results = analyzeByRoute(FIXTURE_DIR, { tier: 'full', config: false });
+    test('analyzeByRoute() scores every resolvable route', () => {
+      assertEqual(results.routeCount, 5);
+      assertEqual(results.unresolvedRoutes, ['/help']);
+      assertEqual(results.resolvedCount, 5);
+      assertEqual(results.unresolvedCount, 1);
+      const { passing, warning, failing } = results.distribution;
+      assertEqual(passing + warning + failing, 5);
+
+      const scored = byPath(results.routes);
+      assertEqual(scored['/admin/users'].guards, ['authGuard', 'roleGuard']);
+      assertEqual(scored['/admin/users'].redirectFrom, ['/admin']);
+      assertTrue(scored['/login'].issues.some(issue => issue.check === 'imageAlt'), 'imageAlt on /login');
+      assertTrue(scored['/admin/users'].issues.some(issue => issue.check === 'buttonNames'), 'buttonNames on /admin/users');
+    });
+
+    // Test 6: Console output
+    test('console output lists routes with how they are reached', () => {
+      const output = formatRouteResults(results);
+      assertTrue(output.includes('ROUTE SCORES (5 routes)'), output);
+      assertTrue(output.includes('[lazy; guarded: authGuard, roleGuard; redirect from /admin]'), output);
+      assertTrue(output.includes('/old-reports -> /archive'), output);
+      assertTrue(output.includes('NOT SCORED (component files not found): /help'), output);
+    });
+
+    // Test 7: Formatters
+    test('every formatter emits per-route results', () => {
+      const formatters = loadAllFormatters();
+      for (const name of ['json', 'markdown', 'csv', 'junit', 'sarif']) {
+        const output = formatters.get(name).format(results);
+        assertTrue(typeof output === 'string' && output.length > 0, `${name} output`);
+      }
+      const json = JSON.parse(formatters.get('json').format(results));
+      assertTrue(JSON.stringify(json).includes('/admin/users'), 'json lists routes');
+      assertTrue(formatters.get('junit').format(results).includes('/login'), 'junit lists routes');
+    });
+
+    // Test 8: CLI
+    test('--routes runs route analysis from the CLI', () => {
+      const outPath = path.join(FIXTURE_DIR, 'routes.json');
+      const run = spawnSync(process.execPath, [CLI, FIXTURE_DIR, '--headless', '--no-config', '--routes', '--deep', '--json', '-o', outPath],
+        { encoding: 'utf-8', timeout: 60000 });
+      assertTrue(run.stdout.includes('MAT-A11Y PAGE ANALYSIS'), run.stdout + run.stderr);
+      assertTrue(run.status === 0 || run.status === 1, `exit ${run.status}: ${run.stderr}`);
+      assertTrue(fs.existsSync(outPath), 'JSON report written');
+
+      const watch = spawnSync(process.execPath, [CLI, FIXTURE_DIR, '--headless', '--no-config', '--routes', '--watch'],
+        { encoding: 'utf-8', timeout: 60000 });
+      assertEqual(watch.status, 2, 'Watch only supports component analysis');
+    });
+
+    // Test 9: GUI
+    await testAsync('the GUI runs route analysis', async () => {
+      const { runScan } = require('../../gui/server');
+      const scan = await runScan(FIXTURE_DIR, { analysisMode: 'routes', deep: true, noConfig: true });
+      assertTrue(!scan.error, scan.error);
+      assertEqual(scan.routeCount, 5);
+      assertEqual(scan.deepResolve.enabled, true);
+      assertTrue(scan.issueSummary.some(entry => entry.check === 'imageAlt' && entry.components.includes('/login')),
+        JSON.stringify(scan.issueSummary));
+    });
+
+    // Test 10: Inline templates
+    test('standalone components with an inline template and styles are scored', () => {
+      const resolved = byPath(resolveAllRoutes(parsed.routes, FIXTURE_DIR));
+      const settings = resolved['/settings'];
+      assertEqual([settings.lazy, settings.guards], [true, ['authGuard']]);
+      assertEqual(settings.files.html, null, 'avatar.component.html belongs to the child');
+      assertTrue(settings.files.ts.endsWith('settings/settings.component.ts'), settings.files.ts);
+
+      const route = byPath(results.routes)['/settings'];
+      const imageAlt = route.issues.find(issue => issue.check === 'imageAlt');
+      assertTrue(imageAlt && imageAlt.file === settings.files.ts, JSON.stringify(route.issues));
+      assertEqual(imageAlt.location.line, 9, 'Line in the .ts file');
+      assertTrue(route.issues.some(issue => issue.check === 'colorContrast' && issue.location.line === 13), 'Inline styles');
+      assertTrue(!route.issues.some(issue => issue.check === 'buttonNames'), 'Children only with --deep');
+
+      const deep = byPath(analyzeByRoute(FIXTURE_DIR, { tier: 'full', config: false, deepResolve: true }).routes)['/settings'];
+      assertEqual(deep.childComponents, ['app-avatar']);
+      assertTrue(deep.issues.some(issue => issue.check === 'buttonNames' && issue.file.endsWith('avatar.component.html')),
+        JSON.stringify(deep.issues));
+      assertTrue(deep.issues.some(issue => issue.check === 'imageAlt') && deep.issues.some(issue => issue.check === 'colorContrast'));
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
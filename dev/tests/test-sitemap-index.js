@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Tests for sitemap indexes, gzip sitemaps and hreflang alternates (--sitemap)
+ *
+ * Verifies that:
+ * - Sitemap indexes are followed recursively and missing child sitemaps are listed
+ * - Gzip-compressed sitemaps are decompressed
+ * - hreflang alternates are grouped, analyzed once and reported per locale,
+ *   also when URLs only list their siblings
+ * - Locale-prefixed URLs resolve to the route without the prefix
+ * - The CLI reads a sitemap outside the default locations with --sitemap-path
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const { readSitemap, groupAlternates, findSitemap, analyzeBySitemap, formatSitemapResults } = require('../../src/core/sitemapAnalyzer');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function component(name, className, html) {
+  write(`src/app/${name}/${name}.component.ts`, `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html'
+})
+export class ${className} {}
+`);
+  write(`src/app/${name}/${name}.component.html`, html);
+}
+
+function localizedUrl(pathname) {
+  const links = ['en', 'de', 'fr']
+    .map(locale => `    <xhtml:link rel="alternate" hreflang="${locale}" href="https://example.com/${locale}${pathname}"/>`)
+    .concat(`    <xhtml:link rel="alternate" hreflang="x-default" href="https://example.com/en${pathname}"/>`)
+    .join('\n');
+  return ['en', 'de', 'fr']
+    .map(locale => `  <url>\n    <loc>https://example.com/${locale}${pathname}</loc>\n${links}\n  </url>`)
+    .join('\n');
+}
+
+// Setup test fixtures: a localized site whose sitemap index lists a plain and a gzipped sitemap
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-sitemap-index-'));
+
+  write('src/app/app.routes.ts', `import { Routes } from '@angular/router';
+
+export const routes: Routes = [
+  { path: 'about', loadComponent: () => import('./about/about.component').then(m => m.AboutComponent) },
+  { path: 'contact', loadComponent: () => import('./contact/contact.component').then(m => m.ContactComponent) }
+];
+`);
+  component('about', 'AboutComponent', '<h1>About</h1>\n<img src="team.png">\n');
+  component('contact', 'ContactComponent', '<h1>Contact</h1>\n');
+
+  write('public/sitemap_index.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemaps/pages.xml</loc></sitemap>
+  <sitemap><loc>https://example.com/sitemaps/nested-index.xml</loc></sitemap>
+  <sitemap><loc>https://example.com/sitemaps/blog.xml</loc></sitemap>
+</sitemapindex>
+`);
+  write('public/sitemaps/pages.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${localizedUrl('/about')}
+</urlset>
+`);
+  write('public/sitemaps/nested-index.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/contact.xml.gz</loc></sitemap>
+</sitemapindex>
+`);
+  fs.writeFileSync(path.join(FIXTURE_DIR, 'public/sitemaps/contact.xml.gz'), zlib.gzipSync(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/contact</loc><priority>0.8</priority></url>
+  <url><loc>https://example.com/en/about</loc></url>
+</urlset>
+`));
+
+  // Each URL lists only its siblings, not itself
+  write('seo/siblings.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <url>
+    <loc>https://example.com/en/about</loc>
+    <xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/about"/>
+  </url>
+  <url>
+    <loc>https://example.com/de/about</loc>
+    <xhtml:link rel="alternate" hreflang="en" href="https://example.com/en/about"/>
+    <xhtml:link rel="alternate" hreflang="x-default" href="https://example.com/de/about"/>
+  </url>
+</urlset>
+`);
+
+  // Outside the default locations
+  write('seo/sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/contact</loc></url>
+</urlset>
+`);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function relative(file) {
+  return path.relative(FIXTURE_DIR, file).split(path.sep).join('/');
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nSitemap Index Tests\n' + c.reset);
+
+  setupFixtures();
+  try {
+    const sitemapPath = findSitemap(FIXTURE_DIR);
+    const sitemap = readSitemap(sitemapPath);
+
+    // Test 1: Sitemap index
+    test('sitemap indexes are followed recursively', () => {
+      assertEqual(relative(sitemapPath), 'public/sitemap_index.xml');
+      assertEqual(sitemap.sitemaps.map(relative), [
+        'public/sitemap_index.xml',
+        'public/sitemaps/pages.xml',
+        'public/sitemaps/nested-index.xml',
+        'public/sitemaps/contact.xml.gz'
+      ]);
+      assertEqual(sitemap.missing, ['https://example.com/sitemaps/blog.xml']);
+    });
+
+    // Test 2: Gzip
+    test('gzip-compressed sitemaps are decompressed', () => {
+      const contact = sitemap.urls.find(u => u.path === '/contact');
+      assertTrue(contact, JSON.stringify(sitemap.urls));
+      assertEqual(contact.priority, 0.8);
+      assertEqual(contact.locale, null);
+    });
+
+    // Test 3: hreflang grouping
+    test('hreflang alternates are grouped and duplicates dropped', () => {
+      const groups = groupAlternates(sitemap.urls);
+      assertEqual(groups.map(group => group.map(u => u.path)), [
+        ['/en/about', '/de/about', '/fr/about'],
+        ['/contact']
+      ]);
+      assertEqual(groups[0].map(u => u.locale), ['en', 'de', 'fr']);
+    });
+
+    // Test 4: Analysis
+    const results = analyzeBySitemap(FIXTURE_DIR, { tier: 'full', config: false, sitemap: sitemapPath });
+    test('alternates are analyzed once and reported per locale', () => {
+      assertTrue(!results.error, results.error);
+      assertEqual(results.urlCount, 4);
+      assertEqual(results.pageCount, 2);
+      assertEqual(results.resolved, 4);
+      assertEqual(results.locales, ['de', 'en', 'fr']);
+      assertEqual(results.missingSitemaps, ['https://example.com/sitemaps/blog.xml']);
+
+      const about = results.urls.filter(u => u.path.endsWith('/about'));
+      assertEqual(about.map(u => u.locale).sort(), ['de', 'en', 'fr']);
+      for (const u of about) {
+        assertEqual(u.component, 'AboutComponent');
+        assertEqual(u.alternates.length, 2);
+        assertTrue(u.issues.some(issue => issue.check === 'imageAlt'), `imageAlt on ${u.url}`);
+      }
+      // Same route, so the routes parsed from app.routes.ts don't reappear as internal pages
+      assertEqual(results.internal.count, 0);
+    });
+
+    // Test 5: Console output
+    test('console output lists the sitemap index and locales', () => {
+      const output = formatSitemapResults(results);
+      assertTrue(output.includes('Sitemap index: 3 sitemaps read'), output);
+      assertTrue(output.includes('Not found locally: https://example.com/sitemaps/blog.xml'), output);
+      assertTrue(output.includes('Locales: de, en, fr (4 URLs, 2 pages; alternates analyzed once)'), output);
+    });
+
+    // Test 6: Sibling-only alternates
+    test('URLs without a self-link get the locale their alternates assign', () => {
+      const siblings = path.join(FIXTURE_DIR, 'seo/siblings.xml');
+      assertEqual(readSitemap(siblings).urls.map(u => u.locale), [null, null], 'No self-links');
+      assertEqual(groupAlternates(readSitemap(siblings).urls).map(group => group.map(u => u.locale)), [['en', 'de']]);
+
+      const siblingResults = analyzeBySitemap(FIXTURE_DIR, { tier: 'full', config: false, sitemap: siblings });
+      assertEqual(siblingResults.locales, ['de', 'en']);
+      assertEqual(siblingResults.pageCount, 1);
+      assertEqual(siblingResults.urls.map(u => [u.locale, u.component]).sort(), [['de', 'AboutComponent'], ['en', 'AboutComponent']]);
+      assertTrue(formatSitemapResults(siblingResults).includes('Locales: de, en (2 URLs, 1 page'), formatSitemapResults(siblingResults));
+    });
+
+    // Test 7: CLI
+    test('--sitemap-path reads a sitemap outside the default locations', () => {
+      const outPath = path.join(FIXTURE_DIR, 'sitemap.json');
+      const run = spawnSync(process.execPath, [CLI, FIXTURE_DIR, '--headless', '--no-config', '--sitemap-path', path.join(FIXTURE_DIR, 'seo/sitemap.xml'), '--json', '-o', outPath],
+        { encoding: 'utf-8', timeout: 60000 });
+      assertTrue(run.status === 0 || run.status === 1, `exit ${run.status}: ${run.stderr}`);
+      const json = fs.readFileSync(outPath, 'utf-8');
+      assertTrue(json.includes('/contact') && !json.includes('/de/about'), json);
+
+      const missing = spawnSync(process.execPath, [CLI, FIXTURE_DIR, '--headless', '--no-config', '--sitemap-path', path.join(FIXTURE_DIR, 'missing.xml')],
+        { encoding: 'utf-8', timeout: 60000 });
+      assertEqual(missing.status, 2, 'Missing sitemap');
+      assertTrue(missing.stderr.includes('Sitemap not found'), missing.stderr);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
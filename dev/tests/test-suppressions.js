@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Tests for Inline Suppressions
+ *
+ * Verifies that mat-a11y-disable comments:
+ * - Are parsed in HTML and SCSS comment syntax
+ * - Suppress next-line and block issues (with and without reported line numbers)
+ * - Report unused and unknown directives
+ * - Are applied by the component, file-based and worker analysis paths
+ * - Show up in JSON and SARIF output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseDirectives, applySuppressions } = require('../../src/core/suppressions');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { analyze } = require('../../src/index');
+const json = require('../../src/formatters/json');
+const sarif = require('../../src/formatters/sarif');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+const TEMPLATE = `<mat-tab-group>
+  <!-- mat-a11y-disable-next-line matTabLabel -- label set by directive -->
+  <mat-tab></mat-tab>
+  <mat-tab></mat-tab>
+</mat-tab-group>
+<!-- mat-a11y-disable imageAlt -->
+<img src="hidden.png">
+<!-- mat-a11y-enable -->
+<img src="reported.png">
+<!-- mat-a11y-disable-next-line linkNames, notACheck -->
+<p>Nothing to see</p>
+`;
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-suppressions-'));
+
+  const appDir = path.join(FIXTURE_DIR, 'src', 'app');
+  fs.mkdirSync(appDir, { recursive: true });
+
+  fs.writeFileSync(path.join(appDir, 'tabs.component.ts'), `
+import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-tabs',
+  templateUrl: './tabs.component.html'
+})
+export class TabsComponent {}
+`);
+  fs.writeFileSync(path.join(appDir, 'tabs.component.html'), TEMPLATE);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Run a 'runBatch' task on a real worker thread
+function runWorkerBatch(msg) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, '..', '..', 'src', 'core', 'worker.js'));
+    worker.on('message', (reply) => {
+      if (reply.type === 'ready') return;
+      worker.terminate();
+      if (reply.type === 'error') reject(new Error(reply.message));
+      else resolve(reply.result);
+    });
+    worker.on('error', reject);
+    worker.postMessage({ type: 'runBatch', id: 'test', ...msg });
+  });
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nInline Suppression Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    const srcDir = path.join(FIXTURE_DIR, 'src');
+    const issue = (snippet) => `[Error] Problem. Why\n  Found: ${snippet}`;
+
+    // Test 1: Directive parsing
+    await test('parseDirectives reads HTML and SCSS comments with reasons', () => {
+      const html = parseDirectives(TEMPLATE, 'html');
+      assertEqual(html.map(d => d.kind), ['disable-next-line', 'disable', 'enable', 'disable-next-line']);
+      assertEqual(html[0].checks, ['matTabLabel']);
+      assertEqual(html[0].reason, 'label set by directive');
+      assertEqual(html[3].checks, ['linkNames', 'notACheck']);
+
+      const scss = parseDirectives('// mat-a11y-disable-next-line colorContrast\n/* mat-a11y-disable */', 'scss');
+      assertEqual(scss.map(d => [d.kind, d.checks]), [['disable-next-line', ['colorContrast']], ['disable', []]]);
+    });
+
+    // Test 2: Next-line suppression by snippet and by "(line N)"
+    await test('disable-next-line suppresses only the following line', () => {
+      const content = '<!-- mat-a11y-disable-next-line buttonNames -->\n<button></button>\n<button></button>';
+      const applied = applySuppressions(content, 'html', {
+        buttonNames: [issue('<button></button> (line 2)'), issue('<button></button> (line 3)')]
+      });
+      assertEqual(applied.issues.buttonNames.length, 1);
+      assertEqual(applied.suppressed[0].line, 2);
+
+      const bySnippet = applySuppressions(content, 'html', {
+        buttonNames: [issue('<button></button>'), issue('<button></button>')]
+      });
+      assertEqual(bySnippet.issues.buttonNames.length, 1, 'Repeated snippets map to repeated occurrences');
+    });
+
+    // Test 3: Block suppression
+    await test('disable/enable blocks only cover lines in between', () => {
+      const applied = applySuppressions(TEMPLATE, 'html', {
+        imageAlt: [issue('<img src="hidden.png">'), issue('<img src="reported.png">')]
+      });
+      assertEqual(applied.issues.imageAlt, [issue('<img src="reported.png">')]);
+      assertEqual(applied.suppressed[0].directive.kind, 'disable');
+    });
+
+    // Test 4: SCSS
+    await test('SCSS line comments suppress issues located by selector', () => {
+      const scss = '.ok { color: #000; }\n// mat-a11y-disable-next-line colorContrast\n.badge { color: #999; }\n.other { color: #999; }';
+      const applied = applySuppressions(scss, 'scss', {
+        colorContrast: [issue('".badge": #999 on #fff'), issue('".other": #999 on #fff')]
+      });
+      assertEqual(applied.issues.colorContrast.length, 1);
+      assertEqual(applied.suppressed[0].line, 3);
+    });
+
+    // Test 5: Unlocated issues need a file-wide disable
+    await test('issues without a location are only suppressed file-wide', () => {
+      const local = applySuppressions('<div></div>\n<!-- mat-a11y-disable-next-line skipLink -->\n<div></div>', 'html', {
+        skipLink: [issue('page without skip link')]
+      });
+      assertEqual(local.issues.skipLink.length, 1);
+
+      const fileWide = applySuppressions('<!-- mat-a11y-disable skipLink -->\n<div></div>', 'html', {
+        skipLink: [issue('page without skip link')]
+      });
+      assertEqual(fileWide.issues.skipLink.length, 0);
+    });
+
+    // Test 6: Unused directives
+    await test('unused and unknown check names are reported', () => {
+      const applied = applySuppressions(TEMPLATE, 'html', { linkNames: [], matTabLabel: [] }, {
+        knownChecks: ['linkNames', 'matTabLabel', 'imageAlt']
+      });
+      const unused = applied.unused.map(u => [u.check, u.unknown]);
+      assertEqual(unused, [['matTabLabel', false], ['linkNames', false], ['notACheck', true]],
+        'imageAlt did not run and is not reported');
+    });
+
+    // Test 7: Component analyzer
+    await test('analyzeByComponent excludes and lists suppressed issues', () => {
+      const results = analyzeByComponent(srcDir, { config: false });
+      const issues = results.components.flatMap(comp => comp.issues);
+      assertEqual(issues.filter(i => i.check === 'matTabLabel').length, 1, 'Second tab still reported');
+      assertEqual(issues.filter(i => i.check === 'imageAlt').length, 1, 'Second image still reported');
+      assertEqual(results.suppressions.count, 2);
+      assertTrue(results.suppressions.issues.every(s => s.component === 'TabsComponent'), 'Component name is recorded');
+      assertEqual(results.suppressions.unused.map(u => u.check), ['linkNames', 'notACheck']);
+    });
+
+    // Test 8: File-based analysis
+    await test('file-based analysis applies suppressions', () => {
+      const results = analyze(srcDir, { config: false, tier: 'full' });
+      assertEqual(results.suppressions.count, 2);
+      assertTrue(!results.summary.issues.some(i => (i.element || '').includes('hidden.png')), 'Suppressed issue is not listed');
+    });
+
+    // Test 9: Worker thread
+    await test('worker runBatch applies suppressions', async () => {
+      const result = await runWorkerBatch({
+        files: [{ path: 'tabs.html', content: TEMPLATE }],
+        htmlCheckNames: ['imageAlt', 'linkNames'],
+        scssCheckNames: [],
+        knownCheckNames: ['imageAlt', 'linkNames', 'matTabLabel']
+      });
+      const file = result.files[0];
+      assertEqual(file.checks.imageAlt.issues.length, 1);
+      assertEqual(file.suppressed.length, 1);
+      assertEqual(file.unused.map(u => u.check), ['linkNames', 'notACheck']);
+    });
+
+    // Test 10: JSON and SARIF output
+    await test('JSON and SARIF list suppressed issues separately', () => {
+      const results = analyzeByComponent(srcDir, { config: false });
+      const output = JSON.parse(json.format(results));
+      assertEqual(output.suppressions.count, 2);
+      assertTrue(!output.issues.some(i => i.message.includes('hidden.png')), 'JSON issues exclude suppressed');
+
+      const log = JSON.parse(sarif.format(results));
+      const suppressed = log.runs[0].results.filter(r => r.suppressions);
+      assertEqual(suppressed.length, 2);
+      const tab = suppressed.find(r => r.ruleId === 'matTabLabel');
+      assertEqual(tab.suppressions[0].kind, 'inSource');
+      assertEqual(tab.suppressions[0].justification, 'label set by directive');
+    });
+
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
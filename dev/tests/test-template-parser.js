@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Tests for the Angular Template Parser
+ *
+ * Verifies that:
+ * - Nested elements with the same tag get the right end tags
+ * - `>` inside bound expressions and multi-line attributes don't end a tag
+ * - Comments, control flow blocks, @let and ICU expressions are parsed
+ * - Attributes get the right kind (static, property, event, structural, ...)
+ * - HTML checks receive the parsed template as check(content, context)
+ */
+
+const { tokenize, parseTemplate, createTemplateContext, findElements, closest, getAttribute, getStaticValue, getTextContent } = require('../../src/core/templateParser');
+const { getCheckContext } = require('../../src/core/loader');
+const matTabLabel = require('../../src/checks/matTabLabel');
+const matFormFieldLabel = require('../../src/checks/matFormFieldLabel');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nTemplate Parser Tests\n' + c.reset);
+
+  // Test 1: Nested elements with the same tag
+  test('nested elements with the same tag are matched to their own end tags', () => {
+    const html = '<div class="a"><div class="b">inner</div>after</div>';
+    const [outer, inner] = findElements(parseTemplate(html), 'div');
+    assertEqual(html.slice(outer.start, outer.end), html);
+    assertEqual(html.slice(inner.start, inner.end), '<div class="b">inner</div>');
+    assertEqual(getTextContent(outer), 'innerafter');
+    assertTrue(inner.parent === outer, 'Inner div is a child of the outer div');
+  });
+
+  // Test 2: `>` in bindings and multi-line attributes
+  test('">" inside bound expressions and multi-line attributes stay in the start tag', () => {
+    const html = '<button\n  [disabled]="count > 3"\n  (click)="a > b && go()"\n>Go</button>';
+    const [button] = findElements(parseTemplate(html), 'button');
+    assertEqual(getAttribute(button, 'disabled').value, 'count > 3');
+    assertEqual(button.attrs.map(a => a.kind), ['property', 'event']);
+    assertEqual(getTextContent(button), 'Go');
+  });
+
+  // Test 3: Comments
+  test('markup in comments is not parsed as elements', () => {
+    const template = parseTemplate('<!-- <mat-tab label="x"></mat-tab> --><p>text</p>');
+    assertEqual(template.children[0].type, 'comment');
+    assertEqual(findElements(template, 'mat-tab').length, 0);
+    assertEqual(findElements(template, 'p').length, 1);
+  });
+
+  // Test 4: Attribute kinds
+  test('attributes get their kind and key', () => {
+    const html = '<input id="a" [value]="v" [attr.aria-label]="l" [class.on]="x" [style.width.px]="w" ' +
+                 '(blur)="b()" [(ngModel)]="m" *ngIf="show" #box bind-title="t">';
+    const [input] = findElements(parseTemplate(html), 'input');
+    assertEqual(input.attrs.map(a => [a.kind, a.key]), [
+      ['static', 'id'], ['property', 'value'], ['attribute', 'aria-label'], ['class', 'on'],
+      ['style', 'width.px'], ['event', 'blur'], ['twoWay', 'ngModel'], ['structural', 'ngIf'],
+      ['reference', 'box'], ['property', 'title']
+    ]);
+    assertEqual(getStaticValue(parseTemplate('<i [attr.role]="\'none\'"></i>').children[0], 'role'), 'none');
+    assertEqual(getStaticValue(input, 'value'), null, 'Bound expressions have no static value');
+  });
+
+  // Test 5: Control flow blocks and @let
+  test('@if/@else, @for/@empty, @switch and @defer blocks contain their elements', () => {
+    const html = [
+      '@let total = items.length;',
+      '@if (user) { <p>Hi</p> } @else { <a href="/login">Log in</a> }',
+      '@for (item of items; track item.id) { <li>{{ item.name }}</li> } @empty { <li>None</li> }',
+      '@switch (mode) { @case (\'a\') { <b>A</b> } @default { <i>?</i> } }',
+      '@defer (on viewport) { <app-chart /> } @placeholder { <span>...</span> }',
+      '<span>mail@for.com</span>'
+    ].join('\n');
+    const template = parseTemplate(html);
+    const blocks = template.children.filter(n => n.type === 'block').map(n => n.name);
+    assertEqual(blocks, ['if', 'else', 'for', 'empty', 'switch', 'defer', 'placeholder']);
+    assertEqual(template.children[0].type, 'let');
+    assertEqual(template.children.find(n => n.name === 'for').parameters, 'item of items; track item.id');
+    assertEqual(closest(findElements(template, 'b')[0], () => true), null, 'Blocks are not elements');
+    assertEqual(findElements(template, 'app-chart').length, 1);
+    assertEqual(getTextContent(findElements(template, 'span')[1]), 'mail@for.com', '@ in text is not a block');
+    assertEqual(template.errors, []);
+  });
+
+  // Test 6: ICU expressions
+  test('ICU expressions are parsed into cases with their own content', () => {
+    const html = '<span i18n>{count, plural, =0 {no items} other {<b>{{count}}</b> items}}</span>';
+    const template = parseTemplate(html);
+    const [expansion] = findElements(template, 'span')[0].children;
+    assertEqual([expansion.type, expansion.switchValue, expansion.kind], ['expansion', 'count', 'plural']);
+    assertEqual(expansion.cases.map(k => k.value), ['=0', 'other']);
+    assertEqual(findElements(template, 'b').length, 1);
+    assertEqual(tokenize(html).filter(t => t.type === 'expansionStart').length, 1);
+  });
+
+  // Test 7: Recovery
+  test('stray end tags and unclosed elements are recorded, not thrown', () => {
+    const template = parseTemplate('<div><p>one<p>two</div></section>');
+    assertEqual(findElements(template, 'p').length, 2, '<p> is closed by the next <p>');
+    assertEqual(template.errors.length, 1);
+    assertTrue(template.errors[0].message.includes('section'), 'Error names the stray tag');
+  });
+
+  // Test 8: Checks receive the parsed template
+  test('HTML checks receive the template through check(content, context)', () => {
+    const html = '<mat-tab-group>\n  <mat-tab label="One">\n    <mat-tab>Nested</mat-tab>\n  </mat-tab>\n</mat-tab-group>';
+    const context = getCheckContext(matTabLabel, html);
+    assertTrue(context.template.source === html, 'Context holds the parsed template');
+
+    const result = matTabLabel.check(html, context);
+    assertEqual([result.elementsFound, result.issues.length], [2, 1]);
+    assertEqual(result.issues[0].element, 'mat-tab #2');
+    assertEqual(result.locations[0].line, 3, 'The nested tab is reported');
+    assertEqual(matTabLabel.check(html).issues.length, 1, 'Checks parse the content without a context');
+
+    const field = '<mat-form-field>\n  <!-- <mat-label>Old</mat-label> -->\n  <input matInput>\n</mat-form-field>';
+    assertEqual(matFormFieldLabel.check(field, createTemplateContext(field)).issues.length, 1,
+      'Commented-out labels don\'t count');
+  });
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  process.exit(runTests() ? 0 : 1);
+}
+
+module.exports = { runTests };
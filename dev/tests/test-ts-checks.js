@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * Tests for TypeScript Checks (check type 'ts')
+ *
+ * Verifies that:
+ * - The source scanner finds classes, decorators, injected services and calls
+ * - matDialogOpenConfig, matSnackbarPoliteness, cdkLiveAnnouncerUsage and
+ *   hostListenerKeyboard report what they should and skip what they can't tell
+ * - checkTS() runs the TypeScript checks of a tier
+ * - Component, file-based and route analysis run them on component, directive
+ *   and service classes, and honor // mat-a11y-disable comments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSource, findInjected, findCalls, parseObjectLiteral, isSourceFile, isAngularSource } = require('../../src/core/tsParser');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+const { analyzeByRoute } = require('../../src/core/routeAnalyzer');
+const { analyze, checkTS } = require('../../src/index');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// Setup test fixtures: a routed page with a child component, a directive and a service
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-ts-'));
+
+  write('src/app/app.routes.ts', `import { Routes } from '@angular/router';
+
+export const routes: Routes = [
+  { path: '', loadComponent: () => import('./home/home.component').then(m => m.HomeComponent) }
+];
+`);
+
+  write('src/app/home/home.component.ts', `import { Component } from '@angular/core';
+import { MatDialog } from '@angular/material/dialog';
+
+@Component({
+  selector: 'app-home',
+  templateUrl: './home.component.html'
+})
+export class HomeComponent {
+  constructor(private dialog: MatDialog) {}
+
+  open() {
+    this.dialog.open(ConfirmComponent);
+  }
+}
+`);
+  write('src/app/home/home.component.html', '<h1>Home</h1>\n<app-card></app-card>\n');
+
+  write('src/app/card/card.component.ts', `import { Component, HostListener } from '@angular/core';
+
+@Component({
+  selector: 'app-card',
+  templateUrl: './card.component.html'
+})
+export class CardComponent {
+  @HostListener('click') select() {}
+}
+`);
+  write('src/app/card/card.component.html', '<p>Card</p>\n');
+
+  write('src/app/shared/expand.directive.ts', `import { Directive } from '@angular/core';
+
+@Directive({
+  selector: '[appExpand]',
+  host: { '(click)': 'toggle()' }
+})
+export class ExpandDirective {
+  toggle() {}
+}
+`);
+
+  write('src/app/shared/notify.service.ts', `import { Injectable, inject } from '@angular/core';
+import { MatSnackBar } from '@angular/material/snack-bar';
+
+@Injectable({ providedIn: 'root' })
+export class NotifyService {
+  private snackBar = inject(MatSnackBar);
+
+  saved() {
+    // mat-a11y-disable-next-line matSnackbarPoliteness -- defaults set by MAT_SNACK_BAR_DEFAULT_OPTIONS
+    this.snackBar.open('Saved');
+  }
+
+  failed() {
+    this.snackBar.open('Failed', 'Retry');
+  }
+}
+`);
+
+  // Not analyzed: tests and declaration files
+  write('src/app/shared/notify.service.spec.ts', `import { MatSnackBar } from '@angular/material/snack-bar';
+
+@Injectable()
+class FakeService {
+  constructor(private snackBar: MatSnackBar) {}
+  show() { this.snackBar.open('x'); }
+}
+`);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function runTsCheck(name, content) {
+  const check = require(`../../src/checks/${name}`);
+  return check.check(content, {});
+}
+
+function codes(result) {
+  return result.issues.map(issue => issue.code);
+}
+
+function relative(file) {
+  return path.relative(FIXTURE_DIR, file).split(path.sep).join('/');
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nTypeScript Check Tests\n' + c.reset);
+
+  // Test 1: Source scanner
+  test('scanner finds classes, injected services and calls outside comments and strings', () => {
+    const source = parseSource(`import { Component as Cmp } from '@angular/core';
+import { MatDialog } from '@angular/material/dialog';
+
+@Cmp({ selector: 'app-x' })
+export class XComponent {
+  private readonly other = inject(MatDialog);
+  constructor(private dialog: MatDialog, @Inject(TOKEN) private token: string) {}
+
+  run() {
+    // this.dialog.open(Commented);
+    const text = 'this.dialog.open(InString)';
+    this.dialog.open(Dialog, { ariaLabel: 'Edit', ...extra });
+    other?.open(Other);
+  }
+}
+`);
+    assertEqual(source.imports.find(entry => entry.local === 'Cmp'), { name: 'Component', local: 'Cmp', from: '@angular/core' });
+    assertEqual(source.classes.map(cls => [cls.name, cls.decorators.map(d => d.name)]), [['XComponent', ['Cmp']]]);
+    assertEqual(findInjected(source, 'MatDialog').sort(), ['dialog', 'other']);
+
+    const calls = findCalls(source, ['dialog', 'other'], ['open']);
+    assertEqual(calls.map(call => call.args[0].text), ['Dialog', 'Other']);
+    const config = parseObjectLiteral(source, calls[0].args[1]);
+    assertEqual([...config.properties.keys()], ['ariaLabel']);
+    assertTrue(config.spread, 'spread is recorded');
+
+    assertTrue(isSourceFile('a/b.component.ts') && !isSourceFile('a/b.spec.ts') && !isSourceFile('a/b.d.ts'));
+    assertTrue(isAngularSource('@Injectable()\nclass A {}') && !isAngularSource('export const routes = [];'));
+  });
+
+  // Test 2: matDialogOpenConfig
+  test('matDialogOpenConfig reports unnamed dialogs and disabled focus handling', () => {
+    const head = "import { MatDialog } from '@angular/material/dialog';\nclass A {\n  constructor(private dialog: MatDialog) {}\n  run() {\n";
+    const run = body => runTsCheck('matDialogOpenConfig', head + body + '\n  }\n}\n');
+
+    assertEqual(codes(run("this.dialog.open(Edit, { ariaLabelledBy: 'edit-title' });")), []);
+    assertEqual(codes(run("this.dialog.open(Edit, { ariaLabel: 'Edit user' });")), []);
+    assertEqual(codes(run('this.dialog.open(Edit, this.config);')), [], 'config built elsewhere is trusted');
+    assertEqual(codes(run('this.dialog.open(Edit);')), ['MAT_DIALOG_OPEN_NO_LABEL']);
+    assertEqual(codes(run("this.dialog.open(Edit, { ariaLabel: '', autoFocus: false, restoreFocus: false });")),
+      ['MAT_DIALOG_OPEN_NO_LABEL', 'MAT_DIALOG_OPEN_AUTOFOCUS_DISABLED', 'MAT_DIALOG_OPEN_RESTORE_FOCUS_DISABLED']);
+
+    const result = run('this.dialog.open(Edit);');
+    assertEqual(result.elementsFound, 1);
+    assertEqual(result.issues[0].element, 'this.dialog.open(Edit)');
+    assertEqual(result.locations[0].line, 5);
+  });
+
+  // Test 3: matSnackbarPoliteness
+  test('matSnackbarPoliteness reports snackbars without politeness', () => {
+    const head = "class A {\n  private snack = inject(MatSnackBar);\n  run() {\n";
+    const run = body => runTsCheck('matSnackbarPoliteness', head + body + '\n  }\n}\n');
+
+    assertEqual(codes(run("this.snack.open('Saved', 'OK', { politeness: 'polite' });")), []);
+    assertEqual(codes(run("this.snack.open('Saved', 'OK', { politeness: this.level });")), []);
+    assertEqual(codes(run("this.snack.open('Saved');")), ['MAT_SNACKBAR_POLITENESS']);
+    assertEqual(codes(run("this.snack.open('Saved', 'OK', { politeness: 'off' });")), ['MAT_SNACKBAR_POLITENESS']);
+    assertEqual(codes(run("snackBar.open('Not injected here');")), []);
+  });
+
+  // Test 4: cdkLiveAnnouncerUsage
+  test('cdkLiveAnnouncerUsage reports empty, silenced and cleared announcements', () => {
+    const head = "class A {\n  constructor(private announcer: LiveAnnouncer) {}\n  run(message: string) {\n";
+    const run = body => runTsCheck('cdkLiveAnnouncerUsage', head + body + '\n  }\n}\n');
+
+    assertEqual(codes(run("this.announcer.announce('3 results', 'polite');")), []);
+    assertEqual(codes(run('this.announcer.announce(message);')), []);
+    assertEqual(codes(run("this.announcer.announce('  ');")), ['CDK_LIVE_ANNOUNCER_EMPTY']);
+    assertEqual(codes(run("this.announcer.announce('Saved', 'off');")), ['CDK_LIVE_ANNOUNCER_OFF']);
+    assertEqual(codes(run("this.announcer.announce('Saved');\n    this.announcer.clear();")), ['CDK_LIVE_ANNOUNCER_CLEARED']);
+    assertEqual(codes(run("this.announcer.announce('Saved');\n    this.reset();\n    this.announcer.clear();")), []);
+  });
+
+  // Test 5: hostListenerKeyboard
+  test('hostListenerKeyboard reports host clicks without keyboard listeners', () => {
+    const component = (selector, members, host = '') =>
+      `@Component({ selector: '${selector}'${host} })\nclass A {\n${members}\n}\n`;
+    const run = content => runTsCheck('hostListenerKeyboard', content);
+
+    const clickOnly = run(component('app-tile', "  @HostListener('click') select() {}"));
+    assertEqual(codes(clickOnly), ['HOST_LISTENER_CLICK_NO_KEYBOARD']);
+    assertTrue(clickOnly.issues[0].message.includes('Component'), clickOnly.issues[0].message);
+
+    assertEqual(codes(run(component('app-tile', "  @HostListener('click') select() {}\n  @HostListener('keydown.enter') key() {}"))), []);
+    assertEqual(codes(run(component('button[appConfirm]', "  @HostListener('click') confirm() {}"))), [], 'native buttons handle the keyboard');
+    assertEqual(codes(run(component('app-tile', '', ", host: { '(click)': 'select()' }"))), ['HOST_LISTENER_CLICK_NO_KEYBOARD']);
+    assertEqual(codes(run(component('app-tile', '', ", host: { '(click)': 'select()', '(keyup.space)': 'select()' }"))), []);
+    assertEqual(codes(run("class Plain {\n  @HostListener('click') select() {}\n}\n")), [], 'only components and directives');
+  });
+
+  // Test 6: checkTS()
+  test('checkTS() runs the TypeScript checks of a tier', () => {
+    const source = "class A {\n  constructor(private dialog: MatDialog, private snack: MatSnackBar) {}\n  run() {\n    this.dialog.open(Edit);\n    this.snack.open('Hi');\n  }\n}\n";
+    const failing = tier => checkTS(source, tier).filter(result => !result.passed).map(result => result.name);
+
+    assertEqual(failing('material').sort(), ['matDialogOpenConfig', 'matSnackbarPoliteness']);
+    assertEqual(failing('angular'), []);
+    assertEqual(failing('basic'), []);
+  });
+
+  setupFixtures();
+  try {
+    // Test 7: Component analysis
+    test('component analysis checks component, directive and service classes', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'full', config: false });
+      const issues = results.components.flatMap(component => component.issues
+        .filter(issue => issue.file.endsWith('.ts'))
+        .map(issue => `${component.name} ${issue.check} ${relative(issue.file)}`));
+
+      assertEqual(issues.sort(), [
+        'CardComponent hostListenerKeyboard src/app/card/card.component.ts',
+        'ExpandDirective hostListenerKeyboard src/app/shared/expand.directive.ts',
+        'HomeComponent matDialogOpenConfig src/app/home/home.component.ts',
+        'NotifyService matSnackbarPoliteness src/app/shared/notify.service.ts'
+      ]);
+      assertEqual(results.suppressions.issues.map(issue => issue.check), ['matSnackbarPoliteness'], 'disable comment in .ts');
+
+      const material = analyzeByComponent(FIXTURE_DIR, { tier: 'material', config: false });
+      assertEqual(material.components.map(component => component.name), ['HomeComponent'],
+        'only the tier\'s TypeScript checks run');
+    });
+
+    // Test 8: File-based analysis
+    test('file-based analysis scans Angular sources and skips specs', () => {
+      const results = analyze(path.join(FIXTURE_DIR, 'src'), { tier: 'full', config: false });
+      const tsFiles = Object.keys(results.files).filter(file => file.endsWith('.ts')).map(relative).sort();
+
+      assertEqual(tsFiles, [
+        'src/app/card/card.component.ts',
+        'src/app/home/home.component.ts',
+        'src/app/shared/expand.directive.ts',
+        'src/app/shared/notify.service.ts'
+      ]);
+    });
+
+    // Test 9: Route analysis
+    test('route analysis with deep resolution checks the classes of child components', () => {
+      const shallow = analyzeByRoute(FIXTURE_DIR, { tier: 'full', config: false });
+      const deep = analyzeByRoute(FIXTURE_DIR, { tier: 'full', config: false, deepResolve: true });
+      const checks = result => result.routes[0].issues
+        .filter(issue => issue.file.endsWith('.ts'))
+        .map(issue => issue.check)
+        .sort();
+
+      assertEqual(checks(shallow), ['matDialogOpenConfig']);
+      assertEqual(checks(deep), ['hostListenerKeyboard', 'matDialogOpenConfig']);
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * Tests for Watch Mode (--watch)
+ *
+ * Verifies that:
+ * - update() re-analyzes only the components a changed file affects
+ * - Changing an SCSS partial re-analyzes the components that import it
+ * - Added and deleted components are picked up
+ * - Changed variables re-analyze the components that use them
+ * - New and resolved issues are reported, and results match a full analysis
+ * - Inherited backgrounds and global styles are analyzed as in a full analysis,
+ *   and changes to them re-analyze the components rendered on them
+ * - fs.watch events are batched and passed to the update callback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WatchSession, formatWatchUpdate } = require('../../src/core/watcher');
+const { analyzeByComponent } = require('../../src/core/componentAnalyzer');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function componentTs(name, className) {
+  return `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${name}',
+  templateUrl: './${name}.component.html',
+  styleUrls: ['./${name}.component.scss']
+})
+export class ${className} {}
+`;
+}
+
+// Setup test fixtures
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-watch-'));
+
+  write('src/styles/_colors.scss', '$text: #333333;\n$bg: #ffffff;\n');
+  write('src/styles/_theme.scss', "@use 'colors';\n");
+
+  write('src/app/home/home.component.ts', componentTs('home', 'HomeComponent'));
+  write('src/app/home/home.component.html', '<h1>Home</h1>\n<img src="logo.png" alt="Logo">\n');
+  write('src/app/home/home.component.scss', "@use '../../styles/theme';\n.title { color: $text; background: $bg; }\n");
+
+  write('src/app/about/about.component.ts', componentTs('about', 'AboutComponent'));
+  write('src/app/about/about.component.html', '<h1>About</h1>\n');
+  write('src/app/about/about.component.scss', '.intro { color: $text; background: $bg; }\n');
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Check names of a list of issues
+function checks(issues) {
+  return issues.map(issue => issue.check).sort();
+}
+
+// Issues of each component, as [name, ['check element', ...]]
+function issuesByComponent(results) {
+  return results.components
+    .map(comp => [comp.name, comp.issues.map(issue => `${issue.check} ${issue.element}`).sort()])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+// Workspace with global styles; the dashboard's :host is behind the stat, the body behind the footer
+function setupInheritanceFixture() {
+  const root = 'shop';
+  write(`${root}/angular.json`, JSON.stringify({
+    version: 1,
+    projects: { shop: { root: '', sourceRoot: 'src', architect: { build: { options: { styles: ['src/styles.scss'] } } } } }
+  }));
+  write(`${root}/src/styles.scss`, 'body {\n  background: #fafafa;\n}\n');
+  const component = (name, className, html, scss) => {
+    write(`${root}/src/app/${name}/${name}.component.ts`, componentTs(name, className));
+    write(`${root}/src/app/${name}/${name}.component.html`, html);
+    write(`${root}/src/app/${name}/${name}.component.scss`, scss);
+  };
+  component('root', 'RootComponent', '<app-dashboard></app-dashboard>\n<app-footer></app-footer>\n', ':host { display: block; }\n');
+  component('dashboard', 'DashboardComponent', '<app-stat></app-stat>\n', ':host {\n  background: #ffffff;\n}\n');
+  component('stat', 'StatComponent', '<span class="value">42</span>\n', '.value {\n  color: #ffffff;\n}\n');
+  component('footer', 'FooterComponent', '<p class="note">Terms</p>\n', '.note {\n  color: #e6e6e6;\n}\n');
+  return path.join(FIXTURE_DIR, root);
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nWatch Mode Tests\n' + c.reset);
+
+  setupFixtures();
+  const options = { tier: 'full', config: false };
+  const session = new WatchSession(FIXTURE_DIR, options);
+
+  try {
+    // Test 1: Initial analysis
+    await test('analyze() matches a full component analysis', () => {
+      const results = session.analyze();
+      const full = analyzeByComponent(FIXTURE_DIR, options);
+      assertEqual(results.totalComponentsScanned, 2);
+      assertEqual(results.totalIssues, full.totalIssues);
+      assertEqual(results.auditScore, full.auditScore);
+    });
+
+    // Test 2: Template change
+    await test('a template change re-analyzes its component and reports new and resolved issues', () => {
+      const before = session.results.totalIssues;
+      const file = write('src/app/home/home.component.html', '<h1>Home</h1>\n<img src="logo.png">\n');
+
+      const update = session.update([file]);
+      assertEqual(update.components, ['HomeComponent'], 'Only the owning component');
+      assertEqual(checks(update.added), ['imageAlt']);
+      assertEqual(update.resolved, []);
+      assertEqual(update.results.totalIssues, before + 1);
+
+      write('src/app/home/home.component.html', '<h1>Home</h1>\n\n<img src="logo.png" alt="Logo">\n');
+      const fixed = session.update([file]);
+      assertEqual(checks(fixed.resolved), ['imageAlt']);
+      assertEqual(fixed.added, []);
+      assertEqual(fixed.results.totalIssues, before);
+
+      // Moving an issue to another line is neither new nor resolved
+      write('src/app/home/home.component.html', '<img src="logo.png">\n<h1>Home</h1>\n');
+      session.update([file]);
+      write('src/app/home/home.component.html', '<h1>Home</h1>\n<img src="logo.png">\n');
+      const moved = session.update([file]);
+      assertEqual([moved.added.length, moved.resolved.length], [0, 0], 'Line changes are not churn');
+      write('src/app/home/home.component.html', '<h1>Home</h1>\n<img src="logo.png" alt="Logo">\n');
+      session.update([file]);
+    });
+
+    // Test 3: Partials
+    await test('changing an SCSS partial re-analyzes components that import it (transitively)', () => {
+      const theme = write('src/styles/_theme.scss', "@use 'colors';\n// tokens\n");
+      assertEqual(session.update([theme]).components, ['HomeComponent'], 'Direct importer of _theme');
+
+      const colors = write('src/styles/_colors.scss', '$text: #333333;\n$bg: #ffffff;\n// palette\n');
+      assertEqual(session.update([colors]).components, ['HomeComponent'], 'Imported through _theme');
+
+      const unrelated = write('src/styles/_unused.scss', '.x { margin: 0; }\n');
+      assertEqual(session.update([unrelated]).components, [], 'Nobody imports it');
+    });
+
+    // Test 4: Variables
+    await test('changed variables re-resolve in the components that use them', () => {
+      const colors = write('src/styles/_colors.scss', '$text: #cccccc;\n$bg: #ffffff;\n');
+      const update = session.update([colors]);
+      assertTrue(update.components.includes('AboutComponent'), 'Uses $text without importing it');
+      // Home (imports theme -> colors) and About
+      assertEqual(checks(update.added), ['colorContrast', 'colorContrast']);
+
+      write('src/styles/_colors.scss', '$text: #333333;\n$bg: #ffffff;\n');
+      assertEqual(checks(session.update([colors]).resolved), ['colorContrast', 'colorContrast']);
+    });
+
+    // Test 5: Added and deleted components
+    await test('new and deleted components are added to and removed from the results', () => {
+      write('src/app/contact/contact.component.html', '<iframe src="/map"></iframe>\n');
+      const ts = write('src/app/contact/contact.component.ts', componentTs('contact', 'ContactComponent'));
+      const added = session.update([ts]);
+      assertEqual(added.components, ['ContactComponent']);
+      assertEqual(checks(added.added), ['iframeTitles']);
+      assertEqual(added.results.totalComponentsScanned, 3);
+
+      fs.unlinkSync(ts);
+      const removed = session.update([ts]);
+      assertEqual(checks(removed.resolved), ['iframeTitles']);
+      assertEqual(removed.results.totalComponentsScanned, 2);
+
+      const full = analyzeByComponent(FIXTURE_DIR, options);
+      assertEqual(session.results.totalIssues, full.totalIssues, 'Same as a fresh analysis');
+      assertEqual(session.update([path.join(FIXTURE_DIR, 'README.md')]).components, [], 'Other files are ignored');
+    });
+
+    // Test 6: Formatting
+    await test('formatWatchUpdate() lists new (+) and resolved (-) issues with their location', () => {
+      const file = write('src/app/about/about.component.html', '<h1>About</h1>\n<img src="team.png">\n');
+      const text = formatWatchUpdate(session.update([file]), { cwd: FIXTURE_DIR });
+      const lines = text.split('\n');
+      assertTrue(/^\[\d\d:\d\d:\d\d\] src\/app\/about\/about\.component\.html: 1 component re-analyzed in \d+ms$/.test(lines[0]), lines[0]);
+      assertTrue(lines[1].startsWith('  + [imageAlt] src/app/about/about.component.html:2:1 '), lines[1]);
+      assertTrue(/^ {2}1 new, 0 resolved · \d+ issues? · score \d+%$/.test(lines[2]), lines[2]);
+    });
+
+    // Test 7: File system events
+    await test('watch() batches file events and calls back with the update', async () => {
+      const updates = [];
+      session.watch(update => updates.push(update));
+      try {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        write('src/app/about/about.component.html', '<h1>About</h1>\n<img src="team.png" alt="Team">\n');
+
+        for (let i = 0; i < 40 && updates.length === 0; i++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assertEqual(updates.length, 1, 'One update per batch');
+        assertEqual(checks(updates[0].resolved), ['imageAlt']);
+      } finally {
+        session.close();
+      }
+      assertEqual(session.watchers.size, 0, 'close() stops all watchers');
+    });
+
+    // Test 8: Inherited backgrounds and global styles
+    await test('inherited backgrounds and global styles match a full analysis as they change', () => {
+      const shopDir = setupInheritanceFixture();
+      const shop = new WatchSession(shopDir, options);
+      const initial = shop.analyze();
+      assertEqual(issuesByComponent(initial), issuesByComponent(analyzeByComponent(shopDir, options)));
+      assertEqual(initial.totalComponentsScanned, 5, 'Four components and the global stylesheet');
+      const inheritedChecks = (name) => checks(initial.components.find(comp => comp.name === name).issues);
+      assertEqual([inheritedChecks('StatComponent'), inheritedChecks('FooterComponent')], [['colorContrast'], ['colorContrast']]);
+
+      // The parent's background changes: the child is re-analyzed
+      const parent = write('shop/src/app/dashboard/dashboard.component.scss', ':host {\n  background: #0d47a1;\n}\n');
+      const parentUpdate = shop.update([parent]);
+      assertEqual(parentUpdate.components.sort(), ['DashboardComponent', 'StatComponent']);
+      assertEqual(checks(parentUpdate.resolved), ['colorContrast']);
+      assertEqual(issuesByComponent(parentUpdate.results), issuesByComponent(analyzeByComponent(shopDir, options)));
+
+      // The body background changes: the global stylesheet and the footer are re-analyzed
+      const globalStyles = write('shop/src/styles.scss', 'body {\n  background: #333333;\n}\n');
+      const globalUpdate = shop.update([globalStyles]);
+      assertEqual(globalUpdate.components.sort(), ['FooterComponent', 'styles.scss']);
+      assertEqual(checks(globalUpdate.resolved), ['colorContrast']);
+      assertEqual(issuesByComponent(globalUpdate.results), issuesByComponent(analyzeByComponent(shopDir, options)));
+    });
+  } finally {
+    session.close();
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Tests for the WCAG 2.2 success criteria and checks
+ *
+ * Verifies that:
+ * - The WCAG tables list the 2.2 criteria with their levels, and every check
+ *   and error maps to a known criterion
+ * - touchTargets uses the 2.5.8 minimum (24px) and its spacing exception
+ * - focusNotObscured flags sticky/fixed app headers without scroll-padding-top
+ * - cdkDragAlternative requires keyboard or move-button alternatives
+ * - accessibleAuthentication and redundantEntry flag blocked autofill and pasting
+ * - The new checks are in the tier and weight tables
+ */
+
+const { WCAG, WCAG_LEVELS, ERRORS } = require('../../src/core/errors');
+const { loadAllChecks } = require('../../src/core/loader');
+const { WEIGHTS } = require('../../src/core/weights');
+const { TIERS } = require('../../src/index');
+const touchTargets = require('../../src/checks/touchTargets');
+const focusNotObscured = require('../../src/checks/focusNotObscured');
+const cdkDragAlternative = require('../../src/checks/cdkDragAlternative');
+const accessibleAuthentication = require('../../src/checks/accessibleAuthentication');
+const redundantEntry = require('../../src/checks/redundantEntry');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+// Issue elements of a check run
+function elements(check, content) {
+  return check.check(content, {}).issues.map(issue => issue.element);
+}
+
+// Run tests
+function runTests() {
+  console.log(c.bold + '\nWCAG 2.2 Tests\n' + c.reset);
+
+  // Test 1: Criteria tables
+  test('WCAG tables list the 2.2 criteria and every check maps to one', () => {
+    assertEqual(['2.4.11', '2.5.7', '2.5.8', '3.3.7', '3.3.8'].map(sc => [WCAG[sc], WCAG_LEVELS[sc]]), [
+      ['Focus Not Obscured (Minimum)', 'AA'],
+      ['Dragging Movements', 'AA'],
+      ['Target Size (Minimum)', 'AA'],
+      ['Redundant Entry', 'A'],
+      ['Accessible Authentication (Minimum)', 'AA']
+    ]);
+    assertEqual(Object.keys(WCAG).sort(), Object.keys(WCAG_LEVELS).sort(), 'Every criterion has a level');
+
+    for (const [name, check] of loadAllChecks()) {
+      if (check.wcag) assertTrue(WCAG[check.wcag], `${name} maps to unknown criterion ${check.wcag}`);
+    }
+    assertEqual(ERRORS.TOUCH_TARGET_SMALL.wcag, '2.5.8');
+    assertEqual(touchTargets.wcag, '2.5.8');
+  });
+
+  // Test 2: Target size
+  test('touchTargets accepts undersized targets with 24px spacing per axis', () => {
+    assertEqual(elements(touchTargets, 'button { height: 20px; margin: 1px; }'), ['<button> (height: 20px effective)']);
+    assertEqual(elements(touchTargets, 'button { height: 20px; margin: 1px 0; }'), ['<button> (height: 20px effective)']);
+    assertEqual(elements(touchTargets, 'button { height: 20px; margin: 0 0 2px; }'), ['<button> (height: 20px effective)']);
+    assertEqual(elements(touchTargets, 'button { height: 16px; margin: 4px 0; }'), [], '16px + 2 x 4px margin');
+    assertEqual(elements(touchTargets, 'button { height: 16px; margin-top: 8px; }'), [], 'Longhand margin');
+    assertEqual(elements(touchTargets, 'button { width: 16px; margin: 0 -4px; }'), ['<button> (width: 16px effective)'],
+      'Negative margins are not spacing');
+    assertEqual(elements(touchTargets, 'button { width: 16px; padding: 0 4px; }'), [], 'Horizontal padding');
+    assertEqual(elements(touchTargets, 'button { height: 16px; padding: 0 4px; }'), ['<button> (height: 16px effective)'],
+      'Horizontal padding does not help the height');
+    assertEqual(elements(touchTargets, 'button { height: 16px; min-height: 44px; width: 16px; }'), ['<button> (width: 16px effective)'],
+      'min-height only compensates the height');
+  });
+
+  // Test 3: Focus not obscured
+  test('focusNotObscured flags sticky headers unless scroll-padding-top is set', () => {
+    const css = `mat-toolbar.app-bar {
+  position: sticky;
+  top: 0;
+}
+.shell {
+  .page-header { position: fixed; top: 0; left: 0; }
+}
+.mat-mdc-header-row { position: sticky; top: 0; }
+.site-footer { position: fixed; bottom: 0; }
+.header-actions { display: flex; }`;
+    const result = focusNotObscured.check(css);
+    assertEqual(result.issues.map(issue => [issue.element, issue.message]), [
+      ['"mat-toolbar.app-bar" (position: sticky)', 'Sticky header can hide focused elements (no scroll-padding-top)'],
+      ['".page-header" (position: fixed)', 'Fixed header can hide focused elements (no scroll-padding-top)']
+    ]);
+    assertEqual(result.locations.map(loc => [loc.line, loc.column]), [[1, 1], [6, 3]]);
+    assertEqual(result.issues[0].severity, 'warning');
+
+    assertTrue(focusNotObscured.check(`html { scroll-padding-top: 64px; }\n${css}`).pass, 'scroll-padding-top');
+    assertTrue(focusNotObscured.check(`:focus { scroll-margin-top: 80px; }\n${css}`).pass, 'scroll-margin-top');
+  });
+
+  // Test 4: Dragging movements
+  test('cdkDragAlternative requires keyboard handlers or move buttons', () => {
+    const template = `<div cdkDropList (cdkDropListDropped)="drop($event)">
+  <div *ngFor="let item of items; let i = index" cdkDrag>
+    {{ item }}
+    <button mat-icon-button cdkDragHandle aria-label="Drag"><mat-icon>drag_indicator</mat-icon></button>
+    <button mat-icon-button (click)="remove(i)" aria-label="Remove"><mat-icon>delete</mat-icon></button>
+  </div>
+</div>
+<div class="note" cdkDrag>Note</div>`;
+    const result = cdkDragAlternative.check(template, {});
+    assertEqual(result.elementsFound, 2, 'Items inside a drop list are checked with the list');
+    assertEqual(result.issues.map(issue => issue.message), [
+      'cdkDropList can only be moved by dragging',
+      'cdkDrag can only be moved by dragging'
+    ]);
+    assertEqual(result.locations.map(loc => loc.line), [1, 8]);
+
+    const withButtons = template.replace('(click)="remove(i)" aria-label="Remove"', '(click)="moveUp(i)" aria-label="Move up"');
+    assertEqual(cdkDragAlternative.check(withButtons, {}).issues.length, 1, 'Move buttons are an alternative');
+    const withKeys = template.replace('cdkDrag>', 'cdkDrag tabindex="0" (keydown.arrowUp)="moveUp(i)">');
+    assertEqual(cdkDragAlternative.check(withKeys, {}).issues.length, 1, 'Arrow keys are an alternative');
+  });
+
+  // Test 5: Accessible authentication
+  test('accessibleAuthentication flags password fields without autofill or paste', () => {
+    const template = `<form autocomplete="off">
+  <input matInput [type]="hide ? 'password' : 'text'" formControlName="password">
+  <input type="password" autocomplete="new-password" (paste)="$event.preventDefault()">
+  <input type="password" autocomplete="current-password" (paste)="onPaste($event)">
+</form>
+<input type="text" autocomplete="one-time-code" (paste)="disablePaste($event)">`;
+    const result = accessibleAuthentication.check(template, {});
+    assertEqual(result.elementsFound, 4);
+    assertEqual(result.issues.map(issue => issue.message), [
+      'Password field blocks password managers or pasting (autocomplete="off" on the <form>)',
+      'Password field blocks password managers or pasting (paste blocked)',
+      'Password field blocks password managers or pasting (paste blocked)'
+    ]);
+    assertEqual(result.locations.map(loc => loc.line), [2, 3, 6]);
+    assertEqual(result.issues[0].wcag, '3.3.8');
+  });
+
+  // Test 6: Redundant entry
+  test('redundantEntry flags personal data fields without autofill or paste', () => {
+    const template = `<input type="email" autocomplete="off" aria-label="Email">
+<input name="confirmEmail" (paste)="false" aria-label="Confirm email">
+<input formControlName="postalCode" autocomplete="nope" aria-label="ZIP">
+<input name="username" autocomplete="off" aria-label="Username">
+<input type="password" autocomplete="off" aria-label="Password">
+<input type="checkbox" name="email-updates" autocomplete="off">`;
+    assertEqual(redundantEntry.check(template, {}).issues.map(issue => issue.message), [
+      'Autofill or pasting blocked on email field (autocomplete="off")',
+      'Autofill or pasting blocked on email field (paste blocked)',
+      'Autofill or pasting blocked on address field (autocomplete="nope")'
+    ]);
+    assertTrue(redundantEntry.check('<input type="email" autocomplete="email">', {}).pass);
+  });
+
+  // Test 7: Tiers and weights
+  test('new checks are in the full tier, the angular tier (CDK) and the weight table', () => {
+    assertTrue(TIERS.full.html.includes('accessibleAuthentication') && TIERS.full.html.includes('redundantEntry'));
+    assertTrue(TIERS.full.scss.includes('focusNotObscured'));
+    assertTrue(TIERS.full.cdk.includes('cdkDragAlternative') && TIERS.angular.cdk.includes('cdkDragAlternative'));
+    assertEqual(['focusNotObscured', 'cdkDragAlternative', 'accessibleAuthentication', 'redundantEntry']
+      .map(name => WEIGHTS[name]), [5, 7, 7, 7]);
+  });
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  process.exit(runTests() ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,355 @@
+'use strict';
+
+/**
+ * Tests for Angular workspace awareness (--project, --per-project)
+ *
+ * Verifies that:
+ * - Nx projects are read from project.json files, with styles and include paths
+ * - angular.json projects are read, also when they point to a project.json
+ * - Libraries are attributed to their consumers through path aliases, package
+ *   names and implicitDependencies, transitively
+ * - The SCSS graph resolves @use against the workspace's include paths
+ * - --project scopes analysis to an app and the libraries it uses
+ * - --per-project scores every project, counting each component once in the roll-up
+ * - The CLI reports unknown projects and prints the project table
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadWorkspace, findProject, resolveLibraries, formatProjectResults } = require('../../src/core/workspace');
+const { buildGraph } = require('../../src/core/scssGraph');
+const { analyzeByComponent, analyzeByComponentAsync } = require('../../src/core/componentAnalyzer');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+// Colors
+const c = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+let FIXTURE_DIR = null;
+
+function write(relativePath, content) {
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return filePath;
+}
+
+function component(dir, selector, className, html, imports = '') {
+  write(`${dir}/${selector}.component.ts`, `import { Component } from '@angular/core';
+${imports}
+@Component({
+  selector: '${selector}',
+  templateUrl: './${selector}.component.html'
+})
+export class ${className} {}
+`);
+  write(`${dir}/${selector}.component.html`, html);
+}
+
+// An image without alt: one imageAlt issue per component
+const MISSING_ALT = '<img src="logo.png">\n';
+
+// Setup test fixtures: an Nx monorepo with two apps and three libraries
+//   shop  -> @acme/ui (path alias) -> @acme/core (package name)
+//   admin -> core (implicitDependencies)
+//   legacy (library nobody uses)
+function setupFixtures() {
+  FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-workspace-'));
+  write('nx.json', { npmScope: 'acme' });
+  write('tsconfig.base.json', `{
+  // Path aliases of the libraries
+  "compilerOptions": {
+    "paths": {
+      "@acme/ui": ["libs/ui/src/index.ts"],
+      "@acme/legacy/*": ["libs/legacy/src/*"],
+    }
+  }
+}
+`);
+
+  write('apps/shop/project.json', {
+    name: 'shop',
+    projectType: 'application',
+    sourceRoot: 'apps/shop/src',
+    targets: {
+      build: {
+        options: {
+          styles: ['apps/shop/src/styles.scss', { input: 'libs/styles/theme.scss', bundleName: 'theme' }],
+          stylePreprocessorOptions: { includePaths: ['libs/styles'] }
+        }
+      }
+    }
+  });
+  component('apps/shop/src/app/home', 'shop-home', 'ShopHomeComponent', MISSING_ALT,
+    "import { ButtonComponent } from '@acme/ui';\n");
+  write('apps/shop/src/app/home/shop-home.component.scss', "@use 'tokens';\n");
+  write('apps/shop/src/styles.scss', "@use 'tokens';\n");
+  write('libs/styles/_tokens.scss', '$primary: #3f51b5;\n');
+
+  write('apps/admin/project.json', { name: 'admin', projectType: 'application', sourceRoot: 'apps/admin/src', implicitDependencies: ['core', '!legacy'] });
+  component('apps/admin/src/app', 'admin-root', 'AdminRootComponent', '<h1>Admin</h1>\n');
+
+  write('libs/ui/project.json', { name: 'ui', projectType: 'library', sourceRoot: 'libs/ui/src' });
+  write('libs/ui/src/index.ts', "export * from './lib/button.component';\n");
+  component('libs/ui/src/lib', 'button', 'ButtonComponent', MISSING_ALT, "import { Logger } from '@acme/core/logging';\n");
+
+  write('libs/core/project.json', { name: 'core', projectType: 'library', sourceRoot: 'libs/core/src' });
+  write('libs/core/package.json', { name: '@acme/core' });
+  component('libs/core/src/lib', 'core-banner', 'CoreBannerComponent', MISSING_ALT);
+
+  write('libs/legacy/project.json', { projectType: 'library', sourceRoot: 'libs/legacy/src' });
+  component('libs/legacy/src/lib', 'legacy-card', 'LegacyCardComponent', MISSING_ALT);
+}
+
+// Cleanup fixtures
+function cleanupFixtures() {
+  if (FIXTURE_DIR && fs.existsSync(FIXTURE_DIR)) {
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(c.green + '  ✓ ' + c.reset + name);
+    passed++;
+  } catch (err) {
+    console.log(c.red + '  ✗ ' + c.reset + name);
+    console.log(c.red + '    ' + err.message + c.reset);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${msg}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(condition, msg = '') {
+  if (!condition) {
+    throw new Error(msg || 'Expected true but got false');
+  }
+}
+
+function relative(files) {
+  return files.map(file => path.relative(FIXTURE_DIR, file).split(path.sep).join('/'));
+}
+
+function names(results) {
+  return results.components.map(comp => comp.name).sort();
+}
+
+// Project entries as [name, libraries, components scanned, issues]
+// (shop's global styles.scss is scanned like a component)
+function projectRows(results) {
+  return results.projects.map(project => [project.name, project.libraries, project.totalComponentsScanned, project.totalIssues]);
+}
+
+const EXPECTED_PROJECTS = [
+  ['admin', ['core'], 2, 1],
+  ['core', [], 1, 1],
+  ['libs-legacy', [], 1, 1],
+  ['shop', ['core', 'ui'], 4, 3],
+  ['ui', ['core'], 2, 2]
+];
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURE_DIR, encoding: 'utf-8', timeout: 60000 });
+}
+
+// Run tests
+async function runTests() {
+  console.log(c.bold + '\nWorkspace Tests\n' + c.reset);
+
+  setupFixtures();
+
+  try {
+    // Test 1: Nx projects
+    test('Nx projects are read from project.json files', () => {
+      const workspace = loadWorkspace(path.join(FIXTURE_DIR, 'apps', 'shop', 'src'));
+      assertEqual(workspace.root, FIXTURE_DIR);
+      assertEqual(workspace.type, 'nx');
+      assertEqual(workspace.errors, []);
+      assertEqual(workspace.projects.map(project => [project.name, project.type]), [
+        ['admin', 'application'], ['core', 'library'], ['libs-legacy', 'library'], ['shop', 'application'], ['ui', 'library']
+      ]);
+
+      const shop = workspace.projects.find(project => project.name === 'shop');
+      assertEqual(relative([shop.root, shop.sourceRoot]), ['apps/shop', 'apps/shop/src']);
+      assertEqual(relative(shop.styles), ['apps/shop/src/styles.scss', 'libs/styles/theme.scss']);
+      assertEqual(relative(shop.includePaths), ['libs/styles']);
+      assertEqual(workspace.projects.find(project => project.name === 'admin').implicitDependencies, ['core']);
+
+      assertEqual(findProject(workspace, path.join(FIXTURE_DIR, 'libs/ui/src/lib/button.component.ts')).name, 'ui');
+      assertEqual(findProject(workspace, path.join(FIXTURE_DIR, 'tools/script.ts')), null);
+      assertEqual(loadWorkspace(os.tmpdir()), null);
+    });
+
+    // Test 2: angular.json
+    test('angular.json projects are read, also pointing to project.json', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-workspace-cli-'));
+      try {
+        fs.writeFileSync(path.join(dir, 'angular.json'), JSON.stringify({
+          version: 1,
+          projects: {
+            app: {
+              projectType: 'application',
+              root: '',
+              sourceRoot: 'src',
+              architect: { build: { options: { styles: ['src/styles.scss'], stylePreprocessorOptions: { includePaths: ['src/styles'] } } } }
+            },
+            widgets: { projectType: 'library', root: 'projects/widgets', sourceRoot: 'projects/widgets/src' },
+            legacy: 'projects/legacy',
+            broken: 'projects/broken'
+          }
+        }));
+        fs.mkdirSync(path.join(dir, 'projects', 'legacy'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'projects', 'legacy', 'project.json'), JSON.stringify({ projectType: 'library' }));
+
+        const workspace = loadWorkspace(dir);
+        assertEqual(workspace.type, 'angular');
+        assertEqual(workspace.projects.map(project => [project.name, project.type, path.relative(dir, project.root)]), [
+          ['app', 'application', ''], ['legacy', 'library', path.join('projects', 'legacy')], ['widgets', 'library', path.join('projects', 'widgets')]
+        ]);
+        assertEqual(workspace.projects[0].includePaths, [path.join(dir, 'src', 'styles')]);
+        assertEqual(workspace.errors.length, 1, 'missing project.json is reported');
+        assertEqual(findProject(workspace, path.join(dir, 'projects/widgets/src/a.ts')).name, 'widgets', 'deepest root wins');
+        assertEqual(findProject(workspace, path.join(dir, 'src/app/a.ts')).name, 'app');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 3: Library consumption
+    test('libraries are attributed to their consumers, transitively', () => {
+      const workspace = resolveLibraries(loadWorkspace(FIXTURE_DIR));
+      assertEqual(workspace.projects.map(project => [project.name, project.libraries]), [
+        ['admin', ['core']], ['core', []], ['libs-legacy', []], ['shop', ['core', 'ui']], ['ui', ['core']]
+      ]);
+    });
+
+    // Test 4: SCSS include paths
+    test('the SCSS graph resolves @use against include paths', () => {
+      const tokens = path.join(FIXTURE_DIR, 'libs', 'styles', '_tokens.scss');
+      const graph = buildGraph(path.join(FIXTURE_DIR, 'apps', 'shop'));
+      assertEqual(graph.includePaths, [path.join(FIXTURE_DIR, 'libs', 'styles')]);
+      // (the graph stores lowercased paths)
+      assertEqual(graph.getImportedBy(tokens).sort(), [
+        'apps/shop/src/app/home/shop-home.component.scss', 'apps/shop/src/styles.scss'
+      ].map(file => path.join(FIXTURE_DIR, file).toLowerCase()).sort());
+
+      assertEqual(buildGraph(path.join(FIXTURE_DIR, 'apps', 'shop'), undefined, []).getImportedBy(tokens), [],
+        'unresolved without include paths');
+    });
+
+    // Test 5: --project
+    test('project scopes analysis to an app and the libraries it uses', () => {
+      const shop = analyzeByComponent(path.join(FIXTURE_DIR, 'apps', 'shop'), { tier: 'basic', project: 'shop' });
+      assertEqual(names(shop), ['ButtonComponent', 'CoreBannerComponent', 'ShopHomeComponent']);
+      assertEqual(shop.project, { name: 'shop', type: 'application', root: 'apps/shop', libraries: ['core', 'ui'] });
+      assertEqual(shop.projects, undefined);
+
+      const admin = analyzeByComponent(FIXTURE_DIR, { tier: 'basic', project: 'admin' });
+      assertEqual(admin.totalComponentsScanned, 2);
+      assertEqual(names(admin), ['CoreBannerComponent']);
+
+      const unknown = analyzeByComponent(FIXTURE_DIR, { tier: 'basic', project: 'blog' });
+      assertEqual(unknown.error, 'Unknown project "blog". Projects: admin, core, libs-legacy, shop, ui');
+
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'mat-a11y-no-workspace-'));
+      try {
+        assertEqual(analyzeByComponent(outside, { tier: 'basic', perProject: true }).error,
+          'No Angular workspace found (angular.json, or nx.json with project.json files).');
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    // Test 6: --per-project
+    test('per-project scores count libraries for every consumer', () => {
+      const results = analyzeByComponent(FIXTURE_DIR, { tier: 'basic', perProject: true });
+      assertEqual(projectRows(results), EXPECTED_PROJECTS);
+      assertEqual(results.totalComponentsScanned, 6, 'roll-up counts each component once');
+      assertEqual(results.totalIssues, 4);
+      assertEqual(results.projects.find(project => project.name === 'shop').components.sort(),
+        ['ButtonComponent', 'CoreBannerComponent', 'ShopHomeComponent']);
+
+      const table = formatProjectResults(results);
+      assertTrue(/shop\s+application\s+\d+\s+3\s+4\s+core, ui/.test(table), table);
+      assertTrue(table.includes('Roll-up: score ' + results.auditScore + ', 4 issues in 6 components'), table);
+      assertEqual(formatProjectResults(analyzeByComponent(FIXTURE_DIR, { tier: 'basic' })), '');
+
+      const scoped = analyzeByComponent(FIXTURE_DIR, { tier: 'basic', perProject: true, project: 'ui' });
+      assertEqual(projectRows(scoped), [['core', [], 1, 1], ['ui', ['core'], 2, 2]]);
+    });
+
+    // Test 7: Worker mode
+    await testAsync('per-project scores match in worker threads', async () => {
+      const results = await analyzeByComponentAsync(FIXTURE_DIR, { tier: 'basic', perProject: true, workers: 1 });
+      assertEqual(projectRows(results), EXPECTED_PROJECTS);
+      assertEqual(results.totalComponentsScanned, 6);
+
+      const shop = await analyzeByComponentAsync(FIXTURE_DIR, { tier: 'basic', project: 'shop', workers: 1 });
+      assertEqual(names(shop), ['ButtonComponent', 'CoreBannerComponent', 'ShopHomeComponent']);
+    });
+
+    // Test 8: CLI
+    test('the CLI scopes and reports workspace projects', () => {
+      const unknown = runCli(['.', '--headless', '--basic', '--project', 'blog']);
+      assertEqual(unknown.status, 2, unknown.stdout);
+      assertTrue(unknown.stderr.includes('Unknown project "blog"'), unknown.stderr);
+
+      const mixed = runCli(['.', '--headless', '--routes', '--per-project']);
+      assertEqual(mixed.status, 2);
+      assertTrue(mixed.stderr.includes('--project/--per-project only support component analysis'), mixed.stderr);
+
+      const run = runCli(['.', '--headless', '--basic', '--per-project', '--json', '-o', 'report.json']);
+      assertTrue(run.stdout.includes('PROJECTS:'), run.stdout + run.stderr);
+      const report = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'report.json'), 'utf-8'));
+      assertEqual(report.raw.projects.map(project => project.name), EXPECTED_PROJECTS.map(row => row[0]));
+    });
+  } finally {
+    cleanupFixtures();
+  }
+
+  // Summary
+  console.log('');
+  console.log(c.bold + 'Results: ' + c.reset +
+              c.green + passed + ' passed' + c.reset + ', ' +
+              (failed > 0 ? c.red : c.green) + failed + ' failed' + c.reset);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -3,7 +3,7 @@
 /**
  * Development Tests - Check Verification
  * 
- * Verifies that each of the 82 accessibility checks works correctly
+ * Verifies that each of the 90 accessibility checks works correctly
  * by testing against their verify.html/verify.scss files.
  * 
  * Each verify file contains:
@@ -32,7 +32,7 @@ function runTests() {
   console.log('\n' + c.bold + '========================================' + c.reset);
   console.log(c.bold + '  DEV TEST: CHECK VERIFICATION' + c.reset);
   console.log(c.bold + '========================================' + c.reset + '\n');
-  console.log(c.dim + 'Verifying all 82 checks work correctly against their verify files.' + c.reset + '\n');
+  console.log(c.dim + 'Verifying all 90 checks work correctly against their verify files.' + c.reset + '\n');
 
   const results = verifyByTier('full');
   const summary = getVerifySummary(results);
@@ -0,0 +1,119 @@
+/* @a11y-pass */
+import { Component, inject } from '@angular/core';
+import { LiveAnnouncer } from '@angular/cdk/a11y';
+
+// No LiveAnnouncer usage
+class PlainComponent {
+  save() {
+    console.log('saved');
+  }
+}
+
+class CartComponent {
+  constructor(private liveAnnouncer: LiveAnnouncer) {}
+
+  // Polite announcement of a routine update
+  addItem(name: string) {
+    this.liveAnnouncer.announce(`${name} added to cart`);
+  }
+
+  // Urgent announcement with a duration
+  showError() {
+    this.liveAnnouncer.announce('Payment failed', 'assertive', 5000);
+  }
+
+  // Messages from variables can't be checked, so they are trusted
+  announceStatus(message: string) {
+    this.liveAnnouncer.announce(message, 'polite');
+  }
+
+  // Clearing before the next message is fine
+  reset() {
+    this.liveAnnouncer.clear();
+    this.liveAnnouncer.announce('Cart emptied');
+  }
+}
+
+class SearchResultsComponent {
+  private announcer = inject(LiveAnnouncer);
+
+  // Clearing later, not right after announcing, is fine
+  showResults(count: number) {
+    this.announcer.announce(`${count} results found`);
+    this.results = this.loadResults();
+  }
+
+  ngOnDestroy() {
+    this.announcer.clear();
+  }
+}
+
+/* @a11y-fail */
+import { LiveAnnouncer } from '@angular/cdk/a11y';
+
+class EmptyAnnouncementComponent {
+  constructor(private liveAnnouncer: LiveAnnouncer) {}
+
+  // Nothing to announce
+  update() {
+    this.liveAnnouncer.announce('');
+  }
+
+  // Whitespace only
+  refresh() {
+    this.liveAnnouncer.announce('   ', 'polite');
+  }
+}
+
+class SilencedAnnouncementComponent {
+  constructor(private liveAnnouncer: LiveAnnouncer) {}
+
+  // 'off' disables the live region
+  saved() {
+    this.liveAnnouncer.announce('Changes saved', 'off');
+  }
+}
+
+class ClearedAnnouncementComponent {
+  private announcer = inject(LiveAnnouncer);
+
+  // Cleared before screen readers can read it
+  notify() {
+    this.announcer.announce('Upload complete');
+    this.announcer.clear();
+  }
+}
+
+// @a11y-false-positive
+import { LiveAnnouncer } from '@angular/cdk/a11y';
+
+// Re-announcing the same text: an empty announcement first is a known
+// workaround to make some screen readers repeat the message
+class RepeatAnnouncementComponent {
+  constructor(private liveAnnouncer: LiveAnnouncer) {}
+
+  repeat(message: string) {
+    this.liveAnnouncer.announce('');
+    setTimeout(() => this.liveAnnouncer.announce(message), 100);
+  }
+}
+
+// @a11y-false-negative
+import { LiveAnnouncer } from '@angular/cdk/a11y';
+
+class IndirectMisuseComponent {
+  constructor(private liveAnnouncer: LiveAnnouncer) {}
+
+  // Politeness 'off' from a variable
+  notify() {
+    const politeness = 'off';
+    this.liveAnnouncer.announce('Saved', politeness);
+  }
+
+  // Cleared right after an awaited chain on another line of logic
+  async notifyAndClear() {
+    this.liveAnnouncer.announce('Done');
+    this.count++;
+    this.liveAnnouncer.clear();
+  }
+}
@@ -0,0 +1,98 @@
+/* @a11y-pass */
+import { Component, Directive, HostListener } from '@angular/core';
+
+// Click and keyboard listeners on the host
+@Directive({
+  selector: '[appClickable]',
+  host: { role: 'button', tabindex: '0' }
+})
+export class ClickableDirective {
+  @HostListener('click')
+  @HostListener('keydown.enter')
+  @HostListener('keydown.space')
+  activate() {}
+}
+
+// Keyboard handling through host metadata
+@Component({
+  selector: 'app-card',
+  template: '<ng-content></ng-content>',
+  host: {
+    '(click)': 'open()',
+    '(keydown.enter)': 'open()',
+    tabindex: '0'
+  }
+})
+export class CardComponent {
+  open() {}
+}
+
+// Native buttons and links are keyboard operable
+@Directive({ selector: 'button[appConfirm], a[appConfirm]' })
+export class ConfirmDirective {
+  @HostListener('click', ['$event'])
+  onClick(event: MouseEvent) {}
+}
+
+// Document clicks (click-outside) are not host clicks
+@Directive({ selector: '[appClickOutside]' })
+export class ClickOutsideDirective {
+  @HostListener('document:click', ['$event.target'])
+  onDocumentClick(target: HTMLElement) {}
+}
+
+// Not a component or directive
+export class PlainClass {
+  @HostListener('click')
+  onClick() {}
+}
+
+/* @a11y-fail */
+import { Component, Directive, HostListener } from '@angular/core';
+
+// Click only on a generic host
+@Directive({ selector: '[appToggle]' })
+export class ToggleDirective {
+  @HostListener('click')
+  toggle() {}
+}
+
+// Click through host metadata on a component
+@Component({
+  selector: 'app-tile',
+  template: '<h3>{{ title }}</h3>',
+  host: { '(click)': 'select()' }
+})
+export class TileComponent {
+  select() {}
+}
+
+// Mixed selector: the attribute form can sit on a <div>
+@Directive({ selector: 'button[appTrack], [appTrack]' })
+export class TrackDirective {
+  @HostListener('click', ['$event'])
+  track(event: MouseEvent) {}
+}
+
+// @a11y-false-positive
+import { Directive, HostListener } from '@angular/core';
+
+// Keyboard handled by a child element, e.g. a <button> in the template
+@Directive({ selector: '[appExpand]' })
+export class ExpandDirective {
+  @HostListener('click')
+  expand() {}
+}
+
+// @a11y-false-negative
+import { Directive, HostListener } from '@angular/core';
+
+// A keyboard listener for the wrong keys still counts as keyboard support
+@Directive({ selector: '[appSelect]' })
+export class SelectDirective {
+  @HostListener('click')
+  select() {}
+
+  @HostListener('keydown.escape')
+  cancel() {}
+}
@@ -0,0 +1,128 @@
+/* @a11y-pass */
+import { Component, inject } from '@angular/core';
+import { MatDialog, MatDialogRef } from '@angular/material/dialog';
+
+// No MatDialog usage
+class PlainComponent {
+  open() {
+    window.open('/help');
+  }
+}
+
+class LabelledDialogComponent {
+  constructor(private dialog: MatDialog) {}
+
+  // Named by the heading inside the dialog
+  confirmDelete() {
+    this.dialog.open(ConfirmDialogComponent, { ariaLabelledBy: 'confirm-title' });
+  }
+
+  // Named by an explicit label
+  editProfile() {
+    this.dialog.open(ProfileDialogComponent, {
+      ariaLabel: 'Edit profile',
+      width: '480px'
+    });
+  }
+
+  // Focusing the dialog container instead of the first control is fine
+  showTerms() {
+    this.dialog.open(TermsDialogComponent, { ariaLabel: 'Terms of use', autoFocus: 'dialog' });
+  }
+}
+
+class InjectedDialogService {
+  private readonly dialog = inject(MatDialog);
+
+  // Config built elsewhere can't be checked, so it is trusted
+  open(component: ComponentType<unknown>) {
+    return this.dialog.open(component, this.defaultConfig);
+  }
+
+  // A spread may carry the label
+  openWithDefaults(component: ComponentType<unknown>) {
+    return this.dialog.open(component, { ...this.defaultConfig, width: '600px' });
+  }
+}
+
+class DialogRefComponent {
+  // MatDialogRef is not MatDialog
+  constructor(private ref: MatDialogRef<DialogRefComponent>) {}
+
+  close() {
+    this.ref.close();
+  }
+}
+
+/* @a11y-fail */
+import { Component, inject } from '@angular/core';
+import { MatDialog } from '@angular/material/dialog';
+
+class UnlabelledDialogComponent {
+  constructor(private dialog: MatDialog) {}
+
+  // No config at all
+  confirmDelete() {
+    this.dialog.open(ConfirmDialogComponent);
+  }
+
+  // Config without ariaLabel or ariaLabelledBy
+  editProfile() {
+    this.dialog.open(ProfileDialogComponent, { width: '480px' });
+  }
+
+  // Empty label
+  showHelp() {
+    this.dialog.open(HelpDialogComponent, { ariaLabel: '' });
+  }
+}
+
+class FocusDisabledDialogComponent {
+  private dialog = inject(MatDialog);
+
+  // Focus stays on the page behind the dialog
+  openFilters() {
+    this.dialog.open(FiltersDialogComponent, { ariaLabel: 'Filters', autoFocus: false });
+  }
+
+  // Focus is not returned to the trigger on close
+  openSettings() {
+    this.dialog.open(SettingsDialogComponent, { ariaLabel: 'Settings', restoreFocus: false });
+  }
+}
+
+// @a11y-false-positive
+import { MatDialog } from '@angular/material/dialog';
+
+// ConfirmDialogComponent's template (another file) has a mat-dialog-title,
+// which labels the dialog; only titles in this file are seen
+class TitledElsewhereComponent {
+  constructor(private dialog: MatDialog) {}
+
+  confirm() {
+    this.dialog.open(ConfirmDialogComponent);
+  }
+}
+
+// @a11y-false-negative
+import { MatDialog } from '@angular/material/dialog';
+
+class SpreadWithoutLabel {
+  constructor(private dialog: MatDialog) {}
+
+  // The spread config has no label either
+  open() {
+    const base = { width: '400px' };
+    this.dialog.open(InfoDialogComponent, { ...base });
+  }
+}
+
+class DisabledFocusInVariable {
+  constructor(private dialog: MatDialog) {}
+
+  // autoFocus: false hidden in a variable
+  open() {
+    const config = { ariaLabel: 'Info', autoFocus: false };
+    this.dialog.open(InfoDialogComponent, config);
+  }
+}
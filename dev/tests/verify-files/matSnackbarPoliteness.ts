@@ -0,0 +1,169 @@
+/* @a11y-pass */
+import { Component, inject } from '@angular/core';
+import { MatSnackBar } from '@angular/material/snack-bar';
+
+// No MatSnackBar usage - passes because no snackbar detected
+class PlainComponent {
+  showMessage() {
+    console.log('No snackbar here');
+  }
+}
+
+class PoliteSnackbarComponent {
+  constructor(private snackBar: MatSnackBar) {}
+
+  showMessage() {
+    // Properly configured with explicit politeness
+    this.snackBar.open('Item deleted', 'Undo', { politeness: 'polite' });
+  }
+
+  showAlert() {
+    // Urgent message with assertive politeness
+    this.snackBar.open('Error occurred!', 'Dismiss', { duration: 5000, politeness: 'assertive' });
+  }
+
+  // Commented-out calls are ignored:
+  // this.snackBar.open('Old message');
+}
+
+class ThemedSnackbarComponent {
+  private snackBar = inject(MatSnackBar);
+
+  // Dark mode themed snackbar with proper accessibility
+  showDarkModeNotification() {
+    this.snackBar.open('Dark mode enabled', 'OK', {
+      politeness: 'polite',
+      panelClass: ['dark-theme-snackbar']
+    });
+  }
+}
+
+class ResponsiveSnackbarComponent {
+  constructor(private readonly snackBar: MatSnackBar) {}
+
+  // Mobile-optimized snackbar with longer duration and proper politeness
+  showMobileNotification() {
+    this.snackBar.open('Action completed', 'Dismiss', {
+      duration: 8000,
+      politeness: 'polite',
+      horizontalPosition: 'center',
+      verticalPosition: 'bottom'
+    });
+  }
+}
+
+class ConfiguredSnackbarService {
+  constructor(private snackBar: MatSnackBar, private themeService: ThemeService) {}
+
+  // Config built elsewhere can't be checked, so it is trusted
+  showThemedNotification(message: string) {
+    const config = this.themeService.getSnackbarConfig();
+    this.snackBar.open(message, 'OK', config);
+  }
+
+  // A spread may carry politeness
+  showWithDefaults(message: string) {
+    this.snackBar.open(message, 'OK', { ...this.defaults, duration: 3000 });
+  }
+}
+
+/* @a11y-fail */
+import { MatSnackBar } from '@angular/material/snack-bar';
+
+class MissingConfigComponent {
+  constructor(private snackBar: MatSnackBar) {}
+
+  showMessage() {
+    this.snackBar.open('Item deleted', 'Undo');
+  }
+}
+
+class DarkModeSnackbarNoA11y {
+  constructor(private snackBar: MatSnackBar) {}
+
+  // Dark mode snackbar without politeness setting
+  showDarkModeAlert() {
+    this.snackBar.open('Theme changed', 'OK', {
+      panelClass: ['dark-snackbar'],
+      duration: 3000
+    });
+  }
+}
+
+class InjectedSnackbarNoA11y {
+  private snack = inject(MatSnackBar);
+
+  // Chained snackbars without proper politeness
+  showSequentialNotifications() {
+    this.snack.open('Step 1 complete', 'Next');
+    setTimeout(() => {
+      this.snack.open('Step 2 complete', 'Next');
+    }, 2000);
+  }
+}
+
+class SilencedSnackbar {
+  constructor(private snackBar: MatSnackBar) {}
+
+  showMessage() {
+    // politeness 'off' disables announcements
+    this.snackBar.open('Important message', 'OK', { politeness: 'off' });
+    // Empty string politeness value
+    this.snackBar.open('Notification', 'Dismiss', { politeness: '' });
+  }
+}
+
+// @a11y-false-positive
+import { MatSnackBar } from '@angular/material/snack-bar';
+
+// Module with default politeness configured via provider: calls without
+// politeness are still reported
+@NgModule({
+  providers: [
+    { provide: MAT_SNACK_BAR_DEFAULT_OPTIONS, useValue: { politeness: 'polite' } }
+  ]
+})
+class AppModule {}
+
+class DefaultsSnackbarService {
+  constructor(private snackBar: MatSnackBar) {}
+
+  show(message: string) {
+    this.snackBar.open(message, 'OK');
+  }
+}
+
+// @a11y-false-negative
+import { MatSnackBar } from '@angular/material/snack-bar';
+
+class SpreadWithoutPoliteness {
+  constructor(private snackBar: MatSnackBar) {}
+
+  showMessage() {
+    // Spread operator that does not include politeness
+    const baseConfig = { duration: 5000 };
+    this.snackBar.open('Warning', 'OK', { ...baseConfig });
+  }
+}
+
+class MobileOnlyPoliteness {
+  constructor(private snackBar: MatSnackBar, private platform: Platform) {}
+
+  showMessage() {
+    // Only sets politeness on mobile, desktop users get no announcement
+    const config = this.platform.isMobile
+      ? { politeness: 'polite' as const }
+      : { duration: 3000 };
+    this.snackBar.open('Notification', 'OK', config);
+  }
+}
+
+class OverlappingSnackbars {
+  constructor(private snackBar: MatSnackBar) {}
+
+  showRapidNotifications() {
+    // Multiple snackbars that replace each other before they are announced
+    this.snackBar.open('First message', 'OK', { politeness: 'polite' });
+    this.snackBar.open('Second message', 'OK', { politeness: 'polite' });
+  }
+}
@@ -62,7 +62,6 @@ function hashResults(results) {
 /**
  * Normalize results for comparison.
  * Remove timing info, sort arrays for consistent ordering.
- * Normalize inline file naming differences.
  */
 function normalizeResults(results) {
   // Deep clone to avoid mutation
@@ -76,19 +75,10 @@ function normalizeResults(results) {
   if (normalized.components && Array.isArray(normalized.components)) {
     normalized.components.sort((a, b) => (a.className || '').localeCompare(b.className || ''));
 
-    // Sort issues within each component and normalize file paths
+    // Sort issues within each component (inline template/styles issues
+    // are reported against the .ts file in both modes)
     for (const comp of normalized.components) {
       if (comp.issues && Array.isArray(comp.issues)) {
-        // Normalize inline file names
-        for (const issue of comp.issues) {
-          if (issue.file) {
-            // Normalize inline template naming: "ClassName (inline template)" -> "ClassName-inline.html"
-            // and "ClassName (inline styles)" -> "ClassName-inline.scss"
-            issue.file = issue.file
-              .replace(/\s*\(inline template\)$/, '-inline.html')
-              .replace(/\s*\(inline styles\)$/, '-inline.scss');
-          }
-        }
         // Sort issues by stringified content
         comp.issues.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
       }
@@ -171,7 +171,7 @@ function verifyAllStructures(verifyFilesDir) {
   }
 
   const verifyFiles = fs.readdirSync(verifyFilesDir)
-    .filter(f => f.endsWith('.html') || f.endsWith('.scss'));
+    .filter(f => f.endsWith('.html') || f.endsWith('.scss') || f.endsWith('.ts'));
 
   for (const fileName of verifyFiles) {
     const checkName = path.basename(fileName, path.extname(fileName));
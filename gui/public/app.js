@@ -52,6 +52,9 @@
   let currentResults = null;
   let tierInfo = null;
   let progressInterval = null;
+  let watchAvailable = false; // Server was started with --watch
+  let watchSource = null;     // EventSource for live updates of the current scan
+  let historySnapshots = [];  // Recorded scans of the current mode (trend chart)
 
   // ==========================================================================
   // DOM Elements
@@ -70,6 +73,7 @@
     sitemapOptions: document.getElementById('sitemap-options'),
     deepResolve: document.getElementById('deep-resolve'),
     collapseRootCause: document.getElementById('collapse-root-cause'),
+    recordHistory: document.getElementById('record-history'),
     workerMode: document.getElementById('worker-mode'),
     singleCheck: document.getElementById('single-check'),
     severityFilter: document.getElementById('severity-filter'),
@@ -110,6 +114,10 @@
     statHigh: document.getElementById('stat-high'),
     statMedium: document.getElementById('stat-medium'),
     // Export search
+    historySection: document.getElementById('history-section'),
+    historySeries: document.getElementById('history-series'),
+    historyChart: document.getElementById('history-chart'),
+    historySummary: document.getElementById('history-summary'),
     exportSearch: document.getElementById('export-search'),
     exportNoResults: document.getElementById('export-no-results'),
     exportGroups: document.querySelectorAll('.export-group'),
@@ -161,6 +169,7 @@
   async function loadCurrentDirectory() {
     try {
       const data = await fetchJSON('/api/cwd');
+      watchAvailable = Boolean(data.watch);
       if (data.cwd) {
         elements.currentPathDisplay.textContent = `Current: ${data.cwd}`;
       }
@@ -296,6 +305,7 @@
       analysisMode: document.querySelector('input[name="analysis-mode"]:checked')?.value,
       deepResolve: elements.deepResolve?.checked,
       collapseRootCause: elements.collapseRootCause?.checked,
+      recordHistory: elements.recordHistory?.checked,
       workerMode: elements.workerMode?.value,
       singleCheck: elements.singleCheck?.value
     };
@@ -332,7 +342,7 @@
           modeRadio.checked = true;
           // Show/hide sitemap options
           if (elements.sitemapOptions) {
-            elements.sitemapOptions.hidden = settings.analysisMode !== 'sitemap';
+            elements.sitemapOptions.hidden = settings.analysisMode !== 'sitemap' && settings.analysisMode !== 'routes';
           }
         }
       }
@@ -344,6 +354,9 @@
       if (elements.collapseRootCause && settings.collapseRootCause !== undefined) {
         elements.collapseRootCause.checked = settings.collapseRootCause;
       }
+      if (elements.recordHistory && settings.recordHistory !== undefined) {
+        elements.recordHistory.checked = settings.recordHistory;
+      }
 
       // Restore selects
       if (elements.workerMode && settings.workerMode) {
@@ -541,11 +554,11 @@
       announceToScreenReader(isExpert ? 'Expert mode enabled' : 'Expert mode disabled');
     });
 
-    // Analysis mode toggle - show/hide sitemap options
+    // Analysis mode toggle - show/hide page options (sitemap and routes)
     elements.analysisModeRadios.forEach(radio => {
       radio.addEventListener('change', (e) => {
-        const isSitemap = e.target.value === 'sitemap';
-        elements.sitemapOptions.hidden = !isSitemap;
+        const isPageMode = e.target.value === 'sitemap' || e.target.value === 'routes';
+        elements.sitemapOptions.hidden = !isPageMode;
         updateCliPreview();
       });
     });
@@ -558,7 +571,8 @@
       elements.singleCheck,
       elements.severityFilter,
       elements.deepResolve,
-      elements.collapseRootCause
+      elements.collapseRootCause,
+      elements.recordHistory
     ];
 
     optionInputs.forEach(el => {
@@ -597,8 +611,8 @@
     // Analysis mode (expert only)
     if (elements.expertToggle?.checked) {
       const analysisMode = document.querySelector('input[name="analysis-mode"]:checked')?.value;
-      if (analysisMode === 'sitemap') {
-        parts.push('--sitemap');
+      if (analysisMode === 'sitemap' || analysisMode === 'routes') {
+        parts.push(analysisMode === 'routes' ? '--routes' : '--sitemap');
         if (elements.deepResolve?.checked) {
           parts.push('--deep');
         }
@@ -629,6 +643,11 @@
         parts.push('--no-collapse');
       }
 
+      // Scan history
+      if (elements.recordHistory?.checked) {
+        parts.push('--history');
+      }
+
       // Severity filter
       const severity = elements.severityFilter?.value;
       if (severity) {
@@ -754,8 +773,8 @@
         options.analysisMode = analysisMode;
       }
 
-      // Sitemap options (only if sitemap mode)
-      if (analysisMode === 'sitemap' && elements.deepResolve.checked) {
+      // Page options (only in sitemap and route mode)
+      if ((analysisMode === 'sitemap' || analysisMode === 'routes') && elements.deepResolve.checked) {
         options.deep = true;
       }
 
@@ -770,6 +789,11 @@
         options.workers = workerMode;
       }
 
+      // Scan history
+      if (elements.recordHistory?.checked) {
+        options.history = true;
+      }
+
       // Single check
       const singleCheck = elements.singleCheck.value;
       if (singleCheck) {
@@ -785,6 +809,7 @@
 
     // Save settings before scanning
     saveSettings();
+    stopWatching();
 
     showPanel('progress');
     startProgressAnimation();
@@ -804,6 +829,8 @@
       currentResults.scanTime = Date.now() - scanStartTime;
       renderResults(results);
       showPanel('results');
+      startWatching(options);
+      loadHistory(options);
     } catch (err) {
       await stopProgressAnimation();
       elements.errorMessage.textContent = err.message || 'An error occurred while scanning.';
@@ -813,6 +840,37 @@
     }
   }
 
+  // ==========================================================================
+  // Watch Mode
+  // ==========================================================================
+
+  // With --watch, the server re-analyzes changed components and pushes the
+  // new results (component analysis only)
+  function startWatching(options) {
+    if (IS_DEMO || !watchAvailable || typeof EventSource === 'undefined') return;
+    if (options.analysisMode && options.analysisMode !== 'component') return;
+
+    const params = new URLSearchParams({ tier: options.tier });
+    if (options.path) params.set('path', options.path);
+    (options.ignore || []).forEach(pattern => params.append('ignore', pattern));
+    if (options.noCollapse) params.set('noCollapse', 'true');
+
+    watchSource = new EventSource('/api/watch?' + params.toString());
+    watchSource.addEventListener('update', (event) => {
+      const update = JSON.parse(event.data);
+      currentResults = update.results;
+      renderResults(update.results);
+      announceToScreenReader(`Results updated: ${update.added} new, ${update.resolved} resolved issues.`);
+    });
+  }
+
+  function stopWatching() {
+    if (watchSource) {
+      watchSource.close();
+      watchSource = null;
+    }
+  }
+
   // ==========================================================================
   // Results Rendering
   // ==========================================================================
@@ -849,9 +907,9 @@
 
   function updateScanStats(results) {
     const totalIssues = results.totalIssues || 0;
-    const componentCount = results.componentCount || results.components?.length || 0;
+    const componentCount = results.componentCount || results.components?.length || results.routeCount || 0;
     const fileCount = results.filesScanned || results.totalComponentsScanned || componentCount;
-    const score = results.auditScore || null;
+    const score = results.auditScore || results.siteAverage || null;
 
     // Simple mode stats
     if (elements.statIssuesSimple) {
@@ -892,7 +950,7 @@
 
     // Checks run
     if (elements.statChecks) {
-      const checksRun = results.checksRun || results.audits?.length || 82;
+      const checksRun = results.checksRun || results.audits?.length || 90;
       elements.statChecks.textContent = checksRun;
     }
 
@@ -927,6 +985,129 @@
     if (elements.componentsCount) elements.componentsCount.textContent = componentCount;
   }
 
+  // ==========================================================================
+  // Scan History (Trend Chart)
+  // ==========================================================================
+
+  // Scans recorded with --history (or the "Record in scan history" option)
+  // for the scanned project; only scans of the same analysis mode are compared
+  async function loadHistory(options) {
+    if (IS_DEMO || !elements.historySection) return;
+
+    try {
+      const params = new URLSearchParams();
+      if (options.path) params.set('path', options.path);
+      const data = await fetchJSON('/api/history?' + params.toString());
+      const mode = options.analysisMode || 'component';
+      historySnapshots = (data.snapshots || []).filter(snapshot => snapshot.mode === mode);
+    } catch (err) {
+      historySnapshots = [];
+    }
+
+    elements.historySection.hidden = historySnapshots.length === 0;
+    if (historySnapshots.length === 0) return;
+
+    populateHistorySeries();
+    renderHistoryChart();
+  }
+
+  function populateHistorySeries() {
+    const latest = historySnapshots[historySnapshots.length - 1];
+    const selected = elements.historySeries.value;
+    const toOptions = (prefix, names) => names
+      .map(name => `<option value="${prefix}:${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join('');
+
+    const components = Object.keys(latest.components || {}).sort();
+    const checks = Object.keys(latest.checks || {}).sort();
+    let html = '<option value="">Overall</option>';
+    if (components.length > 0) html += `<optgroup label="Components and pages">${toOptions('component', components)}</optgroup>`;
+    if (checks.length > 0) html += `<optgroup label="Checks">${toOptions('check', checks)}</optgroup>`;
+    elements.historySeries.innerHTML = html;
+
+    if (Array.from(elements.historySeries.options).some(option => option.value === selected)) {
+      elements.historySeries.value = selected;
+    }
+  }
+
+  function getHistoryPoint(snapshot, series) {
+    if (series.startsWith('component:')) {
+      const entry = (snapshot.components || {})[series.slice('component:'.length)];
+      return { score: entry ? entry.auditScore : null, issues: entry ? entry.issues : 0 };
+    }
+    if (series.startsWith('check:')) {
+      return { score: null, issues: (snapshot.checks || {})[series.slice('check:'.length)] || 0 };
+    }
+    return { score: snapshot.auditScore, issues: snapshot.issues };
+  }
+
+  // Score (0-100) and issue count (scaled to the largest count) per scan, last 30 scans
+  function renderHistoryChart() {
+    const series = elements.historySeries.value;
+    const label = elements.historySeries.selectedOptions[0]?.textContent || 'Overall';
+    const snapshots = historySnapshots.slice(-30);
+    const points = snapshots.map(snapshot => getHistoryPoint(snapshot, series));
+
+    const width = 600;
+    const height = 200;
+    const pad = 20;
+    const maxIssues = Math.max(1, ...points.map(point => point.issues));
+    const x = (i) => snapshots.length === 1 ? width / 2 : pad + i * (width - 2 * pad) / (snapshots.length - 1);
+    const yScore = (value) => height - pad - (value / 100) * (height - 2 * pad);
+    const yIssues = (value) => height - pad - (value / maxIssues) * (height - 2 * pad);
+
+    const scorePoints = points
+      .map((point, i) => typeof point.score === 'number' ? [x(i), yScore(point.score)] : null)
+      .filter(Boolean);
+    const issuePoints = points.map((point, i) => [x(i), yIssues(point.issues)]);
+    const polyline = (coords, cls) => coords.length > 1
+      ? `<polyline class="${cls}" points="${coords.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ')}"></polyline>`
+      : '';
+    const dots = (coords, cls) => coords
+      .map(([px, py]) => `<circle class="${cls}" cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="3"></circle>`)
+      .join('');
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const scoreText = typeof first.score === 'number' && typeof last.score === 'number'
+      ? `score ${first.score} to ${last.score}, `
+      : '';
+    const summary = `${label}: ${scoreText}issues ${first.issues} to ${last.issues} over ${snapshots.length} scan${snapshots.length === 1 ? '' : 's'}`;
+
+    const rows = snapshots.map((snapshot, i) => `<tr>
+          <td>${escapeHtml(new Date(snapshot.timestamp).toLocaleString())}</td>
+          <td>${escapeHtml(snapshot.commit || '-')}</td>
+          <td>${typeof points[i].score === 'number' ? points[i].score : '-'}</td>
+          <td>${points[i].issues}</td>
+        </tr>`).join('');
+
+    elements.historyChart.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(summary)}">
+        <line class="history-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"></line>
+        ${polyline(scorePoints, 'history-line-score')}
+        ${polyline(issuePoints, 'history-line-issues')}
+        ${dots(scorePoints, 'history-point-score')}
+        ${dots(issuePoints, 'history-point-issues')}
+      </svg>
+      <p class="history-legend">
+        ${scorePoints.length > 0 ? '<span class="history-key-score">Score (0-100)</span>' : ''}
+        <span class="history-key-issues">Issues (0-${maxIssues})</span>
+      </p>
+      <details class="history-data">
+        <summary>Show data</summary>
+        <table>
+          <thead><tr><th scope="col">Date</th><th scope="col">Commit</th><th scope="col">Score</th><th scope="col">Issues</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>`;
+    elements.historySummary.textContent = summary;
+  }
+
+  function initHistory() {
+    if (!elements.historySeries) return;
+    elements.historySeries.addEventListener('change', renderHistoryChart);
+  }
+
   // ==========================================================================
   // Export Functions
   // ==========================================================================
@@ -1613,6 +1794,7 @@
     initExpertMode();
     initScanForm();
     initExport();
+    initHistory();
     initPreview();
     initKeyboardNav();
     initCliCopy();
@@ -40,15 +40,23 @@ function cleanupOldPreviews() {
 // Import mat-a11y core
 const { analyzeByComponent } = require('../src/core/componentAnalyzer');
 const { analyzeBySitemap } = require('../src/core/sitemapAnalyzer');
+const { analyzeByRoute } = require('../src/core/routeAnalyzer');
 const { analyze } = require('../src/index');
 const { loadAllChecks } = require('../src/core/loader');
 const { loadAllFormatters } = require('../src/formatters/index');
 const { TIERS, DEFAULT_CONFIG } = require('../src/index');
 const { optimizeIssues } = require('../src/core/issueOptimizer');
+const { loadConfig } = require('../src/core/config');
+const { loadProjectPlugins } = require('../src/core/plugins');
+const { WatchSession } = require('../src/core/watcher');
+const { HISTORY_FILE, recordSnapshot, readHistory } = require('../src/core/history');
 
 const DEFAULT_PORT = 3847;
 const PUBLIC_DIR = path.join(__dirname, 'public');
 
+// Watch mode (--watch): the dashboard subscribes to /api/watch for live updates
+let watchEnabled = false;
+
 // MIME types
 const MIME_TYPES = {
   '.html': 'text/html; charset=utf-8',
@@ -106,6 +114,12 @@ const PLAIN_LANGUAGE = {
     fix: 'Add visible focus styles (outline, border change, or highlight) to all interactive elements.',
     impact: 'high'
   },
+  nonTextContrast: {
+    title: 'Focus rings and field outlines hard to see',
+    description: 'Some focus rings, input borders or form-field outlines barely stand out from the background. Keyboard and low-vision users can\'t tell where they are or where to type.',
+    fix: 'Use darker outlines on light backgrounds, or lighter outlines on dark backgrounds. Aim for 3:1 contrast ratio.',
+    impact: 'high'
+  },
   clickWithoutKeyboard: {
     title: 'Mouse-only interactions',
     description: 'Some actions only work with a mouse click. Keyboard users can\'t activate them.',
@@ -144,8 +158,32 @@ const PLAIN_LANGUAGE = {
   },
   touchTargets: {
     title: 'Touch targets too small',
-    description: 'Some buttons and links are smaller than 44x44 pixels. Hard to tap on mobile devices.',
-    fix: 'Make clickable areas at least 44x44 pixels.',
+    description: 'Some buttons and links are smaller than 24x24 pixels and too close together. Hard to tap on mobile devices.',
+    fix: 'Make clickable areas at least 24x24 pixels (44x44 is better), or leave space around small ones.',
+    impact: 'medium'
+  },
+  focusNotObscured: {
+    title: 'Sticky header hides keyboard focus',
+    description: 'A header stays on screen while scrolling. Elements reached with Tab can scroll underneath it, so keyboard users lose track of focus.',
+    fix: 'Add scroll-padding-top (the header\'s height) to the html element.',
+    impact: 'medium'
+  },
+  cdkDragAlternative: {
+    title: 'Drag and drop only',
+    description: 'Some lists can only be reordered by dragging. People who can\'t hold and drag a pointer can\'t change the order.',
+    fix: 'Add move up/down buttons or arrow-key handling next to drag and drop.',
+    impact: 'high'
+  },
+  accessibleAuthentication: {
+    title: 'Password managers blocked',
+    description: 'Some password fields turn off autofill or block pasting. Users who rely on password managers can\'t log in easily.',
+    fix: 'Remove autocomplete="off" and paste blocking from password fields; use autocomplete="current-password" or "new-password".',
+    impact: 'high'
+  },
+  redundantEntry: {
+    title: 'Personal details must be typed again',
+    description: 'Some email, phone or address fields turn off autofill or block pasting. Users have to re-type information the browser already knows.',
+    fix: 'Remove autocomplete="off" and paste blocking, and use autocomplete tokens like "email" or "tel".',
     impact: 'medium'
   },
   uniqueIds: {
@@ -250,14 +288,22 @@ function getTierInfo() {
     basic: { id: 'basic', name: 'Quick Scan', description: 'Essential checks for common issues. Fast and recommended for regular testing.', checkCount: count(TIERS.basic), recommended: true },
     material: { id: 'material', name: 'Material Components', description: 'Checks specific to Angular Material components.', checkCount: TIERS.material.material.length, recommended: false },
     angular: { id: 'angular', name: 'Angular Templates', description: 'Angular-specific accessibility patterns.', checkCount: TIERS.angular.angular.length + TIERS.angular.cdk.length, recommended: false },
-    full: { id: 'full', name: 'Complete Audit', description: 'All 82 checks for a thorough accessibility review.', checkCount: count(TIERS.full), recommended: false }
+    full: { id: 'full', name: 'Complete Audit', description: 'All 90 checks for a thorough accessibility review.', checkCount: count(TIERS.full), recommended: false }
   };
 }
 
-async function runScan(targetPath, options = {}) {
-  const tier = options.tier || 'full';
-  const ignore = [...DEFAULT_CONFIG.ignore, ...(options.ignore || [])];
+function resolveScanOptions(targetPath, options = {}) {
+  // Project config (.mat-a11yrc etc.) fills in whatever the request leaves out
+  const { config, filePath: configFile, errors: configErrors } = options.noConfig
+    ? { config: {}, filePath: null, errors: [] }
+    : loadConfig(targetPath, { configFile: options.configFile });
+  for (const error of configErrors) console.warn(`[config] ${error}`);
+
+  const tier = options.tier || config.tier || 'full';
+  const ignore = [...DEFAULT_CONFIG.ignore, ...(config.ignore || []), ...(options.ignore || [])];
   const analysisMode = options.analysisMode || 'component';
+  // An "i18n" object keeps its settings when the request only turns the checks on
+  const i18n = config.i18n && (!options.i18n || typeof config.i18n === 'object') ? config.i18n : options.i18n;
 
   // Build scan options
   const scanOptions = {
@@ -267,10 +313,45 @@ async function runScan(targetPath, options = {}) {
     workers: options.workers === 'auto' ? 'auto' : (parseInt(options.workers) || undefined),
     // Single check mode
     singleCheck: options.singleCheck || undefined,
-    // Deep resolve for sitemap mode
-    deep: options.deep || false
+    // Deep resolve for sitemap and route mode
+    deepResolve: options.deep || false,
+    // Check selection and scoring overrides (config already resolved above)
+    config: false,
+    enable: options.enable || config.enable,
+    disable: options.disable || config.disable,
+    wcagLevel: options.wcagLevel || config.wcagLevel,
+    weights: options.weights || config.weights,
+    severity: options.severity || config.severity,
+    // Custom checks and component mappings, as in CLI scans
+    plugins: config.plugins,
+    components: config.components,
+    deriveComponents: config.deriveComponents,
+    // Without a config file, translations are looked up from the scanned path
+    i18n: i18n === true && !configFile ? { root: targetPath } : (i18n || undefined),
+    configFile: configFile || undefined
+  };
+
+  // Apply SCSS root cause collapse unless disabled
+  const collapseEnabled = !options.noCollapse && config.collapseRootCause !== false;
+
+  // Scan history: recorded when requested or enabled in the config
+  const history = {
+    record: Boolean(options.history || config.history),
+    file: typeof config.history === 'string' ? config.history : path.join(targetPath, HISTORY_FILE)
   };
 
+  return { scanOptions, analysisMode, configFile, collapseEnabled, history };
+}
+
+async function runScan(targetPath, options = {}) {
+  const { scanOptions, analysisMode, configFile, collapseEnabled, history } = resolveScanOptions(targetPath, options);
+
+  // A plugin that doesn't load would silently drop its checks (the CLI exits with 2)
+  const pluginErrors = scanOptions.plugins
+    ? loadProjectPlugins({ plugins: scanOptions.plugins, configFile }).errors
+    : [];
+  if (pluginErrors.length > 0) return { error: pluginErrors.map(error => `[plugins] ${error}`).join('\n') };
+
   try {
     let results;
 
@@ -280,6 +361,10 @@ async function runScan(targetPath, options = {}) {
         results = await analyzeBySitemap(targetPath, scanOptions);
         break;
 
+      case 'routes':
+        results = analyzeByRoute(targetPath, scanOptions);
+        break;
+
       case 'file-based':
         // File-based uses the generic analyze function
         results = analyze(targetPath, scanOptions);
@@ -293,20 +378,32 @@ async function runScan(targetPath, options = {}) {
 
     if (results.error) return { error: results.error };
 
-    // Apply SCSS root cause collapse unless disabled
-    const collapseEnabled = !options.noCollapse;
+    // Snapshot the full results (before root cause collapse) for the trend chart
+    if (history.record) {
+      results = { ...results, history: recordSnapshot(results, { projectDir: targetPath, file: history.file }) };
+    }
+
     const optimized = optimizeIssues(results, targetPath, { enabled: collapseEnabled });
-    return enhanceResults(optimized);
+    return enhanceResults({ ...optimized, configFile });
   } catch (err) {
     return { error: err.message };
   }
 }
 
+// Recorded scans of a project for the trend chart (fingerprints left out)
+function loadHistory(targetPath, options = {}) {
+  const { history } = resolveScanOptions(targetPath, options);
+  const snapshots = readHistory(history.file).map(({ fingerprints, ...snapshot }) => snapshot);
+  return { file: history.file, snapshots };
+}
+
 function enhanceResults(results) {
-  if (!results.components) return results;
+  // Components, or the routes of route-based analysis
+  const entities = results.components || results.routes;
+  if (!entities) return results;
 
   const issuesByCheck = new Map();
-  for (const comp of results.components) {
+  for (const comp of entities) {
     for (const issue of (comp.issues || [])) {
       const check = issue.check || 'unknown';
       if (!issuesByCheck.has(check)) {
@@ -314,7 +411,7 @@ function enhanceResults(results) {
       }
       const entry = issuesByCheck.get(check);
       entry.count++;
-      entry.components.add(comp.name || comp.label);
+      entry.components.add(comp.name || comp.label || comp.path);
     }
   }
 
@@ -329,6 +426,53 @@ function enhanceResults(results) {
   return { ...results, issueSummary };
 }
 
+// Server-sent events: re-analyze changed components and push the results.
+// One watch session per connection, closed when the dashboard disconnects.
+function handleWatch(req, res) {
+  if (!watchEnabled) {
+    res.writeHead(404);
+    res.end(JSON.stringify({ error: 'Watch mode is off (start mat-a11y with --watch)' }));
+    return;
+  }
+
+  const query = url.parse(req.url, true).query;
+  const targetPath = query.path || process.cwd();
+  const { scanOptions, configFile, collapseEnabled } = resolveScanOptions(targetPath, {
+    tier: query.tier,
+    ignore: query.ignore ? [].concat(query.ignore) : [],
+    noCollapse: query.noCollapse === 'true'
+  });
+
+  const session = new WatchSession(targetPath, scanOptions);
+  const initial = session.analyze();
+  if (initial.error) {
+    res.writeHead(400);
+    res.end(JSON.stringify({ error: initial.error }));
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': watching\n\n');
+
+  session.watch((update) => {
+    const optimized = optimizeIssues(update.results, targetPath, { enabled: collapseEnabled, graph: session.graph });
+    const data = {
+      results: enhanceResults({ ...optimized, configFile }),
+      files: update.files.map(file => path.relative(session.projectDir, file).split(path.sep).join('/')),
+      components: update.components,
+      added: update.added.length,
+      resolved: update.resolved.length
+    };
+    res.write(`event: update\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  req.on('close', () => session.close());
+}
+
 function serveStatic(req, res) {
   let filePath = path.join(PUBLIC_DIR, req.url === '/' ? 'index.html' : req.url);
   const ext = path.extname(filePath);
@@ -377,6 +521,12 @@ async function handleAPI(req, res, pathname) {
       return;
     }
 
+    if (pathname === '/api/history' && req.method === 'GET') {
+      const query = url.parse(req.url, true).query;
+      res.end(JSON.stringify(loadHistory(query.path || process.cwd())));
+      return;
+    }
+
     if (pathname === '/api/formatters' && req.method === 'GET') {
       const formatters = loadAllFormatters();
       const list = [];
@@ -405,8 +555,13 @@ async function handleAPI(req, res, pathname) {
       return;
     }
 
+    if (pathname === '/api/watch' && req.method === 'GET') {
+      handleWatch(req, res);
+      return;
+    }
+
     if (pathname === '/api/cwd' && req.method === 'GET') {
-      res.end(JSON.stringify({ cwd: process.cwd() }));
+      res.end(JSON.stringify({ cwd: process.cwd(), watch: watchEnabled }));
       return;
     }
 
@@ -499,6 +654,7 @@ function openBrowser(url) {
 
 function start(options = {}) {
   const port = options.port || DEFAULT_PORT;
+  watchEnabled = Boolean(options.watch);
   const server = http.createServer(handleRequest);
 
   server.listen(port, () => {
@@ -507,7 +663,7 @@ function start(options = {}) {
   mat-a11y Accessibility Dashboard
   ================================
 
-  Dashboard: ${url}
+  Dashboard: ${url}${watchEnabled ? '\n  Watching for file changes' : ''}
 
   Press Ctrl+C to stop
 `);
@@ -532,4 +688,4 @@ if (require.main === module) {
   start();
 }
 
-module.exports = { start, runScan, getAllChecks, getTierInfo, getPlainLanguage, enhanceResults };
+module.exports = { start, runScan, loadHistory, getAllChecks, getTierInfo, getPlainLanguage, enhanceResults };
@@ -0,0 +1,49 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements } = require('../core/templateParser');
+const { isPasswordInput, getAutofillOffReason, blocksPaste } = require('../core/formAutofill');
+
+module.exports = {
+  name: 'accessibleAuthentication',
+  description: 'Password fields allow password managers and pasting (WCAG 3.3.8)',
+  tier: 'full',
+  type: 'html',
+  weight: 7,
+  wcag: '3.3.8',
+
+  check(content, context) {
+    // Early exit: no relevant elements, no issues
+    if (!/password|one-time-code/i.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const template = getTemplate(content, context);
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    for (const input of findElements(template, isPasswordInput)) {
+      elementsFound++;
+
+      // Password managers and pasting are the "mechanism" 3.3.8 accepts in
+      // place of recalling the password; either one being blocked fails
+      const reasons = [getAutofillOffReason(input), blocksPaste(input) ? 'paste blocked' : null]
+        .filter(Boolean);
+      if (reasons.length === 0) continue;
+
+      const startTag = content.slice(input.start, input.startTagEnd);
+      issues.push(createIssue('FORM_AUTH_COGNITIVE_TEST', {
+        element: startTag,
+        reason: reasons.join(', ')
+      }));
+      locations.push(getLocation(content, input.start, startTag.length));
+    }
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'accesskeyUnique',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const accesskeyRegex = /accesskey=["']([^"']+)["']/gi;
     const keys = [];
@@ -22,20 +24,24 @@ module.exports = {
 
     while ((match = accesskeyRegex.exec(content)) !== null) {
       elementsFound++;
-      keys.push(match[1].toLowerCase());
+      keys.push({ key: match[1].toLowerCase(), index: match.index, length: match[0].length });
     }
 
     const counts = {};
-    for (const key of keys) {
+    const duplicates = {};
+    for (const { key, index, length } of keys) {
       counts[key] = (counts[key] || 0) + 1;
+      // Report at the first repeated use of the key
+      if (counts[key] === 2) duplicates[key] = { index, length };
     }
 
     for (const [key, count] of Object.entries(counts)) {
       if (count > 1) {
-        issues.push(format('ACCESSKEY_DUPLICATE', { key, element: `accesskey="${key}" (${count} occurrences)` }));
+        issues.push(createIssue('ACCESSKEY_DUPLICATE', { key, element: `accesskey="${key}" (${count} occurrences)` }));
+        locations.push(getLocation(content, duplicates[key].index, duplicates[key].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // ARIA attributes that accept only true/false
 const ARIA_BOOLEAN_ATTRS = [
@@ -14,6 +15,7 @@ module.exports = {
   description: 'ARIA attributes have valid values',
   tier: 'basic',
   type: 'html',
+  pageLevel: true,
   weight: 10,
   wcag: '4.1.2',
 
@@ -24,6 +26,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const ariaRegex = /aria-([a-z]+)=["']([^"']*)["']/gi;
     let match;
@@ -39,49 +42,57 @@ module.exports = {
       // Boolean attributes
       if (ARIA_BOOLEAN_ATTRS.includes(attr)) {
         if (!['true', 'false'].includes(value)) {
-          issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+          issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+          locations.push(getLocation(content, match.index, match[0].length));
         }
       }
 
       // Tristate attributes
       if (ARIA_TRISTATE_ATTRS.includes(attr)) {
         if (!['true', 'false', 'mixed'].includes(value)) {
-          issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+          issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+          locations.push(getLocation(content, match.index, match[0].length));
         }
       }
 
       // aria-live
       if (attr === 'live' && !['off', 'polite', 'assertive'].includes(value)) {
-        issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
 
       // aria-current
       if (attr === 'current' && !['page', 'step', 'location', 'date', 'time', 'true', 'false'].includes(value)) {
-        issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
 
       // aria-haspopup
       if (attr === 'haspopup' && !['true', 'false', 'menu', 'listbox', 'tree', 'grid', 'dialog'].includes(value)) {
-        issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
 
       // aria-autocomplete
       if (attr === 'autocomplete' && !['none', 'inline', 'list', 'both'].includes(value)) {
-        issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
 
       // aria-sort
       if (attr === 'sort' && !['none', 'ascending', 'descending', 'other'].includes(value)) {
-        issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
 
       // aria-invalid
       if (attr === 'invalid' && !['true', 'false', 'grammar', 'spelling'].includes(value)) {
-        issues.push(format('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        issues.push(createIssue('ARIA_INVALID_ATTRIBUTE', { attr, element: `aria-${attr}="${value}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   },
 
   ARIA_BOOLEAN_ATTRS,
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'ariaHiddenBody',
@@ -15,13 +16,16 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    if (/<body[^>]*aria-hidden=["']true["']/i.test(content)) {
+    const bodyMatch = /<body[^>]*aria-hidden=["']true["']/i.exec(content);
+    if (bodyMatch) {
       elementsFound++;
-      issues.push(format('ARIA_HIDDEN_BODY', { element: '<body aria-hidden="true">' }));
+      issues.push(createIssue('ARIA_HIDDEN_BODY', { element: '<body aria-hidden="true">' }));
+      locations.push(getLocation(content, bodyMatch.index, bodyMatch[0].length));
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
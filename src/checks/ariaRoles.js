@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Valid ARIA roles per WAI-ARIA 1.2 spec
 const VALID_ARIA_ROLES = [
@@ -32,6 +33,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const roleRegex = /role=["']([^"']+)["']/gi;
     let match;
@@ -40,11 +42,12 @@ module.exports = {
       elementsFound++;
       const role = match[1].toLowerCase();
       if (!VALID_ARIA_ROLES.includes(role)) {
-        issues.push(format('ARIA_INVALID_ROLE', { role, element: `role="${role}"` }));
+        issues.push(createIssue('ARIA_INVALID_ROLE', { role, element: `role="${role}"` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   },
 
   VALID_ARIA_ROLES
@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-/**
- * Gets the line number for a given index in the HTML string
- */
-function getLineNumber(html, index) {
-  const upToIndex = html.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 /**
  * Checks if a given position in HTML is within an aria-live region
@@ -125,6 +117,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '4.1.3',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -133,6 +126,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match async pipe usage in interpolations
@@ -143,7 +137,7 @@ module.exports = {
       elementsFound++;
       const asyncExpression = match[1].trim();
       const matchIndex = match.index;
-      const lineNumber = getLineNumber(content, matchIndex);
+      const location = getLocation(content, matchIndex, match[0].length);
 
       // Check if this async content is within an aria-live region
       const isInAriaLiveRegion = checkIfInAriaLiveRegion(content, matchIndex);
@@ -155,13 +149,14 @@ module.exports = {
       const hasCdkAriaLive = checkIfHasCdkAriaLive(content, matchIndex);
 
       if (!isInAriaLiveRegion && !isInLiveRole && !hasCdkAriaLive) {
-        issues.push(format('CDK_LIVE_ANNOUNCER_MISSING', {
+        issues.push(createIssue('CDK_LIVE_ANNOUNCER_MISSING', {
           element: `{{ ${asyncExpression} | async }}`,
-          line: lineNumber
+          line: location.line
         }));
+        locations.push(location);
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
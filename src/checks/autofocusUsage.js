@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'autofocusUsage',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '2.4.3',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to match elements with autofocus attribute
@@ -40,7 +43,8 @@ module.exports = {
         elementIdentifier += ` of type="${typeMatch[1]}"`;
       }
 
-      issues.push(format('AUTOFOCUS_MISUSE', { element: elementIdentifier }));
+      issues.push(createIssue('AUTOFOCUS_MISUSE', { element: elementIdentifier }));
+      locations.push(getLocation(content, match.index, match[0].length));
     }
 
     // Additional pattern for standalone autofocus attribute (boolean attribute)
@@ -52,18 +56,20 @@ module.exports = {
 
       // Check if already reported (avoid duplicates)
       const isDuplicate = issues.some(issue =>
-        issue.includes(`<${tagName}>`) && issue.includes('autofocus')
+        issue.element && issue.element.includes(`<${tagName}>`)
       );
 
       if (!isDuplicate) {
-        issues.push(format('AUTOFOCUS_MISUSE', { element: `<${tagName}> element` }));
+        issues.push(createIssue('AUTOFOCUS_MISUSE', { element: `<${tagName}> element` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
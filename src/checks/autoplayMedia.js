@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'autoplayMedia',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match video and audio elements with autoplay
@@ -30,14 +32,16 @@ module.exports = {
       const hasMuted = /\bmuted\b/i.test(mediaTag);
 
       if (!hasControls || !hasMuted) {
-        issues.push(format('MEDIA_AUTOPLAY', { element: mediaTag }));
+        issues.push(createIssue('MEDIA_AUTOPLAY', { element: mediaTag }));
+        locations.push(getLocation(content, mediaMatch.index, mediaTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'blinkElement',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'material',
   type: 'html',
   weight: 7,
+  wcag: '2.2.2',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,28 +16,25 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
-    const lines = content.split('\n');
 
     // Match blink elements (opening tag, including self-closing)
     const blinkRegex = /<blink\b[^>]*\/?>/gi;
 
-    lines.forEach((line, index) => {
-      const lineNumber = index + 1;
-      const matches = line.match(blinkRegex);
-
-      if (matches) {
-        matches.forEach(match => {
-          elementsFound++;
-          issues.push(format('MOTION_BLINK', { element: match, line: lineNumber }));
-        });
-      }
-    });
+    let match;
+    while ((match = blinkRegex.exec(content)) !== null) {
+      elementsFound++;
+      const location = getLocation(content, match.index, match[0].length);
+      issues.push(createIssue('MOTION_BLINK', { element: match[0], line: location.line }));
+      locations.push(location);
+    }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Pre-compiled regex patterns (avoid recreation per call)
 const EARLY_EXIT_BUTTON = /<button\b/i;
@@ -24,6 +25,7 @@ module.exports = {
   tier: 'basic',
   type: 'html',
   weight: 10,
+  wcag: '4.1.2',
 
   check(content) {
     // Early exit: no buttons, no issues
@@ -32,27 +34,9 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Build line index for O(log n) line lookups instead of O(n) substring splits
-    let lineStarts = null;
-    const getLineNumber = (pos) => {
-      if (!lineStarts) {
-        lineStarts = [0];
-        for (let i = 0; i < content.length; i++) {
-          if (content[i] === '\n') lineStarts.push(i + 1);
-        }
-      }
-      // Binary search for line number
-      let lo = 0, hi = lineStarts.length - 1;
-      while (lo < hi) {
-        const mid = (lo + hi + 1) >> 1;
-        if (lineStarts[mid] <= pos) lo = mid;
-        else hi = mid - 1;
-      }
-      return lo + 1;
-    };
-
     // Reset regex state
     BUTTON_REGEX.lastIndex = 0;
     INPUT_BUTTON_REGEX.lastIndex = 0;
@@ -64,9 +48,10 @@ module.exports = {
       const button = match[0];
 
       if (!hasAccessibleName(button)) {
-        const lineNumber = getLineNumber(match.index);
+        const location = getLocation(content, match.index, button.length);
         const snippet = getSnippet(button);
-        issues.push(format('BTN_MISSING_NAME', { element: snippet, line: lineNumber }));
+        issues.push(createIssue('BTN_MISSING_NAME', { element: snippet, line: location.line }));
+        locations.push(location);
       }
     }
 
@@ -77,13 +62,14 @@ module.exports = {
       const inputType = match[1].toLowerCase();
 
       if (!hasInputAccessibleName(input, inputType)) {
-        const lineNumber = getLineNumber(match.index);
+        const location = getLocation(content, match.index, input.length);
         const snippet = getSnippet(input);
-        issues.push(format('BTN_INPUT_MISSING_NAME', { element: snippet, line: lineNumber }));
+        issues.push(createIssue('BTN_INPUT_MISSING_NAME', { element: snippet, line: location.line }));
+        locations.push(location);
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
 
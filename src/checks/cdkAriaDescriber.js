@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'cdkAriaDescriber',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.3',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,13 +16,9 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Find line number for a match position
-    const getLineNumber = (pos) => {
-      return content.substring(0, pos).split('\n').length;
-    };
-
     // Complex widget roles that often benefit from descriptions
     const complexWidgetRoles = ['listbox', 'tree', 'grid', 'treegrid'];
 
@@ -48,18 +46,20 @@ module.exports = {
     while ((match = complexWidgetPattern.exec(content)) !== null) {
       elementsFound++;
       const elementString = match[0];
-      const lineNumber = getLineNumber(match.index);
+      const location = getLocation(content, match.index, elementString.length);
 
       if (!hasAriaDescribedBy(elementString)) {
         const snippet = getSnippet(elementString);
-        issues.push(format('CDK_LIVE_ANNOUNCER_MISSING', { element: snippet, line: lineNumber }));
+        issues.push(createIssue('CDK_LIVE_ANNOUNCER_MISSING', { element: snippet, line: location.line }));
+        locations.push(location);
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
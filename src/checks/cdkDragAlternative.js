@@ -0,0 +1,98 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, walk, getAttribute, getTextContent } = require('../core/templateParser');
+
+// Button labels, icons and handlers that read as "move this item"
+const MOVE_HINT = /\b(?:up|down)\b|(?<!re)move|reorder|sort|swap|arrow|top|bottom|prev|next|left|right|position|promote|demote/i;
+
+const hasDirective = (element, name) => element.attrs.some(attr => attr.key.toLowerCase() === name);
+
+const isKeyHandler = attr => attr.kind === 'event' && /^key(?:down|up|press)\b/i.test(attr.key);
+
+/**
+ * Check if an element is a button (native, Material or role="button")
+ */
+function isButton(element) {
+  if (element.name === 'button') return true;
+  if (element.name === 'a' && (getAttribute(element, 'href') || getAttribute(element, 'routerLink'))) return true;
+  if ((getAttribute(element, 'role') || {}).value === 'button') return true;
+  return element.attrs.some(attr => /^mat[-\w]*button$/i.test(attr.key) || /^mat-(?:mini-)?fab$/i.test(attr.key));
+}
+
+/**
+ * Check if a drop list or standalone drag item offers a way to move items
+ * without dragging: key handlers, or a button that says it moves the item
+ */
+function hasAlternative(target) {
+  if (target.attrs.some(isKeyHandler)) return true;
+
+  let found = false;
+  walk(target, node => {
+    if (found) return false;
+    if (node.type !== 'element') return undefined;
+    if (node.attrs.some(isKeyHandler)) {
+      found = true;
+      return false;
+    }
+    // Drag handles only start a drag
+    if (hasDirective(node, 'cdkdraghandle')) return false;
+
+    if (isButton(node)) {
+      const click = getAttribute(node, 'click', ['event']);
+      const label = getAttribute(node, 'aria-label') || getAttribute(node, 'matTooltip');
+      const hints = [click && click.value, label && label.value, getTextContent(node)];
+      if (hints.some(hint => hint && MOVE_HINT.test(hint))) {
+        found = true;
+        return false;
+      }
+    }
+    return undefined;
+  });
+  return found;
+}
+
+module.exports = {
+  name: 'cdkDragAlternative',
+  description: 'CDK drag and drop offers a keyboard or button alternative to dragging (WCAG 2.5.7)',
+  tier: 'full',
+  type: 'html',
+  weight: 7,
+  wcag: '2.5.7',
+
+  check(content, context) {
+    // Early exit: no relevant elements, no issues
+    if (!/cdkDrag|cdkDropList/i.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const template = getTemplate(content, context);
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    // Items in a drop list are checked as part of the list
+    const lists = findElements(template, el => hasDirective(el, 'cdkdroplist'));
+    const items = findElements(template, el => hasDirective(el, 'cdkdrag') &&
+      !hasDirective(el, 'cdkdroplist') && !closest(el, parent => hasDirective(parent, 'cdkdroplist')));
+
+    for (const target of [...lists, ...items].sort((a, b) => a.start - b.start)) {
+      elementsFound++;
+
+      if (!hasAlternative(target)) {
+        const startTag = content.slice(target.start, target.startTagEnd);
+        issues.push(createIssue('CDK_DRAG_WITHOUT_ALTERNATIVE', {
+          element: startTag,
+          kind: hasDirective(target, 'cdkdroplist') ? 'cdkDropList' : 'cdkDrag'
+        }));
+        locations.push(getLocation(content, target.start, startTag.length));
+      }
+    }
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'cdkLiveAnnouncer',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.3',
 
   check(content) {
     // Early exit: no *ngIf directives, no issues
@@ -14,13 +16,9 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Find line number for a match position
-    const getLineNumber = (pos) => {
-      return content.substring(0, pos).split('\n').length;
-    };
-
     // Keywords that suggest dynamic status/notification content
     const statusKeywords = [
       'error', 'success', 'warning', 'info', 'alert', 'notification',
@@ -75,7 +73,7 @@ module.exports = {
     while ((match = ngIfWithStatusClassPattern.exec(content)) !== null) {
       elementsFound++;
       const elementString = match[0];
-      const lineNumber = getLineNumber(match.index);
+      const location = getLocation(content, match.index, elementString.length);
 
       // Skip if already reported (use position to avoid duplicates)
       if (reportedPositions.has(match.index)) continue;
@@ -85,7 +83,8 @@ module.exports = {
       if (!hasLiveRegion(elementString, surroundingContext)) {
         reportedPositions.add(match.index);
         const snippet = getSnippet(elementString);
-        issues.push(format('CDK_LIVE_ANNOUNCER_MISSING', { element: snippet, line: lineNumber }));
+        issues.push(createIssue('CDK_LIVE_ANNOUNCER_MISSING', { element: snippet, line: location.line }));
+        locations.push(location);
       }
     }
 
@@ -93,7 +92,7 @@ module.exports = {
     while ((match = ngIfStatusConditionPattern.exec(content)) !== null) {
       elementsFound++;
       const elementString = match[0];
-      const lineNumber = getLineNumber(match.index);
+      const location = getLocation(content, match.index, elementString.length);
 
       // Skip if already reported
       if (reportedPositions.has(match.index)) continue;
@@ -103,14 +102,16 @@ module.exports = {
       if (!hasLiveRegion(elementString, surroundingContext)) {
         reportedPositions.add(match.index);
         const snippet = getSnippet(elementString);
-        issues.push(format('CDK_LIVE_ANNOUNCER_MISSING', { element: snippet, line: lineNumber }));
+        issues.push(createIssue('CDK_LIVE_ANNOUNCER_MISSING', { element: snippet, line: location.line }));
+        locations.push(location);
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
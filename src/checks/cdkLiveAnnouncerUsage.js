@@ -0,0 +1,61 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getSource, findInjected, findCalls, getStringValue } = require('../core/tsParser');
+
+module.exports = {
+  name: 'cdkLiveAnnouncerUsage',
+  description: 'Check that LiveAnnouncer.announce() calls announce a message that screen readers can read',
+  tier: 'full',
+  type: 'ts',
+  weight: 5,
+  wcag: '4.1.3',
+
+  check(content, context) {
+    // Early exit: no relevant elements, no issues
+    if (!/LiveAnnouncer/.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const source = getSource(content, context);
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    const report = (code, call) => {
+      issues.push(createIssue(code, { element: content.slice(call.start, call.end) }));
+      locations.push(getLocation(content, call.start, call.end - call.start));
+    };
+
+    const calls = findCalls(source, findInjected(source, 'LiveAnnouncer'), ['announce', 'clear']);
+
+    calls.forEach((call, index) => {
+      if (call.method !== 'announce') return;
+      elementsFound++;
+
+      // announce(message, politeness?, duration?) or announce(message, duration)
+      const message = call.args[0] ? getStringValue(call.args[0].text) : '';
+      if (message !== null && !message.trim()) {
+        report('CDK_LIVE_ANNOUNCER_EMPTY', call);
+      }
+
+      const politeness = call.args[1] && getStringValue(call.args[1].text);
+      if (politeness === 'off') {
+        report('CDK_LIVE_ANNOUNCER_OFF', call);
+      }
+
+      // clear() as the next statement on the same announcer
+      const next = calls[index + 1];
+      if (next && next.method === 'clear' && next.receiver === call.receiver &&
+          /^[\s;]*$/.test(source.bare.slice(call.end, next.start))) {
+        report('CDK_LIVE_ANNOUNCER_CLEARED', next);
+      }
+    });
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
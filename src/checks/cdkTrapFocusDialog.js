@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'cdkTrapFocusDialog',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '2.1.2',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find elements with role="dialog"
@@ -45,7 +48,8 @@ module.exports = {
       const elementString = match[0];
       if (!hasFocusTrap(elementString)) {
         const snippet = getSnippet(elementString);
-        issues.push(format('FOCUS_TRAP_MISSING', { element: snippet }));
+        issues.push(createIssue('FOCUS_TRAP_MISSING', { element: snippet }));
+        locations.push(getLocation(content, match.index, elementString.length));
       }
     }
 
@@ -55,7 +59,8 @@ module.exports = {
       const elementString = match[0];
       if (!hasFocusTrap(elementString)) {
         const snippet = getSnippet(elementString);
-        issues.push(format('CDK_FOCUS_TRAP_MISSING', { element: snippet }));
+        issues.push(createIssue('CDK_FOCUS_TRAP_MISSING', { element: snippet }));
+        locations.push(getLocation(content, match.index, elementString.length));
       }
     }
 
@@ -65,14 +70,16 @@ module.exports = {
       const elementString = match[0];
       if (!hasFocusTrap(elementString)) {
         const snippet = getSnippet(elementString);
-        issues.push(format('CDK_FOCUS_TRAP_MISSING', { element: snippet }));
+        issues.push(createIssue('CDK_FOCUS_TRAP_MISSING', { element: snippet }));
+        locations.push(getLocation(content, match.index, elementString.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
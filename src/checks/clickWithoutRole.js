@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 /**
  * List of non-interactive elements that commonly get (click) handlers
@@ -10,15 +11,6 @@ const NON_INTERACTIVE_ELEMENTS = [
   'table', 'tr', 'td', 'th', 'tbody', 'thead', 'tfoot', 'img', 'label'
 ];
 
-/**
- * Gets the line number for a given index in the HTML string
- */
-function getLineNumber(html, index) {
-  const upToIndex = html.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
-
 module.exports = {
   name: 'clickWithoutRole',
   description: 'Non-interactive elements with (click) need role and tabindex',
@@ -34,6 +26,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Regex to match opening tags of non-interactive elements
@@ -65,13 +58,14 @@ module.exports = {
         if (!hasTabindex) missingAttributes.push('tabindex="0"');
 
         if (missingAttributes.length > 0) {
-          const lineNumber = getLineNumber(content, match.index);
+          const location = getLocation(content, match.index, match[0].length);
           const snippet = `<${elementName}>`;
-          issues.push(format('CLICK_WITHOUT_ROLE', { element: snippet, line: lineNumber }));
+          issues.push(createIssue('CLICK_WITHOUT_ROLE', { element: snippet, line: location.line }));
+          locations.push(location);
         }
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
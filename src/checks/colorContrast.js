@@ -1,8 +1,10 @@
 const { parseColor, getLuminance, getContrastRatio, getContrastRating } = require('../colors');
-const { format } = require('../core/errors');
-const { resolveValue, containsVariable, isLiteralColor } = require('../core/variableResolver');
+const { createIssue } = require('../core/errors');
+const { getLocation, findSelector } = require('../core/location');
+const { resolveValue, containsVariable, isLiteralColor, createThemeLookup } = require('../core/variableResolver');
 const { parseVariables } = require('../core/scssParser');
 const { getEffectiveStyles } = require('../core/cssCascade');
+const { findThemes, getThemeCombinations, flattenColor, hasThemeDefinition } = require('../core/materialTheme');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT_COLOR = /\bcolor\s*:/i;
@@ -12,25 +14,32 @@ const TRANSPARENT_TEXT = /(?:^|[^-])color\s*:\s*rgba\s*\([^)]*,\s*0\.[0-3]\d*\s*
 
 module.exports = {
   name: 'colorContrast',
-  description: 'Detects obvious low-contrast color patterns that fail WCAG requirements',
+  description: 'Detects low-contrast color patterns and Angular Material theme colors that fail WCAG requirements',
   tier: 'basic',
   type: 'scss',
   weight: 7,
+  wcag: '1.4.3',
 
   /**
    * Check color contrast in SCSS content
    * Uses CSS cascade resolution for accurate light/dark mode checking
    * @param {string} content - SCSS file content
-   * @param {object} context - Variable context from variableResolver (optional)
-   * @returns {object} - { pass, issues, elementsFound }
+   * @param {object} context - Variable context from variableResolver (optional);
+   *   `context.inherited` lists the backgrounds rendered behind text that has no
+   *   background of its own (from colorInheritance, in component analysis)
+   * @returns {object} - { pass, issues, elementsFound, locations }
    */
   check(content, context = null) {
-    // Early exit: no color declarations, no issues
-    if (!EARLY_EXIT_COLOR.test(content) || !EARLY_EXIT_BG.test(content)) {
+    const hasTheme = hasThemeDefinition(content);
+    const inherited = context && Array.isArray(context.inherited) ? context.inherited : [];
+
+    // Early exit: no color declarations and no Material theme, no issues
+    if (!hasTheme && (!EARLY_EXIT_COLOR.test(content) || (!EARLY_EXIT_BG.test(content) && inherited.length === 0))) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     let variablesResolved = 0;
     let variablesSkipped = 0;
@@ -67,6 +76,23 @@ module.exports = {
 
     const hasDarkMode = parsed.darkCssVars && parsed.darkCssVars.size > 0;
 
+    // Angular Material themes defined in this stylesheet
+    const themes = hasTheme
+      ? findThemes(content, createThemeLookup(content, lightVarContext), { light: lightVarContext.cssVars, dark: darkVarContext.cssVars })
+      : [];
+
+    // Theme colors are what var(--mat-sys-primary) renders as (tone approximations excluded)
+    for (const theme of themes) {
+      for (const variant of theme.variants) {
+        const varContext = variant.type === 'dark' ? darkVarContext : lightVarContext;
+        for (const [role, { color, label }] of Object.entries(variant.roles)) {
+          if (theme.version === 'm3' && color === label && !varContext.cssVars.has(`--mat-sys-${role}`)) {
+            varContext.cssVars.set(`--mat-sys-${role}`, color);
+          }
+        }
+      }
+    }
+
     // Get effective styles using cascade resolution
     const effectiveStyles = getEffectiveStyles(content);
     elementsFound = effectiveStyles.length;
@@ -168,15 +194,17 @@ module.exports = {
         reportedIssues.add(issueKey);
 
         const element = `${modePrefix}"${cleanSelector}": ${result.textColor} on ${result.bgColor}`;
+        const found = findSelector(content, selector);
+        locations.push(found ? getLocation(content, found.index, found.length) : null);
 
         if (result.ratio < 3.0) {
-          issues.push(format('COLOR_CONTRAST_LOW', {
+          issues.push(createIssue('COLOR_CONTRAST_LOW', {
             ratio: result.ratio.toFixed(2),
             required: '4.5',
             element
           }));
         } else {
-          issues.push(format('COLOR_CONTRAST_LARGE_TEXT', {
+          issues.push(createIssue('COLOR_CONTRAST_LARGE_TEXT', {
             ratio: result.ratio.toFixed(2),
             element
           }));
@@ -201,18 +229,91 @@ module.exports = {
       }
     }
 
+    // Text on a background set elsewhere (parent :host, parent template, global styles)
+    const inheritedResults = [];
+    for (const entry of inherited) {
+      const textColor = flattenColor(entry.color, entry.background);
+      const ratio = textColor ? getContrastRatio(textColor, entry.background) : null;
+      if (ratio === null) continue;
+      elementsFound++;
+      if (ratio < 4.5) inheritedResults.push({ ...entry, ratio });
+    }
+
+    for (const result of inheritedResults) {
+      // Same colors in both modes: report once without mode prefix
+      const both = result.mode === 'dark' && inheritedResults.some(other => other.mode === 'light' &&
+        other.selector === result.selector && other.color === result.color && other.background === result.background);
+      const modePrefix = result.mode === 'dark' && !both ? '[dark mode] ' : '';
+      const cleanSelector = result.selector.replace(/\s+/g, ' ').substring(0, 50);
+
+      const issueKey = `${cleanSelector}:${result.color}:${result.background}:${modePrefix}`;
+      if (reportedIssues.has(issueKey)) continue;
+      reportedIssues.add(issueKey);
+
+      const element = `${modePrefix}"${cleanSelector}": ${result.color} on ${result.background} (${result.source})`;
+      const found = findSelector(content, result.selector);
+      locations.push(found ? getLocation(content, found.index, found.length) : null);
+
+      if (result.ratio < 3.0) {
+        issues.push(createIssue('COLOR_CONTRAST_INHERITED', {
+          ratio: result.ratio.toFixed(2),
+          required: '4.5',
+          source: result.source,
+          element
+        }));
+      } else {
+        issues.push(createIssue('COLOR_CONTRAST_LARGE_TEXT', {
+          ratio: result.ratio.toFixed(2),
+          element
+        }));
+      }
+    }
+
+    // Check every themed component combination of every theme variant
+    for (const theme of themes) {
+      for (const variant of theme.variants) {
+        const varContext = variant.type === 'dark' ? darkVarContext : lightVarContext;
+        const tokenValue = token => {
+          const value = varContext.cssVars.get(token);
+          const resolved = value ? resolveValue(value, varContext) : null;
+          return resolved && isLiteralColor(resolved) ? resolved : null;
+        };
+
+        for (const combination of getThemeCombinations(theme, variant, tokenValue)) {
+          elementsFound++;
+          const { component, roles, background, foreground } = combination;
+          const textColor = flattenColor(foreground.color, background.color);
+          const ratio = textColor ? getContrastRatio(textColor, background.color) : null;
+          if (ratio === null || ratio >= 4.5) continue;
+
+          issues.push(createIssue('MAT_THEME_CONTRAST', {
+            theme: theme.name,
+            variant: variant.type,
+            component,
+            roles: roles.join(' / '),
+            ratio: ratio.toFixed(2),
+            element: `${theme.name} (${variant.type}) ${component}: ${foreground.label} on ${background.label}`
+          }));
+          locations.push(getLocation(content, theme.index, theme.length));
+        }
+      }
+    }
+
     // Detect obviously problematic patterns even without pairing
-    const seenMessages = new Set();
+    const seenIssues = new Set();
 
     // Very light gray text (#ccc, #ddd, #eee) - almost invisible on white
     LIGHT_GRAY.lastIndex = 0;
     let patternMatch;
     while ((patternMatch = LIGHT_GRAY.exec(content)) !== null) {
       const color = patternMatch[0].match(/#[cde]{3}/i)[0];
-      const message = format('COLOR_CONTRAST_LOW', { ratio: '1.6', required: '4.5', element: `Very light text color "${color}"` });
-      if (!seenMessages.has(message)) {
-        seenMessages.add(message);
-        issues.push(message);
+      const issue = createIssue('COLOR_CONTRAST_LOW', { ratio: '1.6', required: '4.5', element: `Very light text color "${color}"` });
+      const key = `${issue.code}:${issue.element}`;
+      if (!seenIssues.has(key)) {
+        seenIssues.add(key);
+        issues.push(issue);
+        const start = patternMatch.index + patternMatch[0].search(/color/i);
+        locations.push(getLocation(content, start, patternMatch.index + patternMatch[0].length - start));
       }
     }
 
@@ -220,20 +321,24 @@ module.exports = {
     TRANSPARENT_TEXT.lastIndex = 0;
     while ((patternMatch = TRANSPARENT_TEXT.exec(content)) !== null) {
       const colorValue = patternMatch[0].match(/rgba\s*\([^)]+\)/i)[0];
-      const message = format('COLOR_TRANSPARENT_TEXT', { element: `"${colorValue}"` });
-      if (!seenMessages.has(message)) {
-        seenMessages.add(message);
-        issues.push(message);
+      const issue = createIssue('COLOR_TRANSPARENT_TEXT', { element: `"${colorValue}"` });
+      const key = `${issue.code}:${issue.element}`;
+      if (!seenIssues.has(key)) {
+        seenIssues.add(key);
+        issues.push(issue);
+        const start = patternMatch.index + patternMatch[0].search(/color/i);
+        locations.push(getLocation(content, start, patternMatch.index + patternMatch[0].length - start));
       }
     }
 
     // Filter: only fail on errors, not info messages
-    const errorCount = issues.filter(i => i.startsWith('[Error]')).length;
+    const errorCount = issues.filter(i => i.severity === 'error').length;
 
     return {
       pass: errorCount === 0,
       issues,
       elementsFound,
+      locations,
       variablesResolved,
       variablesSkipped
     };
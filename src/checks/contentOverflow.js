@@ -1,9 +1,13 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+
 module.exports = {
   name: 'contentOverflow',
   description: 'Detects overflow: hidden on text containers without text-overflow: ellipsis which may hide content inaccessibly',
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '1.4.10',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -12,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find rule blocks with overflow: hidden
@@ -24,6 +29,7 @@ module.exports = {
       elementsFound++;
       const selector = match[1].trim();
       const declarations = match[2];
+      const selectorIndex = match.index + match[1].search(/\S/);
 
       // Check if this block has overflow: hidden
       const hasOverflowHidden = /overflow\s*:\s*hidden/i.test(declarations);
@@ -42,32 +48,21 @@ module.exports = {
 
         // If it has nowrap but no ellipsis, text will be cut off
         if (hasWhiteSpaceNowrap && !hasTextOverflow && isLikelyTextContainer) {
-          issues.push(
-            `[Warning] Content may be hidden without visual indication in "${selector}". Text content may be cut off and inaccessible to users.\n` +
-            `  How to fix:\n` +
-            `    - Add "text-overflow: ellipsis" to show truncation indicator (...)\n` +
-            `    - Or remove "overflow: hidden" to allow text to wrap naturally\n` +
-            `    - Or ensure content is accessible through other means (tooltips, expand buttons)\n` +
-            `  WCAG 1.4.10: Reflow`
-          );
+          issues.push(createIssue('CONTENT_OVERFLOW_CLIPPED', { selector }));
+          locations.push(getLocation(content, selectorIndex, selector.length));
         } else if (!hasTextOverflow && isLikelyTextContainer && !hasWhiteSpaceNowrap) {
           // General info for overflow hidden on potential text containers
-          issues.push(
-            `[Info] Potential content overflow detected in "${selector}". This may hide text content inaccessibly.\n` +
-            `  How to fix:\n` +
-            `    - Verify all content remains accessible when overflow is hidden\n` +
-            `    - Consider using "overflow: auto" or "overflow: scroll" for scrollable content\n` +
-            `    - Ensure responsive design allows content to reflow at 320px width\n` +
-            `  WCAG 1.4.10: Reflow`
-          );
+          issues.push(createIssue('CONTENT_OVERFLOW_HIDDEN', { selector }));
+          locations.push(getLocation(content, selectorIndex, selector.length));
         }
       }
     }
 
     return {
-      pass: issues.filter(i => i.startsWith('[Warning]')).length === 0,
+      pass: issues.filter(i => i.severity === 'warning').length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'dlStructure',
@@ -15,35 +16,37 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
-    const dlMatch = content.match(/<dl[^>]*>([\s\S]*?)<\/dl>/gi);
+    const dlRegex = /<dl[^>]*>([\s\S]*?)<\/dl>/gi;
+    let dlMatch;
 
-    if (dlMatch) {
-      for (const dl of dlMatch) {
-        elementsFound++;
-        // Get inner content of dl
-        const inner = dl.replace(/<\/?dl[^>]*>/gi, '');
+    while ((dlMatch = dlRegex.exec(content)) !== null) {
+      elementsFound++;
+      const dl = dlMatch[0];
+      // Get inner content of dl
+      const inner = dl.replace(/<\/?dl[^>]*>/gi, '');
 
-        // Remove valid elements completely (including their content)
-        // Valid children: dt, dd, div (HTML5), and Angular structural directive containers
-        let stripped = inner
-          .replace(/<dt[^>]*>[\s\S]*?<\/dt>/gi, '')
-          .replace(/<dd[^>]*>[\s\S]*?<\/dd>/gi, '')
-          .replace(/<div[^>]*>[\s\S]*?<\/div>/gi, '')
-          .replace(/<ng-container[^>]*>[\s\S]*?<\/ng-container>/gi, '')
-          .replace(/<ng-template[^>]*>[\s\S]*?<\/ng-template>/gi, '')
-          .replace(/<!--[\s\S]*?-->/g, '')
-          .replace(/\s+/g, ' ')
-          .trim();
+      // Remove valid elements completely (including their content)
+      // Valid children: dt, dd, div (HTML5), and Angular structural directive containers
+      let stripped = inner
+        .replace(/<dt[^>]*>[\s\S]*?<\/dt>/gi, '')
+        .replace(/<dd[^>]*>[\s\S]*?<\/dd>/gi, '')
+        .replace(/<div[^>]*>[\s\S]*?<\/div>/gi, '')
+        .replace(/<ng-container[^>]*>[\s\S]*?<\/ng-container>/gi, '')
+        .replace(/<ng-template[^>]*>[\s\S]*?<\/ng-template>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
 
-        // Check for any remaining tags (invalid children)
-        const invalidTags = stripped.match(/<[a-z][^>]*>/gi);
-        if (invalidTags) {
-          issues.push(format('DL_STRUCTURE_INVALID', { element: '<dl>' }));
-        }
+      // Check for any remaining tags (invalid children)
+      const invalidTags = stripped.match(/<[a-z][^>]*>/gi);
+      if (invalidTags) {
+        issues.push(createIssue('DL_STRUCTURE_INVALID', { element: '<dl>' }));
+        locations.push(getLocation(content, dlMatch.index, dl.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
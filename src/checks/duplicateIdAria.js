@@ -1,11 +1,14 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'duplicateIdAria',
   description: 'ARIA attributes must reference existing IDs in the document',
   tier: 'full',
   type: 'html',
+  pageLevel: true,
   weight: 7,
+  wcag: '4.1.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,12 +17,14 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // First, collect all IDs defined in the document
     const idPattern = /\sid\s*=\s*["']([^"']+)["']/gi;
     const definedIds = new Set();
     const idCounts = new Map();
+    const duplicateAt = new Map();
     let idMatch;
 
     while ((idMatch = idPattern.exec(content)) !== null) {
@@ -27,12 +32,17 @@ module.exports = {
       const id = idMatch[1];
       definedIds.add(id);
       idCounts.set(id, (idCounts.get(id) || 0) + 1);
+      // Report at the first repeated use of the ID
+      if (idCounts.get(id) === 2) {
+        duplicateAt.set(id, getLocation(content, idMatch.index + 1, idMatch[0].length - 1));
+      }
     }
 
     // Check for duplicate IDs
     for (const [id, count] of idCounts) {
       if (count > 1) {
-        issues.push(format('ID_DUPLICATE', { id }));
+        issues.push(createIssue('ID_DUPLICATE', { id }));
+        locations.push(duplicateAt.get(id));
       }
     }
 
@@ -60,11 +70,12 @@ module.exports = {
 
         referencedIds.forEach((refId) => {
           if (!definedIds.has(refId)) {
-            issues.push(format('ARIA_REFERENCE_MISSING', {
+            issues.push(createIssue('ARIA_REFERENCE_MISSING', {
               attr,
               id: refId,
               element: `${attr}="${refId}"`
             }));
+            locations.push(getLocation(content, ariaMatch.index, ariaMatch[0].length));
           }
         });
       }
@@ -73,7 +84,8 @@ module.exports = {
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
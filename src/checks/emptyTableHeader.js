@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'emptyTableHeader',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '1.3.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to match <th> elements and capture their content
@@ -53,14 +56,16 @@ module.exports = {
       const hasInterpolation = /\{\{[^}]+\}\}/.test(thContent);
 
       if (!hasVisibleContent && !hasAriaLabel && !hasAriaLabelledby && !hasScreenReaderText && !hasChildAriaLabel && !hasAbbr && !hasAngularContentBinding && !hasInterpolation) {
-        issues.push(format('TABLE_EMPTY_HEADER', { element: '<th>' }));
+        issues.push(createIssue('TABLE_EMPTY_HEADER', { element: '<th>' }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -0,0 +1,61 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+
+// App headers and toolbars (not table, card or panel headers, which stick
+// inside their own scroll container)
+const HEADER_SELECTOR = /(?:^|[\s,>+~])(?:mat-toolbar|header)\b|\.mat-(?:mdc-)?toolbar\b|\[role=["']?banner|\.[\w-]*(?:header|toolbar|navbar|nav-bar|app-bar|appbar|topbar|top-bar|masthead)\b/i;
+const NESTED_HEADER = /sort-header|header-(?:row|cell)|panel-header|card-header|expansion|table|column|dialog|\bth\b/i;
+
+// Any of these moves focused elements out from under a sticky header
+const SCROLL_OFFSET = /scroll-(?:padding|margin)(?:-top|-block(?:-start)?)?\s*:/i;
+
+module.exports = {
+  name: 'focusNotObscured',
+  description: 'Sticky and fixed headers are offset with scroll-padding-top so they do not hide focus (WCAG 2.4.11)',
+  tier: 'full',
+  type: 'scss',
+  weight: 5,
+  wcag: '2.4.11',
+
+  check(content) {
+    // Early exit: no relevant elements, no issues
+    if (!/position\s*:\s*(?:sticky|fixed)/i.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    // Declarations of each rule up to its first nested rule (the lookahead
+    // leaves nested SCSS rules to be matched on their own)
+    const rulePattern = /([^{};]+)\{(?=([^{}]*))/g;
+    const hasScrollOffset = SCROLL_OFFSET.test(content);
+
+    let match;
+    while ((match = rulePattern.exec(content)) !== null) {
+      const selector = match[1]
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/[^\n]*/g, '')
+        .trim();
+      if (!HEADER_SELECTOR.test(' ' + selector) || NESTED_HEADER.test(selector)) continue;
+
+      const position = /(?:^|[;\s])position\s*:\s*(sticky|fixed)/i.exec(match[2]);
+      if (!position || !/(?:^|[;\s])(?:top|inset)\s*:/i.test(match[2])) continue;
+      elementsFound++;
+
+      // scroll-padding-top usually sits on html in the same (global) stylesheet
+      if (hasScrollOffset) continue;
+
+      const kind = position[1].toLowerCase();
+      issues.push(createIssue('FOCUS_OBSCURED_STICKY', {
+        element: `"${selector}" (position: ${kind})`,
+        position: kind.charAt(0).toUpperCase() + kind.slice(1)
+      }));
+      const start = match.index + match[0].indexOf(selector);
+      locations.push(getLocation(content, start, selector.length));
+    }
+
+    return { pass: issues.length === 0, issues, elementsFound, locations };
+  }
+};
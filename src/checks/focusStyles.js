@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'focusStyles',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find rule blocks - captures selector and declarations
@@ -49,25 +51,28 @@ module.exports = {
           if (!hasAlternative) {
             // Extract a cleaner selector for the message
             const cleanSelector = selector.replace(/\s+/g, ' ').substring(0, 60);
-            issues.push(format('FOCUS_OUTLINE_REMOVED', { element: cleanSelector }));
+            issues.push(createIssue('FOCUS_OUTLINE_REMOVED', { element: cleanSelector }));
+            locations.push(getLocation(content, match.index + match[1].search(/\S/), selector.length));
           }
         }
       }
     }
 
     // Also check for global outline:none patterns that affect all elements
-    const globalOutlineNone = /^\s*\*\s*\{[^}]*outline\s*:\s*(?:none|0)/mi.test(content) ||
-                              /^\s*:focus\s*\{[^}]*outline\s*:\s*(?:none|0)/mi.test(content);
+    const globalOutlineNone = /^\s*\*\s*\{[^}]*outline\s*:\s*(?:none|0)/mi.exec(content) ||
+                              /^\s*:focus\s*\{[^}]*outline\s*:\s*(?:none|0)/mi.exec(content);
 
     if (globalOutlineNone) {
       // Check if there's a compensating focus-visible rule
       const hasFocusVisibleCompensation = /:focus-visible\s*\{[^}]*(?:outline|box-shadow|border)/i.test(content);
 
       if (!hasFocusVisibleCompensation) {
-        issues.push(format('FOCUS_OUTLINE_REMOVED', { element: 'global focus outline removal' }));
+        issues.push(createIssue('FOCUS_OUTLINE_REMOVED', { element: 'global focus outline removal' }));
+        const ruleStart = globalOutlineNone.index + globalOutlineNone[0].search(/\S/);
+        locations.push(getLocation(content, ruleStart, globalOutlineNone.index + globalOutlineNone[0].length - ruleStart));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
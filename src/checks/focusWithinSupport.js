@@ -1,9 +1,13 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+
 module.exports = {
   name: 'focusWithinSupport',
   description: 'Suggests using :focus-within for complex interactive containers with nested focusable elements',
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '2.4.7',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -12,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to detect complex interactive containers
@@ -39,22 +44,24 @@ module.exports = {
 
     // Track detected complex patterns
     const detectedPatterns = [];
+    let firstContainer = null;
 
     for (const pattern of complexContainerPatterns) {
-      const matches = content.match(pattern);
-      if (matches) {
-        elementsFound += matches.length;
-        matches.forEach(match => {
-          // Extract the selector name for reporting
-          const selectorMatch = match.match(/(?:nav|\.[\w-]+|fieldset)/i);
-          if (selectorMatch) {
-            const selector = selectorMatch[0];
-            // Skip non-interactive containers (text-block, decorative, simple, wrapper, etc.)
-            if (!/text|decorative|static|simple|wrapper/i.test(selector)) {
-              detectedPatterns.push(selector);
+      for (const match of content.matchAll(pattern)) {
+        elementsFound++;
+        // Extract the selector name for reporting
+        const selectorMatch = match[0].match(/(?:nav|\.[\w-]+|fieldset)/i);
+        if (selectorMatch) {
+          const selector = selectorMatch[0];
+          // Skip non-interactive containers (text-block, decorative, simple, wrapper, etc.)
+          if (!/text|decorative|static|simple|wrapper/i.test(selector)) {
+            detectedPatterns.push(selector);
+            const index = match.index + selectorMatch.index;
+            if (!firstContainer || index < firstContainer.index) {
+              firstContainer = { index, length: selector.length };
             }
           }
-        });
+        }
       }
     }
 
@@ -67,17 +74,10 @@ module.exports = {
     // 3. No child :focus styles providing visual feedback
     if (uniquePatterns.length > 0 && !hasFocusWithin && !hasChildFocusStyles) {
       const containerList = uniquePatterns.slice(0, 3).join(', ') + (uniquePatterns.length > 3 ? '...' : '');
-      issues.push(
-        `[Info] Complex interactive containers without :focus-within. Keyboard users may not see clear visual indication when navigating nested focusable elements.\n` +
-        `  How to fix:\n` +
-        `    - Add :focus-within pseudo-class to container selectors\n` +
-        `    - Or ensure child elements (a, button, input) have visible :focus styles\n` +
-        `    - Apply visual styles (border, background, shadow) when children are focused\n` +
-        `    - Example: .container:focus-within { outline: 2px solid blue; }\n` +
-        `    - Test with keyboard navigation to ensure focus is always visible\n` +
-        `  WCAG 2.4.7: Focus Visible\n` +
-        `  Found: Complex containers (${containerList})`
-      );
+      issues.push(createIssue('FOCUS_WITHIN_MISSING', {
+        element: `Complex containers (${containerList})`
+      }));
+      locations.push(getLocation(content, firstContainer.index, firstContainer.length));
     }
 
     // Check for ineffective :focus-within styles (false-negative detection)
@@ -99,23 +99,19 @@ module.exports = {
       const hasWhiteOnWhite = /(?:outline-color|border-color)\s*:\s*(?:#fff(?:fff)?|white|rgb\s*\(\s*255\s*,\s*255\s*,\s*255\s*\))/i.test(styles);
 
       if (hasTransparent || hasZeroAlpha || hasWhiteOnWhite) {
-        issues.push(
-          `[Warning] Ineffective :focus-within styles on "${selector}". The focus indication is invisible.\n` +
-          `  How to fix:\n` +
-          `    - Use a visible color for outline, border, or box-shadow\n` +
-          `    - Ensure sufficient contrast between focus indicator and background\n` +
-          `    - Avoid transparent, rgba with 0 alpha, or same-as-background colors\n` +
-          `    - Example: .container:focus-within { outline: 2px solid blue; }\n` +
-          `  WCAG 2.4.7: Focus Visible\n` +
-          `  Found: ${match[0].substring(0, 60)}...`
-        );
+        issues.push(createIssue('FOCUS_WITHIN_INEFFECTIVE', {
+          selector,
+          element: `${match[0].substring(0, 60)}...`
+        }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
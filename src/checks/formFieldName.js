@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'formFieldName',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '4.1.2',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find <form> elements and their content
@@ -22,6 +25,7 @@ module.exports = {
 
     while ((formMatch = formPattern.exec(content)) !== null) {
       const formContent = formMatch[1];
+      const formContentStart = formMatch.index + formMatch[0].indexOf('>') + 1;
 
       // Check input elements (excluding buttons and submit/reset types which don't need names)
       const inputPattern = /<input([^>]*)>/gi;
@@ -51,9 +55,10 @@ module.exports = {
         if (!hasName) {
           const idMatch = attributes.match(/\sid\s*=\s*["']([^"']+)["']/i);
           const identifier = idMatch ? ` (id="${idMatch[1]}")` : '';
-          issues.push(format('FORM_FIELD_MISSING_NAME', {
+          issues.push(createIssue('FORM_FIELD_MISSING_NAME', {
             element: `input type="${type}"${identifier}`
           }));
+          locations.push(getLocation(content, formContentStart + inputMatch.index, inputMatch[0].length));
         }
       }
 
@@ -73,9 +78,10 @@ module.exports = {
         if (!hasName) {
           const idMatch = attributes.match(/\sid\s*=\s*["']([^"']+)["']/i);
           const identifier = idMatch ? ` (id="${idMatch[1]}")` : '';
-          issues.push(format('FORM_FIELD_MISSING_NAME', {
+          issues.push(createIssue('FORM_FIELD_MISSING_NAME', {
             element: `select${identifier}`
           }));
+          locations.push(getLocation(content, formContentStart + selectMatch.index, selectMatch[0].length));
         }
       }
 
@@ -95,9 +101,10 @@ module.exports = {
         if (!hasName) {
           const idMatch = attributes.match(/\sid\s*=\s*["']([^"']+)["']/i);
           const identifier = idMatch ? ` (id="${idMatch[1]}")` : '';
-          issues.push(format('FORM_FIELD_MISSING_NAME', {
+          issues.push(createIssue('FORM_FIELD_MISSING_NAME', {
             element: `textarea${identifier}`
           }));
+          locations.push(getLocation(content, formContentStart + textareaMatch.index, textareaMatch[0].length));
         }
       }
     }
@@ -105,7 +112,8 @@ module.exports = {
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-// Get line number from character position
-function getLineNumber(content, index) {
-  let line = 1;
-  for (let i = 0; i < index && i < content.length; i++) {
-    if (content[i] === '\n') line++;
-  }
-  return line;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT = /<(?:input|select|textarea)\b/i;
@@ -38,6 +30,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Reset regex state
@@ -119,14 +112,15 @@ module.exports = {
       // Create error message
       const snippet = fullMatch.substring(0, 80).replace(/\s+/g, ' ').trim();
       const truncated = fullMatch.length > 80 ? '...' : '';
-      const lineNumber = getLineNumber(content, position);
-      issues.push(format('FORM_MISSING_LABEL', {
+      const location = getLocation(content, position, fullMatch.length);
+      issues.push(createIssue('FORM_MISSING_LABEL', {
         type: tagName,
         element: `${snippet}${truncated}`,
-        line: lineNumber
+        line: location.line
       }));
+      locations.push(location);
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
@@ -1,10 +1,12 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'headingOrder',
   description: 'Heading levels do not skip (no h1 to h3 without h2)',
   tier: 'basic',
   type: 'html',
+  pageLevel: true,
   weight: 7,
   wcag: '1.3.1',
 
@@ -15,6 +17,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const headingRegex = /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/gi;
     const levels = [];
@@ -28,24 +31,26 @@ module.exports = {
       // Check if heading is empty
       const trimmedContent = headingContent.replace(/<[^>]*>/g, '').trim();
       if (trimmedContent.length === 0) {
-        issues.push(format('HEADING_EMPTY', { level, element: `<h${level}>` }));
+        issues.push(createIssue('HEADING_EMPTY', { level, element: `<h${level}>` }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
 
-      levels.push(level);
+      levels.push({ level, index: match.index, length: match[0].length });
     }
 
     for (let i = 1; i < levels.length; i++) {
-      const prev = levels[i - 1];
-      const curr = levels[i];
+      const prev = levels[i - 1].level;
+      const curr = levels[i].level;
       if (curr > prev + 1) {
-        issues.push(format('HEADING_SKIP_LEVEL', {
+        issues.push(createIssue('HEADING_SKIP_LEVEL', {
           from: prev,
           to: curr,
           element: `<h${curr}>`
         }));
+        locations.push(getLocation(content, levels[i].index, levels[i].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
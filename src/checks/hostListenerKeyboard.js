@@ -0,0 +1,89 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getSource, getLocalNames, splitTopLevel, parseObjectLiteral, getStringValue } = require('../core/tsParser');
+
+// Hosts that are keyboard operable on their own
+const INTERACTIVE_SELECTOR = /^(?:button|a|input|select|textarea|summary)(?![\w-])/i;
+
+const KEYBOARD_EVENT = /^(?:keydown|keyup|keypress)(?:\.|$)/i;
+
+module.exports = {
+  name: 'hostListenerKeyboard',
+  description: 'Components and directives listening to host clicks must handle the keyboard too',
+  tier: 'full',
+  type: 'ts',
+  weight: 7,
+  wcag: '2.1.1',
+
+  check(content, context) {
+    // Early exit: no relevant elements, no issues
+    if (!/HostListener|['"]\(click\)['"]/.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const source = getSource(content, context);
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    const hostListener = getLocalNames(source, 'HostListener');
+    const hostDecorators = new Map([
+      ...getLocalNames(source, 'Component').map(name => [name, 'Component']),
+      ...getLocalNames(source, 'Directive').map(name => [name, 'Directive'])
+    ]);
+
+    for (const cls of source.classes) {
+      const decorator = cls.decorators.find(d => hostDecorators.has(d.name));
+      if (!decorator) continue;
+
+      // Host events: [{ event, element, start, end }]
+      const events = [];
+      for (const member of cls.memberDecorators) {
+        if (!hostListener.includes(member.name)) continue;
+        const [eventArg] = splitTopLevel(source, member.argsStart, member.argsEnd);
+        const event = eventArg && getStringValue(eventArg.text);
+        if (event) {
+          events.push({ event: event.trim(), element: content.slice(member.start, member.end), start: member.start, end: member.end });
+        }
+      }
+
+      const metadata = parseObjectLiteral(source, { start: decorator.argsStart, end: decorator.argsEnd });
+      const host = metadata && metadata.properties.get('host');
+      const hostBindings = host && parseObjectLiteral(source, host);
+      if (hostBindings) {
+        for (const [key, value] of hostBindings.properties) {
+          const binding = /^\((.+)\)$/.exec(key.trim());
+          if (binding) {
+            events.push({ event: binding[1].trim(), element: `host: { '${key}': ${value.text} }`, start: value.start, end: value.end });
+          }
+        }
+      }
+
+      const clicks = events.filter(({ event }) => event === 'click');
+      if (clicks.length === 0) continue;
+      elementsFound += clicks.length;
+
+      if (events.some(({ event }) => KEYBOARD_EVENT.test(event))) continue;
+
+      // button[appConfirm], a[routerLink]: the browser handles the keyboard
+      const selector = metadata && metadata.properties.get('selector');
+      const selectorValue = selector && getStringValue(selector.text);
+      if (selectorValue && selectorValue.split(',').every(part => INTERACTIVE_SELECTOR.test(part.trim()))) continue;
+
+      for (const click of clicks) {
+        issues.push(createIssue('HOST_LISTENER_CLICK_NO_KEYBOARD', {
+          kind: hostDecorators.get(decorator.name),
+          element: `${cls.name}: ${click.element}`
+        }));
+        locations.push(getLocation(content, click.start, click.end - click.start));
+      }
+    }
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'hoverWithoutFocus',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find :hover pseudo-class with its selector
@@ -70,14 +72,17 @@ module.exports = {
                        ampersandFocusPattern.test(context);
 
       if (!hasFocus) {
-        issues.push(format('HOVER_WITHOUT_FOCUS', { element: `${selector}:hover` }));
+        issues.push(createIssue('HOVER_WITHOUT_FOCUS', { element: `${selector}:hover` }));
+        const start = hover.index + hover.fullMatch.search(/\S/);
+        locations.push(getLocation(content, start, hover.index + hover.fullMatch.indexOf(':hover') + 6 - start));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
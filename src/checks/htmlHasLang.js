@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'htmlHasLang',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match the <html> opening tag
@@ -36,23 +38,26 @@ module.exports = {
     const langMatch = htmlAttributes.match(langRegex);
 
     if (!langMatch) {
-      issues.push(format('HTML_MISSING_LANG', { element: htmlTag }));
-      return { pass: false, issues, elementsFound };
+      issues.push(createIssue('HTML_MISSING_LANG', { element: htmlTag }));
+      locations.push(getLocation(content, htmlMatch.index, htmlTag.length));
+      return { pass: false, issues, elementsFound, locations };
     }
 
     const langValue = langMatch[1].trim();
 
     if (!langValue) {
-      issues.push(format('HTML_MISSING_LANG', { element: htmlTag }));
-      return { pass: false, issues, elementsFound };
+      issues.push(createIssue('HTML_MISSING_LANG', { element: htmlTag }));
+      locations.push(getLocation(content, htmlMatch.index, htmlTag.length));
+      return { pass: false, issues, elementsFound, locations };
     }
 
     // Validate lang value format (basic check for BCP 47 format)
     // Examples: en, en-US, de, fr-CA, zh-Hans
     const validLangRegex = /^[a-z]{2,3}(-[A-Za-z]{2,4})?(-[A-Za-z]{2})?$/;
     if (!validLangRegex.test(langValue)) {
-      issues.push(format('HTML_MISSING_LANG', { element: htmlTag }));
-      return { pass: false, issues, elementsFound };
+      issues.push(createIssue('HTML_MISSING_LANG', { element: htmlTag }));
+      locations.push(getLocation(content, htmlMatch.index, htmlTag.length));
+      return { pass: false, issues, elementsFound, locations };
     }
 
     return { pass: true, issues: [], elementsFound };
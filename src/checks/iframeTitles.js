@@ -1,4 +1,28 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+
+// Placeholder title added by fix(); meant to be replaced by a real description
+const TITLE_PLACEHOLDER = 'TODO: describe iframe content';
+
+/**
+ * Find <iframe> start tags and whether they have a title, aria-label or aria-labelledby
+ */
+function findIframes(content) {
+  const found = [];
+  const iframeRegex = /<iframe[^>]*>/gi;
+  let match;
+
+  while ((match = iframeRegex.exec(content)) !== null) {
+    const iframe = match[0];
+    const hasTitle = /\btitle=/i.test(iframe) || /\[title\]=/i.test(iframe);
+    const hasAriaLabel = /aria-label=/i.test(iframe);
+    const hasAriaLabelledBy = /aria-labelledby=/i.test(iframe);
+
+    found.push({ iframe, index: match.index, labeled: hasTitle || hasAriaLabel || hasAriaLabelledBy });
+  }
+
+  return found;
+}
 
 module.exports = {
   name: 'iframeTitles',
@@ -15,22 +39,34 @@ module.exports = {
     }
 
     const issues = [];
-    let elementsFound = 0;
-    const iframeRegex = /<iframe[^>]*>/gi;
-    let match;
-
-    while ((match = iframeRegex.exec(content)) !== null) {
-      elementsFound++;
-      const iframe = match[0];
-      const hasTitle = /\btitle=/i.test(iframe) || /\[title\]=/i.test(iframe);
-      const hasAriaLabel = /aria-label=/i.test(iframe);
-      const hasAriaLabelledBy = /aria-labelledby=/i.test(iframe);
-
-      if (!hasTitle && !hasAriaLabel && !hasAriaLabelledBy) {
-        issues.push(format('IFRAME_MISSING_TITLE', { element: iframe }));
+    const locations = [];
+    const iframes = findIframes(content);
+
+    for (const { iframe, index, labeled } of iframes) {
+      if (!labeled) {
+        issues.push(createIssue('IFRAME_MISSING_TITLE', { element: iframe }));
+        locations.push(getLocation(content, index, iframe.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound: iframes.length, locations };
+  },
+
+  /**
+   * Add a placeholder title to untitled iframes, to be replaced by a real
+   * description of the frame content
+   */
+  fix(content) {
+    if (!/<iframe/i.test(content)) return [];
+
+    return findIframes(content)
+      .filter(({ labeled }) => !labeled)
+      .map(({ iframe, index }) => {
+        const nameEnd = index + '<iframe'.length;
+        return {
+          location: getLocation(content, index, iframe.length),
+          edits: [{ start: nameEnd, end: nameEnd, text: ` title="${TITLE_PLACEHOLDER}"` }]
+        };
+      });
   }
 };
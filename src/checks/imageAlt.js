@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT = /<img\b/i;
@@ -20,6 +21,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Reset regex state
@@ -31,10 +33,11 @@ module.exports = {
       const img = match[0];
 
       if (!HAS_ALT.test(img)) {
-        issues.push(format('IMG_MISSING_ALT', { element: img }));
+        issues.push(createIssue('IMG_MISSING_ALT', { element: img }));
+        locations.push(getLocation(content, match.index, img.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-/**
- * Gets the line number for a given index in the HTML string
- */
-function getLineNumber(html, index) {
-  const upToIndex = html.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 /**
  * Checks if an innerHTML expression appears to use sanitization
@@ -55,6 +47,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '4.1.2',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -63,6 +56,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match [innerHTML] bindings
@@ -72,19 +66,22 @@ module.exports = {
     while ((match = innerHtmlPattern.exec(content)) !== null) {
       elementsFound++;
       const boundExpression = match[1];
-      const lineNumber = getLineNumber(content, match.index);
+      const location = getLocation(content, match.index, match[0].length);
       const isSanitized = isSanitizedExpression(boundExpression);
       const isUserContent = isUserFacingContent(boundExpression);
 
       if (isSanitized) {
         // Sanitized content - lower severity warning
-        issues.push(format('INNER_HTML_USAGE', { element: `[innerHTML]="${boundExpression}"`, line: lineNumber }));
+        issues.push(createIssue('INNER_HTML_USAGE', { element: `[innerHTML]="${boundExpression}"`, line: location.line }));
+        locations.push(location);
       } else if (isUserContent) {
         // User content without apparent sanitization - high severity
-        issues.push(format('INNER_HTML_USAGE', { element: `[innerHTML]="${boundExpression}"`, line: lineNumber }));
+        issues.push(createIssue('INNER_HTML_USAGE', { element: `[innerHTML]="${boundExpression}"`, line: location.line }));
+        locations.push(location);
       } else {
         // General innerHTML usage
-        issues.push(format('INNER_HTML_USAGE', { element: `[innerHTML]="${boundExpression}"`, line: lineNumber }));
+        issues.push(createIssue('INNER_HTML_USAGE', { element: `[innerHTML]="${boundExpression}"`, line: location.line }));
+        locations.push(location);
       }
     }
 
@@ -94,11 +91,12 @@ module.exports = {
     while ((match = outerHtmlPattern.exec(content)) !== null) {
       elementsFound++;
       const boundExpression = match[1];
-      const lineNumber = getLineNumber(content, match.index);
+      const location = getLocation(content, match.index, match[0].length);
 
-      issues.push(format('INNER_HTML_USAGE', { element: `[outerHTML]="${boundExpression}"`, line: lineNumber }));
+      issues.push(createIssue('INNER_HTML_USAGE', { element: `[outerHTML]="${boundExpression}"`, line: location.line }));
+      locations.push(location);
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
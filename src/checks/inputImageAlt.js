@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-/**
- * Gets the line number for a given index in the content string
- */
-function getLineNumber(content, index) {
-  const upToIndex = content.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'inputImageAlt',
@@ -15,6 +7,7 @@ module.exports = {
   tier: 'material',
   type: 'html',
   weight: 7,
+  wcag: '1.1.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -23,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match input elements with type="image" (including Angular binding [type]="'image'")
@@ -32,7 +26,7 @@ module.exports = {
     while ((inputMatch = inputImageRegex.exec(content)) !== null) {
       elementsFound++;
       const inputTag = inputMatch[0];
-      const lineNumber = getLineNumber(content, inputMatch.index);
+      const location = getLocation(content, inputMatch.index, inputTag.length);
 
       // Check for alt attribute (including Angular binding [alt])
       // For [alt]="expression", we consider it valid if the binding exists
@@ -51,18 +45,22 @@ module.exports = {
       const srcInfo = srcMatch ? ` (src="${srcMatch[1]}")` : '';
 
       if (!altMatch && !hasAltBinding && !ariaLabelMatch) {
-        issues.push(format('INPUT_IMAGE_MISSING_ALT', { element: `<input type="image">${srcInfo}`, line: lineNumber }));
+        issues.push(createIssue('INPUT_IMAGE_MISSING_ALT', { element: `<input type="image">${srcInfo}`, line: location.line }));
+        locations.push(location);
       } else if (altMatch && !altMatch[1].trim() && !hasAltBinding) {
-        issues.push(format('INPUT_IMAGE_MISSING_ALT', { element: `<input type="image">${srcInfo}`, line: lineNumber }));
+        issues.push(createIssue('INPUT_IMAGE_MISSING_ALT', { element: `<input type="image">${srcInfo}`, line: location.line }));
+        locations.push(location);
       } else if (ariaLabelMatch && !ariaLabelMatch[1].trim()) {
-        issues.push(format('INPUT_IMAGE_MISSING_ALT', { element: `<input type="image">${srcInfo}`, line: lineNumber }));
+        issues.push(createIssue('INPUT_IMAGE_MISSING_ALT', { element: `<input type="image">${srcInfo}`, line: location.line }));
+        locations.push(location);
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
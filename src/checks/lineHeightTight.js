@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT = /line-height\s*:/i;
@@ -15,6 +16,7 @@ module.exports = {
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '1.4.12',
 
   check(content) {
     // Early exit: no line-height declarations, no issues
@@ -23,6 +25,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Reset regex state
@@ -63,14 +66,17 @@ module.exports = {
       }
 
       if (isTooTight) {
-        issues.push(format('TEXT_LINE_HEIGHT_TIGHT', { element: `${selector} { line-height: ${parsedValue}; }` }));
+        issues.push(createIssue('TEXT_LINE_HEIGHT_TIGHT', { element: `${selector} { line-height: ${parsedValue}; }` }));
+        const declaration = match.index + match[0].lastIndexOf('line-height');
+        locations.push(getLocation(content, declaration, match.index + match[0].trimEnd().length - declaration));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
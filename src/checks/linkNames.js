@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT = /<a\b/i;
@@ -29,14 +30,17 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
 
     // Reset regex state
     LINK_REGEX.lastIndex = 0;
 
-    const links = content.match(LINK_REGEX) || [];
-    const elementsFound = links.length;
+    let elementsFound = 0;
+    let match;
 
-    for (const link of links) {
+    while ((match = LINK_REGEX.exec(content)) !== null) {
+      elementsFound++;
+      const link = match[0];
       const hasAriaLabel = ARIA_LABEL.test(link);
       const hasAriaLabelledBy = ARIA_LABELLEDBY.test(link);
       const hasTitle = TITLE_ATTR.test(link);
@@ -53,14 +57,16 @@ module.exports = {
       if (!textContent && !hasAriaLabel && !hasAriaLabelledBy && !hasTitle) {
         const snippet = link.substring(0, 80).replace(/\s+/g, ' ').trim();
         const truncated = link.length > 80 ? '...' : '';
-        issues.push(format('LINK_MISSING_NAME', { element: `${snippet}${truncated}` }));
+        issues.push(createIssue('LINK_MISSING_NAME', { element: `${snippet}${truncated}` }));
+        locations.push(getLocation(content, match.index, link.length));
       } else if (textContent && GENERIC_TEXTS.test(textContent)) {
         const snippet = link.substring(0, 80).replace(/\s+/g, ' ').trim();
         const truncated = link.length > 80 ? '...' : '';
-        issues.push(format('LINK_GENERIC_TEXT', { text: textContent, element: `${snippet}${truncated}` }));
+        issues.push(createIssue('LINK_GENERIC_TEXT', { text: textContent, element: `${snippet}${truncated}` }));
+        locations.push(getLocation(content, match.index, link.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
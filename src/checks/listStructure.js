@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'listStructure',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Find all <li> elements (not <line>, <link>, etc.)
@@ -44,10 +46,11 @@ module.exports = {
       const inRoleList = roleListOpens > 0;
 
       if (!inProperList && !inCustomComponent && !hasListitemRole && !inRoleList) {
-        issues.push(format('LIST_INVALID_CHILD', { parent: 'ul/ol', element: '<li>' }));
+        issues.push(createIssue('LIST_INVALID_CHILD', { parent: 'ul/ol', element: '<li>' }));
+        locations.push(getLocation(content, liPosition, match[0].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
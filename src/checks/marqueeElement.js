@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'marqueeElement',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'material',
   type: 'html',
   weight: 7,
+  wcag: '2.2.2',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,23 +16,24 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match marquee elements (opening tag)
     const marqueeRegex = /<marquee\b[^>]*>/gi;
-    const marqueeMatches = content.match(marqueeRegex);
+    let match;
 
-    if (marqueeMatches && marqueeMatches.length > 0) {
-      for (const match of marqueeMatches) {
-        elementsFound++;
-        issues.push(format('MOTION_MARQUEE', { element: match }));
-      }
+    while ((match = marqueeRegex.exec(content)) !== null) {
+      elementsFound++;
+      issues.push(createIssue('MOTION_MARQUEE', { element: match[0] }));
+      locations.push(getLocation(content, match.index, match[0].length));
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
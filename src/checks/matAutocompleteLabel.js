@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matAutocompleteLabel',
@@ -6,89 +8,41 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-autocomplete/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    /**
-     * Helper to check if an input element has a valid accessible label
-     * Handles both static attributes and Angular property bindings
-     */
-    function hasAccessibleLabel(attributes) {
-      // Static aria-label with non-empty value
-      const hasStaticAriaLabel = /aria-label\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-label: [aria-label]="..." or [attr.aria-label]="..."
-      const hasBoundAriaLabel = /\[aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                /\[attr\.aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Static aria-labelledby
-      const hasStaticAriaLabelledby = /aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-labelledby
-      const hasBoundAriaLabelledby = /\[aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                     /\[attr\.aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes);
+    // Inputs connected to an autocomplete: [matAutocomplete]="ref" or matAutocomplete="ref"
+    const inputs = findElements(template, el => el.name === 'input' && hasAttribute(el, 'matAutocomplete'));
 
-      return hasStaticAriaLabel || hasBoundAriaLabel || hasStaticAriaLabelledby || hasBoundAriaLabelledby;
-    }
-
-    /**
-     * Check if an input is inside a mat-form-field that contains a mat-label
-     */
-    function isInsideLabeledFormField(content, inputIndex) {
-      const beforeInput = content.substring(0, inputIndex);
-      const afterInput = content.substring(inputIndex);
-
-      // Find the last opening mat-form-field before this input
-      const lastFormFieldOpen = beforeInput.lastIndexOf('<mat-form-field');
-      const lastFormFieldClose = beforeInput.lastIndexOf('</mat-form-field');
-
-      // If no mat-form-field or the last one was closed, input is not inside
-      if (lastFormFieldOpen === -1 || lastFormFieldClose > lastFormFieldOpen) {
-        return false;
-      }
-
-      // Find the closing tag of this mat-form-field
-      const formFieldCloseAfterInput = afterInput.indexOf('</mat-form-field');
-      if (formFieldCloseAfterInput === -1) {
-        return false;
-      }
-
-      // Extract the mat-form-field content
-      const formFieldContent = content.substring(lastFormFieldOpen, inputIndex + formFieldCloseAfterInput);
-
-      // Check if this mat-form-field contains a mat-label
-      return /<mat-label[^>]*>/i.test(formFieldContent);
-    }
-
-    // Pattern to match input elements with matAutocomplete binding
-    // Matches both [matAutocomplete]="ref" and matAutocomplete="ref" syntaxes
-    const autocompleteInputRegex = /<input([^>]*(?:\[matAutocomplete\]|matAutocomplete)\s*=\s*["'][^"']*["'][^>]*)>/gi;
-
-    let match;
-
-    while ((match = autocompleteInputRegex.exec(content)) !== null) {
+    for (const input of inputs) {
       elementsFound++;
-      const fullMatch = match[0];
-      const attributes = match[1] || '';
-      const inputIndex = match.index;
 
-      // Check for accessible labeling
-      const hasLabel = hasAccessibleLabel(attributes);
-      const insideLabeledFormField = isInsideLabeledFormField(content, inputIndex);
+      // A mat-label in the surrounding mat-form-field labels the input
+      const formField = closest(input, 'mat-form-field');
+      const insideLabeledFormField = formField !== null && findElements(formField, 'mat-label').length > 0;
 
-      if (!hasLabel && !insideLabeledFormField) {
-        issues.push(format('MAT_AUTOCOMPLETE_MISSING_LABEL', { element: fullMatch }));
+      if (!hasAriaLabel(input) && !insideLabeledFormField) {
+        const startTag = content.slice(input.start, input.startTagEnd);
+        issues.push(createIssue('MAT_AUTOCOMPLETE_MISSING_LABEL', { element: startTag }));
+        locations.push(getLocation(content, input.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
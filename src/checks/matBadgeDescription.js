@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAttribute, hasAttributeValue, getStaticValue } = require('../core/templateParser');
 
 module.exports = {
   name: 'matBadgeDescription',
@@ -6,52 +8,45 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/matBadge/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Pattern to match elements with matBadge attribute (both static and bound)
-    // Matches: matBadge="5", [matBadge]="count", matBadge (boolean)
-    const matBadgeRegex = /<[a-z][a-z0-9-]*[^>]*\[?matBadge\]?[^>]*>/gi;
+    // Elements with a badge: matBadge="5", [matBadge]="count", matBadge (boolean)
+    const badges = findElements(template, el => hasAttribute(el, 'matBadge'));
 
-    let match;
-    while ((match = matBadgeRegex.exec(content)) !== null) {
+    for (const badge of badges) {
       elementsFound++;
-      const fullMatch = match[0];
 
-      // Check if badge is hidden (matBadgeHidden="true" or [matBadgeHidden]="true" or [matBadgeHidden]="someVar")
-      // If hidden, description is not required
-      const hasMatBadgeHiddenTrue = /matBadgeHidden\s*=\s*["']true["']/i.test(fullMatch);
-      const hasBoundMatBadgeHidden = /\[matBadgeHidden\]\s*=\s*["'][^"']+["']/i.test(fullMatch);
-
-      // If badge is hidden (either statically true or bound to a variable), skip the check
-      // Note: For bound hidden, we can't know the runtime value, but presence indicates developer awareness
-      if (hasMatBadgeHiddenTrue) {
+      // Hidden badges (matBadgeHidden="true") need no description.
+      // A bound matBadgeHidden can't be evaluated, so the description is still required.
+      const hidden = getStaticValue(badge, 'matBadgeHidden');
+      if (hidden !== null && hidden.trim().toLowerCase() === 'true') {
         continue;
       }
 
-      // Check for matBadgeDescription (static or bound)
-      // Matches: matBadgeDescription="5 unread", [matBadgeDescription]="description"
-      // For bound values, we need to handle cases like [matBadgeDescription]="'text'" where single quotes are inside double quotes
-      const hasStaticDescription = /matBadgeDescription\s*=\s*["'][^"']+["']/i.test(fullMatch);
-      const hasBoundDescription = /\[matBadgeDescription\]\s*=\s*"[^"]+"/i.test(fullMatch) ||
-                                  /\[matBadgeDescription\]\s*=\s*'[^']+'/i.test(fullMatch);
-
-      if (!hasStaticDescription && !hasBoundDescription) {
-        issues.push(format('MAT_BADGE_MISSING_DESCRIPTION', { element: fullMatch }));
+      // matBadgeDescription="5 unread" or [matBadgeDescription]="description"
+      if (!hasAttributeValue(badge, 'matBadgeDescription')) {
+        const startTag = content.slice(badge.start, badge.startTagEnd);
+        issues.push(createIssue('MAT_BADGE_MISSING_DESCRIPTION', { element: startTag }));
+        locations.push(getLocation(content, badge.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,28 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, VOID_ELEMENTS } = require('../core/templateParser');
+
+// List of mat-button directive variants
+const BUTTON_DIRECTIVES = [
+  'mat-button',
+  'mat-raised-button',
+  'mat-flat-button',
+  'mat-stroked-button',
+  'mat-icon-button',
+  'mat-fab',
+  'mat-mini-fab'
+];
+const VALID_ELEMENTS = ['button', 'a'];
+const EARLY_EXIT = /mat-button|mat-raised-button|mat-flat-button|mat-stroked-button|mat-icon-button|mat-fab|mat-mini-fab/i;
+
+/**
+ * Find elements with a button directive as attribute (with or without value)
+ */
+function findButtonHosts(template) {
+  return findElements(template, el =>
+    BUTTON_DIRECTIVES.some(directive => hasAttribute(el, directive, ['static']))
+  );
+}
 
 module.exports = {
   name: 'matButtonType',
@@ -8,62 +32,76 @@ module.exports = {
   weight: 7,
   wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no mat-button directives, no issues
-    if (!/mat-button|mat-raised-button|mat-flat-button|mat-stroked-button|mat-icon-button|mat-fab|mat-mini-fab/i.test(content)) {
+    if (!EARLY_EXIT.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // List of mat-button directive variants
-    const buttonDirectives = [
-      'mat-button',
-      'mat-raised-button',
-      'mat-flat-button',
-      'mat-stroked-button',
-      'mat-icon-button',
-      'mat-fab',
-      'mat-mini-fab'
-    ];
-
-    // Create regex pattern to match any element with mat-button directives
-    // This matches the opening tag of any element
-    const elementRegex = /<([a-z][a-z0-9-]*)\s([^>]*?)>/gi;
-
-    let match;
+    for (const element of findButtonHosts(template)) {
+      elementsFound++;
 
-    while ((match = elementRegex.exec(content)) !== null) {
-      const tagName = match[1].toLowerCase();
-      const attributes = match[2] || '';
-      const fullMatch = match[0];
-
-      // Check if any mat-button directive is present
-      let foundDirective = null;
-      for (const directive of buttonDirectives) {
-        // Match directive as attribute (with or without value)
-        const directiveRegex = new RegExp(`\\b${directive}\\b`, 'i');
-        if (directiveRegex.test(attributes)) {
-          foundDirective = directive;
-          break;
-        }
-      }
-
-      // If a button directive was found, verify it's on a valid element
-      if (foundDirective) {
-        elementsFound++;
-        const validElements = ['button', 'a'];
-        if (!validElements.includes(tagName)) {
-          issues.push(format('MAT_BUTTON_MISSING_TYPE', { element: fullMatch }));
-        }
+      if (!VALID_ELEMENTS.includes(element.name)) {
+        const startTag = content.slice(element.start, element.startTagEnd);
+        issues.push(createIssue('MAT_BUTTON_MISSING_TYPE', { element: startTag }));
+        locations.push(getLocation(content, element.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
+  },
+
+  /**
+   * Turn <div mat-button> into <button type="button" mat-button>.
+   * Components, void elements and hosts nested in a button or link (where
+   * a <button> would be invalid) need a manual fix.
+   */
+  fix(content, context) {
+    if (!EARLY_EXIT.test(content)) return [];
+
+    const template = getTemplate(content, context);
+    const fixes = [];
+
+    for (const element of findButtonHosts(template)) {
+      if (VALID_ELEMENTS.includes(element.name) || VOID_ELEMENTS.has(element.name) || element.name.includes('-')) continue;
+      if (closest(element, el => VALID_ELEMENTS.includes(el.name))) continue;
+
+      const nameStart = element.start + 1;
+      const nameEnd = nameStart + element.name.length;
+      const edits = [{
+        start: nameStart,
+        end: nameEnd,
+        text: hasAttribute(element, 'type') ? 'button' : 'button type="button"'
+      }];
+
+      if (element.selfClosing) {
+        // <div mat-button /> -> <button type="button" mat-button></button>
+        let close = content.lastIndexOf('/', element.startTagEnd);
+        while (/\s/.test(content[close - 1])) close--;
+        edits.push({ start: close, end: element.startTagEnd, text: '></button>' });
+      } else if (element.endTagStart !== null) {
+        const endNameStart = element.endTagStart + 2;
+        edits.push({ start: endNameStart, end: endNameStart + element.name.length, text: 'button' });
+      } else {
+        continue;
+      }
+
+      fixes.push({
+        location: getLocation(content, element.start, element.startTagEnd - element.start),
+        edits
+      });
+    }
+
+    return fixes;
   }
 };
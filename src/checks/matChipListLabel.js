@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matChipListLabel',
@@ -6,60 +8,37 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-chip/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    /**
-     * Helper to check if an element has a valid accessible label
-     * Handles both static attributes and Angular property bindings
-     */
-    function hasAccessibleLabel(attributes) {
-      // Static aria-label with non-empty value
-      const hasStaticAriaLabel = /aria-label\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-label: [aria-label]="..." or [attr.aria-label]="..."
-      const hasBoundAriaLabel = /\[aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                /\[attr\.aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Static aria-labelledby
-      const hasStaticAriaLabelledby = /aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-labelledby
-      const hasBoundAriaLabelledby = /\[aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                     /\[attr\.aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      return hasStaticAriaLabel || hasBoundAriaLabel || hasStaticAriaLabelledby || hasBoundAriaLabelledby;
-    }
-
     // Chip components to check (covers both legacy and MDC-based APIs)
-    const chipComponents = [
-      { name: 'mat-chip-list', regex: /<mat-chip-list([^>]*)>/gi },
-      { name: 'mat-chip-listbox', regex: /<mat-chip-listbox([^>]*)>/gi },
-      { name: 'mat-chip-set', regex: /<mat-chip-set([^>]*)>/gi },
-      { name: 'mat-chip-grid', regex: /<mat-chip-grid([^>]*)>/gi }
-    ];
+    const chipComponents = ['mat-chip-list', 'mat-chip-listbox', 'mat-chip-set', 'mat-chip-grid'];
 
-    for (const { name, regex } of chipComponents) {
-      let match;
-      while ((match = regex.exec(content)) !== null) {
-        elementsFound++;
-        const fullMatch = match[0];
-        const attributes = match[1] || '';
+    for (const chipList of findElements(template, chipComponents)) {
+      elementsFound++;
 
-        if (!hasAccessibleLabel(attributes)) {
-          issues.push(format('MAT_CHIP_LIST_MISSING_LABEL', { element: fullMatch }));
-        }
+      if (!hasAriaLabel(chipList)) {
+        const startTag = content.slice(chipList.start, chipList.startTagEnd);
+        issues.push(createIssue('MAT_CHIP_LIST_MISSING_LABEL', { element: startTag }));
+        locations.push(getLocation(content, chipList.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matDatepickerLabel',
@@ -6,90 +8,53 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-datepicker|matDatepicker/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Check 1: Find input elements with [matDatepicker] binding
+    // Check 1: Inputs with a [matDatepicker] binding
     // The input should have aria-label OR be inside mat-form-field with mat-label
-    const datepickerInputRegex = /<input[^>]*\[matDatepicker\]\s*=\s*["'][^"']*["'][^>]*>/gi;
+    const inputs = findElements(template, el => el.name === 'input' && hasAttribute(el, 'matDatepicker', ['property']));
 
-    let inputMatch;
-    let inputIndex = 0;
-    while ((inputMatch = datepickerInputRegex.exec(content)) !== null) {
-      inputIndex++;
+    for (const input of inputs) {
       elementsFound++;
-      const inputElement = inputMatch[0];
 
-      // Check if input has aria-label or aria-labelledby
-      const hasAriaLabel = /\[?aria-label\]?\s*=\s*["'][^"']+["']/i.test(inputElement);
-      const hasAriaLabelledby = /\[?aria-labelledby\]?\s*=\s*["'][^"']+["']/i.test(inputElement);
+      const formField = closest(input, 'mat-form-field');
+      const hasMatLabelInFormField = formField !== null && findElements(formField, 'mat-label').length > 0;
 
-      // Check if input is inside a mat-form-field with mat-label
-      // We need to check the surrounding context
-      const inputPosition = inputMatch.index;
-
-      // Look for the closest mat-form-field opening tag before this input
-      const contentBeforeInput = content.substring(0, inputPosition);
-      const contentAfterInput = content.substring(inputPosition);
-
-      // Find if there's an unclosed mat-form-field before this input
-      const formFieldOpens = (contentBeforeInput.match(/<mat-form-field[^>]*>/gi) || []).length;
-      const formFieldCloses = (contentBeforeInput.match(/<\/mat-form-field>/gi) || []).length;
-      const isInsideFormField = formFieldOpens > formFieldCloses;
-
-      let hasMatLabelInFormField = false;
-
-      if (isInsideFormField) {
-        // Find the last opening mat-form-field tag
-        const lastFormFieldMatch = contentBeforeInput.match(/<mat-form-field[^>]*>(?![\s\S]*<mat-form-field)/i);
-        if (lastFormFieldMatch) {
-          const formFieldStart = contentBeforeInput.lastIndexOf(lastFormFieldMatch[0]);
-          // Find the closing tag for this form field
-          const afterFormFieldStart = content.substring(formFieldStart);
-          const closingMatch = afterFormFieldStart.match(/<\/mat-form-field>/i);
-          if (closingMatch) {
-            const formFieldContent = afterFormFieldStart.substring(0, closingMatch.index);
-            hasMatLabelInFormField = /<mat-label[^>]*>/i.test(formFieldContent);
-          }
-        }
-      }
-
-      if (!hasAriaLabel && !hasAriaLabelledby && !hasMatLabelInFormField) {
-        issues.push(format('MAT_DATEPICKER_MISSING_LABEL', { element: inputElement }));
+      if (!hasAriaLabel(input) && !hasMatLabelInFormField) {
+        const startTag = content.slice(input.start, input.startTagEnd);
+        issues.push(createIssue('MAT_DATEPICKER_MISSING_LABEL', { element: startTag }));
+        locations.push(getLocation(content, input.start, startTag.length));
       }
     }
 
-    // Check 2: Find mat-datepicker-toggle elements
+    // Check 2: mat-datepicker-toggle elements
     // The toggle button should have aria-label for screen readers
-    const toggleRegex = /<mat-datepicker-toggle[^>]*>/gi;
-
-    let toggleMatch;
-    let toggleIndex = 0;
-    while ((toggleMatch = toggleRegex.exec(content)) !== null) {
-      toggleIndex++;
+    for (const toggle of findElements(template, 'mat-datepicker-toggle')) {
       elementsFound++;
-      const toggleElement = toggleMatch[0];
-
-      // Check if toggle has aria-label or aria-labelledby
-      const hasAriaLabel = /\[?aria-label\]?\s*=\s*["'][^"']+["']/i.test(toggleElement);
-      const hasAriaLabelledby = /\[?aria-labelledby\]?\s*=\s*["'][^"']+["']/i.test(toggleElement);
 
-      if (!hasAriaLabel && !hasAriaLabelledby) {
-        issues.push(format('MAT_DATEPICKER_MISSING_LABEL', { element: toggleElement }));
+      if (!hasAriaLabel(toggle)) {
+        const startTag = content.slice(toggle.start, toggle.startTagEnd);
+        issues.push(createIssue('MAT_DATEPICKER_MISSING_LABEL', { element: startTag }));
+        locations.push(getLocation(content, toggle.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
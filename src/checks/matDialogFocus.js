@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, getStaticValue } = require('../core/templateParser');
 
 module.exports = {
   name: 'matDialogFocus',
@@ -6,144 +8,105 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 5, // Reduced weight as MatDialog has reasonable defaults
+  wcag: '2.4.3',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-dialog|MatDialog|<dialog/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
+    const nonInteractiveElements = ['span', 'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+    const interactiveElements = ['input', 'select', 'textarea', 'button', 'a'];
+    const buttonDirectives = [
+      'mat-button', 'mat-raised-button', 'mat-flat-button', 'mat-stroked-button',
+      'mat-icon-button', 'mat-fab', 'mat-mini-fab'
+    ];
+    // Custom focus directives (e.g., appAutoFocus, autoFocus, focusOnInit, initialFocus)
+    const customFocusDirective = /^(?:app\w*focus|autofocus|focusoninit|initialfocus)$/i;
+
     /**
-     * Check if cdkFocusInitial is on an unfocusable element
-     * Returns true if cdkFocusInitial is present but on an element that can't be focused
+     * Check if a cdkFocusInitial element can't receive focus
      */
-    function hasFocusOnUnfocusableElement(dialogArea) {
-      // Pattern to match elements with cdkFocusInitial
-      const focusInitialRegex = /<([a-z][a-z0-9-]*)\s+([^>]*cdkFocusInitial[^>]*)>/gi;
-      let match;
-
-      while ((match = focusInitialRegex.exec(dialogArea)) !== null) {
-        const tagName = match[1].toLowerCase();
-        const attributes = match[2];
-
-        // Check if it's an input type="hidden"
-        if (tagName === 'input' && /type=["']hidden["']/i.test(attributes)) {
-          return true;
-        }
-
-        // Check if element is disabled
-        if (/\bdisabled\b/i.test(attributes)) {
-          return true;
-        }
-
-        // Check if element has aria-hidden="true"
-        if (/aria-hidden=["']true["']/i.test(attributes)) {
-          return true;
-        }
-
-        // Check if non-focusable element (span, div, etc.) with tabindex="-1"
-        const nonInteractiveElements = ['span', 'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
-        if (nonInteractiveElements.includes(tagName) && /tabindex=["']-1["']/i.test(attributes)) {
-          return true;
-        }
+    function isUnfocusable(el) {
+      // input type="hidden"
+      if (el.name === 'input' && getStaticValue(el, 'type') === 'hidden') {
+        return true;
       }
-
-      return false;
+      if (hasAttribute(el, 'disabled', ['static'])) {
+        return true;
+      }
+      if (getStaticValue(el, 'aria-hidden') === 'true') {
+        return true;
+      }
+      // Non-focusable element (span, div, etc.) with tabindex="-1"
+      return nonInteractiveElements.includes(el.name) && getStaticValue(el, 'tabindex') === '-1';
     }
 
     /**
-     * Check if the dialog content or surrounding context has focus management.
+     * Check if the dialog has focus management.
      * MatDialog automatically focuses the first tabbable element, but explicit
      * cdkFocusInitial provides better control and is recommended for complex dialogs.
      */
-    function hasFocusManagement(dialogArea) {
-      // First check if cdkFocusInitial is on an unfocusable element
-      if (hasFocusOnUnfocusableElement(dialogArea)) {
+    function hasFocusManagement(dialogScope) {
+      // cdkFocusInitial / [cdkFocusInitial] - explicit focus target, unless it can't be focused
+      const focusInitial = findElements(dialogScope, el => hasAttribute(el, 'cdkFocusInitial'));
+      if (focusInitial.some(isUnfocusable)) {
         return false;
       }
 
-      // cdkFocusInitial - explicit focus target
-      const hasFocusInitial = /cdkFocusInitial/i.test(dialogArea);
-      // cdkTrapFocusAutoCapture - auto-focus with trap
-      const hasAutoCapture = /cdkTrapFocusAutoCapture/i.test(dialogArea);
-      // [cdkFocusInitial]="expression" - Angular bound
-      const hasBoundFocusInitial = /\[cdkFocusInitial\]/i.test(dialogArea);
-      // autofocus attribute (native HTML, less recommended but valid)
-      const hasAutofocus = /\bautofocus\b/i.test(dialogArea);
-      // Custom focus directives (e.g., appAutoFocus, autoFocus, focusOnInit, initialFocus)
-      const hasCustomFocusDirective = /app[A-Z]\w*[Ff]ocus|autoFocus|focusOnInit|initialFocus/i.test(dialogArea);
-      // Dialog with role="dialog" and aria-modal="true" (native dialog behavior handles focus)
-      const hasAriaModalDialog = /role=["']dialog["'][^>]*aria-modal=["']true["']|aria-modal=["']true["'][^>]*role=["']dialog["']/i.test(dialogArea);
-
-      return hasFocusInitial || hasAutoCapture || hasBoundFocusInitial || hasAutofocus || hasCustomFocusDirective || hasAriaModalDialog;
+      return focusInitial.length > 0 || findElements(dialogScope, el =>
+        // cdkTrapFocusAutoCapture - auto-focus with trap
+        hasAttribute(el, 'cdkTrapFocusAutoCapture') ||
+        // autofocus attribute (native HTML) and custom focus directives
+        el.attrs.some(attr => customFocusDirective.test(attr.key)) ||
+        // role="dialog" with aria-modal="true" (native dialog behavior handles focus)
+        (getStaticValue(el, 'role') === 'dialog' && getStaticValue(el, 'aria-modal') === 'true')
+      ).length > 0;
     }
 
     /**
-     * Check if dialog has interactive elements that would benefit from explicit focus
+     * Check if dialog content has interactive elements that would benefit from explicit focus
      */
-    function hasInteractiveElements(content) {
-      return /<(input|select|textarea|button|a\s)/i.test(content) ||
-             /mat-button|mat-raised-button|mat-flat-button|mat-stroked-button|mat-icon-button|mat-fab|mat-mini-fab/i.test(content) ||
-             /matInput/i.test(content);
+    function hasInteractiveElements(dialogContent) {
+      return findElements(dialogContent, el =>
+        interactiveElements.includes(el.name) ||
+        buttonDirectives.some(directive => hasAttribute(el, directive, ['static'])) ||
+        hasAttribute(el, 'matInput', ['static'])
+      ).length > 0;
     }
 
-    /**
-     * Try to get broader dialog context by looking for complete dialog structure
-     */
-    function getDialogContext(content, startIndex, endIndex) {
-      // Look backwards for mat-dialog-title or dialog container
-      const beforeContent = content.substring(Math.max(0, startIndex - 500), startIndex);
-      const afterContent = content.substring(endIndex, Math.min(content.length, endIndex + 500));
-
-      // Combine for context - title might have cdkFocusInitial
-      return beforeContent + content.substring(startIndex, endIndex) + afterContent;
-    }
-
-    // Match mat-dialog-content element (includes content for context)
-    const dialogContentRegex = /<mat-dialog-content([^>]*)>([\s\S]*?)<\/mat-dialog-content>/gi;
-
-    // Match div[mat-dialog-content] attribute pattern
-    const divDialogContentRegex = /<div[^>]*\bmat-dialog-content\b[^>]*>([\s\S]*?)<\/div>/gi;
-
-    let match;
-
-    // Check <mat-dialog-content> elements
-    while ((match = dialogContentRegex.exec(content)) !== null) {
-      elementsFound++;
-      const fullMatch = match[0];
-      const dialogContent = match[2] || '';
-
-      // Get broader context to check for focus management in title/actions areas
-      const dialogContext = getDialogContext(content, match.index, match.index + fullMatch.length);
-
-      // Only flag if:
-      // 1. No focus management found in entire dialog context
-      // 2. There are interactive elements that need focus
-      if (!hasFocusManagement(dialogContext) && hasInteractiveElements(dialogContent)) {
-        issues.push(format('MAT_DIALOG_FOCUS', { element: fullMatch }));
-      }
-    }
+    // <mat-dialog-content> and elements with the mat-dialog-content attribute
+    const dialogContents = findElements(template, el =>
+      el.name === 'mat-dialog-content' || hasAttribute(el, 'mat-dialog-content', ['static'])
+    );
 
-    // Check elements with [mat-dialog-content] attribute
-    while ((match = divDialogContentRegex.exec(content)) !== null) {
+    for (const dialogContent of dialogContents) {
       elementsFound++;
-      const fullMatch = match[0];
-      const dialogContent = match[1] || fullMatch;
 
-      const dialogContext = getDialogContext(content, match.index, match.index + fullMatch.length);
+      // The dialog's template (title, content, actions): the enclosing
+      // <ng-template> for inline dialogs, otherwise the whole file
+      const dialogScope = closest(dialogContent, 'ng-template') || template;
 
-      if (!hasFocusManagement(dialogContext) && hasInteractiveElements(dialogContent)) {
-        issues.push(format('MAT_DIALOG_FOCUS', { element: fullMatch }));
+      // Only flag if there is no focus management anywhere in the dialog
+      // and there are interactive elements that need focus
+      if (!hasFocusManagement(dialogScope) && hasInteractiveElements(dialogContent)) {
+        const element = content.slice(dialogContent.start, dialogContent.end);
+        issues.push(createIssue('MAT_DIALOG_FOCUS', { element }));
+        locations.push(getLocation(content, dialogContent.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -0,0 +1,72 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getSource, findInjected, findCalls, parseObjectLiteral, getStringValue } = require('../core/tsParser');
+
+// Dialog content in this file that names the dialog (inline templates)
+const DIALOG_TITLE_REGEX = /mat-dialog-title|matDialogTitle/;
+
+module.exports = {
+  name: 'matDialogOpenConfig',
+  description: 'Check that MatDialog.open() calls name the dialog and keep focus management enabled',
+  tier: 'material',
+  type: 'ts',
+  weight: 7,
+  wcag: '4.1.2',
+
+  check(content, context) {
+    // Early exit: no relevant elements, no issues
+    if (!/MatDialog\b/.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const source = getSource(content, context);
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    const hasDialogTitle = DIALOG_TITLE_REGEX.test(source.code);
+    const calls = findCalls(source, findInjected(source, 'MatDialog'), ['open']);
+
+    // Issues show the call, located at the offending option (or the call)
+    const report = (code, call, range) => {
+      issues.push(createIssue(code, { element: content.slice(call.start, call.end) }));
+      locations.push(getLocation(content, range.start, range.end - range.start));
+    };
+
+    for (const call of calls) {
+      elementsFound++;
+
+      // open(componentOrTemplate, config?)
+      const configArg = call.args[1];
+      const config = configArg ? parseObjectLiteral(source, configArg) : null;
+      // Config built elsewhere (variable, injected token): can't tell
+      if (configArg && !config) continue;
+
+      const properties = config ? config.properties : new Map();
+      const ariaLabel = properties.get('ariaLabel');
+      const hasLabel = properties.has('ariaLabelledBy') ||
+        (ariaLabel && getStringValue(ariaLabel.text) !== '') ||
+        (config && config.spread);
+      if (!hasLabel && !hasDialogTitle) {
+        report('MAT_DIALOG_OPEN_NO_LABEL', call, call);
+      }
+
+      const autoFocus = properties.get('autoFocus');
+      if (autoFocus && autoFocus.text === 'false') {
+        report('MAT_DIALOG_OPEN_AUTOFOCUS_DISABLED', call, autoFocus);
+      }
+
+      const restoreFocus = properties.get('restoreFocus');
+      if (restoreFocus && restoreFocus.text === 'false') {
+        report('MAT_DIALOG_OPEN_RESTORE_FOCUS_DISABLED', call, restoreFocus);
+      }
+    }
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements } = require('../core/templateParser');
 
 module.exports = {
   name: 'matFormFieldLabel',
@@ -8,38 +10,33 @@ module.exports = {
   weight: 7,
   wcag: '1.3.1',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-form-field/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Pattern to match mat-form-field elements with their content
-    // Uses a non-greedy match to capture content between opening and closing tags
-    const matFormFieldRegex = /<mat-form-field([^>]*)>([\s\S]*?)<\/mat-form-field>/gi;
-
-    let match;
-
-    while ((match = matFormFieldRegex.exec(content)) !== null) {
+    for (const field of findElements(template, 'mat-form-field')) {
       elementsFound++;
-      const fullMatch = match[0];
-      const fieldContent = match[2] || '';
-
-      // Check if mat-label exists within the form field content
-      const hasMatLabel = /<mat-label[^>]*>/i.test(fieldContent);
 
-      if (!hasMatLabel) {
-        issues.push(format('MAT_FORM_FIELD_MISSING_LABEL', { element: fullMatch }));
+      // Check if mat-label exists within the form field
+      if (findElements(field, 'mat-label').length === 0) {
+        const element = content.slice(field.start, field.end);
+        issues.push(createIssue('MAT_FORM_FIELD_MISSING_LABEL', { element }));
+        locations.push(getLocation(content, field.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
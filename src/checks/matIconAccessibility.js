@@ -1,15 +1,42 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, hasAriaLabel, getStaticValue, getTextContent } = require('../core/templateParser');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT = /mat-icon|\bmatIcon\b/i;
-// Combined pattern: matches both <mat-icon>...</mat-icon> and elements with [matIcon]
-const MAT_ICON_COMBINED = /<mat-icon([^>]*)(?:>([^<]*)<\/mat-icon>|\/>)|<[a-z][a-z0-9-]*[^>]*\bmatIcon\b[^>]*>/gi;
-const ARIA_HIDDEN_TRUE = /aria-hidden\s*=\s*["']true["']/i;
-// Support both static and Angular bound aria-label with nested quotes
-const ARIA_LABEL_VALUE = /(?:aria-label\s*=\s*(?:"[^"]+"|'[^']+')|\[aria-label\]\s*=\s*(?:"[^"]+"|'[^']+')|\[attr\.aria-label\]\s*=\s*(?:"[^"]+"|'[^']+'))/i;
-const ARIA_LABELLEDBY_VALUE = /(?:aria-labelledby\s*=\s*(?:"[^"]+"|'[^']+')|\[aria-labelledby\]\s*=\s*(?:"[^"]+"|'[^']+')|\[attr\.aria-labelledby\]\s*=\s*(?:"[^"]+"|'[^']+'))/i;
 // role="presentation" or role="none" makes icon decorative
-const ROLE_PRESENTATION = /role\s*=\s*["'](?:presentation|none)["']/i;
+const ROLE_PRESENTATION = /^(?:presentation|none)$/i;
+
+/**
+ * Find icons without aria-hidden="true", an accessible name or a presentation role
+ */
+function findUnlabeledIcons(template) {
+  // <mat-icon> elements and elements with a [matIcon] directive
+  const icons = findElements(template, el => el.name === 'mat-icon' || hasAttribute(el, 'matIcon'));
+
+  return icons.filter(icon => {
+    const ariaHidden = getStaticValue(icon, 'aria-hidden');
+    const role = getStaticValue(icon, 'role');
+
+    return !((ariaHidden !== null && ariaHidden.trim().toLowerCase() === 'true') ||
+      hasAriaLabel(icon) ||
+      (role !== null && ROLE_PRESENTATION.test(role.trim())));
+  });
+}
+
+/**
+ * Check if an icon is decorative: the button/link around it is named by
+ * aria-label or text, or it sits next to text outside of any control
+ */
+function isDecorative(icon) {
+  const isIcon = el => el.name === 'mat-icon';
+  const control = closest(icon, el => el.name === 'button' || el.name === 'a');
+
+  if (control) {
+    return hasAriaLabel(control) || getTextContent(control, isIcon).trim() !== '';
+  }
+  return icon.parent && icon.parent.type === 'element' && getTextContent(icon.parent, isIcon).trim() !== '';
+}
 
 module.exports = {
   name: 'matIconAccessibility',
@@ -19,38 +46,54 @@ module.exports = {
   weight: 7,
   wcag: '1.1.1',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!EARLY_EXIT.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
-    let elementsFound = 0;
-
-    // Reset regex state
-    MAT_ICON_COMBINED.lastIndex = 0;
-
-    let match;
-    while ((match = MAT_ICON_COMBINED.exec(content)) !== null) {
-      elementsFound++;
-      const fullMatch = match[0];
+    const locations = [];
+    const elementsFound = findElements(template, el => el.name === 'mat-icon' || hasAttribute(el, 'matIcon')).length;
 
-      // Fast path: test against full match for aria attributes and role
-      if (ARIA_HIDDEN_TRUE.test(fullMatch) ||
-          ARIA_LABEL_VALUE.test(fullMatch) ||
-          ARIA_LABELLEDBY_VALUE.test(fullMatch) ||
-          ROLE_PRESENTATION.test(fullMatch)) {
-        continue;
-      }
-
-      issues.push(format('MAT_ICON_MISSING_LABEL', { element: fullMatch }));
+    for (const icon of findUnlabeledIcons(template)) {
+      // Report the whole <mat-icon>name</mat-icon>, or the start tag of directive hosts
+      const end = icon.name === 'mat-icon' ? icon.end : icon.startTagEnd;
+      const element = content.slice(icon.start, end);
+      issues.push(createIssue('MAT_ICON_MISSING_LABEL', { element }));
+      locations.push(getLocation(content, icon.start, element.length));
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
+  },
+
+  /**
+   * Add aria-hidden="true" to decorative icons. Icons that are the only
+   * content of a control need a label instead and are left alone, as are
+   * icons with a (bound) aria-hidden.
+   */
+  fix(content, context) {
+    if (!EARLY_EXIT.test(content)) return [];
+
+    const template = getTemplate(content, context);
+    const fixes = [];
+
+    for (const icon of findUnlabeledIcons(template)) {
+      if (icon.name !== 'mat-icon' || hasAttribute(icon, 'aria-hidden') || !isDecorative(icon)) continue;
+
+      const nameEnd = icon.start + 1 + icon.name.length;
+      fixes.push({
+        location: getLocation(content, icon.start, icon.end - icon.start),
+        edits: [{ start: nameEnd, end: nameEnd, text: ' aria-hidden="true"' }]
+      });
+    }
+
+    return fixes;
   }
 };
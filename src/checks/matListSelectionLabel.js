@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matListSelectionLabel',
@@ -6,53 +8,34 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-selection-list/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    /**
-     * Helper to check if an element has a valid accessible label
-     * Handles both static attributes and Angular property bindings
-     */
-    function hasAccessibleLabel(attributes) {
-      // Static aria-label with non-empty value
-      const hasStaticAriaLabel = /aria-label\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-label: [aria-label]="..." or [attr.aria-label]="..."
-      const hasBoundAriaLabel = /\[aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                /\[attr\.aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Static aria-labelledby
-      const hasStaticAriaLabelledby = /aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-labelledby
-      const hasBoundAriaLabelledby = /\[aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                     /\[attr\.aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      return hasStaticAriaLabel || hasBoundAriaLabel || hasStaticAriaLabelledby || hasBoundAriaLabelledby;
-    }
-
-    // Match <mat-selection-list> elements and capture their attributes
-    const regex = /<mat-selection-list([^>]*)>/gi;
-
-    let match;
-    while ((match = regex.exec(content)) !== null) {
+    for (const list of findElements(template, 'mat-selection-list')) {
       elementsFound++;
-      const fullMatch = match[0];
-      const attributes = match[1] || '';
 
-      if (!hasAccessibleLabel(attributes)) {
-        issues.push(format('MAT_LIST_SELECTION_MISSING_LABEL', { element: fullMatch }));
+      if (!hasAriaLabel(list)) {
+        const startTag = content.slice(list.start, list.startTagEnd);
+        issues.push(createIssue('MAT_LIST_SELECTION_MISSING_LABEL', { element: startTag }));
+        locations.push(getLocation(content, list.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAttribute, hasAttributeValue, hasAriaLabel, getTextContent } = require('../core/templateParser');
 
 module.exports = {
   name: 'matMenuTrigger',
@@ -8,59 +10,44 @@ module.exports = {
   weight: 3,
   wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/matMenuTriggerFor/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match elements with matMenuTriggerFor or [matMenuTriggerFor]
-    // This regex captures the entire element including its content
-    const menuTriggerRegex = /<(\w+)[^>]*\[?matMenuTriggerFor\]?\s*=\s*["'][^"']*["'][^>]*>([\s\S]*?)<\/\1>|<(\w+)[^>]*\[?matMenuTriggerFor\]?\s*=\s*["'][^"']*["'][^>]*\/>/gi;
+    // Elements with matMenuTriggerFor or [matMenuTriggerFor]
+    const triggers = findElements(template, el => hasAttribute(el, 'matMenuTriggerFor'));
 
-    let match;
-    while ((match = menuTriggerRegex.exec(content)) !== null) {
+    for (const trigger of triggers) {
       elementsFound++;
-      const fullMatch = match[0];
-      const tagName = match[1] || match[3];
-      const innerContent = match[2] || '';
 
-      // Check for aria-label (static and Angular bindings, handles nested quotes)
-      const hasAriaLabel = /(?:aria-label\s*=\s*(?:"[^"]+"|'[^']+')|\[aria-label\]\s*=\s*(?:"[^"]+"|'[^']+')|\[attr\.aria-label\]\s*=\s*(?:"[^"]+"|'[^']+'))/i.test(fullMatch);
+      // aria-label / aria-labelledby or title (static and bound)
+      const hasLabel = hasAriaLabel(trigger) || hasAttributeValue(trigger, 'title');
 
-      // Check for aria-labelledby (static and Angular bindings)
-      const hasAriaLabelledby = /(?:aria-labelledby\s*=\s*(?:"[^"]+"|'[^']+')|\[aria-labelledby\]\s*=\s*(?:"[^"]+"|'[^']+')|\[attr\.aria-labelledby\]\s*=\s*(?:"[^"]+"|'[^']+'))/i.test(fullMatch);
-
-      // Check for title attribute (static and Angular binding)
-      const hasTitle = /(?:\stitle\s*=\s*(?:"[^"]+"|'[^']+')|\[title\]\s*=\s*(?:"[^"]+"|'[^']+'))/i.test(fullMatch);
-
-      // Check for meaningful text content (strip HTML tags and whitespace)
-      const textContent = innerContent
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/\{\{[^}]*\}\}/g, 'placeholder') // Treat interpolations as content
-        .trim();
-      const hasTextContent = textContent.length > 0;
-
-      // Check if it's a button with mat-icon-button (common pattern that still needs label)
-      const isIconButton = /mat-icon-button/i.test(fullMatch);
+      // Text content, {{ interpolations }} included
+      const hasTextContent = getTextContent(trigger).trim().length > 0;
 
       // For icon buttons, text content inside mat-icon doesn't count as accessible name
-      if (isIconButton) {
-        if (!hasAriaLabel && !hasAriaLabelledby && !hasTitle) {
-          issues.push(format('MAT_MENU_TRIGGER_MISSING', { element: fullMatch }));
-        }
-      } else if (!hasAriaLabel && !hasAriaLabelledby && !hasTitle && !hasTextContent) {
-        issues.push(format('MAT_MENU_TRIGGER_MISSING', { element: fullMatch }));
+      const isIconButton = hasAttribute(trigger, 'mat-icon-button', ['static']);
+
+      if (!hasLabel && (isIconButton || !hasTextContent)) {
+        const element = content.slice(trigger.start, trigger.end);
+        issues.push(createIssue('MAT_MENU_TRIGGER_MISSING', { element }));
+        locations.push(getLocation(content, trigger.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matPaginatorLabel',
@@ -6,55 +8,35 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-paginator/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    /**
-     * Helper to check if an element has a valid accessible label
-     * Handles both static attributes and Angular property bindings
-     */
-    function hasAccessibleLabel(attributes) {
-      // Static aria-label with non-empty value (not empty string)
-      const hasStaticAriaLabel = /(?<!\[)aria-label\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-label: [aria-label]="..." or [attr.aria-label]="..."
-      // Handles both variable bindings and string literals like [attr.aria-label]="'text'"
-      const hasBoundAriaLabel = /\[aria-label\]\s*=\s*["'].+["']/i.test(attributes) ||
-                                /\[attr\.aria-label\]\s*=\s*["'].+["']/i.test(attributes);
-      // Static aria-labelledby
-      const hasStaticAriaLabelledby = /(?<!\[)aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes);
-      // Angular bound aria-labelledby
-      const hasBoundAriaLabelledby = /\[aria-labelledby\]\s*=\s*["'].+["']/i.test(attributes) ||
-                                     /\[attr\.aria-labelledby\]\s*=\s*["'].+["']/i.test(attributes);
-
-      return hasStaticAriaLabel || hasBoundAriaLabel || hasStaticAriaLabelledby || hasBoundAriaLabelledby;
-    }
-
-    // Match mat-paginator elements (both self-closing and with closing tag)
-    // Pattern: <mat-paginator ...> or <mat-paginator ... /> or <mat-paginator></mat-paginator>
-    const paginatorRegex = /<mat-paginator(?![a-z-])([^>]*?)(?:\/>|>)/gi;
-
-    let match;
-    while ((match = paginatorRegex.exec(content)) !== null) {
+    for (const paginator of findElements(template, 'mat-paginator')) {
       elementsFound++;
-      const fullMatch = match[0];
-      const attributes = match[1] || '';
 
-      if (!hasAccessibleLabel(attributes)) {
-        issues.push(format('MAT_PAGINATOR_MISSING_LABEL', { element: fullMatch }));
+      // aria-label / aria-labelledby, static or bound ([attr.aria-label]="'text' | translate")
+      if (!hasAriaLabel(paginator)) {
+        const startTag = content.slice(paginator.start, paginator.startTagEnd);
+        issues.push(createIssue('MAT_PAGINATOR_MISSING_LABEL', { element: startTag }));
+        locations.push(getLocation(content, paginator.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttributeValue, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matSelectPlaceholder',
@@ -8,78 +10,44 @@ module.exports = {
   weight: 7,
   wcag: '1.3.1',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-select/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Find all mat-form-field elements containing mat-select
-    const matFormFieldRegex = /<mat-form-field([^>]*)>([\s\S]*?)<\/mat-form-field>/gi;
-
-    // Standalone mat-select (not in form-field)
-    const standaloneSelectRegex = /<mat-select([^>]*)>/gi;
-
-    let match;
-
-    // Check mat-select within mat-form-field
-    while ((match = matFormFieldRegex.exec(content)) !== null) {
-      const fieldContent = match[2] || '';
-
-      // Check if this form-field contains a mat-select
-      const selectMatch = /<mat-select([^>]*)>/i.exec(fieldContent);
-      if (selectMatch) {
-        elementsFound++;
-        const selectAttributes = selectMatch[1] || '';
-        const hasPlaceholder = /\bplaceholder\s*=\s*["'][^"']+["']/i.test(selectAttributes);
-        const hasMatLabel = /<mat-label[^>]*>/i.test(fieldContent);
-
-        // Issue: has placeholder but no mat-label
-        if (hasPlaceholder && !hasMatLabel) {
-          const snippet = selectMatch[0].length > 80
-            ? selectMatch[0].substring(0, 80) + '...'
-            : selectMatch[0];
-          issues.push(format('MAT_SELECT_MISSING_LABEL', { element: snippet }));
-        }
-      }
-    }
-
-    // Check for standalone mat-select with placeholder (outside mat-form-field)
-    // Reset regex state
-    standaloneSelectRegex.lastIndex = 0;
-
-    while ((match = standaloneSelectRegex.exec(content)) !== null) {
-      const fullMatch = match[0];
-      const attributes = match[1] || '';
-
-      // Check if this select is inside a mat-form-field (skip if so, handled above)
-      const beforeSelect = content.substring(0, match.index);
-      const lastFormFieldOpen = beforeSelect.lastIndexOf('<mat-form-field');
-      const lastFormFieldClose = beforeSelect.lastIndexOf('</mat-form-field');
+    for (const select of findElements(template, 'mat-select')) {
+      elementsFound++;
 
-      // If inside a mat-form-field, skip (already handled)
-      if (lastFormFieldOpen > lastFormFieldClose) {
+      if (!hasAttributeValue(select, 'placeholder')) {
         continue;
       }
 
-      elementsFound++;
-      const hasPlaceholder = /\bplaceholder\s*=\s*["'][^"']+["']/i.test(attributes);
-      const hasAriaLabel = /aria-label\s*=\s*["'][^"']+["']/i.test(attributes);
-      const hasAriaLabelledby = /aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      if (hasPlaceholder && !hasAriaLabel && !hasAriaLabelledby) {
-        const snippet = fullMatch.length > 80 ? fullMatch.substring(0, 80) + '...' : fullMatch;
-        issues.push(format('MAT_SELECT_MISSING_LABEL', { element: snippet }));
+      // Inside a mat-form-field the field's mat-label names the select;
+      // standalone selects need aria-label or aria-labelledby
+      const formField = closest(select, 'mat-form-field');
+      const hasLabel = formField !== null
+        ? findElements(formField, 'mat-label').length > 0
+        : hasAriaLabel(select);
+
+      if (!hasLabel) {
+        const startTag = content.slice(select.start, select.startTagEnd);
+        const snippet = startTag.length > 80 ? startTag.substring(0, 80) + '...' : startTag;
+        issues.push(createIssue('MAT_SELECT_MISSING_LABEL', { element: snippet }));
+        locations.push(getLocation(content, select.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
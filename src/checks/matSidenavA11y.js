@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAriaLabel, getStaticValue } = require('../core/templateParser');
 
 module.exports = {
   name: 'matSidenavA11y',
@@ -6,67 +8,42 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-sidenav/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match mat-sidenav elements (not mat-sidenav-container or mat-sidenav-content)
-    // Capture the full element including content for context analysis
-    const sidenavRegex = /<mat-sidenav(?![a-z-])([^>]*)>([\s\S]*?)<\/mat-sidenav>|<mat-sidenav(?![a-z-])([^>]*)\/>/gi;
-
-    let match;
-    let sidenavIndex = 0;
-
-    while ((match = sidenavRegex.exec(content)) !== null) {
-      sidenavIndex++;
+    // Only <mat-sidenav> itself (not mat-sidenav-container or mat-sidenav-content)
+    for (const sidenav of findElements(template, 'mat-sidenav')) {
       elementsFound++;
-      const fullMatch = match[0];
-      const attributes = match[1] || match[3] || '';
-
-      // Check for role="navigation" (static or bound)
-      const hasRoleNavigation = /role\s*=\s*["']navigation["']/i.test(attributes) ||
-                                /\[role\]\s*=\s*["']['"]?navigation['"]?["']/i.test(attributes);
-
-      // Check for aria-label (static or bound)
-      // Handles string literals like [attr.aria-label]="'text'" with .+ instead of [^"']+
-      const hasAriaLabel = /(?<!\[)aria-label\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                           /\[aria-label\]\s*=\s*["'].+["']/i.test(attributes) ||
-                           /\[attr\.aria-label\]\s*=\s*["'].+["']/i.test(attributes);
-
-      // Check for aria-labelledby (static or bound)
-      const hasAriaLabelledby = /(?<!\[)aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                /\[aria-labelledby\]\s*=\s*["'].+["']/i.test(attributes) ||
-                                /\[attr\.aria-labelledby\]\s*=\s*["'].+["']/i.test(attributes);
-
-      // Check if mat-sidenav is wrapped in a <nav> element
-      // Look for <nav> before the mat-sidenav in the content
-      const sidenavPosition = match.index;
-      const contentBeforeSidenav = content.substring(0, sidenavPosition);
 
-      // Find the most recent opening nav tag that hasn't been closed
-      const navOpenings = (contentBeforeSidenav.match(/<nav[^>]*>/gi) || []).length;
-      const navClosings = (contentBeforeSidenav.match(/<\/nav>/gi) || []).length;
-      const isInsideNav = navOpenings > navClosings;
+      // role="navigation" (static or bound to a literal)
+      const hasRoleNavigation = getStaticValue(sidenav, 'role') === 'navigation';
 
-      // Check if sidenav has any accessibility attribute
-      const hasAccessibility = hasRoleNavigation || hasAriaLabel || hasAriaLabelledby || isInsideNav;
+      // Wrapped in a <nav> element
+      const isInsideNav = closest(sidenav, 'nav') !== null;
 
-      if (!hasAccessibility) {
-        const snippet = fullMatch.length > 80 ? fullMatch.substring(0, 80) + '...' : fullMatch;
-        issues.push(format('MAT_SIDENAV_MISSING_LABEL', { element: snippet }));
+      if (!hasRoleNavigation && !hasAriaLabel(sidenav) && !isInsideNav) {
+        const element = content.slice(sidenav.start, sidenav.end);
+        const snippet = element.length > 80 ? element.substring(0, 80) + '...' : element;
+        issues.push(createIssue('MAT_SIDENAV_MISSING_LABEL', { element: snippet }));
+        locations.push(getLocation(content, sidenav.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
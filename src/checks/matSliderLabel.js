@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAttribute, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matSliderLabel',
@@ -6,70 +8,58 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-slider/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match mat-slider elements (both self-closing and with content)
-    // Angular Material slider can be <mat-slider> with <input matSliderThumb> inside
-    const matSliderRegex = /<mat-slider(?![a-z-])([^>]*)(?:\/>|>([\s\S]*?)<\/mat-slider>)/gi;
+    // Thumb inputs (Angular Material 15+), including matSliderStartThumb and
+    // matSliderEndThumb for range sliders
+    const isThumb = el => el.name === 'input' &&
+      ['matSliderThumb', 'matSliderStartThumb', 'matSliderEndThumb'].some(thumb => hasAttribute(el, thumb, ['static']));
 
-    // Pattern for quoted values that allows nested quotes of opposite type
-    const quotedValue = '(?:"[^"]+"|\'[^\']+\')';
-    const ariaLabelPattern = new RegExp(`(?:aria-label|\\[aria-label\\]|\\[attr\\.aria-label\\])\\s*=\\s*${quotedValue}`, 'i');
-    const ariaLabelledbyPattern = new RegExp(`(?:aria-labelledby|\\[aria-labelledby\\]|\\[attr\\.aria-labelledby\\])\\s*=\\s*${quotedValue}`, 'i');
-
-    let match;
-    let sliderIndex = 0;
-    while ((match = matSliderRegex.exec(content)) !== null) {
-      sliderIndex++;
+    for (const slider of findElements(template, 'mat-slider')) {
       elementsFound++;
-      const fullMatch = match[0];
-      const sliderAttrs = match[1] || '';
-      const sliderContent = match[2] || '';
-
-      // Check if the mat-slider itself has aria-label or aria-labelledby
-      const sliderHasAriaLabel = ariaLabelPattern.test(sliderAttrs);
-      const sliderHasAriaLabelledby = ariaLabelledbyPattern.test(sliderAttrs);
 
       // If the mat-slider has a label, thumbs inherit context - no need to check inputs
-      if (sliderHasAriaLabel || sliderHasAriaLabelledby) {
+      if (hasAriaLabel(slider)) {
         continue;
       }
 
-      // Check for input with matSliderThumb inside (Angular Material 15+ pattern)
-      // Also check for matSliderStartThumb and matSliderEndThumb for range sliders
-      const thumbInputs = sliderContent.match(/<input[^>]*matSlider(?:Thumb|StartThumb|EndThumb)[^>]*>/gi) || [];
+      const thumbInputs = findElements(slider, isThumb);
 
       if (thumbInputs.length > 0) {
-        // Angular Material 15+ with explicit thumb inputs
-        thumbInputs.forEach((inputElement, idx) => {
-          const inputHasAriaLabel = ariaLabelPattern.test(inputElement);
-          const inputHasAriaLabelledby = ariaLabelledbyPattern.test(inputElement);
-
-          if (!inputHasAriaLabel && !inputHasAriaLabelledby) {
+        for (const input of thumbInputs) {
+          if (!hasAriaLabel(input)) {
+            const inputElement = content.slice(input.start, input.startTagEnd);
             const snippet = inputElement.substring(0, 80).replace(/\s+/g, ' ').trim() + '...';
-            issues.push(format('MAT_SLIDER_MISSING_LABEL', { element: snippet }));
+            issues.push(createIssue('MAT_SLIDER_MISSING_LABEL', { element: snippet }));
+            locations.push(getLocation(content, input.start, inputElement.length));
           }
-        });
+        }
       } else {
-        // Legacy mat-slider (pre-v15) or slider without explicit input
-        // Check the mat-slider element itself - already checked above, so this is a fail
-        const snippet = fullMatch.substring(0, 80).replace(/\s+/g, ' ').trim() + '...';
-        issues.push(format('MAT_SLIDER_MISSING_LABEL', { element: snippet }));
+        // Legacy mat-slider (pre-v15) or slider without explicit input:
+        // the unlabeled mat-slider itself fails
+        const element = content.slice(slider.start, slider.end);
+        const snippet = element.substring(0, 80).replace(/\s+/g, ' ').trim() + '...';
+        issues.push(createIssue('MAT_SLIDER_MISSING_LABEL', { element: snippet }));
+        locations.push(getLocation(content, slider.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
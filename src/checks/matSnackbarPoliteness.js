@@ -1,94 +1,60 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getSource, findInjected, findCalls, parseObjectLiteral, getStringValue } = require('../core/tsParser');
+
+// Politeness values that keep the message from being announced
+const SILENT_POLITENESS = ['off', ''];
 
 module.exports = {
   name: 'matSnackbarPoliteness',
   description: 'Check that MatSnackBar.open() calls explicitly set politeness for screen reader announcements',
   tier: 'full',
-  type: 'html',
+  type: 'ts',
   weight: 3,
+  wcag: '4.1.3',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
-    if (!/MatSnackBar/i.test(content)) {
+    if (!/MatSnackBar/.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const source = getSource(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Also check for injection of MatSnackBar to confirm it's being used
-    const hasMatSnackBarImport = /import\s*\{[^}]*MatSnackBar[^}]*\}\s*from\s*['"]@angular\/material\/snack-bar['"]/i.test(content);
-    const hasMatSnackBarInjection = /:\s*MatSnackBar\b/i.test(content);
-
-    if (!hasMatSnackBarImport && !hasMatSnackBarInjection) {
-      // No MatSnackBar usage detected
-      return { pass: true, issues: [], elementsFound: 0 };
-    }
-
-    const callsWithoutExplicitPoliteness = [];
-
-    // Look for snackbar-like open() calls with common naming patterns
-    // Matches: this.snackBar.open, snackBar.open, _snackBar.open, this._snackBar.open
-    const openCallRegex = /(?:this\.)?_?(?:snackBar|snack|matSnackBar)\.open\s*\(/gi;
-
-    let match;
-    while ((match = openCallRegex.exec(content)) !== null) {
-      // Get the full call by finding the matching closing parenthesis
-      const startIndex = match.index;
-      let parenCount = 0;
-      let endIndex = startIndex;
-      let inString = false;
-      let stringChar = '';
-
-      for (let i = match.index; i < content.length; i++) {
-        const char = content[i];
+    const calls = findCalls(source, findInjected(source, 'MatSnackBar'), ['open']);
 
-        // Track string boundaries
-        if ((char === '"' || char === "'" || char === '`') && content[i - 1] !== '\\') {
-          if (!inString) {
-            inString = true;
-            stringChar = char;
-          } else if (char === stringChar) {
-            inString = false;
-          }
-        }
-
-        if (!inString) {
-          if (char === '(') parenCount++;
-          if (char === ')') {
-            parenCount--;
-            if (parenCount === 0) {
-              endIndex = i;
-              break;
-            }
-          }
-        }
-      }
-
-      const fullCall = content.substring(startIndex, endIndex + 1);
+    for (const call of calls) {
       elementsFound++;
 
-      // Check if the call includes politeness configuration
-      const hasPolitenessConfig = /politeness\s*:/i.test(fullCall);
-
-      if (!hasPolitenessConfig) {
-        // Extract line number for better reporting
-        const linesBeforeMatch = content.substring(0, startIndex).split('\n');
-        const lineNumber = linesBeforeMatch.length;
-        callsWithoutExplicitPoliteness.push(lineNumber);
+      // open(message, action?, config?)
+      const configArg = call.args[2];
+      if (configArg) {
+        const config = parseObjectLiteral(source, configArg);
+        // Config built elsewhere (variable, injected token): can't tell
+        if (!config) continue;
+
+        const politeness = config.properties.get('politeness');
+        if (politeness) {
+          const value = getStringValue(politeness.text);
+          if (value === null || !SILENT_POLITENESS.includes(value.trim())) continue;
+        } else if (config.spread) {
+          // A spread object may set politeness
+          continue;
+        }
       }
-    }
 
-    // Only report issues for calls that don't have explicit politeness settings
-    if (callsWithoutExplicitPoliteness.length > 0) {
-      const elementInfo = `Found ${callsWithoutExplicitPoliteness.length} MatSnackBar.open() call(s) on line${callsWithoutExplicitPoliteness.length > 1 ? 's' : ''}: ${callsWithoutExplicitPoliteness.join(', ')}`;
-      issues.push(format('MAT_SNACKBAR_POLITENESS', { element: elementInfo }));
+      issues.push(createIssue('MAT_SNACKBAR_POLITENESS', { element: content.slice(call.start, call.end) }));
+      locations.push(getLocation(content, call.start, call.end - call.start));
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAttribute, hasAttributeValue } = require('../core/templateParser');
 
 module.exports = {
   name: 'matSortHeaderAnnounce',
@@ -6,46 +8,39 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no mat-sort-header elements, no issues
     if (!/mat-sort-header/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match elements with mat-sort-header attribute
-    // Pattern matches: <th mat-sort-header ...> or <element mat-sort-header="columnName" ...>
-    // Captures the entire opening tag to check for sortActionDescription
-    const matSortHeaderRegex = /<(\w+)[^>]*\bmat-sort-header\b[^>]*>/gi;
+    // <th mat-sort-header> or <element mat-sort-header="columnName">
+    const headers = findElements(template, el => hasAttribute(el, 'mat-sort-header'));
 
-    let match;
-    while ((match = matSortHeaderRegex.exec(content)) !== null) {
+    for (const header of headers) {
       elementsFound++;
-      const fullMatch = match[0];
-      const tagName = match[1];
 
-      // Check for sortActionDescription (static attribute)
-      const hasSortActionDescription = /\bsortActionDescription\s*=\s*["'][^"']+["']/i.test(fullMatch);
-
-      // Check for [sortActionDescription] (Angular property binding)
-      // The binding value can contain single quotes inside double quotes, e.g., [sortActionDescription]="'text'"
-      // or a variable reference like [sortActionDescription]="myVar"
-      const hasSortActionDescriptionBinding = /\[sortActionDescription\]\s*=\s*"[^"]+"/i.test(fullMatch) ||
-                                               /\[sortActionDescription\]\s*=\s*'[^']+'/i.test(fullMatch);
-
-      if (!hasSortActionDescription && !hasSortActionDescriptionBinding) {
-        const snippet = fullMatch.length > 100 ? fullMatch.substring(0, 100) + '...' : fullMatch;
-        issues.push(format('MAT_SORT_MISSING_LABEL', { element: snippet }));
+      // sortActionDescription="..." or [sortActionDescription]="'text'" / "myVar"
+      if (!hasAttributeValue(header, 'sortActionDescription')) {
+        const startTag = content.slice(header.start, header.startTagEnd);
+        const snippet = startTag.length > 100 ? startTag.substring(0, 100) + '...' : startTag;
+        issues.push(createIssue('MAT_SORT_MISSING_LABEL', { element: snippet }));
+        locations.push(getLocation(content, header.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
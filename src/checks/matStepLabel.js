@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, hasAttributeValue, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matStepLabel',
@@ -6,55 +8,44 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-step/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match mat-step elements (use negative lookahead to not match mat-stepper, mat-step-label, etc.)
-    const stepRegex = /<mat-step(?![a-z-])([^>]*)>([\s\S]*?)<\/mat-step>|<mat-step(?![a-z-])([^>]*)\/>/gi;
+    // Only <mat-step> itself (not mat-stepper, mat-step-label, ...)
+    const steps = findElements(template, 'mat-step');
 
-    let match;
-    let stepIndex = 0;
-    while ((match = stepRegex.exec(content)) !== null) {
+    steps.forEach((step, index) => {
       elementsFound++;
-      stepIndex++;
-      const attributes = match[1] || match[3] || '';
-      const stepContent = match[2] || '';
 
-      // Check for label attribute (static or interpolated)
-      const hasLabel = /(?:^|\s)label\s*=\s*["'][^"']+["']/i.test(attributes);
+      // label="..." / [label]="..." or aria-label / aria-labelledby (static or bound)
+      const hasLabel = hasAttributeValue(step, 'label') || hasAriaLabel(step);
 
-      // Check for [label] binding (Angular property binding)
-      const hasLabelBinding = /(?:^|\s)\[label\]\s*=\s*["'][^"']*["']/i.test(attributes);
+      // <ng-template matStepLabel> belonging to this step
+      const hasLabelTemplate = findElements(step, el =>
+        el.name === 'ng-template' && hasAttribute(el, 'matStepLabel') && closest(el, 'mat-step') === step
+      ).length > 0;
 
-      // Check for aria-label (static or binding)
-      const hasAriaLabel = /(?:^|\s)\[?aria-label\]?\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      // Check for aria-labelledby (static or binding)
-      const hasAriaLabelledby = /(?:^|\s)\[?aria-labelledby\]?\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      // Check for ng-template with matStepLabel directive
-      // Handles both <ng-template matStepLabel> and <ng-template #ref matStepLabel>
-      const hasMatStepLabel = /<ng-template[^>]*\bmatStepLabel\b[^>]*>[\s\S]*?<\/ng-template>/i.test(stepContent);
-
-      // Check for stepControl which implies programmatic labeling
-      const hasStepControl = /\[?stepControl\]?\s*=/i.test(attributes);
-
-      if (!hasLabel && !hasLabelBinding && !hasAriaLabel && !hasAriaLabelledby && !hasMatStepLabel) {
-        issues.push(format('MAT_STEPPER_MISSING_LABEL', { element: `mat-step #${stepIndex}` }));
+      if (!hasLabel && !hasLabelTemplate) {
+        issues.push(createIssue('MAT_STEPPER_MISSING_LABEL', { element: `mat-step #${index + 1}` }));
+        locations.push(getLocation(content, step.start, step.end - step.start));
       }
-    }
+    });
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
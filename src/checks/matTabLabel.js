@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, closest, hasAttribute, hasAttributeValue, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matTabLabel',
@@ -6,52 +8,46 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-tab/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match mat-tab elements (use negative lookahead to not match mat-tab-group, mat-tab-label, mat-tab-nav-bar, etc.)
-    const tabRegex = /<mat-tab(?![a-z-])([^>]*)>([\s\S]*?)<\/mat-tab>|<mat-tab(?![a-z-])([^>]*)\/>/gi;
+    // Only <mat-tab> itself (not mat-tab-group, mat-tab-nav-bar, ...)
+    const tabs = findElements(template, 'mat-tab');
 
-    let match;
-    let tabIndex = 0;
-    while ((match = tabRegex.exec(content)) !== null) {
+    tabs.forEach((tab, index) => {
       elementsFound++;
-      tabIndex++;
-      const attributes = match[1] || match[3] || '';
-      const tabContent = match[2] || '';
 
-      // Check for label attribute (static)
-      const hasLabel = /(?:^|\s)label\s*=\s*["'][^"']+["']/i.test(attributes);
+      // label="..." / [label]="..." or aria-label / aria-labelledby (static or bound)
+      const hasLabel = hasAttributeValue(tab, 'label') || hasAriaLabel(tab);
 
-      // Check for [label] binding (Angular property binding)
-      const hasLabelBinding = /(?:^|\s)\[label\]\s*=\s*["'][^"']*["']/i.test(attributes);
+      // <ng-template mat-tab-label> belonging to this tab (not to a nested one)
+      const hasLabelTemplate = findElements(tab, el =>
+        el.name === 'ng-template' &&
+        (hasAttribute(el, 'mat-tab-label') || hasAttribute(el, 'matTabLabel')) &&
+        closest(el, 'mat-tab') === tab
+      ).length > 0;
 
-      // Check for aria-label (static or binding)
-      const hasAriaLabel = /(?:^|\s)\[?aria-label\]?\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      // Check for aria-labelledby (static or binding)
-      const hasAriaLabelledby = /(?:^|\s)\[?aria-labelledby\]?\s*=\s*["'][^"']+["']/i.test(attributes);
-
-      // Check for ng-template with mat-tab-label directive
-      // Handles both <ng-template mat-tab-label> and <ng-template #ref mat-tab-label>
-      const hasMatTabLabel = /<ng-template[^>]*\bmat-tab-label\b[^>]*>[\s\S]*?<\/ng-template>/i.test(tabContent);
-
-      if (!hasLabel && !hasLabelBinding && !hasAriaLabel && !hasAriaLabelledby && !hasMatTabLabel) {
-        issues.push(format('MAT_TAB_MISSING_LABEL', { element: `mat-tab #${tabIndex}` }));
+      if (!hasLabel && !hasLabelTemplate) {
+        issues.push(createIssue('MAT_TAB_MISSING_LABEL', { element: `mat-tab #${index + 1}` }));
+        locations.push(getLocation(content, tab.start, tab.end - tab.start));
       }
-    }
+    });
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAttribute } = require('../core/templateParser');
 
 module.exports = {
   name: 'matTableHeaders',
@@ -8,60 +10,43 @@ module.exports = {
   weight: 7,
   wcag: '1.3.1',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-table/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Pattern to match mat-table elements
-    const matTableElementRegex = /<mat-table([^>]*)>([\s\S]*?)<\/mat-table>/gi;
+    // <mat-table> elements and <table mat-table>
+    const tables = findElements(template, el =>
+      el.name === 'mat-table' || (el.name === 'table' && hasAttribute(el, 'mat-table', ['static']))
+    );
 
-    // Pattern to match elements with mat-table attribute/directive
-    const matTableAttrRegex = /<table[^>]*\bmat-table\b[^>]*>([\s\S]*?)<\/table>/gi;
-
-    let match;
-
-    // Check <mat-table> elements
-    while ((match = matTableElementRegex.exec(content)) !== null) {
-      elementsFound++;
-      const fullMatch = match[0];
-      const tableContent = match[2] || '';
-
-      // Check for mat-header-row in content
-      // Can be <mat-header-row> element or [mat-header-row] attribute
-      const hasHeaderRow = /<mat-header-row/i.test(tableContent) || /\bmat-header-row\b/i.test(tableContent);
-
-      if (!hasHeaderRow) {
-        const snippet = fullMatch.length > 100 ? fullMatch.substring(0, 100) + '...' : fullMatch;
-        issues.push(format('MAT_TABLE_MISSING_HEADERS', { element: snippet }));
-      }
-    }
-
-    // Check <table mat-table> elements
-    while ((match = matTableAttrRegex.exec(content)) !== null) {
+    for (const table of tables) {
       elementsFound++;
-      const fullMatch = match[0];
-      const tableContent = match[1] || '';
 
-      // Check for mat-header-row or tr with mat-header-row attribute
-      const hasHeaderRow = /<mat-header-row/i.test(tableContent) ||
-                           /\bmat-header-row\b/i.test(tableContent) ||
-                           /<tr[^>]*mat-header-row/i.test(tableContent);
+      // <mat-header-row> element or <tr mat-header-row>
+      const hasHeaderRow = findElements(table, el =>
+        el.name === 'mat-header-row' || hasAttribute(el, 'mat-header-row', ['static'])
+      ).length > 0;
 
       if (!hasHeaderRow) {
-        const snippet = fullMatch.length > 100 ? fullMatch.substring(0, 100) + '...' : fullMatch;
-        issues.push(format('MAT_TABLE_MISSING_HEADERS', { element: snippet }));
+        const element = content.slice(table.start, table.end);
+        const snippet = element.length > 100 ? element.substring(0, 100) + '...' : element;
+        issues.push(createIssue('MAT_TABLE_MISSING_HEADERS', { element: snippet }));
+        locations.push(getLocation(content, table.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAttribute } = require('../core/templateParser');
 
 module.exports = {
   name: 'matTooltipKeyboard',
@@ -8,54 +10,40 @@ module.exports = {
   weight: 3,
   wcag: '2.1.1',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/matTooltip/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // List of naturally focusable elements
     const focusableElements = ['a', 'button', 'input', 'select', 'textarea', 'area'];
 
-    // Match elements with matTooltip
-    const tooltipRegex = /<(\w+)([^>]*)\[?matTooltip\]?\s*=\s*["'][^"']*["']([^>]*)>/gi;
+    // Elements with matTooltip="..." or [matTooltip]="..."
+    const elements = findElements(template, el => hasAttribute(el, 'matTooltip'));
 
-    let match;
-    while ((match = tooltipRegex.exec(content)) !== null) {
+    for (const element of elements) {
       elementsFound++;
-      const fullMatch = match[0];
-      const tagName = match[1].toLowerCase();
-      const beforeAttr = match[2] || '';
-      const afterAttr = match[3] || '';
-      const allAttributes = beforeAttr + afterAttr;
 
-      // Check if the element is naturally focusable
-      const isNaturallyFocusable = focusableElements.includes(tagName);
-
-      // Check for tabindex attribute (makes element focusable)
-      const hasTabindex = /tabindex\s*=\s*["']?[^"'\s>]+["']?/i.test(fullMatch);
-
-      // Check for Angular tabindex binding
-      const hasTabindexBinding = /\[tabindex\]\s*=\s*["'][^"']*["']/i.test(fullMatch);
-
-      // Check if element has interactive Angular directives that might make it focusable
-      const hasClickHandler = /\(click\)\s*=/i.test(fullMatch);
-      const hasRouterLink = /routerLink/i.test(fullMatch);
-
-      // If element is not focusable, flag it
-      if (!isNaturallyFocusable && !hasTabindex && !hasTabindexBinding) {
-        const snippet = fullMatch.length > 100 ? fullMatch.substring(0, 100) + '...' : fullMatch;
-        issues.push(format('MAT_TOOLTIP_KEYBOARD', { element: snippet }));
+      // tabindex (static or bound) makes the element focusable
+      if (!focusableElements.includes(element.name) && !hasAttribute(element, 'tabindex')) {
+        const startTag = content.slice(element.start, element.startTagEnd);
+        const snippet = startTag.length > 100 ? startTag.substring(0, 100) + '...' : startTag;
+        issues.push(createIssue('MAT_TOOLTIP_KEYBOARD', { element: snippet }));
+        locations.push(getLocation(content, element.start, startTag.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,6 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements, hasAriaLabel } = require('../core/templateParser');
 
 module.exports = {
   name: 'matTreeA11y',
@@ -6,55 +8,37 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 3,
+  wcag: '4.1.2',
 
-  check(content) {
+  check(content, context) {
     // Early exit: no relevant elements, no issues
     if (!/mat-tree/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
+    const template = getTemplate(content, context);
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // Match mat-tree elements (both self-closing and with content)
-    // Capture the full element for context analysis
-    const matTreeRegex = /<mat-tree(?![a-z-])([^>]*)(?:\/>|>([\s\S]*?)<\/mat-tree>)/gi;
-
-    let match;
-    let treeIndex = 0;
-
-    while ((match = matTreeRegex.exec(content)) !== null) {
+    // Only <mat-tree> itself (not mat-tree-node, ...)
+    for (const tree of findElements(template, 'mat-tree')) {
       elementsFound++;
-      treeIndex++;
-      const fullMatch = match[0];
-      const attributes = match[1] || '';
-
-      // Check for aria-label (static or bound)
-      // Handle static: aria-label="value"
-      // Handle Angular binding: [aria-label]="variable" or [aria-label]="'literal'"
-      // Handle attr binding: [attr.aria-label]="variable" or [attr.aria-label]="'literal'"
-      const hasAriaLabel = /aria-label\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                           /\[aria-label\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                           /\[attr\.aria-label\]\s*=\s*["'].+["']/i.test(attributes);
-
-      // Check for aria-labelledby (static or bound)
-      const hasAriaLabelledby = /aria-labelledby\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                /\[aria-labelledby\]\s*=\s*["'][^"']+["']/i.test(attributes) ||
-                                /\[attr\.aria-labelledby\]\s*=\s*["'].+["']/i.test(attributes);
-
-      // Check if mat-tree has any accessibility attribute
-      const hasAccessibility = hasAriaLabel || hasAriaLabelledby;
 
-      if (!hasAccessibility) {
-        const snippet = fullMatch.length > 100 ? fullMatch.substring(0, 100) + '...' : fullMatch;
-        issues.push(format('MAT_TREE_MISSING_LABEL', { element: snippet }));
+      // aria-label / aria-labelledby, static or bound ([attr.aria-label]="'literal'")
+      if (!hasAriaLabel(tree)) {
+        const element = content.slice(tree.start, tree.end);
+        const snippet = element.length > 100 ? element.substring(0, 100) + '...' : element;
+        issues.push(createIssue('MAT_TREE_MISSING_LABEL', { element: snippet }));
+        locations.push(getLocation(content, tree.start, element.length));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'metaRefresh',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '2.2.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,25 +16,24 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to match <meta http-equiv="refresh" ...>
     // Handles various quote styles and attribute ordering
     const metaRefreshPattern = /<meta\s+[^>]*http-equiv\s*=\s*["']?refresh["']?[^>]*>/gi;
 
-    const matches = content.match(metaRefreshPattern);
-
-    if (matches) {
-      matches.forEach((match) => {
-        elementsFound++;
-        issues.push(format('META_REFRESH', { element: match }));
-      });
+    for (const match of content.matchAll(metaRefreshPattern)) {
+      elementsFound++;
+      issues.push(createIssue('META_REFRESH', { element: match[0] }));
+      locations.push(getLocation(content, match.index, match[0].length));
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'metaViewport',
@@ -15,20 +16,23 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match meta viewport tag - handle both name="viewport" and name='viewport'
     // Also handle cases where name attribute comes after content
     const viewportRegex = /<meta\s+[^>]*name\s*=\s*["']viewport["'][^>]*>/gi;
-    const viewportMatches = content.match(viewportRegex);
+    const viewportMatches = [...content.matchAll(viewportRegex)];
 
-    if (!viewportMatches) {
+    if (viewportMatches.length === 0) {
       // No viewport meta tag - not necessarily an error for this check
       return { pass: true, issues: [], elementsFound };
     }
 
-    for (const viewportTag of viewportMatches) {
+    for (const viewportMatch of viewportMatches) {
       elementsFound++;
+      const viewportTag = viewportMatch[0];
+      const location = getLocation(content, viewportMatch.index, viewportTag.length);
       // Extract content attribute value
       const contentRegex = /content\s*=\s*["']([^"']*)["']/i;
       const contentMatch = viewportTag.match(contentRegex);
@@ -42,7 +46,8 @@ module.exports = {
       // Check for user-scalable=no, user-scalable=0, or user-scalable=false
       const userScalableNoRegex = /user-scalable\s*=\s*(no|0|false)/i;
       if (userScalableNoRegex.test(viewportContent)) {
-        issues.push(format('META_VIEWPORT_SCALABLE', { element: viewportTag }));
+        issues.push(createIssue('META_VIEWPORT_SCALABLE', { element: viewportTag }));
+        locations.push(location);
       }
 
       // Check for maximum-scale=1 or less (including 1.0)
@@ -51,7 +56,8 @@ module.exports = {
       if (maxScaleMatch) {
         const maxScale = parseFloat(maxScaleMatch[1]);
         if (maxScale <= 1) {
-          issues.push(format('META_VIEWPORT_SCALABLE', { element: viewportTag }));
+          issues.push(createIssue('META_VIEWPORT_SCALABLE', { element: viewportTag }));
+          locations.push(location);
         }
       }
     }
@@ -59,7 +65,8 @@ module.exports = {
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-/**
- * Gets the line number for a given index in the HTML string
- */
-function getLineNumber(html, index) {
-  const upToIndex = html.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'ngForTrackBy',
@@ -18,11 +10,12 @@ module.exports = {
 
   check(content) {
     // Early exit: no relevant elements, no issues
-    if (!/\*ngFor/i.test(content)) {
+    if (!/\*ngFor|@for/i.test(content)) {
       return { pass: true, issues: [], elementsFound: 0 };
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Check for *ngFor without trackBy
@@ -47,8 +40,9 @@ module.exports = {
       const hasTrackBy = /trackBy\s*:/i.test(ngForExpression);
 
       if (!hasTrackBy) {
-        const lineNumber = getLineNumber(content, match.index);
-        issues.push(format('NG_FOR_TRACK_BY', { element: ngForExpression, line: lineNumber }));
+        const location = getLocation(content, match.index, match[0].length);
+        issues.push(createIssue('NG_FOR_TRACK_BY', { element: ngForExpression, line: location.line }));
+        locations.push(location);
       }
     }
 
@@ -61,8 +55,9 @@ module.exports = {
       const hasTrackBy = /trackBy\s*:/i.test(ngForExpression);
 
       if (!hasTrackBy) {
-        const lineNumber = getLineNumber(content, match.index);
-        issues.push(format('NG_FOR_TRACK_BY', { element: ngForExpression, line: lineNumber }));
+        const location = getLocation(content, match.index, match[0].length);
+        issues.push(createIssue('NG_FOR_TRACK_BY', { element: ngForExpression, line: location.line }));
+        locations.push(location);
       }
     }
 
@@ -79,11 +74,44 @@ module.exports = {
       const hasTrack = /;\s*track\s+/i.test(forExpression);
 
       if (!hasTrack) {
-        const lineNumber = getLineNumber(content, match.index);
-        issues.push(format('NG_FOR_TRACK_BY', { element: forExpression, line: lineNumber }));
+        const location = getLocation(content, match.index, match[0].length);
+        issues.push(createIssue('NG_FOR_TRACK_BY', { element: forExpression, line: location.line }));
+        locations.push(location);
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
+  },
+
+  /**
+   * Add `track <item>` to @for blocks without one. *ngFor needs a trackBy
+   * function in the component class and is left for a manual fix.
+   */
+  fix(content) {
+    if (!/@for/i.test(content)) return [];
+
+    const fixes = [];
+    const atForPattern = /@for\s*\(([^)]+)\)\s*\{/gi;
+    let match;
+
+    while ((match = atForPattern.exec(content)) !== null) {
+      const forExpression = match[1];
+      const loopVariable = forExpression.match(/^\s*(\w+)\s+of\s/);
+      if (/;\s*track\s+/i.test(forExpression) || !loopVariable) continue;
+
+      // Append to the expression, replacing trailing whitespace and semicolons
+      const expressionStart = match.index + match[0].indexOf('(') + 1;
+      const expressionEnd = expressionStart + forExpression.length;
+      fixes.push({
+        location: getLocation(content, match.index, match[0].length),
+        edits: [{
+          start: expressionStart + forExpression.replace(/[\s;]*$/, '').length,
+          end: expressionEnd,
+          text: `; track ${loopVariable[1]}`
+        }]
+      });
+    }
+
+    return fixes;
   }
 };
@@ -0,0 +1,182 @@
+const { getContrastRatio, NAMED_COLORS } = require('../colors');
+const { createIssue } = require('../core/errors');
+const { getLocation, findSelector } = require('../core/location');
+const { resolveValue, isLiteralColor } = require('../core/variableResolver');
+const { parseVariables } = require('../core/scssParser');
+const { getIndicatorStyles } = require('../core/cssCascade');
+const { flattenColor } = require('../core/materialTheme');
+
+// Pre-compiled regex patterns
+const EARLY_EXIT = /outline|border|box-shadow|text-field|form-field/i;
+const FOCUS_SELECTOR = /:focus|\.cdk-(?:keyboard-)?focused|\.mat-focus-indicator|\.mdc-text-field--focused|\.mat-focused/i;
+const CONTROL_SELECTOR = /\b(?:input|select|textarea|button)\b|\[role=|\.(?:mat-mdc|mdc)-(?:form-field|text-field|notched-outline|line-ripple|input|select|checkbox|radio|switch|slide-toggle)|(?:^|[\s.#-])(?:btn|button|input|field|form-control|checkbox|radio|toggle|switch)(?![\w])/i;
+const DISABLED_SELECTOR = /:disabled|\[disabled\]|\[aria-disabled=|-disabled\b/i;
+const NOT_A_COLOR = /^(?:none|transparent|inherit|initial|unset|revert|currentcolor|auto|inset)$/i;
+const LENGTH_FUNCTION = /^(?:calc|min|max|clamp)\(/i;
+
+// Page background when a rule doesn't set one (light mode only; dark backgrounds vary too much to assume)
+const DEFAULT_BACKGROUND = '#ffffff';
+
+/**
+ * Whether a property is checked for a selector: outlines and form-field
+ * tokens always, box-shadow on focus styles, borders on focus styles and
+ * form controls (decorative borders and shadows are exempt from 1.4.11)
+ */
+function isIndicator(property, selector) {
+  if (DISABLED_SELECTOR.test(selector) || property.includes('disabled')) return false;
+  if (property.startsWith('outline') || property.startsWith('--')) return true;
+  if (property === 'box-shadow') return FOCUS_SELECTOR.test(selector);
+  return FOCUS_SELECTOR.test(selector) || CONTROL_SELECTOR.test(selector);
+}
+
+/**
+ * Split a value on top-level separators (spaces, or commas between box-shadow layers)
+ */
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    else if (char === ')') depth--;
+    if (depth === 0 && separator.test(char)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Color tokens of a declaration value (`2px solid $focus` -> ['$focus'];
+ * a box-shadow has one per layer, a border-color up to four)
+ */
+function extractColors(value) {
+  const colors = [];
+  for (const layer of splitTopLevel(value, /,/)) {
+    for (let token of splitTopLevel(layer, /\s/)) {
+      token = token.replace(/^#\{(.+)\}$/, '$1');
+      if (NOT_A_COLOR.test(token) || LENGTH_FUNCTION.test(token)) continue;
+      if (token.startsWith('#') || token.startsWith('$') || /^[\w.$-]+\(/.test(token) ||
+          Object.prototype.hasOwnProperty.call(NAMED_COLORS, token.toLowerCase())) {
+        colors.push(token);
+      }
+    }
+  }
+  return colors;
+}
+
+module.exports = {
+  name: 'nonTextContrast',
+  description: 'Detects focus rings, control borders and form-field outlines below 3:1 against the background',
+  tier: 'full',
+  type: 'scss',
+  weight: 7,
+  wcag: '1.4.11',
+
+  /**
+   * Check non-text contrast (WCAG 1.4.11) in SCSS content
+   * Uses CSS cascade resolution for light/dark mode, like colorContrast
+   * @param {string} content - SCSS file content
+   * @param {object} context - Variable context from variableResolver (optional)
+   * @returns {object} - { pass, issues, elementsFound, locations }
+   */
+  check(content, context = null) {
+    // Early exit: no indicator declarations, no issues
+    if (!EARLY_EXIT.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    // Light and dark variable contexts (dark custom properties override light ones)
+    const parsed = parseVariables(content, true);
+    const lightVarContext = context || { scssVars: new Map(), cssVars: new Map(), maps: new Map() };
+    for (const [key, value] of parsed.cssVars) {
+      if (!lightVarContext.cssVars.has(key)) lightVarContext.cssVars.set(key, value);
+    }
+    const darkVarContext = { ...lightVarContext, cssVars: new Map(lightVarContext.cssVars) };
+    for (const [key, value] of parsed.darkCssVars || []) {
+      darkVarContext.cssVars.set(key, value);
+    }
+    const hasDarkMode = Boolean(parsed.darkCssVars && parsed.darkCssVars.size > 0);
+
+    const resolveColor = (value, varContext) => {
+      const resolved = isLiteralColor(value) ? value : resolveValue(value, varContext);
+      return resolved && isLiteralColor(resolved) && !NOT_A_COLOR.test(resolved) ? resolved : null;
+    };
+
+    // Best-contrast color per property: any layer of a multi-color
+    // indicator meeting 3:1 (a double focus ring) is enough
+    const evaluate = (selector, style, varContext, defaultBackground) => {
+      const background = style.background ? resolveColor(style.background, varContext) : defaultBackground;
+      if (!background) return [];
+
+      // A translucent background shows the page behind it: white in light
+      // mode, unknown in dark mode
+      const opaque = flattenColor(background, '#000000') === flattenColor(background, '#ffffff');
+      if (!opaque && !defaultBackground) return [];
+      const backdrop = opaque ? background : flattenColor(background, defaultBackground);
+
+      const results = [];
+      for (const [property, value] of Object.entries(style.indicators)) {
+        // A longhand color (e.g. a dark-mode outline-color) wins over the shorthand's color
+        if (!isIndicator(property, selector) || style.indicators[`${property}-color`]) continue;
+
+        let best = null;
+        for (const token of extractColors(value)) {
+          const color = resolveColor(token, varContext);
+          const flattened = color ? flattenColor(color, backdrop) : null;
+          const ratio = flattened ? getContrastRatio(flattened, backdrop) : null;
+          if (ratio !== null && (!best || ratio > best.ratio)) best = { property, color, flattened, background, ratio };
+        }
+        // A border in the fill color is part of the fill, whose edge is
+        // against the parent's background (not known here)
+        if (best && property.startsWith('border') && best.flattened === backdrop) continue;
+        if (best) results.push(best);
+      }
+      return results;
+    };
+
+    const reported = new Set();
+    const report = (selector, result, modePrefix) => {
+      const cleanSelector = selector.replace(/\s+/g, ' ').substring(0, 50);
+      const key = `${cleanSelector}:${result.property}:${result.color}:${result.background}`;
+      if (reported.has(key)) return;
+      reported.add(key);
+
+      issues.push(createIssue('NON_TEXT_CONTRAST_LOW', {
+        property: result.property,
+        ratio: result.ratio.toFixed(2),
+        element: `${modePrefix}"${cleanSelector}": ${result.property} ${result.color} on ${result.background}`
+      }));
+      const found = findSelector(content, selector);
+      locations.push(found ? getLocation(content, found.index, found.length) : null);
+    };
+
+    for (const { selector, light, dark } of getIndicatorStyles(content)) {
+      const lightResults = light ? evaluate(selector, light, lightVarContext, DEFAULT_BACKGROUND) : [];
+      const darkResults = dark && (hasDarkMode || dark.hasOverride) ? evaluate(selector, dark, darkVarContext, null) : [];
+      elementsFound += lightResults.length + darkResults.length;
+
+      for (const result of lightResults) {
+        if (result.ratio < 3) report(selector, result, '');
+      }
+      for (const result of darkResults) {
+        if (result.ratio < 3) report(selector, result, '[dark mode] ');
+      }
+    }
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'objectAlt',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const objectRegex = /<object[^>]*>[\s\S]*?<\/object>/gi;
 
@@ -40,10 +42,11 @@ module.exports = {
       if (!hasTitle && !hasAriaLabel && !hasAriaLabelledBy && !meaningfulFallback) {
         // Extract just the opening object tag for the "Found" output
         const openingTag = obj.match(/<object[^>]*>/i)?.[0] || '<object>';
-        issues.push(format('OBJECT_MISSING_ALT', { element: openingTag }));
+        issues.push(createIssue('OBJECT_MISSING_ALT', { element: openingTag }));
+        locations.push(getLocation(content, match.index, openingTag.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
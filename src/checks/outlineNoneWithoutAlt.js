@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-/**
- * Gets the line number for a given index in the content string
- */
-function getLineNumber(content, index) {
-  const upToIndex = content.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'outlineNoneWithoutAlt',
@@ -15,6 +7,7 @@ module.exports = {
   tier: 'full',  // Changed from material - often false positives with modern focus patterns
   type: 'scss',
   weight: 2,  // Lower weight
+  wcag: '2.4.7',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -23,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // VALID PATTERN: :focus:not(:focus-visible) with outline:none
@@ -69,7 +63,7 @@ module.exports = {
       elementsFound++;
       const fullMatch = match[0];
       const ruleContent = match[1];
-      const lineNumber = getLineNumber(content, match.index);
+      const location = getLocation(content, match.index, fullMatch.search(/\s*\{/));
 
       // Skip if this is part of :focus:not(:focus-visible) pattern
       if (/:focus:not\(:focus-visible\)/i.test(fullMatch)) {
@@ -92,7 +86,8 @@ module.exports = {
           const selectorMatch = fullMatch.match(/([^{]+)\{/);
           const selector = selectorMatch ? selectorMatch[1].trim() : ':focus rule';
 
-          issues.push(format('FOCUS_OUTLINE_REMOVED', { element: selector, line: lineNumber }));
+          issues.push(createIssue('FOCUS_OUTLINE_REMOVED', { element: selector, line: location.line }));
+          locations.push(location);
         }
       }
     }
@@ -100,7 +95,8 @@ module.exports = {
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
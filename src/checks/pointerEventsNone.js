@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'pointerEventsNone',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '2.1.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,8 +16,15 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
+    // Location of a rule's selector (matches may start with a combinator or whitespace)
+    const getSelectorLocation = (match) => {
+      const start = Math.max(0, match[0].search(/[^\s,>+~]/));
+      return getLocation(content, match.index + start, match[0].search(/\s*\{/) - start);
+    };
+
     // Interactive elements that should not have pointer-events: none
     const interactiveElements = [
       '(?:^|[\\s,>+~])button(?![a-z-])',
@@ -38,41 +47,38 @@ module.exports = {
         'gi'
       );
 
-      const matches = content.match(pattern);
-      if (matches) {
-        elementsFound += matches.length;
-        matches.forEach((match) => {
-          // Extract selector
-          const selectorMatch = match.match(/^([^{]+)\{/);
-          const selector = selectorMatch ? selectorMatch[1].trim() : element;
+      for (const match of content.matchAll(pattern)) {
+        elementsFound++;
+        // Extract selector
+        const selectorMatch = match[0].match(/^([^{]+)\{/);
+        const selector = selectorMatch ? selectorMatch[1].trim() : element;
 
-          issues.push(format('POINTER_EVENTS_NONE', { element: selector }));
-        });
+        issues.push(createIssue('POINTER_EVENTS_NONE', { element: selector }));
+        locations.push(getSelectorLocation(match));
       }
     });
 
     // Also check for pointer-events: none on elements with :hover or :focus (indicates interactivity expected)
     const interactiveStatePattern = /[^{]+:(hover|focus|active)[^{]*\{[^}]*pointer-events\s*:\s*none[^}]*\}/gi;
-    const stateMatches = content.match(interactiveStatePattern);
 
-    if (stateMatches) {
-      elementsFound += stateMatches.length;
-      stateMatches.forEach((match) => {
-        const selectorMatch = match.match(/^([^{]+)\{/);
-        const selector = selectorMatch ? selectorMatch[1].trim() : 'element with interactive state';
+    for (const match of content.matchAll(interactiveStatePattern)) {
+      elementsFound++;
+      const selectorMatch = match[0].match(/^([^{]+)\{/);
+      const selector = selectorMatch ? selectorMatch[1].trim() : 'element with interactive state';
 
-        // Avoid duplicate issues
-        const alreadyReported = issues.some(issue => issue.includes(selector.split(':')[0].trim()));
-        if (!alreadyReported) {
-          issues.push(format('POINTER_EVENTS_NONE', { element: selector }));
-        }
-      });
+      // Avoid duplicate issues
+      const alreadyReported = issues.some(issue => issue.element.includes(selector.split(':')[0].trim()));
+      if (!alreadyReported) {
+        issues.push(createIssue('POINTER_EVENTS_NONE', { element: selector }));
+        locations.push(getSelectorLocation(match));
+      }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
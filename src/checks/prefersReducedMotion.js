@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Properties that don't cause vestibular/motion issues
 const SAFE_TRANSITION_PROPERTIES = [
@@ -160,12 +161,101 @@ function usesNoPreferenceOnly(content) {
   return hasNoPreference && !hasReduce;
 }
 
+// Marks the media query fix() adds after an animated rule
+const SCAFFOLD_MARKER = '/* TODO: keep only the motion this rule needs with reduced motion */';
+
+/**
+ * Find the style rules of a stylesheet: selector, where the block opens and
+ * closes, and its own declarations (without nested blocks). Comments,
+ * strings and #{} interpolation are skipped.
+ */
+function findRules(content) {
+  const rules = [];
+  const stack = [];
+  let selectorStart = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '/' && next === '*') {
+      const close = content.indexOf('*/', i + 2);
+      i = close === -1 ? content.length : close + 1;
+      if (content.slice(selectorStart, i + 1).trim().startsWith('/*')) selectorStart = i + 1;
+    } else if (char === '/' && next === '/' && content[i - 1] !== ':') {
+      const close = content.indexOf('\n', i);
+      i = close === -1 ? content.length : close;
+      if (content.slice(selectorStart, i).trim().startsWith('//')) selectorStart = i + 1;
+    } else if (char === '"' || char === "'") {
+      const close = content.indexOf(char, i + 1);
+      i = close === -1 ? content.length : close;
+    } else if (char === '#' && next === '{') {
+      const close = content.indexOf('}', i);
+      i = close === -1 ? content.length : close;
+    } else if (char === '{') {
+      const selector = content.slice(selectorStart, i).trim();
+      if (stack.length > 0) stack[stack.length - 1].own += content.slice(stack[stack.length - 1].ownStart, selectorStart);
+      stack.push({ selector, selectorIndex: content.indexOf(selector, selectorStart), open: i, own: '', ownStart: i + 1, parents: stack.map(rule => rule.selector) });
+      selectorStart = i + 1;
+    } else if (char === '}') {
+      const rule = stack.pop();
+      if (!rule) continue;
+      rule.own += content.slice(rule.ownStart, i);
+      rule.close = i;
+      rules.push(rule);
+      if (stack.length > 0) stack[stack.length - 1].ownStart = i + 1;
+      selectorStart = i + 1;
+    } else if (char === ';') {
+      selectorStart = i + 1;
+    }
+  }
+
+  return rules.sort((a, b) => a.open - b.open);
+}
+
+/**
+ * Motion properties of a rule's own declarations that need a reduced-motion
+ * override ('animation', 'transition')
+ */
+function getMotionProperties(declarations) {
+  const properties = [];
+  const animations = [...declarations.matchAll(/(?:^|[;\s])animation\s*:\s*([^;]+)/gi)];
+  const animationName = /animation-name\s*:\s*(?!none)[^;]+/i.test(declarations);
+  const durationMatch = declarations.match(/animation-duration\s*:\s*([^;]+)/i);
+  const duration = durationMatch ? parseDuration(durationMatch[1].trim()) : null;
+  if (animations.some(match => !isAnimationShort(match[1].trim())) ||
+      (animationName && (duration === null || duration >= SHORT_DURATION_THRESHOLD))) {
+    properties.push('animation');
+  }
+  const transitions = [...declarations.matchAll(/(?:^|[;\s])transition\s*:\s*([^;]+)/gi)];
+  if (transitions.some(match => !isTransitionSafe(match[1].trim()))) properties.push('transition');
+  return properties;
+}
+
+/**
+ * A prefers-reduced-motion: reduce block that turns off the motion of one
+ * rule, indented like the rule
+ */
+function createScaffold(selector, properties, indent) {
+  const selectors = selector.split(',').map(part => part.replace(/\s+/g, ' ').trim());
+  return [
+    '',
+    `${indent}${SCAFFOLD_MARKER}`,
+    `${indent}@media (prefers-reduced-motion: reduce) {`,
+    `${indent}  ${selectors.join(`,\n${indent}  `)} {`,
+    ...properties.map(property => `${indent}    ${property}: none;`),
+    `${indent}  }`,
+    `${indent}}`
+  ].join('\n');
+}
+
 module.exports = {
   name: 'prefersReducedMotion',
   description: 'Ensures animations and transitions include a prefers-reduced-motion media query to respect user preferences',
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '2.3.3',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -174,6 +264,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Patterns to detect animation/transition usage
@@ -181,6 +272,8 @@ module.exports = {
 
     // Check for animation usage that requires reduced-motion handling
     let hasProblematicAnimation = false;
+    // Where the first motion that needs handling is declared
+    let motionLocation = null;
 
     // Check animation: declarations
     let match;
@@ -190,13 +283,15 @@ module.exports = {
       const animValue = match[1];
       if (!isAnimationShort(animValue)) {
         hasProblematicAnimation = true;
+        motionLocation = getLocation(content, match.index, match[0].length);
         break;
       }
     }
 
     // Check animation-name: declarations (these need duration check from animation-duration)
     if (!hasProblematicAnimation) {
-      if (animationNamePattern.test(content)) {
+      const animationNameMatch = animationNamePattern.exec(content);
+      if (animationNameMatch) {
         // If animation-name is used, check for animation-duration
         const durationMatch = content.match(/animation-duration\s*:\s*([^;]+);/i);
         if (durationMatch) {
@@ -208,6 +303,9 @@ module.exports = {
           // No duration specified, assume default (needs handling)
           hasProblematicAnimation = true;
         }
+        if (hasProblematicAnimation) {
+          motionLocation = getLocation(content, animationNameMatch.index, animationNameMatch[0].length);
+        }
       }
     }
 
@@ -219,6 +317,7 @@ module.exports = {
       const transValue = match[1];
       if (!isTransitionSafe(transValue)) {
         hasProblematicTransition = true;
+        if (!motionLocation) motionLocation = getLocation(content, match.index, match[0].length);
         break;
       }
     }
@@ -234,24 +333,50 @@ module.exports = {
 
     if (usesOnlyNoPreference) {
       // Using no-preference instead of reduce is wrong
-      issues.push(format('MOTION_NO_REDUCED_MOTION', {
+      issues.push(createIssue('MOTION_NO_REDUCED_MOTION', {
         element: 'File uses prefers-reduced-motion: no-preference instead of reduce'
       }));
+      locations.push(motionLocation);
     } else if (!hasValidHandling) {
       // Either no media query at all, or it doesn't actually disable animations
       const motionTypes = [];
       if (hasProblematicAnimation) motionTypes.push('animations');
       if (hasProblematicTransition) motionTypes.push('transitions');
 
-      issues.push(format('MOTION_NO_REDUCED_MOTION', {
+      issues.push(createIssue('MOTION_NO_REDUCED_MOTION', {
         element: `File uses ${motionTypes.join(' and ')} without properly disabling them in prefers-reduced-motion: reduce`
       }));
+      locations.push(motionLocation);
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
+  },
+
+  /**
+   * Add a prefers-reduced-motion: reduce block after each animated rule
+   * that turns its animation or transition off, marked for review. Files
+   * that only use no-preference are left for a manual fix.
+   */
+  fix(content) {
+    const result = module.exports.check(content);
+    if (result.pass || usesNoPreferenceOnly(content)) return [];
+
+    const edits = [];
+    for (const rule of findRules(content)) {
+      if (!rule.selector || rule.selector.startsWith('@') || rule.parents.some(parent => /^@(?:keyframes|media|supports)/i.test(parent))) continue;
+      const properties = getMotionProperties(rule.own);
+      if (properties.length === 0) continue;
+
+      const lineStart = content.lastIndexOf('\n', rule.selectorIndex) + 1;
+      const indent = content.slice(lineStart, rule.selectorIndex).match(/^\s*/)[0];
+      edits.push({ start: rule.close + 1, end: rule.close + 1, text: createScaffold(rule.selector, properties, indent) });
+    }
+
+    return edits.length > 0 ? [{ location: result.locations[0], edits }] : [];
   }
 };
@@ -0,0 +1,52 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+const { getTemplate, findElements } = require('../core/templateParser');
+const { getInputPurpose, getAutofillOffReason, blocksPaste } = require('../core/formAutofill');
+
+module.exports = {
+  name: 'redundantEntry',
+  description: 'Personal data fields allow autofill and pasting (WCAG 3.3.7)',
+  tier: 'full',
+  type: 'html',
+  weight: 7,
+  wcag: '3.3.7',
+
+  check(content, context) {
+    // Early exit: no relevant elements, no issues
+    if (!/autocomplete|paste/i.test(content)) {
+      return { pass: true, issues: [], elementsFound: 0 };
+    }
+
+    const template = getTemplate(content, context);
+    const issues = [];
+    const locations = [];
+    let elementsFound = 0;
+
+    for (const input of findElements(template, ['input', 'textarea'])) {
+      const purpose = getInputPurpose(input);
+      if (!purpose) continue;
+      elementsFound++;
+
+      // Autofill off makes users type their email or address again on every
+      // form; blocked pasting does the same for "confirm email" fields
+      const reasons = [getAutofillOffReason(input), blocksPaste(input) ? 'paste blocked' : null]
+        .filter(Boolean);
+      if (reasons.length === 0) continue;
+
+      const startTag = content.slice(input.start, input.startTagEnd);
+      issues.push(createIssue('FORM_REDUNDANT_ENTRY', {
+        element: startTag,
+        reason: reasons.join(', '),
+        purpose
+      }));
+      locations.push(getLocation(content, input.start, startTag.length));
+    }
+
+    return {
+      pass: issues.length === 0,
+      issues,
+      elementsFound,
+      locations
+    };
+  }
+};
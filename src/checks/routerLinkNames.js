@@ -1,13 +1,5 @@
-const { format } = require('../core/errors');
-
-/**
- * Gets the line number for a given index in the HTML string
- */
-function getLineNumber(html, index) {
-  const upToIndex = html.substring(0, index);
-  const lines = upToIndex.split('\n');
-  return lines.length;
-}
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'routerLinkNames',
@@ -24,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match elements with routerLink attribute (static or bound)
@@ -61,14 +54,15 @@ module.exports = {
                                 hasTextContent || hasImageWithAlt || hasVisuallyHiddenText;
 
       if (!hasAccessibleName) {
-        const lineNumber = getLineNumber(content, match.index);
-        issues.push(format('ROUTER_LINK_MISSING_NAME', {
+        const location = getLocation(content, match.index, match[0].length);
+        issues.push(createIssue('ROUTER_LINK_MISSING_NAME', {
           element: `<${elementName}>`,
-          line: lineNumber
+          line: location.line
         }));
+        locations.push(location);
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
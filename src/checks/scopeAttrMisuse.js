@@ -1,9 +1,13 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+
 module.exports = {
   name: 'scopeAttrMisuse',
   description: 'The scope attribute is only valid on <th> elements',
   tier: 'full',
   type: 'html',
   weight: 7,
+  wcag: '1.3.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -12,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const seenElements = new Set();
 
@@ -41,16 +46,12 @@ module.exports = {
               ? ` with invalid value "${scopeValue}"`
               : '';
 
-          issues.push(
-            `[Error] Invalid "scope" attribute on <${tagName}> element${valueInfo}. ` +
-            `The scope attribute is only valid on <th> elements and helps screen readers understand table structure.\n` +
-            `  How to fix:\n` +
-            `    - Remove the scope attribute from <${tagName}> element\n` +
-            `    - If this should be a header cell, change <${tagName}> to <th> and use scope="row" or scope="col"\n` +
-            `    - Use scope="rowgroup" or scope="colgroup" for headers spanning multiple rows/columns\n` +
-            `  WCAG 1.3.1: Info and Relationships (Level A)\n` +
-            `  Found: <${tagName}> with scope attribute`
-          );
+          issues.push(createIssue('TABLE_SCOPE_MISUSE', {
+            tag: tagName,
+            valueInfo,
+            element: `<${tagName}> with scope attribute`
+          }));
+          locations.push(getLocation(content, match.index, match[0].length));
         }
       }
     }
@@ -68,16 +69,11 @@ module.exports = {
         if (!seenElements.has(key)) {
           seenElements.add(key);
 
-          issues.push(
-            `[Error] Invalid "scope" attribute on <${tagName}> element. ` +
-            `The scope attribute is only valid on <th> elements and helps screen readers understand table structure.\n` +
-            `  How to fix:\n` +
-            `    - Remove the scope attribute from <${tagName}> element\n` +
-            `    - If this should be a header cell, change <${tagName}> to <th> and use scope="row" or scope="col"\n` +
-            `    - Use scope="rowgroup" or scope="colgroup" for headers spanning multiple rows/columns\n` +
-            `  WCAG 1.3.1: Info and Relationships (Level A)\n` +
-            `  Found: <${tagName}> with scope attribute`
-          );
+          issues.push(createIssue('TABLE_SCOPE_MISUSE', {
+            tag: tagName,
+            element: `<${tagName}> with scope attribute`
+          }));
+          locations.push(getLocation(content, match.index, match[0].length));
         }
       }
     }
@@ -85,7 +81,8 @@ module.exports = {
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
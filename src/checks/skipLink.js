@@ -1,10 +1,12 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'skipLink',
   description: 'Pages with navigation should have skip links for keyboard users',
   tier: 'full',  // Changed from material - skip links are typically at app level, not component level
   type: 'html',
+  pageLevel: true,
   weight: 2,  // Lower weight - usually handled at app level
   wcag: '2.4.1',
 
@@ -15,6 +17,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Skip link check only applies to page-level templates, not components
@@ -167,11 +170,15 @@ module.exports = {
     let hasValidSkipLink = false;
 
     for (const skipLink of skipLinks) {
+      // The tag match ends at the next '<'
+      const location = getLocation(content, skipLink.position, skipLink.tag.length - 1);
+
       // Issue: Skip link is permanently hidden with display:none
       if (skipLink.hasDisplayNone) {
-        issues.push(format('SKIP_LINK_HIDDEN', {
+        issues.push(createIssue('SKIP_LINK_HIDDEN', {
           element: skipLink.tag
         }));
+        locations.push(location);
         continue; // This skip link doesn't count as valid
       }
 
@@ -181,10 +188,11 @@ module.exports = {
         // Only flag if we have IDs in the document and the target is missing
         // (Don't flag if the document has no IDs at all - target may be in another file)
         if (existingIds.size > 0 && targetId && !existingIds.has(targetId)) {
-          issues.push(format('SKIP_LINK_BROKEN_TARGET', {
+          issues.push(createIssue('SKIP_LINK_BROKEN_TARGET', {
             element: skipLink.tag,
             target: targetId
           }));
+          locations.push(location);
           continue; // This skip link doesn't count as valid
         }
       }
@@ -194,9 +202,10 @@ module.exports = {
       const docBoundary = getDocBoundary(skipLink.position);
       const firstNavInDoc = getFirstNavInDoc(docBoundary);
       if (firstNavInDoc !== Infinity && skipLink.position > firstNavInDoc) {
-        issues.push(format('SKIP_LINK_AFTER_NAV', {
+        issues.push(createIssue('SKIP_LINK_AFTER_NAV', {
           element: skipLink.tag
         }));
+        locations.push(location);
         continue; // This skip link doesn't count as valid
       }
 
@@ -206,15 +215,17 @@ module.exports = {
 
     // Only flag missing skip link if this looks like a main app template and has no valid skip link
     if (!hasValidSkipLink && hasRouterOutlet && (hasNavigation || (hasHeader && hasMultipleNavLinks))) {
-      issues.push(format('SKIP_LINK_MISSING', {
+      issues.push(createIssue('SKIP_LINK_MISSING', {
         element: '<nav> or <header> without skip link'
       }));
+      locations.push(null);
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 // Pre-compiled regex patterns
 const EARLY_EXIT = /font-size\s*:/i;
@@ -14,6 +15,7 @@ module.exports = {
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '1.4.4',
 
   check(content) {
     // Early exit: no font-size declarations, no issues
@@ -22,6 +24,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Reset regex state
@@ -77,17 +80,20 @@ module.exports = {
       }
 
       if (isTooSmall) {
-        issues.push(format('TEXT_SMALL_FONT', {
+        issues.push(createIssue('TEXT_SMALL_FONT', {
           size: parsedValue,
           element: `"${selector}"`
         }));
+        const selectorStart = match[0].search(/\S/);
+        locations.push(getLocation(content, match.index + selectorStart, match[1].trimEnd().length - selectorStart));
       }
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
\ No newline at end of file
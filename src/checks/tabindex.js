@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'tabindex',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const tabindexRegex = /tabindex=["'](\d+)["']/gi;
     let match;
@@ -23,13 +25,14 @@ module.exports = {
       elementsFound++;
       const value = parseInt(match[1]);
       if (value > 0) {
-        issues.push(format('TABINDEX_POSITIVE', {
+        issues.push(createIssue('TABINDEX_POSITIVE', {
           value: value,
           element: `tabindex="${value}"`
         }));
+        locations.push(getLocation(content, match.index, match[0].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'tableHeaders',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match each table element individually (non-greedy to handle nested tables)
@@ -57,12 +59,13 @@ module.exports = {
       const hasMatTable = /mat-table|matColumnDef/i.test(tableHtml);
 
       if (!hasTh && !hasMatTable) {
-        issues.push(format('TABLE_MISSING_HEADERS', {
+        issues.push(createIssue('TABLE_MISSING_HEADERS', {
           element: '<table>'
         }));
+        locations.push(getLocation(content, match.index, tableOpenTag.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'textJustify',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '1.4.8',
 
   check(content) {
     // Early exit: no text-align: justify, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find text-align: justify declarations
@@ -25,15 +28,18 @@ module.exports = {
       elementsFound++;
       const selector = match[1].trim();
 
-      issues.push(format('TEXT_JUSTIFY', {
+      issues.push(createIssue('TEXT_JUSTIFY', {
         element: `"${selector}"`
       }));
+      const selectorStart = match[0].search(/\S/);
+      locations.push(getLocation(content, match.index + selectorStart, match[1].trimEnd().length - selectorStart));
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
@@ -1,10 +1,13 @@
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
+
 module.exports = {
   name: 'touchTargets',
-  description: 'Check interactive elements meet minimum touch target size (WCAG 2.5.5)',
+  description: 'Check interactive elements meet the 24px minimum target size or spacing (WCAG 2.5.8)',
   tier: 'full',  // Changed from basic - too many false positives for basic tier
   type: 'scss',
   weight: 3,  // Lower weight - often design decisions
-  wcag: '2.5.5',
+  wcag: '2.5.8',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -13,13 +16,12 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
-    // WCAG 2.5.5 (AA) requires 24x24px minimum
-    // WCAG 2.5.8 (AAA) recommends 44x44px
-    // We only flag as Error below 24px, Warning for 24-44px
-    const minSizeAA = 24;  // AA requirement
-    const minSizeAAA = 44; // AAA recommendation
+    // WCAG 2.5.8 (AA) requires 24x24px, or 24px spacing around smaller targets
+    // WCAG 2.5.5 (AAA) asks for 44x44px; we only flag below the AA minimum
+    const minSizeAA = 24;
 
     // Interactive element selectors to check
     const interactiveSelectors = [
@@ -65,23 +67,40 @@ module.exports = {
       return num;
     };
 
-    // Helper to extract padding and calculate effective size
-    const getPaddingContribution = (ruleBlock) => {
-      // Check for padding that adds to clickable area
-      const paddingMatch = ruleBlock.match(/padding\s*:\s*(\d+(?:\.\d+)?)(px|rem|em)?/i);
-      const paddingYMatch = ruleBlock.match(/padding-(?:top|bottom)\s*:\s*(\d+(?:\.\d+)?)(px|rem|em)?/i);
-      const paddingXMatch = ruleBlock.match(/padding-(?:left|right)\s*:\s*(\d+(?:\.\d+)?)(px|rem|em)?/i);
-
-      let paddingY = 0, paddingX = 0;
-      if (paddingMatch) {
-        const val = toPixels(paddingMatch[1], paddingMatch[2] || 'px');
-        paddingY = val * 2;
-        paddingX = val * 2;
+    // Helper to read a box property (padding/margin) per side, in pixels.
+    // Shorthand first, longhands override; auto, var() and calc() count as 0
+    const getBoxSides = (ruleBlock, property) => {
+      const sides = { top: 0, right: 0, bottom: 0, left: 0 };
+      const toSide = (token) => {
+        const m = /^(-?\d+(?:\.\d+)?)(px|rem|em)?$/i.exec(token);
+        return m ? toPixels(m[1], m[2] || 'px') : 0;
+      };
+
+      const shorthand = ruleBlock.match(new RegExp(`(?:^|[^-\\w])${property}\\s*:\\s*([^;]+)`, 'i'));
+      if (shorthand) {
+        const values = shorthand[1].trim().split(/\s+/).slice(0, 4).map(toSide);
+        const [top, right = top, bottom = top, left = right] = values;
+        Object.assign(sides, { top, right, bottom, left });
+      }
+      for (const side of Object.keys(sides)) {
+        const longhand = ruleBlock.match(new RegExp(`${property}-${side}\\s*:\\s*([^;\\s]+)`, 'i'));
+        if (longhand) sides[side] = toSide(longhand[1]);
       }
-      if (paddingYMatch) paddingY = toPixels(paddingYMatch[1], paddingYMatch[2] || 'px') * 2;
-      if (paddingXMatch) paddingX = toPixels(paddingXMatch[1], paddingXMatch[2] || 'px') * 2;
+      return sides;
+    };
 
-      return { paddingY, paddingX };
+    // Padding adds to the clickable area; positive margin is the spacing
+    // that WCAG 2.5.8 accepts in place of size for undersized targets
+    const getAxisExtras = (ruleBlock) => {
+      const padding = getBoxSides(ruleBlock, 'padding');
+      const margin = getBoxSides(ruleBlock, 'margin');
+      const positive = (value) => Math.max(value, 0);
+      return {
+        paddingY: padding.top + padding.bottom,
+        paddingX: padding.left + padding.right,
+        spacingY: positive(margin.top) + positive(margin.bottom),
+        spacingX: positive(margin.left) + positive(margin.right)
+      };
     };
 
     let match;
@@ -89,6 +108,7 @@ module.exports = {
       elementsFound++;
       const selector = match[1].replace(/\\/g, '');
       const ruleBlock = match[2];
+      const location = getLocation(content, match.index, match[0].search(/\s*\{/));
 
       // Skip if inside a @media query for desktop/hover devices
       const beforeMatch = content.substring(0, match.index);
@@ -106,53 +126,32 @@ module.exports = {
       const minHeightMatch = ruleBlock.match(/min-height\s*:\s*(\d+(?:\.\d+)?)(px|rem|em)/i);
       const minWidthMatch = ruleBlock.match(/min-width\s*:\s*(\d+(?:\.\d+)?)(px|rem|em)/i);
 
-      const { paddingY, paddingX } = getPaddingContribution(ruleBlock);
+      const { paddingY, paddingX, spacingY, spacingX } = getAxisExtras(ruleBlock);
 
-      // Check height
-      if (heightMatch) {
-        const heightPx = toPixels(heightMatch[1], heightMatch[2]);
-        const effectiveHeight = heightPx + paddingY;
+      const axes = [
+        { dimension: 'height', size: heightMatch, min: minHeightMatch, padding: paddingY, spacing: spacingY },
+        { dimension: 'width', size: widthMatch, min: minWidthMatch, padding: paddingX, spacing: spacingX }
+      ];
 
-        // Skip if min-height compensates
-        if (minHeightMatch && toPixels(minHeightMatch[1], minHeightMatch[2]) >= minSizeAA) {
-          continue;
-        }
+      for (const axis of axes) {
+        if (!axis.size) continue;
 
-        // Only flag if effective size is below AA requirement (24px)
-        if (effectiveHeight < minSizeAA && effectiveHeight > 0) {
-          issues.push(
-            `[Error] Touch target below 24px minimum (WCAG AA). Users with motor impairments cannot reliably activate\n` +
-            `  How to fix:\n` +
-            `    - Ensure minimum 24x24px clickable area (44x44px recommended)\n` +
-            `  WCAG 2.5.5: Target Size | See: https://www.w3.org/WAI/WCAG21/Understanding/target-size\n` +
-            `  Found: <${selector}> (height: ${Math.round(effectiveHeight)}px effective)`
-          );
-        }
-      }
-
-      // Check width
-      if (widthMatch) {
-        const widthPx = toPixels(widthMatch[1], widthMatch[2]);
-        const effectiveWidth = widthPx + paddingX;
+        // Skip if min-height / min-width compensates
+        if (axis.min && toPixels(axis.min[1], axis.min[2]) >= minSizeAA) continue;
 
-        // Skip if min-width compensates
-        if (minWidthMatch && toPixels(minWidthMatch[1], minWidthMatch[2]) >= minSizeAA) {
-          continue;
-        }
+        const effectiveSize = toPixels(axis.size[1], axis.size[2]) + axis.padding;
 
         // Only flag if effective size is below AA requirement (24px)
-        if (effectiveWidth < minSizeAA && effectiveWidth > 0) {
-          issues.push(
-            `[Error] Touch target below 24px minimum (WCAG AA). Users with motor impairments cannot reliably activate\n` +
-            `  How to fix:\n` +
-            `    - Ensure minimum 24x24px clickable area (44x44px recommended)\n` +
-            `  WCAG 2.5.5: Target Size | See: https://www.w3.org/WAI/WCAG21/Understanding/target-size\n` +
-            `  Found: <${selector}> (width: ${Math.round(effectiveWidth)}px effective)`
-          );
+        // and margins don't provide the 24px spacing instead
+        if (effectiveSize < minSizeAA && effectiveSize > 0 && effectiveSize + axis.spacing < minSizeAA) {
+          issues.push(createIssue('TOUCH_TARGET_SMALL', {
+            element: `<${selector}> (${axis.dimension}: ${Math.round(effectiveSize)}px effective)`
+          }));
+          locations.push(location);
         }
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
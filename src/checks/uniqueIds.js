@@ -1,10 +1,12 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'uniqueIds',
   description: 'IDs must be unique within the document (WCAG 4.1.1 Parsing)',
   tier: 'basic',
   type: 'html',
+  pageLevel: true,
   weight: 10,
   wcag: '4.1.1',
 
@@ -15,6 +17,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Match id attributes, excluding Angular/template syntax with {{ }}
@@ -56,7 +59,7 @@ module.exports = {
         if (!idOccurrences.has(id)) {
           idOccurrences.set(id, []);
         }
-        idOccurrences.get(id).push({ elementTag, context });
+        idOccurrences.get(id).push({ elementTag, context, index: match.index, length: match[0].length });
       }
     }
 
@@ -66,26 +69,30 @@ module.exports = {
         const elementTypes = [...new Set(occurrences.map(o => o.elementTag))].join(', ');
         const element = `<${elementTypes} id="${id}"> (${occurrences.length} occurrences)`;
 
-        issues.push(format('ID_DUPLICATE', { id, element }));
+        issues.push(createIssue('ID_DUPLICATE', { id, element }));
+        // Point at the first repeat
+        locations.push(getLocation(content, occurrences[1].index, occurrences[1].length));
       }
     }
 
     // Also check for empty id attributes
     const emptyIdPattern = /\bid=["'][\s]*["']/gi;
-    const emptyMatches = content.match(emptyIdPattern);
-    if (emptyMatches && emptyMatches.length > 0) {
+    const emptyMatches = [...content.matchAll(emptyIdPattern)];
+    if (emptyMatches.length > 0) {
       const element = `id="" (${emptyMatches.length} occurrences)`;
-      issues.push(format('ID_DUPLICATE', { id: '(empty)', element }));
+      issues.push(createIssue('ID_DUPLICATE', { id: '(empty)', element }));
+      locations.push(getLocation(content, emptyMatches[0].index, emptyMatches[0][0].length));
     }
 
     // Check for IDs starting with numbers (invalid in CSS selectors, problematic)
-    for (const [id] of idOccurrences) {
+    for (const [id, occurrences] of idOccurrences) {
       if (/^\d/.test(id)) {
         const element = `id="${id}"`;
-        issues.push(format('ID_DUPLICATE', { id, element }));
+        issues.push(createIssue('ID_DUPLICATE', { id, element }));
+        locations.push(getLocation(content, occurrences[0].index, occurrences[0].length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
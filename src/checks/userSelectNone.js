@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'userSelectNone',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '1.3.1',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Acceptable selectors for user-select: none (interactive elements where it makes sense)
@@ -76,19 +79,26 @@ module.exports = {
 
           if (!isAcceptable) {
             const element = `user-select: none on "${fullSelector}"`;
-            issues.push(format('USER_SELECT_NONE', { element }));
+            issues.push(createIssue('USER_SELECT_NONE', { element }));
+            locations.push(getLocation(content, match.index, match[0].search(/\s*\{/)));
           }
         }
       }
     }
 
     // Deduplicate issues (same selector might match multiple patterns)
-    const uniqueIssues = [...new Set(issues)];
+    const seen = new Set();
+    const unique = [...issues.keys()].filter(i => {
+      if (seen.has(issues[i].element)) return false;
+      seen.add(issues[i].element);
+      return true;
+    });
 
     return {
-      pass: uniqueIssues.length === 0,
-      issues: uniqueIssues,
-      elementsFound
+      pass: unique.length === 0,
+      issues: unique.map(i => issues[i]),
+      elementsFound,
+      locations: unique.map(i => locations[i])
     };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'videoCaptions',
@@ -15,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
     const videoRegex = /<video[^>]*>[\s\S]*?<\/video>/gi;
     let match;
@@ -26,10 +28,11 @@ module.exports = {
       if (!hasTrack) {
         // Extract just the opening video tag for the "Found" output
         const element = video.match(/<video[^>]*>/i)?.[0] || '<video>';
-        issues.push(format('VIDEO_MISSING_CAPTIONS', { element }));
+        issues.push(createIssue('VIDEO_MISSING_CAPTIONS', { element }));
+        locations.push(getLocation(content, match.index, element.length));
       }
     }
 
-    return { pass: issues.length === 0, issues, elementsFound };
+    return { pass: issues.length === 0, issues, elementsFound, locations };
   }
 };
@@ -1,4 +1,5 @@
-const { format } = require('../core/errors');
+const { createIssue } = require('../core/errors');
+const { getLocation } = require('../core/location');
 
 module.exports = {
   name: 'visibilityHiddenUsage',
@@ -6,6 +7,7 @@ module.exports = {
   tier: 'full',
   type: 'scss',
   weight: 3,
+  wcag: '2.4.3',
 
   check(content) {
     // Early exit: no relevant elements, no issues
@@ -14,6 +16,7 @@ module.exports = {
     }
 
     const issues = [];
+    const locations = [];
     let elementsFound = 0;
 
     // Pattern to find visibility: hidden
@@ -25,41 +28,43 @@ module.exports = {
       elementsFound += matches.length;
       // Find the selectors using visibility: hidden
       const selectorPattern = /([^{}]+)\{[^}]*visibility\s*:\s*hidden[^}]*\}/gi;
-      const selectorMatches = content.match(selectorPattern);
 
-      if (selectorMatches) {
-        // Provide context-aware suggestions
-        selectorMatches.forEach((match) => {
-          const selectorMatch = match.match(/^([^{]+)\{/);
-          const selector = selectorMatch ? selectorMatch[1].trim() : 'unknown';
+      // Provide context-aware suggestions
+      for (const ruleMatch of content.matchAll(selectorPattern)) {
+        const match = ruleMatch[0];
+        const selectorMatch = match.match(/^([^{]+)\{/);
+        const selector = selectorMatch ? selectorMatch[1].trim() : 'unknown';
 
-          // Check if it's used for animation/transition (common valid use case)
-          const isForAnimation = /transition|animation/i.test(match);
+        // Check if it's used for animation/transition (common valid use case)
+        const isForAnimation = /transition|animation/i.test(match);
 
-          // Check if it's a utility/helper class
-          const isUtilityClass = /\.(hidden|invisible|visually-hidden|sr-only|screen-reader)/i.test(selector);
+        // Check if it's a utility/helper class
+        const isUtilityClass = /\.(hidden|invisible|visually-hidden|sr-only|screen-reader)/i.test(selector);
 
-          // Use the centralized error format for all cases
-          const element = selector;
-          issues.push(format('VISIBILITY_HIDDEN_FOCUS', { element }));
-        });
+        // Use the centralized error format for all cases
+        const element = selector;
+        issues.push(createIssue('VISIBILITY_HIDDEN_FOCUS', { element }));
+        const selectorStart = match.search(/\S/);
+        locations.push(getLocation(content, ruleMatch.index + selectorStart, match.search(/\s*\{/) - selectorStart));
       }
     }
 
     // Also check for visibility: collapse (similar concerns)
     const visibilityCollapsePattern = /visibility\s*:\s*collapse/gi;
-    const collapseMatches = content.match(visibilityCollapsePattern);
+    const collapseMatches = [...content.matchAll(visibilityCollapsePattern)];
 
-    if (collapseMatches && collapseMatches.length > 0) {
+    if (collapseMatches.length > 0) {
       elementsFound += collapseMatches.length;
       const element = `visibility: collapse (${collapseMatches.length} instance(s))`;
-      issues.push(format('VISIBILITY_HIDDEN_FOCUS', { element }));
+      issues.push(createIssue('VISIBILITY_HIDDEN_FOCUS', { element }));
+      locations.push(getLocation(content, collapseMatches[0].index, collapseMatches[0][0].length));
     }
 
     return {
       pass: issues.length === 0,
       issues,
-      elementsFound
+      elementsFound,
+      locations
     };
   }
 };
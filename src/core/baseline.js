@@ -0,0 +1,422 @@
+'use strict';
+
+/**
+ * Baseline Support
+ *
+ * Records the issues of an existing codebase so CI only fails on NEW issues.
+ *
+ * Each issue gets a fingerprint built from:
+ * - check name
+ * - file (relative to the project root, forward slashes)
+ * - normalized element snippet (the issue's element, as shown after "Found:")
+ *
+ * Line numbers are deliberately NOT part of the fingerprint, so unrelated
+ * edits that move an issue up or down keep it matched. Identical snippets in
+ * the same file (e.g. two bare <button mat-icon-button>) are tracked by count.
+ *
+ * Works with every result shape: component, file-based, sitemap and route.
+ *
+ * @module core/baseline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { formatSnippet, renderIssue } = require('./errors');
+
+/**
+ * Baseline file format version
+ * @type {number}
+ */
+const BASELINE_VERSION = 1;
+
+// ============================================
+// FINGERPRINTS
+// ============================================
+
+/**
+ * Normalize an element snippet (or message) for fingerprinting
+ *
+ * @param {string} text - Element snippet
+ * @returns {string} Normalized snippet
+ */
+function normalizeSnippet(text) {
+  return String(text || '')
+    .replace(/\(line\s*\d+\)/gi, '')
+    .replace(/\bline\s+\d+\b/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract the element snippet from an issue ("Found: <snippet> (line N)")
+ *
+ * Falls back to the first message line when the issue has no snippet.
+ *
+ * @param {string|object} issue - Structured issue or issue string
+ * @returns {string} Normalized element snippet
+ */
+function getIssueElement(issue) {
+  if (issue && typeof issue === 'object' && issue.element) {
+    // Same snippet as the "Found:" line of the rendered issue
+    return normalizeSnippet(formatSnippet(issue.element));
+  }
+
+  const message = renderIssue(issue);
+
+  const found = message.match(/Found:\s*(.+?)(?:\s*\(line\s*\d+\))?$/m);
+  if (found) return normalizeSnippet(found[1]);
+
+  return normalizeSnippet(message.split('\n')[0]);
+}
+
+/**
+ * Make a file path project-relative and platform-independent
+ *
+ * @param {string} file - File path (absolute, relative or pseudo path)
+ * @param {string|null} projectDir - Project root
+ * @returns {string}
+ */
+function normalizeFile(file, projectDir) {
+  if (!file) return 'unknown';
+  let normalized = file;
+  // Real files (absolute or cwd-relative) are stored relative to the project;
+  // pseudo paths like "<app-x> (inline template)" are kept as they are
+  if (projectDir && (path.isAbsolute(file) || fileExists(file))) {
+    normalized = path.relative(path.resolve(projectDir), path.resolve(file));
+  }
+  return normalized.replace(/\\/g, '/');
+}
+
+/**
+ * Cached existence check (the same files are looked up for every issue)
+ * @private
+ */
+const existsCache = new Map();
+function fileExists(file) {
+  if (!existsCache.has(file)) existsCache.set(file, fs.existsSync(file));
+  return existsCache.get(file);
+}
+
+/**
+ * Compute the fingerprint parts of an issue
+ *
+ * @param {string|object} issue - Issue string or { message, file, check }
+ * @param {object} [context] - Fallbacks: { check, file, projectDir }
+ * @returns {{ fingerprint: string, check: string, file: string, element: string }}
+ */
+function getIssueFingerprint(issue, context = {}) {
+  const check = (issue && issue.check) || context.check || 'unknown';
+  const file = normalizeFile((issue && issue.file) || context.file, context.projectDir);
+  const element = getIssueElement(issue);
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${check}\n${file}\n${element}`)
+    .digest('hex')
+    .slice(0, 16);
+
+  return { fingerprint, check, file, element };
+}
+
+// ============================================
+// RESULT TRAVERSAL
+// ============================================
+
+/**
+ * Visit every reportable issue list in a result object.
+ *
+ * The visitor receives each list and returns the (possibly filtered) list
+ * to store back.
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {Function} visit - (issues) => issues
+ * @private
+ */
+function mapIssueLists(results, visit) {
+  // Component-based analysis
+  if (Array.isArray(results.components)) {
+    for (const comp of results.components) {
+      comp.issues = visit(comp.issues || []);
+    }
+  }
+
+  // File-based analysis (summary.issues is the source of truth)
+  if (results.summary && Array.isArray(results.summary.issues)) {
+    results.summary.issues = visit(results.summary.issues);
+  }
+
+  // Sitemap / route analysis
+  const pages = [
+    ...(Array.isArray(results.urls) ? results.urls : []),
+    ...(Array.isArray(results.routes) ? results.routes : []),
+    ...(results.internal && Array.isArray(results.internal.routes) ? results.internal.routes : [])
+  ];
+  for (const page of pages) {
+    page.issues = visit(page.issues || []);
+  }
+}
+
+/**
+ * Deep-enough copy of a result object so baseline filtering doesn't mutate the input
+ * @private
+ */
+function cloneResults(results) {
+  const clone = { ...results };
+  if (Array.isArray(results.components)) {
+    clone.components = results.components.map(comp => ({ ...comp }));
+  }
+  if (results.summary) {
+    clone.summary = { ...results.summary };
+  }
+  if (results.files && typeof results.files === 'object' && !Array.isArray(results.files)) {
+    clone.files = {};
+    for (const [file, checks] of Object.entries(results.files)) {
+      clone.files[file] = Array.isArray(checks) ? checks.map(check => ({ ...check })) : checks;
+    }
+  }
+  if (Array.isArray(results.urls)) clone.urls = results.urls.map(page => ({ ...page }));
+  if (Array.isArray(results.routes)) clone.routes = results.routes.map(page => ({ ...page }));
+  if (results.internal && Array.isArray(results.internal.routes)) {
+    clone.internal = { ...results.internal, routes: results.internal.routes.map(page => ({ ...page })) };
+  }
+  return clone;
+}
+
+/**
+ * List every reportable issue of a result object
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @returns {Array<string|object>} Issues of all components, files or pages
+ */
+function collectIssues(results) {
+  const all = [];
+  mapIssueLists(cloneResults(results), (issues) => {
+    all.push(...issues);
+    return issues;
+  });
+  return all;
+}
+
+// ============================================
+// CREATE / READ / WRITE
+// ============================================
+
+/**
+ * Create a baseline from analysis results
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {object} [options]
+ * @param {string} [options.projectDir] - Project root (file paths are stored relative to it)
+ * @returns {object} Baseline object { version, tool, tier, total, issues: [...] }
+ *
+ * @example
+ * const baseline = createBaseline(results, { projectDir: './my-app' });
+ * writeBaseline('.mat-a11y-baseline.json', baseline);
+ */
+function createBaseline(results, options = {}) {
+  const entries = new Map();
+  let total = 0;
+
+  mapIssueLists(cloneResults(results), (issues) => {
+    for (const issue of issues) {
+      const fp = getIssueFingerprint(issue, { projectDir: options.projectDir });
+      const entry = entries.get(fp.fingerprint);
+      if (entry) {
+        entry.count++;
+      } else {
+        entries.set(fp.fingerprint, { ...fp, count: 1 });
+      }
+      total++;
+    }
+    return issues;
+  });
+
+  // Sorted for stable diffs when the baseline is committed
+  const issues = [...entries.values()].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.check.localeCompare(b.check) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+
+  return {
+    version: BASELINE_VERSION,
+    tool: 'mat-a11y',
+    tier: results.tier || null,
+    total,
+    issues
+  };
+}
+
+/**
+ * Write a baseline to disk
+ *
+ * @param {string} filePath - Output path
+ * @param {object} baseline - Baseline from createBaseline()
+ */
+function writeBaseline(filePath, baseline) {
+  const dir = path.dirname(path.resolve(filePath));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+/**
+ * Read a baseline from disk
+ *
+ * @param {string} filePath - Baseline path
+ * @returns {object} Baseline object
+ * @throws {Error} If the file is missing or not a mat-a11y baseline
+ */
+function readBaseline(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Baseline file not found: ${filePath}`);
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse baseline ${filePath}: ${error.message}`);
+  }
+
+  if (!baseline || !Array.isArray(baseline.issues)) {
+    throw new Error(`Not a mat-a11y baseline: ${filePath}`);
+  }
+  if (baseline.version > BASELINE_VERSION) {
+    throw new Error(`Baseline version ${baseline.version} is newer than supported (${BASELINE_VERSION})`);
+  }
+
+  return baseline;
+}
+
+// ============================================
+// APPLY
+// ============================================
+
+/**
+ * Filter results down to issues that are NOT in the baseline.
+ *
+ * Returns a copy of the results where:
+ * - every issue list only contains new issues (marked baselineState: 'new')
+ * - components without new issues are dropped, counts are updated
+ * - `baseline` holds the comparison: { new, unchanged, fixed, fixedIssues }
+ *
+ * Audit scores are left untouched: they describe the code as it is.
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {object} baseline - Baseline from createBaseline()/readBaseline()
+ * @param {object} [options]
+ * @param {string} [options.projectDir] - Project root used when the baseline was created
+ * @param {string} [options.file] - Baseline file path (reported back)
+ * @returns {object} Filtered results
+ */
+function applyBaseline(results, baseline, options = {}) {
+  const filtered = cloneResults(results);
+
+  const remaining = new Map();
+  const known = new Map();
+  for (const entry of baseline.issues) {
+    remaining.set(entry.fingerprint, (remaining.get(entry.fingerprint) || 0) + (entry.count || 1));
+    known.set(entry.fingerprint, entry);
+  }
+
+  let newCount = 0;
+  let unchanged = 0;
+
+  mapIssueLists(filtered, (issues) => {
+    const kept = [];
+    for (const issue of issues) {
+      const fp = getIssueFingerprint(issue, { projectDir: options.projectDir });
+      const left = remaining.get(fp.fingerprint) || 0;
+      if (left > 0) {
+        remaining.set(fp.fingerprint, left - 1);
+        unchanged++;
+        continue;
+      }
+      newCount++;
+      kept.push(typeof issue === 'string'
+        ? issue
+        : { ...issue, fingerprint: fp.fingerprint, baselineState: 'new' });
+    }
+    return kept;
+  });
+
+  // File-based results also keep raw check results per file (console output)
+  if (filtered.files && typeof filtered.files === 'object' && !Array.isArray(filtered.files)) {
+    const fileRemaining = new Map();
+    for (const entry of baseline.issues) {
+      fileRemaining.set(entry.fingerprint, (fileRemaining.get(entry.fingerprint) || 0) + (entry.count || 1));
+    }
+    for (const [file, checks] of Object.entries(filtered.files)) {
+      if (!Array.isArray(checks)) continue;
+      for (const check of checks) {
+        check.issues = (check.issues || []).filter(issue => {
+          const fp = getIssueFingerprint(issue, { check: check.name, file, projectDir: options.projectDir });
+          const left = fileRemaining.get(fp.fingerprint) || 0;
+          if (left > 0) {
+            fileRemaining.set(fp.fingerprint, left - 1);
+            return false;
+          }
+          return true;
+        });
+        check.passed = check.issues.length === 0;
+      }
+    }
+  }
+
+  // Component mode only lists components with issues
+  if (Array.isArray(filtered.components)) {
+    filtered.components = filtered.components.filter(comp => comp.issues.length > 0);
+    filtered.componentCount = filtered.components.length;
+    filtered.totalIssues = filtered.components.reduce((sum, comp) => sum + comp.issues.length, 0);
+  }
+
+  const fixedIssues = [];
+  for (const [fingerprint, count] of remaining) {
+    if (count <= 0) continue;
+    const entry = known.get(fingerprint);
+    fixedIssues.push({
+      fingerprint,
+      check: entry.check,
+      file: entry.file,
+      element: entry.element,
+      count
+    });
+  }
+
+  filtered.baseline = {
+    file: options.file || null,
+    total: baseline.total !== undefined ? baseline.total : baseline.issues.length,
+    new: newCount,
+    unchanged,
+    fixed: fixedIssues.reduce((sum, entry) => sum + entry.count, 0),
+    fixedIssues
+  };
+
+  return filtered;
+}
+
+/**
+ * One-line summary of a baseline comparison
+ *
+ * @param {object} results - Results returned by applyBaseline()
+ * @returns {string|null} Summary or null if no baseline was applied
+ */
+function formatBaselineSummary(results) {
+  const b = results && results.baseline;
+  if (!b) return null;
+  return `Baseline: ${b.new} new, ${b.fixed} fixed, ${b.unchanged} unchanged` +
+    (b.file ? ` (${b.file})` : '');
+}
+
+module.exports = {
+  getIssueFingerprint,
+  getIssueElement,
+  collectIssues,
+  createBaseline,
+  writeBaseline,
+  readBaseline,
+  applyBaseline,
+  formatBaselineSummary,
+
+  // Constants
+  BASELINE_VERSION
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Changed Files
+ *
+ * Narrows component analysis to what a developer touched (`--changed-since
+ * <ref>`, `--staged`). Local git lists the changed files; each is mapped to
+ * the components that own it:
+ *
+ * - a component .ts file, template or stylesheet: that component
+ * - a directive or service .ts file: that class (with `withSource`, when
+ *   TypeScript checks run)
+ * - an SCSS partial: every component whose stylesheets import it, directly
+ *   or through other partials (the SCSS graph's `importedBy`)
+ *
+ * @module core/changedFiles
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findComponentFiles, findSourceFiles, parseSourceFile, hasAnalyzableContent } = require('./componentAnalyzer');
+const { buildGraph } = require('./scssGraph');
+
+/**
+ * Default ignore patterns (same as component analysis)
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['node_modules', 'dist', '.git', '.angular', 'coverage'];
+
+/**
+ * Style file extensions (resolved through the SCSS graph)
+ * @type {string[]}
+ */
+const STYLE_EXTENSIONS = ['.scss', '.css'];
+
+/**
+ * Normalize a path the way the SCSS graph does
+ * @private
+ */
+function graphKey(filePath) {
+  return path.normalize(filePath).toLowerCase();
+}
+
+/**
+ * Run git and return its output lines
+ * @private
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] })
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  } catch (error) {
+    const stderr = error.stderr ? String(error.stderr).trim().split('\n')[0] : '';
+    throw new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+  }
+}
+
+/**
+ * List the files git reports as changed
+ *
+ * With `since`, that is every file that differs between the ref and the
+ * working tree (committed, staged or not) plus untracked files. With
+ * `staged`, only the files in the index. Deleted files are included: a
+ * deleted partial still affects the components that import it.
+ *
+ * @param {string} projectDir - Directory inside the git repository (only changes below it are listed)
+ * @param {object} options
+ * @param {string} [options.since] - Git ref to compare against (branch, tag, commit)
+ * @param {boolean} [options.staged] - Only staged changes
+ * @returns {string[]} Absolute paths of changed files
+ * @throws {Error} If `since` starts with `-` (git would read it as an option)
+ *   or git fails (no repository, unknown ref)
+ *
+ * @example
+ * const files = getChangedFiles('./src', { since: 'origin/main' });
+ */
+function getChangedFiles(projectDir, options = {}) {
+  if (!options.staged && options.since && options.since.startsWith('-')) {
+    throw new Error(`Invalid git ref: ${options.since}`);
+  }
+
+  const cwd = path.resolve(projectDir);
+  const [root] = git(['rev-parse', '--show-toplevel'], cwd);
+
+  // Paths are relative to the repository root; `-- .` limits them to projectDir
+  const files = options.staged
+    ? git(['diff', '--name-only', '--cached', '--', '.'], cwd)
+    : [
+      ...git(['diff', '--name-only', options.since || 'HEAD', '--', '.'], cwd),
+      ...git(['ls-files', '--others', '--exclude-standard', '--full-name', '--', '.'], cwd)
+    ];
+
+  return [...new Set(files)].map(file => path.resolve(root, file));
+}
+
+/**
+ * Map changed files to the components they affect
+ *
+ * @param {string} projectDir - Project directory
+ * @param {string[]} changedFiles - Changed files (absolute, or relative to the working directory)
+ * @param {object} [options]
+ * @param {string[]} [options.ignore] - Patterns to ignore
+ * @param {boolean} [options.withSource] - TypeScript checks run: directives and services count too
+ * @returns {Array<{
+ *   name: string,
+ *   filePath: string,
+ *   reasons: Array<{type: 'changed'|'imports', file: string, via?: string}>
+ * }>} Affected components with why they were picked
+ */
+function findChangedComponents(projectDir, changedFiles, options = {}) {
+  const ignore = options.ignore || DEFAULT_IGNORE;
+  const changed = new Set(changedFiles.map(file => graphKey(path.resolve(file))));
+
+  // Stylesheets that import a changed style file -> that file
+  const importers = new Map();
+  const changedStyles = changedFiles.filter(file => STYLE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  if (changedStyles.length > 0) {
+    const graph = buildGraph(projectDir, ignore);
+    for (const file of changedStyles) {
+      for (const importer of graph.getAllAncestors(path.resolve(file))) {
+        if (!importers.has(importer)) importers.set(importer, path.resolve(file));
+      }
+    }
+  }
+
+  const components = [];
+  const sourceFiles = options.withSource ? findSourceFiles(projectDir, ignore) : findComponentFiles(projectDir, ignore);
+  for (const filePath of sourceFiles) {
+    const component = parseSourceFile(filePath);
+    if (!component || !hasAnalyzableContent(component, options.withSource)) continue;
+
+    const reasons = [];
+    const ownFiles = [component.filePath, component.templateFile, ...component.styleFiles].filter(Boolean);
+    for (const file of ownFiles) {
+      if (changed.has(graphKey(path.resolve(file)))) reasons.push({ type: 'changed', file: path.resolve(file) });
+    }
+    for (const styleFile of component.styleFiles) {
+      const partial = importers.get(graphKey(styleFile));
+      if (partial) reasons.push({ type: 'imports', file: partial, via: styleFile });
+    }
+
+    if (reasons.length > 0) {
+      components.push({ name: component.className, filePath: path.resolve(filePath), reasons });
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Format the changed-file selection for console output
+ *
+ * @param {{label: string, files: string[], components: Array}} selection - What changed and the picked components
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Base for relative file paths (default: process.cwd())
+ * @returns {string} Which components are scanned and why
+ */
+function formatChangedComponents(selection, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const relative = file => path.relative(cwd, file).split(path.sep).join('/');
+  const { files, components } = selection;
+
+  const lines = [
+    `${selection.label}: ${files.length} file${files.length === 1 ? '' : 's'}, ` +
+    `${components.length} component${components.length === 1 ? '' : 's'} to scan`
+  ];
+  for (const component of components) {
+    lines.push(`  ${component.name} (${relative(component.filePath)})`);
+    for (const reason of component.reasons) {
+      lines.push(reason.type === 'changed'
+        ? `    - changed ${relative(reason.file)}`
+        : `    - imports ${relative(reason.file)} (via ${relative(reason.via)})`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  getChangedFiles,
+  findChangedComponents,
+  formatChangedComponents
+};
@@ -0,0 +1,508 @@
+'use strict';
+
+/**
+ * Color Inheritance
+ *
+ * colorContrast compares `color` and `background` when one rule set has both.
+ * Most text, though, sits on a background set somewhere else: white text in a
+ * child component on the light `:host` background of its parent, on a panel
+ * wrapped around the child's host element in the parent template, or on the
+ * `body` background of the global styles (`styles` in angular.json).
+ *
+ * This module models what is rendered behind an element, nearest first:
+ *
+ *   element -> its ancestors in the component template -> the component's
+ *   :host -> the host element and its ancestors in each parent template ->
+ *   the parent's :host -> ... -> html/body in the global styles
+ *
+ * At each step the rules that match the element decide its background, in
+ * light and dark mode (via the CSS cascade): the component's own stylesheets
+ * (view encapsulation: its template elements and its :host) and the global
+ * styles (any element). Parents come from the component registry: every
+ * template element whose tag or attributes match a component selector is
+ * that component's host. A translucent background is composited onto the one
+ * behind it.
+ *
+ * The result is plain data (file, selector, mode, color, background, source) per component,
+ * so it can be handed to worker threads with the rest of the check context.
+ *
+ *   model      { components, global, contexts, hasDarkMode }
+ *   component  { selector, hosts, template, styles, usages }
+ *   style      { selector, file, compounds, specificity, order, light, dark }
+ *
+ * ERROR HANDLING: Like the component registry, this module never throws.
+ * Components, templates and stylesheets that can't be read or parsed
+ * contribute nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTemplate, walk, getStaticValue } = require('./templateParser');
+const { getColorStyles, calculateSpecificity } = require('./cssCascade');
+const { parseVariables } = require('./scssParser');
+const { resolveValue, isLiteralColor } = require('./variableResolver');
+const { flattenColor } = require('./materialTheme');
+
+// Pseudo-classes of states other than the resting one (hover, focus, ...)
+const STATE_PSEUDO = /:(?:hover|focus|focus-visible|focus-within|active|visited|disabled|enabled|checked|indeterminate|invalid|valid|required|target|empty|placeholder-shown)\b/i;
+
+// Ancestor hops through parent components (guards against deep or cyclic composition)
+const MAX_DEPTH = 20;
+
+// Template elements checked per selector, and parents followed per component
+const MAX_MATCHES = 5;
+
+// Selectors of the document root, matched by the global styles at the top of the chain
+const DOCUMENT_ELEMENTS = [
+  { type: 'element', name: 'body', attrs: [] },
+  { type: 'element', name: 'html', attrs: [] }
+];
+
+/**
+ * Safely read a file
+ * @private
+ */
+function safeReadFile(filePath) {
+  try {
+    if (!filePath || typeof filePath !== 'string' || !fs.existsSync(filePath)) return null;
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse a compound selector (`button.primary[disabled]`, `:host(.dense)`)
+ * @private
+ */
+function parseCompound(text) {
+  const compound = { host: false, tag: null, id: null, classes: [], attrs: [] };
+
+  const host = /^:host(?:\(([^)]*)\))?/.exec(text);
+  if (host) {
+    compound.host = true;
+    text = (host[1] || '') + text.slice(host[0].length);
+  }
+
+  // Structural pseudo-classes (:first-child, :not(...)) are ignored
+  text = text.replace(/::?[\w-]+(?:\([^)]*\))?/g, '');
+
+  const tag = /^(?:[a-zA-Z][\w-]*|\*)/.exec(text);
+  if (tag && tag[0] !== '*') compound.tag = tag[0].toLowerCase();
+
+  const pattern = /#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:\s*=\s*["']?([^"'\]]*)["']?)?\]/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) compound.id = match[1];
+    else if (match[2]) compound.classes.push(match[2]);
+    else compound.attrs.push({ name: match[3].toLowerCase(), value: match[4] !== undefined ? match[4] : null });
+  }
+  return compound;
+}
+
+/**
+ * Parse a selector into its compounds, outermost first
+ * Returns null for selectors that only apply in some state (:hover, ...),
+ * to pseudo-elements or through sibling combinators
+ * @private
+ */
+function parseSelector(selector) {
+  const text = selector.replace(/::ng-deep|\/deep\/|>>>/g, ' ').trim();
+  if (!text || /[+~]/.test(text.replace(/\[[^\]]*\]/g, '')) || STATE_PSEUDO.test(text) ||
+      /::(?!ng-deep)/.test(text) || /:host-context/.test(text)) {
+    return null;
+  }
+
+  const compounds = text.split(/\s*>\s*|\s+/).filter(Boolean).map(parseCompound);
+  return compounds.length > 0 ? compounds : null;
+}
+
+/**
+ * Check if an element matches a compound selector (static attributes only)
+ * @private
+ */
+function matchesCompound(node, compound) {
+  if (!node || node.type !== 'element') return false;
+  if (compound.tag && compound.tag !== node.name) return false;
+
+  if (compound.id && getStaticValue(node, 'id') !== compound.id) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (getStaticValue(node, 'class') || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+
+  return compound.attrs.every(attr => {
+    const found = node.attrs.find(entry => entry.key.toLowerCase() === attr.name);
+    return found && (attr.value === null || (found.kind === 'static' && found.value === attr.value));
+  });
+}
+
+/**
+ * The element ancestors of a template node, nearest first
+ * @private
+ */
+function ancestorsOf(node) {
+  const ancestors = [];
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'element') ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+/**
+ * Check if a style applies to an element
+ *
+ * The subject compound must match the element; the other compounds must match
+ * ancestors in order. `:host` compounds only match the component's host
+ * element (`host` is that element, or true when it isn't known).
+ * @private
+ */
+function matchesStyle(style, node, ancestors, host) {
+  const compounds = style.compounds;
+  const matches = (element, compound) => compound.host
+    ? element === host && (host === true || matchesCompound(host, { ...compound, host: false }))
+    : element !== true && matchesCompound(element, compound);
+
+  if (!matches(node, compounds[compounds.length - 1])) return false;
+
+  let index = compounds.length - 2;
+  const chain = host && node !== host ? [...ancestors, host] : ancestors;
+  for (const ancestor of chain) {
+    if (index < 0) break;
+    if (matches(ancestor, compounds[index])) index--;
+  }
+  return index < 0;
+}
+
+/**
+ * Parse the color styles of stylesheets
+ * @private
+ */
+function parseStyles(sources, order) {
+  const styles = [];
+  for (const { file, content } of sources) {
+    let colorStyles = [];
+    try {
+      colorStyles = getColorStyles(content);
+    } catch (e) {
+      continue;
+    }
+    for (const style of colorStyles) {
+      const compounds = parseSelector(style.selector);
+      if (!compounds) continue;
+      styles.push({
+        selector: style.selector,
+        file,
+        compounds,
+        specificity: calculateSpecificity(style.selector),
+        order: order.next++,
+        light: style.light,
+        dark: style.dark
+      });
+    }
+  }
+  return styles;
+}
+
+/**
+ * Parse the selector of a component into host compounds (`app-card`,
+ * `button[app-button]`, `[appPanel]`)
+ * @private
+ */
+function parseHostSelectors(selector) {
+  return selector.split(',')
+    .map(part => part.trim())
+    .filter(part => part && !/\s/.test(part))
+    .map(parseCompound)
+    .filter(compound => compound.tag || compound.attrs.length > 0 || compound.classes.length > 0);
+}
+
+/**
+ * Build the light and dark variable contexts from the project context and
+ * the custom properties of every stylesheet
+ * @private
+ */
+function buildContexts(varContext, contents) {
+  const light = {
+    scssVars: varContext && varContext.scssVars ? varContext.scssVars : new Map(),
+    cssVars: new Map(varContext && varContext.cssVars ? varContext.cssVars : []),
+    maps: varContext && varContext.maps ? varContext.maps : new Map()
+  };
+  const darkVars = new Map();
+
+  for (const content of contents) {
+    try {
+      const parsed = parseVariables(content, true);
+      for (const [key, value] of parsed.cssVars) {
+        if (!light.cssVars.has(key)) light.cssVars.set(key, value);
+      }
+      for (const [key, value] of parsed.darkCssVars || []) darkVars.set(key, value);
+    } catch (e) {
+      continue;
+    }
+  }
+
+  const dark = { ...light, cssVars: new Map([...light.cssVars, ...darkVars]) };
+  return { light, dark, hasDarkVars: darkVars.size > 0 };
+}
+
+/**
+ * Build the inheritance model of a project
+ * NEVER throws - returns a model without components on error
+ *
+ * @param {Map} registry - Component registry (selector -> { selector, templateUrl, template, styleUrls, styles, filePath }),
+ *   e.g. from buildComponentRegistry()
+ * @param {Array<{file: string, content?: string}>} [globalStyles] - Global stylesheets (angular.json `styles`)
+ * @param {object} [varContext] - Variable context from variableResolver.buildContext()
+ * @returns {object} Model for getInheritedBackgrounds()
+ *
+ * @example
+ * const model = createInheritanceModel(buildComponentRegistry(projectDir), [{ file: 'src/styles.scss' }], buildContext(projectDir));
+ * getInheritedBackgrounds(model, 'app-card');
+ * // [{ file: '.../card.component.scss', selector: '.title', mode: 'light', color: '#ffffff', background: '#fafafa', source: '":host" in dashboard.component.scss' }]
+ */
+function createInheritanceModel(registry, globalStyles = [], varContext = null) {
+  const model = { components: new Map(), global: [], contexts: null, hasDarkMode: false };
+
+  try {
+    const order = { next: 0 };
+    const contents = [];
+    const read = sources => sources
+      .map(source => ({ file: source.file, content: typeof source.content === 'string' ? source.content : safeReadFile(source.file) }))
+      .filter(source => source.content !== null && (contents.push(source.content), true));
+
+    // Global styles come first in the document; component styles override them
+    model.global = parseStyles(read(globalStyles || []), order);
+
+    for (const [selector, info] of registry instanceof Map ? registry : []) {
+      if (!info || typeof selector !== 'string') continue;
+
+      const templateContent = info.templateUrl ? safeReadFile(info.templateUrl) : info.template;
+      const sources = (info.styleUrls || []).map(file => ({ file }));
+      if (typeof info.styles === 'string') sources.push({ file: info.filePath, content: info.styles });
+
+      let template = null;
+      try {
+        if (typeof templateContent === 'string') template = parseTemplate(templateContent);
+      } catch (e) {
+        template = null;
+      }
+
+      model.components.set(selector, {
+        selector,
+        hosts: parseHostSelectors(selector),
+        template,
+        styles: parseStyles(read(sources), order),
+        usages: []
+      });
+    }
+
+    // Page composition: each element matching a component selector is one of its hosts
+    for (const parent of model.components.values()) {
+      if (!parent.template) continue;
+      walk(parent.template, node => {
+        if (node.type !== 'element') return;
+        for (const child of model.components.values()) {
+          if (child !== parent && child.usages.length < MAX_MATCHES &&
+              child.hosts.some(compound => matchesCompound(node, compound))) {
+            child.usages.push({ parent, node });
+          }
+        }
+      });
+    }
+
+    model.contexts = buildContexts(varContext, contents);
+    model.hasDarkMode = model.contexts.hasDarkVars ||
+      [...model.global, ...[...model.components.values()].flatMap(component => component.styles)]
+        .some(style => style.dark && style.dark.hasOverride);
+  } catch (e) {
+    console.warn('[ColorInheritance] Warning: createInheritanceModel failed:', e.message);
+  }
+
+  return model;
+}
+
+/**
+ * Resolve a color value to a literal color ('transparent' and unresolved
+ * values give null)
+ * @private
+ */
+function resolveColor(value, context) {
+  if (!value || /^(?:transparent|inherit|initial|unset|none)$/i.test(value.trim())) return null;
+  const resolved = isLiteralColor(value) ? value : resolveValue(value, context);
+  if (!resolved || !isLiteralColor(resolved) || /^(?:transparent|inherit|currentcolor)$/i.test(resolved)) return null;
+  return resolved;
+}
+
+/**
+ * The background the most specific matching style sets, or null
+ * @private
+ */
+function pickBackground(styles, mode) {
+  let best = null;
+  for (const style of styles) {
+    if (!style[mode] || !style[mode].background) continue;
+    if (!best || style.specificity > best.specificity ||
+        (style.specificity === best.specificity && style.order > best.order)) {
+      best = style;
+    }
+  }
+  return best;
+}
+
+/**
+ * Walk up from an element to the first opaque background, compositing
+ * translucent backgrounds on the way
+ * @private
+ */
+function findBackdrops(model, component, start, mode, depth, results) {
+  const context = model.contexts[mode];
+  const layers = [];
+
+  // Styles of one stylesheet group that apply to an element
+  const matching = (styles, node, ancestors, host) => styles.filter(entry => matchesStyle(entry, node, ancestors, host));
+
+  // Add a step's background; true when the walk can stop (opaque, or unresolvable)
+  const step = matched => {
+    const style = pickBackground(matched, mode);
+    if (!style) return false;
+
+    const color = resolveColor(style[mode].background, context);
+    if (color === null) return !/^\s*transparent\s*$/i.test(style[mode].background);
+
+    const source = `"${style.selector}" in ${path.basename(style.file || '')}`;
+    layers.push({ color, source });
+    return flattenColor(color, '#000000') === flattenColor(color, '#ffffff');
+  };
+
+  const finish = () => {
+    const opaque = layers[layers.length - 1];
+    if (!opaque) return;
+    if (layers.length > 1 || flattenColor(opaque.color, '#000000') !== flattenColor(opaque.color, '#ffffff')) {
+      // Composite translucent layers, nearest last (over white if nothing opaque is known in light mode)
+      let base = flattenColor(opaque.color, '#000000') === flattenColor(opaque.color, '#ffffff') ? opaque.color : (mode === 'light' ? '#ffffff' : null);
+      if (!base) return;
+      const translucent = layers.slice(0, base === opaque.color ? -1 : layers.length);
+      for (let i = translucent.length - 1; i >= 0; i--) base = flattenColor(translucent[i].color, base);
+      results.push({ background: base, source: layers[0].source });
+    } else {
+      results.push({ background: flattenColor(opaque.color, '#ffffff'), source: opaque.source });
+    }
+  };
+
+  // Elements of the component template, nearest first (inside its :host)
+  const local = [...component.styles, ...model.global];
+  if (start) {
+    const ancestors = ancestorsOf(start);
+    for (let i = -1; i < ancestors.length; i++) {
+      const node = i < 0 ? start : ancestors[i];
+      if (step(matching(local, node, ancestors.slice(i + 1), true))) return finish();
+    }
+  }
+
+  // The host element: :host rules of the component, rules of the parent
+  // template and global rules matching it
+  const hostStyles = component.styles.filter(style => style.compounds[style.compounds.length - 1].host);
+  const usages = depth < MAX_DEPTH ? component.usages : [];
+  if (usages.length === 0) {
+    if (step(hostStyles)) return finish();
+    for (const node of DOCUMENT_ELEMENTS) {
+      if (step(matching(model.global, node, [], null))) return finish();
+    }
+    return finish();
+  }
+
+  const stopped = layers.length;
+  for (const usage of usages) {
+    layers.length = stopped;
+    const ancestors = ancestorsOf(usage.node);
+    const matched = [
+      ...matching([...model.global, ...usage.parent.styles], usage.node, ancestors, true),
+      ...matching(hostStyles, usage.node, [], usage.node)
+    ];
+    if (step(matched)) {
+      finish();
+      continue;
+    }
+
+    // Continue in the parent (its template elements above the host, then its host)
+    const inherited = [];
+    const parentStart = ancestors[0] || null;
+    findBackdrops(model, usage.parent, parentStart, mode, depth + 1, inherited);
+    for (const entry of inherited) {
+      // Composite this component's translucent layers onto the parent's backdrop
+      let base = entry.background;
+      for (let i = layers.length - 1; i >= 0; i--) base = flattenColor(layers[i].color, base);
+      results.push({ background: base, source: layers.length > 0 ? layers[0].source : entry.source });
+    }
+  }
+}
+
+/**
+ * Backgrounds behind the text of a component's stylesheets, for the selectors
+ * that set a text color but no background (with the text color resolved in
+ * the same mode)
+ * NEVER throws - returns an empty array on error
+ *
+ * @param {object} model - From createInheritanceModel()
+ * @param {string} selector - Component selector
+ * @returns {Array<{file: string, selector: string, mode: 'light'|'dark', color: string, background: string, source: string}>}
+ *   One entry per distinct background (a component used in several places can have several);
+ *   `file` is the stylesheet of the text rule (the component's .ts file for inline styles)
+ */
+function getInheritedBackgrounds(model, selector) {
+  const backgrounds = [];
+
+  try {
+    const component = model && model.components.get(selector);
+    if (!component) return backgrounds;
+
+    const modes = model.hasDarkMode ? ['light', 'dark'] : ['light'];
+    const seen = new Set();
+
+    for (const style of component.styles) {
+      const subject = style.compounds[style.compounds.length - 1];
+
+      // Template elements the rule applies to; the host chain when it's the
+      // :host, or when no element matches (content rendered from code)
+      let starts = [null];
+      if (!subject.host && component.template) {
+        const matched = [];
+        walk(component.template, node => {
+          if (node.type === 'element' && matched.length < MAX_MATCHES &&
+              matchesStyle(style, node, ancestorsOf(node), true)) {
+            matched.push(node);
+          }
+        });
+        if (matched.length > 0) starts = matched;
+      }
+
+      for (const mode of modes) {
+        if (!style[mode] || !style[mode].color || style[mode].background) continue;
+        const color = resolveColor(style[mode].color, model.contexts[mode]);
+        if (!color) continue;
+
+        for (const start of starts) {
+          const results = [];
+          findBackdrops(model, component, start, mode, 0, results);
+          for (const result of results) {
+            const key = `${style.file}|${style.selector}|${mode}|${result.background}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            backgrounds.push({ file: style.file, selector: style.selector, mode, color, background: result.background, source: result.source });
+          }
+        }
+      }
+    }
+  } catch (e) {
+    console.warn('[ColorInheritance] Warning: getInheritedBackgrounds failed:', e.message);
+  }
+
+  return backgrounds;
+}
+
+module.exports = {
+  createInheritanceModel,
+  getInheritedBackgrounds
+};
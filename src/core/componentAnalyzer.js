@@ -5,16 +5,34 @@
  *
  * Simple, reliable analysis that scans ALL Angular components directly.
  * No sitemap, no route parsing - just finds @Component decorators and analyzes their templates/styles.
+ * When TypeScript checks are selected, the component classes themselves are analyzed too,
+ * along with @Directive and @Injectable classes.
  *
  * Supports optional parallel execution via workers for large projects.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { loadAllChecks, getChecksByTier } = require('./loader');
+const { getChecksByTier, getCheckContext } = require('./loader');
+const { loadProjectChecks } = require('./plugins');
 const { calculateAuditScore } = require('./weights');
 const { buildContext } = require('./variableResolver');
 const { CheckRunner } = require('./runner');
+const { resolveOptions, selectChecks, applySeverityOverride } = require('./config');
+const { addCoverage } = require('./conformance');
+const { applySuppressions, createSuppressionSummary } = require('./suppressions');
+const { getPosition, withLocations } = require('./location');
+const { isSourceFile, isAngularSource } = require('./tsParser');
+const { loadComponentMap, applyComponentMap, restoreIssues } = require('./componentMap');
+const { loadProjectI18n } = require('./i18n');
+const { loadWorkspace, findProject, resolveLibraries } = require('./workspace');
+const { createInheritanceModel, getInheritedBackgrounds } = require('./colorInheritance');
+
+/**
+ * Default ignore patterns for component discovery
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['node_modules', 'dist', '.git', '.angular', 'coverage'];
 
 /**
  * Find all TypeScript files with @Component decorator
@@ -22,8 +40,27 @@ const { CheckRunner } = require('./runner');
  * @param {string[]} ignore - Patterns to ignore
  * @returns {string[]} Array of component file paths
  */
-function findComponentFiles(dir, ignore = ['node_modules', 'dist', '.git', '.angular', 'coverage']) {
-  const componentFiles = [];
+function findComponentFiles(dir, ignore = DEFAULT_IGNORE) {
+  return findTypeScriptFiles(dir, ignore, content => content.includes('@Component'));
+}
+
+/**
+ * Find all TypeScript files with a @Component, @Directive or @Injectable class
+ * (the files TypeScript checks run on)
+ * @param {string} dir - Directory to search
+ * @param {string[]} ignore - Patterns to ignore
+ * @returns {string[]} Array of source file paths
+ */
+function findSourceFiles(dir, ignore = DEFAULT_IGNORE) {
+  return findTypeScriptFiles(dir, ignore, isAngularSource, isSourceFile);
+}
+
+/**
+ * Walk a directory for .ts files (no specs) whose content matches
+ * @private
+ */
+function findTypeScriptFiles(dir, ignore, matchesContent, matchesName = name => !name.endsWith('.spec.ts')) {
+  const files = [];
 
   function walk(currentDir) {
     let entries;
@@ -48,12 +85,12 @@ function findComponentFiles(dir, ignore = ['node_modules', 'dist', '.git', '.ang
 
       if (entry.isDirectory()) {
         walk(fullPath);
-      } else if (entry.isFile() && entry.name.endsWith('.ts') && !entry.name.endsWith('.spec.ts')) {
-        // Quick check if file contains @Component
+      } else if (entry.isFile() && entry.name.endsWith('.ts') && matchesName(entry.name)) {
+        // Quick check of the decorators
         try {
           const content = fs.readFileSync(fullPath, 'utf-8');
-          if (content.includes('@Component')) {
-            componentFiles.push(fullPath);
+          if (matchesContent(content)) {
+            files.push(fullPath);
           }
         } catch (e) {
           // Skip unreadable files
@@ -63,7 +100,7 @@ function findComponentFiles(dir, ignore = ['node_modules', 'dist', '.git', '.ang
   }
 
   walk(dir);
-  return componentFiles;
+  return files;
 }
 
 /**
@@ -81,6 +118,7 @@ function parseComponent(filePath) {
   if (!componentMatch) return null;
 
   const decoratorContent = componentMatch[1];
+  const decoratorStart = componentMatch.index + componentMatch[0].indexOf('{') + 1;
 
   // Extract selector
   const selectorMatch = decoratorContent.match(/selector\s*:\s*['"`]([^'"`]+)['"`]/);
@@ -92,12 +130,15 @@ function parseComponent(filePath) {
 
   const result = {
     filePath,
+    kind: 'component',
     selector,
     className,
     templateFile: null,
     styleFiles: [],
     inlineTemplate: null,
-    inlineStyles: null
+    inlineTemplateOrigin: null,
+    inlineStyles: null,
+    inlineStylesOrigin: null
   };
 
   // Extract templateUrl or inline template
@@ -109,6 +150,9 @@ function parseComponent(filePath) {
     const inlineTemplateMatch = decoratorContent.match(/template\s*:\s*`([\s\S]*?)`/);
     if (inlineTemplateMatch) {
       result.inlineTemplate = inlineTemplateMatch[1];
+      // Where the template starts in the .ts file, for issue locations
+      result.inlineTemplateOrigin = getPosition(content,
+        decoratorStart + inlineTemplateMatch.index + inlineTemplateMatch[0].indexOf('`') + 1);
     }
   }
 
@@ -133,6 +177,8 @@ function parseComponent(filePath) {
       const inlineStylesMatch = decoratorContent.match(/styles\s*:\s*\[`([\s\S]*?)`\]/);
       if (inlineStylesMatch) {
         result.inlineStyles = inlineStylesMatch[1];
+        result.inlineStylesOrigin = getPosition(content,
+          decoratorStart + inlineStylesMatch.index + inlineStylesMatch[0].indexOf('`') + 1);
       }
     }
   }
@@ -170,6 +216,43 @@ function parseComponent(filePath) {
   return result;
 }
 
+/**
+ * Parse a component, directive or service file to extract metadata
+ *
+ * Directives and services have no template or styles; only TypeScript checks
+ * run on them.
+ *
+ * @param {string} filePath - Path to the .ts file
+ * @returns {object|null} Metadata (parseComponent() shape with `kind`: 'component', 'directive' or 'service'),
+ *   or null if the file declares none of them
+ */
+function parseSourceFile(filePath) {
+  const component = parseComponent(filePath);
+  if (component) return component;
+
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const decoratorMatch = content.match(/@(Directive|Injectable)\s*\(/);
+  if (!decoratorMatch) return null;
+
+  const selectorMatch = decoratorMatch[1] === 'Directive'
+    ? content.slice(decoratorMatch.index).match(/selector\s*:\s*['"`]([^'"`]+)['"`]/)
+    : null;
+  const classMatch = content.match(/export\s+class\s+(\w+)/);
+
+  return {
+    filePath,
+    kind: decoratorMatch[1] === 'Directive' ? 'directive' : 'service',
+    selector: selectorMatch ? selectorMatch[1] : null,
+    className: classMatch ? classMatch[1] : path.basename(filePath, '.ts'),
+    templateFile: null,
+    styleFiles: [],
+    inlineTemplate: null,
+    inlineTemplateOrigin: null,
+    inlineStyles: null,
+    inlineStylesOrigin: null
+  };
+}
+
 /**
  * Get check function by name
  */
@@ -187,20 +270,22 @@ function getCheckFunction(name, registry) {
  * @param {string} content - Content to check
  * @param {Map} registry - Check registry
  * @param {object} varContext - Variable context for SCSS variable resolution (optional)
+ * @param {Array} [inherited] - Backgrounds behind the stylesheet's text (colorInheritance)
  */
-function runCheck(name, content, registry, varContext = null) {
+function runCheck(name, content, registry, varContext = null, inherited = null) {
   const checkFn = getCheckFunction(name, registry);
   if (!checkFn) {
     return { pass: true, issues: [], elementsFound: 0 };
   }
 
   try {
-    // Pass context to checks that support it (SCSS checks)
-    const result = varContext ? checkFn(content, varContext) : checkFn(content);
+    // HTML checks get the parsed template, SCSS checks the variable context
+    const result = checkFn(content, getCheckContext(registry.get(name), content, varContext, inherited));
     return {
       pass: result.pass,
       issues: result.issues || [],
       elementsFound: result.elementsFound || 0,
+      locations: result.locations || [],
       variablesResolved: result.variablesResolved || 0,
       variablesSkipped: result.variablesSkipped || 0
     };
@@ -222,6 +307,72 @@ function getCheckNamesByType(registry, type) {
   return names;
 }
 
+/**
+ * Check whether TypeScript checks run with the given options
+ * (directives and services are only analyzed then)
+ * @param {object} [options] - Analysis options
+ * @param {string} [options.tier='full'] - Check tier
+ * @param {string[]} [options.enable] - Checks to add (project config)
+ * @param {string[]} [options.disable] - Checks to remove (project config)
+ * @returns {boolean}
+ */
+function hasTypeScriptChecks(options = {}) {
+  const registry = selectChecks(getChecksByTier(loadProjectChecks(options), options.tier || 'full'), options);
+  return getCheckNamesByType(registry, 'ts').length > 0;
+}
+
+/**
+ * Run checks on one template or stylesheet and add the issues to a component result
+ * @param {object} result - Component result being built
+ * @param {string} content - Template or style content
+ * @param {string} file - File path reported with the issues
+ * @param {'html'|'scss'|'ts'} type - Content type (suppression comment syntax)
+ * @param {string[]} checkNames - Checks to run
+ * @param {Map} registry - Check registry
+ * @param {object} varContext - Variable context for SCSS variable resolution (optional)
+ * @param {object} options - Analysis options (severity overrides, knownChecks, componentMap)
+ * @param {{line: number, column: number}} [origin] - Where inline content starts in `file`
+ * @param {Array} [inherited] - Backgrounds behind a stylesheet's text (colorInheritance)
+ */
+function analyzeContent(result, content, file, type, checkNames, registry, varContext, options, origin = null, inherited = null) {
+  // Templates: wrapper components are checked as the elements they are mapped to
+  const mapped = type === 'html' ? applyComponentMap(content, options.componentMap) : null;
+
+  const checkResults = {};
+  const issuesByCheck = {};
+  for (const checkName of checkNames) {
+    checkResults[checkName] = runCheck(checkName, mapped ? mapped.content : content, registry, varContext, inherited);
+    issuesByCheck[checkName] = restoreIssues(mapped, withLocations(checkResults[checkName].issues, checkResults[checkName].locations));
+  }
+
+  // Drop issues silenced by inline mat-a11y-disable comments
+  const applied = applySuppressions(content, type, issuesByCheck, { knownChecks: options.knownChecks, origin });
+  for (const entry of applied.suppressed) {
+    result.suppressed.push({ ...entry, file });
+  }
+  for (const entry of applied.unused) {
+    result.unusedDisables.push({ ...entry, file });
+  }
+
+  for (const checkName of checkNames) {
+    const issues = applied.issues[checkName];
+
+    if (!result.checkAggregates[checkName]) {
+      result.checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
+    }
+    result.checkAggregates[checkName].elementsFound += checkResults[checkName].elementsFound;
+    result.checkAggregates[checkName].issues += issues.length;
+
+    for (const issue of issues) {
+      const reported = applySeverityOverride(issue, checkName, options.severity);
+      if (reported.severity === 'error') result.checkAggregates[checkName].errors++;
+      else result.checkAggregates[checkName].warnings++;
+
+      result.issues.push({ ...reported, file, check: checkName });
+    }
+  }
+}
+
 /**
  * Analyze a single component
  * @param {object} component - Parsed component metadata
@@ -229,187 +380,221 @@ function getCheckNamesByType(registry, type) {
  * @param {string[]} htmlChecks - HTML check names
  * @param {string[]} scssChecks - SCSS check names
  * @param {object} varContext - Variable context for SCSS variable resolution (optional)
+ * @param {object} [options] - Analysis options
+ * @param {object} [options.severity] - Per-check severity overrides (project config)
+ * @param {Iterable<string>} [options.knownChecks] - All check names (unknown names in disable comments are reported)
+ * @param {string[]} [options.tsChecks] - TypeScript check names, run on the component's .ts file
+ * @param {Map} [options.componentMap] - Wrapper components to check as the elements they render (core/componentMap)
+ * @param {object} [options.inheritance] - Color inheritance model (text on parent and global backgrounds, core/colorInheritance)
  * @returns {object} Analysis result for this component
  */
-function analyzeComponent(component, registry, htmlChecks, scssChecks, varContext = null) {
+function analyzeComponent(component, registry, htmlChecks, scssChecks, varContext = null, options = {}) {
   const result = {
     name: component.className,
     selector: component.selector,
     tsFile: component.filePath,
     files: [],
     issues: [],
-    checkAggregates: {}
+    checkAggregates: {},
+    suppressed: [],
+    unusedDisables: []
   };
 
   // Analyze template
   if (component.templateFile && fs.existsSync(component.templateFile)) {
     result.files.push(component.templateFile);
     const content = fs.readFileSync(component.templateFile, 'utf-8');
-
-    for (const checkName of htmlChecks) {
-      const checkResult = runCheck(checkName, content, registry);
-
-      if (!result.checkAggregates[checkName]) {
-        result.checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      result.checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      result.checkAggregates[checkName].issues += checkResult.issues.length;
-
-      for (const issue of checkResult.issues) {
-        const msg = typeof issue === 'string' ? issue : issue.message || '';
-        const isError = msg.startsWith('[Error]');
-        if (isError) result.checkAggregates[checkName].errors++;
-        else result.checkAggregates[checkName].warnings++;
-
-        result.issues.push({
-          message: msg,
-          file: component.templateFile,
-          check: checkName
-        });
-      }
-    }
+    analyzeContent(result, content, component.templateFile, 'html', htmlChecks, registry, null, options);
   } else if (component.inlineTemplate) {
-    // Analyze inline template
-    for (const checkName of htmlChecks) {
-      const checkResult = runCheck(checkName, component.inlineTemplate, registry);
-
-      if (!result.checkAggregates[checkName]) {
-        result.checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      result.checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      result.checkAggregates[checkName].issues += checkResult.issues.length;
-
-      for (const issue of checkResult.issues) {
-        const msg = typeof issue === 'string' ? issue : issue.message || '';
-        const isError = msg.startsWith('[Error]');
-        if (isError) result.checkAggregates[checkName].errors++;
-        else result.checkAggregates[checkName].warnings++;
-
-        result.issues.push({
-          message: msg,
-          file: `${component.className} (inline template)`,
-          check: checkName
-        });
-      }
-    }
+    // Analyze inline template (issues point into the .ts file)
+    analyzeContent(result, component.inlineTemplate, component.filePath, 'html',
+      htmlChecks, registry, null, options, component.inlineTemplateOrigin);
   }
 
-  // Analyze style files
+  // Analyze style files (text is also checked against the backgrounds it inherits)
+  const inherited = getComponentInheritance(options.inheritance, component);
   for (const styleFile of component.styleFiles) {
     if (!fs.existsSync(styleFile)) continue;
 
     result.files.push(styleFile);
     const content = fs.readFileSync(styleFile, 'utf-8');
-
-    for (const checkName of scssChecks) {
-      const checkResult = runCheck(checkName, content, registry, varContext);
-
-      if (!result.checkAggregates[checkName]) {
-        result.checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      result.checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      result.checkAggregates[checkName].issues += checkResult.issues.length;
-
-      for (const issue of checkResult.issues) {
-        const msg = typeof issue === 'string' ? issue : issue.message || '';
-        const isError = msg.startsWith('[Error]');
-        if (isError) result.checkAggregates[checkName].errors++;
-        else result.checkAggregates[checkName].warnings++;
-
-        result.issues.push({
-          message: msg,
-          file: styleFile,
-          check: checkName
-        });
-      }
-    }
+    analyzeContent(result, content, styleFile, 'scss', scssChecks, registry, varContext, options,
+      null, inherited.filter(entry => entry.file === styleFile));
   }
 
   // Analyze inline styles
   if (component.inlineStyles) {
-    for (const checkName of scssChecks) {
-      const checkResult = runCheck(checkName, component.inlineStyles, registry, varContext);
+    analyzeContent(result, component.inlineStyles, component.filePath, 'scss',
+      scssChecks, registry, varContext, options, component.inlineStylesOrigin,
+      inherited.filter(entry => entry.file === component.filePath));
+  }
 
-      if (!result.checkAggregates[checkName]) {
-        result.checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      result.checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      result.checkAggregates[checkName].issues += checkResult.issues.length;
-
-      for (const issue of checkResult.issues) {
-        const msg = typeof issue === 'string' ? issue : issue.message || '';
-        const isError = msg.startsWith('[Error]');
-        if (isError) result.checkAggregates[checkName].errors++;
-        else result.checkAggregates[checkName].warnings++;
-
-        result.issues.push({
-          message: msg,
-          file: `${component.className} (inline styles)`,
-          check: checkName
-        });
-      }
-    }
+  // Analyze the class itself
+  if (options.tsChecks && options.tsChecks.length > 0 && isSourceFile(component.filePath) && fs.existsSync(component.filePath)) {
+    const content = fs.readFileSync(component.filePath, 'utf-8');
+    analyzeContent(result, content, component.filePath, 'ts', options.tsChecks, registry, null, options);
   }
 
   return result;
 }
 
 /**
- * Analyze all components in a project
- * @param {string} projectDir - Project directory
- * @param {object} options - Options
- * @returns {object} Analysis results
+ * The app's index.html as a pseudo-component, analyzed when i18n checks run
+ * (component mode doesn't analyze documents otherwise, so i18nHtmlLang would
+ * never see <html lang>)
+ * @param {object} options - Analysis options
+ * @param {object|null} [workspaceScope] - selectWorkspaceScope() result
+ * @returns {object|null} Component-like entry, or null without i18n or index.html
  */
-function analyzeByComponent(projectDir, options = {}) {
-  const tier = options.tier || 'full';
-  const ignore = options.ignore || ['node_modules', 'dist', '.git', '.angular', 'coverage'];
+function getDocumentEntry(options, workspaceScope = null) {
+  const i18n = options.componentFiles ? null : loadProjectI18n(options);
+  if (!i18n || !i18n.index) return null;
+
+  // Only for the app it belongs to
+  if (workspaceScope) {
+    const owner = findProject(workspaceScope.workspace, i18n.index);
+    if (!owner || !workspaceScope.scope.has(owner.name)) return null;
+  }
 
-  // Load check registry
-  const fullRegistry = loadAllChecks();
-  const registry = getChecksByTier(fullRegistry, tier);
-  const htmlChecks = getCheckNamesByType(registry, 'html');
-  const scssChecks = getCheckNamesByType(registry, 'scss');
+  return {
+    className: path.basename(i18n.index),
+    selector: null,
+    filePath: i18n.index,
+    templateFile: i18n.index,
+    inlineTemplate: null,
+    styleFiles: [],
+    inlineStyles: null
+  };
+}
 
-  // Build variable context for SCSS resolution
-  let varContext = null;
-  try {
-    varContext = buildContext(projectDir);
-  } catch (e) {
-    // Continue without variable resolution if it fails
-    console.warn('[ComponentAnalyzer] Warning: Variable context build failed:', e.message);
+/**
+ * The workspace's global stylesheets (angular.json `styles`)
+ * @param {string} projectDir - Project directory
+ * @param {object|null} [workspaceScope] - selectWorkspaceScope() result
+ * @returns {string[]} Stylesheet paths
+ */
+function findGlobalStyleFiles(projectDir, workspaceScope = null) {
+  const workspace = workspaceScope ? workspaceScope.workspace : loadWorkspace(projectDir);
+  if (!workspace) return [];
+
+  const root = path.resolve(projectDir);
+  const styleFiles = new Set();
+  for (const project of workspace.projects) {
+    if (workspaceScope && !workspaceScope.scope.has(project.name)) continue;
+    for (const file of project.styles) {
+      const relative = path.relative(root, file);
+      if (!workspaceScope && (relative.startsWith('..') || path.isAbsolute(relative))) continue;
+      if (/\.s?css$/.test(file) && fs.existsSync(file)) styleFiles.add(file);
+    }
   }
+  return [...styleFiles];
+}
 
-  // Find all component files
-  const componentFiles = findComponentFiles(projectDir, ignore);
+/**
+ * The workspace's global stylesheets as pseudo-components, so the Material
+ * theme defined in styles.scss is checked too (component mode only sees the
+ * stylesheets components reference otherwise)
+ * @param {string} projectDir - Project directory
+ * @param {object} options - Analysis options
+ * @param {object|null} [workspaceScope] - selectWorkspaceScope() result
+ * @returns {object[]} Component-like entries (none when the caller picked the component files)
+ */
+function getGlobalStyleEntries(projectDir, options, workspaceScope = null) {
+  if (options.componentFiles) return [];
 
-  if (componentFiles.length === 0) {
-    return {
-      error: 'No Angular components found. Make sure you are in an Angular project.',
-      components: [],
-      componentCount: 0
-    };
+  return findGlobalStyleFiles(projectDir, workspaceScope).map(file => ({
+    className: path.basename(file),
+    selector: null,
+    filePath: file,
+    templateFile: null,
+    inlineTemplate: null,
+    styleFiles: [file],
+    inlineStyles: null
+  }));
+}
+
+/**
+ * Build the color inheritance model of the analyzed components, so text in a
+ * child component is checked against the backgrounds of its parents and the
+ * global styles (only when colorContrast runs)
+ * @param {string} projectDir - Project directory
+ * @param {object[]} components - Parsed components being analyzed
+ * @param {string[]} scssChecks - SCSS check names
+ * @param {object|null} varContext - Variable context for SCSS variable resolution
+ * @param {object|null} workspaceScope - selectWorkspaceScope() result
+ * @param {object} options - Analysis options
+ * @returns {object|null} Model, or null when colorContrast doesn't run
+ */
+function buildInheritanceModel(projectDir, components, scssChecks, varContext, workspaceScope, options) {
+  if (!scssChecks.includes('colorContrast')) return null;
+
+  // Parents of the caller's pick (e.g. --changed-since) render behind it too
+  const candidates = options.componentFiles
+    ? findComponentFiles(workspaceScope ? workspaceScope.workspace.root : projectDir, options.ignore || DEFAULT_IGNORE)
+      .map(parseComponent)
+    : components;
+
+  const registry = new Map();
+  for (const component of candidates) {
+    if (!component || component.kind !== 'component' || !component.selector || registry.has(component.selector)) continue;
+    registry.set(component.selector, {
+      selector: component.selector,
+      filePath: component.filePath,
+      templateUrl: component.templateFile,
+      template: component.inlineTemplate,
+      styleUrls: component.styleFiles,
+      styles: component.inlineStyles
+    });
   }
 
-  // Parse and analyze each component
+  const globalStyles = findGlobalStyleFiles(projectDir, workspaceScope).map(file => ({ file }));
+  return createInheritanceModel(registry, globalStyles, varContext);
+}
+
+/**
+ * The backgrounds a component's text inherits (none without a model)
+ * @private
+ */
+function getComponentInheritance(model, component) {
+  return model && component.selector ? getInheritedBackgrounds(model, component.selector) : [];
+}
+
+/**
+ * Check if a parsed component has a template or styles to analyze
+ * @param {object} component - Parsed component, directive or service metadata
+ * @param {boolean} [withSource=false] - TypeScript checks run too (every class has source to analyze)
+ * @returns {boolean}
+ */
+function hasAnalyzableContent(component, withSource = false) {
+  return withSource || Boolean(component.templateFile || component.inlineTemplate ||
+    component.styleFiles.length > 0 || component.inlineStyles);
+}
+
+/**
+ * Combine component results into the analysis result
+ * @param {object[]} results - analyzeComponent() results of every analyzed component, with or without issues
+ * @param {object} options - Analysis options
+ * @param {string} options.tier - Tier that was run
+ * @param {object} [options.weights] - Per-check weight overrides (project config)
+ * @param {Map} [options.registry] - Check registry that was run (criteria of the checks in `coverage`)
+ * @param {string} [options.wcagLevel] - WCAG level the checks were limited to
+ * @returns {object} Analysis results (same shape as analyzeByComponent())
+ */
+function summarizeComponentResults(results, options) {
   const componentResults = [];
   const globalCheckAggregates = {};
+  const coverage = {};
+  const suppressions = createSuppressionSummary();
   let totalIssues = 0;
-  let totalComponentsScanned = 0;
-
-  for (const filePath of componentFiles) {
-    const component = parseComponent(filePath);
-    if (!component) continue;
-
-    // Skip components with no template and no styles
-    if (!component.templateFile && !component.inlineTemplate &&
-        component.styleFiles.length === 0 && !component.inlineStyles) {
-      continue;
-    }
 
-    const result = analyzeComponent(component, registry, htmlChecks, scssChecks, varContext);
+  for (const result of results) {
+    // Suppressed issues are listed separately, also for components without issues
+    for (const entry of result.suppressed) suppressions.issues.push({ ...entry, component: result.name });
+    for (const entry of result.unusedDisables) suppressions.unused.push({ ...entry, component: result.name });
+    suppressions.count = suppressions.issues.length;
 
-    // Count only components we actually analyzed (i.e., have template/styles)
-    totalComponentsScanned++;
+    // WCAG coverage counts the elements of every component, also those without issues
+    addCoverage(coverage, result.checkAggregates, options.registry, result.issues);
 
     // Skip components with no issues
     if (result.issues.length === 0) continue;
@@ -433,17 +618,194 @@ function analyzeByComponent(projectDir, options = {}) {
   componentResults.sort((a, b) => b.issues.length - a.issues.length);
 
   // Calculate overall audit score
-  const auditResult = calculateAuditScore(globalCheckAggregates);
+  const auditResult = calculateAuditScore(globalCheckAggregates, options.weights);
 
   return {
-    tier,
+    tier: options.tier,
     componentCount: componentResults.length,
-    totalComponentsScanned,
+    totalComponentsScanned: results.length,
     totalIssues,
     auditScore: auditResult.score,
     audits: auditResult.audits,
-    components: componentResults
+    components: componentResults,
+    suppressions,
+    coverage,
+    wcagLevel: options.wcagLevel || null,
+    weightOverrides: options.weights || null
+  };
+}
+
+/**
+ * Workspace projects for `project` / `perProject`: the workspace with library
+ * consumption resolved, and the projects whose components are analyzed
+ * (the selected project plus the libraries it consumes, or all of them)
+ * @param {string} projectDir - Project directory
+ * @param {object} options - Analysis options
+ * @returns {{workspace: object, scope: Set<string>, project: object|null}|{error: string}|null}
+ *   null when analysis isn't scoped to a workspace
+ */
+function selectWorkspaceScope(projectDir, options) {
+  if (!options.project && !options.perProject) return null;
+
+  const workspace = loadWorkspace(projectDir);
+  if (!workspace || workspace.projects.length === 0) {
+    return { error: 'No Angular workspace found (angular.json, or nx.json with project.json files).' };
+  }
+  resolveLibraries(workspace);
+
+  if (!options.project) {
+    return { workspace, scope: new Set(workspace.projects.map(project => project.name)), project: null };
+  }
+
+  const project = workspace.projects.find(entry => entry.name === options.project);
+  if (!project) {
+    return { error: `Unknown project "${options.project}". Projects: ${workspace.projects.map(entry => entry.name).join(', ')}` };
+  }
+  return { workspace, scope: new Set([project.name, ...project.libraries]), project };
+}
+
+/**
+ * Find the files to analyze: the caller's pick, or every component in the
+ * project directory (the workspace projects in scope, when scoped)
+ * @private
+ */
+function selectComponentFiles(projectDir, workspaceScope, withSource, options) {
+  const ignore = options.ignore || DEFAULT_IGNORE;
+  const dir = workspaceScope ? workspaceScope.workspace.root : projectDir;
+  const files = options.componentFiles || (withSource ? findSourceFiles(dir, ignore) : findComponentFiles(dir, ignore));
+  if (!workspaceScope) return files;
+
+  return files.filter(file => {
+    const owner = findProject(workspaceScope.workspace, file);
+    return owner && workspaceScope.scope.has(owner.name);
+  });
+}
+
+/**
+ * Add the workspace projects to the analysis result: the selected project
+ * (`project`), and a summary per project (`projects`, with perProject).
+ * A project's summary covers its own components and those of every library it
+ * consumes, so a library analyzed once counts for each app using it; the
+ * result itself stays the roll-up, with every component once.
+ * @param {object} summary - summarizeComponentResults() result
+ * @param {object[]} results - analyzeComponent() results
+ * @param {object|null} workspaceScope - selectWorkspaceScope() result
+ * @param {object} options - Analysis options
+ * @returns {object} The analysis result
+ */
+function addWorkspaceResults(summary, results, workspaceScope, options) {
+  if (!workspaceScope) return summary;
+
+  const { workspace, scope, project } = workspaceScope;
+  const describe = entry => ({
+    name: entry.name,
+    type: entry.type,
+    root: path.relative(workspace.root, entry.root).split(path.sep).join('/') || '.',
+    libraries: entry.libraries
+  });
+  const output = { ...summary, workspace: { root: workspace.root, type: workspace.type } };
+  if (project) output.project = describe(project);
+  if (!options.perProject) return output;
+
+  const byProject = new Map();
+  for (const result of results) {
+    const owner = findProject(workspace, result.tsFile);
+    if (!owner) continue;
+    if (!byProject.has(owner.name)) byProject.set(owner.name, []);
+    byProject.get(owner.name).push(result);
+  }
+
+  output.projects = workspace.projects
+    .filter(entry => scope.has(entry.name))
+    .map(entry => {
+      const own = [entry.name, ...entry.libraries].flatMap(name => byProject.get(name) || []);
+      const projectSummary = summarizeComponentResults(own, { tier: summary.tier, weights: options.weights });
+      return {
+        ...describe(entry),
+        totalComponentsScanned: projectSummary.totalComponentsScanned,
+        componentCount: projectSummary.componentCount,
+        totalIssues: projectSummary.totalIssues,
+        auditScore: projectSummary.auditScore,
+        components: projectSummary.components.map(component => component.name)
+      };
+    });
+  return output;
+}
+
+/**
+ * Analyze all components in a project
+ * @param {string} projectDir - Project directory
+ * @param {object} options - Options
+ * @param {string[]} [options.componentFiles] - Analyze only these component .ts files
+ * @param {string} [options.project] - Workspace project to analyze, with the libraries it consumes
+ * @param {boolean} [options.perProject] - Add a summary per workspace project (`projects`)
+ * @returns {object} Analysis results
+ */
+function analyzeByComponent(projectDir, options = {}) {
+  options = resolveOptions(projectDir, options, DEFAULT_IGNORE);
+  const tier = options.tier || 'full';
+
+  // Load check registry (tier + enable/disable from project config)
+  const fullRegistry = loadProjectChecks(options);
+  const registry = selectChecks(getChecksByTier(fullRegistry, tier), options);
+  const htmlChecks = getCheckNamesByType(registry, 'html');
+  const scssChecks = getCheckNamesByType(registry, 'scss');
+  const tsChecks = getCheckNamesByType(registry, 'ts');
+
+  // Build variable context for SCSS resolution
+  let varContext = null;
+  try {
+    varContext = buildContext(projectDir);
+  } catch (e) {
+    // Continue without variable resolution if it fails
+    console.warn('[ComponentAnalyzer] Warning: Variable context build failed:', e.message);
+  }
+
+  // Workspace project(s) to analyze (--project, --per-project)
+  const workspaceScope = selectWorkspaceScope(projectDir, options);
+  if (workspaceScope && workspaceScope.error) {
+    return { error: workspaceScope.error, components: [], componentCount: 0 };
+  }
+
+  // Find all component files (unless the caller picked them, e.g. --changed-since),
+  // plus directives and services when TypeScript checks run
+  const componentFiles = selectComponentFiles(projectDir, workspaceScope, tsChecks.length > 0, options);
+
+  if (componentFiles.length === 0) {
+    return {
+      error: 'No Angular components found. Make sure you are in an Angular project.',
+      components: [],
+      componentCount: 0
+    };
+  }
+
+  // Parse and analyze each component (skipping components with no template and no styles)
+  const analyzeOptions = {
+    ...options,
+    knownChecks: [...fullRegistry.keys()],
+    tsChecks,
+    componentMap: loadComponentMap(options, projectDir)
   };
+  const components = componentFiles.map(parseSourceFile)
+    .filter(component => component && hasAnalyzableContent(component, tsChecks.length > 0));
+  analyzeOptions.inheritance = buildInheritanceModel(projectDir, components, scssChecks, varContext, workspaceScope, options);
+
+  const results = [];
+  for (const component of components) {
+    results.push(analyzeComponent(component, registry, htmlChecks, scssChecks, varContext, analyzeOptions));
+  }
+
+  const documentEntry = getDocumentEntry(options, workspaceScope);
+  if (documentEntry) {
+    results.push(analyzeComponent(documentEntry, registry, htmlChecks, [], null, analyzeOptions));
+  }
+
+  for (const styleEntry of getGlobalStyleEntries(projectDir, options, workspaceScope)) {
+    results.push(analyzeComponent(styleEntry, registry, [], scssChecks, varContext, analyzeOptions));
+  }
+
+  const summary = summarizeComponentResults(results, { tier, weights: options.weights, registry, wcagLevel: options.wcagLevel });
+  return addWorkspaceResults(summary, results, workspaceScope, options);
 }
 
 /**
@@ -453,11 +815,14 @@ function analyzeByComponent(projectDir, options = {}) {
  * @param {string} options.tier - Check tier ('basic', 'material', 'full')
  * @param {string[]} options.ignore - Patterns to ignore
  * @param {number|'auto'|'sync'} options.workers - Worker mode ('sync' default, 'auto', or number)
+ * @param {string[]} [options.componentFiles] - Analyze only these component .ts files
+ * @param {string} [options.project] - Workspace project to analyze, with the libraries it consumes
+ * @param {boolean} [options.perProject] - Add a summary per workspace project (`projects`)
  * @returns {Promise<object>} Analysis results
  */
 async function analyzeByComponentAsync(projectDir, options = {}) {
+  options = resolveOptions(projectDir, options, DEFAULT_IGNORE);
   const tier = options.tier || 'full';
-  const ignore = options.ignore || ['node_modules', 'dist', '.git', '.angular', 'coverage'];
   const workers = options.workers || 'sync';
 
   // For sync mode, use the synchronous implementation
@@ -465,9 +830,11 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
     return analyzeByComponent(projectDir, options);
   }
 
-  // Load check registry
-  const fullRegistry = loadAllChecks();
-  const registry = getChecksByTier(fullRegistry, tier);
+  // Load check registry (tier + enable/disable from project config)
+  const fullRegistry = loadProjectChecks(options);
+  const registry = selectChecks(getChecksByTier(fullRegistry, tier), options);
+  const hasTsChecks = getCheckNamesByType(registry, 'ts').length > 0;
+  const scssChecks = getCheckNamesByType(registry, 'scss');
 
   // Build variable context for SCSS resolution (still sync - one-time cost)
   let varContext = null;
@@ -477,8 +844,15 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
     console.warn('[ComponentAnalyzer] Warning: Variable context build failed:', e.message);
   }
 
-  // Find all component files
-  const componentFiles = findComponentFiles(projectDir, ignore);
+  // Workspace project(s) to analyze (--project, --per-project)
+  const workspaceScope = selectWorkspaceScope(projectDir, options);
+  if (workspaceScope && workspaceScope.error) {
+    return { error: workspaceScope.error, components: [], componentCount: 0 };
+  }
+
+  // Find all component files (unless the caller picked them, e.g. --changed-since),
+  // plus directives and services when TypeScript checks run
+  const componentFiles = selectComponentFiles(projectDir, workspaceScope, hasTsChecks, options);
 
   if (componentFiles.length === 0) {
     return {
@@ -488,26 +862,26 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
     };
   }
 
-  // Parse components and collect all files to analyze
+  // Parse components (skipping components with no template and no styles)
+  const parsed = componentFiles.map((filePath, index) => ({ index, component: parseSourceFile(filePath) }))
+    .filter(entry => entry.component && hasAnalyzableContent(entry.component, hasTsChecks));
+  const inheritance = buildInheritanceModel(projectDir, parsed.map(entry => entry.component),
+    scssChecks, varContext, workspaceScope, options);
+
+  // Collect all files to analyze
   const components = [];
   const filesToAnalyze = [];
-  const componentFileMap = new Map(); // Map file path to component index
-
-  for (let i = 0; i < componentFiles.length; i++) {
-    const component = parseComponent(componentFiles[i]);
-    if (!component) continue;
 
-    // Skip components with no template and no styles
-    if (!component.templateFile && !component.inlineTemplate &&
-        component.styleFiles.length === 0 && !component.inlineStyles) {
-      continue;
-    }
+  for (const { index: i, component } of parsed) {
+    const inherited = getComponentInheritance(inheritance, component);
 
     components.push({
       ...component,
       index: i,
       issues: [],
-      checkAggregates: {}
+      checkAggregates: {},
+      suppressed: [],
+      unusedDisables: []
     });
 
     // Collect files for batch processing
@@ -519,10 +893,13 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
         type: 'html'
       });
     } else if (component.inlineTemplate) {
-      // Use .html extension so worker correctly identifies as HTML
+      // Use .html extension so worker correctly identifies as HTML;
+      // issues are reported against the .ts file at the template's origin
       filesToAnalyze.push({
         path: `${component.className}-inline.html`,
         content: component.inlineTemplate,
+        origin: component.inlineTemplateOrigin,
+        sourcePath: component.filePath,
         componentIndex: components.length - 1,
         type: 'html'
       });
@@ -533,6 +910,7 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
         filesToAnalyze.push({
           path: styleFile,
           content: fs.readFileSync(styleFile, 'utf-8'),
+          inherited: inherited.filter(entry => entry.file === styleFile),
           componentIndex: components.length - 1,
           type: 'scss'
         });
@@ -544,20 +922,67 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
       filesToAnalyze.push({
         path: `${component.className}-inline.scss`,
         content: component.inlineStyles,
+        origin: component.inlineStylesOrigin,
+        inherited: inherited.filter(entry => entry.file === component.filePath),
+        sourcePath: component.filePath,
         componentIndex: components.length - 1,
         type: 'scss'
       });
     }
+
+    if (hasTsChecks && isSourceFile(component.filePath)) {
+      filesToAnalyze.push({
+        path: component.filePath,
+        content: fs.readFileSync(component.filePath, 'utf-8'),
+        componentIndex: components.length - 1,
+        type: 'ts'
+      });
+    }
+  }
+
+  const documentEntry = getDocumentEntry(options, workspaceScope);
+  if (documentEntry) {
+    components.push({ ...documentEntry, index: componentFiles.length, issues: [], checkAggregates: {}, suppressed: [], unusedDisables: [] });
+    filesToAnalyze.push({
+      path: documentEntry.templateFile,
+      content: fs.readFileSync(documentEntry.templateFile, 'utf-8'),
+      componentIndex: components.length - 1,
+      type: 'html'
+    });
+  }
+
+  for (const styleEntry of getGlobalStyleEntries(projectDir, options, workspaceScope)) {
+    components.push({ ...styleEntry, index: componentFiles.length, issues: [], checkAggregates: {}, suppressed: [], unusedDisables: [] });
+    filesToAnalyze.push({
+      path: styleEntry.filePath,
+      content: fs.readFileSync(styleEntry.filePath, 'utf-8'),
+      componentIndex: components.length - 1,
+      type: 'scss'
+    });
   }
 
   // Create runner and process files in parallel
-  const runner = new CheckRunner({ workers });
+  const runner = new CheckRunner({ workers, plugins: options.plugins, i18n: options.i18n, configFile: options.configFile });
   await runner.init();
 
   try {
-    const runnerResults = await runner.runChecks(filesToAnalyze, tier, { varContext });
+    const runnerResults = await runner.runChecks(filesToAnalyze, tier, {
+      varContext,
+      enable: options.enable,
+      disable: options.disable,
+      wcagLevel: options.wcagLevel,
+      componentMap: loadComponentMap(options, projectDir)
+    });
 
     // Map results back to components
+    // Map suppressed issues back to components
+    for (const [key, target] of [['issues', 'suppressed'], ['unused', 'unusedDisables']]) {
+      for (const entry of runnerResults.suppressions[key]) {
+        const fileInfo = filesToAnalyze.find(f => f.path === entry.file);
+        if (fileInfo) components[fileInfo.componentIndex][target].push({ ...entry, file: fileInfo.sourcePath || entry.file });
+      }
+    }
+
     for (const [filePath, fileResult] of runnerResults.files) {
       // Find which component this file belongs to
       const fileInfo = filesToAnalyze.find(f => f.path === filePath);
@@ -573,16 +998,11 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
         component.checkAggregates[checkName].issues += (checkData.issues || []).length;
 
         for (const issue of checkData.issues || []) {
-          const msg = typeof issue === 'string' ? issue : issue;
-          const isError = msg.startsWith('[Error]');
-          if (isError) component.checkAggregates[checkName].errors++;
+          const reported = applySeverityOverride(issue, checkName, options.severity);
+          if (reported.severity === 'error') component.checkAggregates[checkName].errors++;
           else component.checkAggregates[checkName].warnings++;
 
-          component.issues.push({
-            message: msg,
-            file: filePath,
-            check: checkName
-          });
+          component.issues.push({ ...reported, file: fileInfo.sourcePath || filePath, check: checkName });
         }
       }
     }
@@ -591,50 +1011,19 @@ async function analyzeByComponentAsync(projectDir, options = {}) {
   }
 
   // Aggregate results
-  const componentResults = [];
-  const globalCheckAggregates = {};
-  let totalIssues = 0;
-
-  for (const component of components) {
-    if (component.issues.length === 0) continue;
-
-    componentResults.push({
-      name: component.className,
-      selector: component.selector,
-      tsFile: component.filePath,
-      files: [component.templateFile, ...component.styleFiles].filter(Boolean),
-      issues: component.issues,
-      checkAggregates: component.checkAggregates
-    });
-    totalIssues += component.issues.length;
-
-    // Merge into global aggregates
-    for (const [checkName, data] of Object.entries(component.checkAggregates)) {
-      if (!globalCheckAggregates[checkName]) {
-        globalCheckAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      globalCheckAggregates[checkName].elementsFound += data.elementsFound;
-      globalCheckAggregates[checkName].issues += data.issues;
-      globalCheckAggregates[checkName].errors += data.errors;
-      globalCheckAggregates[checkName].warnings += data.warnings;
-    }
-  }
-
-  // Sort by issue count (worst first)
-  componentResults.sort((a, b) => b.issues.length - a.issues.length);
-
-  // Calculate overall audit score
-  const auditResult = calculateAuditScore(globalCheckAggregates);
-
-  return {
-    tier,
-    componentCount: componentResults.length,
-    totalComponentsScanned: components.length,
-    totalIssues,
-    auditScore: auditResult.score,
-    audits: auditResult.audits,
-    components: componentResults
-  };
+  const results = components.map(component => ({
+    name: component.className,
+    selector: component.selector,
+    tsFile: component.filePath,
+    files: [component.templateFile, ...component.styleFiles].filter(Boolean),
+    issues: component.issues,
+    checkAggregates: component.checkAggregates,
+    suppressed: component.suppressed,
+    unusedDisables: component.unusedDisables
+  }));
+
+  const summary = summarizeComponentResults(results, { tier, weights: options.weights, registry, wcagLevel: options.wcagLevel });
+  return addWorkspaceResults(summary, results, workspaceScope, options);
 }
 
 /**
@@ -704,8 +1093,18 @@ function formatComponentResults(results) {
 
 module.exports = {
   findComponentFiles,
+  findSourceFiles,
   parseComponent,
+  parseSourceFile,
+  hasAnalyzableContent,
+  getCheckNamesByType,
+  hasTypeScriptChecks,
   analyzeComponent,
+  getDocumentEntry,
+  getGlobalStyleEntries,
+  buildInheritanceModel,
+  summarizeComponentResults,
+  selectWorkspaceScope,
   analyzeByComponent,
   analyzeByComponentAsync,
   formatComponentResults
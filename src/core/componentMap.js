@@ -0,0 +1,369 @@
+/**
+ * @fileoverview Component mapping for design-system wrappers.
+ *
+ * Apps often wrap Material in their own components (`<acme-button>`,
+ * `<acme-select>`). The checks only know the Material and native elements, so
+ * a component map tells them what a wrapper renders:
+ *
+ *   components: {
+ *     'acme-button': { as: 'button[mat-button]', label: 'label' },
+ *     'acme-select': 'mat-select',
+ *     'acme-checkbox': { as: 'mat-checkbox', inputs: { caption: 'aria-label' } }
+ *   }
+ *
+ * `as` is the element (with attributes) the wrapper behaves like, `label` the
+ * input that gives it its accessible name (becomes aria-label) and `inputs`
+ * renames other inputs. With `deriveComponents: true` entries are also derived
+ * from the project's wrapper components whose template renders a single
+ * Material root (`<button mat-button [attr.aria-label]="label">`); explicit
+ * entries win.
+ *
+ * Before the HTML checks run, applyComponentMap() rewrites wrapper tags in a
+ * template to the mapped element and restoreIssues() maps the issues back to
+ * the original template. Only tag and attribute names are rewritten, so lines
+ * stay the same and inline suppression comments keep working.
+ *
+ * @module core/componentMap
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseTemplate, walk, getTextContent } = require('./templateParser');
+const { getLocation } = require('./location');
+const { buildComponentRegistry } = require('./componentRegistry');
+
+// Custom element selectors (wrappers always have a dash)
+const ELEMENT_SELECTOR = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/;
+
+// Mapped element: tag followed by [attr] or [attr=value] parts
+const TARGET_SELECTOR = /^([a-zA-Z][\w-]*)((?:\[[^\]=\s]+(?:=[^\]]*)?\])*)$/;
+const TARGET_ATTR = /\[([^\]=\s]+)(?:=["']?([^"'\]]*)["']?)?\]/g;
+
+// Attribute kinds that set an input (static, [input], [attr.input], [(input)])
+const INPUT_KINDS = new Set(['static', 'property', 'attribute', 'twoWay']);
+
+// A bound expression that is just a component property
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const INTERPOLATED_IDENTIFIER = /^\{\{\s*([A-Za-z_$][\w$]*)\s*\}\}$/;
+
+/**
+ * Parse the element a wrapper is mapped to
+ *
+ * @param {string} selector - e.g. 'button[mat-button]', 'mat-select', "input[type=checkbox]"
+ * @returns {{tag: string, attrs: Array<{name: string, value: string|null}>}|null} Target, or null if invalid
+ */
+function parseTarget(selector) {
+  const match = typeof selector === 'string' ? TARGET_SELECTOR.exec(selector.trim()) : null;
+  if (!match) return null;
+
+  const attrs = [];
+  TARGET_ATTR.lastIndex = 0;
+  let attr;
+  while ((attr = TARGET_ATTR.exec(match[2])) !== null) {
+    attrs.push({ name: attr[1], value: attr[2] !== undefined ? attr[2] : null });
+  }
+  return { tag: match[1].toLowerCase(), attrs };
+}
+
+/**
+ * Normalize the "components" config into map entries
+ *
+ * @param {object} components - Config "components": selector -> target selector or { as, label, inputs }
+ * @returns {{ map: Map<string, object>, errors: string[] }} Entries by wrapper selector, and problems
+ *
+ * @example
+ * normalizeComponentMap({ 'acme-button': { as: 'button[mat-button]', label: 'label' } }).map.get('acme-button');
+ * // { selector: 'acme-button', tag: 'button', attrs: [{ name: 'mat-button', value: null }], inputs: { label: 'aria-label' } }
+ */
+function normalizeComponentMap(components) {
+  const map = new Map();
+  const errors = [];
+  if (!components || typeof components !== 'object' || Array.isArray(components)) {
+    return { map, errors };
+  }
+
+  for (const [selector, value] of Object.entries(components)) {
+    const label = `Component "${selector}"`;
+    if (!ELEMENT_SELECTOR.test(selector)) {
+      errors.push(`${label} must be an element selector like "acme-button"`);
+      continue;
+    }
+
+    const options = typeof value === 'string' ? { as: value } : value;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`${label} must map to a selector or { as, label, inputs }`);
+      continue;
+    }
+
+    const target = parseTarget(options.as);
+    if (!target) {
+      errors.push(`${label}: "as" must be an element selector like "button[mat-button]"`);
+      continue;
+    }
+
+    const inputs = {};
+    if (options.inputs !== undefined) {
+      if (!options.inputs || typeof options.inputs !== 'object' || Array.isArray(options.inputs) ||
+          Object.values(options.inputs).some(name => typeof name !== 'string' || !name)) {
+        errors.push(`${label}: "inputs" must map input names to attribute names`);
+        continue;
+      }
+      for (const [input, name] of Object.entries(options.inputs)) inputs[input.toLowerCase()] = name;
+    }
+    if (options.label !== undefined) {
+      if (typeof options.label !== 'string' || !options.label) {
+        errors.push(`${label}: "label" must be an input name`);
+        continue;
+      }
+      inputs[options.label.toLowerCase()] = 'aria-label';
+    }
+
+    map.set(selector, { selector, tag: target.tag, attrs: target.attrs, inputs });
+  }
+
+  return { map, errors };
+}
+
+/**
+ * Read a registered component's template
+ * @private
+ */
+function readTemplate(info) {
+  if (info.templateUrl) {
+    try {
+      return fs.readFileSync(info.templateUrl, 'utf-8');
+    } catch (e) {
+      return null;
+    }
+  }
+  return typeof info.template === 'string' ? info.template : null;
+}
+
+/**
+ * Derive the entry of a wrapper whose template renders a single Material root
+ * @private
+ */
+function deriveEntry(selector, info) {
+  const template = readTemplate(info);
+  if (!template) return null;
+
+  const roots = parseTemplate(template).children.filter(node =>
+    node.type !== 'comment' && !(node.type === 'text' && node.value.trim() === ''));
+  if (roots.length !== 1 || roots[0].type !== 'element') return null;
+
+  const root = roots[0];
+  const directives = root.attrs.filter(attr => attr.kind === 'static' && /^mat/i.test(attr.key));
+  if (!root.name.startsWith('mat-') && directives.length === 0) return null;
+
+  // Inputs passed through to the root: [attr.aria-label]="label" or <button>{{ label }}</button>
+  const inputs = {};
+  for (const attr of root.attrs) {
+    if (attr.kind === 'static' || !INPUT_KINDS.has(attr.kind) || attr.value === null) continue;
+    const input = attr.value.trim();
+    if (IDENTIFIER.test(input) && input.toLowerCase() !== attr.key.toLowerCase()) {
+      inputs[input.toLowerCase()] = attr.key;
+    }
+  }
+  const text = INTERPOLATED_IDENTIFIER.exec(getTextContent(root).trim());
+  if (text && !inputs[text[1].toLowerCase()]) inputs[text[1].toLowerCase()] = 'aria-label';
+
+  return {
+    selector,
+    tag: root.name,
+    attrs: directives.map(attr => ({ name: attr.name, value: attr.value })),
+    inputs
+  };
+}
+
+/**
+ * Derive map entries from the project's wrapper components
+ *
+ * A component is a wrapper when its template has exactly one root element and
+ * that element is a Material component (`mat-select`) or carries a Material
+ * directive (`button mat-flat-button`, `input matInput`).
+ *
+ * @param {Map<string, object>} registry - Component registry (selector -> info)
+ * @returns {Map<string, object>} Entries by wrapper selector
+ */
+function deriveComponentMap(registry) {
+  const map = new Map();
+  if (!(registry instanceof Map)) return map;
+
+  for (const [selector, info] of registry) {
+    if (!ELEMENT_SELECTOR.test(selector) || selector.startsWith('mat-')) continue;
+    const entry = deriveEntry(selector, info);
+    if (entry && !registry.has(entry.tag)) map.set(selector, entry);
+  }
+  return map;
+}
+
+/**
+ * Build the component map of an analysis
+ *
+ * @param {object} [options] - Analysis options
+ * @param {object} [options.components] - Config "components"
+ * @param {boolean} [options.deriveComponents] - Derive entries from the project's wrapper components
+ * @param {string} [projectDir] - Project directory (scanned when deriving)
+ * @param {Map} [registry] - Component registry to derive from (built from projectDir if omitted)
+ * @returns {Map<string, object>|null} Entries by wrapper selector, or null when nothing is mapped
+ */
+function loadComponentMap(options = {}, projectDir = null, registry = null) {
+  const map = new Map();
+
+  if (options.deriveComponents === true) {
+    for (const [selector, entry] of deriveComponentMap(registry || buildComponentRegistry(projectDir))) {
+      map.set(selector, entry);
+    }
+  }
+  for (const [selector, entry] of normalizeComponentMap(options.components).map) {
+    map.set(selector, entry);
+  }
+
+  return map.size > 0 ? map : null;
+}
+
+/**
+ * Rewrite the wrapper elements of a template to the elements they are mapped to
+ *
+ * `<acme-button label="Save">` becomes `<button mat-button aria-label="Save">`.
+ * Lines are unchanged; columns shift on the rewritten tags.
+ *
+ * @param {string} content - Template content
+ * @param {Map<string, object>|null} componentMap - From loadComponentMap()
+ * @returns {{content: string, original: string, edits: object[]}|null} Mapped template, or null if it has no wrappers
+ *
+ * @example
+ * const mapped = applyComponentMap(template, componentMap);
+ * const result = check.check(mapped ? mapped.content : template, context);
+ */
+function applyComponentMap(content, componentMap) {
+  if (!componentMap || typeof content !== 'string') return null;
+  const lower = content.toLowerCase();
+  if (![...componentMap.keys()].some(selector => lower.includes(`<${selector}`))) return null;
+
+  const edits = [];
+  walk(parseTemplate(content), node => {
+    if (node.type !== 'element' || !componentMap.has(node.name)) return;
+    const entry = componentMap.get(node.name);
+    const attrs = entry.attrs.map(attr => (attr.value === null ? ` ${attr.name}` : ` ${attr.name}="${attr.value}"`)).join('');
+
+    edits.push({ start: node.start, end: node.start + 1 + node.name.length, text: `<${entry.tag}${attrs}` });
+    for (const attr of node.attrs) {
+      const target = INPUT_KINDS.has(attr.kind) ? entry.inputs[attr.key.toLowerCase()] : null;
+      if (!target) continue;
+      const at = attr.start + attr.name.indexOf(attr.key);
+      edits.push({ start: at, end: at + attr.key.length, text: target });
+    }
+    if (node.endTagStart !== null) {
+      edits.push({ start: node.endTagStart, end: node.endTagStart + 2 + node.name.length, text: `</${entry.tag}` });
+    }
+  });
+  if (edits.length === 0) return null;
+
+  edits.sort((a, b) => a.start - b.start);
+  let mapped = '';
+  let cursor = 0;
+  for (const edit of edits) {
+    mapped += content.slice(cursor, edit.start);
+    edit.original = content.slice(edit.start, edit.end);
+    edit.mappedStart = mapped.length;
+    mapped += edit.text;
+    edit.mappedEnd = mapped.length;
+    cursor = edit.end;
+  }
+  mapped += content.slice(cursor);
+
+  return { content: mapped, original: content, edits };
+}
+
+/**
+ * Get the offset of a 1-based line and column in the mapped content
+ * @private
+ */
+function toMappedOffset(mapped, line, column) {
+  if (!mapped.lineStarts) {
+    const starts = [0];
+    for (let i = 0; i < mapped.content.length; i++) {
+      if (mapped.content.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    Object.defineProperty(mapped, 'lineStarts', { value: starts });
+  }
+  const lineStart = mapped.lineStarts[Math.min(Math.max(line, 1), mapped.lineStarts.length) - 1];
+  return Math.min(lineStart + Math.max(column, 1) - 1, mapped.content.length);
+}
+
+/**
+ * Map an offset in the mapped content to the original content
+ * (offsets inside a rewritten name go to its start, or its end for range ends)
+ * @private
+ */
+function toOriginalOffset(mapped, offset, isEnd) {
+  let shift = 0;
+  for (const edit of mapped.edits) {
+    if (offset < edit.mappedStart) break;
+    if (offset < edit.mappedEnd) return isEnd && offset > edit.mappedStart ? edit.end : edit.start;
+    shift = edit.end - edit.mappedEnd;
+  }
+  return offset + shift;
+}
+
+/**
+ * Undo the rewrites inside an element snippet
+ * @private
+ */
+function restoreSnippet(mapped, snippet, start, end) {
+  let restored = snippet;
+  let cursor = 0;
+  for (const edit of mapped.edits) {
+    if (edit.mappedStart < start || edit.mappedEnd > end) continue;
+    const index = restored.indexOf(edit.text, cursor);
+    if (index === -1) break;
+    restored = restored.slice(0, index) + edit.original + restored.slice(index + edit.text.length);
+    cursor = index + edit.original.length;
+  }
+  return restored;
+}
+
+/**
+ * Map issues of checks run on a mapped template back to the original template
+ *
+ * Locations point into the original content again and element snippets show
+ * the wrapper as written.
+ *
+ * @param {object|null} mapped - From applyComponentMap() (issues are returned as-is when null)
+ * @param {object[]} issues - Structured issues with locations in `mapped.content`
+ * @returns {object[]} Issues relative to `mapped.original`
+ */
+function restoreIssues(mapped, issues) {
+  if (!mapped) return issues;
+
+  return issues.map(issue => {
+    if (!issue || typeof issue !== 'object' || !issue.location) return issue;
+
+    const location = issue.location;
+    const start = toMappedOffset(mapped, location.line, location.column);
+    const end = Math.max(start, toMappedOffset(mapped, location.endLine || location.line, location.endColumn || location.column));
+    const from = toOriginalOffset(mapped, start, false);
+    const to = Math.max(from, toOriginalOffset(mapped, end, true));
+
+    const restored = { ...issue, location: getLocation(mapped.original, from, to - from) };
+    if (typeof issue.element === 'string') {
+      // Snippets may be longer than the location (whole element vs start tag)
+      restored.element = restoreSnippet(mapped, issue.element, start, start + Math.max(end - start, issue.element.length));
+      if (issue.data && issue.data.element === issue.element) {
+        restored.data = { ...issue.data, element: restored.element };
+      }
+    }
+    return restored;
+  });
+}
+
+module.exports = {
+  parseTarget,
+  normalizeComponentMap,
+  deriveComponentMap,
+  loadComponentMap,
+  applyComponentMap,
+  restoreIssues
+};
@@ -14,6 +14,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getPosition } = require('./location');
 
 /**
  * Safely check if a path exists
@@ -130,7 +131,8 @@ function parseComponentFile(filePath, registry) {
     while ((match = componentRegex.exec(content)) !== null) {
       try {
         const decoratorContent = match[1];
-        const componentInfo = parseDecoratorContent(decoratorContent, filePath);
+        const decoratorStart = match.index + match[0].indexOf('{') + 1;
+        const componentInfo = parseDecoratorContent(decoratorContent, filePath, content, decoratorStart);
         
         if (componentInfo && componentInfo.selector && typeof componentInfo.selector === 'string') {
           registry.set(componentInfo.selector, componentInfo);
@@ -149,14 +151,19 @@ function parseComponentFile(filePath, registry) {
 /**
  * Parse @Component decorator content to extract metadata
  * NEVER throws - returns partial info on parse errors
+ * @param {string} content - Decorator object content
+ * @param {string} filePath - Component .ts file
+ * @param {string} [fileContent] - Full .ts content (to locate an inline template)
+ * @param {number} [decoratorStart=0] - Offset of `content` within fileContent
  */
-function parseDecoratorContent(content, filePath) {
+function parseDecoratorContent(content, filePath, fileContent = null, decoratorStart = 0) {
   const info = {
     filePath,
     componentDir: null,
     selector: null,
     templateUrl: null,
     template: null,
+    templateOrigin: null,
     styleUrls: [],
     styles: null
   };
@@ -193,6 +200,10 @@ function parseDecoratorContent(content, filePath) {
       const templateMatch = content.match(/template\s*:\s*`([\s\S]*?)`/);
       if (templateMatch && templateMatch[1]) {
         info.template = templateMatch[1];
+        // Where the template starts in the .ts file, for issue locations
+        if (fileContent) {
+          info.templateOrigin = getPosition(fileContent, decoratorStart + templateMatch.index + templateMatch[0].indexOf('`') + 1);
+        }
       }
     }
   } catch (e) {
@@ -314,34 +325,50 @@ function isKnownHtmlElement(tag) {
  * @param {string} htmlPath - Path to the page's HTML template
  * @param {Map} registry - Component registry
  * @param {Set} visited - Set of already visited selectors (to prevent cycles)
- * @returns {object} { htmlFiles: string[], scssFiles: string[], components: string[] }
+ * @returns {object} { htmlFiles: string[], scssFiles: string[], tsFiles: string[], components: string[] }
  */
 function resolvePageComponents(htmlPath, registry, visited = new Set()) {
+  try {
+    // Validate inputs
+    if (!htmlPath || typeof htmlPath !== 'string' || !safeExists(htmlPath)) {
+      return resolveTemplateComponents(null, registry, visited);
+    }
+
+    const result = resolveTemplateComponents(safeReadFile(htmlPath), registry, visited);
+    result.htmlFiles.unshift(htmlPath);
+    result.htmlFiles = [...new Set(result.htmlFiles)];
+    return result;
+  } catch (e) {
+    console.warn('[ComponentRegistry] Warning: resolvePageComponents failed:', e.message);
+    return resolveTemplateComponents(null, registry, visited);
+  }
+}
+
+/**
+ * Recursively resolve all component files used by template content
+ * (an inline template of a route component, or a template file's content)
+ * NEVER throws - returns partial/empty result on errors
+ *
+ * @param {string|null} htmlContent - Template content
+ * @param {Map} registry - Component registry
+ * @param {Set} visited - Set of already visited selectors (to prevent cycles)
+ * @returns {object} resolvePageComponents() shape (htmlFiles lists child templates only)
+ */
+function resolveTemplateComponents(htmlContent, registry, visited = new Set()) {
   const result = {
     htmlFiles: [],
     scssFiles: [],
+    tsFiles: [],
     components: [],
     inlineTemplates: []
   };
 
   try {
-    // Validate inputs
-    if (!htmlPath || typeof htmlPath !== 'string') {
-      return result;
-    }
-    
-    if (!registry || !(registry instanceof Map)) {
-      return result;
-    }
-
-    if (!safeExists(htmlPath)) {
+    if (!htmlContent || typeof htmlContent !== 'string') {
       return result;
     }
 
-    result.htmlFiles.push(htmlPath);
-
-    const htmlContent = safeReadFile(htmlPath);
-    if (!htmlContent) {
+    if (!registry || !(registry instanceof Map)) {
       return result;
     }
 
@@ -365,6 +392,7 @@ function resolvePageComponents(htmlPath, registry, visited = new Set()) {
         }
 
         result.components.push(selector);
+        if (componentInfo.filePath) result.tsFiles.push(componentInfo.filePath);
 
         // Add this component's template
         if (componentInfo.templateUrl && safeExists(componentInfo.templateUrl)) {
@@ -374,6 +402,7 @@ function resolvePageComponents(htmlPath, registry, visited = new Set()) {
             if (childResult) {
               if (Array.isArray(childResult.htmlFiles)) result.htmlFiles.push(...childResult.htmlFiles);
               if (Array.isArray(childResult.scssFiles)) result.scssFiles.push(...childResult.scssFiles);
+              if (Array.isArray(childResult.tsFiles)) result.tsFiles.push(...childResult.tsFiles);
               if (Array.isArray(childResult.components)) result.components.push(...childResult.components);
               if (Array.isArray(childResult.inlineTemplates)) result.inlineTemplates.push(...childResult.inlineTemplates);
             }
@@ -384,7 +413,9 @@ function resolvePageComponents(htmlPath, registry, visited = new Set()) {
           // Inline template - store it for analysis
           result.inlineTemplates.push({
             selector,
-            template: componentInfo.template
+            template: componentInfo.template,
+            filePath: componentInfo.filePath,
+            origin: componentInfo.templateOrigin
           });
           
           // Also check inline template for nested components
@@ -400,11 +431,13 @@ function resolvePageComponents(htmlPath, registry, visited = new Set()) {
                   const nestedInfo = registry.get(nested);
                   if (nestedInfo) {
                     result.components.push(nested);
+                    if (nestedInfo.filePath) result.tsFiles.push(nestedInfo.filePath);
                     if (nestedInfo.templateUrl && safeExists(nestedInfo.templateUrl)) {
                       const nestedResult = resolvePageComponents(nestedInfo.templateUrl, registry, visited);
                       if (nestedResult) {
                         if (Array.isArray(nestedResult.htmlFiles)) result.htmlFiles.push(...nestedResult.htmlFiles);
                         if (Array.isArray(nestedResult.scssFiles)) result.scssFiles.push(...nestedResult.scssFiles);
+                        if (Array.isArray(nestedResult.tsFiles)) result.tsFiles.push(...nestedResult.tsFiles);
                         if (Array.isArray(nestedResult.components)) result.components.push(...nestedResult.components);
                         if (Array.isArray(nestedResult.inlineTemplates)) result.inlineTemplates.push(...nestedResult.inlineTemplates);
                       }
@@ -451,12 +484,13 @@ function resolvePageComponents(htmlPath, registry, visited = new Set()) {
     try {
       result.htmlFiles = [...new Set(result.htmlFiles)];
       result.scssFiles = [...new Set(result.scssFiles)];
+      result.tsFiles = [...new Set(result.tsFiles)];
       result.components = [...new Set(result.components)];
     } catch (e) {
       // Deduplication failed - return as-is
     }
   } catch (e) {
-    console.warn('[ComponentRegistry] Warning: resolvePageComponents failed:', e.message);
+    console.warn('[ComponentRegistry] Warning: resolveTemplateComponents failed:', e.message);
   }
 
   return result;
@@ -509,5 +543,6 @@ module.exports = {
   buildComponentRegistry,
   findComponentSelectorsInHtml,
   resolvePageComponents,
+  resolveTemplateComponents,
   getRegistryStats
 };
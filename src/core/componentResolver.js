@@ -9,17 +9,19 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseComponent } = require('./componentAnalyzer');
 
 /**
- * Resolve component files from a route's loadComponent
- * @param {object} route - Route object with loadComponent
+ * Resolve component files from a route's loadComponent (or imported `component`)
+ * @param {object} route - Route object with loadComponent or component + componentImport
  * @param {string} baseDir - Base directory of the Angular project
- * @returns {object} { html: string|null, scss: string|null, folder: string|null }
+ * @returns {object} { html: string|null, scss: string|null, ts: string|null, folder: string|null }
  */
 function resolveComponentFiles(route, baseDir) {
   const result = {
     html: null,
     scss: null,
+    ts: null,
     folder: null,
     component: null
   };
@@ -37,7 +39,8 @@ function resolveComponentFiles(route, baseDir) {
     componentName = route.loadComponent.exportName;
   } else if (route.component) {
     componentName = route.component;
-    // Try to resolve from imports in routing file (would need to pass imports)
+    // NgModule style: the class is imported by the routing file
+    importPath = route.componentImport || null;
   }
 
   result.component = componentName;
@@ -68,6 +71,7 @@ function resolveComponentFiles(route, baseDir) {
 
   result.html = possibleFiles.html;
   result.scss = possibleFiles.scss;
+  result.ts = possibleFiles.ts;
   result.folder = possibleFiles.folder;
 
   return result;
@@ -77,10 +81,10 @@ function resolveComponentFiles(route, baseDir) {
  * Find component files given a base path
  * Handles various Angular naming conventions
  * @param {string} basePath - Base path from import (without extension)
- * @returns {object} { html: string|null, scss: string|null, folder: string|null }
+ * @returns {object} { html: string|null, scss: string|null, ts: string|null, folder: string|null }
  */
 function findComponentFiles(basePath) {
-  const result = { html: null, scss: null, folder: null };
+  const result = { html: null, scss: null, ts: null, folder: null };
 
   // Patterns to try for finding component files
   // Import './pages/landing/landing' could mean:
@@ -189,6 +193,25 @@ function findComponentFiles(basePath) {
     }
   }
 
+  // The component class: the import path itself, or next to the template
+  const tsPaths = [`${basePath}.ts`, `${basePath}.component.ts`];
+  if (result.html) tsPaths.push(result.html.replace(/\.html$/, '.ts'));
+  for (const p of tsPaths) {
+    if (fs.existsSync(p)) {
+      result.ts = p.replace(/\\/g, '/');
+      break;
+    }
+  }
+
+  // Standalone components often have an inline template and styles: files
+  // found by the loose directory fallbacks above belong to other components
+  const component = result.ts ? parseComponent(result.ts) : null;
+  if (component) {
+    if (component.inlineTemplate) result.html = null;
+    if (component.inlineStyles) result.scss = null;
+    if (!result.html && !result.scss) result.folder = path.dirname(result.ts);
+  }
+
   return result;
 }
 
@@ -206,10 +229,11 @@ function resolveAllRoutes(routes, baseDir) {
       files: {
         html: files.html,
         scss: files.scss,
+        ts: files.ts,
         folder: files.folder
       }
     };
-  }).filter(route => route.files.html || route.files.scss);
+  }).filter(route => route.files.html || route.files.scss || route.files.ts);
 }
 
 /**
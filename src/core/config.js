@@ -0,0 +1,367 @@
+'use strict';
+
+/**
+ * Project Configuration Loader
+ *
+ * Discovers a checked-in mat-a11y configuration by walking up from the
+ * analyzed directory, so CLI, programmatic API and GUI all share the same
+ * project settings.
+ *
+ * Supported sources (checked in this order in every directory):
+ * - .mat-a11yrc / .mat-a11yrc.json  (JSON)
+ * - mat-a11y.config.js              (CommonJS module exporting an object)
+ * - package.json                    ("mat-a11y" key)
+ *
+ * Precedence: explicit options (CLI flags / API options) > config file > defaults.
+ *
+ * @module core/config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateGate } = require('./gate');
+const { normalizeComponentMap } = require('./componentMap');
+const { validateI18nConfig } = require('./i18n');
+const { normalizeLevel, isWithinLevel, CONFORMANCE_LEVELS } = require('./conformance');
+
+/**
+ * Config file names, in lookup order
+ * @type {string[]}
+ */
+const CONFIG_FILES = ['.mat-a11yrc', '.mat-a11yrc.json', 'mat-a11y.config.js', 'package.json'];
+
+/**
+ * Key used inside package.json
+ * @type {string}
+ */
+const PACKAGE_JSON_KEY = 'mat-a11y';
+
+/**
+ * Valid severity override values
+ * @type {string[]}
+ */
+const VALID_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Schema of supported config keys (key -> expected type)
+ * @type {Object<string, string>}
+ */
+const CONFIG_SCHEMA = {
+  tier: 'string',         // 'basic' | 'material' | 'angular' | 'full'
+  ignore: 'array',        // Extra ignore patterns (added to the defaults)
+  enable: 'array',        // Only run these checks (whitelist)
+  disable: 'array',       // Never run these checks
+  wcagLevel: 'string',    // Only checks for WCAG criteria up to this level: 'A' | 'AA' | 'AAA' (CLI --wcag-level)
+  weights: 'object',      // Per-check weight overrides: { colorContrast: 10 }
+  severity: 'object',     // Per-check severity overrides: { headingOrder: 'warning' }
+  format: 'string',       // Default output format (CLI)
+  output: 'string',       // Default output path (CLI)
+  outputs: 'object',      // Additional reports: { sarif: 'a11y.sarif.json' }
+  baseline: 'string',     // Baseline file (CLI --baseline)
+  history: 'any',         // Record scan history: true, or the history file (CLI --history)
+  reportUnusedDisables: 'boolean', // Fail on unused mat-a11y-disable comments (CLI)
+  gate: 'object',         // Quality gate: { failOn, maxIssues, minScore, checks, levels } (CLI exit code)
+  workers: 'any',         // 'sync' | 'auto' | number
+  deepResolve: 'boolean', // Sitemap/route page-level resolution
+  collapseRootCause: 'boolean',
+  plugins: 'array',       // Check plugins: npm packages or local paths (relative to the config file)
+  components: 'object',   // Wrapper components: { 'acme-button': { as: 'button[mat-button]', label: 'label' } }
+  deriveComponents: 'boolean', // Map wrappers that render a single Material root automatically
+  i18n: 'any'             // Translation checks: true, or { root, translations, locales } (CLI --i18n)
+};
+
+/**
+ * Find the nearest config file by walking up from startDir.
+ *
+ * A package.json only counts when it contains a "mat-a11y" key.
+ *
+ * @param {string} startDir - Directory (or file) to start from
+ * @returns {string|null} Absolute path to the config file or null
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir || '.');
+
+  try {
+    if (fs.statSync(dir).isFile()) dir = path.dirname(dir);
+  } catch (e) {
+    // Non-existent path: still walk up from it
+  }
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (!fs.existsSync(candidate)) continue;
+
+      if (name === 'package.json') {
+        try {
+          const pkg = JSON.parse(fs.readFileSync(candidate, 'utf-8'));
+          if (pkg && typeof pkg[PACKAGE_JSON_KEY] === 'object') return candidate;
+        } catch (e) {
+          // Broken package.json is not our config
+        }
+        continue;
+      }
+
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read a config file (JSON, JS or package.json)
+ *
+ * @param {string} filePath - Path to config file
+ * @returns {{ config: object|null, error: string|null }}
+ */
+function readConfigFile(filePath) {
+  const base = path.basename(filePath);
+
+  try {
+    if (base.endsWith('.js')) {
+      const resolved = require.resolve(path.resolve(filePath));
+      delete require.cache[resolved];
+      const mod = require(resolved);
+      return { config: mod && mod.default ? mod.default : mod, error: null };
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (base === 'package.json') {
+      return { config: parsed[PACKAGE_JSON_KEY] || null, error: null };
+    }
+    return { config: parsed, error: null };
+  } catch (error) {
+    return { config: null, error: `Could not read ${filePath}: ${error.message}` };
+  }
+}
+
+/**
+ * Validate a config object against CONFIG_SCHEMA
+ *
+ * Unknown keys are reported as errors so typos don't silently do nothing.
+ *
+ * @param {object} config - Config object
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, errors: ['Config must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const expected = CONFIG_SCHEMA[key];
+    if (!expected) {
+      errors.push(`Unknown config key: ${key}`);
+      continue;
+    }
+    if (expected === 'any') continue;
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== expected) {
+      errors.push(`Config key "${key}" must be ${expected === 'array' ? 'an array' : `a ${expected}`}`);
+    }
+  }
+
+  if (config.weights && typeof config.weights === 'object') {
+    for (const [check, weight] of Object.entries(config.weights)) {
+      if (typeof weight !== 'number' || weight < 0) {
+        errors.push(`Weight for "${check}" must be a non-negative number`);
+      }
+    }
+  }
+
+  if (config.severity && typeof config.severity === 'object') {
+    for (const [check, severity] of Object.entries(config.severity)) {
+      if (!VALID_SEVERITIES.includes(severity)) {
+        errors.push(`Severity for "${check}" must be one of: ${VALID_SEVERITIES.join(', ')}`);
+      }
+    }
+  }
+
+  if (config.gate && typeof config.gate === 'object' && !Array.isArray(config.gate)) {
+    errors.push(...validateGate(config.gate));
+  }
+
+  if (Array.isArray(config.plugins) && config.plugins.some(plugin => typeof plugin !== 'string' || !plugin)) {
+    errors.push('Config key "plugins" must list package names or paths');
+  }
+
+  if (config.components && typeof config.components === 'object' && !Array.isArray(config.components)) {
+    errors.push(...normalizeComponentMap(config.components).errors);
+  }
+
+  if (config.i18n !== undefined) {
+    errors.push(...validateI18nConfig(config.i18n));
+  }
+
+  if (typeof config.wcagLevel === 'string' && !normalizeLevel(config.wcagLevel)) {
+    errors.push(`Config key "wcagLevel" must be one of: ${CONFORMANCE_LEVELS.join(', ')}`);
+  }
+
+  if (config.history !== undefined && typeof config.history !== 'boolean' && typeof config.history !== 'string') {
+    errors.push('Config key "history" must be a boolean or a file path');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load the project config for a target directory
+ *
+ * @param {string} startDir - Directory being analyzed
+ * @param {object} [options]
+ * @param {string} [options.configFile] - Explicit config file (skips discovery)
+ * @returns {{ config: object, filePath: string|null, errors: string[] }}
+ */
+function loadConfig(startDir, options = {}) {
+  const filePath = options.configFile
+    ? path.resolve(options.configFile)
+    : findConfigFile(startDir);
+
+  if (!filePath) {
+    return { config: {}, filePath: null, errors: [] };
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return { config: {}, filePath, errors: [`Config file not found: ${filePath}`] };
+  }
+
+  const read = readConfigFile(filePath);
+  if (read.error) {
+    return { config: {}, filePath, errors: [read.error] };
+  }
+
+  const validation = validateConfig(read.config);
+  return {
+    config: read.config || {},
+    filePath,
+    errors: validation.errors
+  };
+}
+
+/**
+ * Merge project config with explicit options for an analyze*() call.
+ *
+ * - Explicit options always win (undefined values are ignored)
+ * - Config `ignore` entries are appended to defaultIgnore unless options.ignore is set
+ * - `config: false` in options disables config loading entirely
+ *
+ * @param {string} targetPath - Path being analyzed
+ * @param {object} options - Explicit options
+ * @param {string[]} [defaultIgnore] - Analyzer default ignore patterns
+ * @returns {object} Merged options (with `configFile` set to the file used, if any)
+ */
+function resolveOptions(targetPath, options = {}, defaultIgnore = []) {
+  if (options.config === false || options.configResolved) {
+    return options;
+  }
+
+  const { config, filePath, errors } = loadConfig(targetPath, { configFile: options.configFile });
+  for (const error of errors) {
+    console.warn(`[config] ${error}`);
+  }
+
+  const merged = { ...config };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) merged[key] = value;
+  }
+
+  if (!options.ignore && Array.isArray(config.ignore)) {
+    merged.ignore = [...defaultIgnore, ...config.ignore];
+  }
+
+  merged.configFile = filePath;
+  merged.configResolved = true;
+  return merged;
+}
+
+/**
+ * Check whether a check is enabled by enable/disable lists and the WCAG level
+ *
+ * With a `wcagLevel`, only checks for a criterion of that level or below run
+ * (checks without a criterion are best practices and don't).
+ *
+ * @param {string} name - Check name
+ * @param {object} [options] - Options with enable/disable arrays and wcagLevel
+ * @param {object} [checkModule] - The check (its `wcag` criterion is needed for wcagLevel)
+ * @returns {boolean}
+ */
+function isCheckEnabled(name, options = {}, checkModule = null) {
+  if (Array.isArray(options.enable) && options.enable.length > 0 && !options.enable.includes(name)) {
+    return false;
+  }
+  if (Array.isArray(options.disable) && options.disable.includes(name)) {
+    return false;
+  }
+  const level = normalizeLevel(options.wcagLevel);
+  if (level && !(checkModule && isWithinLevel(checkModule.wcag, level))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Filter a check registry by enable/disable lists and the WCAG level
+ *
+ * @param {Map<string, object>} registry - Check registry
+ * @param {object} [options] - Options with enable/disable arrays and wcagLevel
+ * @returns {Map<string, object>} Filtered registry (same instance if nothing to filter)
+ */
+function selectChecks(registry, options = {}) {
+  const hasEnable = Array.isArray(options.enable) && options.enable.length > 0;
+  const hasDisable = Array.isArray(options.disable) && options.disable.length > 0;
+  if (!hasEnable && !hasDisable && !normalizeLevel(options.wcagLevel)) return registry;
+
+  const filtered = new Map();
+  for (const [name, module] of registry) {
+    if (isCheckEnabled(name, options, module)) filtered.set(name, module);
+  }
+  return filtered;
+}
+
+/**
+ * Apply a per-check severity override to an issue
+ *
+ * @param {Object|string} issue - Structured issue (or formatted issue string from a custom check)
+ * @param {string} checkName - Check that produced the issue
+ * @param {object|null} severityOverrides - Map of check name -> severity
+ * @returns {Object|string} Issue with the overridden severity
+ */
+function applySeverityOverride(issue, checkName, severityOverrides) {
+  if (!severityOverrides || !severityOverrides[checkName] || !issue) {
+    return issue;
+  }
+
+  const severity = severityOverrides[checkName];
+  if (typeof issue === 'object') {
+    return { ...issue, severity };
+  }
+
+  const prefix = severity === 'error' ? '[Error]' :
+                 severity === 'warning' ? '[Warning]' : '[Info]';
+
+  return /^\[(Error|Warning|Info)\]/.test(issue)
+    ? issue.replace(/^\[(Error|Warning|Info)\]/, prefix)
+    : `${prefix} ${issue}`;
+}
+
+module.exports = {
+  findConfigFile,
+  readConfigFile,
+  validateConfig,
+  loadConfig,
+  resolveOptions,
+  isCheckEnabled,
+  selectChecks,
+  applySeverityOverride,
+
+  // Constants
+  CONFIG_FILES,
+  CONFIG_SCHEMA,
+  PACKAGE_JSON_KEY
+};
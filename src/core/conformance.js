@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * WCAG Conformance
+ *
+ * Maps analysis results onto the WCAG 2.2 success criteria, the way auditors
+ * report them. Each check names the criterion it tests (`wcag`), and every
+ * analysis mode records per check how many elements it evaluated and how many
+ * issues it found (`results.coverage`). Issues can cite another criterion
+ * than their check (formLabels issues cite 3.3.2 Labels or Instructions);
+ * those count for the criterion they cite. A criterion is then:
+ *
+ * - fail:           issues cite it
+ * - pass:           its checks evaluated elements and found no issues
+ * - not-applicable: its checks ran but found nothing to evaluate
+ * - not-tested:     no check that ran maps to it (manual testing needed)
+ *
+ * A conformance level (`wcagLevel`) is cumulative like in WCAG: AA means the
+ * A and AA criteria. It limits both the checks that run and the criteria
+ * that are reported. 4.1.1 Parsing is obsolete in WCAG 2.2 and not reported;
+ * it only labels the issues of the checks that still cite it.
+ *
+ * @module core/conformance
+ */
+
+const { WCAG, WCAG_LEVELS } = require('./errors');
+const { collectIssues } = require('./baseline');
+
+/**
+ * WCAG conformance levels, lowest first
+ * @type {string[]}
+ */
+const CONFORMANCE_LEVELS = ['A', 'AA', 'AAA'];
+
+/**
+ * Criterion statuses, in report order
+ * @type {string[]}
+ */
+const CONFORMANCE_STATUSES = ['fail', 'pass', 'not-applicable', 'not-tested'];
+
+/**
+ * Criteria removed from WCAG 2.2 (left out of conformance reports)
+ * @type {string[]}
+ */
+const OBSOLETE_CRITERIA = ['4.1.1'];
+
+/**
+ * Normalize a conformance level ('aa' -> 'AA')
+ *
+ * @param {string} level - Level as given by the user
+ * @returns {string|null} Level, or null if it isn't A, AA or AAA
+ */
+function normalizeLevel(level) {
+  if (typeof level !== 'string') return null;
+  const upper = level.trim().toUpperCase();
+  return CONFORMANCE_LEVELS.includes(upper) ? upper : null;
+}
+
+/**
+ * Check whether a criterion is part of a conformance level
+ *
+ * @param {string} criterion - Success criterion ('1.4.3')
+ * @param {string} level - Conformance level ('A', 'AA' or 'AAA')
+ * @returns {boolean} False for unknown criteria and levels
+ */
+function isWithinLevel(criterion, level) {
+  const target = CONFORMANCE_LEVELS.indexOf(normalizeLevel(level));
+  const own = CONFORMANCE_LEVELS.indexOf(WCAG_LEVELS[criterion]);
+  return target !== -1 && own !== -1 && own <= target;
+}
+
+/**
+ * Add per-check aggregates to a coverage map
+ *
+ * Issues that cite another criterion than their check are counted per
+ * criterion in the check's `criteria`.
+ *
+ * @param {object} coverage - Check name -> { wcag, elementsFound, issues, criteria? } (updated in place)
+ * @param {object} checkAggregates - Check name -> { elementsFound, issues, ... }
+ * @param {Map<string, object>} [registry] - Check registry (for each check's criterion)
+ * @param {object[]} [issues] - The issues the aggregates count (for the criteria they cite)
+ * @returns {object} The coverage map
+ */
+function addCoverage(coverage, checkAggregates, registry = null, issues = []) {
+  for (const [name, data] of Object.entries(checkAggregates || {})) {
+    if (!coverage[name]) {
+      const check = registry && registry.get(name);
+      coverage[name] = { wcag: (check && check.wcag) || null, elementsFound: 0, issues: 0 };
+    }
+    coverage[name].elementsFound += data.elementsFound || 0;
+    coverage[name].issues += data.issues || 0;
+  }
+
+  for (const issue of issues) {
+    const entry = issue && coverage[issue.check];
+    if (!entry || typeof issue.wcag !== 'string' || issue.wcag === entry.wcag) continue;
+    if (!entry.criteria) entry.criteria = {};
+    entry.criteria[issue.wcag] = (entry.criteria[issue.wcag] || 0) + 1;
+  }
+  return coverage;
+}
+
+/**
+ * Status of one criterion from the checks that map to it
+ * @private
+ */
+function getStatus(entry) {
+  if (entry.issues > 0) return 'fail';
+  if (entry.checks.length === 0) return 'not-tested';
+  return entry.elementsFound > 0 ? 'pass' : 'not-applicable';
+}
+
+/**
+ * Get the conformance status of every WCAG criterion
+ *
+ * Results without coverage (reports from older versions) only tell which
+ * criteria have issues: those fail, the others are not tested. 4.1.1 Parsing
+ * is left out.
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {object} [options]
+ * @param {string} [options.level] - Only criteria of this level and below (default: results.wcagLevel, else all)
+ * @returns {{ level: string|null, criteria: object[], summary: object }}
+ *   criteria: { criterion, name, level, status, checks, elementsFound, issues } in WCAG order;
+ *   summary: number of criteria per status
+ *
+ * @example
+ * const { criteria } = getConformance(results, { level: 'AA' });
+ * criteria.filter(c => c.status === 'fail').map(c => c.criterion); // ['1.4.3', '4.1.2']
+ */
+function getConformance(results, options = {}) {
+  const level = normalizeLevel(options.level || (results && results.wcagLevel));
+  const byCriterion = new Map();
+  for (const criterion of Object.keys(WCAG)) {
+    if (OBSOLETE_CRITERIA.includes(criterion) || (level && !isWithinLevel(criterion, level))) continue;
+    byCriterion.set(criterion, { criterion, name: WCAG[criterion], level: WCAG_LEVELS[criterion], checks: [], elementsFound: 0, issues: 0 });
+  }
+
+  if (results && results.coverage) {
+    for (const [name, data] of Object.entries(results.coverage)) {
+      // Issues citing other criteria count there, the rest for the check's criterion
+      let ownIssues = data.issues;
+      for (const [criterion, count] of Object.entries(data.criteria || {})) {
+        ownIssues -= count;
+        const cited = byCriterion.get(criterion);
+        if (!cited) continue;
+        if (!cited.checks.includes(name)) cited.checks.push(name);
+        cited.issues += count;
+      }
+
+      const entry = byCriterion.get(data.wcag);
+      if (!entry) continue;
+      if (!entry.checks.includes(name)) entry.checks.push(name);
+      entry.elementsFound += data.elementsFound;
+      entry.issues += Math.max(ownIssues, 0);
+    }
+  } else {
+    for (const issue of collectIssues(results || {})) {
+      const entry = issue && typeof issue === 'object' && byCriterion.get(issue.wcag);
+      if (!entry) continue;
+      if (issue.check && !entry.checks.includes(issue.check)) entry.checks.push(issue.check);
+      entry.issues++;
+    }
+  }
+
+  const summary = { pass: 0, fail: 0, 'not-applicable': 0, 'not-tested': 0 };
+  const criteria = [];
+  for (const entry of byCriterion.values()) {
+    entry.checks.sort();
+    const status = getStatus(entry);
+    summary[status]++;
+    criteria.push({ ...entry, status });
+  }
+
+  return { level, criteria, summary };
+}
+
+module.exports = {
+  normalizeLevel,
+  isWithinLevel,
+  addCoverage,
+  getConformance,
+
+  // Constants
+  CONFORMANCE_LEVELS,
+  CONFORMANCE_STATUSES,
+  OBSOLETE_CRITERIA
+};
@@ -9,6 +9,10 @@
  * - @media (prefers-color-scheme: dark) rules
  * - .dark-mode class-based rules
  * - Specificity-based override resolution
+ *
+ * Besides text colors (color/background), rules track the colors of non-text
+ * indicators (outline, border, box-shadow and the Material form-field
+ * outline/underline tokens) for the 1.4.11 non-text contrast check.
  */
 
 // Context types for rules
@@ -145,6 +149,27 @@ function extractColorDeclarations(declarations) {
   return result;
 }
 
+// Non-text indicator properties: outline, borders (any side), box-shadow and the
+// outline/underline tokens of mat-form-field (MDC and Material names)
+const INDICATOR_PATTERN = /(?:^|[;\s{])(outline(?:-color)?|border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?(?:-color)?|box-shadow|--(?:mdc-(?:outlined|filled)-text-field|mat-form-field)-[\w-]*(?:outline|indicator)-color)\s*:\s*((?:#\{[^}]*\}|[^;!}])+)/gi;
+
+/**
+ * Extract non-text indicator declarations from a CSS declaration block
+ * @param {string} declarations - CSS declarations string
+ * @returns {object} - Raw values by property, e.g. { 'outline': '2px solid #ccc', 'border-bottom-color': '$line' }
+ */
+function extractIndicatorDeclarations(declarations) {
+  const result = {};
+
+  INDICATOR_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = INDICATOR_PATTERN.exec(declarations)) !== null) {
+    result[match[1].toLowerCase()] = match[2].trim();
+  }
+
+  return result;
+}
+
 /**
  * Parse CSS content into a structured rule map
  * @param {string} content - CSS content
@@ -157,8 +182,8 @@ function parseRules(content) {
     return ruleMap;
   }
 
-  // Remove comments
-  content = content.replace(/\/\*[\s\S]*?\*\//g, '');
+  // Remove comments (block and SCSS line comments, keeping `://` in URLs)
+  content = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
 
   // First, extract rules from @media (prefers-color-scheme) blocks
   const darkMediaPattern = /@media\s*\([^)]*prefers-color-scheme\s*:\s*dark[^)]*\)\s*\{([\s\S]*?)\}\s*\}/gi;
@@ -167,10 +192,10 @@ function parseRules(content) {
   // Track what we've extracted from media queries
   const mediaRanges = [];
 
-  // Extract dark media rules
+  // Extract dark media rules (the pattern consumed the last rule's closing brace)
   let match;
   while ((match = darkMediaPattern.exec(content)) !== null) {
-    const mediaContent = match[1];
+    const mediaContent = match[1] + '}';
     const startIndex = match.index;
     const endIndex = startIndex + match[0].length;
     mediaRanges.push({ start: startIndex, end: endIndex });
@@ -180,7 +205,7 @@ function parseRules(content) {
 
   // Extract light media rules
   while ((match = lightMediaPattern.exec(content)) !== null) {
-    const mediaContent = match[1];
+    const mediaContent = match[1] + '}';
     const startIndex = match.index;
     const endIndex = startIndex + match[0].length;
     mediaRanges.push({ start: startIndex, end: endIndex });
@@ -216,7 +241,8 @@ function extractRulesFromBlock(content, ruleMap, inDarkMedia, inLightMedia) {
 
   let match;
   while ((match = rulePattern.exec(content)) !== null) {
-    const selectorGroup = match[1].trim();
+    // Drop top-level statements before the selector ($var: x; @use '...';)
+    const selectorGroup = match[1].split(';').pop().trim();
     const declarations = match[2];
 
     // Skip @-rules that got through
@@ -230,9 +256,10 @@ function extractRulesFromBlock(content, ruleMap, inDarkMedia, inLightMedia) {
       if (!selector || selector.includes('@')) continue;
 
       const colorDecls = extractColorDeclarations(declarations);
+      const indicators = extractIndicatorDeclarations(declarations);
 
       // Only track rules with color-related properties
-      if (!colorDecls.color && !colorDecls.background) continue;
+      if (!colorDecls.color && !colorDecls.background && Object.keys(indicators).length === 0) continue;
 
       const context = determineContext(selector, inDarkMedia, inLightMedia);
       const normalized = normalizeSelector(selector);
@@ -242,6 +269,7 @@ function extractRulesFromBlock(content, ruleMap, inDarkMedia, inLightMedia) {
         selector: selector,
         normalized: normalized,
         declarations: colorDecls,
+        indicators: indicators,
         context: context,
         specificity: specificity
       };
@@ -258,7 +286,7 @@ function extractRulesFromBlock(content, ruleMap, inDarkMedia, inLightMedia) {
  * Compute effective style for a selector in a specific mode
  * @param {Array} rules - Array of rules for this selector
  * @param {string} mode - 'light' or 'dark'
- * @returns {object} - { color, background, hasOverride }
+ * @returns {object} - { color, background, indicators, hasOverride }
  */
 function computeEffectiveStyle(rules, mode) {
   // Filter rules applicable to this mode
@@ -280,14 +308,23 @@ function computeEffectiveStyle(rules, mode) {
     return null;
   }
 
-  // Sort by specificity (ascending, so later ones override)
-  applicableRules.sort((a, b) => a.specificity - b.specificity);
+  // Sort by specificity (ascending, so later ones override); on ties the
+  // mode's own rules win over base rules (media blocks are extracted first)
+  const rank = rule => (rule.context === CONTEXT.BASE ? 0 : 1);
+  applicableRules.sort((a, b) => a.specificity - b.specificity || rank(a) - rank(b));
 
   // Merge declarations (later overrides earlier)
-  const effective = { color: null, background: null };
+  const effective = { color: null, background: null, indicators: {} };
   let hasOverride = false;
 
   for (const rule of applicableRules) {
+    const indicators = rule.indicators || {};
+    if (Object.keys(indicators).length > 0) {
+      Object.assign(effective.indicators, indicators);
+      if (mode === 'dark' && (rule.context === CONTEXT.DARK_MEDIA || rule.context === CONTEXT.DARK_CLASS)) {
+        hasOverride = true;
+      }
+    }
     if (rule.declarations.color !== null) {
       effective.color = rule.declarations.color;
       if (mode === 'dark' && (rule.context === CONTEXT.DARK_MEDIA || rule.context === CONTEXT.DARK_CLASS)) {
@@ -341,12 +378,75 @@ function getEffectiveStyles(content) {
   return results;
 }
 
+/**
+ * Get all selectors with a text color or background and their effective styles
+ * in both modes (getEffectiveStyles() keeps only those with both)
+ * @param {string} content - CSS content
+ * @returns {Array} - Array of { selector, light: { color, background }, dark: { color, background, hasOverride } }
+ */
+function getColorStyles(content) {
+  const ruleMap = parseRules(content);
+  const results = [];
+
+  for (const [selector, rules] of ruleMap) {
+    if (!rules.some(rule => rule.declarations.color !== null || rule.declarations.background !== null)) continue;
+
+    const lightStyle = computeEffectiveStyle(rules, 'light');
+    const darkStyle = computeEffectiveStyle(rules, 'dark');
+
+    results.push({
+      selector: selector,
+      light: lightStyle ? { color: lightStyle.color, background: lightStyle.background } : null,
+      dark: darkStyle ? { color: darkStyle.color, background: darkStyle.background, hasOverride: darkStyle.hasOverride } : null
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Get all selectors with non-text indicators and their effective styles in both modes
+ * @param {string} content - CSS content
+ * @returns {Array} - Array of { selector, light: { background, indicators }, dark: { background, indicators, hasOverride } }
+ */
+function getIndicatorStyles(content) {
+  const ruleMap = parseRules(content);
+  const results = [];
+
+  for (const [selector, rules] of ruleMap) {
+    if (!rules.some(rule => Object.keys(rule.indicators).length > 0)) continue;
+
+    const lightStyle = computeEffectiveStyle(rules, 'light');
+    const darkStyle = computeEffectiveStyle(rules, 'dark');
+    const hasIndicators = style => style && Object.keys(style.indicators).length > 0;
+
+    results.push({
+      selector: selector,
+      light: hasIndicators(lightStyle) ? {
+        background: lightStyle.background,
+        indicators: lightStyle.indicators
+      } : null,
+      dark: hasIndicators(darkStyle) ? {
+        background: darkStyle.background,
+        indicators: darkStyle.indicators,
+        hasOverride: darkStyle.hasOverride
+      } : null
+    });
+  }
+
+  return results;
+}
+
 module.exports = {
   parseRules,
   computeEffectiveStyle,
   getEffectiveStyles,
+  getColorStyles,
+  getIndicatorStyles,
   calculateSpecificity,
   normalizeSelector,
   extractColorDeclarations,
+  extractIndicatorDeclarations,
+  determineContext,
   CONTEXT
 };
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Unified Diff
+ *
+ * Dependency-free line diff (Myers' O(ND) algorithm) used to preview
+ * autofixes with `--fix-dry-run`. Output follows the `git diff` format
+ * (`--- a/file`, `+++ b/file`, `@@ -l,s +l,s @@` hunks with 3 lines of
+ * context), so it can be applied with `git apply` or `patch -p1`.
+ *
+ * @module core/diff
+ */
+
+/**
+ * Lines of unchanged context around each change
+ * @type {number}
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * Split content into lines, remembering whether it ends with a newline
+ * @private
+ */
+function splitLines(content) {
+  if (content === '') return { lines: [], endsWithNewline: true };
+  const lines = content.split('\n');
+  const endsWithNewline = lines[lines.length - 1] === '';
+  if (endsWithNewline) lines.pop();
+  return { lines, endsWithNewline };
+}
+
+/**
+ * Shortest edit script between two line arrays
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Operations in order
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix are never part of the edit script
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldMid = a.slice(prefix, a.length - suffix);
+  const newMid = b.slice(prefix, b.length - suffix);
+
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  ops.push(...myers(oldMid, newMid));
+  ops.push(...a.slice(a.length - suffix).map(line => ({ type: ' ', line })));
+  return ops;
+}
+
+/**
+ * Myers' diff with a saved trace for backtracking
+ * @private
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace back from (n, m)
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ type: '+', line: b[--y] });
+    else ops.push({ type: '-', line: a[--x] });
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Format a hunk range ("start,count"; "start" alone for a single line)
+ * @private
+ */
+function formatRange(start, count) {
+  if (count === 1) return String(start);
+  return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ *
+ * @param {string} file - File path shown in the headers (relative, forward slashes)
+ * @param {string} before - Original content
+ * @param {string} after - New content
+ * @returns {string} Unified diff, or '' if the contents are equal
+ *
+ * @example
+ * process.stdout.write(createUnifiedDiff('src/app/app.component.html', original, fixed));
+ */
+function createUnifiedDiff(file, before, after) {
+  if (before === after) return '';
+
+  const oldFile = splitLines(before);
+  const newFile = splitLines(after);
+  const ops = diffLines(oldFile.lines, newFile.lines);
+
+  // Mark the last line of a file that has no trailing newline
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    if (op.type !== '+') op.oldLine = ++oldLine;
+    if (op.type !== '-') op.newLine = ++newLine;
+    op.oldMissingNewline = op.type !== '+' && !oldFile.endsWithNewline && op.oldLine === oldFile.lines.length;
+    op.newMissingNewline = op.type !== '-' && !newFile.endsWithNewline && op.newLine === newFile.lines.length;
+    // An unchanged last line whose trailing newline changed is a change
+    if (op.type === ' ' && op.oldMissingNewline !== op.newMissingNewline) op.changed = true;
+  }
+
+  const expanded = [];
+  for (const op of ops) {
+    if (op.changed) {
+      expanded.push({ ...op, type: '-', newMissingNewline: false });
+      expanded.push({ ...op, type: '+', oldMissingNewline: false });
+    } else {
+      expanded.push(op);
+    }
+  }
+
+  // Group changes that are at most 2 * CONTEXT_LINES apart into hunks
+  const changes = [];
+  expanded.forEach((op, index) => {
+    if (op.type !== ' ') changes.push(index);
+  });
+
+  const hunks = [];
+  for (const index of changes) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= 2 * CONTEXT_LINES + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - CONTEXT_LINES);
+    const to = Math.min(expanded.length - 1, hunk.end + CONTEXT_LINES);
+    const slice = expanded.slice(from, to + 1);
+
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const firstOld = slice.find(op => op.type !== '+');
+    const firstNew = slice.find(op => op.type !== '-');
+    const oldStart = firstOld ? firstOld.oldLine : (slice[0].oldLine || 0) + 1;
+    const newStart = firstNew ? firstNew.newLine : (slice[0].newLine || 0) + 1;
+
+    out.push(`@@ -${formatRange(oldStart || 1, oldCount)} +${formatRange(newStart || 1, newCount)} @@`);
+    for (const op of slice) {
+      out.push(op.type + op.line);
+      const missing = op.type === '-' ? op.oldMissingNewline
+        : op.type === '+' ? op.newMissingNewline
+          : op.oldMissingNewline;
+      if (missing) out.push('\\ No newline at end of file');
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff
+};
@@ -10,6 +10,8 @@
 
 'use strict';
 
+const { getPosition } = require('./location');
+
 // Regex to match <style> tags and capture their content
 const STYLE_TAG_REGEX = /<style[^>]*>([\s\S]*?)<\/style>/gi;
 
@@ -20,7 +22,8 @@ const HAS_STYLE_TAG = /<style[\s>]/i;
  * Extract CSS from <style> tags in HTML content.
  *
  * @param {string} htmlContent - HTML content to extract CSS from
- * @returns {Array<{css: string, startLine: number, endLine: number}>} Array of extracted CSS blocks with line info
+ * @returns {Array<{css: string, startLine: number, startColumn: number, endLine: number, tagStartLine: number}>}
+ *   Array of extracted CSS blocks with line info (startLine/startColumn is where the CSS itself begins)
  */
 function extractStyleTags(htmlContent) {
   // Early exit - no style tags, return empty array
@@ -46,12 +49,13 @@ function extractStyleTags(htmlContent) {
 
     // Calculate offset for the CSS content (after <style...>)
     const styleTagEnd = htmlContent.indexOf('>', startIndex) + 1;
-    const cssStartLine = getLineNumber(htmlContent, styleTagEnd);
+    const cssStart = getPosition(htmlContent, styleTagEnd);
 
     if (cssContent.trim()) {
       results.push({
         css: cssContent,
-        startLine: cssStartLine,
+        startLine: cssStart.line,
+        startColumn: cssStart.column,
         endLine: endLine - 1,
         tagStartLine: startLine
       });
@@ -15,44 +15,195 @@
  */
 
 /**
- * WCAG 2.1 Success Criteria
+ * WCAG 2.2 Success Criteria
+ *
+ * Every criterion is listed, also those no check covers, so conformance
+ * reports can show what still needs manual testing. 4.1.1 Parsing is obsolete
+ * in 2.2 but stays for the checks that report it.
  */
 const WCAG = {
   '1.1.1': 'Non-text Content',
-  '1.2.1': 'Audio-only and Video-only',
+  '1.2.1': 'Audio-only and Video-only (Prerecorded)',
   '1.2.2': 'Captions (Prerecorded)',
+  '1.2.3': 'Audio Description or Media Alternative (Prerecorded)',
+  '1.2.4': 'Captions (Live)',
+  '1.2.5': 'Audio Description (Prerecorded)',
+  '1.2.6': 'Sign Language (Prerecorded)',
+  '1.2.7': 'Extended Audio Description (Prerecorded)',
+  '1.2.8': 'Media Alternative (Prerecorded)',
+  '1.2.9': 'Audio-only (Live)',
   '1.3.1': 'Info and Relationships',
   '1.3.2': 'Meaningful Sequence',
+  '1.3.3': 'Sensory Characteristics',
+  '1.3.4': 'Orientation',
+  '1.3.5': 'Identify Input Purpose',
+  '1.3.6': 'Identify Purpose',
   '1.4.1': 'Use of Color',
   '1.4.2': 'Audio Control',
   '1.4.3': 'Contrast (Minimum)',
   '1.4.4': 'Resize Text',
+  '1.4.5': 'Images of Text',
+  '1.4.6': 'Contrast (Enhanced)',
+  '1.4.7': 'Low or No Background Audio',
+  '1.4.8': 'Visual Presentation',
+  '1.4.9': 'Images of Text (No Exception)',
   '1.4.10': 'Reflow',
   '1.4.11': 'Non-text Contrast',
   '1.4.12': 'Text Spacing',
+  '1.4.13': 'Content on Hover or Focus',
   '2.1.1': 'Keyboard',
   '2.1.2': 'No Keyboard Trap',
+  '2.1.3': 'Keyboard (No Exception)',
+  '2.1.4': 'Character Key Shortcuts',
   '2.2.1': 'Timing Adjustable',
   '2.2.2': 'Pause, Stop, Hide',
-  '2.3.1': 'Three Flashes',
+  '2.2.3': 'No Timing',
+  '2.2.4': 'Interruptions',
+  '2.2.5': 'Re-authenticating',
+  '2.2.6': 'Timeouts',
+  '2.3.1': 'Three Flashes or Below Threshold',
+  '2.3.2': 'Three Flashes',
   '2.3.3': 'Animation from Interactions',
   '2.4.1': 'Bypass Blocks',
   '2.4.2': 'Page Titled',
   '2.4.3': 'Focus Order',
   '2.4.4': 'Link Purpose (In Context)',
+  '2.4.5': 'Multiple Ways',
   '2.4.6': 'Headings and Labels',
   '2.4.7': 'Focus Visible',
+  '2.4.8': 'Location',
+  '2.4.9': 'Link Purpose (Link Only)',
+  '2.4.10': 'Section Headings',
+  '2.4.11': 'Focus Not Obscured (Minimum)',
+  '2.4.12': 'Focus Not Obscured (Enhanced)',
+  '2.4.13': 'Focus Appearance',
+  '2.5.1': 'Pointer Gestures',
+  '2.5.2': 'Pointer Cancellation',
   '2.5.3': 'Label in Name',
+  '2.5.4': 'Motion Actuation',
+  '2.5.5': 'Target Size (Enhanced)',
+  '2.5.6': 'Concurrent Input Mechanisms',
+  '2.5.7': 'Dragging Movements',
+  '2.5.8': 'Target Size (Minimum)',
   '3.1.1': 'Language of Page',
+  '3.1.2': 'Language of Parts',
+  '3.1.3': 'Unusual Words',
+  '3.1.4': 'Abbreviations',
+  '3.1.5': 'Reading Level',
+  '3.1.6': 'Pronunciation',
   '3.2.1': 'On Focus',
   '3.2.2': 'On Input',
+  '3.2.3': 'Consistent Navigation',
+  '3.2.4': 'Consistent Identification',
+  '3.2.5': 'Change on Request',
+  '3.2.6': 'Consistent Help',
   '3.3.1': 'Error Identification',
   '3.3.2': 'Labels or Instructions',
+  '3.3.3': 'Error Suggestion',
+  '3.3.4': 'Error Prevention (Legal, Financial, Data)',
+  '3.3.5': 'Help',
+  '3.3.6': 'Error Prevention (All)',
+  '3.3.7': 'Redundant Entry',
+  '3.3.8': 'Accessible Authentication (Minimum)',
+  '3.3.9': 'Accessible Authentication (Enhanced)',
   '4.1.1': 'Parsing',
   '4.1.2': 'Name, Role, Value',
   '4.1.3': 'Status Messages'
 };
 
+/**
+ * Conformance level (A, AA, AAA) of each WCAG 2.2 Success Criterion
+ */
+const WCAG_LEVELS = {
+  '1.1.1': 'A',
+  '1.2.1': 'A',
+  '1.2.2': 'A',
+  '1.2.3': 'A',
+  '1.2.4': 'AA',
+  '1.2.5': 'AA',
+  '1.2.6': 'AAA',
+  '1.2.7': 'AAA',
+  '1.2.8': 'AAA',
+  '1.2.9': 'AAA',
+  '1.3.1': 'A',
+  '1.3.2': 'A',
+  '1.3.3': 'A',
+  '1.3.4': 'AA',
+  '1.3.5': 'AA',
+  '1.3.6': 'AAA',
+  '1.4.1': 'A',
+  '1.4.2': 'A',
+  '1.4.3': 'AA',
+  '1.4.4': 'AA',
+  '1.4.5': 'AA',
+  '1.4.6': 'AAA',
+  '1.4.7': 'AAA',
+  '1.4.8': 'AAA',
+  '1.4.9': 'AAA',
+  '1.4.10': 'AA',
+  '1.4.11': 'AA',
+  '1.4.12': 'AA',
+  '1.4.13': 'AA',
+  '2.1.1': 'A',
+  '2.1.2': 'A',
+  '2.1.3': 'AAA',
+  '2.1.4': 'A',
+  '2.2.1': 'A',
+  '2.2.2': 'A',
+  '2.2.3': 'AAA',
+  '2.2.4': 'AAA',
+  '2.2.5': 'AAA',
+  '2.2.6': 'AAA',
+  '2.3.1': 'A',
+  '2.3.2': 'AAA',
+  '2.3.3': 'AAA',
+  '2.4.1': 'A',
+  '2.4.2': 'A',
+  '2.4.3': 'A',
+  '2.4.4': 'A',
+  '2.4.5': 'AA',
+  '2.4.6': 'AA',
+  '2.4.7': 'AA',
+  '2.4.8': 'AAA',
+  '2.4.9': 'AAA',
+  '2.4.10': 'AAA',
+  '2.4.11': 'AA',
+  '2.4.12': 'AAA',
+  '2.4.13': 'AAA',
+  '2.5.1': 'A',
+  '2.5.2': 'A',
+  '2.5.3': 'A',
+  '2.5.4': 'A',
+  '2.5.5': 'AAA',
+  '2.5.6': 'AAA',
+  '2.5.7': 'AA',
+  '2.5.8': 'AA',
+  '3.1.1': 'A',
+  '3.1.2': 'AA',
+  '3.1.3': 'AAA',
+  '3.1.4': 'AAA',
+  '3.1.5': 'AAA',
+  '3.1.6': 'AAA',
+  '3.2.1': 'A',
+  '3.2.2': 'A',
+  '3.2.3': 'AA',
+  '3.2.4': 'AA',
+  '3.2.5': 'AAA',
+  '3.2.6': 'A',
+  '3.3.1': 'A',
+  '3.3.2': 'A',
+  '3.3.3': 'AA',
+  '3.3.4': 'AA',
+  '3.3.5': 'AAA',
+  '3.3.6': 'AAA',
+  '3.3.7': 'A',
+  '3.3.8': 'AA',
+  '3.3.9': 'AAA',
+  '4.1.1': 'A',
+  '4.1.2': 'A',
+  '4.1.3': 'AA'
+};
+
 /**
  * Error Catalog
  *
@@ -178,6 +329,18 @@ const ERRORS = {
     wcag: '2.1.1',
     link: null
   },
+  HOST_LISTENER_CLICK_NO_KEYBOARD: {
+    severity: 'error',
+    message: (data) => `${data.kind || 'Component'} host listens to click without keyboard support`,
+    why: 'Keyboard users cannot activate the host element',
+    fix: [
+      "Add @HostListener('keydown.enter') and @HostListener('keydown.space')",
+      "Add tabindex and role through host: { tabindex: '0', role: 'button' }",
+      'Apply the directive to a <button> instead'
+    ],
+    wcag: '2.1.1',
+    link: null
+  },
   CLICK_WITHOUT_ROLE: {
     severity: 'error',
     message: 'Clickable element missing role',
@@ -257,6 +420,28 @@ const ERRORS = {
     wcag: '4.1.2',
     link: null
   },
+  FORM_REDUNDANT_ENTRY: {
+    severity: 'error',
+    message: (data) => `Autofill or pasting blocked on ${data.purpose} field (${data.reason})`,
+    why: 'Users with cognitive or motor impairments have to type information again that the browser could fill in or that they could paste',
+    fix: [
+      'Remove autocomplete="off" and set the matching token (email, tel, street-address, ...)',
+      'Allow pasting into confirmation fields, or drop the confirmation field'
+    ],
+    wcag: '3.3.7',
+    link: 'https://www.w3.org/WAI/WCAG22/Understanding/redundant-entry'
+  },
+  FORM_AUTH_COGNITIVE_TEST: {
+    severity: 'error',
+    message: (data) => `Password field blocks password managers or pasting (${data.reason})`,
+    why: 'Users who cannot memorize or transcribe a password rely on password managers and pasting to log in',
+    fix: [
+      'Use autocomplete="current-password", "new-password" or "one-time-code"',
+      'Remove (paste) handlers that call preventDefault() or return false'
+    ],
+    wcag: '3.3.8',
+    link: 'https://www.w3.org/WAI/WCAG22/Understanding/accessible-authentication-minimum'
+  },
 
   // ============================================
   // HEADINGS & STRUCTURE (STRUCT_*)
@@ -325,6 +510,18 @@ const ERRORS = {
     wcag: '1.3.1',
     link: null
   },
+  TABLE_SCOPE_MISUSE: {
+    severity: 'error',
+    message: (data) => `Invalid "scope" attribute on <${data.tag}> element${data.valueInfo || ''}`,
+    why: 'The scope attribute is only valid on <th> elements and helps screen readers understand table structure',
+    fix: (data) => [
+      `Remove the scope attribute from <${data.tag}> element`,
+      `If this should be a header cell, change <${data.tag}> to <th> and use scope="row" or scope="col"`,
+      'Use scope="rowgroup" or scope="colgroup" for headers spanning multiple rows/columns'
+    ],
+    wcag: '1.3.1',
+    link: null
+  },
 
   // ============================================
   // FOCUS & KEYBOARD (FOCUS_*)
@@ -377,6 +574,55 @@ const ERRORS = {
     wcag: '2.4.3',
     link: null
   },
+  FOCUS_WITHIN_MISSING: {
+    severity: 'info',
+    message: 'Complex interactive containers without :focus-within',
+    why: 'Keyboard users may not see clear visual indication when navigating nested focusable elements',
+    fix: [
+      'Add :focus-within pseudo-class to container selectors',
+      'Or ensure child elements (a, button, input) have visible :focus styles',
+      'Apply visual styles (border, background, shadow) when children are focused',
+      'Example: .container:focus-within { outline: 2px solid blue; }',
+      'Test with keyboard navigation to ensure focus is always visible'
+    ],
+    wcag: '2.4.7',
+    link: null
+  },
+  FOCUS_WITHIN_INEFFECTIVE: {
+    severity: 'warning',
+    message: (data) => `Ineffective :focus-within styles on "${data.selector}"`,
+    why: 'The focus indication is invisible',
+    fix: [
+      'Use a visible color for outline, border, or box-shadow',
+      'Ensure sufficient contrast between focus indicator and background',
+      'Avoid transparent, rgba with 0 alpha, or same-as-background colors',
+      'Example: .container:focus-within { outline: 2px solid blue; }'
+    ],
+    wcag: '2.4.7',
+    link: null
+  },
+  TOUCH_TARGET_SMALL: {
+    severity: 'error',
+    message: 'Touch target below 24px minimum (WCAG AA)',
+    why: 'Users with motor impairments cannot reliably activate small targets',
+    fix: [
+      'Ensure minimum 24x24px clickable area (44x44px recommended)',
+      'Or space small targets with margin so each has 24px around it'
+    ],
+    wcag: '2.5.8',
+    link: 'https://www.w3.org/WAI/WCAG22/Understanding/target-size-minimum'
+  },
+  FOCUS_OBSCURED_STICKY: {
+    severity: 'warning',
+    message: (data) => `${data.position} header can hide focused elements (no scroll-padding-top)`,
+    why: 'Keyboard users tab to elements that scroll underneath the header and cannot see where focus is',
+    fix: [
+      'Set html { scroll-padding-top: <header height>; } so focused elements stop below the header',
+      'Or give focusable elements a scroll-margin-top'
+    ],
+    wcag: '2.4.11',
+    link: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-not-obscured-minimum'
+  },
   HOVER_WITHOUT_FOCUS: {
     severity: 'error',
     message: ':hover styles without matching :focus styles',
@@ -480,6 +726,30 @@ const ERRORS = {
     wcag: '1.4.12',
     link: null
   },
+  CONTENT_OVERFLOW_CLIPPED: {
+    severity: 'warning',
+    message: (data) => `Content may be hidden without visual indication in "${data.selector}"`,
+    why: 'Text content may be cut off and inaccessible to users',
+    fix: [
+      'Add "text-overflow: ellipsis" to show truncation indicator (...)',
+      'Or remove "overflow: hidden" to allow text to wrap naturally',
+      'Or ensure content is accessible through other means (tooltips, expand buttons)'
+    ],
+    wcag: '1.4.10',
+    link: null
+  },
+  CONTENT_OVERFLOW_HIDDEN: {
+    severity: 'info',
+    message: (data) => `Potential content overflow detected in "${data.selector}"`,
+    why: 'This may hide text content inaccessibly',
+    fix: [
+      'Verify all content remains accessible when overflow is hidden',
+      'Consider using "overflow: auto" or "overflow: scroll" for scrollable content',
+      'Ensure responsive design allows content to reflow at 320px width'
+    ],
+    wcag: '1.4.10',
+    link: null
+  },
   TEXT_JUSTIFY: {
     severity: 'warning',
     message: 'Justified text creates uneven spacing',
@@ -503,6 +773,17 @@ const ERRORS = {
     wcag: '1.4.3',
     link: 'https://webaim.org/resources/contrastchecker/'
   },
+  COLOR_CONTRAST_INHERITED: {
+    severity: 'error',
+    message: (data) => `Low contrast ${data.ratio}:1 (needs ${data.required}:1) against the background of ${data.source}`,
+    why: 'Text color set in a component is rendered on a background set elsewhere (a parent component or the global styles); together they are hard to read for users with low vision',
+    fix: [
+      'Darken the text color or give the element its own background',
+      'Check the text against every page the component is used on'
+    ],
+    wcag: '1.4.3',
+    link: 'https://webaim.org/resources/contrastchecker/'
+  },
   COLOR_CONTRAST_LARGE_TEXT: {
     severity: 'warning',
     message: (data) => `Contrast ${data.ratio}:1 only meets AA for large text (18pt+)`,
@@ -522,6 +803,30 @@ const ERRORS = {
     wcag: '1.4.3',
     link: null
   },
+  NON_TEXT_CONTRAST_LOW: {
+    severity: 'error',
+    message: (data) => `${data.property} contrast ${data.ratio}:1 against the background (needs 3:1)`,
+    why: 'Focus rings, field outlines and control borders below 3:1 are invisible to users with low vision',
+    fix: [
+      'Darken (or on dark backgrounds lighten) the indicator color',
+      'Add a second ring in a contrasting color (box-shadow: 0 0 0 2px #fff, 0 0 0 4px <color>)',
+      'Check the light and dark variants'
+    ],
+    wcag: '1.4.11',
+    link: 'https://www.w3.org/WAI/WCAG21/Understanding/non-text-contrast.html'
+  },
+  MAT_THEME_CONTRAST: {
+    severity: 'error',
+    message: (data) => `Theme ${data.theme} (${data.variant}): ${data.component} has contrast ${data.ratio}:1 (needs 4.5:1)`,
+    why: 'Every component drawn in a theme color inherits its contrast, so one weak palette hue fails across the app',
+    fix: (data) => [
+      `Use a palette hue or tone with more contrast for ${data.roles}`,
+      'Override the component token or mat.theme-overrides() color for this combination',
+      'Check both light and dark variants of the theme'
+    ],
+    wcag: '1.4.3',
+    link: 'https://material.angular.io/guide/theming'
+  },
 
   // ============================================
   // ANIMATION & MOTION (MOTION_*)
@@ -740,6 +1045,41 @@ const ERRORS = {
     wcag: '2.4.3',
     link: 'https://material.angular.io/components/dialog/overview#accessibility'
   },
+  MAT_DIALOG_OPEN_NO_LABEL: {
+    severity: 'info',
+    message: 'MatDialog.open() without ariaLabel or ariaLabelledBy',
+    why: 'Screen readers announce the dialog without a name unless its content has a mat-dialog-title',
+    fix: [
+      "Pass { ariaLabelledBy: 'dialog-title-id' } pointing at the dialog heading",
+      "Pass { ariaLabel: 'Dialog purpose' }",
+      'Add mat-dialog-title to the dialog heading'
+    ],
+    wcag: '4.1.2',
+    link: 'https://material.angular.io/components/dialog/overview#accessibility'
+  },
+  MAT_DIALOG_OPEN_AUTOFOCUS_DISABLED: {
+    severity: 'warning',
+    message: 'MatDialog.open() with autoFocus: false',
+    why: 'Focus stays behind the dialog, keyboard and screen reader users start outside it',
+    fix: [
+      "Remove autoFocus: false (default 'first-tabbable')",
+      "Use autoFocus: 'dialog' or 'first-heading' to focus the dialog itself",
+      'Use cdkFocusInitial to pick the first focused element'
+    ],
+    wcag: '2.4.3',
+    link: 'https://material.angular.io/components/dialog/overview#accessibility'
+  },
+  MAT_DIALOG_OPEN_RESTORE_FOCUS_DISABLED: {
+    severity: 'warning',
+    message: 'MatDialog.open() with restoreFocus: false',
+    why: 'Focus is lost when the dialog closes instead of returning to the trigger',
+    fix: [
+      'Remove restoreFocus: false',
+      'Move focus explicitly in afterClosed() if the trigger no longer exists'
+    ],
+    wcag: '2.4.3',
+    link: 'https://material.angular.io/components/dialog/overview#accessibility'
+  },
   MAT_MENU_TRIGGER_MISSING: {
     severity: 'error',
     message: 'mat-menu not connected to trigger',
@@ -917,6 +1257,39 @@ const ERRORS = {
     wcag: '4.1.3',
     link: 'https://material.angular.io/cdk/a11y/overview#liveannouncer'
   },
+  CDK_LIVE_ANNOUNCER_EMPTY: {
+    severity: 'warning',
+    message: 'LiveAnnouncer.announce() without a message',
+    why: 'Screen readers announce nothing',
+    fix: [
+      'Pass the text to announce: announce(message)',
+      'Remove the call if there is nothing to announce'
+    ],
+    wcag: '4.1.3',
+    link: 'https://material.angular.io/cdk/a11y/overview#liveannouncer'
+  },
+  CDK_LIVE_ANNOUNCER_OFF: {
+    severity: 'warning',
+    message: "LiveAnnouncer.announce() with politeness 'off'",
+    why: 'The live region is disabled, screen readers announce nothing',
+    fix: [
+      "Use 'polite' (default) for routine updates",
+      "Use 'assertive' for urgent updates"
+    ],
+    wcag: '4.1.3',
+    link: 'https://material.angular.io/cdk/a11y/overview#liveannouncer'
+  },
+  CDK_LIVE_ANNOUNCER_CLEARED: {
+    severity: 'warning',
+    message: 'LiveAnnouncer.clear() right after announce()',
+    why: 'The message is removed before screen readers can read it',
+    fix: [
+      'Remove the clear() call',
+      'Clear before the next announce(), or await announce() first'
+    ],
+    wcag: '4.1.3',
+    link: 'https://material.angular.io/cdk/a11y/overview#liveannouncer'
+  },
   CDK_FOCUS_TRAP_MISSING: {
     severity: 'error',
     message: 'Dialog missing cdkTrapFocus',
@@ -928,6 +1301,17 @@ const ERRORS = {
     wcag: '2.1.2',
     link: 'https://material.angular.io/cdk/a11y/overview#focustrap'
   },
+  CDK_DRAG_WITHOUT_ALTERNATIVE: {
+    severity: 'error',
+    message: (data) => `${data.kind} can only be moved by dragging`,
+    why: 'Users who cannot drag (tremor, switch access, head pointers) need a single-pointer or keyboard way to do the same',
+    fix: [
+      'Add "Move up" / "Move down" buttons to each item (moveItemInArray)',
+      'Or handle arrow keys with (keydown) on the items'
+    ],
+    wcag: '2.5.7',
+    link: 'https://www.w3.org/WAI/WCAG22/Understanding/dragging-movements'
+  },
 
   // ============================================
   // SECURITY & OTHER (SEC_*, OTHER_*)
@@ -1033,6 +1417,47 @@ const ERRORS = {
     fix: ['Add trackBy function to *ngFor'],
     wcag: null,
     link: null
+  },
+  I18N_MISSING_TRANSLATION: {
+    severity: 'error',
+    message: (data) => `Accessible name "${data.key}" has no ${data.locale} translation`,
+    why: 'In this locale the element is announced with the untranslated text, the raw key or no name at all',
+    fix: (data) => [
+      `Add "${data.key}" to ${data.file}`,
+      'Or remove the locale from the config "i18n.locales" if it is not shipped'
+    ],
+    wcag: '4.1.2',
+    link: null
+  },
+  I18N_EMPTY_TRANSLATION: {
+    severity: 'error',
+    message: (data) => `Accessible name "${data.key}" is empty in ${data.locale}`,
+    why: 'In this locale the element has no accessible name',
+    fix: (data) => [`Translate "${data.key}" in ${data.file}`],
+    wcag: '4.1.2',
+    link: null
+  },
+  I18N_LANG_MISMATCH: {
+    severity: 'error',
+    message: (data) => `<html lang="${data.lang}"> does not match the source locale ${data.sourceLocale}`,
+    why: 'Screen readers pronounce the page with the rules of the wrong language',
+    fix: (data) => [
+      `Set lang="${data.sourceLocale}" on <html>`,
+      'Localized builds (ng build --localize) set each locale\'s lang themselves'
+    ],
+    wcag: '3.1.1',
+    link: null
+  },
+  I18N_LANG_STATIC: {
+    severity: 'warning',
+    message: (data) => `<html lang="${data.lang}"> never changes, but the app switches between ${data.locales}`,
+    why: 'After a language switch screen readers keep pronouncing the page in the first language',
+    fix: [
+      'Set document.documentElement.lang when the language changes',
+      'e.g. in TranslateService.onLangChange or TranslocoService.langChanges$'
+    ],
+    wcag: '3.1.1',
+    link: null
   }
 };
 
@@ -1046,63 +1471,248 @@ function getError(code) {
 }
 
 /**
- * Format an error for output
+ * Codes added by registerErrors(), mapped to the plugin that added them
+ * @type {Map<string, string>}
+ */
+const registeredCodes = new Map();
+
+/**
+ * Add error codes from a plugin to the catalog
+ *
+ * Definitions use the same structure as ERRORS. Codes must be UPPER_SNAKE_CASE
+ * and must not replace a built-in code or a code of another plugin; invalid
+ * definitions are reported and left out. Registering the same code again from
+ * the same source replaces it.
+ *
+ * @param {Object<string, Object>} definitions - Error definitions by code
+ * @param {string} source - Who registers the codes (plugin name, used in messages)
+ * @returns {{ registered: string[], errors: string[] }} Added codes and problems
+ */
+function registerErrors(definitions, source) {
+  const registered = [];
+  const errors = [];
+
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    return { registered, errors: [`${source}: errors must be an object of error definitions`] };
+  }
+
+  for (const [code, def] of Object.entries(definitions)) {
+    const problems = [];
+    if (!/^[A-Z][A-Z0-9]*(_[A-Z0-9]+)+$/.test(code)) {
+      problems.push('code must be UPPER_SNAKE_CASE with a prefix (e.g. ACME_ICON_BUTTON_LABEL)');
+    } else if (ERRORS[code] && !registeredCodes.has(code)) {
+      problems.push('code is already defined by mat-a11y');
+    } else if (registeredCodes.has(code) && registeredCodes.get(code) !== source) {
+      problems.push(`code is already defined by ${registeredCodes.get(code)}`);
+    }
+
+    if (!def || typeof def !== 'object') {
+      problems.push('definition must be an object');
+    } else {
+      if (!['error', 'warning', 'info'].includes(def.severity)) problems.push('severity must be error, warning or info');
+      if (typeof def.message !== 'string' && typeof def.message !== 'function') problems.push('message must be a string or function');
+      if (def.why != null && typeof def.why !== 'string') problems.push('why must be a string');
+      if (def.fix != null && !Array.isArray(def.fix) && typeof def.fix !== 'function') problems.push('fix must be an array or function');
+      if (def.wcag != null && !WCAG[def.wcag]) problems.push(`unknown WCAG criterion "${def.wcag}"`);
+      if (def.link != null && typeof def.link !== 'string') problems.push('link must be a string');
+    }
+
+    if (problems.length > 0) {
+      errors.push(`${source}: error code ${code}: ${problems.join('; ')}`);
+      continue;
+    }
+
+    ERRORS[code] = {
+      severity: def.severity,
+      message: def.message,
+      why: def.why || '',
+      fix: def.fix || [],
+      wcag: def.wcag || null,
+      link: def.link || null
+    };
+    registeredCodes.set(code, source);
+    registered.push(code);
+  }
+
+  return { registered, errors };
+}
+
+/**
+ * Get the severity prefix used in rendered issues
+ * @private
+ */
+function severityPrefix(severity) {
+  return severity === 'error' ? '[Error]' :
+         severity === 'warning' ? '[Warning]' : '[Info]';
+}
+
+/**
+ * Shorten an element snippet for display (whitespace collapsed, max 100 chars)
+ * @param {string} element - Element source
+ * @returns {string} Snippet
+ */
+function formatSnippet(element) {
+  const collapsed = String(element || '').replace(/\s+/g, ' ');
+  return element && element.length > 100 ? collapsed.substring(0, 100) + '...' : collapsed;
+}
+
+/**
+ * Create a structured issue
+ *
+ * Checks report issues as objects; text is only produced by renderIssue()
+ * in formatters and console output. `location` is filled in by the analyzers
+ * from the locations the check returns.
+ *
  * @param {string} code - Error code
- * @param {Object} [data] - Dynamic data for message
- * @returns {string} Formatted error string
+ * @param {Object} [data] - Dynamic data (element, line and message parameters)
+ * @returns {{code: string, severity: string, wcag: string|null, message: string, why: string|null,
+ *   fixes: string[], link: string|null, element: string|null, location: null, data: Object}} Issue
  */
-function format(code, data = {}) {
+function createIssue(code, data = {}) {
   const err = ERRORS[code];
   if (!err) {
-    return `[Error] Unknown error code: ${code}`;
+    return {
+      code,
+      severity: 'error',
+      wcag: null,
+      message: `Unknown error code: ${code}`,
+      why: null,
+      fixes: [],
+      link: null,
+      element: data.element || null,
+      location: null,
+      data
+    };
   }
 
-  const lines = [];
+  // Message and fixes may be functions for dynamic content
+  const message = typeof err.message === 'function' ? err.message(data) : err.message;
+  const fixes = typeof err.fix === 'function' ? err.fix(data) : err.fix;
 
-  // Severity prefix
-  const prefix = err.severity === 'error' ? '[Error]' :
-                 err.severity === 'warning' ? '[Warning]' : '[Info]';
+  return {
+    code,
+    severity: err.severity,
+    wcag: err.wcag,
+    message,
+    why: err.why,
+    fixes: fixes ? [...fixes] : [],
+    link: err.link,
+    element: data.element || null,
+    location: null,
+    data
+  };
+}
 
-  // Message (may be function for dynamic content)
-  const message = typeof err.message === 'function' ? err.message(data) : err.message;
+/**
+ * Convert an issue from any source to a structured issue
+ *
+ * Plain strings (from custom checks) keep their text as `message` and get
+ * `code: null`; severity, fixes, WCAG reference and element are parsed from it.
+ *
+ * @param {string|Object} issue - Issue string or (partial) issue object
+ * @returns {Object} Structured issue
+ */
+function toIssue(issue) {
+  if (typeof issue === 'string') {
+    const parsed = parse(issue);
+    return {
+      code: null,
+      // The prefix alone decides (parse() needs a "message. why" first line)
+      severity: getSeverity(issue) || parsed.severity,
+      wcag: parsed.wcag,
+      message: issue,
+      why: null,
+      fixes: parsed.fix,
+      link: parsed.link,
+      element: parsed.element,
+      location: null,
+      data: parsed.line ? { line: parsed.line } : {}
+    };
+  }
+
+  return {
+    code: null,
+    severity: 'error',
+    wcag: null,
+    message: '',
+    why: null,
+    fixes: [],
+    link: null,
+    element: null,
+    location: null,
+    data: {},
+    ...issue
+  };
+}
+
+/**
+ * Render an issue as text
+ *
+ *   [Error] Image missing alt attribute. Screen readers cannot describe ...
+ *     How to fix:
+ *       - Add alt="description" for informative images
+ *     WCAG 1.1.1: Non-text Content | See: https://...
+ *     Found: <img src="logo.png"> (line 12)
+ *
+ * Issues without a code (strings from custom checks) are returned as they are.
+ *
+ * @param {string|Object} issue - Structured issue
+ * @returns {string} Rendered issue
+ */
+function renderIssue(issue) {
+  if (typeof issue === 'string') return issue;
+  if (!issue) return '';
+  if (!issue.code) return issue.message || '';
+
+  const lines = [];
+  const data = issue.data || {};
 
   // Main line
-  lines.push(`${prefix} ${message}. ${err.why}`);
+  lines.push(`${severityPrefix(issue.severity)} ${issue.message}${issue.why ? `. ${issue.why}` : ''}`);
 
-  // Fix suggestions (may be function for dynamic content)
-  const fixes = typeof err.fix === 'function' ? err.fix(data) : err.fix;
-  if (fixes && fixes.length > 0) {
+  // Fix suggestions
+  if (issue.fixes && issue.fixes.length > 0) {
     lines.push('  How to fix:');
-    for (const f of fixes) {
+    for (const f of issue.fixes) {
       lines.push(`    - ${f}`);
     }
   }
 
   // References
   const refs = [];
-  if (err.wcag) {
-    const name = WCAG[err.wcag] || err.wcag;
-    refs.push(`WCAG ${err.wcag}: ${name}`);
+  if (issue.wcag) {
+    const name = WCAG[issue.wcag] || issue.wcag;
+    refs.push(`WCAG ${issue.wcag}: ${name}`);
   }
-  if (err.link) {
-    refs.push(`See: ${err.link}`);
+  if (issue.link) {
+    refs.push(`See: ${issue.link}`);
   }
   if (refs.length > 0) {
     lines.push(`  ${refs.join(' | ')}`);
   }
 
   // Element snippet
-  if (data.element) {
-    const snippet = data.element.length > 100
-      ? data.element.replace(/\s+/g, ' ').substring(0, 100) + '...'
-      : data.element.replace(/\s+/g, ' ');
+  if (issue.element) {
     const location = data.line ? ` (line ${data.line})` : '';
-    lines.push(`  Found: ${snippet}${location}`);
+    lines.push(`  Found: ${formatSnippet(issue.element)}${location}`);
   }
 
   return lines.join('\n');
 }
 
+/**
+ * Format an error for output
+ *
+ * Shorthand for renderIssue(createIssue(code, data)).
+ *
+ * @param {string} code - Error code
+ * @param {Object} [data] - Dynamic data for message
+ * @returns {string} Formatted error string
+ */
+function format(code, data = {}) {
+  return renderIssue(createIssue(code, data));
+}
+
 /**
  * Create a reporter bound to specific error codes
  * @param {string[]} codes - Error codes this reporter can emit
@@ -1258,7 +1868,7 @@ function toJSON(code, data = {}) {
 function result(pass, issues = []) {
   return {
     pass,
-    issues: issues.map(i => typeof i === 'string' ? i : format(i.code, i.data)),
+    issues: issues.map(i => typeof i === 'string' ? toIssue(i) : createIssue(i.code, i.data)),
     json: () => issues.map(i => typeof i === 'string' ? parse(i) : toJSON(i.code, i.data)),
     compact: () => issues.map(i => typeof i === 'string' ? i : compact(i.code, i.data))
   };
@@ -1273,32 +1883,43 @@ const SEVERITY = {
   info: 0
 };
 
+/**
+ * Get the severity of a structured issue or formatted issue string
+ * @param {string|Object} issue - Issue
+ * @returns {string|null} 'error', 'warning', 'info' or null if unknown
+ */
+function getSeverity(issue) {
+  if (issue && typeof issue === 'object') return issue.severity || null;
+  const match = String(issue || '').match(/^\[(Error|Warning|Info)\]/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
 /**
  * Filter issues by minimum severity
- * @param {string[]} issues - Formatted issue strings
+ * @param {Array<string|Object>} issues - Structured issues or formatted issue strings
  * @param {string} minSeverity - Minimum severity to include
- * @returns {string[]} Filtered issues
+ * @returns {Array<string|Object>} Filtered issues
  */
 function filterBySeverity(issues, minSeverity = 'info') {
   const minLevel = SEVERITY[minSeverity] || 0;
   return issues.filter(issue => {
-    const match = issue.match(/^\[(Error|Warning|Info)\]/i);
-    if (!match) return true;
-    const level = SEVERITY[match[1].toLowerCase()] || 0;
+    const severity = getSeverity(issue);
+    if (!severity) return true;
+    const level = SEVERITY[severity] || 0;
     return level >= minLevel;
   });
 }
 
 /**
  * Count issues by severity
- * @param {string[]} issues - Formatted issue strings
+ * @param {Array<string|Object>} issues - Structured issues or formatted issue strings
  * @returns {Object} Counts by severity
  */
 function countBySeverity(issues) {
   const counts = { error: 0, warning: 0, info: 0 };
   for (const issue of issues) {
-    const match = issue.match(/^\[(Error|Warning|Info)\]/i);
-    if (match) counts[match[1].toLowerCase()]++;
+    const severity = getSeverity(issue);
+    if (severity in counts) counts[severity]++;
   }
   return counts;
 }
@@ -1307,10 +1928,16 @@ module.exports = {
   // Error catalog
   ERRORS,
   WCAG,
+  WCAG_LEVELS,
   SEVERITY,
 
   // Core functions
   getError,
+  registerErrors,
+  createIssue,
+  toIssue,
+  renderIssue,
+  formatSnippet,
   format,
   parse,
   createReporter,
@@ -1323,6 +1950,7 @@ module.exports = {
   // Utilities
   listCodes,
   getCategories,
+  getSeverity,
   filterBySeverity,
   countBySeverity
 };
@@ -0,0 +1,301 @@
+'use strict';
+
+/**
+ * Autofix
+ *
+ * Checks can export an optional `fix(content, context)` next to `check()`.
+ * It gets the same arguments and returns one entry per issue it can fix
+ * mechanically:
+ *
+ *   { location, edits: [{ start, end, text }] }
+ *
+ * `start`/`end` are character offsets into `content` (end exclusive; equal
+ * for an insertion) and `location` is where the issue is reported (used to
+ * honor inline mat-a11y-disable comments; defaults to the first edit).
+ *
+ * Fixes of all checks are applied together, ESLint-style: a fix whose edits
+ * overlap an edit already accepted in this pass is skipped, the content is
+ * re-checked and skipped fixes are retried in the next pass. Edits never
+ * conflict, and a fix is applied completely or not at all.
+ *
+ * Only external templates (.html) and stylesheets (.scss/.css) are fixed;
+ * inline templates and styles in .ts files are left alone.
+ *
+ * @module core/fixer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getChecksByTier, getCheckContext } = require('./loader');
+const { loadProjectChecks } = require('./plugins');
+const { resolveOptions, selectChecks } = require('./config');
+const { applySuppressions } = require('./suppressions');
+const { getLocation } = require('./location');
+const { createUnifiedDiff } = require('./diff');
+
+/**
+ * Maximum number of fix passes per file
+ * @type {number}
+ */
+const MAX_PASSES = 10;
+
+/**
+ * Default ignore patterns for file discovery
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['node_modules', '.git', 'dist', 'build', '.angular', 'coverage'];
+
+/**
+ * File extensions per check type
+ * @type {Object<string, string[]>}
+ */
+const EXTENSIONS = {
+  html: ['.html', '.htm'],
+  scss: ['.scss', '.css']
+};
+
+// ============================================
+// EDITS
+// ============================================
+
+/**
+ * Check if two edits touch the same text.
+ * Insertions at the same offset conflict too (their order would be arbitrary).
+ * @private
+ */
+function editsOverlap(a, b) {
+  if (a.start === b.start) return true;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Validate and normalize the fixes returned by a check's fix()
+ * @private
+ */
+function normalizeFixes(fixes, content) {
+  if (!Array.isArray(fixes)) return [];
+
+  return fixes.filter(fix => fix && Array.isArray(fix.edits) && fix.edits.length > 0 &&
+    fix.edits.every(edit =>
+      Number.isInteger(edit.start) && Number.isInteger(edit.end) &&
+      edit.start >= 0 && edit.start <= edit.end && edit.end <= content.length &&
+      typeof edit.text === 'string'));
+}
+
+/**
+ * Apply text edits to content
+ *
+ * @param {string} content - Original content
+ * @param {Array<{start: number, end: number, text: string}>} edits - Non-overlapping edits
+ * @returns {string} New content
+ */
+function applyEdits(content, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  let output = '';
+  let lastEnd = 0;
+  for (const edit of sorted) {
+    output += content.slice(lastEnd, edit.start) + edit.text;
+    lastEnd = edit.end;
+  }
+  return output + content.slice(lastEnd);
+}
+
+// ============================================
+// FIXING
+// ============================================
+
+/**
+ * Get the fixable checks of a registry for a file type
+ * @private
+ */
+function getFixers(registry, type) {
+  return [...registry.values()].filter(module => module.type === type && typeof module.fix === 'function');
+}
+
+/**
+ * Collect the fixes of one pass, dropping fixes for suppressed issues
+ * @private
+ */
+function collectFixes(content, type, fixers) {
+  const fixesByCheck = {};
+
+  for (const checkModule of fixers) {
+    let fixes;
+    try {
+      fixes = normalizeFixes(checkModule.fix(content, getCheckContext(checkModule, content)), content);
+    } catch (error) {
+      continue; // A failing fixer never blocks the others
+    }
+    if (fixes.length === 0) continue;
+
+    fixesByCheck[checkModule.name] = fixes.map(fix => ({
+      ...fix,
+      location: fix.location || getLocation(content, Math.min(...fix.edits.map(edit => edit.start)))
+    }));
+  }
+
+  // Fixes are matched to mat-a11y-disable comments like the issues they fix
+  return applySuppressions(content, type, fixesByCheck).issues;
+}
+
+/**
+ * Apply all fixes of the given checks to one file's content
+ *
+ * @param {string} content - File content
+ * @param {'html'|'scss'} type - Check type for this file
+ * @param {object[]} fixers - Check modules with a fix() function
+ * @returns {{output: string, fixed: Object<string, number>}} Fixed content and the number of fixes per check
+ */
+function fixContent(content, type, fixers) {
+  const fixed = {};
+  let output = content;
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const fixesByCheck = collectFixes(output, type, fixers);
+    const accepted = [];
+
+    for (const [checkName, fixes] of Object.entries(fixesByCheck)) {
+      for (const fix of fixes) {
+        const conflicts = fix.edits.some(edit => accepted.some(other => editsOverlap(edit, other)));
+        if (conflicts) continue;
+        accepted.push(...fix.edits);
+        fixed[checkName] = (fixed[checkName] || 0) + 1;
+      }
+    }
+
+    if (accepted.length === 0) break;
+    output = applyEdits(output, accepted);
+  }
+
+  return { output, fixed };
+}
+
+/**
+ * Find fixable files
+ * @private
+ */
+function findFixableFiles(targetPath, ignore) {
+  const extensions = [...EXTENSIONS.html, ...EXTENSIONS.scss];
+  const files = [];
+
+  function walk(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (ignore.some(pattern => fullPath.includes(pattern) || entry.name === pattern)) continue;
+
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  try {
+    if (fs.statSync(targetPath).isDirectory()) walk(targetPath);
+    else files.push(targetPath);
+  } catch (error) {
+    // Path doesn't exist
+  }
+
+  return files;
+}
+
+/**
+ * Fix all templates and stylesheets under a path
+ *
+ * @param {string} targetPath - Directory or file
+ * @param {object} [options]
+ * @param {string} [options.tier='full'] - Tier whose checks may fix
+ * @param {string} [options.check] - Only apply this check's fixes
+ * @param {string[]} [options.ignore] - Ignore patterns
+ * @param {string[]} [options.enable] - Only these checks (project config)
+ * @param {string[]} [options.disable] - Never these checks (project config)
+ * @param {boolean} [options.write=false] - Write the fixed files (otherwise only report them)
+ * @param {string} [options.cwd] - Base for the relative paths in `file` and the diff
+ * @returns {{
+ *   files: Array<{path: string, file: string, original: string, output: string, fixed: Object<string, number>, diff: string}>,
+ *   fixCount: number
+ * }} Changed files with their fixes and unified diffs
+ *
+ * @example
+ * const { files, fixCount } = fixFiles('./src', { write: true });
+ */
+function fixFiles(targetPath, options = {}) {
+  const resolved = resolveOptions(targetPath, options, DEFAULT_IGNORE);
+  const tier = resolved.tier || 'full';
+  const ignore = resolved.ignore || DEFAULT_IGNORE;
+  const cwd = resolved.cwd || process.cwd();
+
+  let registry = selectChecks(getChecksByTier(loadProjectChecks(resolved), tier), resolved);
+  if (resolved.check) {
+    registry = new Map([...registry].filter(([name]) => name === resolved.check));
+  }
+  const fixers = {
+    html: getFixers(registry, 'html'),
+    scss: getFixers(registry, 'scss')
+  };
+
+  const files = [];
+  let fixCount = 0;
+
+  for (const filePath of findFixableFiles(targetPath, ignore)) {
+    const ext = path.extname(filePath).toLowerCase();
+    const type = EXTENSIONS.html.includes(ext) ? 'html' : 'scss';
+    if (fixers[type].length === 0) continue;
+
+    let original;
+    try {
+      original = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+      continue;
+    }
+
+    const { output, fixed } = fixContent(original, type, fixers[type]);
+    if (output === original) continue;
+
+    const file = path.relative(cwd, path.resolve(filePath)).split(path.sep).join('/');
+    if (resolved.write) fs.writeFileSync(filePath, output);
+
+    files.push({ path: filePath, file, original, output, fixed, diff: createUnifiedDiff(file, original, output) });
+    fixCount += Object.values(fixed).reduce((sum, count) => sum + count, 0);
+  }
+
+  return { files, fixCount };
+}
+
+/**
+ * Format a fix summary for console output
+ *
+ * @param {{files: Array, fixCount: number}} result - From fixFiles()
+ * @param {boolean} [dryRun=false] - Whether the files were left unchanged
+ * @returns {string} Summary
+ */
+function formatFixSummary(result, dryRun = false) {
+  if (result.fixCount === 0) return 'No fixable issues found';
+
+  const lines = [];
+  for (const file of result.files) {
+    const counts = Object.entries(file.fixed).map(([check, count]) => `${check} ×${count}`);
+    lines.push(`  ${file.file}: ${counts.join(', ')}`);
+  }
+  const verb = dryRun ? 'Would fix' : 'Fixed';
+  const fileCount = result.files.length;
+  lines.unshift(`${verb} ${result.fixCount} issue${result.fixCount === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}:`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  applyEdits,
+  fixContent,
+  fixFiles,
+  formatFixSummary,
+  MAX_PASSES
+};
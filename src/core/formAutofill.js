@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Form Autofill
+ *
+ * WCAG 2.2 asks that users don't have to re-type what the browser or a
+ * password manager can fill in (3.3.7 Redundant Entry) and that logging in
+ * doesn't depend on remembering or transcribing a password (3.3.8 Accessible
+ * Authentication). Both break in templates the same two ways:
+ *
+ *   <input type="password" autocomplete="off">      autofill switched off
+ *   <input (paste)="$event.preventDefault()">       pasting blocked
+ *
+ * These helpers read both from the template tree (core/templateParser) for
+ * accessibleAuthentication and redundantEntry.
+ */
+
+const { closest, getAttribute, getStaticValue } = require('./templateParser');
+
+// autocomplete values that switch autofill off
+const AUTOFILL_OFF = new Set(['off', 'false', 'nope', 'disabled']);
+
+// Handler names that read as "stop pasting here"
+const PASTE_BLOCKING_HANDLER = /(?:block|prevent|disable|deny|forbid|no)_?paste|paste_?(?:block|prevent|disable|deny)/i;
+
+// Field names and ids that collect personal data users have entered before
+const PERSONAL_DATA = [
+  { pattern: /e-?mail/i, purpose: 'email' },
+  { pattern: /phone|\btel\b|mobile/i, purpose: 'phone' },
+  { pattern: /street|address|\bcity\b|\bzip|postal|postcode|country/i, purpose: 'address' },
+  { pattern: /company|organi[sz]ation/i, purpose: 'organization' },
+  { pattern: /(?:first|last|given|family|full|sur)[-_]?name|^name$/i, purpose: 'name' }
+];
+
+/**
+ * Check if an input is a text control (not a button, checkbox, file, ...)
+ * @private
+ */
+function isTextControl(element) {
+  if (element.name === 'textarea') return true;
+  if (element.name !== 'input') return false;
+  const type = (getStaticValue(element, 'type') || 'text').toLowerCase();
+  return ['text', 'email', 'tel', 'password', 'search', 'url', 'number'].includes(type);
+}
+
+/**
+ * Check if an element is a password or one-time-code field
+ *
+ * Bound types count when the expression mentions a password
+ * (`[type]="hide ? 'password' : 'text'"` for show/hide toggles).
+ *
+ * @param {object} element - Element node
+ * @returns {boolean}
+ */
+function isPasswordInput(element) {
+  if (element.name !== 'input') return false;
+  const type = getAttribute(element, 'type');
+  if (type && type.value && /password/i.test(type.value)) return true;
+  const autocomplete = getStaticValue(element, 'autocomplete') || '';
+  return /(?:current|new)-password|one-time-code/i.test(autocomplete);
+}
+
+/**
+ * Get the autocomplete value that applies to a field
+ *
+ * The field's own value wins; without one, a `<form autocomplete="off">`
+ * switches autofill off for every field inside it.
+ *
+ * @param {object} element - Element node
+ * @returns {{ value: string, inherited: boolean }|null} Value (lowercase), or null if unset
+ */
+function getAutocomplete(element) {
+  const own = getStaticValue(element, 'autocomplete');
+  if (own !== null) return { value: own.trim().toLowerCase(), inherited: false };
+
+  const form = closest(element, 'form');
+  const formValue = form ? getStaticValue(form, 'autocomplete') : null;
+  if (formValue !== null) return { value: formValue.trim().toLowerCase(), inherited: true };
+  return null;
+}
+
+/**
+ * Check if the autocomplete value that applies to a field switches autofill off
+ *
+ * @param {object} element - Element node
+ * @returns {string|null} Reason for reporting, or null if autofill is on
+ */
+function getAutofillOffReason(element) {
+  const autocomplete = getAutocomplete(element);
+  if (!autocomplete || !AUTOFILL_OFF.has(autocomplete.value)) return null;
+  return autocomplete.inherited
+    ? `autocomplete="${autocomplete.value}" on the <form>`
+    : `autocomplete="${autocomplete.value}"`;
+}
+
+/**
+ * Check if a field blocks pasting
+ *
+ * Matches `(paste)` handlers that cancel the event (`$event.preventDefault()`,
+ * `false`) or whose name says so (`blockPaste($event)`), and inline
+ * `onpaste="return false"`.
+ *
+ * @param {object} element - Element node
+ * @returns {boolean}
+ */
+function blocksPaste(element) {
+  return element.attrs.some(attr => {
+    if (attr.key.toLowerCase() !== (attr.kind === 'event' ? 'paste' : 'onpaste')) return false;
+    if (attr.kind !== 'event' && attr.kind !== 'static') return false;
+    const expression = (attr.value || '').trim();
+    return /preventDefault\s*\(/.test(expression) ||
+      /^(?:return\s+)?false;?$/.test(expression) ||
+      PASTE_BLOCKING_HANDLER.test(expression);
+  });
+}
+
+/**
+ * Get the kind of personal data a field collects
+ *
+ * Uses the input type (email, tel), the autocomplete token and the field's
+ * name, id or formControlName.
+ *
+ * @param {object} element - Element node
+ * @returns {string|null} Purpose ('email', 'phone', 'address', 'organization', 'name'), or null
+ */
+function getInputPurpose(element) {
+  if (!isTextControl(element) || isPasswordInput(element)) return null;
+
+  const type = (getStaticValue(element, 'type') || '').toLowerCase();
+  if (type === 'email') return 'email';
+  if (type === 'tel') return 'phone';
+
+  const hints = ['autocomplete', 'name', 'id', 'formControlName']
+    .map(name => getStaticValue(element, name))
+    .filter(value => value && !AUTOFILL_OFF.has(value.toLowerCase()));
+  for (const hint of hints) {
+    const match = PERSONAL_DATA.find(({ pattern }) => pattern.test(hint));
+    if (match) return match.purpose;
+  }
+  return null;
+}
+
+module.exports = {
+  isPasswordInput,
+  getAutocomplete,
+  getAutofillOffReason,
+  blocksPaste,
+  getInputPurpose
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+/**
+ * Quality Gate
+ *
+ * Decides whether an analysis run passes, the same way in every mode
+ * (component, file-based, route and sitemap). A gate is a set of thresholds:
+ *
+ * - failOn:    only issues of this severity or higher count ('error' | 'warning' | 'info')
+ * - maxIssues: most counted issues allowed (0 when only failOn is given)
+ * - minScore:  lowest audit score allowed (0-100). Component and file-based
+ *              results use the overall score, sitemap and route results every page's score
+ * - checks:    most counted issues allowed per check: { imageAlt: 0 }
+ * - levels:    most counted issues allowed per WCAG level: { A: 0, AA: 5 }
+ *              (each level counts only criteria of exactly that level)
+ *
+ * Without a gate, the previous behavior is kept: any issue fails component
+ * and file-based runs, a page below 50% fails sitemap and route runs, and
+ * with a baseline any new issue fails.
+ *
+ * @module core/gate
+ */
+
+const { WCAG_LEVELS, filterBySeverity } = require('./errors');
+const { collectIssues } = require('./baseline');
+
+/**
+ * Severities a gate can fail on
+ * @type {string[]}
+ */
+const GATE_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * WCAG conformance levels a gate can limit
+ * @type {string[]}
+ */
+const GATE_LEVELS = ['A', 'AA', 'AAA'];
+
+/**
+ * Supported gate keys
+ * @type {string[]}
+ */
+const GATE_KEYS = ['failOn', 'maxIssues', 'minScore', 'checks', 'levels'];
+
+/**
+ * Page score below which sitemap and route runs fail by default
+ * @type {number}
+ */
+const DEFAULT_MIN_PAGE_SCORE = 50;
+
+/**
+ * Check for a non-negative integer
+ * @private
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Pluralize "issue"
+ * @private
+ */
+function issues(count) {
+  return `${count} issue${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Pages of sitemap and route results (null for other modes)
+ * @private
+ */
+function getPages(results) {
+  if (Array.isArray(results.urls)) return results.urls;
+  if (Array.isArray(results.routes)) return results.routes;
+  return null;
+}
+
+/**
+ * Check whether any threshold is set
+ *
+ * @param {object|null} gate - Gate thresholds
+ * @returns {boolean}
+ */
+function hasGate(gate) {
+  if (!gate) return false;
+  return gate.failOn !== undefined ||
+    gate.maxIssues !== undefined ||
+    gate.minScore !== undefined ||
+    Object.keys(gate.checks || {}).length > 0 ||
+    Object.keys(gate.levels || {}).length > 0;
+}
+
+/**
+ * Validate gate thresholds
+ *
+ * @param {object} gate - Gate thresholds (config "gate" key or CLI flags)
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateGate(gate) {
+  if (!gate || typeof gate !== 'object' || Array.isArray(gate)) {
+    return ['Gate must be an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(gate)) {
+    if (!GATE_KEYS.includes(key)) errors.push(`Unknown gate key: ${key}`);
+  }
+
+  if (gate.failOn !== undefined && !GATE_SEVERITIES.includes(gate.failOn)) {
+    errors.push(`Gate "failOn" must be one of: ${GATE_SEVERITIES.join(', ')}`);
+  }
+  if (gate.maxIssues !== undefined && !isCount(gate.maxIssues)) {
+    errors.push('Gate "maxIssues" must be a non-negative integer');
+  }
+  if (gate.minScore !== undefined &&
+      (typeof gate.minScore !== 'number' || gate.minScore < 0 || gate.minScore > 100)) {
+    errors.push('Gate "minScore" must be a number from 0 to 100');
+  }
+
+  for (const key of ['checks', 'levels']) {
+    const limits = gate[key];
+    if (limits === undefined) continue;
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push(`Gate "${key}" must be an object`);
+      continue;
+    }
+    for (const [name, max] of Object.entries(limits)) {
+      if (key === 'levels' && !GATE_LEVELS.includes(name)) {
+        errors.push(`Unknown WCAG level in gate: ${name} (use ${GATE_LEVELS.join(', ')})`);
+      } else if (!isCount(max)) {
+        errors.push(`Gate limit for "${name}" must be a non-negative integer`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a "name=count" threshold (CLI --max-check / --max-level)
+ *
+ * @param {string} spec - e.g. "imageAlt=0" or "AA=5"
+ * @returns {{name: string, max: number}}
+ * @throws {Error} If the threshold is malformed
+ */
+function parseThreshold(spec) {
+  const match = /^([^=]+)=(\d+)$/.exec(String(spec || '').trim());
+  if (!match) {
+    throw new Error(`Invalid threshold "${spec}" (expected name=count, e.g. imageAlt=0)`);
+  }
+  return { name: match[1].trim(), max: parseInt(match[2], 10) };
+}
+
+/**
+ * The gate a run is judged by: the given thresholds, or the mode's default
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {object|null} [gate] - Gate thresholds
+ * @returns {object} Effective gate
+ */
+function resolveGate(results, gate) {
+  if (hasGate(gate)) {
+    const resolved = { ...gate };
+    // Failing on a severity without a count means any such issue fails
+    if (resolved.failOn !== undefined && resolved.maxIssues === undefined) resolved.maxIssues = 0;
+    return resolved;
+  }
+
+  // Defaults: exactly what the CLI exit code used to be
+  if (getPages(results) && !results.baseline) {
+    return { minScore: DEFAULT_MIN_PAGE_SCORE };
+  }
+  return { maxIssues: 0 };
+}
+
+/**
+ * Describe a gate in one line
+ *
+ * @param {object} gate - Effective gate from resolveGate()
+ * @param {object} [results] - Results (to say "page score" for sitemap/route runs)
+ * @returns {string} e.g. "max 10 issues (warning or higher), min score 80%, WCAG A max 0"
+ */
+function describeGate(gate, results) {
+  const parts = [];
+  const severity = gate.failOn && gate.failOn !== 'info' ? ` (${gate.failOn} or higher)` : '';
+
+  if (gate.maxIssues !== undefined) parts.push(`max ${issues(gate.maxIssues)}${severity}`);
+  if (gate.minScore !== undefined) {
+    parts.push(`min ${results && getPages(results) ? 'page ' : ''}score ${gate.minScore}%`);
+  }
+  for (const [check, max] of Object.entries(gate.checks || {})) {
+    parts.push(`${check} max ${max}${severity}`);
+  }
+  for (const [level, max] of Object.entries(gate.levels || {})) {
+    parts.push(`WCAG ${level} max ${max}${severity}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Evaluate a quality gate against analysis results
+ *
+ * Issue counts use the results as given: with a baseline applied, only new
+ * issues count.
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {object|null} [gate] - Gate thresholds (default: the mode's previous behavior)
+ * @returns {{
+ *   passed: boolean,
+ *   isDefault: boolean,
+ *   gate: object,
+ *   description: string,
+ *   counted: number,
+ *   score: number|null,
+ *   failures: string[]
+ * }} Gate result; failures says why the gate failed
+ *
+ * @example
+ * const gate = evaluateGate(results, { failOn: 'error', minScore: 80 });
+ * if (!gate.passed) console.log(gate.failures.join('\n'));
+ */
+function evaluateGate(results, gate) {
+  const effective = resolveGate(results, gate);
+  const counted = filterBySeverity(collectIssues(results), effective.failOn || 'info');
+  const severity = effective.failOn && effective.failOn !== 'info' ? ` (${effective.failOn} or higher)` : '';
+  const failures = [];
+
+  if (effective.maxIssues !== undefined && counted.length > effective.maxIssues) {
+    failures.push(`${issues(counted.length)}${severity}, max ${effective.maxIssues}`);
+  }
+
+  // Score: the overall audit score, or the lowest page score
+  const pages = getPages(results);
+  let score = null;
+  if (pages) {
+    if (pages.length > 0) score = Math.min(...pages.map(page => page.auditScore));
+  } else if (typeof results.auditScore === 'number') {
+    score = results.auditScore;
+  } else if (results.summary && typeof results.summary.auditScore === 'number') {
+    score = results.summary.auditScore;
+  }
+
+  if (effective.minScore !== undefined && score !== null && score < effective.minScore) {
+    if (pages) {
+      const below = pages.filter(page => page.auditScore < effective.minScore);
+      const worst = below.reduce((a, b) => (b.auditScore < a.auditScore ? b : a));
+      const label = worst.url || worst.path;
+      failures.push(`${below.length} page${below.length === 1 ? '' : 's'} below ${effective.minScore}% ` +
+        `(lowest: ${worst.auditScore}%${label ? ' ' + label : ''})`);
+    } else {
+      failures.push(`score ${score}%, min ${effective.minScore}%`);
+    }
+  }
+
+  const byCheck = new Map();
+  const byLevel = new Map();
+  for (const issue of counted) {
+    if (!issue || typeof issue !== 'object') continue;
+    if (issue.check) byCheck.set(issue.check, (byCheck.get(issue.check) || 0) + 1);
+    const level = issue.wcag && WCAG_LEVELS[issue.wcag];
+    if (level) byLevel.set(level, (byLevel.get(level) || 0) + 1);
+  }
+
+  for (const [check, max] of Object.entries(effective.checks || {})) {
+    const count = byCheck.get(check) || 0;
+    if (count > max) failures.push(`${issues(count)} from ${check}${severity}, max ${max}`);
+  }
+  for (const [level, max] of Object.entries(effective.levels || {})) {
+    const count = byLevel.get(level) || 0;
+    if (count > max) failures.push(`${issues(count)} at WCAG level ${level}${severity}, max ${max}`);
+  }
+
+  return {
+    passed: failures.length === 0,
+    isDefault: !hasGate(gate),
+    gate: effective,
+    description: describeGate(effective, results),
+    counted: counted.length,
+    score,
+    failures
+  };
+}
+
+/**
+ * Format a gate result for console output
+ *
+ * @param {object} result - Result of evaluateGate()
+ * @returns {string} Gate line plus one line per failure
+ */
+function formatGateResult(result) {
+  const lines = [
+    `Quality gate: ${result.description}${result.isDefault ? ' (default)' : ''} - ${result.passed ? 'passed' : 'FAILED'}`
+  ];
+  for (const failure of result.failures) {
+    lines.push(`  - ${failure}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  hasGate,
+  validateGate,
+  parseThreshold,
+  resolveGate,
+  describeGate,
+  evaluateGate,
+  formatGateResult,
+
+  // Constants
+  GATE_SEVERITIES,
+  GATE_LEVELS,
+  DEFAULT_MIN_PAGE_SCORE
+};
@@ -0,0 +1,522 @@
+'use strict';
+
+/**
+ * Scan History
+ *
+ * Appends a compact snapshot of each run to a local JSON Lines file
+ * (.mat-a11y/history.jsonl in the project by default) so scores and issue
+ * counts can be followed over time, per component (or page) and per check.
+ *
+ * A snapshot holds:
+ * - timestamp and git commit (when the project is in a git repository)
+ * - mode, tier and overall audit score
+ * - issue counts per check and per component/page (with its score)
+ * - issue fingerprints (the same as baselines use), to tell new issues from fixed ones
+ *
+ * Snapshots are only compared with earlier snapshots of the same mode:
+ * a sitemap run's pages aren't comparable with a component run's components.
+ *
+ * @module core/history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createBaseline, getIssueFingerprint, collectIssues } = require('./baseline');
+const { normalizeEntities } = require('../formatters/result-utils');
+
+/**
+ * Default history file, relative to the project directory
+ * @type {string}
+ */
+const HISTORY_FILE = path.join('.mat-a11y', 'history.jsonl');
+
+/**
+ * Snapshot format version
+ * @type {number}
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Bars used for sparklines (lowest to highest)
+ * @type {string[]}
+ */
+const SPARK_BARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+
+/**
+ * Short hash of the checked-out commit (null outside a git repository)
+ *
+ * @param {string} projectDir - Directory inside the repository
+ * @returns {string|null}
+ */
+function getGitCommit(projectDir) {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], {
+      cwd: projectDir,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Analysis mode of a result object
+ *
+ * @param {object} results - Analysis results
+ * @returns {string} 'component' | 'routes' | 'sitemap' | 'file-based'
+ */
+function getMode(results) {
+  if (Array.isArray(results.components)) return 'component';
+  if (Array.isArray(results.routes)) return 'routes';
+  if (Array.isArray(results.urls)) return 'sitemap';
+  return 'file-based';
+}
+
+/**
+ * Pages of a sitemap or route result
+ * @private
+ */
+function getPages(results) {
+  return [
+    ...(Array.isArray(results.urls) ? results.urls : []),
+    ...(Array.isArray(results.routes) ? results.routes : [])
+  ];
+}
+
+/**
+ * Overall audit score of a result object (pages: the average page score)
+ *
+ * @param {object} results - Analysis results
+ * @returns {number|null}
+ */
+function getOverallScore(results) {
+  const pages = getPages(results);
+  if (typeof results.auditScore === 'number') return results.auditScore;
+  if (results.summary && typeof results.summary.auditScore === 'number') return results.summary.auditScore;
+  if (typeof results.siteAverage === 'number') return results.siteAverage;
+  if (pages.length > 0) {
+    return Math.round(pages.reduce((sum, page) => sum + (page.auditScore || 0), 0) / pages.length);
+  }
+  return null;
+}
+
+/**
+ * Issues per component, page or (file-based) file
+ *
+ * @param {object} results - Analysis results
+ * @param {string|null} [projectDir] - Project root (file-based: files are named relative to it)
+ * @returns {Array<{ name: string, auditScore: number|null, issues: Array }>}
+ */
+function getEntityIssues(results, projectDir) {
+  if (Array.isArray(results.components)) {
+    // Component scores as the formatters report them, so trend and diff match the JSON reports
+    const entities = normalizeEntities(results);
+    return results.components.map((comp, index) => ({
+      name: comp.name || comp.className || 'Unknown',
+      auditScore: entities[index].auditScore,
+      issues: comp.issues || []
+    }));
+  }
+
+  const pages = getPages(results);
+  if (pages.length > 0) {
+    return pages.map(page => ({
+      name: page.path || page.url || 'unknown',
+      auditScore: typeof page.auditScore === 'number' ? page.auditScore : null,
+      issues: page.issues || []
+    }));
+  }
+
+  const files = new Map();
+  for (const issue of collectIssues(results)) {
+    const { file } = getIssueFingerprint(issue, { projectDir });
+    if (!files.has(file)) files.set(file, { name: file, auditScore: null, issues: [] });
+    files.get(file).issues.push(issue);
+  }
+  return [...files.values()];
+}
+
+/**
+ * Score and issue count per component, page or (file-based) file
+ * @private
+ */
+function getEntities(results, projectDir) {
+  const entities = {};
+  for (const entity of getEntityIssues(results, projectDir)) {
+    entities[entity.name] = { auditScore: entity.auditScore, issues: entity.issues.length };
+  }
+  return entities;
+}
+
+/**
+ * Create a history snapshot from analysis results
+ *
+ * @param {object} results - Analysis results (any mode, before baseline filtering)
+ * @param {object} [options]
+ * @param {string} [options.projectDir] - Project root (fingerprint paths are relative to it)
+ * @param {string|null} [options.commit] - Git commit (default: looked up in projectDir)
+ * @param {string} [options.timestamp] - ISO timestamp (default: now)
+ * @returns {object} Snapshot { version, timestamp, commit, mode, tier, auditScore, issues, checks, components, fingerprints }
+ */
+function createSnapshot(results, options = {}) {
+  const projectDir = options.projectDir || '.';
+  const baseline = createBaseline(results, { projectDir });
+
+  const checks = {};
+  for (const entry of baseline.issues) {
+    checks[entry.check] = (checks[entry.check] || 0) + entry.count;
+  }
+
+  return {
+    version: HISTORY_VERSION,
+    timestamp: options.timestamp || new Date().toISOString(),
+    commit: options.commit !== undefined ? options.commit : getGitCommit(projectDir),
+    mode: getMode(results),
+    tier: results.tier || null,
+    auditScore: getOverallScore(results),
+    issues: baseline.total,
+    checks,
+    components: getEntities(results, projectDir),
+    fingerprints: baseline.issues.map(entry => entry.fingerprint)
+  };
+}
+
+// ============================================
+// READ / WRITE
+// ============================================
+
+/**
+ * Read all snapshots of a history file
+ *
+ * Lines that aren't valid JSON (e.g. a run killed while writing) are skipped.
+ *
+ * @param {string} filePath - History file
+ * @returns {object[]} Snapshots, oldest first (empty if the file doesn't exist)
+ */
+function readHistory(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const snapshots = [];
+  for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const snapshot = JSON.parse(line);
+      if (snapshot && typeof snapshot === 'object' && snapshot.timestamp) snapshots.push(snapshot);
+    } catch (e) {
+      // Partial line
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Append a snapshot to a history file (created with its directory if missing)
+ *
+ * @param {string} filePath - History file
+ * @param {object} snapshot - From createSnapshot()
+ */
+function appendSnapshot(filePath, snapshot) {
+  const dir = path.dirname(path.resolve(filePath));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(snapshot) + '\n');
+}
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Differences between count maps (only keys that changed)
+ * @private
+ */
+function diffCounts(previous, current) {
+  const delta = {};
+  for (const key of new Set([...Object.keys(previous || {}), ...Object.keys(current || {})])) {
+    const change = ((current || {})[key] || 0) - ((previous || {})[key] || 0);
+    if (change !== 0) delta[key] = change;
+  }
+  return delta;
+}
+
+/**
+ * Compare a snapshot with the one before it
+ *
+ * @param {object|null} previous - Earlier snapshot (null for the first run)
+ * @param {object} current - Current snapshot
+ * @returns {object|null} { auditScore, issues, new, fixed, checks, components } changes, or null without a previous snapshot
+ */
+function compareSnapshots(previous, current) {
+  if (!previous) return null;
+
+  const before = new Set(previous.fingerprints || []);
+  const after = new Set(current.fingerprints || []);
+
+  const components = {};
+  const previousComponents = previous.components || {};
+  const currentComponents = current.components || {};
+  for (const name of new Set([...Object.keys(previousComponents), ...Object.keys(currentComponents)])) {
+    const was = previousComponents[name] || { auditScore: null, issues: 0 };
+    const now = currentComponents[name] || { auditScore: null, issues: 0 };
+    const issues = now.issues - was.issues;
+    const auditScore = typeof was.auditScore === 'number' && typeof now.auditScore === 'number'
+      ? now.auditScore - was.auditScore
+      : null;
+    if (issues !== 0 || auditScore) components[name] = { auditScore, issues };
+  }
+
+  return {
+    auditScore: typeof previous.auditScore === 'number' && typeof current.auditScore === 'number'
+      ? current.auditScore - previous.auditScore
+      : null,
+    issues: current.issues - previous.issues,
+    new: [...after].filter(fingerprint => !before.has(fingerprint)).length,
+    fixed: [...before].filter(fingerprint => !after.has(fingerprint)).length,
+    checks: diffCounts(previous.checks, current.checks),
+    components
+  };
+}
+
+/**
+ * Last snapshot of a mode
+ * @private
+ */
+function findPrevious(snapshots, mode) {
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    if (snapshots[i].mode === mode) return snapshots[i];
+  }
+  return null;
+}
+
+/**
+ * Record a run: append its snapshot and compare it with the previous one of the same mode
+ *
+ * @param {object} results - Analysis results (any mode, before baseline filtering)
+ * @param {object} [options]
+ * @param {string} [options.projectDir] - Project root
+ * @param {string} [options.file] - History file (default: <projectDir>/.mat-a11y/history.jsonl)
+ * @returns {object} { file, snapshots, previous, delta } - previous is { timestamp, commit, auditScore, issues } or null
+ *
+ * @example
+ * const history = recordSnapshot(results, { projectDir: './my-app' });
+ * if (history.delta) console.log(`${history.delta.fixed} issues fixed since the last run`);
+ */
+function recordSnapshot(results, options = {}) {
+  const projectDir = options.projectDir || '.';
+  const file = options.file || path.join(projectDir, HISTORY_FILE);
+
+  const snapshot = createSnapshot(results, { projectDir });
+  const snapshots = readHistory(file);
+  const previous = findPrevious(snapshots, snapshot.mode);
+  appendSnapshot(file, snapshot);
+
+  return {
+    file,
+    snapshots: snapshots.length + 1,
+    previous: previous
+      ? { timestamp: previous.timestamp, commit: previous.commit, auditScore: previous.auditScore, issues: previous.issues }
+      : null,
+    delta: compareSnapshots(previous, snapshot)
+  };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Signed number ("+3", "-2", "+0")
+ * @private
+ */
+function signed(value) {
+  return value >= 0 ? `+${value}` : String(value);
+}
+
+/**
+ * One-line summary of the history entry attached to results (null without one)
+ *
+ * @param {object} results - Results with `history` from recordSnapshot()
+ * @returns {string|null}
+ */
+function formatHistorySummary(results) {
+  const history = results && results.history;
+  if (!history) return null;
+
+  if (!history.delta) {
+    return `History: first snapshot recorded in ${history.file}`;
+  }
+  const { delta, previous } = history;
+  const since = `since the last run (${previous.commit ? `${previous.commit}, ` : ''}${previous.timestamp.slice(0, 16).replace('T', ' ')})`;
+  if (!delta.auditScore && delta.issues === 0 && delta.new === 0 && delta.fixed === 0) {
+    return `History: no change ${since}`;
+  }
+  const score = delta.auditScore !== null ? `score ${signed(delta.auditScore)}%, ` : '';
+  return `History: ${score}issues ${signed(delta.issues)} (${delta.new} new, ${delta.fixed} fixed) ${since}`;
+}
+
+/**
+ * Sparkline of a series of numbers (missing values as spaces)
+ *
+ * @param {Array<number|null>} values - Series
+ * @returns {string}
+ */
+function sparkline(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return '';
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  return values.map(value => {
+    if (typeof value !== 'number') return ' ';
+    if (max === min) return SPARK_BARS[SPARK_BARS.length - 1];
+    return SPARK_BARS[Math.round((value - min) / (max - min) * (SPARK_BARS.length - 1))];
+  }).join('');
+}
+
+/**
+ * Snapshots of one mode (default: the mode of the latest snapshot)
+ *
+ * @param {object[]} snapshots - From readHistory()
+ * @param {string} [mode] - 'component' | 'sitemap' | 'routes' | 'file-based'
+ * @returns {object[]}
+ */
+function filterByMode(snapshots, mode) {
+  const selected = mode || (snapshots.length > 0 ? snapshots[snapshots.length - 1].mode : null);
+  return snapshots.filter(snapshot => snapshot.mode === selected);
+}
+
+/**
+ * Score and issue count of a snapshot, overall or for one component/page or check
+ *
+ * @param {object} snapshot - Snapshot
+ * @param {object} [options]
+ * @param {string} [options.component] - Component name or page path
+ * @param {string} [options.check] - Check name
+ * @returns {{ auditScore: number|null, issues: number }}
+ */
+function getSeriesPoint(snapshot, options = {}) {
+  if (options.component) {
+    const entry = (snapshot.components || {})[options.component];
+    return { auditScore: entry ? entry.auditScore : null, issues: entry ? entry.issues : 0 };
+  }
+  if (options.check) {
+    return { auditScore: null, issues: (snapshot.checks || {})[options.check] || 0 };
+  }
+  return { auditScore: snapshot.auditScore, issues: snapshot.issues };
+}
+
+/**
+ * Largest changes between the first and last snapshot
+ * @private
+ */
+function formatMovers(lines, title, first, last, limit) {
+  const delta = diffCounts(first, last);
+  const movers = Object.entries(delta)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]) || a[0].localeCompare(b[0]))
+    .slice(0, limit);
+  if (movers.length === 0) return;
+
+  const width = Math.max(...movers.map(([name]) => name.length));
+  lines.push('');
+  lines.push(`${title} (first -> last):`);
+  for (const [name, change] of movers) {
+    lines.push(`  ${name.padEnd(width)}  ${String((first || {})[name] || 0).padStart(4)} -> ${String((last || {})[name] || 0).padStart(4)}  (${signed(change)})`);
+  }
+}
+
+/**
+ * Format the trend of a history file for the console
+ *
+ * @param {object[]} snapshots - From readHistory()
+ * @param {object} [options]
+ * @param {string} [options.file] - History file (shown in the header)
+ * @param {string} [options.mode] - Only snapshots of this mode (default: the latest snapshot's)
+ * @param {string} [options.component] - Follow one component or page
+ * @param {string} [options.check] - Follow one check
+ * @param {number} [options.last=20] - Number of snapshots listed
+ * @returns {string}
+ */
+function formatTrend(snapshots, options = {}) {
+  const lines = [];
+  const last = options.last || 20;
+  const selected = filterByMode(snapshots, options.mode);
+
+  lines.push('========================================');
+  lines.push('  MAT-A11Y TREND');
+  lines.push('========================================');
+  lines.push('');
+
+  if (selected.length === 0) {
+    lines.push(snapshots.length === 0
+      ? `No history yet${options.file ? ` in ${options.file}` : ''}. Record runs with --history.`
+      : `No ${options.mode} snapshots in the history.`);
+    return lines.join('\n');
+  }
+
+  const mode = selected[selected.length - 1].mode;
+  const subject = options.component ? ` | ${options.component}` : (options.check ? ` | check ${options.check}` : '');
+  if (options.file) lines.push(`History: ${options.file}`);
+  lines.push(`Mode: ${mode}${subject} | ${selected.length} snapshot${selected.length === 1 ? '' : 's'}`);
+  lines.push('');
+
+  const points = selected.map(snapshot => getSeriesPoint(snapshot, options));
+  const shown = selected.slice(-last);
+  const offset = selected.length - shown.length;
+
+  lines.push('  Date              Commit    Score  Issues  Change');
+  shown.forEach((snapshot, index) => {
+    const point = points[offset + index];
+    const before = offset + index > 0 ? points[offset + index - 1] : null;
+    const score = typeof point.auditScore === 'number' ? `${point.auditScore}%` : '-';
+    let change = '';
+    if (before) {
+      const parts = [];
+      if (typeof point.auditScore === 'number' && typeof before.auditScore === 'number' && point.auditScore !== before.auditScore) {
+        parts.push(`${signed(point.auditScore - before.auditScore)}%`);
+      }
+      if (point.issues !== before.issues) parts.push(`${signed(point.issues - before.issues)} issues`);
+      change = parts.join(', ');
+    }
+    lines.push(`  ${snapshot.timestamp.slice(0, 16).replace('T', ' ')}  ${(snapshot.commit || '-').padEnd(8)}  ${score.padStart(5)}  ${String(point.issues).padStart(6)}  ${change}`);
+  });
+
+  lines.push('');
+  if (!options.check) lines.push(`Score:  ${sparkline(points.map(point => point.auditScore))}`);
+  lines.push(`Issues: ${sparkline(points.map(point => point.issues))}`);
+
+  // Overall trend: which checks and components moved the most
+  if (!options.component && !options.check && selected.length > 1) {
+    const first = selected[0];
+    const latest = selected[selected.length - 1];
+    formatMovers(lines, 'Checks', first.checks, latest.checks, 10);
+    const issueCounts = (snapshot) => Object.fromEntries(
+      Object.entries(snapshot.components || {}).map(([name, entry]) => [name, entry.issues])
+    );
+    formatMovers(lines, mode === 'component' ? 'Components' : (mode === 'file-based' ? 'Files' : 'Pages'),
+      issueCounts(first), issueCounts(latest), 10);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  HISTORY_FILE,
+  getGitCommit,
+  getMode,
+  getOverallScore,
+  getEntityIssues,
+  createSnapshot,
+  readHistory,
+  appendSnapshot,
+  compareSnapshots,
+  recordSnapshot,
+  formatHistorySummary,
+  formatTrend,
+  filterByMode,
+  getSeriesPoint,
+  sparkline
+};
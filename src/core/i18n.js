@@ -0,0 +1,865 @@
+'use strict';
+
+/**
+ * Translation-aware Accessible Names
+ *
+ * Accessible names in internationalized apps come from translations: i18n
+ * attributes compiled from XLIFF/XMB files, `$localize` messages, or keys
+ * looked up at runtime by ngx-translate and Transloco. Without a translation
+ * the element is announced with the source text, the raw key or no name at
+ * all in that locale. With `i18n` enabled (config or --i18n) the project's
+ * translation files are loaded and these checks run next to the built-in ones:
+ *
+ * - i18nNames: names in templates (aria-label, alt, title, label and the text of
+ *   buttons, links, labels, headings) without a translation, per locale
+ * - i18nLocalizeNames: the same for `$localize` messages and `instant()`/`translate()`
+ *   keys assigned to labels and titles in TypeScript
+ * - i18nHtmlLang: `<html lang>` that doesn't match the source locale in angular.json,
+ *   or never changes although the app switches language at runtime
+ *
+ * Files are found the way Angular and the translation libraries find them:
+ * message files from `projects.*.i18n.locales` in angular.json (or
+ * `src/locale/messages.<locale>.xlf`), runtime translations from
+ * `src/assets/i18n/<locale>.json`, `public/i18n` or `public/assets/i18n`.
+ *
+ * Config: `"i18n": true` or `{ root, translations, locales }` - `root` is where
+ * the angular.json lookup starts, `translations` replaces the runtime
+ * translation directories (paths resolve from the config file's directory),
+ * `locales` limits the checked locales.
+ *
+ * @module core/i18n
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createIssue } = require('./errors');
+const { getLocation } = require('./location');
+const { getTemplate, findElements, walk, getAttribute, getStaticValue, getTextContent } = require('./templateParser');
+const { getSource } = require('./tsParser');
+
+// Attributes that set an element's accessible name (title as fallback)
+const NAME_ATTRIBUTES = new Set(['aria-label', 'alt', 'title', 'label']);
+
+// Elements named by their content
+const NAME_FROM_CONTENT = new Set([
+  'a', 'button', 'label', 'legend', 'caption', 'summary', 'th', 'option',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'mat-label', 'mat-option'
+]);
+
+// Runtime translation directories (ngx-translate and Transloco defaults)
+const DEFAULT_TRANSLATION_DIRS = ['src/assets/i18n', 'public/i18n', 'public/assets/i18n'];
+
+// Angular message files when angular.json lists none: messages.de.xlf
+const DEFAULT_MESSAGE_DIR = 'src/locale';
+const MESSAGE_FILE = /^messages\.(.+)\.(?:xlf|xliff|xlf2|xmb|xtb)$/;
+
+// Interpolations and placeholders, when message texts are compared
+const PLACEHOLDER = '{{}}';
+
+// Translation keys in template expressions: 'key' | translate, t('key')
+const PIPE_KEY = /(['"])([^'"\n]+)\1\s*\|\s*(?:translate|transloco)\b/g;
+const CALL_KEY = /(?<![\w$.])t\(\s*(['"])([^'"\n]+)\1/g;
+
+// Translation keys in TypeScript: translate.instant('key'), translate('key')
+const SOURCE_KEY = /(?:\.\s*(?:instant|translate)|(?<![\w$.])translate)\s*\(\s*(['"])([^'"\n]+)\1/g;
+
+// TypeScript positions that set a name: label = ..., { ariaLabel: ... }, setAttribute(el, 'aria-label', ...)
+const NAME_ASSIGNMENT = /(?:(['"])([\w-]+)\1|([A-Za-z_$][\w$]*))\s*(?:[?!]?\s*:\s*[^=;,{}()\n]+?)?\s*[:=]\s*$/;
+const NAME_SETTER = /setAttribute\(\s*[^,()]+,\s*(['"])(aria-label|title|alt)\1\s*,\s*$/;
+const NAME_PROPERTY = /label|title|^alt(?:text)?$/i;
+
+// Source code that keeps <html lang> in sync with the active language
+const LANG_UPDATE = /documentElement\s*\.\s*lang\s*=|setAttribute\(\s*[^,()]*documentElement[^,()]*,\s*['"]lang['"]/;
+
+const IGNORED_DIRS = new Set(['node_modules', 'dist', '.git', '.angular', 'coverage']);
+
+const SETTINGS_KEYS = ['root', 'translations', 'locales'];
+
+/**
+ * Loaded translations by base directory and settings
+ * @type {Map<string, object>}
+ */
+const i18nCache = new Map();
+
+// ============================================
+// CONFIG
+// ============================================
+
+/**
+ * Validate the "i18n" config value
+ *
+ * @param {*} value - Config value
+ * @returns {string[]} Problems
+ */
+function validateI18nConfig(value) {
+  if (typeof value === 'boolean') return [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Config key "i18n" must be a boolean or { root, translations, locales }'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(value)) {
+    if (!SETTINGS_KEYS.includes(key)) errors.push(`Unknown i18n key: ${key}`);
+  }
+  if (value.root !== undefined && typeof value.root !== 'string') {
+    errors.push('i18n "root" must be a path');
+  }
+  const translations = value.translations;
+  if (translations !== undefined && typeof translations !== 'string' &&
+      !(Array.isArray(translations) && translations.every(entry => typeof entry === 'string'))) {
+    errors.push('i18n "translations" must be a path or a list of paths');
+  }
+  if (value.locales !== undefined &&
+      !(Array.isArray(value.locales) && value.locales.every(locale => typeof locale === 'string' && locale))) {
+    errors.push('i18n "locales" must be a list of locale codes');
+  }
+  return errors;
+}
+
+// ============================================
+// TEXT
+// ============================================
+
+/**
+ * Decode the XML entities message files use
+ * @private
+ */
+function decodeEntities(text) {
+  const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(lt|gt|amp|quot|apos));/gi, (match, dec, hex, name) => {
+    if (dec) return String.fromCodePoint(Number(dec));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return named[name.toLowerCase()];
+  });
+}
+
+/**
+ * Normalize message text for comparison: interpolations become placeholders,
+ * whitespace is collapsed
+ *
+ * @param {string} text - Template text or message source
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\{\{[\s\S]*?\}\}/g, PLACEHOLDER).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text of a message in a message file (placeholder elements become placeholders)
+ * @private
+ */
+function messageText(xml) {
+  const text = xml
+    .replace(/<ph\b[^>]*[^/>]>[\s\S]*?<\/ph>/g, PLACEHOLDER)
+    .replace(/<(?:x|ph|bx|ex|it)\b[^>]*\/>/g, PLACEHOLDER)
+    .replace(/<[^>]*>/g, '');
+  return normalizeText(decodeEntities(text));
+}
+
+/**
+ * Custom message id from i18n metadata ("meaning|description@@id")
+ * @private
+ */
+function messageId(meta) {
+  const match = /@@([\w.-]+)/.exec(meta || '');
+  return match ? match[1] : null;
+}
+
+// ============================================
+// TRANSLATION FILES
+// ============================================
+
+/**
+ * Get an attribute value from an XML start tag's attributes
+ * @private
+ */
+function xmlAttribute(attrs, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`).exec(attrs || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Texts of all `name` elements in an XML fragment (empty for <name/>)
+ * @private
+ */
+function xmlTexts(body, name) {
+  const regex = new RegExp(`<${name}\\b[^>]*?(?:\\/>|>([\\s\\S]*?)<\\/${name}>)`, 'g');
+  const texts = [];
+  let match;
+  while ((match = regex.exec(body)) !== null) texts.push(messageText(match[1] || ''));
+  return texts;
+}
+
+/**
+ * Parse an Angular message file: XLIFF 1.2, XLIFF 2.0, XMB or XTB
+ *
+ * Messages map their id to the source text and the translation. `target` is
+ * null when the file has no translation for the message (XLIFF without
+ * <target>); XMB files are the source catalog, so their target is the source.
+ *
+ * @param {string} content - File content
+ * @returns {{ format: 'xliff'|'xliff2'|'xmb'|'xtb'|null, locale: string|null,
+ *   messages: Map<string, {source: string|null, target: string|null}> }}
+ *
+ * @example
+ * parseMessageFile('<trans-unit id="save"><source>Save</source><target>Speichern</target></trans-unit>');
+ * // messages: Map { 'save' => { source: 'Save', target: 'Speichern' } }
+ */
+function parseMessageFile(content) {
+  const source = String(content || '');
+  const messages = new Map();
+  let format = null;
+  let locale = null;
+  let match;
+
+  if (/<xliff\b[^>]*\bversion\s*=\s*"2/.test(source)) {
+    format = 'xliff2';
+    locale = xmlAttribute((/<xliff\b([^>]*)>/.exec(source) || [])[1], 'trgLang');
+    const units = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+    while ((match = units.exec(source)) !== null) {
+      const targets = xmlTexts(match[2], 'target');
+      messages.set(xmlAttribute(match[1], 'id'), {
+        source: xmlTexts(match[2], 'source').join(' '),
+        target: targets.length > 0 ? targets.join(' ') : null
+      });
+    }
+  } else if (/<trans-unit\b/.test(source)) {
+    format = 'xliff';
+    locale = xmlAttribute((/<file\b([^>]*)>/.exec(source) || [])[1], 'target-language');
+    const units = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g;
+    while ((match = units.exec(source)) !== null) {
+      const targets = xmlTexts(match[2], 'target');
+      messages.set(xmlAttribute(match[1], 'id'), {
+        source: xmlTexts(match[2], 'source')[0] || null,
+        target: targets.length > 0 ? targets[0] : null
+      });
+    }
+  } else if (/<translationbundle\b/.test(source)) {
+    format = 'xtb';
+    locale = xmlAttribute((/<translationbundle\b([^>]*)>/.exec(source) || [])[1], 'lang');
+    const units = /<translation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/translation>)/g;
+    while ((match = units.exec(source)) !== null) {
+      messages.set(xmlAttribute(match[1], 'id'), { source: null, target: messageText(match[2] || '') });
+    }
+  } else if (/<messagebundle\b/.test(source)) {
+    format = 'xmb';
+    const units = /<msg\b([^>]*?)(?:\/>|>([\s\S]*?)<\/msg>)/g;
+    while ((match = units.exec(source)) !== null) {
+      const text = messageText(match[2] || '');
+      messages.set(xmlAttribute(match[1], 'id'), { source: text, target: text });
+    }
+  }
+
+  messages.delete(null);
+  return { format, locale, messages };
+}
+
+/**
+ * Flatten a runtime translation file (nested objects become dotted keys)
+ *
+ * @param {object} translations - Parsed JSON (ngx-translate / Transloco format)
+ * @returns {Map<string, *>} Values by key
+ *
+ * @example
+ * flattenTranslations({ actions: { save: 'Speichern' } }); // Map { 'actions.save' => 'Speichern' }
+ */
+function flattenTranslations(translations, prefix = '', keys = new Map()) {
+  for (const [key, value] of Object.entries(translations || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flattenTranslations(value, name, keys);
+    else keys.set(name, value);
+  }
+  return keys;
+}
+
+/**
+ * Find angular.json by walking up from a directory
+ * @private
+ */
+function findWorkspace(startDir) {
+  let dir = startDir;
+  while (true) {
+    const candidate = path.join(dir, 'angular.json');
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Pick the application project of a workspace (the default project, the first
+ * one with i18n settings, or the first application)
+ * @private
+ */
+function readWorkspaceProject(workspaceFile, errors) {
+  let workspace;
+  try {
+    workspace = JSON.parse(fs.readFileSync(workspaceFile, 'utf-8'));
+  } catch (error) {
+    errors.push(`Could not read ${workspaceFile}: ${error.message}`);
+    return null;
+  }
+
+  const projects = Object.values((workspace && workspace.projects) || {}).filter(project => project && typeof project === 'object');
+  const defaultProject = workspace.defaultProject && workspace.projects[workspace.defaultProject];
+  return defaultProject ||
+    projects.find(project => project.i18n) ||
+    projects.find(project => project.projectType === 'application') ||
+    projects[0] ||
+    null;
+}
+
+/**
+ * The project's index.html (build option "index", default <sourceRoot>/index.html)
+ * @private
+ */
+function findIndexFile(project, root) {
+  const build = (project.architect || project.targets || {}).build;
+  const index = build && build.options && build.options.index;
+  const file = typeof index === 'string' ? index : index && index.input;
+  const candidate = path.resolve(root, file || path.join(project.sourceRoot || 'src', 'index.html'));
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+/**
+ * List files in a directory matching a filter (none if it doesn't exist)
+ * @private
+ */
+function listFiles(dir, matches) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && matches(entry.name))
+      .map(entry => path.join(dir, entry.name))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check whether any TypeScript source updates <html lang>
+ * @private
+ */
+function findsLangUpdate(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return false;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name) && findsLangUpdate(fullPath)) return true;
+    } else if (entry.name.endsWith('.ts') && !entry.name.endsWith('.spec.ts')) {
+      try {
+        if (LANG_UPDATE.test(fs.readFileSync(fullPath, 'utf-8'))) return true;
+      } catch (error) {
+        // Unreadable file: keep looking
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Add a file's entries to the catalog of its locale
+ * @private
+ */
+function addToCatalog(catalogs, locale, file, entries) {
+  if (!catalogs.has(locale)) catalogs.set(locale, { locale, files: [], entries: new Map() });
+  const catalog = catalogs.get(locale);
+  catalog.files.push(file);
+  for (const [key, value] of entries) {
+    if (!catalog.entries.has(key)) catalog.entries.set(key, value);
+  }
+}
+
+/**
+ * Load a project's translations
+ *
+ * Never throws: unreadable files are listed in `errors` and left out.
+ *
+ * @param {object} [settings] - Config "i18n" object ({ root, translations, locales })
+ * @param {string} [baseDir=process.cwd()] - Directory settings paths resolve from
+ * @returns {{
+ *   root: string, workspace: string|null, sourceLocale: string|null, index: string|null,
+ *   messages: Array<{locale: string, files: string[], entries: Map<string, {source: string|null, target: string|null}>, bySource: Map}>,
+ *   translations: Array<{locale: string, files: string[], entries: Map<string, *>}>,
+ *   setsLang: boolean, errors: string[]
+ * }} Angular message catalogs and runtime translations by locale
+ *
+ * @example
+ * const i18n = loadI18n({}, '/work/app');
+ * i18n.translations.map(catalog => catalog.locale); // ['de', 'en']
+ */
+function loadI18n(settings = {}, baseDir = process.cwd()) {
+  const start = path.resolve(baseDir, settings.root || '.');
+  const workspace = findWorkspace(start);
+  const root = workspace ? path.dirname(workspace) : start;
+  const errors = [];
+  const wanted = Array.isArray(settings.locales) ? new Set(settings.locales) : null;
+  const isWanted = locale => !wanted || wanted.has(locale);
+
+  let sourceLocale = null;
+  let index = null;
+  let messageFiles = [];
+
+  const project = workspace ? readWorkspaceProject(workspace, errors) : null;
+  if (project) {
+    const i18n = project.i18n;
+    if (i18n && typeof i18n === 'object') {
+      const source = i18n.sourceLocale;
+      sourceLocale = (typeof source === 'string' ? source : source && source.code) || 'en-US';
+      for (const [locale, entry] of Object.entries(i18n.locales || {})) {
+        const translation = entry && typeof entry === 'object' && !Array.isArray(entry) ? entry.translation : entry;
+        for (const file of [].concat(translation || [])) {
+          messageFiles.push({ locale, file: path.resolve(root, file) });
+        }
+      }
+    }
+    index = findIndexFile(project, root);
+  }
+
+  if (messageFiles.length === 0) {
+    messageFiles = listFiles(path.join(root, DEFAULT_MESSAGE_DIR), name => MESSAGE_FILE.test(name))
+      .map(file => ({ locale: MESSAGE_FILE.exec(path.basename(file))[1], file }));
+  }
+
+  // Angular message files (compiled into localized builds)
+  const messageCatalogs = new Map();
+  for (const { locale, file } of messageFiles) {
+    if (!isWanted(locale)) continue;
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      errors.push(`Could not read ${file}: ${error.message}`);
+      continue;
+    }
+    const parsed = parseMessageFile(content);
+    if (!parsed.format) {
+      errors.push(`${file} is not an XLIFF, XMB or XTB file`);
+      continue;
+    }
+    addToCatalog(messageCatalogs, locale, file, parsed.messages);
+  }
+
+  // Runtime translations (ngx-translate, Transloco): <locale>.json
+  const sources = settings.translations
+    ? [].concat(settings.translations).map(entry => path.resolve(baseDir, entry))
+    : DEFAULT_TRANSLATION_DIRS.map(dir => path.join(root, dir));
+  const translationCatalogs = new Map();
+  for (const entry of sources) {
+    const files = entry.endsWith('.json') ? [entry] : listFiles(entry, name => name.endsWith('.json'));
+    for (const file of files) {
+      const locale = path.basename(file, '.json');
+      if (!isWanted(locale)) continue;
+      try {
+        addToCatalog(translationCatalogs, locale, file, flattenTranslations(JSON.parse(fs.readFileSync(file, 'utf-8'))));
+      } catch (error) {
+        errors.push(`Could not read ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  const messages = [...messageCatalogs.values()].map(catalog => {
+    const bySource = new Map();
+    for (const message of catalog.entries.values()) {
+      if (message.source && !bySource.has(message.source)) bySource.set(message.source, message);
+    }
+    return { ...catalog, bySource };
+  });
+  const translations = [...translationCatalogs.values()];
+
+  return {
+    root,
+    workspace,
+    sourceLocale,
+    index,
+    messages,
+    translations,
+    setsLang: translations.length > 1 && findsLangUpdate(fs.existsSync(path.join(root, 'src')) ? path.join(root, 'src') : root),
+    errors
+  };
+}
+
+/**
+ * Load the translations of a project when i18n checks are enabled
+ *
+ * Cached per base directory and settings; problems are logged (once).
+ *
+ * @param {object} [options] - Analysis options
+ * @param {boolean|object} [options.i18n] - Config "i18n"
+ * @param {string} [options.configFile] - Config file settings paths resolve from
+ * @param {function(string): void} [log=console.warn] - Where problems are reported
+ * @returns {object|null} loadI18n() result, or null when i18n is off
+ */
+function loadProjectI18n(options = {}, log = console.warn) {
+  if (!options.i18n) return null;
+
+  const settings = options.i18n === true ? {} : options.i18n;
+  const baseDir = options.configFile ? path.dirname(path.resolve(options.configFile)) : process.cwd();
+  const key = JSON.stringify([baseDir, settings]);
+  if (i18nCache.has(key)) return i18nCache.get(key);
+
+  const i18n = loadI18n(settings, baseDir);
+  for (const error of i18n.errors) {
+    log(`[i18n] ${error}`);
+  }
+  if (i18n.messages.length === 0 && i18n.translations.length === 0) {
+    log(`[i18n] No translation files found in ${i18n.root}`);
+  }
+
+  i18nCache.set(key, i18n);
+  return i18n;
+}
+
+// ============================================
+// ACCESSIBLE NAMES
+// ============================================
+
+/**
+ * Find translation keys in a template expression
+ *
+ * @param {string} expression - Binding, interpolation or attribute value
+ * @returns {string[]} Keys of `'key' | translate`, `'key' | transloco` and `t('key')`
+ *
+ * @example
+ * findTranslationKeys("'nav.close' | translate"); // ['nav.close']
+ */
+function findTranslationKeys(expression) {
+  const keys = new Set();
+  for (const regex of [PIPE_KEY, CALL_KEY]) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(expression)) !== null) keys.add(match[2]);
+  }
+  return [...keys];
+}
+
+/**
+ * Source text of an i18n element as the message files have it: nested
+ * elements, blocks and interpolations become placeholders
+ * @private
+ */
+function messageSource(node) {
+  let text = '';
+  for (const child of node.children || []) {
+    if (child.type === 'text') text += child.value;
+    else if (child.type === 'interpolation' || child.type === 'expansion') text += PLACEHOLDER;
+    else if (child.type === 'element' || child.type === 'block') {
+      text += PLACEHOLDER + messageSource(child);
+      if (child.type === 'block' || child.endTagStart !== null) text += PLACEHOLDER;
+    }
+  }
+  return text;
+}
+
+/**
+ * Find the translated accessible names of a template
+ *
+ * Names are `{ element, id, text }` for Angular i18n messages and
+ * `{ element, key }` for runtime translation keys.
+ * @private
+ */
+function findTemplateNames(template) {
+  const names = [];
+
+  for (const element of findElements(template, () => true)) {
+    for (const attr of element.attrs) {
+      // i18n-aria-label="@@closeLabel" aria-label="Close"
+      const i18nAttr = /^i18n-(.+)$/i.exec(attr.name);
+      if (i18nAttr && attr.kind === 'static') {
+        const named = NAME_ATTRIBUTES.has(i18nAttr[1].toLowerCase()) ? getAttribute(element, i18nAttr[1], ['static']) : null;
+        if (named && named.value) names.push({ element, id: messageId(attr.value), text: named.value });
+        continue;
+      }
+
+      // aria-label="{{ 'close' | translate }}", [attr.aria-label]="t('close')"
+      if (NAME_ATTRIBUTES.has(attr.key.toLowerCase()) && ['static', 'property', 'attribute'].includes(attr.kind) && attr.value) {
+        for (const key of findTranslationKeys(attr.value)) names.push({ element, key });
+      }
+    }
+
+    if (!NAME_FROM_CONTENT.has(element.name)) continue;
+
+    // <button i18n="@@save">Save</button>
+    const i18nContent = getAttribute(element, 'i18n', ['static']);
+    if (i18nContent) {
+      const text = messageSource(element);
+      if (normalizeText(text)) names.push({ element, id: messageId(i18nContent.value), text });
+      continue;
+    }
+
+    // ngx-translate directive: <button translate>save</button>, <button [translate]="'save'"></button>
+    const directive = getAttribute(element, 'translate', ['static', 'property']);
+    if (directive) {
+      const key = directive.kind === 'static'
+        ? (directive.value || getTextContent(element)).trim()
+        : getStaticValue(element, 'translate');
+      // translate="no" is the HTML attribute
+      if (key && !key.includes('{{') && !['yes', 'no'].includes(key)) names.push({ element, key });
+      continue;
+    }
+
+    // <button>{{ 'save' | translate }}</button> (nested named elements report their own)
+    walk(element, child => {
+      if (child.type === 'element' && NAME_FROM_CONTENT.has(child.name)) return false;
+      if (child.type === 'interpolation') {
+        for (const key of findTranslationKeys(child.expression)) names.push({ element, key });
+      }
+      return undefined;
+    });
+  }
+
+  return names;
+}
+
+/**
+ * Find the end of a template literal starting at `open` (the backtick)
+ * @returns {number} Index after the closing backtick, -1 if unterminated
+ * @private
+ */
+function findLiteralEnd(code, open) {
+  let depth = 0;
+  for (let i = open + 1; i < code.length; i++) {
+    const char = code[i];
+    if (char === '\\') {
+      i++;
+    } else if (depth === 0 && char === '`') {
+      return i + 1;
+    } else if (depth === 0 && char === '$' && code[i + 1] === '{') {
+      depth = 1;
+      i++;
+    } else if (depth > 0 && char === '{') {
+      depth++;
+    } else if (depth > 0 && char === '}') {
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Id and text of a $localize message: `:meaning|description@@id:Text ${value}:NAME:`
+ * @private
+ */
+function parseLocalizeMessage(raw) {
+  let text = raw;
+  let id = null;
+  const meta = /^:((?:[^:\\]|\\.)*):/.exec(text);
+  if (meta) {
+    id = messageId(meta[1]);
+    text = text.slice(meta[0].length);
+  }
+  return { id, text: normalizeText(text.replace(/\$\{[^}]*\}(?::[\w-]*:)?/g, PLACEHOLDER)) };
+}
+
+/**
+ * Check whether the expression at `index` sets a label or title
+ * @private
+ */
+function isNamePosition(code, index) {
+  const before = code.slice(Math.max(0, index - 200), index);
+  if (NAME_SETTER.test(before)) return true;
+  const assignment = NAME_ASSIGNMENT.exec(before);
+  return Boolean(assignment && NAME_PROPERTY.test(assignment[2] || assignment[3]));
+}
+
+/**
+ * Find the translated names set in TypeScript
+ * @private
+ */
+function findSourceNames(source) {
+  const names = [];
+  const code = source.code;
+
+  const localize = /\$localize\s*`/g;
+  let match;
+  while ((match = localize.exec(code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const end = findLiteralEnd(code, open);
+    if (end === -1 || !isNamePosition(code, match.index)) continue;
+    names.push({ start: match.index, end, ...parseLocalizeMessage(code.slice(open + 1, end - 1)) });
+  }
+
+  SOURCE_KEY.lastIndex = 0;
+  while ((match = SOURCE_KEY.exec(code)) !== null) {
+    // The assignment is before the receiver: label = this.translate.instant('key')
+    let receiver = match.index;
+    while (receiver > 0 && /[\w$.?!]/.test(code[receiver - 1])) receiver--;
+    if (!isNamePosition(code, receiver)) continue;
+    names.push({ start: match.index, end: match.index + match[0].length, key: match[2] });
+  }
+
+  return names.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Missing and empty translations of a name, one per locale
+ * @private
+ */
+function findTranslationProblems(i18n, name) {
+  const problems = [];
+  const report = (code, catalog) => problems.push({
+    code,
+    locale: catalog.locale,
+    file: path.relative(i18n.root, catalog.files[0]).split(path.sep).join('/')
+  });
+
+  if (name.key !== undefined) {
+    for (const catalog of i18n.translations) {
+      const value = catalog.entries.get(name.key);
+      if (value === undefined || value === null) report('I18N_MISSING_TRANSLATION', catalog);
+      else if (String(value).trim() === '') report('I18N_EMPTY_TRANSLATION', catalog);
+    }
+    return problems;
+  }
+
+  for (const catalog of i18n.messages) {
+    const message = name.id ? catalog.entries.get(name.id) : catalog.bySource.get(normalizeText(name.text));
+    if (!message || message.target === null) report('I18N_MISSING_TRANSLATION', catalog);
+    else if (message.target === '') report('I18N_EMPTY_TRANSLATION', catalog);
+  }
+  return problems;
+}
+
+/**
+ * Create the issues of translated names
+ * @private
+ */
+function reportNames(i18n, names, content, snippet) {
+  const issues = [];
+  const locations = [];
+
+  for (const name of names) {
+    const { element, start, length } = snippet(name);
+    const key = name.key !== undefined ? name.key : (name.id || normalizeText(name.text));
+    for (const problem of findTranslationProblems(i18n, name)) {
+      issues.push(createIssue(problem.code, { element, key, locale: problem.locale, file: problem.file }));
+      locations.push(getLocation(content, start, length));
+    }
+  }
+
+  return { pass: issues.length === 0, issues, elementsFound: names.length, locations };
+}
+
+/**
+ * Primary language subtag ('de' for 'de-CH')
+ * @private
+ */
+function primaryLanguage(locale) {
+  return String(locale).split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Create the i18n checks for a project's translations
+ *
+ * The checks are regular check modules (tier 'basic': enabling i18n runs them
+ * at every tier); they close over the loaded translations.
+ *
+ * @param {object} i18n - loadI18n() result
+ * @returns {object[]} Check modules: i18nNames, i18nLocalizeNames, i18nHtmlLang
+ */
+function createI18nChecks(i18n) {
+  const i18nNames = {
+    name: 'i18nNames',
+    description: 'Accessible names from translations must be translated in every locale',
+    tier: 'basic',
+    type: 'html',
+    weight: 10,
+    wcag: '4.1.2',
+
+    check(content, context) {
+      // Early exit: no translated names, no issues
+      if (!/i18n|translate|transloco|t\(/.test(content)) {
+        return { pass: true, issues: [], elementsFound: 0 };
+      }
+
+      const template = getTemplate(content, context);
+      return reportNames(i18n, findTemplateNames(template), content, name => {
+        const startTag = content.slice(name.element.start, name.element.startTagEnd);
+        return { element: startTag, start: name.element.start, length: startTag.length };
+      });
+    }
+  };
+
+  const i18nLocalizeNames = {
+    name: 'i18nLocalizeNames',
+    description: 'Labels and titles set from translations in TypeScript must be translated in every locale',
+    tier: 'basic',
+    type: 'ts',
+    weight: 10,
+    wcag: '4.1.2',
+
+    check(content, context) {
+      // Early exit: no translations in code, no issues
+      if (!/\$localize|instant\(|translate\(/.test(content)) {
+        return { pass: true, issues: [], elementsFound: 0 };
+      }
+
+      const source = getSource(content, context);
+      return reportNames(i18n, findSourceNames(source), content, name => ({
+        element: content.slice(name.start, name.end),
+        start: name.start,
+        length: name.end - name.start
+      }));
+    }
+  };
+
+  const i18nHtmlLang = {
+    name: 'i18nHtmlLang',
+    description: '<html lang> must match the source locale and follow runtime language changes',
+    tier: 'basic',
+    type: 'html',
+    weight: 7,
+    wcag: '3.1.1',
+
+    check(content) {
+      const match = /<html\b([^>]*)>/i.exec(content);
+      if (!match) {
+        return { pass: true, issues: [], elementsFound: 0 };
+      }
+
+      // A missing lang is reported by htmlHasLang
+      const langMatch = /\blang\s*=\s*["']([^"']*)["']/i.exec(match[1]);
+      const lang = langMatch ? langMatch[1].trim() : '';
+      if (!lang) {
+        return { pass: true, issues: [], elementsFound: 1 };
+      }
+
+      const issues = [];
+      if (i18n.sourceLocale && primaryLanguage(lang) !== primaryLanguage(i18n.sourceLocale)) {
+        issues.push(createIssue('I18N_LANG_MISMATCH', { element: match[0], lang, sourceLocale: i18n.sourceLocale }));
+      }
+
+      const runtimeLocales = i18n.translations.map(catalog => catalog.locale);
+      if (runtimeLocales.length > 1 && !i18n.setsLang) {
+        issues.push(createIssue('I18N_LANG_STATIC', { element: match[0], lang, locales: runtimeLocales.join(', ') }));
+      }
+
+      return {
+        pass: issues.length === 0,
+        issues,
+        elementsFound: 1,
+        locations: issues.map(() => getLocation(content, match.index, match[0].length))
+      };
+    }
+  };
+
+  return [i18nNames, i18nLocalizeNames, i18nHtmlLang];
+}
+
+module.exports = {
+  validateI18nConfig,
+  normalizeText,
+  parseMessageFile,
+  flattenTranslations,
+  findTranslationKeys,
+  loadI18n,
+  loadProjectI18n,
+  createI18nChecks
+};
@@ -20,13 +20,15 @@ const { buildGraph } = require('./scssGraph');
  * @param {object} results - Normalized analysis results
  * @param {string} projectPath - Path to the project root
  * @param {object} options - Optimization options
+ * @param {ScssGraph} [options.graph] - Already built SCSS graph of the project (e.g. from watch mode)
  * @returns {object} Optimized results with collapsed issues
  */
 function optimizeIssues(results, projectPath, options = {}) {
   const {
     enabled = true,
     minGroupSize = 2,  // Minimum files with same issue to trigger collapse
-    scssOnly = true    // Only collapse SCSS-related issues
+    scssOnly = true,   // Only collapse SCSS-related issues
+    graph: existingGraph = null
   } = options;
 
   if (!enabled) {
@@ -34,7 +36,7 @@ function optimizeIssues(results, projectPath, options = {}) {
   }
 
   // Build SCSS dependency graph
-  const graph = buildGraph(projectPath);
+  const graph = existingGraph || buildGraph(projectPath);
   const stats = graph.getStats();
 
   // If no SCSS files found, return unchanged
@@ -118,7 +120,8 @@ function optimizeEntityResults(results, graph, options) {
       // Create a single root cause issue
       const sampleIssue = issues[0];
       rootCauseIssues.push({
-        message: sampleIssue.message,
+        ...sampleIssue,
+        location: null,
         file: result.rootCause,
         check: sampleIssue.check,
         isRootCause: true,
@@ -147,11 +150,12 @@ function optimizeEntityResults(results, graph, options) {
       
       if (collapseInfo) {
         // This issue is collapsed - add root cause only once GLOBALLY
-        const rootKey = `${collapseInfo.rootCause}:${issue.check}:${issue.message}`;
+        const rootKey = `${collapseInfo.rootCause}:${issue.check}:${issue.message}:${issue.element}`;
         if (!globalSeenRootCauses.has(rootKey)) {
           globalSeenRootCauses.add(rootKey);
           optimizedIssues.push({
-            message: issue.message,
+            ...issue,
+            location: null,
             file: collapseInfo.rootCause,
             check: issue.check,
             isRootCause: true,
@@ -252,7 +256,8 @@ function optimizeFlatResults(results, graph, options) {
     if (result.rootCause && result.confidence >= 0.5) {
       // Collapse to root cause
       optimizedIssues.push({
-        message: issue.message,
+        ...issue,
+        location: null,
         file: result.rootCause,
         check: issue.check,
         isRootCause: true,
@@ -310,8 +315,8 @@ function groupIssuesByPattern(issues, scssOnly) {
  * @private
  */
 function getIssuePattern(issue) {
-  // Normalize message by removing file-specific parts
-  const normalizedMessage = (issue.message || '')
+  // Normalize message and element by removing file-specific parts
+  const normalizedMessage = [issue.message, issue.element].filter(Boolean).join(' ')
     .replace(/['"`][^'"`]+\.(scss|css)[^'"`]*['"`]/g, '<file>')
     .replace(/line\s+\d+/gi, 'line N')
     .replace(/\d+px/g, 'Npx');
@@ -327,7 +332,8 @@ function findCollapsedIssue(issue, collapsedMap) {
   for (const [collapsed, info] of collapsedMap) {
     if (collapsed.file === issue.file && 
         collapsed.check === issue.check &&
-        collapsed.message === issue.message) {
+        collapsed.message === issue.message &&
+        collapsed.element === issue.element) {
       return info;
     }
   }
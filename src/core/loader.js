@@ -9,6 +9,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createTemplateContext } = require('./templateParser');
+const { createSourceContext } = require('./tsParser');
 
 /**
  * Path to the checks directory
@@ -38,7 +40,7 @@ const VALID_TIERS = ['basic', 'material', 'full'];
  * Valid type values
  * @type {string[]}
  */
-const VALID_TYPES = ['html', 'scss'];
+const VALID_TYPES = ['html', 'scss', 'ts'];
 
 /**
  * Tier hierarchy for filtering
@@ -52,25 +54,26 @@ const TIER_HIERARCHY = {
 };
 
 /**
- * Discover all check files in src/checks/
+ * Discover all check files in src/checks/ (or another checks directory)
  *
  * Scans the checks directory for .js files (excluding index.js).
  *
+ * @param {string} [checksDir=CHECKS_DIR] - Directory to scan (plugins pass their own)
  * @returns {string[]} Array of check file paths (absolute paths)
  *
  * @example
  * const checkPaths = discoverChecks();
  * // Returns: ['/path/to/src/checks/buttonNames.js', '/path/to/src/checks/colorContrast.js', ...]
  */
-function discoverChecks() {
+function discoverChecks(checksDir = CHECKS_DIR) {
   // Handle missing checks directory gracefully
-  if (!fs.existsSync(CHECKS_DIR)) {
+  if (!fs.existsSync(checksDir)) {
     return [];
   }
 
   let entries;
   try {
-    entries = fs.readdirSync(CHECKS_DIR, { withFileTypes: true });
+    entries = fs.readdirSync(checksDir, { withFileTypes: true });
   } catch (error) {
     console.warn(`[loader] Warning: Could not read checks directory: ${error.message}`);
     return [];
@@ -81,7 +84,7 @@ function discoverChecks() {
   for (const entry of entries) {
     // Only include .js files (not directories, not index.js)
     if (entry.isFile() && entry.name.endsWith('.js') && entry.name !== 'index.js') {
-      checkPaths.push(path.join(CHECKS_DIR, entry.name));
+      checkPaths.push(path.join(checksDir, entry.name));
     }
   }
 
@@ -154,6 +157,14 @@ function validateCheckModule(module) {
     errors.push('Field "weight" must be a number');
   }
 
+  if ('fix' in module && typeof module.fix !== 'function') {
+    errors.push('Field "fix" must be a function');
+  }
+
+  if ('pageLevel' in module && typeof module.pageLevel !== 'boolean') {
+    errors.push('Field "pageLevel" must be a boolean');
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -327,7 +338,7 @@ function getChecksByTier(registry, tier) {
  * Returns a filtered registry containing only checks of the specified type.
  *
  * @param {Map<string, object>} registry - Check registry
- * @param {'html'|'scss'} type - Type to filter by
+ * @param {'html'|'scss'|'ts'} type - Type to filter by
  * @returns {Map<string, object>} Filtered checks
  *
  * @example
@@ -371,6 +382,33 @@ function getCheck(name) {
   return registry.get(name);
 }
 
+/**
+ * Get the second argument for a check's `check(content, context)`
+ *
+ * HTML checks get the parsed Angular template (`{ template }`), TypeScript
+ * checks the scanned source (`{ source }`), SCSS checks the variable context
+ * when the caller built one, with the backgrounds the stylesheet's text is
+ * rendered on (`inherited`, from colorInheritance) in component analysis.
+ *
+ * @param {object} checkModule - Check module
+ * @param {string} content - Content the check runs on
+ * @param {object|null} [varContext] - SCSS variable context
+ * @param {Array|null} [inherited] - Inherited backgrounds of the stylesheet
+ * @returns {object|null} Context
+ */
+function getCheckContext(checkModule, content, varContext = null, inherited = null) {
+  if (checkModule && checkModule.type === 'html') {
+    return createTemplateContext(content);
+  }
+  if (checkModule && checkModule.type === 'ts') {
+    return createSourceContext(content);
+  }
+  if (Array.isArray(inherited) && inherited.length > 0) {
+    return { scssVars: new Map(), cssVars: new Map(), maps: new Map(), ...varContext, inherited };
+  }
+  return varContext;
+}
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -386,6 +424,7 @@ module.exports = {
   // Additional utilities
   getChecksByType,
   getCheck,
+  getCheckContext,
   clearCache,
 
   // Constants (for testing/extension)
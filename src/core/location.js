@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Source locations for issues.
+ *
+ * Checks report where each offending element is in the content they were
+ * given, as a location:
+ *
+ *   { line, column, endLine, endColumn }
+ *
+ * Lines and columns are 1-based; endLine/endColumn point just past the last
+ * character of the match (the SARIF convention). Checks return one entry per
+ * issue in `locations`, in the same order as `issues` (null when an issue is
+ * about the whole file, e.g. a missing skip link). The analyzers attach them
+ * to the structured issues as `issue.location` with withLocations().
+ *
+ * Content that is checked on its own but lives inside another file (inline
+ * templates and styles in a .ts file, <style> blocks in HTML) is mapped back
+ * with offsetIssue()/offsetLocation() and the origin of the embedded content.
+ *
+ * @module core/location
+ */
+
+'use strict';
+
+const { toIssue } = require('./errors');
+
+// Line start offsets of the last content seen (checks run file by file)
+let lineCache = { content: null, starts: [0] };
+
+/**
+ * Get the character offsets at which each line starts
+ * @private
+ */
+function getLineStarts(content) {
+  if (lineCache.content !== content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    lineCache = { content, starts };
+  }
+  return lineCache.starts;
+}
+
+/**
+ * Get the 1-based line and column for a character offset
+ *
+ * @param {string} content - Content the offset refers to
+ * @param {number} index - Character offset
+ * @returns {{line: number, column: number}} Position
+ */
+function getPosition(content, index) {
+  const starts = getLineStarts(content);
+  const offset = Math.max(0, Math.min(index, content.length));
+
+  // Binary search for the last line start <= offset
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - starts[lo] + 1 };
+}
+
+/**
+ * Get the location of a match
+ *
+ * @param {string} content - Content that was searched
+ * @param {number} index - Offset of the match (e.g. `match.index`)
+ * @param {number} [length=0] - Length of the match
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}} Location
+ *
+ * @example
+ * const match = IMG_REGEX.exec(content);
+ * locations.push(getLocation(content, match.index, match[0].length));
+ */
+function getLocation(content, index, length = 0) {
+  const start = getPosition(content, index);
+  const end = length > 0 ? getPosition(content, index + length) : start;
+  return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+/**
+ * Find the first rule for a CSS selector in a stylesheet
+ *
+ * @param {string} content - Stylesheet content
+ * @param {string} selector - Selector as written (whitespace may differ)
+ * @returns {{index: number, length: number}|null} Offset and length of the selector
+ */
+function findSelector(content, selector) {
+  const pattern = selector.trim().split(/\s+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  const match = new RegExp(`(?<![\\w-])${pattern}(?=\\s*[,{])`).exec(content);
+  return match ? { index: match.index, length: match[0].length } : null;
+}
+
+/**
+ * Map a location in embedded content to the file that contains it
+ *
+ * @param {object|null} location - Location within the embedded content
+ * @param {{line: number, column: number}} origin - Position of the embedded content's first character
+ * @returns {object|null} Location within the containing file
+ */
+function offsetLocation(location, origin) {
+  if (!location || !origin) return location || null;
+
+  const shift = (line, column) => ({
+    line: line + origin.line - 1,
+    // Only the first line of the embedded content starts mid-line
+    column: line === 1 ? column + origin.column - 1 : column
+  });
+
+  const start = shift(location.line, location.column);
+  const end = shift(location.endLine || location.line, location.endColumn || location.column);
+  return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+/**
+ * Attach the locations a check reported to its issues
+ *
+ * @param {Array<string|object>} issues - Issues from a check (structured, or strings from custom checks)
+ * @param {Array<object|null>} [locations] - Locations in the same order
+ * @returns {object[]} Structured issues with `location` set
+ */
+function withLocations(issues, locations) {
+  return (issues || []).map((issue, i) => {
+    const structured = toIssue(issue);
+    const location = locations ? locations[i] : null;
+    return location ? { ...structured, location } : structured;
+  });
+}
+
+/**
+ * Map an issue from embedded content to the file that contains it
+ *
+ * Shifts the issue's location and the line it reports in `data.line`
+ * (or, for plain strings, the "(line N)" at the end of the text).
+ *
+ * @param {string|object} issue - Issue string, structured issue or suppressed entry
+ * @param {{line: number, column: number}} origin - Position of the embedded content's first character
+ * @returns {string|object} Issue in the same shape, relative to the containing file
+ */
+function offsetIssue(issue, origin) {
+  if (!origin) return issue;
+
+  const shiftLine = line => line + origin.line - 1;
+
+  if (typeof issue === 'string') {
+    return issue.replace(/\(line\s+(\d+)\)(\s*)$/, (match, line, trailing) =>
+      `(line ${shiftLine(parseInt(line, 10))})${trailing}`);
+  }
+  if (!issue || typeof issue !== 'object') return issue;
+
+  const shifted = { ...issue };
+  if (!issue.code && typeof issue.message === 'string') shifted.message = offsetIssue(issue.message, origin);
+  if (issue.location) shifted.location = offsetLocation(issue.location, origin);
+  if (issue.data && typeof issue.data.line === 'number') {
+    shifted.data = { ...issue.data, line: shiftLine(issue.data.line) };
+  }
+  if (typeof issue.line === 'number') shifted.line = shiftLine(issue.line);
+  return shifted;
+}
+
+/**
+ * Get the parallel locations array of located issues
+ *
+ * @param {object[]} issues - Issues as returned by withLocations()
+ * @returns {{issues: object[], locations: Array<object|null>}}
+ */
+function splitLocations(issues) {
+  const list = issues || [];
+  return { issues: list, locations: list.map(issue => (issue && issue.location) || null) };
+}
+
+module.exports = {
+  getPosition,
+  getLocation,
+  findSelector,
+  offsetLocation,
+  offsetIssue,
+  withLocations,
+  splitLocations
+};
@@ -0,0 +1,689 @@
+'use strict';
+
+/**
+ * Angular Material Theme Resolver
+ *
+ * Evaluates theme SCSS to the colors Material components are rendered with,
+ * so contrast can be checked per themed component (a primary raised button,
+ * an accent toolbar, a selected chip) instead of per declaration.
+ *
+ * Understands:
+ * - M2: `mat.define-palette()` / `mat.m2-define-palette()` / `mat-palette()`
+ *   over the built-in palettes (`mat.$indigo-palette`, `mat.$m2-indigo-palette`,
+ *   `$mat-indigo`) or custom palette maps with a `contrast` map, and
+ *   `mat.define-light-theme()` / `mat.define-dark-theme()` (also `m2-` and
+ *   the legacy `mat-light-theme()`)
+ * - M3: `mat.define-theme()` and the `mat.theme()` mixin over the built-in
+ *   palettes (`mat.$azure-palette`) or generated palette maps (tone keys
+ *   0-100 plus `secondary`, `neutral` and `error` maps), with
+ *   `mat.theme-overrides()` and `--mat-sys-*` overrides
+ * - `mat.get-color-from-palette()` (also `m2-` and `mat-color()`) and
+ *   `mat.get-theme-color()` in declarations
+ *
+ * The built-in M3 palettes are not tabulated: M3 tones are defined by their
+ * lightness (tone 40 has an L* of 40), so a tone's luminance - and every
+ * contrast ratio - is known without its hue. Those colors are reported by
+ * tone ("tone 40") rather than by hex value.
+ *
+ * @module core/materialTheme
+ */
+
+const { parseMapDefinition, splitByComma, removeComments } = require('./scssParser');
+const { parseToRgb, rgbToHex } = require('./colorMath');
+
+/**
+ * M2 hue names, in palette order
+ * @type {string[]}
+ */
+const M2_HUES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', 'A100', 'A200', 'A400', 'A700'];
+
+/**
+ * Contrast colors of the M2 palettes ("d" in a contrast string)
+ * @type {{dark: string, light: string}}
+ */
+const M2_TEXT = { dark: 'rgba(0, 0, 0, 0.87)', light: '#ffffff' };
+
+/**
+ * Built-in M2 palettes: colors in M2_HUES order, and per hue whether the
+ * contrast color is dark (d) or light (l) text, as Angular Material defines them
+ * @type {Object<string, {colors: string, contrast: string}>}
+ */
+const M2_PALETTES = {
+  red: { colors: '#ffebee #ffcdd2 #ef9a9a #e57373 #ef5350 #f44336 #e53935 #d32f2f #c62828 #b71c1c #ff8a80 #ff5252 #ff1744 #d50000', contrast: 'ddddlllllldlll' },
+  pink: { colors: '#fce4ec #f8bbd0 #f48fb1 #f06292 #ec407a #e91e63 #d81b60 #c2185b #ad1457 #880e4f #ff80ab #ff4081 #f50057 #c51162', contrast: 'ddddlllllldlll' },
+  purple: { colors: '#f3e5f5 #e1bee7 #ce93d8 #ba68c8 #ab47bc #9c27b0 #8e24aa #7b1fa2 #6a1b9a #4a148c #ea80fc #e040fb #d500f9 #aa00ff', contrast: 'dddllllllldlll' },
+  'deep-purple': { colors: '#ede7f6 #d1c4e9 #b39ddb #9575cd #7e57c2 #673ab7 #5e35b1 #512da8 #4527a0 #311b92 #b388ff #7c4dff #651fff #6200ea', contrast: 'dddllllllldlll' },
+  indigo: { colors: '#e8eaf6 #c5cae9 #9fa8da #7986cb #5c6bc0 #3f51b5 #3949ab #303f9f #283593 #1a237e #8c9eff #536dfe #3d5afe #304ffe', contrast: 'dddllllllldlll' },
+  blue: { colors: '#e3f2fd #bbdefb #90caf9 #64b5f6 #42a5f5 #2196f3 #1e88e5 #1976d2 #1565c0 #0d47a1 #82b1ff #448aff #2979ff #2962ff', contrast: 'dddddllllldlll' },
+  'light-blue': { colors: '#e1f5fe #b3e5fc #81d4fa #4fc3f7 #29b6f6 #03a9f4 #039be5 #0288d1 #0277bd #01579b #80d8ff #40c4ff #00b0ff #0091ea', contrast: 'ddddddlllldddl' },
+  cyan: { colors: '#e0f7fa #b2ebf2 #80deea #4dd0e1 #26c6da #00bcd4 #00acc1 #0097a7 #00838f #006064 #84ffff #18ffff #00e5ff #00b8d4', contrast: 'dddddddllldddd' },
+  teal: { colors: '#e0f2f1 #b2dfdb #80cbc4 #4db6ac #26a69a #009688 #00897b #00796b #00695c #004d40 #a7ffeb #64ffda #1de9b6 #00bfa5', contrast: 'dddddllllldddd' },
+  green: { colors: '#e8f5e9 #c8e6c9 #a5d6a7 #81c784 #66bb6a #4caf50 #43a047 #388e3c #2e7d32 #1b5e20 #b9f6ca #69f0ae #00e676 #00c853', contrast: 'dddddllllldddd' },
+  'light-green': { colors: '#f1f8e9 #dcedc8 #c5e1a5 #aed581 #9ccc65 #8bc34a #7cb342 #689f38 #558b2f #33691e #ccff90 #b2ff59 #76ff03 #64dd17', contrast: 'ddddddddlldddd' },
+  lime: { colors: '#f9fbe7 #f0f4c3 #e6ee9c #dce775 #d4e157 #cddc39 #c0ca33 #afb42b #9e9d24 #827717 #f4ff81 #eeff41 #c6ff00 #aeea00', contrast: 'dddddddddldddd' },
+  yellow: { colors: '#fffde7 #fff9c4 #fff59d #fff176 #ffee58 #ffeb3b #fdd835 #fbc02d #f9a825 #f57f17 #ffff8d #ffff00 #ffea00 #ffd600', contrast: 'dddddddddddddd' },
+  amber: { colors: '#fff8e1 #ffecb3 #ffe082 #ffd54f #ffca28 #ffc107 #ffb300 #ffa000 #ff8f00 #ff6f00 #ffe57f #ffd740 #ffc400 #ffab00', contrast: 'dddddddddddddd' },
+  orange: { colors: '#fff3e0 #ffe0b2 #ffcc80 #ffb74d #ffa726 #ff9800 #fb8c00 #f57c00 #ef6c00 #e65100 #ffd180 #ffab40 #ff9100 #ff6d00', contrast: 'dddddddddldddd' },
+  'deep-orange': { colors: '#fbe9e7 #ffccbc #ffab91 #ff8a65 #ff7043 #ff5722 #f4511e #e64a19 #d84315 #bf360c #ff9e80 #ff6e40 #ff3d00 #dd2c00', contrast: 'dddddlllllddll' },
+  brown: { colors: '#efebe9 #d7ccc8 #bcaaa4 #a1887f #8d6e63 #795548 #6d4c41 #5d4037 #4e342e #3e2723 #d7ccc8 #bcaaa4 #8d6e63 #5d4037', contrast: 'dddlllllllddll' },
+  grey: { colors: '#fafafa #f5f5f5 #eeeeee #e0e0e0 #bdbdbd #9e9e9e #757575 #616161 #424242 #212121 #ffffff #eeeeee #bdbdbd #616161', contrast: 'dddddllllldddl' },
+  'blue-grey': { colors: '#eceff1 #cfd8dc #b0bec5 #90a4ae #78909c #607d8b #546e7a #455a64 #37474f #263238 #cfd8dc #b0bec5 #78909c #455a64', contrast: 'ddddllllllddll' }
+};
+
+/**
+ * Built-in M3 palettes (tone-defined, see the module docs)
+ * @type {string[]}
+ */
+const M3_PALETTES = ['red', 'green', 'blue', 'yellow', 'cyan', 'magenta', 'orange', 'chartreuse', 'spring-green', 'azure', 'violet', 'rose'];
+
+/**
+ * M2 theme colors that don't come from a palette
+ * (app background and body text, as in Material's M2 background/foreground maps)
+ */
+const M2_BACKGROUND = {
+  light: { surface: '#fafafa', 'on-surface': 'rgba(0, 0, 0, 0.87)' },
+  dark: { surface: '#303030', 'on-surface': '#ffffff' }
+};
+
+/**
+ * M3 system colors as [palette, light tone, dark tone]
+ * (the palette is the primary palette or one of its sub-palettes)
+ */
+const M3_ROLES = {
+  primary: ['primary', 40, 80],
+  'on-primary': ['primary', 100, 20],
+  'primary-container': ['primary', 90, 30],
+  'on-primary-container': ['primary', 10, 90],
+  'secondary-container': ['secondary', 90, 30],
+  'on-secondary-container': ['secondary', 10, 90],
+  tertiary: ['tertiary', 40, 80],
+  'on-tertiary': ['tertiary', 100, 20],
+  error: ['error', 40, 80],
+  'on-error': ['error', 100, 20],
+  surface: ['neutral', 98, 6],
+  'on-surface': ['neutral', 10, 90]
+};
+
+/**
+ * Themed component combinations checked for contrast: background and
+ * foreground role (M2 themes map accent to tertiary and warn to error), and
+ * the component tokens that override them
+ * @type {Array<{component: string, background: string, foreground: string, m3?: string[], tokens?: string[]}>}
+ */
+const COMBINATIONS = [
+  { component: 'mat-flat-button color="primary"', background: 'primary', foreground: 'on-primary',
+    tokens: ['--mdc-filled-button-container-color', '--mdc-filled-button-label-text-color'] },
+  { component: 'mat-raised-button color="primary"', background: 'primary', foreground: 'on-primary', m3: ['surface', 'primary'],
+    tokens: ['--mdc-protected-button-container-color', '--mdc-protected-button-label-text-color'] },
+  { component: 'mat-button color="primary"', background: 'surface', foreground: 'primary',
+    tokens: [null, '--mdc-text-button-label-text-color'] },
+  { component: 'mat-flat-button color="accent"', background: 'tertiary', foreground: 'on-tertiary' },
+  { component: 'mat-flat-button color="warn"', background: 'error', foreground: 'on-error' },
+  { component: 'mat-toolbar color="primary"', background: 'primary', foreground: 'on-primary' },
+  { component: 'mat-toolbar color="accent"', background: 'tertiary', foreground: 'on-tertiary' },
+  { component: 'mat-chip-option (selected)', background: 'primary', foreground: 'on-primary', m3: ['secondary-container', 'on-secondary-container'],
+    tokens: ['--mdc-chip-elevated-selected-container-color', '--mdc-chip-selected-label-text-color'] },
+  { component: 'body text on the app background', background: 'surface', foreground: 'on-surface',
+    tokens: ['--mat-app-background-color', '--mat-app-text-color'] }
+];
+
+/**
+ * How M2 themes name the roles (M2 has accent and warn palettes)
+ * @type {Object<string, string>}
+ */
+const M2_ROLE_NAMES = {
+  'on-primary': 'primary contrast',
+  tertiary: 'accent',
+  'on-tertiary': 'accent contrast',
+  error: 'warn',
+  'on-error': 'warn contrast',
+  surface: 'background',
+  'on-surface': 'text'
+};
+
+/**
+ * Theme definitions: M2/M3 theme functions and the M3 theme mixin
+ */
+const THEME_CALL = /(?<![\w$-])(mat\.(?:m2-)?define-(light|dark)-theme|mat-(light|dark)-theme|mat\.define-theme|mat\.theme)\s*\(/g;
+const PALETTE_FUNCTION = /^(?:mat\.(?:m2-)?define-palette|mat-palette)\s*\(/;
+const COLOR_FUNCTION = /(?<![\w$-])(mat\.(?:m2-)?get-color-from-palette|mat-color|mat\.get-theme-color)\s*\(/;
+
+/**
+ * Text of a parenthesized argument list starting at an opening parenthesis
+ * @private
+ */
+function readArguments(content, open) {
+  let depth = 0;
+  for (let i = open; i < content.length; i++) {
+    if (content[i] === '(') depth++;
+    else if (content[i] === ')' && --depth === 0) return content.slice(open + 1, i);
+  }
+  return null;
+}
+
+/**
+ * Parse a SCSS map literal into a Map with unquoted keys (nested maps stay strings)
+ * @private
+ */
+function parseMap(value) {
+  const result = new Map();
+  for (const [key, entry] of parseMapDefinition(value)) {
+    result.set(key.replace(/^['"]|['"]$/g, ''), entry);
+  }
+  return result;
+}
+
+/**
+ * Whether a value is a SCSS map literal
+ * @private
+ */
+function isMapLiteral(value) {
+  const trimmed = value.trim();
+  return trimmed.startsWith('(') && trimmed.endsWith(')') && trimmed.includes(':');
+}
+
+/**
+ * Strip the outer parentheses of a single-argument map call: ((color: ...)) -> (color: ...)
+ * @private
+ */
+function unwrap(args) {
+  const parts = splitByComma(args);
+  return parts.length === 1 ? parts[0] : args;
+}
+
+/**
+ * Gray with the luminance of an M3 tone (L* = tone)
+ * @private
+ */
+function toneGray(tone) {
+  const y = tone > 8 ? Math.pow((tone + 16) / 116, 3) : tone / 903.2963;
+  const channel = y <= 0.0031308 ? 12.92 * y : 1.055 * Math.pow(y, 1 / 2.4) - 0.055;
+  const value = Math.round(Math.min(1, Math.max(0, channel)) * 255);
+  return rgbToHex({ r: value, g: value, b: value });
+}
+
+/**
+ * Create the lookup palettes and themes are resolved with: the variables and
+ * maps of the project plus the stylesheet's own assignments
+ * @param {string} content - SCSS content ('' for the project variables only)
+ * @param {object} [context] - Variable context (scssVars, maps) of the project
+ * @param {function(string, object): (string|null)} [resolve] - Resolves a value (variables, color functions) to a color
+ * @returns {object} Lookup for resolvePalette()/findThemes()
+ */
+function createLookup(content, context = null, resolve = value => value) {
+  const source = removeComments(content || '');
+  const lookup = {
+    scssVars: (context && context.scssVars) || new Map(),
+    maps: (context && context.maps) || new Map(),
+    resolve: value => resolve(value, lookup),
+    cache: new Map()
+  };
+
+  // Assignments of the stylesheet win over the project's (its maps may hold nested maps)
+  const assignment = /(?:^|[\n;{}])\s*(\$[\w-]+)\s*:\s*([^;]+?)\s*(?:!default\s*)?;/g;
+  let match;
+  while ((match = assignment.exec(source)) !== null) {
+    if (lookup.scssVars === (context && context.scssVars)) {
+      lookup.scssVars = new Map(lookup.scssVars);
+      lookup.maps = new Map(lookup.maps);
+    }
+    if (isMapLiteral(match[2])) lookup.maps.set(match[1], parseMap(match[2]));
+    else lookup.scssVars.set(match[1], match[2]);
+  }
+
+  return lookup;
+}
+
+/**
+ * Color of a value in a palette map, resolved to a literal color
+ * @private
+ */
+function resolveColor(value, lookup) {
+  if (!value) return null;
+  const resolved = lookup.resolve(String(value).trim());
+  return resolved && parseToRgb(resolved) ? resolved : null;
+}
+
+/**
+ * A built-in or custom M2 palette map as { colors, contrast } Maps
+ * @private
+ */
+function m2PaletteFromName(expression, lookup) {
+  const builtIn = /^(?:mat\.\$(?:m2-)?([\w-]+)-palette|\$mat-([\w-]+))$/.exec(expression);
+  const palette = builtIn && M2_PALETTES[builtIn[1] || builtIn[2]];
+  if (palette) {
+    const name = builtIn[1] || builtIn[2];
+    const colors = palette.colors.split(' ');
+    return {
+      name,
+      colors: new Map(M2_HUES.map((hue, i) => [hue, colors[i]])),
+      contrast: new Map(M2_HUES.map((hue, i) => [hue, palette.contrast[i] === 'd' ? M2_TEXT.dark : M2_TEXT.light]))
+    };
+  }
+
+  const map = expression.startsWith('$') ? lookup.maps.get(expression) : (isMapLiteral(expression) ? parseMap(expression) : null);
+  if (!map || !map.has('500')) return null;
+
+  const colors = new Map();
+  const contrast = new Map();
+  const contrastMap = map.has('contrast') && isMapLiteral(map.get('contrast')) ? parseMap(map.get('contrast')) : new Map();
+  for (const [hue, value] of map) {
+    if (hue === 'contrast') continue;
+    const color = resolveColor(value, lookup);
+    if (color) colors.set(hue, color);
+  }
+  for (const [hue, value] of contrastMap) {
+    const color = resolveColor(value, lookup);
+    if (color) contrast.set(hue, color);
+  }
+  return { name: expression, colors, contrast };
+}
+
+/**
+ * An M3 palette: tone Map (null for built-in palettes) and sub-palettes
+ * @private
+ */
+function m3PaletteFromName(expression, lookup) {
+  const builtIn = /^mat\.\$([\w-]+)-palette$/.exec(expression);
+  if (builtIn) {
+    if (!M3_PALETTES.includes(builtIn[1])) return null;
+    return { name: builtIn[1], tones: null, sub: {} };
+  }
+
+  const map = expression.startsWith('$') ? lookup.maps.get(expression) : (isMapLiteral(expression) ? parseMap(expression) : null);
+  if (!map || !(map.has('40') || map.has('0'))) return null;
+
+  const toTones = source => {
+    const tones = new Map();
+    for (const [tone, value] of source) {
+      if (!/^\d+$/.test(tone)) continue;
+      const color = resolveColor(value, lookup);
+      if (color) tones.set(Number(tone), color);
+    }
+    return tones;
+  };
+
+  const sub = {};
+  for (const name of ['secondary', 'neutral', 'neutral-variant', 'error']) {
+    if (map.has(name) && isMapLiteral(map.get(name))) sub[name] = { name: `${expression} ${name}`, tones: toTones(parseMap(map.get(name))), sub: {} };
+  }
+  return { name: expression, tones: toTones(map), sub };
+}
+
+/**
+ * Resolve a palette expression
+ * @param {string} expression - e.g. `$primary`, `mat.define-palette(mat.$indigo-palette, 500)`, `mat.$azure-palette`
+ * @param {object} lookup - createLookup() result
+ * @param {'m2'|'m3'} [kind='m2'] - Palette generation (`mat.$red-palette` is M2 before v18 and M3 after)
+ * @returns {object|null} Palette, or null if it can't be resolved
+ */
+function resolvePalette(expression, lookup, kind = 'm2', depth = 0) {
+  if (!expression || depth > 10) return null;
+  expression = expression.trim();
+
+  const key = `${kind}:${expression}`;
+  if (lookup.cache.has(key)) return lookup.cache.get(key);
+  lookup.cache.set(key, null);
+
+  let palette = null;
+  if (PALETTE_FUNCTION.test(expression)) {
+    const args = splitByComma(readArguments(expression, expression.indexOf('(')) || '');
+    const base = resolvePalette(args[0], lookup, 'm2', depth + 1);
+    if (base && base.kind === 'm2') {
+      const hue = (value, fallback) => (value ? value.trim() : fallback);
+      const defaultHue = hue(args[1], '500');
+      palette = {
+        ...base,
+        hues: { default: defaultHue, lighter: hue(args[2], '100'), darker: hue(args[3], '700'), text: hue(args[4], defaultHue) }
+      };
+    }
+  } else if (expression.startsWith('$') && lookup.scssVars.has(expression) && !lookup.maps.has(expression)) {
+    palette = resolvePalette(lookup.scssVars.get(expression), lookup, kind, depth + 1);
+  } else if (kind === 'm3') {
+    const m3 = m3PaletteFromName(expression, lookup);
+    if (m3) palette = { kind: 'm3', ...m3 };
+  } else {
+    const m2 = m2PaletteFromName(expression, lookup);
+    // A palette map used directly has the default hues of define-palette()
+    if (m2) palette = { kind: 'm2', ...m2, hues: { default: '500', lighter: '100', darker: '700', text: '500' } };
+  }
+
+  lookup.cache.set(key, palette);
+  return palette;
+}
+
+/**
+ * Color of an M2 palette hue (`500`, `A200`, `default`, `lighter-contrast`, `700-contrast`)
+ * @param {object} palette - resolvePalette() result (M2)
+ * @param {string} [hue='default'] - Hue or hue name
+ * @returns {string|null} Color
+ */
+function getPaletteColor(palette, hue = 'default') {
+  if (!palette || palette.kind !== 'm2') return null;
+  const name = String(hue).trim().replace(/^['"]|['"]$/g, '');
+  const contrast = name.endsWith('-contrast');
+  const base = contrast ? name.slice(0, -'-contrast'.length) : name;
+  const resolvedHue = palette.hues[base] || base;
+  return (contrast ? palette.contrast : palette.colors).get(resolvedHue) || null;
+}
+
+/**
+ * Color of an M3 palette tone (hex for palette maps, tone gray for built-in palettes)
+ * @private
+ */
+function getToneColor(palette, subPalette, tone) {
+  const source = subPalette === 'primary' || subPalette === 'tertiary' ? palette : palette.sub[subPalette];
+  const color = source && source.tones && source.tones.get(tone);
+  return color ? { color, label: color } : { color: toneGray(tone), label: `tone ${tone}` };
+}
+
+/**
+ * Colors of an M2 theme variant, keyed by the M3 role names
+ * @private
+ */
+function m2Roles(palettes, type) {
+  const roles = {};
+  const entry = color => (color ? { color, label: color } : null);
+  for (const [role, palette] of [['primary', palettes.primary], ['tertiary', palettes.accent], ['error', palettes.warn]]) {
+    roles[role] = entry(getPaletteColor(palette, 'default'));
+    roles[`on-${role}`] = entry(getPaletteColor(palette, 'default-contrast'));
+  }
+  roles['secondary-container'] = roles.primary;
+  roles['on-secondary-container'] = roles['on-primary'];
+  roles.surface = entry(M2_BACKGROUND[type].surface);
+  roles['on-surface'] = entry(M2_BACKGROUND[type]['on-surface']);
+  return roles;
+}
+
+/**
+ * Colors of an M3 theme variant
+ * @private
+ */
+function m3Roles(palettes, type) {
+  const roles = {};
+  for (const [role, [subPalette, lightTone, darkTone]] of Object.entries(M3_ROLES)) {
+    const palette = subPalette === 'tertiary' ? palettes.tertiary : palettes.primary;
+    roles[role] = getToneColor(palette, subPalette, type === 'dark' ? darkTone : lightTone);
+  }
+  return roles;
+}
+
+/**
+ * Read the palettes and variants of a theme call
+ * @private
+ */
+function evaluateTheme(fn, args, lookup) {
+  const parts = splitByComma(args);
+  const m2 = /define-(light|dark)-theme|mat-(light|dark)-theme/.exec(fn);
+
+  if (m2) {
+    const type = m2[1] || m2[2];
+    let config = { primary: parts[0], accent: parts[1], warn: parts[2] };
+    // mat.define-light-theme((color: (primary: $p, accent: $a, warn: $w), ...))
+    if (parts.length === 1 && isMapLiteral(parts[0])) {
+      const map = parseMap(parts[0]);
+      const color = map.get('color');
+      config = color && isMapLiteral(color) ? Object.fromEntries(parseMap(color)) : {};
+    }
+    const palettes = {
+      primary: resolvePalette(config.primary, lookup),
+      accent: resolvePalette(config.accent, lookup),
+      warn: config.warn ? resolvePalette(config.warn, lookup) : resolvePalette('mat.$red-palette', lookup)
+    };
+    if (!palettes.primary || !palettes.accent || !palettes.warn) return null;
+    return { version: 'm2', palettes, variants: [{ type, roles: m2Roles(palettes, type) }] };
+  }
+
+  // M3: mat.define-theme((color: (theme-type: dark, primary: $p, tertiary: $t)))
+  // or mat.theme((color: $p)) / mat.theme((color: (primary: $p, theme-type: color-scheme)))
+  const map = parts.length === 1 && isMapLiteral(parts[0]) ? parseMap(parts[0]) : new Map();
+  const color = map.get('color');
+  const config = color && isMapLiteral(color) ? parseMap(color) : new Map(color ? [['primary', color]] : []);
+  // Without a primary palette, Material uses violet
+  const primary = resolvePalette(config.get('primary') || 'mat.$violet-palette', lookup, 'm3');
+  const tertiary = config.has('tertiary') ? resolvePalette(config.get('tertiary'), lookup, 'm3') : primary;
+  if (!primary || !tertiary) return null;
+
+  const themeType = config.get('theme-type') || (fn === 'mat.theme' ? 'color-scheme' : 'light');
+  const types = themeType === 'color-scheme' ? ['light', 'dark'] : [themeType === 'dark' ? 'dark' : 'light'];
+  return { version: 'm3', palettes: { primary, tertiary }, variants: types.map(type => ({ type, roles: m3Roles({ primary, tertiary }, type) })) };
+}
+
+/**
+ * Role overrides from `mat.theme-overrides((primary: #..., on-primary: ...))`
+ * (they apply to the `mat.theme()` mixin)
+ * @private
+ */
+function findThemeOverrides(source, lookup) {
+  const overrides = new Map();
+  const call = /(?<![\w$-])mat\.theme-overrides\s*\(/g;
+  let match;
+  while ((match = call.exec(source)) !== null) {
+    const args = readArguments(source, match.index + match[0].length - 1);
+    if (!args || !isMapLiteral(unwrap(args))) continue;
+    for (const [role, value] of parseMap(unwrap(args))) {
+      const color = resolveColor(value, lookup);
+      if (color && M3_ROLES[role]) overrides.set(role, color);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Role overrides from `--mat-sys-<role>` custom properties (M3 components read them)
+ * @private
+ */
+function findTokenOverrides(cssVars, lookup) {
+  const overrides = new Map();
+  for (const [name, value] of cssVars || []) {
+    const role = name.startsWith('--mat-sys-') ? name.slice('--mat-sys-'.length) : null;
+    const color = role && M3_ROLES[role] ? resolveColor(value, lookup) : null;
+    if (color) overrides.set(role, color);
+  }
+  return overrides;
+}
+
+/**
+ * Selector of the rule a position is in (`html`, `.dark-theme`)
+ * @private
+ */
+function enclosingSelector(source, index) {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    if (source[i] === '}') depth++;
+    else if (source[i] === '{' && depth-- === 0) {
+      const start = Math.max(source.lastIndexOf('}', i), source.lastIndexOf(';', i), source.lastIndexOf('{', i - 1)) + 1;
+      return source.slice(start, i).trim().replace(/\s+/g, ' ') || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find and evaluate the themes defined in a stylesheet
+ *
+ * Themes are named by the variable they're assigned to (`$dark-theme`), or
+ * for the `mat.theme()` mixin by the rule it's included in.
+ *
+ * @param {string} content - SCSS content
+ * @param {object} lookup - createLookup() result
+ * @param {object} [cssVars] - Custom properties per variant, e.g. { light: Map, dark: Map } (`--mat-sys-*` overrides)
+ * @returns {Array<{
+ *   name: string,
+ *   version: 'm2'|'m3',
+ *   index: number,
+ *   length: number,
+ *   variants: Array<{type: 'light'|'dark', roles: Object<string, {color: string, label: string}>}>
+ * }>} Evaluated themes (definitions that can't be resolved are skipped)
+ */
+function findThemes(content, lookup, cssVars = {}) {
+  const themes = [];
+  if (!content) return themes;
+
+  // Blank out comments without moving offsets
+  const source = content.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, comment => comment.replace(/[^\n]/g, ' '));
+  const themeOverrides = findThemeOverrides(source, lookup);
+  const tokenOverrides = {
+    light: findTokenOverrides(cssVars.light, lookup),
+    dark: findTokenOverrides(cssVars.dark || cssVars.light, lookup)
+  };
+
+  THEME_CALL.lastIndex = 0;
+  let match;
+  while ((match = THEME_CALL.exec(source)) !== null) {
+    const args = readArguments(source, match.index + match[0].length - 1);
+    if (args === null) continue;
+
+    const theme = evaluateTheme(match[1], args, lookup);
+    if (!theme) continue;
+
+    const mixin = match[1] === 'mat.theme';
+    if (theme.version === 'm3') {
+      for (const variant of theme.variants) {
+        const overrides = mixin ? [...themeOverrides, ...tokenOverrides[variant.type]] : tokenOverrides[variant.type];
+        for (const [role, color] of overrides) variant.roles[role] = { color, label: color };
+      }
+    }
+
+    const variable = /(\$[\w-]+)\s*:\s*$/.exec(source.slice(0, match.index));
+    const selector = mixin ? enclosingSelector(source, match.index) : null;
+    themes.push({
+      name: variable ? variable[1] : (selector ? `${match[1]} in ${selector}` : match[1]),
+      version: theme.version,
+      index: match.index,
+      length: match[0].length - 1,
+      variants: theme.variants
+    });
+  }
+  return themes;
+}
+
+/**
+ * Flatten a translucent foreground onto its (opaque) background
+ * @param {string} foreground - Foreground color, e.g. rgba(0, 0, 0, 0.87)
+ * @param {string} background - Background color
+ * @returns {string|null} Opaque hex color
+ */
+function flattenColor(foreground, background) {
+  const fg = parseToRgb(foreground);
+  const bg = parseToRgb(background);
+  if (!fg || !bg) return null;
+  const alpha = fg.a === undefined ? 1 : fg.a;
+  const mix = channel => Math.round(fg[channel] * alpha + bg[channel] * (1 - alpha));
+  return rgbToHex({ r: mix('r'), g: mix('g'), b: mix('b') });
+}
+
+/**
+ * Colors of every themed component combination of a theme variant, with
+ * component token overrides applied
+ * @param {object} theme - findThemes() entry
+ * @param {object} variant - One of its variants
+ * @param {function(string): (string|null)} [tokenValue] - Resolved value of a component token (`--mdc-*`, `--mat-*`)
+ * @returns {Array<{component: string, roles: string[], background: {color: string, label: string}, foreground: {color: string, label: string}}>}
+ */
+function getThemeCombinations(theme, variant, tokenValue = () => null) {
+  const combinations = [];
+  for (const combination of COMBINATIONS) {
+    const [backgroundRole, foregroundRole] = theme.version === 'm3' && combination.m3
+      ? combination.m3
+      : [combination.background, combination.foreground];
+    const tokens = combination.tokens || [];
+    const override = token => {
+      const value = token ? tokenValue(token) : null;
+      return value ? { color: value, label: value } : null;
+    };
+    const background = override(tokens[0]) || variant.roles[backgroundRole];
+    const foreground = override(tokens[1]) || variant.roles[foregroundRole];
+    if (!background || !foreground) continue;
+    const roleName = role => (theme.version === 'm2' ? M2_ROLE_NAMES[role] || role : role);
+    combinations.push({
+      component: combination.component,
+      roles: [roleName(backgroundRole), roleName(foregroundRole)],
+      background,
+      foreground
+    });
+  }
+  return combinations;
+}
+
+/**
+ * Whether a stylesheet defines a Material theme
+ * @param {string} content - SCSS content
+ * @returns {boolean}
+ */
+function hasThemeDefinition(content) {
+  THEME_CALL.lastIndex = 0;
+  return Boolean(content) && THEME_CALL.test(content);
+}
+
+/**
+ * Whether a value calls a Material color function
+ * @param {string} value - Declaration value
+ * @returns {boolean}
+ */
+function isThemeColorFunction(value) {
+  return typeof value === 'string' && COLOR_FUNCTION.test(value);
+}
+
+/**
+ * Evaluate `mat.get-color-from-palette($primary, 500, 0.5)`, `mat-color($accent)`
+ * or `mat.get-theme-color($theme, primary)` / `mat.get-theme-color($theme, primary, 40)`
+ * @param {string} value - Declaration value (the first color function in it is evaluated)
+ * @param {object} lookup - createLookup() result
+ * @returns {string|null} The value with the call replaced by a color, or null if it can't be resolved
+ */
+function evaluateThemeColorFunction(value, lookup) {
+  const match = COLOR_FUNCTION.exec(value || '');
+  if (!match) return null;
+  const args = readArguments(value, match.index + match[0].length - 1);
+  if (args === null) return null;
+  const parts = splitByComma(args);
+  const expression = value.slice(match.index, match.index + match[0].length + args.length + 1);
+
+  let color = null;
+  if (match[1] === 'mat.get-theme-color') {
+    const definition = parts[0] && parts[0].startsWith('$') ? lookup.scssVars.get(parts[0]) : null;
+    const call = definition ? new RegExp(THEME_CALL.source).exec(definition) : null;
+    const themeArgs = call ? readArguments(definition, call.index + call[0].length - 1) : null;
+    const theme = themeArgs !== null ? evaluateTheme(call[1], themeArgs, lookup) : null;
+    const role = parts[1] && parts[1].trim();
+    if (theme && theme.version === 'm2') {
+      // M2: get-theme-color($theme, primary) or get-theme-color($theme, primary, 700)
+      color = getPaletteColor(theme.palettes[role], parts[2] || 'default');
+    } else if (theme && parts.length === 2) {
+      const roles = theme.variants[0].roles;
+      color = roles[role] ? roles[role].color : null;
+    } else if (theme && parts.length === 3 && /^\d+$/.test(parts[2].trim())) {
+      // M3: get-theme-color($theme, secondary, 90) is a palette tone
+      const palette = role === 'tertiary' ? theme.palettes.tertiary : theme.palettes.primary;
+      if (['primary', 'secondary', 'tertiary', 'neutral', 'neutral-variant', 'error'].includes(role)) {
+        color = getToneColor(palette, role, Number(parts[2])).color;
+      }
+    }
+  } else {
+    const palette = resolvePalette(parts[0], lookup);
+    color = getPaletteColor(palette, parts[1] || 'default');
+    const opacity = parts[2] !== undefined ? parseFloat(parts[2]) : NaN;
+    if (color && Number.isFinite(opacity)) {
+      const rgb = parseToRgb(color);
+      color = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${opacity})`;
+    }
+  }
+
+  return color ? value.replace(expression, color) : null;
+}
+
+module.exports = {
+  M2_PALETTES,
+  M3_PALETTES,
+  COMBINATIONS,
+  createLookup,
+  resolvePalette,
+  getPaletteColor,
+  findThemes,
+  getThemeCombinations,
+  flattenColor,
+  hasThemeDefinition,
+  isThemeColorFunction,
+  evaluateThemeColorFunction
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * Page Composer
+ *
+ * Builds the markup a page renders: starting from the route component's
+ * template, every element whose tag is a known component selector gets that
+ * component's template inserted between its start and end tag, and the
+ * `<ng-content>` slots of the child receive the host's content (by `select`,
+ * the rest going to the default slot), recursively.
+ *
+ * Checks that need the whole page (heading order, ids, aria references, skip
+ * links) run on the composed content; `mapPageIssues()` maps their locations
+ * back to the template each issue comes from.
+ *
+ *   page      { content, segments, templates, components }
+ *   segment   { start, end, template, offset }   composed [start, end) is template content from `offset`
+ *   template  { file, content, origin, ast, slots }  origin is set for inline templates (position in the .ts file)
+ *
+ * ERROR HANDLING: Like the component registry, this module never throws.
+ * `composePage()` returns null when the page can't be composed, and the
+ * analyzers fall back to checking each template on its own.
+ */
+
+const fs = require('fs');
+const { parseTemplate, walk, getStaticValue } = require('./templateParser');
+const { getLocation } = require('./location');
+
+// Nesting limit (guards against runaway recursion through projected content)
+const MAX_DEPTH = 20;
+
+/**
+ * Safely read a file
+ * @private
+ */
+function safeReadFile(filePath) {
+  try {
+    if (!filePath || typeof filePath !== 'string' || !fs.existsSync(filePath)) return null;
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get (or load) the template of a page file or component, once per page
+ * @private
+ */
+function loadTemplate(page, key, load) {
+  if (page._templates.has(key)) return page._templates.get(key);
+
+  let template = null;
+  const loaded = load();
+  if (loaded && typeof loaded.content === 'string') {
+    const ast = parseTemplate(loaded.content);
+    template = { file: loaded.file, content: loaded.content, origin: loaded.origin || null, ast, slots: collectSlots(ast) };
+    page.templates.push(template);
+  }
+  page._templates.set(key, template);
+  return template;
+}
+
+/**
+ * Get the template of a registered component
+ * @private
+ */
+function getComponentTemplate(page, info) {
+  if (info.templateUrl) {
+    return loadTemplate(page, info.templateUrl, () => {
+      const content = safeReadFile(info.templateUrl);
+      return content === null ? null : { file: info.templateUrl, content };
+    });
+  }
+  if (typeof info.template === 'string') {
+    return loadTemplate(page, `${info.filePath}#${info.selector}`, () => ({
+      file: info.filePath || `<${info.selector}> (inline template)`,
+      content: info.template,
+      origin: info.filePath ? info.templateOrigin : null
+    }));
+  }
+  return null;
+}
+
+/**
+ * Append a range of a template to the composed content
+ * @private
+ */
+function emit(page, template, start, end) {
+  if (end <= start) return;
+
+  const composedStart = page.content.length;
+  page.content += template.content.slice(start, end);
+
+  const last = page.segments[page.segments.length - 1];
+  if (last && last.template === template && last.end === composedStart && last.offset + (last.end - last.start) === start) {
+    last.end = page.content.length;
+  } else {
+    page.segments.push({ start: composedStart, end: page.content.length, template, offset: start });
+  }
+}
+
+/**
+ * Parse an ng-content `select` into simple selectors ({ tag, attrs, classes })
+ * @private
+ */
+function parseSelectors(select) {
+  return select.split(',').map(part => {
+    const selector = { tag: null, attrs: [], classes: [] };
+    const text = part.trim();
+    const tag = /^[a-zA-Z][\w-]*/.exec(text);
+    if (tag) selector.tag = tag[0].toLowerCase();
+
+    const pattern = /\[([\w-]+)(?:\s*=\s*["']?([^"'\]]*)["']?)?\]|\.([\w-]+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[3]) selector.classes.push(match[3]);
+      else selector.attrs.push({ name: match[1].toLowerCase(), value: match[2] !== undefined ? match[2] : null });
+    }
+    return selector;
+  }).filter(selector => selector.tag || selector.attrs.length > 0 || selector.classes.length > 0);
+}
+
+/**
+ * Check if a projected node matches an ng-content `select`
+ * (static attributes only, like Angular's content projection)
+ * @private
+ */
+function matchesSelect(node, selectors) {
+  if (node.type !== 'element') return false;
+
+  const staticAttr = name => node.attrs.find(attr => attr.kind === 'static' && attr.key.toLowerCase() === name);
+  const projectAs = staticAttr('ngprojectas');
+  if (projectAs && projectAs.value) {
+    const [as] = parseSelectors(projectAs.value);
+    return Boolean(as) && selectors.some(selector =>
+      (!selector.tag || selector.tag === as.tag) &&
+      selector.attrs.every(attr => as.attrs.some(a => a.name === attr.name)) &&
+      selector.classes.every(cls => as.classes.includes(cls)));
+  }
+
+  const classes = ((staticAttr('class') || {}).value || '').split(/\s+/);
+  return selectors.some(selector =>
+    (!selector.tag || selector.tag === node.name) &&
+    selector.attrs.every(attr => {
+      const found = staticAttr(attr.name);
+      return found && (attr.value === null || found.value === attr.value);
+    }) &&
+    selector.classes.every(cls => classes.includes(cls)));
+}
+
+/**
+ * Emit the host content that goes into an ng-content slot
+ * @private
+ */
+function project(page, projection, ngContent, registry, depth) {
+  const { host, template, parent, stack } = projection;
+  const select = getStaticValue(ngContent, 'select');
+  const selectors = select && select.trim() !== '*' ? parseSelectors(select) : null;
+
+  for (const node of host.children || []) {
+    if (projection.used.has(node)) continue;
+
+    const slotted = selectors
+      ? matchesSelect(node, selectors)
+      : !projection.slots.some(slot => matchesSelect(node, slot));
+    if (!slotted) continue;
+
+    projection.used.add(node);
+    composeRange(page, template, node.start, node.end, node, { projection: parent, stack }, registry, depth);
+  }
+}
+
+/**
+ * Emit a range of a template, inserting child component templates at their
+ * host elements and projected content at ng-content
+ * @private
+ */
+function composeRange(page, template, start, end, root, context, registry, depth) {
+  let cursor = start;
+
+  const visit = node => {
+    if (node.type !== 'element') return true;
+
+    if (node.name === 'ng-content' && context.projection) {
+      emit(page, template, cursor, node.start);
+      project(page, context.projection, node, registry, depth + 1);
+      cursor = node.end;
+      return false;
+    }
+
+    const info = registry.get(node.name);
+    if (!info || depth >= MAX_DEPTH || context.stack.includes(node.name)) return true;
+
+    const child = getComponentTemplate(page, info);
+    if (!child) return true;
+
+    if (!page.components.includes(node.name)) page.components.push(node.name);
+
+    // Keep the host's start tag, then the child's template in place of its content
+    emit(page, template, cursor, node.startTagEnd);
+    const projection = {
+      host: node,
+      template,
+      parent: context.projection,
+      stack: context.stack,
+      used: new Set(),
+      slots: child.slots
+    };
+    const stack = [...context.stack, node.name];
+    composeRange(page, child, 0, child.content.length, child.ast, { projection, stack }, registry, depth + 1);
+    cursor = node.endTagStart !== null ? node.endTagStart : node.end;
+    return false;
+  };
+
+  // A projected node can itself be a host or a slot
+  if (root.type !== 'element' || visit(root) !== false) walk(root, visit);
+  emit(page, template, cursor, end);
+}
+
+/**
+ * The `select`ors of a template's ng-content slots
+ * @private
+ */
+function collectSlots(ast) {
+  const slots = [];
+  walk(ast, node => {
+    if (node.type !== 'element' || node.name !== 'ng-content') return;
+    const select = getStaticValue(node, 'select');
+    if (select && select.trim() !== '*') slots.push(parseSelectors(select));
+  });
+  return slots;
+}
+
+/**
+ * Compose the markup of a page from its template and the component registry
+ * NEVER throws - returns null if the page can't be composed
+ *
+ * @param {string} htmlPath - Path to the route component's HTML template
+ * @param {Map} registry - Component registry (selector -> component info)
+ * @returns {object|null} { content, segments, templates, components }
+ *
+ * @example
+ * const page = composePage('src/app/home/home.component.html', buildComponentRegistry(projectDir));
+ * page.content;     // home template with <app-header>, <app-card>, ... filled in
+ * page.templates;   // every template that contributed, home first
+ */
+function composePage(htmlPath, registry) {
+  try {
+    if (!(registry instanceof Map)) return null;
+
+    const page = { content: '', segments: [], templates: [], components: [], _templates: new Map() };
+    const root = loadTemplate(page, htmlPath, () => {
+      const content = safeReadFile(htmlPath);
+      return content === null ? null : { file: htmlPath, content };
+    });
+    if (!root) return null;
+
+    composeRange(page, root, 0, root.content.length, root.ast, { projection: null, stack: [] }, registry, 0);
+    delete page._templates;
+    return page;
+  } catch (e) {
+    console.warn('[PageComposer] Warning: composePage failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Get the character offset of a 1-based line and column
+ * @private
+ */
+function toOffset(page, line, column) {
+  if (!page._lineStarts) {
+    const starts = [0];
+    for (let i = 0; i < page.content.length; i++) {
+      if (page.content.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    Object.defineProperty(page, '_lineStarts', { value: starts });
+  }
+  const lineStart = page._lineStarts[Math.min(Math.max(line, 1), page._lineStarts.length) - 1];
+  return Math.min(lineStart + Math.max(column, 1) - 1, page.content.length);
+}
+
+/**
+ * Find the segment a composed offset falls in
+ * @private
+ */
+function findSegment(page, offset) {
+  let lo = 0;
+  let hi = page.segments.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (page.segments[mid].start <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return page.segments[lo] || null;
+}
+
+/**
+ * Map issues of checks run on the composed page to their templates
+ *
+ * Locations become relative to the template's content (inline templates are
+ * shifted into their .ts file with `template.origin`, like any inline
+ * template). Issues without a location are reported on the page template.
+ *
+ * @param {object} page - From composePage()
+ * @param {object[]} issues - Structured issues with locations in `page.content`
+ * @returns {Array<{template: object, issues: object[]}>} Issues per template, in page.templates order
+ */
+function mapPageIssues(page, issues) {
+  const byTemplate = new Map(page.templates.map(template => [template, []]));
+
+  for (const issue of issues) {
+    const location = issue.location;
+    if (!location || page.segments.length === 0) {
+      byTemplate.get(page.templates[0]).push(issue);
+      continue;
+    }
+
+    const start = toOffset(page, location.line, location.column);
+    const segment = findSegment(page, start);
+    const end = Math.min(toOffset(page, location.endLine || location.line, location.endColumn || location.column), segment.end);
+    const local = segment.offset + (start - segment.start);
+
+    byTemplate.get(segment.template).push({
+      ...issue,
+      location: getLocation(segment.template.content, local, Math.max(0, end - start))
+    });
+  }
+
+  return page.templates.map(template => ({ template, issues: byTemplate.get(template) }));
+}
+
+module.exports = {
+  composePage,
+  mapPageIssues
+};
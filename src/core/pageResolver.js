@@ -8,6 +8,9 @@
  * 2. Finding all child component selectors (<app-*, <my-*, etc.)
  * 3. Recursively resolving their templates and styles
  * 
+ * 4. Composing the page markup (child templates at their selectors) for
+ *    page-level checks
+ * 
  * This is a preprocessing step used by both sitemap and route analyzers.
  * 
  * ERROR HANDLING: This module is designed to be maximally error-tolerant.
@@ -17,6 +20,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { composePage } = require('./pageComposer');
+const { parseComponent } = require('./componentAnalyzer');
 
 // Lazy-load componentRegistry to catch import errors
 let componentRegistryModule = null;
@@ -37,6 +42,54 @@ function getComponentRegistry() {
   return componentRegistryModule || null;
 }
 
+/**
+ * Read the inline template and styles of a component class
+ * NEVER throws - returns null if the file is not a component or can't be read
+ *
+ * @param {string} tsPath - Path to the component's .ts file
+ * @returns {{inlineTemplates: object[], inlineStyles: object[]}|null}
+ *   Entries in the PageResolver result shape ({ selector, template|styles, filePath, origin })
+ */
+function readInlineSources(tsPath) {
+  try {
+    if (!tsPath || typeof tsPath !== 'string' || !fs.existsSync(tsPath)) return null;
+
+    const component = parseComponent(tsPath);
+    if (!component) return null;
+
+    const selector = component.selector || component.className;
+    return {
+      inlineTemplates: component.inlineTemplate
+        ? [{ selector, template: component.inlineTemplate, filePath: tsPath, origin: component.inlineTemplateOrigin }]
+        : [],
+      inlineStyles: component.inlineStyles
+        ? [{ selector, styles: component.inlineStyles, filePath: tsPath, origin: component.inlineStylesOrigin }]
+        : []
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the files of a route component without resolving its children (naive mode)
+ * NEVER throws
+ *
+ * @param {object|null} routeFiles - Object with { html, scss, ts } from route resolution
+ * @returns {object} Page files in the PageResolver result shape
+ */
+function getPrimaryFiles(routeFiles) {
+  const primary = routeFiles && !routeFiles.html ? readInlineSources(routeFiles.ts) : null;
+  return {
+    htmlFiles: routeFiles?.html ? [routeFiles.html] : [],
+    scssFiles: routeFiles?.scss ? [routeFiles.scss] : [],
+    tsFiles: routeFiles?.ts ? [routeFiles.ts] : [],
+    inlineTemplates: primary ? primary.inlineTemplates : [],
+    inlineStyles: primary ? primary.inlineStyles : [],
+    components: []
+  };
+}
+
 /**
  * Preprocessor that builds context once and resolves pages on demand
  */
@@ -119,22 +172,28 @@ class PageResolver {
   }
 
   /**
-   * Resolve all files for a page given its primary HTML template
+   * Resolve all files for a page given its primary HTML template, or the
+   * inline template of its component class when it has no template file
    * NEVER throws - returns primary files only on any error
    * 
    * @param {string} htmlPath - Path to the route component's HTML template
    * @param {string} scssPath - Path to the route component's SCSS (optional)
+   * @param {string} tsPath - Path to the route component's class file (optional)
    * @returns {object} Resolved page files
    */
-  resolvePage(htmlPath, scssPath = null) {
+  resolvePage(htmlPath, scssPath = null, tsPath = null) {
     // Default result - this is the fallback for ANY error
     const result = {
       htmlFiles: [],
       scssFiles: [],
+      tsFiles: [],
       inlineTemplates: [],
+      inlineStyles: [],
       components: [],
       primaryHtml: htmlPath,
-      primaryScss: scssPath
+      primaryScss: scssPath,
+      primaryTs: tsPath,
+      page: null
     };
 
     try {
@@ -159,6 +218,23 @@ class PageResolver {
         }
       }
 
+      if (tsPath && typeof tsPath === 'string') {
+        try {
+          if (fs.existsSync(tsPath)) {
+            result.tsFiles.push(tsPath);
+          }
+        } catch (e) {
+          // fs.existsSync failed - continue without this file
+        }
+      }
+
+      // Route components without a template file: their inline template and styles
+      const primary = htmlPath ? null : readInlineSources(tsPath);
+      if (primary) {
+        result.inlineTemplates.push(...primary.inlineTemplates);
+        result.inlineStyles.push(...primary.inlineStyles);
+      }
+
       // If not initialized or no registry, return just primary files (naive mode)
       if (!this._initialized || !this.registry || this.registry.size === 0) {
         return result;
@@ -170,49 +246,50 @@ class PageResolver {
         return result;
       }
 
-      if (htmlPath && typeof htmlPath === 'string') {
-        try {
+      let pageComponents = null;
+      try {
+        if (htmlPath && typeof htmlPath === 'string') {
           if (!fs.existsSync(htmlPath)) {
             return result;
           }
-        } catch (e) {
-          return result;
+          pageComponents = registryModule.resolvePageComponents(htmlPath, this.registry);
+        } else if (primary && primary.inlineTemplates.length > 0) {
+          pageComponents = registryModule.resolveTemplateComponents(primary.inlineTemplates[0].template, this.registry);
         }
+      } catch (e) {
+        // resolvePageComponents failed - return what we have (naive mode)
+        console.warn('[PageResolver] Warning: Child resolution failed:', e.message);
+        return result;
+      }
 
-        try {
-          const pageComponents = registryModule.resolvePageComponents(htmlPath, this.registry);
-          
-          if (!pageComponents || typeof pageComponents !== 'object') {
-            return result;
-          }
+      if (!pageComponents || typeof pageComponents !== 'object') {
+        return result;
+      }
 
-          // Merge results (avoiding duplicates) - defensive array handling
-          if (Array.isArray(pageComponents.htmlFiles)) {
-            for (const htmlFile of pageComponents.htmlFiles) {
-              if (htmlFile && typeof htmlFile === 'string' && !result.htmlFiles.includes(htmlFile)) {
-                result.htmlFiles.push(htmlFile);
-              }
-            }
-          }
-          
-          if (Array.isArray(pageComponents.scssFiles)) {
-            for (const scssFile of pageComponents.scssFiles) {
-              if (scssFile && typeof scssFile === 'string' && !result.scssFiles.includes(scssFile)) {
-                result.scssFiles.push(scssFile);
-              }
-            }
-          }
-          
-          if (Array.isArray(pageComponents.inlineTemplates)) {
-            result.inlineTemplates = pageComponents.inlineTemplates;
-          }
-          
-          if (Array.isArray(pageComponents.components)) {
-            result.components = pageComponents.components;
+      // Merge results (avoiding duplicates) - defensive array handling
+      for (const key of ['htmlFiles', 'scssFiles', 'tsFiles']) {
+        if (!Array.isArray(pageComponents[key])) continue;
+        for (const file of pageComponents[key]) {
+          if (file && typeof file === 'string' && !result[key].includes(file)) {
+            result[key].push(file);
           }
+        }
+      }
+
+      if (Array.isArray(pageComponents.inlineTemplates)) {
+        result.inlineTemplates.push(...pageComponents.inlineTemplates);
+      }
+
+      if (Array.isArray(pageComponents.components)) {
+        result.components = pageComponents.components;
+      }
+
+      // Composed markup for page-level checks (null: check templates one by one)
+      if (htmlPath) {
+        try {
+          result.page = composePage(htmlPath, this.registry);
         } catch (e) {
-          // resolvePageComponents failed - return what we have (naive mode)
-          console.warn('[PageResolver] Warning: Child resolution failed:', e.message);
+          console.warn('[PageResolver] Warning: Page composition failed:', e.message);
         }
       }
     } catch (e) {
@@ -227,17 +304,21 @@ class PageResolver {
    * Resolve files for a route object (from routeAnalyzer/sitemapAnalyzer)
    * NEVER throws - returns empty result on any error
    * 
-   * @param {object} routeFiles - Object with { html, scss, component } from route resolution
+   * @param {object} routeFiles - Object with { html, scss, ts, component } from route resolution
    * @returns {object} Resolved page files
    */
   resolveRouteFiles(routeFiles) {
     const emptyResult = {
       htmlFiles: [],
       scssFiles: [],
+      tsFiles: [],
       inlineTemplates: [],
+      inlineStyles: [],
       components: [],
       primaryHtml: null,
-      primaryScss: null
+      primaryScss: null,
+      primaryTs: null,
+      page: null
     };
 
     try {
@@ -245,7 +326,7 @@ class PageResolver {
         return emptyResult;
       }
 
-      return this.resolvePage(routeFiles.html, routeFiles.scss);
+      return this.resolvePage(routeFiles.html, routeFiles.scss, routeFiles.ts);
     } catch (e) {
       console.warn('[PageResolver] Warning: resolveRouteFiles failed:', e.message);
       return emptyResult;
@@ -277,5 +358,6 @@ function createPageResolver(projectDir, autoInit = true) {
 
 module.exports = {
   PageResolver,
-  createPageResolver
+  createPageResolver,
+  getPrimaryFiles
 };
@@ -19,7 +19,7 @@ const HTML_MARKERS = {
 };
 
 /**
- * Marker patterns for CSS/SCSS comments
+ * Marker patterns for CSS/SCSS comments (also used in TypeScript)
  * @constant {Object}
  */
 const CSS_MARKERS = {
@@ -33,7 +33,8 @@ const CSS_MARKERS = {
  */
 const FILE_EXTENSIONS = {
   html: ['.html', '.htm'],
-  scss: ['.scss', '.css', '.sass']
+  scss: ['.scss', '.css', '.sass'],
+  ts: ['.ts']
 };
 
 /**
@@ -44,7 +45,7 @@ const FILE_EXTENSIONS = {
  * - An @a11y-fail marker followed by failing test cases
  *
  * @param {string} content - The verify file content
- * @param {string} type - File type: 'html' or 'scss'
+ * @param {string} type - File type: 'html', 'scss' or 'ts'
  * @returns {{ passContent: string, failContent: string, error: string|null, warnings: string[] }}
  *
  * @example
@@ -84,8 +85,8 @@ function parseVerifyFile(content, type) {
     return result;
   }
 
-  if (!type || !['html', 'scss'].includes(type.toLowerCase())) {
-    result.error = `Invalid file type: ${type}. Expected 'html' or 'scss'`;
+  if (!type || !Object.keys(FILE_EXTENSIONS).includes(type.toLowerCase())) {
+    result.error = `Invalid file type: ${type}. Expected 'html', 'scss' or 'ts'`;
     return result;
   }
 
@@ -206,11 +207,12 @@ function trimSection(content) {
  * Detect file type from file extension.
  *
  * @param {string} filePath - Path to the file
- * @returns {'html'|'scss'|null} Detected file type or null if unknown
+ * @returns {'html'|'scss'|'ts'|null} Detected file type or null if unknown
  *
  * @example
  * detectFileType('test.verify.html'); // returns 'html'
  * detectFileType('styles.verify.scss'); // returns 'scss'
+ * detectFileType('dialog.verify.ts'); // returns 'ts'
  * detectFileType('unknown.txt'); // returns null
  */
 function detectFileType(filePath) {
@@ -235,6 +237,13 @@ function detectFileType(filePath) {
     }
   }
 
+  // Check for TypeScript extensions
+  for (const ext of FILE_EXTENSIONS.ts) {
+    if (normalizedPath.endsWith(ext)) {
+      return 'ts';
+    }
+  }
+
   return null;
 }
 
@@ -264,7 +273,7 @@ function parseMultipleFiles(files) {
  * Performs a quick check without full parsing.
  *
  * @param {string} content - The content to validate
- * @param {string} type - File type: 'html' or 'scss'
+ * @param {string} type - File type: 'html', 'scss' or 'ts'
  * @returns {{ valid: boolean, reason: string|null }}
  */
 function validateVerifyStructure(content, type) {
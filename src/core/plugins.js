@@ -0,0 +1,321 @@
+'use strict';
+
+/**
+ * Check Plugins
+ *
+ * Loads checks from outside the package: npm packages or local modules listed
+ * in the project config (`plugins: ['mat-a11y-plugin-acme', './a11y-rules']`).
+ * A plugin module exports:
+ *
+ *   module.exports = {
+ *     name: 'acme',                                    // optional, defaults to the config entry
+ *     checks: [require('./checks/acmeIconButton')],   // check modules, or a directory of check files
+ *     errors: { ACME_ICON_BUTTON_LABEL: { ... } },     // optional, added to the error catalog
+ *     verifyDir: path.join(__dirname, 'verify-files')  // optional, <checkName>.html|.scss|.ts
+ *   };
+ *
+ * Checks are validated with validateCheckModule() like the built-in ones and
+ * their names must not clash with built-in checks or checks of other plugins.
+ * Package names and relative paths resolve from the directory of the config
+ * file (the working directory when there is none).
+ *
+ * @module core/plugins
+ */
+
+const path = require('path');
+const { discoverChecks, loadCheck, loadAllChecks, validateCheckModule } = require('./loader');
+const { registerErrors } = require('./errors');
+const { loadProjectI18n, createI18nChecks } = require('./i18n');
+
+/**
+ * Loaded plugins by resolved module path
+ * @type {Map<string, {plugin: object|null, errors: string[]}>}
+ */
+const pluginCache = new Map();
+
+/**
+ * Check registries with plugin checks, by plugin list and base directory
+ * @type {Map<string, Map<string, object>>}
+ */
+const registryCache = new Map();
+
+/**
+ * Plugin of each plugin check module
+ * @type {WeakMap<object, object>}
+ */
+const checkPlugins = new WeakMap();
+
+/**
+ * Plugin info of the i18n checks (config "i18n"): built in, but added per project
+ * @type {{name: string, path: string, verifyDir: null}}
+ */
+const I18N_PLUGIN = { name: 'i18n', path: require.resolve('./i18n'), verifyDir: null };
+
+/**
+ * Directory plugin entries resolve from
+ * @private
+ */
+function getBaseDir(options) {
+  return options.configFile ? path.dirname(path.resolve(options.configFile)) : process.cwd();
+}
+
+/**
+ * Resolve a plugin entry from the config to the plugin's module file
+ *
+ * @param {string} spec - Package name, or a path to a module or directory
+ * @param {string} [baseDir=process.cwd()] - Directory relative paths and packages resolve from
+ * @returns {{ path: string|null, error: string|null }}
+ *
+ * @example
+ * resolvePlugin('./a11y-rules', '/work/app');
+ * // { path: '/work/app/a11y-rules/index.js', error: null }
+ */
+function resolvePlugin(spec, baseDir = process.cwd()) {
+  if (!spec || typeof spec !== 'string') {
+    return { path: null, error: 'Plugin entries must be package names or paths' };
+  }
+
+  const isPath = spec.startsWith('.') || path.isAbsolute(spec);
+  try {
+    const resolved = isPath
+      ? require.resolve(path.resolve(baseDir, spec))
+      : require.resolve(spec, { paths: [baseDir] });
+    return { path: resolved, error: null };
+  } catch (error) {
+    return {
+      path: null,
+      error: isPath
+        ? `Plugin "${spec}" not found at ${path.resolve(baseDir, spec)}`
+        : `Plugin "${spec}" not found (is it installed?)`
+    };
+  }
+}
+
+/**
+ * Load and validate the checks a plugin exports
+ * @private
+ */
+function loadPluginChecks(exported, pluginDir, label) {
+  const checks = [];
+  const errors = [];
+
+  if (typeof exported.checks === 'string') {
+    const checksDir = path.resolve(pluginDir, exported.checks);
+    for (const checkPath of discoverChecks(checksDir)) {
+      const result = loadCheck(checkPath);
+      if (result.module) checks.push(result.module);
+      else errors.push(`${label}: ${result.error}`);
+    }
+    return { checks, errors };
+  }
+
+  if (!Array.isArray(exported.checks)) {
+    return { checks, errors: [`${label}: "checks" must be an array of check modules or a directory`] };
+  }
+
+  exported.checks.forEach((checkModule, index) => {
+    const validation = validateCheckModule(checkModule);
+    if (validation.valid) {
+      checks.push(checkModule);
+    } else {
+      const name = checkModule && typeof checkModule.name === 'string' ? checkModule.name : `#${index + 1}`;
+      errors.push(`${label}: Check "${name}": Invalid module - ${validation.errors.join('; ')}`);
+    }
+  });
+  return { checks, errors };
+}
+
+/**
+ * Load one plugin
+ *
+ * Registers the plugin's error codes in the error catalog. Results are cached
+ * by module path, so a plugin is loaded once per process (and once per worker
+ * thread).
+ *
+ * @param {string} pluginPath - Resolved plugin module path (see resolvePlugin)
+ * @param {string} [spec] - Config entry, used as name when the plugin has none
+ * @returns {{ plugin: {name: string, path: string, checks: Map<string, object>, verifyDir: string|null}|null, errors: string[] }}
+ */
+function loadPlugin(pluginPath, spec = pluginPath) {
+  if (pluginCache.has(pluginPath)) return pluginCache.get(pluginPath);
+
+  let exported;
+  try {
+    exported = require(pluginPath);
+    if (exported && exported.default) exported = exported.default;
+  } catch (error) {
+    const failed = { plugin: null, errors: [`Plugin "${spec}": Failed to load - ${error.message}`] };
+    pluginCache.set(pluginPath, failed);
+    return failed;
+  }
+
+  if (!exported || typeof exported !== 'object') {
+    const failed = { plugin: null, errors: [`Plugin "${spec}": must export an object with "checks"`] };
+    pluginCache.set(pluginPath, failed);
+    return failed;
+  }
+
+  const name = typeof exported.name === 'string' && exported.name ? exported.name : spec;
+  const label = `Plugin "${name}"`;
+  const pluginDir = path.dirname(pluginPath);
+  const errors = [];
+
+  // Error codes first: checks may look them up when they load
+  if (exported.errors !== undefined) {
+    errors.push(...registerErrors(exported.errors, label).errors);
+  }
+
+  const plugin = {
+    name,
+    path: pluginPath,
+    checks: new Map(),
+    verifyDir: typeof exported.verifyDir === 'string' ? path.resolve(pluginDir, exported.verifyDir) : null
+  };
+
+  const builtIn = loadAllChecks();
+  const loaded = loadPluginChecks(exported, pluginDir, label);
+  errors.push(...loaded.errors);
+  for (const checkModule of loaded.checks) {
+    if (builtIn.has(checkModule.name)) {
+      errors.push(`${label}: Check "${checkModule.name}" is already defined by mat-a11y`);
+      continue;
+    }
+    plugin.checks.set(checkModule.name, checkModule);
+    checkPlugins.set(checkModule, plugin);
+  }
+
+  const result = { plugin, errors };
+  pluginCache.set(pluginPath, result);
+  return result;
+}
+
+/**
+ * Load plugins from config entries
+ *
+ * A check defined by two plugins is kept from the first one.
+ *
+ * @param {string[]} specs - Package names or paths (config "plugins")
+ * @param {string} [baseDir=process.cwd()] - Directory relative paths and packages resolve from
+ * @returns {{ plugins: object[], errors: string[] }} Loaded plugins and problems
+ *
+ * @example
+ * const { plugins, errors } = loadPlugins(['mat-a11y-plugin-acme', './a11y-rules'], projectDir);
+ */
+function loadPlugins(specs, baseDir = process.cwd()) {
+  const plugins = [];
+  const errors = [];
+  const owners = new Map();
+
+  for (const spec of specs || []) {
+    const resolved = resolvePlugin(spec, baseDir);
+    if (!resolved.path) {
+      errors.push(resolved.error);
+      continue;
+    }
+    if (plugins.some(plugin => plugin.path === resolved.path)) continue;
+
+    const loaded = loadPlugin(resolved.path, spec);
+    errors.push(...loaded.errors);
+    if (!loaded.plugin) continue;
+
+    for (const name of loaded.plugin.checks.keys()) {
+      if (owners.has(name)) {
+        errors.push(`Plugin "${loaded.plugin.name}": Check "${name}" is already defined by plugin "${owners.get(name)}"`);
+      } else {
+        owners.set(name, loaded.plugin.name);
+      }
+    }
+    plugins.push(loaded.plugin);
+  }
+
+  return { plugins, errors };
+}
+
+/**
+ * Load the plugins of a project
+ *
+ * @param {object} [options] - Analysis options
+ * @param {string[]} [options.plugins] - Config "plugins"
+ * @param {string} [options.configFile] - Config file the entries resolve from
+ * @returns {{ plugins: object[], errors: string[] }}
+ */
+function loadProjectPlugins(options = {}) {
+  return loadPlugins(options.plugins, getBaseDir(options));
+}
+
+/**
+ * Create the i18n checks of a project (config "i18n"), reported as plugin "i18n"
+ *
+ * @param {object} [options] - Analysis options (i18n, configFile)
+ * @param {function(string): void} [log] - Where translation loading problems are reported
+ * @returns {object[]} Check modules (none when i18n is off)
+ */
+function loadI18nChecks(options = {}, log = undefined) {
+  const i18n = loadProjectI18n(options, log);
+  if (!i18n) return [];
+
+  const checks = createI18nChecks(i18n);
+  for (const checkModule of checks) checkPlugins.set(checkModule, I18N_PLUGIN);
+  return checks;
+}
+
+/**
+ * Get the check registry of a project: built-in checks plus plugin checks
+ *
+ * Without plugins and i18n this is loadAllChecks(). Plugin problems are
+ * logged as warnings (once) and the affected checks left out.
+ *
+ * @param {object} [options] - Analysis options (plugins, i18n, configFile)
+ * @returns {Map<string, object>} Map of checkName -> module
+ *
+ * @example
+ * const registry = loadProjectChecks({ plugins: ['./a11y-rules'], configFile: '/work/app/.mat-a11yrc' });
+ */
+function loadProjectChecks(options = {}) {
+  const hasPlugins = Array.isArray(options.plugins) && options.plugins.length > 0;
+  if (!hasPlugins && !options.i18n) {
+    return loadAllChecks();
+  }
+
+  const key = JSON.stringify([getBaseDir(options), options.plugins || [], options.i18n || false]);
+  if (registryCache.has(key)) return registryCache.get(key);
+
+  const { plugins, errors } = loadProjectPlugins(options);
+  for (const error of errors) {
+    console.warn(`[plugins] ${error}`);
+  }
+
+  const registry = new Map(loadAllChecks());
+  for (const plugin of plugins) {
+    for (const [name, checkModule] of plugin.checks) {
+      if (!registry.has(name)) registry.set(name, checkModule);
+    }
+  }
+  for (const checkModule of loadI18nChecks(options)) {
+    if (!registry.has(checkModule.name)) registry.set(checkModule.name, checkModule);
+  }
+
+  registryCache.set(key, registry);
+  return registry;
+}
+
+/**
+ * Get the plugin a check comes from
+ *
+ * @param {object} checkModule - Check module
+ * @returns {{name: string, path: string, verifyDir: string|null}|null} Plugin, or null for built-in checks
+ */
+function getPluginInfo(checkModule) {
+  const plugin = checkModule && typeof checkModule === 'object' ? checkPlugins.get(checkModule) : null;
+  return plugin ? { name: plugin.name, path: plugin.path, verifyDir: plugin.verifyDir } : null;
+}
+
+module.exports = {
+  resolvePlugin,
+  loadPlugin,
+  loadPlugins,
+  loadProjectPlugins,
+  loadProjectChecks,
+  loadI18nChecks,
+  getPluginInfo
+};
@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * Report Diff
+ *
+ * Compares two JSON reports (--json output) to answer "what did this change
+ * fix and break?": which issues are new, fixed or unchanged, and how the
+ * score of every component (or page) moved.
+ *
+ * Issues are matched by the fingerprint baselines use (check, file, element
+ * snippet), so code that only moved to another line is unchanged. File paths
+ * are made relative to the project directory recorded in each report, so
+ * reports from different checkouts (e.g. two CI runs) still match.
+ *
+ * The diff is returned as `{ diff }` and rendered by the markdown, HTML,
+ * Slack, Teams, Discord and JSON formatters.
+ *
+ * @module core/reportDiff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getIssueFingerprint } = require('./baseline');
+const { getEntityIssues, getMode, getOverallScore } = require('./history');
+
+/**
+ * Maximum number of issues listed per section in the console output
+ * @type {number}
+ */
+const CONSOLE_LIMIT = 20;
+
+// ============================================
+// READING REPORTS
+// ============================================
+
+/**
+ * Read a JSON report written by the json formatter (--json)
+ *
+ * Plain analysis results (e.g. JSON.stringify(analyzeByComponent(...))) are accepted too.
+ *
+ * @param {string} filePath - Report file
+ * @returns {{ file: string, timestamp: string|null, projectDir: string|null, results: object }}
+ * @throws {Error} When the file is missing, not JSON or not a mat-a11y report
+ */
+function readReport(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Report not found: ${filePath}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid report ${filePath}: ${error.message}`);
+  }
+
+  if (data && data.diff) {
+    throw new Error(`${filePath} is a diff report, not a scan report`);
+  }
+
+  const generated = (data && data._generated) || {};
+  const results = data && data.raw && typeof data.raw === 'object' ? data.raw : data;
+  const isResults = results && typeof results === 'object' && (
+    Array.isArray(results.components) ||
+    Array.isArray(results.urls) ||
+    Array.isArray(results.routes) ||
+    (results.summary && Array.isArray(results.summary.issues))
+  );
+  if (!isResults) {
+    throw new Error(`${filePath} is not a mat-a11y JSON report (write one with --json)`);
+  }
+
+  return {
+    file: filePath,
+    timestamp: generated.timestamp || null,
+    projectDir: generated.projectDir || null,
+    results
+  };
+}
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Deepest directory containing every absolute file of the given results
+ * (for reports that don't record their project directory)
+ * @private
+ */
+function getCommonDir(resultsList) {
+  let common = null;
+  for (const results of resultsList) {
+    for (const { issues } of getEntityIssues(results, null)) {
+      for (const issue of issues) {
+        const file = issue && issue.file;
+        if (!file || !path.isAbsolute(file)) continue;
+        const dir = path.dirname(file);
+        if (common === null) {
+          common = dir;
+          continue;
+        }
+        while (common !== dir && !dir.startsWith(common + path.sep)) {
+          const parent = path.dirname(common);
+          if (parent === common) break;
+          common = parent;
+        }
+      }
+    }
+  }
+  return common;
+}
+
+/**
+ * Issues of a report, keyed by component/page and fingerprint
+ * @private
+ */
+function indexIssues(results, projectDir) {
+  const index = new Map();
+  for (const { name, issues } of getEntityIssues(results, projectDir)) {
+    for (const issue of issues) {
+      const { fingerprint, check, file, element } = getIssueFingerprint(issue, { projectDir });
+      const structured = issue && typeof issue === 'object';
+      const message = structured ? String(issue.message || '') : String(issue || '');
+      const location = (structured && issue.location) || {};
+      const entry = {
+        fingerprint,
+        check,
+        file,
+        element,
+        component: name,
+        severity: (structured && issue.severity) || null,
+        wcag: (structured && issue.wcag) || null,
+        message: message.split('\n')[0].replace(/^\[(Error|Warning|Info)\]\s*/, ''),
+        line: location.line || (structured && issue.line) || null
+      };
+
+      const key = `${name}\n${fingerprint}`;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry);
+    }
+  }
+  return index;
+}
+
+/**
+ * Summary of one side of the diff
+ * @private
+ */
+function describeReport(report, issues) {
+  return {
+    file: report.file || null,
+    timestamp: report.timestamp || null,
+    mode: getMode(report.results),
+    tier: report.results.tier || null,
+    auditScore: getOverallScore(report.results),
+    issues
+  };
+}
+
+/**
+ * Compare two reports
+ *
+ * @param {object} before - Older report, from readReport() (or { results, projectDir })
+ * @param {object} after - Newer report
+ * @returns {{ diff: object }} `diff` holds `before`, `after`, `auditScore` (change), `new`, `fixed`
+ *   and `unchanged` issue lists, and `components` (changed components/pages, biggest change first)
+ * @throws {Error} When the reports come from different analysis modes
+ *
+ * @example
+ * const { diff } = diffReports(readReport('main.json'), readReport('branch.json'));
+ * console.log(`${diff.new.length} new, ${diff.fixed.length} fixed`);
+ */
+function diffReports(before, after) {
+  const beforeMode = getMode(before.results);
+  const afterMode = getMode(after.results);
+  if (beforeMode !== afterMode) {
+    throw new Error(`Reports come from different analysis modes (${beforeMode} and ${afterMode})`);
+  }
+
+  // Paths are relative to each report's project directory; when a report doesn't
+  // record one, both use the deepest directory common to their files instead
+  const recorded = Boolean(before.projectDir && after.projectDir);
+  const fallbackDir = recorded ? null : getCommonDir([before.results, after.results]);
+  const beforeDir = recorded ? before.projectDir : fallbackDir;
+  const afterDir = recorded ? after.projectDir : fallbackDir;
+  const beforeIssues = indexIssues(before.results, beforeDir);
+  const afterIssues = indexIssues(after.results, afterDir);
+
+  const added = [];
+  const fixed = [];
+  const unchanged = [];
+  for (const key of new Set([...beforeIssues.keys(), ...afterIssues.keys()])) {
+    const was = beforeIssues.get(key) || [];
+    const now = afterIssues.get(key) || [];
+    const kept = Math.min(was.length, now.length);
+    unchanged.push(...now.slice(0, kept));
+    added.push(...now.slice(kept));
+    fixed.push(...was.slice(kept));
+  }
+
+  const beforeScores = new Map(getEntityIssues(before.results, beforeDir).map(entity => [entity.name, entity]));
+  const afterScores = new Map(getEntityIssues(after.results, afterDir).map(entity => [entity.name, entity]));
+  const count = (list, name) => list.filter(issue => issue.component === name).length;
+
+  const components = [];
+  for (const name of new Set([...beforeScores.keys(), ...afterScores.keys()])) {
+    const was = beforeScores.get(name);
+    const now = afterScores.get(name);
+    const wasScore = was ? was.auditScore : null;
+    const nowScore = now ? now.auditScore : null;
+    const entry = {
+      name,
+      before: was ? { auditScore: wasScore, issues: was.issues.length } : null,
+      after: now ? { auditScore: nowScore, issues: now.issues.length } : null,
+      auditScore: typeof wasScore === 'number' && typeof nowScore === 'number' ? nowScore - wasScore : null,
+      new: count(added, name),
+      fixed: count(fixed, name)
+    };
+    if (entry.new > 0 || entry.fixed > 0 || entry.auditScore || !was || !now) components.push(entry);
+  }
+  components.sort((a, b) =>
+    (b.new + b.fixed) - (a.new + a.fixed) ||
+    Math.abs(b.auditScore || 0) - Math.abs(a.auditScore || 0) ||
+    a.name.localeCompare(b.name)
+  );
+
+  const beforeSummary = describeReport(before, [...beforeIssues.values()].reduce((sum, list) => sum + list.length, 0));
+  const afterSummary = describeReport(after, [...afterIssues.values()].reduce((sum, list) => sum + list.length, 0));
+
+  return {
+    diff: {
+      before: beforeSummary,
+      after: afterSummary,
+      auditScore: typeof beforeSummary.auditScore === 'number' && typeof afterSummary.auditScore === 'number'
+        ? afterSummary.auditScore - beforeSummary.auditScore
+        : null,
+      new: added,
+      fixed,
+      unchanged,
+      components
+    }
+  };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Signed number ("+3", "-2", "0")
+ * @private
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Label of one side of the diff: file name and date
+ * @private
+ */
+function describeSide(side) {
+  const name = side.file ? path.basename(side.file) : 'report';
+  return side.timestamp ? `${name} (${side.timestamp.slice(0, 16).replace('T', ' ')})` : name;
+}
+
+/**
+ * Issue list section of the console output
+ * @private
+ */
+function formatIssueList(lines, title, issues) {
+  if (issues.length === 0) return;
+  lines.push('');
+  lines.push(`${title} (${issues.length}):`);
+  for (const issue of issues.slice(0, CONSOLE_LIMIT)) {
+    const line = issue.line ? `:${issue.line}` : '';
+    lines.push(`  ${issue.check}  ${issue.file}${line}  ${issue.message}`);
+  }
+  if (issues.length > CONSOLE_LIMIT) {
+    lines.push(`  ... and ${issues.length - CONSOLE_LIMIT} more`);
+  }
+}
+
+/**
+ * Format a diff for the console
+ *
+ * @param {object} diff - `diff` from diffReports()
+ * @returns {string}
+ */
+function formatDiff(diff) {
+  const lines = [];
+  const { before, after } = diff;
+
+  lines.push('========================================');
+  lines.push('  MAT-A11Y DIFF');
+  lines.push('========================================');
+  lines.push('');
+  lines.push(`Before: ${describeSide(before)}`);
+  lines.push(`After:  ${describeSide(after)}`);
+  lines.push('');
+
+  if (diff.auditScore !== null) {
+    lines.push(`Score:  ${before.auditScore}% -> ${after.auditScore}% (${signed(diff.auditScore)})`);
+  }
+  lines.push(`Issues: ${before.issues} -> ${after.issues} (${diff.new.length} new, ${diff.fixed.length} fixed, ${diff.unchanged.length} unchanged)`);
+
+  if (diff.components.length > 0) {
+    const noun = before.mode === 'component' ? 'Components' : (before.mode === 'file-based' ? 'Files' : 'Pages');
+    const width = Math.max(...diff.components.slice(0, CONSOLE_LIMIT).map(entry => entry.name.length));
+    lines.push('');
+    lines.push(`${noun} (${diff.components.length} changed):`);
+    for (const entry of diff.components.slice(0, CONSOLE_LIMIT)) {
+      const score = (side) => side && typeof side.auditScore === 'number' ? `${side.auditScore}%` : '-';
+      const change = entry.auditScore ? ` (${signed(entry.auditScore)})` : '';
+      lines.push(`  ${entry.name.padEnd(width)}  ${score(entry.before).padStart(4)} -> ${score(entry.after).padStart(4)}${change}  ${entry.new} new, ${entry.fixed} fixed`);
+    }
+    if (diff.components.length > CONSOLE_LIMIT) {
+      lines.push(`  ... and ${diff.components.length - CONSOLE_LIMIT} more`);
+    }
+  }
+
+  formatIssueList(lines, 'New issues', diff.new);
+  formatIssueList(lines, 'Fixed issues', diff.fixed);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  readReport,
+  diffReports,
+  formatDiff
+};
@@ -5,6 +5,10 @@
  *
  * Analyzes Angular routes individually and calculates per-route scores.
  * Mimics how Lighthouse scores individual pages.
+ *
+ * Every route in the router config is scored, including lazily loaded child
+ * routes, guarded routes and redirect targets. This covers apps without a
+ * sitemap.xml (e.g. back-office UIs behind a login).
  */
 
 const fs = require('fs');
@@ -12,13 +16,21 @@ const path = require('path');
 const { parseAngularRoutes } = require('./routeParser');
 const { resolveAllRoutes } = require('./componentResolver');
 const { calculateAuditScore } = require('./weights');
-const { loadAllChecks, getChecksByTier } = require('./loader');
-const { createPageResolver } = require('./pageResolver');
+const { resolveOptions, selectChecks, applySeverityOverride } = require('./config');
+const { addCoverage } = require('./conformance');
+const { applySuppressions, createSuppressionSummary, addSuppressions } = require('./suppressions');
+const { withLocations } = require('./location');
+const { getSeverity } = require('./errors');
+const { getChecksByTier, getCheckContext } = require('./loader');
+const { loadProjectChecks } = require('./plugins');
+const { createPageResolver, getPrimaryFiles } = require('./pageResolver');
+const { loadComponentMap, applyComponentMap, restoreIssues } = require('./componentMap');
+const { mapPageIssues } = require('./pageComposer');
 
 /**
  * Get check names from registry filtered by type
  * @param {Map} registry - Check registry
- * @param {string} type - 'html' or 'scss'
+ * @param {string} type - 'html', 'scss' or 'ts'
  * @returns {string[]} Array of check names
  */
 function getCheckNamesByType(registry, type) {
@@ -50,19 +62,21 @@ function getCheckFunction(name, registry) {
  * @param {string} name - Check name
  * @param {string} content - File content
  * @param {Map} registry - Check registry
+ * @param {object|null} [severityOverrides] - Per-check severity overrides (project config)
  * @returns {object} { pass, issues, elementsFound }
  */
-function runCheck(name, content, registry) {
+function runCheck(name, content, registry, severityOverrides = null) {
   const checkFn = getCheckFunction(name, registry);
   if (!checkFn) {
     return { pass: true, issues: [], elementsFound: 0 };
   }
 
   try {
-    const result = checkFn(content);
+    const result = checkFn(content, getCheckContext(registry.get(name), content));
     return {
       pass: result.pass,
-      issues: result.issues || [],
+      issues: (result.issues || []).map(issue => applySeverityOverride(issue, name, severityOverrides)),
+      locations: result.locations || [],
       elementsFound: result.elementsFound || 0
     };
   } catch (error) {
@@ -70,18 +84,117 @@ function runCheck(name, content, registry) {
   }
 }
 
+/**
+ * Run checks on one template or stylesheet, dropping issues silenced by
+ * inline mat-a11y-disable comments
+ * @param {string[]} checkNames - Checks to run
+ * @param {string} content - Content to check
+ * @param {string} file - File path (or pseudo path) reported with suppressions
+ * @param {'html'|'scss'|'ts'} type - Content type (suppression comment syntax)
+ * @param {Map} registry - Check registry
+ * @param {object} options - Resolved options (severity overrides, suppressions summary, componentMap)
+ * @param {{line: number, column: number}} [origin] - Where inline content starts in `file`
+ * @returns {Object<string, object>} Check name -> check result (issues carry their location)
+ */
+function runChecks(checkNames, content, file, type, registry, options, origin = null) {
+  // Templates: wrapper components are checked as the elements they are mapped to
+  const mapped = type === 'html' ? applyComponentMap(content, options.componentMap) : null;
+
+  const checkResults = {};
+  const issuesByCheck = {};
+  for (const checkName of checkNames) {
+    checkResults[checkName] = runCheck(checkName, mapped ? mapped.content : content, registry, options.severity);
+    issuesByCheck[checkName] = restoreIssues(mapped, withLocations(checkResults[checkName].issues, checkResults[checkName].locations));
+  }
+
+  const applied = applySuppressions(content, type, issuesByCheck, { knownChecks: options.knownChecks, origin });
+  for (const checkName of checkNames) {
+    checkResults[checkName].issues = applied.issues[checkName];
+  }
+  if (options.suppressions) {
+    addSuppressions(options.suppressions, applied, file);
+  }
+
+  return checkResults;
+}
+
 /**
  * Count errors from issues array
- * @param {Array} issues - Array of issue strings
+ * @param {Array} issues - Structured issues
  * @returns {number} Number of errors
  */
 function countErrors(issues) {
-  let errors = 0;
-  for (const issue of issues) {
-    const msg = typeof issue === 'string' ? issue : issue.message || '';
-    if (msg.startsWith('[Error]')) errors++;
+  return issues.filter(issue => getSeverity(issue) === 'error').length;
+}
+
+/**
+ * Run page-level checks on a composed page, dropping issues silenced by
+ * inline mat-a11y-disable comments in the template each issue comes from
+ * @param {string[]} checkNames - Page-level checks to run
+ * @param {object} page - Composed page from PageResolver (core/pageComposer)
+ * @param {Map} registry - Check registry
+ * @param {object} options - Resolved options (severity overrides, suppressions summary)
+ * @returns {Object<string, object>} Check name -> check result (issues carry their file and location)
+ */
+function runPageChecks(checkNames, page, registry, options) {
+  const checkResults = {};
+  const issuesByTemplate = new Map(page.templates.map(template => [template, {}]));
+
+  for (const checkName of checkNames) {
+    checkResults[checkName] = runCheck(checkName, page.content, registry, options.severity);
+    const issues = withLocations(checkResults[checkName].issues, checkResults[checkName].locations);
+    for (const { template, issues: templateIssues } of mapPageIssues(page, issues)) {
+      issuesByTemplate.get(template)[checkName] = templateIssues;
+    }
+    checkResults[checkName].issues = [];
+  }
+
+  for (const [template, issuesByCheck] of issuesByTemplate) {
+    const applied = applySuppressions(template.content, 'html', issuesByCheck, { knownChecks: options.knownChecks, origin: template.origin });
+    for (const checkName of checkNames) {
+      checkResults[checkName].issues.push(...applied.issues[checkName].map(issue => ({ ...issue, file: template.file })));
+    }
+    if (options.suppressions) {
+      addSuppressions(options.suppressions, applied, template.file);
+    }
+  }
+
+  return checkResults;
+}
+
+/**
+ * Add the results of the checks run on one file (or the composed page) to a route result
+ * @param {object} result - Route result
+ * @param {object} checkAggregates - Check name -> { elementsFound, issues, errors, warnings }
+ * @param {string[]} checkNames - Checks that ran
+ * @param {Object<string, object>} checkResults - From runChecks() or runPageChecks()
+ * @param {string|null} file - File the issues are reported in (null: each issue has its file)
+ */
+function addCheckResults(result, checkAggregates, checkNames, checkResults, file) {
+  for (const checkName of checkNames) {
+    const checkResult = checkResults[checkName];
+
+    if (!checkAggregates[checkName]) {
+      checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
+    }
+    checkAggregates[checkName].elementsFound += checkResult.elementsFound;
+    checkAggregates[checkName].issues += checkResult.issues.length;
+
+    const errorCount = countErrors(checkResult.issues);
+    checkAggregates[checkName].errors += errorCount;
+    checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
+
+    if (checkResult.elementsFound > 0) {
+      result.elementsChecked += checkResult.elementsFound;
+      result.elementsPassed += (checkResult.elementsFound - checkResult.issues.length);
+      result.elementsFailed += checkResult.issues.length;
+    }
+
+    // Collect issues
+    for (const issue of checkResult.issues) {
+      result.issues.push({ ...issue, file: file || issue.file, check: checkName });
+    }
   }
-  return errors;
 }
 
 /**
@@ -91,12 +204,16 @@ function countErrors(issues) {
  * @param {Map} registry - Check registry (tier-filtered)
  * @param {string[]} htmlChecks - HTML check names to run
  * @param {string[]} scssChecks - SCSS check names to run
+ * @param {object} [options] - Resolved options (severity/weights overrides, tsChecks, coverage)
  * @returns {object} Route analysis result
  */
-function analyzeRoute(route, pageFiles, registry, htmlChecks, scssChecks) {
+function analyzeRoute(route, pageFiles, registry, htmlChecks, scssChecks, options = {}) {
   const result = {
     path: route.path,
     component: route.loadComponent?.exportName || route.component || null,
+    guards: route.guards || [],
+    lazy: route.lazy === true,
+    redirectFrom: route.redirectFrom || [],
     files: [],
     childComponents: pageFiles?.components || [],
     auditScore: 100,
@@ -112,73 +229,33 @@ function analyzeRoute(route, pageFiles, registry, htmlChecks, scssChecks) {
 
   const checkAggregates = {};
 
+  // Page-level checks run once on the composed page (deep resolution), the others per template
+  const page = pageFiles?.page || null;
+  const pageChecks = page ? htmlChecks.filter(name => registry.get(name)?.pageLevel === true) : [];
+  const templateChecks = htmlChecks.filter(name => !pageChecks.includes(name));
+
   // Analyze all HTML files (resolved by PageResolver)
   for (const htmlFile of (pageFiles?.htmlFiles || [])) {
     if (!fs.existsSync(htmlFile)) continue;
     
     result.files.push(htmlFile);
     const content = fs.readFileSync(htmlFile, 'utf-8');
-
-    // Run HTML checks
-    for (const checkName of htmlChecks) {
-      const checkResult = runCheck(checkName, content, registry);
-
-      if (!checkAggregates[checkName]) {
-        checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      checkAggregates[checkName].issues += checkResult.issues.length;
-
-      const errorCount = countErrors(checkResult.issues);
-      checkAggregates[checkName].errors += errorCount;
-      checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
-
-      if (checkResult.elementsFound > 0) {
-        result.elementsChecked += checkResult.elementsFound;
-        result.elementsPassed += (checkResult.elementsFound - checkResult.issues.length);
-        result.elementsFailed += checkResult.issues.length;
-      }
-
-      // Collect issues
-      for (const issue of checkResult.issues) {
-        result.issues.push({
-          message: typeof issue === 'string' ? issue : issue.message,
-          file: htmlFile,
-          check: checkName
-        });
-      }
-    }
+    const checkResults = runChecks(templateChecks, content, htmlFile, 'html', registry, options);
+    addCheckResults(result, checkAggregates, templateChecks, checkResults, htmlFile);
   }
 
   // Analyze inline templates
-  for (const { selector, template } of (pageFiles?.inlineTemplates || [])) {
-    for (const checkName of htmlChecks) {
-      const checkResult = runCheck(checkName, template, registry);
-
-      if (!checkAggregates[checkName]) {
-        checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      checkAggregates[checkName].issues += checkResult.issues.length;
-
-      const errorCount = countErrors(checkResult.issues);
-      checkAggregates[checkName].errors += errorCount;
-      checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
-
-      if (checkResult.elementsFound > 0) {
-        result.elementsChecked += checkResult.elementsFound;
-        result.elementsPassed += (checkResult.elementsFound - checkResult.issues.length);
-        result.elementsFailed += checkResult.issues.length;
-      }
+  for (const { selector, template, filePath, origin } of (pageFiles?.inlineTemplates || [])) {
+    // Issues point into the component's .ts file when it is known
+    const file = filePath || `<${selector}> (inline template)`;
+    const checkResults = runChecks(templateChecks, template, file, 'html', registry, options, filePath ? origin : null);
+    addCheckResults(result, checkAggregates, templateChecks, checkResults, file);
+  }
 
-      for (const issue of checkResult.issues) {
-        result.issues.push({
-          message: typeof issue === 'string' ? issue : issue.message,
-          file: `<${selector}> (inline template)`,
-          check: checkName
-        });
-      }
-    }
+  // Analyze the composed page (issues carry the template they come from)
+  if (pageChecks.length > 0) {
+    const checkResults = runPageChecks(pageChecks, page, registry, options);
+    addCheckResults(result, checkAggregates, pageChecks, checkResults, null);
   }
 
   // Analyze all SCSS files (resolved by PageResolver)
@@ -187,44 +264,38 @@ function analyzeRoute(route, pageFiles, registry, htmlChecks, scssChecks) {
     
     result.files.push(scssFile);
     const content = fs.readFileSync(scssFile, 'utf-8');
+    const checkResults = runChecks(scssChecks, content, scssFile, 'scss', registry, options);
+    addCheckResults(result, checkAggregates, scssChecks, checkResults, scssFile);
+  }
 
-    for (const checkName of scssChecks) {
-      const checkResult = runCheck(checkName, content, registry);
-
-      if (!checkAggregates[checkName]) {
-        checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      checkAggregates[checkName].issues += checkResult.issues.length;
-
-      const errorCount = countErrors(checkResult.issues);
-      checkAggregates[checkName].errors += errorCount;
-      checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
+  // Analyze inline styles of components without a stylesheet (issues point into the .ts file)
+  for (const { styles, filePath, origin } of (pageFiles?.inlineStyles || [])) {
+    const checkResults = runChecks(scssChecks, styles, filePath, 'scss', registry, options, origin);
+    addCheckResults(result, checkAggregates, scssChecks, checkResults, filePath);
+  }
 
-      if (checkResult.elementsFound > 0) {
-        result.elementsChecked += checkResult.elementsFound;
-        result.elementsPassed += (checkResult.elementsFound - checkResult.issues.length);
-        result.elementsFailed += checkResult.issues.length;
-      }
+  // Analyze component, directive and service classes (resolved by PageResolver)
+  const tsChecks = options.tsChecks || [];
+  for (const tsFile of (tsChecks.length > 0 ? pageFiles?.tsFiles || [] : [])) {
+    if (!fs.existsSync(tsFile)) continue;
 
-      for (const issue of checkResult.issues) {
-        result.issues.push({
-          message: typeof issue === 'string' ? issue : issue.message,
-          file: scssFile,
-          check: checkName
-        });
-      }
-    }
+    result.files.push(tsFile);
+    const content = fs.readFileSync(tsFile, 'utf-8');
+    const checkResults = runChecks(tsChecks, content, tsFile, 'ts', registry, options);
+    addCheckResults(result, checkAggregates, tsChecks, checkResults, tsFile);
   }
 
   // Calculate audit score for this route
-  const auditResult = calculateAuditScore(checkAggregates);
+  const auditResult = calculateAuditScore(checkAggregates, options.weights);
   result.auditScore = auditResult.score;
   result.auditsTotal = auditResult.passed + auditResult.failed;
   result.auditsPassed = auditResult.passed;
   result.auditsFailed = auditResult.failed;
   result.audits = auditResult.audits;
 
+  // WCAG coverage of the whole run (options.coverage)
+  if (options.coverage) addCoverage(options.coverage, checkAggregates, registry, result.issues);
+
   return result;
 }
 
@@ -248,18 +319,33 @@ function progressBar(percentage, width = 10) {
  * @returns {object} Analysis results
  */
 function analyzeByRoute(projectDir, options = {}) {
+  options = resolveOptions(projectDir, options);
   const tier = options.tier || 'material';
   const deepResolve = options.deepResolve === true; // Default to false (component-level analysis)
 
   // Load check registry
-  const fullRegistry = loadAllChecks();
+  const fullRegistry = loadProjectChecks(options);
 
   // Get tier-filtered registry
-  const registry = getChecksByTier(fullRegistry, tier);
+  const registry = selectChecks(getChecksByTier(fullRegistry, tier), options);
 
   // Get check names by type
   const htmlChecks = getCheckNamesByType(registry, 'html');
   const scssChecks = getCheckNamesByType(registry, 'scss');
+  const tsChecks = getCheckNamesByType(registry, 'ts');
+
+  // Issues silenced by inline mat-a11y-disable comments (files shared by routes are listed once)
+  const suppressions = createSuppressionSummary();
+  // Elements and issues per check over all routes (WCAG conformance)
+  const coverage = {};
+  const analyzeOptions = {
+    ...options,
+    suppressions,
+    coverage,
+    tsChecks,
+    knownChecks: [...fullRegistry.keys()],
+    componentMap: loadComponentMap(options, projectDir)
+  };
 
   // Parse routes
   const parsed = parseAngularRoutes(projectDir);
@@ -301,18 +387,14 @@ function analyzeByRoute(projectDir, options = {}) {
     // Preprocessing - resolve all page files (primary + children)
     const routeFiles = {
       html: route.files.html,
-      scss: route.files.scss
+      scss: route.files.scss,
+      ts: route.files.ts
     };
     const pageFiles = pageResolver 
       ? pageResolver.resolveRouteFiles(routeFiles)
-      : {
-          htmlFiles: routeFiles.html ? [routeFiles.html] : [],
-          scssFiles: routeFiles.scss ? [routeFiles.scss] : [],
-          inlineTemplates: [],
-          components: []
-        };
-
-    const result = analyzeRoute(route, pageFiles, registry, htmlChecks, scssChecks);
+      : getPrimaryFiles(routeFiles);
+
+    const result = analyzeRoute(route, pageFiles, registry, htmlChecks, scssChecks, analyzeOptions);
     routeResults.push(result);
     totalScore += result.auditScore;
     totalIssues.push(...result.issues);
@@ -322,6 +404,16 @@ function analyzeByRoute(projectDir, options = {}) {
   // Calculate site average
   const siteAverage = Math.round(totalScore / routeResults.length);
 
+  // Calculate distribution
+  const passing = routeResults.filter(r => r.auditScore >= 90).length;
+  const warning = routeResults.filter(r => r.auditScore >= 50 && r.auditScore < 90).length;
+  const failing = routeResults.filter(r => r.auditScore < 50).length;
+
+  // Routes whose component files could not be found
+  const resolvedPaths = new Set(resolved.map(route => route.path));
+  const unresolvedRoutes = [...new Set(parsed.routes.map(route => route.path))]
+    .filter(routePath => !resolvedPaths.has(routePath));
+
   // Sort routes by score (worst first)
   const sortedRoutes = [...routeResults].sort((a, b) => a.auditScore - b.auditScore);
 
@@ -354,13 +446,22 @@ function analyzeByRoute(projectDir, options = {}) {
 
   return {
     tier,
+    weightOverrides: options.weights || null,
     siteAverage,
     routeCount: routeResults.length,
+    resolvedCount: resolved.length,
+    unresolvedCount: unresolvedRoutes.length,
+    unresolvedRoutes,
+    distribution: { passing, warning, failing },
     routes: sortedRoutes,
     worstRoutes,
+    redirects: parsed.redirects || [],
     routingFiles: parsed.routingFiles,
     totalIssues: totalIssues.length,
     allIssues: totalIssues,
+    suppressions,
+    coverage,
+    wcagLevel: options.wcagLevel || null,
     // Deep resolution stats
     deepResolve: deepResolve ? {
       enabled: true,
@@ -423,7 +524,7 @@ function groupByComponent(routes) {
         comp.checkCounts[issue.check] = 0;
       }
 
-      const globalKey = `${filePath}|${issue.check}|${issue.message}`;
+      const globalKey = `${filePath}|${issue.check}|${issue.message}|${issue.element}`;
       if (!globalSeen.has(globalKey)) {
         globalSeen.add(globalKey);
         comp.checkCounts[issue.check]++;
@@ -435,6 +536,49 @@ function groupByComponent(routes) {
   return components;
 }
 
+/**
+ * Describe how a route is reached (lazy loading, guards, redirects)
+ * @private
+ */
+function formatRouteTags(route) {
+  const tags = [];
+  if (route.lazy) tags.push('lazy');
+  if (route.guards && route.guards.length > 0) tags.push('guarded: ' + route.guards.join(', '));
+  if (route.redirectFrom && route.redirectFrom.length > 0) tags.push('redirect from ' + route.redirectFrom.join(', '));
+  return tags.length > 0 ? `  [${tags.join('; ')}]` : '';
+}
+
+/**
+ * Add the score distribution and the scored routes (best first) to the output
+ * @private
+ */
+function formatRouteScores(results, lines, title, noun) {
+  const passing = results.routes.filter(r => r.auditScore >= 90).length;
+  const warning = results.routes.filter(r => r.auditScore >= 50 && r.auditScore < 90).length;
+  const failing = results.routes.filter(r => r.auditScore < 50).length;
+
+  lines.push(`${title} SCORES (${results.routeCount} routes):`);
+  lines.push(`  🟢 Passing (90-100%): ${passing} routes`);
+  lines.push(`  🟡 Needs Work (50-89%): ${warning} routes`);
+  lines.push(`  🔴 Failing (<50%): ${failing} routes`);
+  lines.push('');
+
+  lines.push(`${title}S:`);
+  const displayRoutes = [...results.routes].sort((a, b) => b.auditScore - a.auditScore);
+
+  for (const route of displayRoutes.slice(0, 20)) {
+    const bar = progressBar(route.auditScore);
+    const score = String(route.auditScore).padStart(3) + '%';
+    const audits = `${route.auditsPassed}/${route.auditsTotal}`;
+    lines.push(`  ${route.path.padEnd(40)} ${score}  ${bar}  ${audits} audits${formatRouteTags(route)}`);
+  }
+
+  if (displayRoutes.length > 20) {
+    lines.push(`  ... and ${displayRoutes.length - 20} more ${noun}`);
+  }
+  lines.push('');
+}
+
 /**
  * Format route analysis results for console
  * @param {object} results - Analysis results
@@ -449,7 +593,7 @@ function formatRouteResults(results) {
   if (isDeep) {
     lines.push('  MAT-A11Y PAGE ANALYSIS');
   } else {
-    lines.push('  MAT-A11Y COMPONENT ANALYSIS');
+    lines.push('  MAT-A11Y ROUTE ANALYSIS');
   }
   lines.push('========================================');
   lines.push('');
@@ -471,30 +615,7 @@ function formatRouteResults(results) {
     lines.push(`  Child Components Analyzed: ${results.deepResolve.childComponentsAnalyzed}`);
     lines.push('');
 
-    const passing = results.routes.filter(r => r.auditScore >= 90).length;
-    const warning = results.routes.filter(r => r.auditScore >= 50 && r.auditScore < 90).length;
-    const failing = results.routes.filter(r => r.auditScore < 50).length;
-
-    lines.push(`PAGE SCORES (${results.routeCount} routes):`);
-    lines.push(`  🟢 Passing (90-100%): ${passing} routes`);
-    lines.push(`  🟡 Needs Work (50-89%): ${warning} routes`);
-    lines.push(`  🔴 Failing (<50%): ${failing} routes`);
-    lines.push('');
-
-    lines.push('PAGES:');
-    const displayRoutes = [...results.routes].sort((a, b) => b.auditScore - a.auditScore);
-
-    for (const route of displayRoutes.slice(0, 20)) {
-      const bar = progressBar(route.auditScore);
-      const score = String(route.auditScore).padStart(3) + '%';
-      const audits = `${route.auditsPassed}/${route.auditsTotal}`;
-      lines.push(`  ${route.path.padEnd(40)} ${score}  ${bar}  ${audits} audits`);
-    }
-
-    if (displayRoutes.length > 20) {
-      lines.push(`  ... and ${displayRoutes.length - 20} more pages`);
-    }
-    lines.push('');
+    formatRouteScores(results, lines, 'PAGE', 'pages');
 
     if (results.worstRoutes && results.worstRoutes.length > 0) {
       lines.push('FIX PRIORITIES:');
@@ -510,10 +631,12 @@ function formatRouteResults(results) {
     }
   } else {
     // Component-level: group by component
-    lines.push('Mode: Component-level (default)');
+    lines.push('Mode: Route components (default)');
     lines.push(`  Use --deep for page-level scores with child components`);
     lines.push('');
 
+    formatRouteScores(results, lines, 'ROUTE', 'routes');
+
     const components = groupByComponent(results.routes);
 
     const componentList = [];
@@ -571,6 +694,20 @@ function formatRouteResults(results) {
     }
   }
 
+  // Redirects that lead nowhere and routes without component files can't be scored
+  const danglingRedirects = (results.redirects || []).filter(redirect => !redirect.resolved);
+  if (danglingRedirects.length > 0) {
+    lines.push('REDIRECTS WITHOUT A SCORED TARGET:');
+    for (const redirect of danglingRedirects) {
+      lines.push(`  ${redirect.path} -> ${redirect.redirectTo}`);
+    }
+    lines.push('');
+  }
+  if (results.unresolvedRoutes && results.unresolvedRoutes.length > 0) {
+    lines.push(`NOT SCORED (component files not found): ${results.unresolvedRoutes.join(', ')}`);
+    lines.push('');
+  }
+
   lines.push('========================================');
 
   return lines.join('\n');
@@ -9,9 +9,12 @@
  * Handles:
  * - NgModule routing (RouterModule.forRoot/forChild)
  * - Standalone routing (provideRouter, app.routes.ts)
- * - Lazy loading (loadChildren, loadComponent)
+ * - Lazy loading (loadChildren, loadComponent); routes of a lazily loaded
+ *   routing file or NgModule are flattened under the path that loads them
  * - Nested children routes
  * - Route parameters (:id, :slug)
+ * - Guards (canActivate, canActivateChild, canMatch, canLoad), inherited by child routes
+ * - Redirects (redirectTo), resolved to the route they point to
  */
 
 const fs = require('fs');
@@ -242,6 +245,8 @@ function parseRouteObject(objectContent, dirPath) {
     component: null,
     loadComponent: null,
     loadChildren: null,
+    redirectTo: null,
+    guards: [],
     children: [],
     data: null
   };
@@ -295,6 +300,26 @@ function parseRouteObject(objectContent, dirPath) {
     route.loadChildren = loadChildrenMatch[1];
   }
 
+  // Extract redirectTo (string redirects only) - from content WITHOUT children
+  const redirectMatch = contentWithoutChildren.match(/redirectTo\s*:\s*['"]([^'"]*)['"]/);
+  if (redirectMatch) {
+    route.redirectTo = redirectMatch[1];
+  }
+
+  // Extract guards - from content WITHOUT children
+  // Pattern: canActivate: [AuthGuard, roleGuard('admin'), () => inject(Auth).check()]
+  const guardRegex = /\b(?:canActivate|canActivateChild|canMatch|canLoad)\s*:\s*\[([^\]]*)\]/g;
+  let guardMatch;
+  while ((guardMatch = guardRegex.exec(contentWithoutChildren)) !== null) {
+    for (const item of guardMatch[1].split(',')) {
+      const name = item.trim().match(/^[A-Za-z_$][\w$]*/);
+      const guard = name ? name[0] : (item.trim() ? '(inline guard)' : null);
+      if (guard && !route.guards.includes(guard)) {
+        route.guards.push(guard);
+      }
+    }
+  }
+
   // Extract data - from content WITHOUT children
   const dataMatch = contentWithoutChildren.match(/data\s*:\s*\{[^}]+\}/);
   if (dataMatch) {
@@ -304,14 +329,63 @@ function parseRouteObject(objectContent, dirPath) {
   return route;
 }
 
+/**
+ * Normalize a route path ('/a//b' -> '/a/b', '' -> '/')
+ * @private
+ */
+function normalizePath(routePath) {
+  return '/' + routePath.replace(/^\/+/, '').replace(/\/+/g, '/');
+}
+
+/**
+ * Resolve a redirectTo to a full path (relative redirects are siblings of the redirect route)
+ * @param {string} redirectTo - Redirect target from the route config
+ * @param {string} parentPath - Full path of the parent route
+ * @returns {string} Full target path
+ */
+function resolveRedirect(redirectTo, parentPath) {
+  const target = redirectTo.split(/[?#]/)[0];
+  if (target.startsWith('/')) return normalizePath(target);
+  return normalizePath(parentPath ? `${parentPath}/${target}` : target);
+}
+
+/**
+ * Find the routing file a loadChildren import loads
+ *
+ * Standalone apps load a routes file directly. NgModules either declare their
+ * routes in the module file or in a `*-routing.module.ts` next to it.
+ *
+ * @param {string} importPath - Import path from loadChildren
+ * @param {string} dirPath - Directory of the routing file
+ * @returns {string[]} Candidate files, most specific first (empty for aliased imports)
+ */
+function resolveLoadChildren(importPath, dirPath) {
+  if (!importPath.startsWith('./') && !importPath.startsWith('../')) return [];
+
+  const basePath = path.resolve(dirPath, importPath);
+  const candidates = [`${basePath}.ts`, path.join(basePath, 'index.ts')];
+  const file = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!file) return [];
+
+  const routingModule = file.replace(/\.module\.ts$/, '-routing.module.ts');
+  return routingModule !== file && fs.existsSync(routingModule) ? [file, routingModule] : [file];
+}
+
 /**
  * Flatten nested routes into full paths
  * @param {object[]} routes - Array of parsed routes
  * @param {string} parentPath - Parent path prefix
+ * @param {object} [context] - Routing context
+ * @param {string} [context.routingFile] - Routing file the routes come from
+ * @param {object} [context.imports] - Imports of the routing file (resolves `component:` classes)
+ * @param {string[]} [context.guards] - Guards of the parent routes
+ * @param {Function} [context.loadChildren] - (route, routingFile) => parsed routing file the route loads, or null
+ * @param {object[]} [context.redirects] - Collects redirect routes as { path, redirectTo }
  * @returns {object[]} Flattened routes with full paths
  */
-function flattenRoutes(routes, parentPath = '') {
+function flattenRoutes(routes, parentPath = '', context = {}) {
   const flattened = [];
+  const inheritedGuards = context.guards || [];
 
   for (const route of routes) {
     const fullPath = parentPath
@@ -319,24 +393,55 @@ function flattenRoutes(routes, parentPath = '') {
       : (route.path || '/');
 
     // Normalize path
-    const normalizedPath = '/' + fullPath.replace(/^\/+/, '').replace(/\/+/g, '/');
+    const normalizedPath = normalizePath(fullPath);
+    const guards = [...new Set([...inheritedGuards, ...(route.guards || [])])];
+
+    if (route.redirectTo !== null && route.redirectTo !== undefined && context.redirects) {
+      context.redirects.push({ path: normalizedPath, redirectTo: resolveRedirect(route.redirectTo, parentPath) });
+    }
 
     // Add this route if it has a component
     if (route.component || route.loadComponent) {
-      flattened.push({
+      const componentImport = route.component && context.imports ? context.imports[route.component] : null;
+      const entry = {
         path: normalizedPath,
         component: route.component,
+        componentImport: componentImport ? componentImport.path : null,
         loadComponent: route.loadComponent,
         loadChildren: route.loadChildren,
-        data: route.data
-      });
+        data: route.data,
+        guards,
+        lazy: context.lazy === true || Boolean(route.loadComponent),
+        redirectFrom: []
+      };
+      if (context.routingFile) {
+        entry._routingFileDir = path.dirname(context.routingFile);
+        entry._routingFile = context.routingFile;
+      }
+      flattened.push(entry);
     }
 
     // Recursively flatten children
+    const childContext = { ...context, guards };
     if (route.children && route.children.length > 0) {
-      const childRoutes = flattenRoutes(route.children, normalizedPath);
+      const childRoutes = flattenRoutes(route.children, normalizedPath, childContext);
       flattened.push(...childRoutes);
     }
+
+    // Lazily loaded routes continue under this path (once per chain, in case of cycles)
+    const chain = context.chain || [];
+    const lazy = route.loadChildren && context.loadChildren && context.routingFile
+      ? context.loadChildren(route, context.routingFile)
+      : null;
+    if (lazy && !chain.includes(lazy.filePath)) {
+      flattened.push(...flattenRoutes(lazy.routes, normalizedPath, {
+        ...childContext,
+        routingFile: lazy.filePath,
+        imports: lazy.imports,
+        lazy: true,
+        chain: [...chain, context.routingFile]
+      }));
+    }
   }
 
   return flattened;
@@ -344,44 +449,94 @@ function flattenRoutes(routes, parentPath = '') {
 
 /**
  * Parse all routes from an Angular project
+ *
+ * Routing files loaded through loadChildren are flattened under the route
+ * that loads them; the others are treated as root route configs.
+ *
  * @param {string} projectDir - Angular project directory
- * @returns {object} { routes: [], routingFiles: [] }
+ * @returns {object} { routes: [], routingFiles: [], redirects: [] }
  */
 function parseAngularRoutes(projectDir) {
   // Find all routing files
   const routingFiles = findRoutingFiles(projectDir);
 
   if (routingFiles.length === 0) {
-    return { routes: [], routingFiles: [], error: 'No Angular routing files found' };
+    return { routes: [], routingFiles: [], redirects: [], error: 'No Angular routing files found' };
   }
 
-  // Parse each routing file
-  const allRoutes = [];
+  // Parse each routing file (and each file loadChildren points to) once
+  const parsedByFile = new Map();
   const parsedFiles = [];
+  const load = (file) => {
+    const key = path.resolve(file);
+    if (!parsedByFile.has(key)) {
+      try {
+        parsedByFile.set(key, parseRoutingFile(file));
+      } catch (e) {
+        parsedByFile.set(key, null);
+        parsedFiles.push({ file, error: e.message });
+      }
+    }
+    return parsedByFile.get(key);
+  };
 
   for (const file of routingFiles) {
-    try {
-      const parsed = parseRoutingFile(file);
-      parsedFiles.push({
-        file,
-        routeCount: parsed.routes.length
-      });
-
-      // Flatten and add routes
-      const flattened = flattenRoutes(parsed.routes);
-
-      // Add directory context for component resolution
-      for (const route of flattened) {
-        route._routingFileDir = parsed.dirPath;
-        route._routingFile = file;
-      }
+    const parsed = load(file);
+    if (parsed) {
+      parsedFiles.push({ file, routeCount: parsed.routes.length });
+    }
+  }
 
-      allRoutes.push(...flattened);
-    } catch (e) {
-      parsedFiles.push({
-        file,
-        error: e.message
-      });
+  // The routing file a loadChildren route loads: the first candidate that declares routes
+  const loadChildren = (route, routingFile) => {
+    for (const candidate of resolveLoadChildren(route.loadChildren, path.dirname(routingFile))) {
+      const parsed = load(candidate);
+      if (parsed && parsed.routes.length > 0) return parsed;
+    }
+    return null;
+  };
+
+  // Routing files some route loads lazily
+  const lazyFiles = new Set();
+  const collectLazy = (routes, routingFile) => {
+    for (const route of routes) {
+      const lazy = route.loadChildren ? loadChildren(route, routingFile) : null;
+      if (lazy) lazyFiles.add(path.resolve(lazy.filePath));
+      collectLazy(route.children || [], routingFile);
+    }
+  };
+  for (const file of routingFiles) {
+    const parsed = load(file);
+    if (parsed) collectLazy(parsed.routes, file);
+  }
+
+  // Flatten from the root route configs, following loadChildren
+  const allRoutes = [];
+  const redirects = [];
+  const flattenFile = (parsed, roots) => {
+    allRoutes.push(...flattenRoutes(parsed.routes, '', {
+      routingFile: parsed.filePath,
+      imports: parsed.imports,
+      loadChildren: (route, routingFile) => {
+        const lazy = loadChildren(route, routingFile);
+        if (lazy) roots.delete(path.resolve(lazy.filePath));
+        return lazy;
+      },
+      redirects
+    }));
+  };
+
+  const unreached = new Set(lazyFiles);
+  for (const file of routingFiles) {
+    const parsed = load(file);
+    if (parsed && !lazyFiles.has(path.resolve(file))) flattenFile(parsed, unreached);
+  }
+  // Lazy files no root config reaches (e.g. only loaded from each other)
+  for (const file of routingFiles) {
+    const parsed = load(file);
+    if (parsed && unreached.has(path.resolve(file))) {
+      unreached.delete(path.resolve(file));
+      flattenFile(parsed, unreached);
     }
   }
 
@@ -397,9 +552,25 @@ function parseAngularRoutes(projectDir) {
     }
   }
 
+  // Point redirects at the route they lead to
+  const uniqueRedirects = [];
+  const seenRedirects = new Set();
+  for (const redirect of redirects) {
+    const key = redirect.path + '|' + redirect.redirectTo;
+    if (seenRedirects.has(key)) continue;
+    seenRedirects.add(key);
+
+    const targets = uniqueRoutes.filter(route => route.path === redirect.redirectTo);
+    for (const target of targets) {
+      if (!target.redirectFrom.includes(redirect.path)) target.redirectFrom.push(redirect.path);
+    }
+    uniqueRedirects.push({ ...redirect, resolved: targets.length > 0 });
+  }
+
   return {
     routes: uniqueRoutes,
-    routingFiles: parsedFiles
+    routingFiles: parsedFiles,
+    redirects: uniqueRedirects
   };
 }
 
@@ -407,5 +578,7 @@ module.exports = {
   findRoutingFiles,
   parseRoutingFile,
   parseAngularRoutes,
-  flattenRoutes
+  flattenRoutes,
+  resolveRedirect,
+  resolveLoadChildren
 };
@@ -16,9 +16,15 @@
 const os = require('os');
 const path = require('path');
 const { Worker } = require('worker_threads');
-const { loadAllChecks, getChecksByTier, getChecksByType } = require('./loader');
+const { getChecksByTier, getChecksByType, getCheckContext } = require('./loader');
+const { loadProjectChecks, loadProjectPlugins } = require('./plugins');
 const { verifyByTier, getVerifySummary } = require('./verifier');
-const { extractStyleTags, adjustIssueLineNumbers, hasEmbeddedCss } = require('./embeddedCssExtractor');
+const { extractStyleTags, hasEmbeddedCss } = require('./embeddedCssExtractor');
+const { selectChecks } = require('./config');
+const { applySuppressions, createSuppressionSummary, addSuppressions } = require('./suppressions');
+const { withLocations, offsetIssue, splitLocations } = require('./location');
+const { isSourceFile } = require('./tsParser');
+const { applyComponentMap, restoreIssues } = require('./componentMap');
 
 // ============================================
 // TYPE DEFINITIONS
@@ -27,7 +33,8 @@ const { extractStyleTags, adjustIssueLineNumbers, hasEmbeddedCss } = require('./
 /**
  * @typedef {Object} CheckResult
  * @property {boolean} pass - Whether the check passed
- * @property {string[]} issues - Array of issue messages
+ * @property {Object[]} issues - Structured issues ({ code, severity, wcag, message, fixes, element, location, data })
+ * @property {Array<Object|null>} locations - Location of each issue ({ line, column, endLine, endColumn }), same order as issues
  * @property {string|null} error - Error message if check threw
  */
 
@@ -48,7 +55,8 @@ const { extractStyleTags, adjustIssueLineNumbers, hasEmbeddedCss } = require('./
  * @property {number} summary.passed - Total passed checks
  * @property {number} summary.failed - Total failed checks
  * @property {number} summary.errors - Total checks that errored
- * @property {Array<{file: string, check: string, message: string}>} summary.issues - All issues found
+ * @property {Array<Object>} summary.issues - All issues found (structured issues with `file` and `check`)
+ * @property {Object} suppressions - Issues silenced by inline mat-a11y-disable comments ({ count, issues, unused })
  * @property {Object} timing - Timing information
  * @property {number} timing.startTime - Start timestamp
  * @property {number} timing.endTime - End timestamp
@@ -108,6 +116,9 @@ class CheckRunner {
    * @param {Object} [options={}] - Configuration options
    * @param {number|'auto'|'sync'} [options.workers='sync'] - 'sync' (default), 'auto' (optimized), or number
    * @param {number} [options.timeout=30000] - Task timeout in milliseconds
+   * @param {string[]} [options.plugins] - Check plugins (project config), loaded in every worker too
+   * @param {boolean|Object} [options.i18n] - Translation checks (project config "i18n"), built in every worker too
+   * @param {string} [options.configFile] - Config file the plugin entries resolve from
    */
   constructor(options = {}) {
     // Determine worker count and mode
@@ -160,6 +171,9 @@ class CheckRunner {
 
     /** @type {Map<string, Object>|null} Cached check registry */
     this.checkRegistry = null;
+
+    /** @type {{plugins: string[]|undefined, i18n: boolean|Object|undefined, configFile: string|undefined}} Plugins of the project */
+    this.pluginOptions = { plugins: options.plugins, i18n: options.i18n, configFile: options.configFile };
   }
 
   /**
@@ -261,7 +275,7 @@ class CheckRunner {
    */
   async _preloadChecks() {
     // Load check registry if not already loaded
-    this.checkRegistry = this.checkRegistry || loadAllChecks();
+    this.checkRegistry = this.checkRegistry || loadProjectChecks(this.pluginOptions);
     const allCheckNames = Array.from(this.checkRegistry.keys());
 
     // Send preload request to all workers in parallel
@@ -291,7 +305,10 @@ class CheckRunner {
   async _createWorker(workerPath, index) {
     return new Promise((resolve) => {
       try {
-        const worker = new Worker(workerPath);
+        // Workers load plugin checks themselves (check modules can't be sent to a thread)
+        const plugins = loadProjectPlugins(this.pluginOptions).plugins.map(plugin => plugin.path);
+        const { i18n, configFile } = this.pluginOptions;
+        const worker = new Worker(workerPath, { workerData: { plugins, i18n, configFile } });
 
         // Set up ready signal handler
         const readyTimeout = setTimeout(() => {
@@ -486,18 +503,19 @@ class CheckRunner {
    * @param {Object} checkModule - The check module
    * @param {string} content - Content to check
    * @param {Object} [varContext] - SCSS variable context for color resolution
+   * @param {Array} [inherited] - Inherited backgrounds of a component stylesheet
    * @returns {CheckResult} Check result
    * @private
    */
-  _runCheckSync(checkModule, content, varContext = null) {
+  _runCheckSync(checkModule, content, varContext = null, inherited = null) {
     try {
-      // SCSS checks receive varContext as second arg
-      const result = checkModule.type === 'scss' && varContext
-        ? checkModule.check(content, varContext)
-        : checkModule.check(content);
+      // HTML checks receive the parsed template, TypeScript checks the scanned source, SCSS checks varContext
+      const result = checkModule.check(content, getCheckContext(checkModule, content, varContext, inherited));
+      const issues = withLocations(Array.isArray(result.issues) ? result.issues : [], result.locations);
       return {
         pass: result.pass === true,
-        issues: Array.isArray(result.issues) ? result.issues : [],
+        issues,
+        locations: splitLocations(issues).locations,
         elementsFound: result.elementsFound || 0,
         error: null
       };
@@ -505,6 +523,7 @@ class CheckRunner {
       return {
         pass: false,
         issues: [],
+        locations: [],
         elementsFound: 0,
         error: `Check threw an error: ${err.message}`
       };
@@ -517,11 +536,17 @@ class CheckRunner {
    * Distributes check tasks across worker threads (or runs single-threaded
    * if no workers are available) and aggregates results.
    *
-   * @param {Array<{path: string, content: string}>} files - Files to check
+   * @param {Array<{path: string, content: string, origin?: {line: number, column: number}, inherited?: Array}>} files - Files to check.
+   *   `origin` marks content taken from another file (an inline template); locations are reported relative to that file.
+   *   `inherited` lists the backgrounds behind a component stylesheet's text (core/colorInheritance)
    * @param {'basic'|'material'|'full'} [tier='material'] - Which tier of checks to run
    * @param {Object} [options={}] - Additional options
    * @param {string} [options.check] - Optional single check name to run
+   * @param {string[]} [options.enable] - Only run these checks (project config)
+   * @param {string[]} [options.disable] - Never run these checks (project config)
+   * @param {string} [options.wcagLevel] - Only run checks for WCAG criteria up to this level ('A', 'AA', 'AAA')
    * @param {Object} [options.varContext] - SCSS variable context for color resolution
+   * @param {Map} [options.componentMap] - Wrapper components to check as the elements they render (core/componentMap)
    * @returns {Promise<RunResults>} Aggregated results
    *
    * @example
@@ -549,8 +574,8 @@ class CheckRunner {
     }
 
     // Load and filter checks
-    this.checkRegistry = this.checkRegistry || loadAllChecks();
-    let checks = getChecksByTier(this.checkRegistry, tier);
+    this.checkRegistry = this.checkRegistry || loadProjectChecks(this.pluginOptions);
+    let checks = selectChecks(getChecksByTier(this.checkRegistry, tier), options);
 
     // If a specific check is requested, filter to just that one
     if (options.check) {
@@ -574,6 +599,7 @@ class CheckRunner {
         errors: 0,
         issues: []
       },
+      suppressions: createSuppressionSummary(),
       timing: {
         startTime,
         endTime: 0,
@@ -590,6 +616,7 @@ class CheckRunner {
     // Get check names by type for batch processing
     const htmlCheckNames = Array.from(getChecksByType(checks, 'html').keys());
     const scssCheckNames = Array.from(getChecksByType(checks, 'scss').keys());
+    const tsCheckNames = Array.from(getChecksByType(checks, 'ts').keys());
 
     // Determine if we should use workers or run single-threaded
     // Based on benchmarks (noro-wedding: 212 files, 952 issues):
@@ -669,7 +696,10 @@ class CheckRunner {
           files: chunk,
           htmlCheckNames,
           scssCheckNames,
-          varContext: serializedVarContext
+          tsCheckNames,
+          knownCheckNames: Array.from(this.checkRegistry.keys()),
+          varContext: serializedVarContext,
+          componentMap: options.componentMap || null
         })
       );
 
@@ -702,15 +732,15 @@ class CheckRunner {
             }
 
             // Always collect issues (Info/Warning issues can occur even when pass=true)
-            for (const issue of checkData.issues || []) {
-              results.summary.issues.push({
-                file: fileResult.path,
-                check: checkName,
-                message: issue
-              });
-            }
+            (checkData.issues || []).forEach(issue => {
+              results.summary.issues.push({ file: fileResult.path, check: checkName, ...issue });
+            });
           }
 
+          addSuppressions(results.suppressions, {
+            suppressed: fileResult.suppressed || [],
+            unused: fileResult.unused || []
+          }, fileResult.path);
           results.files.set(fileResult.path, resultMap);
         }
       }
@@ -718,6 +748,7 @@ class CheckRunner {
       // SINGLE-THREADED MODE: Process files sequentially
       const htmlChecks = getChecksByType(checks, 'html');
       const scssChecks = getChecksByType(checks, 'scss');
+      const tsChecks = getChecksByType(checks, 'ts');
 
       for (const file of files) {
         const fileResult = {
@@ -730,20 +761,30 @@ class CheckRunner {
         const ext = path.extname(file.path).toLowerCase();
         const isHtml = ['.html', '.htm'].includes(ext);
         const isScss = ['.scss', '.css', '.sass'].includes(ext);
+        const isTs = isSourceFile(file.path);
 
         let applicableChecks;
         if (isHtml) {
           applicableChecks = htmlChecks;
         } else if (isScss) {
           applicableChecks = scssChecks;
+        } else if (isTs) {
+          applicableChecks = tsChecks;
         } else {
           applicableChecks = checks;
         }
 
+        // Templates: wrapper components are checked as the elements they are mapped to
+        const mapped = isHtml ? applyComponentMap(file.content, options.componentMap) : null;
+
         for (const [checkName, checkModule] of applicableChecks) {
           results.summary.totalChecks++;
-          // Pass varContext for SCSS checks
-          const checkResult = this._runCheckSync(checkModule, file.content, options.varContext);
+          // Pass varContext (and inherited backgrounds) for SCSS checks
+          const checkResult = this._runCheckSync(checkModule, mapped ? mapped.content : file.content, options.varContext, file.inherited);
+          if (mapped) {
+            checkResult.issues = restoreIssues(mapped, checkResult.issues);
+            checkResult.locations = splitLocations(checkResult.issues).locations;
+          }
           fileResult.checks.set(checkName, checkResult);
 
           if (checkResult.error) {
@@ -756,15 +797,6 @@ class CheckRunner {
             results.summary.failed++;
             fileResult.failed++;
           }
-
-          // Always collect issues (Info/Warning issues can occur even when pass=true)
-          for (const issue of checkResult.issues) {
-            results.summary.issues.push({
-              file: file.path,
-              check: checkName,
-              message: issue
-            });
-          }
         }
 
         // For HTML files, also run SCSS checks on embedded <style> content
@@ -776,20 +808,23 @@ class CheckRunner {
               results.summary.totalChecks++;
               const checkResult = this._runCheckSync(checkModule, block.css, options.varContext);
 
-              // Adjust line numbers to match original HTML file
-              const adjustedIssues = adjustIssueLineNumbers(checkResult.issues, block.startLine);
+              // Adjust line numbers and locations to match original HTML file
+              const adjusted = splitLocations(checkResult.issues
+                .map(issue => offsetIssue(issue, { line: block.startLine, column: block.startColumn })));
 
               // Merge with existing check result or create new one
               const existingResult = fileResult.checks.get(checkName);
               if (existingResult) {
                 // Merge issues into existing result
-                existingResult.issues = [...existingResult.issues, ...adjustedIssues];
+                existingResult.issues = [...existingResult.issues, ...adjusted.issues];
+                existingResult.locations = [...existingResult.locations, ...adjusted.locations];
                 existingResult.elementsFound += checkResult.elementsFound;
                 if (!checkResult.pass) existingResult.pass = false;
               } else {
                 fileResult.checks.set(checkName, {
                   pass: checkResult.pass,
-                  issues: adjustedIssues,
+                  issues: adjusted.issues,
+                  locations: adjusted.locations,
                   elementsFound: checkResult.elementsFound,
                   error: checkResult.error
                 });
@@ -805,19 +840,40 @@ class CheckRunner {
                 results.summary.failed++;
                 fileResult.failed++;
               }
-
-              // Collect adjusted issues
-              for (const issue of adjustedIssues) {
-                results.summary.issues.push({
-                  file: file.path,
-                  check: checkName,
-                  message: issue
-                });
-              }
             }
           }
         }
 
+        // Drop issues silenced by inline mat-a11y-disable comments
+        const issuesByCheck = {};
+        for (const [checkName, checkResult] of fileResult.checks) {
+          issuesByCheck[checkName] = checkResult.issues;
+        }
+        const applied = applySuppressions(file.content, isScss ? 'scss' : (isTs ? 'ts' : 'html'), issuesByCheck, {
+          knownChecks: this.checkRegistry.keys(),
+          origin: file.origin
+        });
+        addSuppressions(results.suppressions, applied, file.path);
+
+        for (const [checkName, checkResult] of fileResult.checks) {
+          const remaining = splitLocations(applied.issues[checkName]);
+          const suppressedAny = remaining.issues.length !== checkResult.issues.length;
+          checkResult.issues = remaining.issues;
+          checkResult.locations = remaining.locations;
+          if (suppressedAny && remaining.issues.length === 0 && !checkResult.pass && !checkResult.error) {
+            checkResult.pass = true;
+            results.summary.failed--;
+            results.summary.passed++;
+            fileResult.failed--;
+            fileResult.passed++;
+          }
+
+          // Always collect issues (Info/Warning issues can occur even when pass=true)
+          checkResult.issues.forEach(issue => {
+            results.summary.issues.push({ file: file.path, check: checkName, ...issue });
+          });
+        }
+
         results.files.set(file.path, fileResult);
       }
     }
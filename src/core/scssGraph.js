@@ -11,17 +11,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const { findIncludePaths } = require('./workspace');
 
 /**
  * Build a dependency graph for all SCSS files in a directory
  * @param {string} projectPath - Root path to scan for SCSS files
  * @param {string[]} ignore - Patterns to ignore
+ * @param {string[]} [includePaths] - Directories `@use`/`@import` paths are also resolved against
+ *   (default: the `stylePreprocessorOptions.includePaths` of the Angular workspace)
  * @returns {ScssGraph} The dependency graph instance
  */
-function buildGraph(projectPath, ignore = ['node_modules', 'dist', '.git', '.angular']) {
+function buildGraph(projectPath, ignore = ['node_modules', 'dist', '.git', '.angular'], includePaths = findIncludePaths(projectPath)) {
   // Resolve to absolute path for consistent comparisons with issue file paths
   const absolutePath = path.resolve(projectPath);
-  const graph = new ScssGraph(absolutePath);
+  const graph = new ScssGraph(absolutePath, includePaths);
   graph.scan(ignore);
   return graph;
 }
@@ -30,8 +33,10 @@ function buildGraph(projectPath, ignore = ['node_modules', 'dist', '.git', '.ang
  * SCSS Dependency Graph class
  */
 class ScssGraph {
-  constructor(projectPath) {
+  constructor(projectPath, includePaths = []) {
     this.projectPath = projectPath;
+    // Load paths tried after the importing file's directory
+    this.includePaths = includePaths.map(dir => path.resolve(dir));
     // Map: normalized file path -> Set of normalized paths it imports
     this.imports = new Map();
     // Map: normalized file path -> Set of normalized paths that import it
@@ -48,11 +53,47 @@ class ScssGraph {
     const scssFiles = this._findScssFiles(this.projectPath, ignore);
     
     for (const file of scssFiles) {
-      this.files.add(file);
+      this.files.add(this._normalize(file));
       this._parseImports(file);
     }
   }
 
+  /**
+   * Re-parse the imports of a file that was added or changed
+   * @param {string} filePath - The changed file
+   */
+  updateFile(filePath) {
+    const normalized = this._normalize(filePath);
+    this._removeImports(normalized);
+    this.files.add(normalized);
+    this._parseImports(filePath);
+  }
+
+  /**
+   * Remove a deleted file's imports from the graph
+   * Files that import it keep their edge, so they are still found as its importers.
+   * @param {string} filePath - The deleted file
+   */
+  removeFile(filePath) {
+    const normalized = this._normalize(filePath);
+    this._removeImports(normalized);
+    this.files.delete(normalized);
+  }
+
+  /**
+   * Drop the outgoing edges of a file
+   * @private
+   */
+  _removeImports(normalized) {
+    for (const imported of this.imports.get(normalized) || []) {
+      const importers = this.importedBy.get(imported);
+      if (!importers) continue;
+      importers.delete(normalized);
+      if (importers.size === 0) this.importedBy.delete(imported);
+    }
+    this.imports.delete(normalized);
+  }
+
   /**
    * Find all SCSS files in a directory
    * @private
@@ -84,7 +125,7 @@ class ScssGraph {
         if (entry.isDirectory()) {
           walk(fullPath);
         } else if (entry.isFile() && (entry.name.endsWith('.scss') || entry.name.endsWith('.css'))) {
-          files.push(this._normalize(fullPath));
+          files.push(fullPath);
         }
       }
     };
@@ -95,9 +136,12 @@ class ScssGraph {
 
   /**
    * Parse @import and @use statements from a file
+   * (read from the real path; the graph stores normalized paths, which
+   * don't exist on case-sensitive file systems)
    * @private
    */
   _parseImports(filePath) {
+    const normalized = this._normalize(filePath);
     let content;
     try {
       content = fs.readFileSync(filePath, 'utf-8');
@@ -151,20 +195,21 @@ class ScssGraph {
     }
 
     // Store the imports
-    this.imports.set(filePath, imports);
+    this.imports.set(normalized, imports);
 
     // Build reverse lookup (importedBy)
     for (const imported of imports) {
       if (!this.importedBy.has(imported)) {
         this.importedBy.set(imported, new Set());
       }
-      this.importedBy.get(imported).add(filePath);
+      this.importedBy.get(imported).add(normalized);
     }
   }
 
   /**
    * Resolve an import path to an actual file
-   * Handles partials (_file.scss), extension omission, and index files
+   * Handles partials (_file.scss), extension omission, and index files;
+   * relative to the importing file first, then to each include path
    * @private
    */
   _resolveImport(fromDir, importPath) {
@@ -175,8 +220,9 @@ class ScssGraph {
       return null;
     }
 
-    const candidates = this._getImportCandidates(fromDir, importPath);
-    
+    const candidates = [fromDir, ...this.includePaths]
+      .flatMap(dir => this._getImportCandidates(dir, importPath));
+
     for (const candidate of candidates) {
       if (fs.existsSync(candidate)) {
         return this._normalize(candidate);
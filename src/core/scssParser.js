@@ -295,30 +295,31 @@ function parseFile(filePath) {
  * @returns {object} - { scssVars: Map, cssVars: Map, maps: Map }
  */
 function parseFiles(filePaths) {
+  return mergeVariables(filePaths.map(filePath => parseFile(filePath)));
+}
+
+/**
+ * Merge parsed variables (later entries override earlier)
+ * @param {object[]} parsedList - parseVariables()/parseFile() results in merge order
+ * @returns {object} - { scssVars: Map, cssVars: Map, maps: Map }
+ */
+function mergeVariables(parsedList) {
   const scssVars = new Map();
   const cssVars = new Map();
   const maps = new Map();
-  
-  for (const filePath of filePaths) {
-    try {
-      const parsed = parseFile(filePath);
-      
-      // Merge (later overrides earlier)
-      for (const [k, v] of parsed.scssVars) {
-        scssVars.set(k, v);
-      }
-      for (const [k, v] of parsed.cssVars) {
-        cssVars.set(k, v);
-      }
-      for (const [k, v] of parsed.maps) {
-        maps.set(k, v);
-      }
-    } catch (e) {
-      // Skip files that can't be parsed
-      continue;
+
+  for (const parsed of parsedList) {
+    for (const [k, v] of parsed.scssVars) {
+      scssVars.set(k, v);
+    }
+    for (const [k, v] of parsed.cssVars) {
+      cssVars.set(k, v);
+    }
+    for (const [k, v] of parsed.maps) {
+      maps.set(k, v);
     }
   }
-  
+
   return { scssVars, cssVars, maps };
 }
 
@@ -365,10 +366,17 @@ function scanDirectory(dir, result = [], skipDirs = new Set(['node_modules', '.g
  * @returns {object} - { scssVars: Map, cssVars: Map, maps: Map }
  */
 function buildVariableMap(projectDir) {
-  const files = scanDirectory(projectDir);
-  
+  return parseFiles(sortVariableFiles(scanDirectory(projectDir)));
+}
+
+/**
+ * Sort style files into variable merge order (see buildVariableMap)
+ * @param {string[]} files - SCSS/CSS file paths
+ * @returns {string[]} - The same array, sorted
+ */
+function sortVariableFiles(files) {
   // Sort files: _ prefix first, then by depth (shallow first)
-  files.sort((a, b) => {
+  return files.sort((a, b) => {
     const aBase = path.basename(a);
     const bBase = path.basename(b);
     const aIsPartial = aBase.startsWith('_');
@@ -384,15 +392,15 @@ function buildVariableMap(projectDir) {
     
     return aDepth - bDepth;
   });
-  
-  return parseFiles(files);
 }
 
 module.exports = {
   parseVariables,
   parseFile,
   parseFiles,
+  mergeVariables,
   buildVariableMap,
+  sortVariableFiles,
   scanDirectory,
   removeComments,
   parseMapDefinition,
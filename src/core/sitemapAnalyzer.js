@@ -5,27 +5,46 @@
  *
  * Uses sitemap.xml as the source of truth for what pages exist.
  * This matches exactly how Google discovers and crawls pages.
+ *
+ * Sitemap indexes are followed recursively, gzip-compressed sitemaps are
+ * decompressed, and hreflang alternates of a page are analyzed once and
+ * reported per locale.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { loadAllChecks, getChecksByTier } = require('./loader');
+const zlib = require('zlib');
+const { getChecksByTier, getCheckContext } = require('./loader');
+const { loadProjectChecks } = require('./plugins');
 const { calculateAuditScore } = require('./weights');
+const { resolveOptions, selectChecks, applySeverityOverride } = require('./config');
+const { addCoverage } = require('./conformance');
+const { applySuppressions, createSuppressionSummary, addSuppressions } = require('./suppressions');
+const { withLocations } = require('./location');
+const { getSeverity } = require('./errors');
 const { parseAngularRoutes } = require('./routeParser');
 const { resolveAllRoutes } = require('./componentResolver');
-const { createPageResolver } = require('./pageResolver');
+const { createPageResolver, getPrimaryFiles } = require('./pageResolver');
+const { loadComponentMap, applyComponentMap, restoreIssues } = require('./componentMap');
+const { mapPageIssues } = require('./pageComposer');
+
+// File names a sitemap (or sitemap index) is published under, in order of preference
+const SITEMAP_NAMES = ['sitemap.xml', 'sitemap_index.xml', 'sitemap-index.xml', 'sitemap.xml.gz'];
+
+// Nesting limit for sitemap indexes
+const MAX_SITEMAP_DEPTH = 5;
 
 /**
- * Find sitemap.xml in a project
+ * Find sitemap.xml (or a sitemap index) in a project
  * @param {string} projectDir - Project directory
- * @returns {string|null} Path to sitemap.xml
+ * @returns {string|null} Path to the sitemap
  */
 function findSitemap(projectDir) {
-  const possiblePaths = [
-    path.join(projectDir, 'public', 'sitemap.xml'),
-    path.join(projectDir, 'src', 'sitemap.xml'),
-    path.join(projectDir, 'sitemap.xml'),
-    path.join(projectDir, 'dist', 'sitemap.xml')
+  const possibleDirs = [
+    path.join(projectDir, 'public'),
+    path.join(projectDir, 'src'),
+    projectDir,
+    path.join(projectDir, 'dist')
   ];
 
   // Also check for any dist/*/browser/sitemap.xml
@@ -34,17 +53,20 @@ function findSitemap(projectDir) {
     try {
       const distEntries = fs.readdirSync(distDir);
       for (const entry of distEntries) {
-        const browserSitemap = path.join(distDir, entry, 'browser', 'sitemap.xml');
-        if (fs.existsSync(browserSitemap)) {
-          possiblePaths.unshift(browserSitemap);
+        const browserDir = path.join(distDir, entry, 'browser');
+        if (fs.existsSync(browserDir)) {
+          possibleDirs.unshift(browserDir);
         }
       }
     } catch (e) {}
   }
 
-  for (const p of possiblePaths) {
-    if (fs.existsSync(p)) {
-      return p;
+  for (const dir of possibleDirs) {
+    for (const name of SITEMAP_NAMES) {
+      const p = path.join(dir, name);
+      if (fs.existsSync(p)) {
+        return p;
+      }
     }
   }
 
@@ -52,40 +74,229 @@ function findSitemap(projectDir) {
 }
 
 /**
- * Parse sitemap.xml and extract URLs
- * @param {string} sitemapPath - Path to sitemap.xml
- * @returns {object[]} Array of { url, path, priority }
+ * Read a sitemap file, decompressing gzip (by extension or magic bytes)
+ * @private
  */
-function parseSitemap(sitemapPath) {
-  const content = fs.readFileSync(sitemapPath, 'utf-8');
+function readSitemapFile(sitemapPath) {
+  const buffer = fs.readFileSync(sitemapPath);
+  const gzipped = sitemapPath.endsWith('.gz') || (buffer[0] === 0x1f && buffer[1] === 0x8b);
+  return (gzipped ? zlib.gunzipSync(buffer) : buffer).toString('utf-8');
+}
+
+/**
+ * Text content of an XML element (CDATA and the predefined entities decoded)
+ * @private
+ */
+function xmlText(value) {
+  return value
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Path of a sitemap URL (null if it is neither an absolute URL nor an absolute path)
+ * @private
+ */
+function urlPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (e) {
+    return url.startsWith('/') ? url.split(/[?#]/)[0] : null;
+  }
+}
+
+/**
+ * Find the local file of a sitemap listed in a sitemap index
+ * (its URL path below the index's directory, or its file name next to the index)
+ * @private
+ */
+function resolveChildSitemap(loc, indexPath) {
+  const indexDir = path.dirname(indexPath);
+  const locPath = urlPath(loc);
+  const candidates = locPath !== null
+    ? [path.join(indexDir, decodeURIComponent(locPath)), path.join(indexDir, path.basename(decodeURIComponent(locPath)))]
+    : [path.resolve(indexDir, loc)];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Read a sitemap or sitemap index (recursively) and extract its URLs
+ * @param {string} sitemapPath - Path to sitemap.xml, a sitemap index or a .xml.gz file
+ * @returns {object} { urls: [{ url, path, priority, locale, hreflangs }], sitemaps: string[], missing: string[] }
+ */
+function readSitemap(sitemapPath) {
+  const result = { urls: [], sitemaps: [], missing: [] };
+  const seen = new Set();
+
+  const visit = (file, depth) => {
+    const key = path.resolve(file);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const content = readSitemapFile(file);
+    result.sitemaps.push(file);
+
+    // Sitemap index: follow every <sitemap><loc>
+    if (/<sitemapindex[\s>]/.test(content)) {
+      const sitemapRegex = /<sitemap>([\s\S]*?)<\/sitemap>/g;
+      let match;
+      while ((match = sitemapRegex.exec(content)) !== null) {
+        const locMatch = match[1].match(/<loc>([\s\S]*?)<\/loc>/);
+        if (!locMatch) continue;
+        const loc = xmlText(locMatch[1]);
+        const child = depth < MAX_SITEMAP_DEPTH ? resolveChildSitemap(loc, file) : null;
+        if (child) {
+          visit(child, depth + 1);
+        } else {
+          result.missing.push(loc);
+        }
+      }
+      return;
+    }
+
+    result.urls.push(...parseUrlset(content));
+  };
+
+  visit(sitemapPath, 0);
+  return result;
+}
+
+/**
+ * Extract the URLs of a <urlset> (with their hreflang alternates)
+ * @private
+ */
+function parseUrlset(content) {
   const urls = [];
 
   // Simple regex parsing (works for standard sitemaps)
   const urlRegex = /<url>([\s\S]*?)<\/url>/g;
-  const locRegex = /<loc>(.*?)<\/loc>/;
+  const locRegex = /<loc>([\s\S]*?)<\/loc>/;
   const priorityRegex = /<priority>(.*?)<\/priority>/;
+  const alternateRegex = /<xhtml:link\b([^>]*)\/?>/g;
 
   let match;
   while ((match = urlRegex.exec(content)) !== null) {
     const urlBlock = match[1];
     const locMatch = urlBlock.match(locRegex);
     const priorityMatch = urlBlock.match(priorityRegex);
-
-    if (locMatch) {
-      const fullUrl = locMatch[1];
-      // Extract path from URL
-      const urlObj = new URL(fullUrl);
-      urls.push({
-        url: fullUrl,
-        path: urlObj.pathname,
-        priority: priorityMatch ? parseFloat(priorityMatch[1]) : 0.5
-      });
+    if (!locMatch) continue;
+
+    const fullUrl = xmlText(locMatch[1]);
+    const pathname = urlPath(fullUrl);
+    if (pathname === null) continue;
+
+    // <xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/about"/>
+    const hreflangs = [];
+    let alternate;
+    while ((alternate = alternateRegex.exec(urlBlock)) !== null) {
+      const attrs = alternate[1];
+      const hreflang = attrs.match(/\bhreflang\s*=\s*["']([^"']+)["']/);
+      const href = attrs.match(/\bhref\s*=\s*["']([^"']+)["']/);
+      if (hreflang && href && /\brel\s*=\s*["']alternate["']/.test(attrs)) {
+        hreflangs.push({ hreflang: hreflang[1], url: xmlText(href[1]) });
+      }
     }
+
+    const own = hreflangs.find(link => link.url === fullUrl && link.hreflang !== 'x-default');
+    urls.push({
+      url: fullUrl,
+      path: pathname,
+      priority: priorityMatch ? parseFloat(priorityMatch[1]) : 0.5,
+      locale: own ? own.hreflang : null,
+      hreflangs
+    });
   }
 
   return urls;
 }
 
+/**
+ * Parse sitemap.xml and extract URLs
+ * Follows sitemap indexes and reads gzip-compressed sitemaps.
+ * @param {string} sitemapPath - Path to sitemap.xml
+ * @returns {object[]} Array of { url, path, priority, locale, hreflangs }
+ */
+function parseSitemap(sitemapPath) {
+  return readSitemap(sitemapPath).urls;
+}
+
+/**
+ * Group sitemap URLs that are hreflang alternates of each other
+ * (exact duplicates, e.g. listed in two sitemaps, are dropped)
+ *
+ * A URL's locale is the hreflang any member of its group assigns to it, so
+ * URLs that only list their siblings get one too.
+ * @param {object[]} urls - From parseSitemap()
+ * @returns {object[][]} Groups of URLs, in sitemap order
+ */
+function groupAlternates(urls) {
+  const unique = [];
+  const byUrl = new Map();
+  for (const urlInfo of urls) {
+    if (byUrl.has(urlInfo.url)) continue;
+    byUrl.set(urlInfo.url, urlInfo);
+    unique.push(urlInfo);
+  }
+
+  // Union-find over each URL and the alternates it lists
+  const parent = new Map();
+  const find = (url) => {
+    while (parent.has(url) && parent.get(url) !== url) url = parent.get(url);
+    return url;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+  for (const urlInfo of unique) {
+    if (!parent.has(urlInfo.url)) parent.set(urlInfo.url, urlInfo.url);
+    for (const link of urlInfo.hreflangs || []) {
+      if (!parent.has(link.url)) parent.set(link.url, link.url);
+      union(urlInfo.url, link.url);
+    }
+  }
+
+  const groups = new Map();
+  for (const urlInfo of unique) {
+    const root = find(urlInfo.url);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(urlInfo);
+  }
+
+  // Locales from the alternates of every member (the URL's self-link is only a fallback)
+  return [...groups.values()].map(group => {
+    const locales = new Map();
+    for (const urlInfo of group) {
+      for (const link of urlInfo.hreflangs || []) {
+        if (link.hreflang !== 'x-default' && link.url !== urlInfo.url && !locales.has(link.url)) locales.set(link.url, link.hreflang);
+      }
+    }
+    return group.map(urlInfo => {
+      const locale = locales.get(urlInfo.url) || urlInfo.locale;
+      return locale === urlInfo.locale ? urlInfo : { ...urlInfo, locale };
+    });
+  });
+}
+
+/**
+ * Strip a locale prefix (/de/about, /en-us/about) from a URL path
+ * @private
+ */
+function stripLocalePrefix(pathname, locale) {
+  if (!locale) return null;
+  const [first, ...rest] = pathname.replace(/^\/+/, '').split('/');
+  const prefix = first.toLowerCase();
+  const tag = locale.toLowerCase();
+  if (prefix !== tag && prefix !== tag.split('-')[0]) return null;
+  return '/' + rest.join('/');
+}
+
 /**
  * Find the guide-loader or similar dynamic loader file
  * @param {string} projectDir - Project directory
@@ -172,7 +383,7 @@ function parseLoaderMappings(filePath) {
  * @param {object} loader - Dynamic loader info
  * @param {object[]} resolvedRoutes - Routes with resolved files
  * @param {string} projectDir - Project directory
- * @returns {object|null} { html, scss, component }
+ * @returns {object|null} { html, scss, ts, component }
  */
 function mapUrlToComponent(urlPath, loader, resolvedRoutes, projectDir) {
   // Check if this is a dynamic route handled by the loader
@@ -200,6 +411,7 @@ function mapUrlToComponent(urlPath, loader, resolvedRoutes, projectDir) {
         return {
           html: route.files.html,
           scss: route.files.scss,
+          ts: route.files.ts,
           component: route.component || route.loadComponent?.exportName
         };
       }
@@ -215,6 +427,7 @@ function mapUrlToComponent(urlPath, loader, resolvedRoutes, projectDir) {
         return {
           html: route.files.html,
           scss: route.files.scss,
+          ts: route.files.ts,
           component: route.component || route.loadComponent?.exportName
         };
       }
@@ -245,7 +458,7 @@ function resolveImportPath(importPath, loaderPath, projectDir) {
   const baseName = path.basename(componentDir);
   const parentDir = path.dirname(componentDir);
 
-  // Try to find HTML and SCSS files
+  // Try to find HTML, SCSS and TypeScript files
   const htmlPatterns = [
     `${baseName}.html`,
     `${baseName}.component.html`
@@ -256,9 +469,14 @@ function resolveImportPath(importPath, loaderPath, projectDir) {
     `${baseName}.css`,
     `${baseName}.component.css`
   ];
+  const tsPatterns = [
+    `${baseName}.ts`,
+    `${baseName}.component.ts`
+  ];
 
   let html = null;
   let scss = null;
+  let ts = null;
 
   // Check if componentDir is actually a directory
   if (fs.existsSync(componentDir) && fs.statSync(componentDir).isDirectory()) {
@@ -275,6 +493,12 @@ function resolveImportPath(importPath, loaderPath, projectDir) {
         break;
       }
     }
+    for (const pattern of tsPatterns) {
+      if (files.includes(pattern)) {
+        ts = path.join(componentDir, pattern);
+        break;
+      }
+    }
   } else {
     // Try as file path
     for (const pattern of htmlPatterns) {
@@ -291,10 +515,17 @@ function resolveImportPath(importPath, loaderPath, projectDir) {
         break;
       }
     }
+    for (const pattern of tsPatterns) {
+      const tsPath = path.join(parentDir, pattern);
+      if (fs.existsSync(tsPath)) {
+        ts = tsPath;
+        break;
+      }
+    }
   }
 
   if (html || scss) {
-    return { html, scss, component: baseName };
+    return { html, scss, ts, component: baseName };
   }
 
   return null;
@@ -314,17 +545,18 @@ function getCheckFunction(name, registry) {
 /**
  * Run a single check on content
  */
-function runCheck(name, content, registry) {
+function runCheck(name, content, registry, severityOverrides = null) {
   const checkFn = getCheckFunction(name, registry);
   if (!checkFn) {
     return { pass: true, issues: [], elementsFound: 0 };
   }
 
   try {
-    const result = checkFn(content);
+    const result = checkFn(content, getCheckContext(registry.get(name), content));
     return {
       pass: result.pass,
-      issues: result.issues || [],
+      issues: (result.issues || []).map(issue => applySeverityOverride(issue, name, severityOverrides)),
+      locations: result.locations || [],
       elementsFound: result.elementsFound || 0
     };
   } catch (error) {
@@ -332,16 +564,108 @@ function runCheck(name, content, registry) {
   }
 }
 
+/**
+ * Run checks on one template or stylesheet, dropping issues silenced by
+ * inline mat-a11y-disable comments
+ * @param {string[]} checkNames - Checks to run
+ * @param {string} content - Content to check
+ * @param {string} file - File path (or pseudo path) reported with suppressions
+ * @param {'html'|'scss'|'ts'} type - Content type (suppression comment syntax)
+ * @param {Map} registry - Check registry
+ * @param {object} options - Resolved options (severity overrides, suppressions summary, componentMap)
+ * @param {{line: number, column: number}} [origin] - Where inline content starts in `file`
+ * @returns {Object<string, object>} Check name -> check result (issues carry their location)
+ */
+function runChecks(checkNames, content, file, type, registry, options, origin = null) {
+  // Templates: wrapper components are checked as the elements they are mapped to
+  const mapped = type === 'html' ? applyComponentMap(content, options.componentMap) : null;
+
+  const checkResults = {};
+  const issuesByCheck = {};
+  for (const checkName of checkNames) {
+    checkResults[checkName] = runCheck(checkName, mapped ? mapped.content : content, registry, options.severity);
+    issuesByCheck[checkName] = restoreIssues(mapped, withLocations(checkResults[checkName].issues, checkResults[checkName].locations));
+  }
+
+  const applied = applySuppressions(content, type, issuesByCheck, { knownChecks: options.knownChecks, origin });
+  for (const checkName of checkNames) {
+    checkResults[checkName].issues = applied.issues[checkName];
+  }
+  if (options.suppressions) {
+    addSuppressions(options.suppressions, applied, file);
+  }
+
+  return checkResults;
+}
+
 /**
  * Count errors from issues
  */
 function countErrors(issues) {
-  let errors = 0;
-  for (const issue of issues) {
-    const msg = typeof issue === 'string' ? issue : issue.message || '';
-    if (msg.startsWith('[Error]')) errors++;
+  return issues.filter(issue => getSeverity(issue) === 'error').length;
+}
+
+/**
+ * Run page-level checks on a composed page, dropping issues silenced by
+ * inline mat-a11y-disable comments in the template each issue comes from
+ * @param {string[]} checkNames - Page-level checks to run
+ * @param {object} page - Composed page from PageResolver (core/pageComposer)
+ * @param {Map} registry - Check registry
+ * @param {object} options - Resolved options (severity overrides, suppressions summary)
+ * @returns {Object<string, object>} Check name -> check result (issues carry their file and location)
+ */
+function runPageChecks(checkNames, page, registry, options) {
+  const checkResults = {};
+  const issuesByTemplate = new Map(page.templates.map(template => [template, {}]));
+
+  for (const checkName of checkNames) {
+    checkResults[checkName] = runCheck(checkName, page.content, registry, options.severity);
+    const issues = withLocations(checkResults[checkName].issues, checkResults[checkName].locations);
+    for (const { template, issues: templateIssues } of mapPageIssues(page, issues)) {
+      issuesByTemplate.get(template)[checkName] = templateIssues;
+    }
+    checkResults[checkName].issues = [];
+  }
+
+  for (const [template, issuesByCheck] of issuesByTemplate) {
+    const applied = applySuppressions(template.content, 'html', issuesByCheck, { knownChecks: options.knownChecks, origin: template.origin });
+    for (const checkName of checkNames) {
+      checkResults[checkName].issues.push(...applied.issues[checkName].map(issue => ({ ...issue, file: template.file })));
+    }
+    if (options.suppressions) {
+      addSuppressions(options.suppressions, applied, template.file);
+    }
+  }
+
+  return checkResults;
+}
+
+/**
+ * Add the results of the checks run on one file (or the composed page) to a URL result
+ * @param {object} result - URL result
+ * @param {object} checkAggregates - Check name -> { elementsFound, issues, errors, warnings }
+ * @param {string[]} checkNames - Checks that ran
+ * @param {Object<string, object>} checkResults - From runChecks() or runPageChecks()
+ * @param {string|null} file - File the issues are reported in (null: each issue has its file)
+ */
+function addCheckResults(result, checkAggregates, checkNames, checkResults, file) {
+  for (const checkName of checkNames) {
+    const checkResult = checkResults[checkName];
+
+    if (!checkAggregates[checkName]) {
+      checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
+    }
+    checkAggregates[checkName].elementsFound += checkResult.elementsFound;
+    checkAggregates[checkName].issues += checkResult.issues.length;
+
+    const errorCount = countErrors(checkResult.issues);
+    checkAggregates[checkName].errors += errorCount;
+    checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
+
+    for (const issue of checkResult.issues) {
+      result.issues.push({ ...issue, file: file || issue.file, check: checkName });
+    }
   }
-  return errors;
 }
 
 /**
@@ -365,9 +689,10 @@ function getCheckNamesByType(registry, type) {
  * @param {object} registry - Check registry
  * @param {string[]} htmlChecks - HTML check names
  * @param {string[]} scssChecks - SCSS check names
+ * @param {object} [options] - Resolved options (severity/weights overrides, tsChecks, coverage)
  * @returns {object} Analysis result
  */
-function analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scssChecks) {
+function analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scssChecks, options = {}) {
   const result = {
     url: urlInfo.url,
     path: urlInfo.path,
@@ -383,66 +708,41 @@ function analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scs
     audits: []
   };
 
-  if (!pageFiles || (pageFiles.htmlFiles.length === 0 && pageFiles.scssFiles.length === 0)) {
+  if (!pageFiles || (pageFiles.htmlFiles.length === 0 && pageFiles.scssFiles.length === 0 &&
+      (pageFiles.inlineTemplates || []).length === 0 && (pageFiles.inlineStyles || []).length === 0)) {
     result.error = 'Could not resolve component';
     return result;
   }
 
   const checkAggregates = {};
 
+  // Page-level checks run once on the composed page (deep resolution), the others per template
+  const page = pageFiles.page || null;
+  const pageChecks = page ? htmlChecks.filter(name => registry.get(name)?.pageLevel === true) : [];
+  const templateChecks = htmlChecks.filter(name => !pageChecks.includes(name));
+
   // Analyze all HTML files (already resolved by PageResolver)
   for (const htmlFile of pageFiles.htmlFiles) {
     if (!fs.existsSync(htmlFile)) continue;
     
     result.files.push(htmlFile);
     const content = fs.readFileSync(htmlFile, 'utf-8');
-
-    for (const checkName of htmlChecks) {
-      const checkResult = runCheck(checkName, content, registry);
-
-      if (!checkAggregates[checkName]) {
-        checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      checkAggregates[checkName].issues += checkResult.issues.length;
-
-      const errorCount = countErrors(checkResult.issues);
-      checkAggregates[checkName].errors += errorCount;
-      checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
-
-      for (const issue of checkResult.issues) {
-        result.issues.push({
-          message: typeof issue === 'string' ? issue : issue.message,
-          file: htmlFile,
-          check: checkName
-        });
-      }
-    }
+    const checkResults = runChecks(templateChecks, content, htmlFile, 'html', registry, options);
+    addCheckResults(result, checkAggregates, templateChecks, checkResults, htmlFile);
   }
 
   // Analyze inline templates from components
-  for (const { selector, template } of (pageFiles.inlineTemplates || [])) {
-    for (const checkName of htmlChecks) {
-      const checkResult = runCheck(checkName, template, registry);
+  for (const { selector, template, filePath, origin } of (pageFiles.inlineTemplates || [])) {
+    // Issues point into the component's .ts file when it is known
+    const file = filePath || `<${selector}> (inline template)`;
+    const checkResults = runChecks(templateChecks, template, file, 'html', registry, options, filePath ? origin : null);
+    addCheckResults(result, checkAggregates, templateChecks, checkResults, file);
+  }
 
-      if (!checkAggregates[checkName]) {
-        checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      checkAggregates[checkName].issues += checkResult.issues.length;
-
-      const errorCount = countErrors(checkResult.issues);
-      checkAggregates[checkName].errors += errorCount;
-      checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
-
-      for (const issue of checkResult.issues) {
-        result.issues.push({
-          message: typeof issue === 'string' ? issue : issue.message,
-          file: `<${selector}> (inline template)`,
-          check: checkName
-        });
-      }
-    }
+  // Analyze the composed page (issues carry the template they come from)
+  if (pageChecks.length > 0) {
+    const checkResults = runPageChecks(pageChecks, page, registry, options);
+    addCheckResults(result, checkAggregates, pageChecks, checkResults, null);
   }
 
   // Analyze all SCSS files (already resolved by PageResolver)
@@ -451,38 +751,38 @@ function analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scs
     
     result.files.push(scssFile);
     const content = fs.readFileSync(scssFile, 'utf-8');
+    const checkResults = runChecks(scssChecks, content, scssFile, 'scss', registry, options);
+    addCheckResults(result, checkAggregates, scssChecks, checkResults, scssFile);
+  }
+
+  // Analyze inline styles of components without a stylesheet (issues point into the .ts file)
+  for (const { styles, filePath, origin } of (pageFiles.inlineStyles || [])) {
+    const checkResults = runChecks(scssChecks, styles, filePath, 'scss', registry, options, origin);
+    addCheckResults(result, checkAggregates, scssChecks, checkResults, filePath);
+  }
 
-    for (const checkName of scssChecks) {
-      const checkResult = runCheck(checkName, content, registry);
+  // Analyze component, directive and service classes (already resolved by PageResolver)
+  const tsChecks = options.tsChecks || [];
+  for (const tsFile of (tsChecks.length > 0 ? pageFiles.tsFiles || [] : [])) {
+    if (!fs.existsSync(tsFile)) continue;
 
-      if (!checkAggregates[checkName]) {
-        checkAggregates[checkName] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
-      }
-      checkAggregates[checkName].elementsFound += checkResult.elementsFound;
-      checkAggregates[checkName].issues += checkResult.issues.length;
-
-      const errorCount = countErrors(checkResult.issues);
-      checkAggregates[checkName].errors += errorCount;
-      checkAggregates[checkName].warnings += (checkResult.issues.length - errorCount);
-
-      for (const issue of checkResult.issues) {
-        result.issues.push({
-          message: typeof issue === 'string' ? issue : issue.message,
-          file: scssFile,
-          check: checkName
-        });
-      }
-    }
+    result.files.push(tsFile);
+    const content = fs.readFileSync(tsFile, 'utf-8');
+    const checkResults = runChecks(tsChecks, content, tsFile, 'ts', registry, options);
+    addCheckResults(result, checkAggregates, tsChecks, checkResults, tsFile);
   }
 
   // Calculate audit score
-  const auditResult = calculateAuditScore(checkAggregates);
+  const auditResult = calculateAuditScore(checkAggregates, options.weights);
   result.auditScore = auditResult.score;
   result.auditsTotal = auditResult.passed + auditResult.failed;
   result.auditsPassed = auditResult.passed;
   result.auditsFailed = auditResult.failed;
   result.audits = auditResult.audits;
 
+  // WCAG coverage of the whole run (options.coverage)
+  if (options.coverage) addCoverage(options.coverage, checkAggregates, registry, result.issues);
+
   return result;
 }
 
@@ -490,12 +790,14 @@ function analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scs
  * Analyze an Angular project using its sitemap
  * @param {string} projectDir - Project directory
  * @param {object} options - Options
+ * @param {string} options.sitemap - Sitemap path: sitemap.xml, a sitemap index or a .xml.gz (default: found in the project)
  * @param {boolean} options.deepResolve - Enable deep component resolution (default: false)
  *   When false: analyzes each component independently (better for fixing)
  *   When true: bundles parent + child components per page (Lighthouse-like scores)
  * @returns {object} Analysis results
  */
 function analyzeBySitemap(projectDir, options = {}) {
+  options = resolveOptions(projectDir, options);
   const tier = options.tier || 'material';
   const deepResolve = options.deepResolve === true; // Default to false (component-level analysis)
 
@@ -503,14 +805,25 @@ function analyzeBySitemap(projectDir, options = {}) {
   const sitemapPath = options.sitemap || findSitemap(projectDir);
   if (!sitemapPath) {
     return {
-      error: 'No sitemap.xml found. Create one or specify path with --sitemap option.',
+      error: 'No sitemap.xml found. Create one or specify its path with --sitemap-path.',
       urls: [],
       urlCount: 0
     };
   }
 
-  // Parse sitemap
-  const urls = parseSitemap(sitemapPath);
+  // Parse sitemap (and the sitemaps a sitemap index lists)
+  let sitemap;
+  try {
+    sitemap = readSitemap(sitemapPath);
+  } catch (e) {
+    return {
+      error: `Could not read sitemap ${sitemapPath}: ${e.message}`,
+      urls: [],
+      urlCount: 0
+    };
+  }
+  const groups = groupAlternates(sitemap.urls);
+  const urls = groups.flat();
   if (urls.length === 0) {
     return {
       error: 'Sitemap is empty or could not be parsed.',
@@ -520,10 +833,24 @@ function analyzeBySitemap(projectDir, options = {}) {
   }
 
   // Load check registry
-  const fullRegistry = loadAllChecks();
-  const registry = getChecksByTier(fullRegistry, tier);
+  const fullRegistry = loadProjectChecks(options);
+  const registry = selectChecks(getChecksByTier(fullRegistry, tier), options);
   const htmlChecks = getCheckNamesByType(registry, 'html');
   const scssChecks = getCheckNamesByType(registry, 'scss');
+  const tsChecks = getCheckNamesByType(registry, 'ts');
+
+  // Issues silenced by inline mat-a11y-disable comments (files shared by pages are listed once)
+  const suppressions = createSuppressionSummary();
+  // Elements and issues per check over all pages (WCAG conformance)
+  const coverage = {};
+  const analyzeOptions = {
+    ...options,
+    suppressions,
+    coverage,
+    tsChecks,
+    knownChecks: [...fullRegistry.keys()],
+    componentMap: loadComponentMap(options, projectDir)
+  };
 
   // Preprocessing: Build page resolver for deep component resolution
   let pageResolver = null;
@@ -540,36 +867,65 @@ function analyzeBySitemap(projectDir, options = {}) {
     ? resolveAllRoutes(parsed.routes, projectDir)
     : [];
 
-  // Analyze each URL
+  // Localized URLs (/de/about) fall back to the route without the locale prefix
+  const mapLocalizedUrl = (urlInfo) => {
+    const routeFiles = mapUrlToComponent(urlInfo.path, loader, resolvedRoutes, projectDir);
+    if (routeFiles) return { routeFiles, routePath: urlInfo.path };
+    const unprefixed = stripLocalePrefix(urlInfo.path, urlInfo.locale);
+    const localized = unprefixed ? mapUrlToComponent(unprefixed, loader, resolvedRoutes, projectDir) : null;
+    return localized ? { routeFiles: localized, routePath: unprefixed } : { routeFiles: null, routePath: urlInfo.path };
+  };
+
+  // Analyze each page once; hreflang alternates share the result and are reported per locale
   const urlResults = [];
+  const sitemapPaths = new Set();
   let resolved = 0;
   let unresolved = 0;
   let totalChildComponents = 0;
 
-  for (const urlInfo of urls) {
-    // Step 1: Map URL to primary component files
-    const routeFiles = mapUrlToComponent(urlInfo.path, loader, resolvedRoutes, projectDir);
-    
+  for (const group of groups) {
+    // Step 1: Map URL to primary component files (the first alternate that resolves)
+    let urlInfo = group[0];
+    let mapped = mapLocalizedUrl(urlInfo);
+    for (const member of group.slice(1)) {
+      if (mapped.routeFiles) break;
+      const memberMapped = mapLocalizedUrl(member);
+      if (memberMapped.routeFiles) {
+        urlInfo = member;
+        mapped = memberMapped;
+      }
+    }
+    const routeFiles = mapped.routeFiles;
+    sitemapPaths.add(mapped.routePath);
+    for (const member of group) sitemapPaths.add(member.path);
+
     // Step 2: Preprocessing - resolve all page files (primary + children)
     const pageFiles = pageResolver 
       ? pageResolver.resolveRouteFiles(routeFiles)
-      : {
-          htmlFiles: routeFiles?.html ? [routeFiles.html] : [],
-          scssFiles: routeFiles?.scss ? [routeFiles.scss] : [],
-          inlineTemplates: [],
-          components: []
-        };
+      : getPrimaryFiles(routeFiles);
     
     // Step 3: Analyze the fully resolved page
     const componentName = routeFiles?.component || null;
-    const result = analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scssChecks);
-    urlResults.push(result);
-
+    const result = analyzeUrl(urlInfo, pageFiles, componentName, registry, htmlChecks, scssChecks, analyzeOptions);
+
+    for (const member of group) {
+      urlResults.push({
+        ...result,
+        url: member.url,
+        path: member.path,
+        priority: member.priority,
+        locale: member.locale,
+        alternates: group.filter(other => other !== member).map(other => other.url),
+        issues: [...result.issues]
+      });
+      if (routeFiles) {
+        resolved++;
+      } else {
+        unresolved++;
+      }
+    }
     if (routeFiles) {
-      resolved++;
       totalChildComponents += result.childComponents.length;
-    } else {
-      unresolved++;
     }
   }
 
@@ -602,7 +958,6 @@ function analyzeBySitemap(projectDir, options = {}) {
   });
 
   // Find internal pages not in sitemap (admin/auth routes)
-  const sitemapPaths = new Set(urls.map(u => u.path));
   const internalRoutes = resolvedRoutes.filter(r => !sitemapPaths.has(r.path));
 
   // Analyze internal routes (using same preprocessing)
@@ -611,18 +966,14 @@ function analyzeBySitemap(projectDir, options = {}) {
     const routeFiles = {
       html: route.files.html,
       scss: route.files.scss,
+      ts: route.files.ts,
       component: route.component || route.loadComponent?.exportName
     };
     
     // Preprocessing - resolve all page files
     const pageFiles = pageResolver 
       ? pageResolver.resolveRouteFiles(routeFiles)
-      : {
-          htmlFiles: routeFiles.html ? [routeFiles.html] : [],
-          scssFiles: routeFiles.scss ? [routeFiles.scss] : [],
-          inlineTemplates: [],
-          components: []
-        };
+      : getPrimaryFiles(routeFiles);
     
     const result = analyzeUrl(
       { url: route.path, path: route.path, priority: 0 },
@@ -630,7 +981,8 @@ function analyzeBySitemap(projectDir, options = {}) {
       routeFiles.component,
       registry,
       htmlChecks,
-      scssChecks
+      scssChecks,
+      analyzeOptions
     );
     internalResults.push(result);
   }
@@ -644,8 +996,15 @@ function analyzeBySitemap(projectDir, options = {}) {
 
   return {
     tier,
+    weightOverrides: options.weights || null,
     sitemapPath,
+    // Every sitemap read (the index first) and index entries without a local file
+    sitemaps: sitemap.sitemaps,
+    missingSitemaps: sitemap.missing,
     urlCount: urls.length,
+    // Pages analyzed (hreflang alternates count once)
+    pageCount: groups.length,
+    locales: [...new Set(urls.map(u => u.locale).filter(Boolean))].sort(),
     resolved,
     unresolved,
     distribution: { passing, warning, failing },
@@ -663,7 +1022,10 @@ function analyzeBySitemap(projectDir, options = {}) {
       analyzed: internalResults.length,
       distribution: { passing: internalPassing, warning: internalWarning, failing: internalFailing },
       routes: internalResults.sort((a, b) => a.auditScore - b.auditScore)
-    }
+    },
+    suppressions,
+    coverage,
+    wcagLevel: options.wcagLevel || null
   };
 }
 
@@ -740,7 +1102,7 @@ function groupByComponent(allUrls) {
       }
 
       // Deduplicate globally
-      const globalKey = `${filePath}|${issue.check}|${issue.message}`;
+      const globalKey = `${filePath}|${issue.check}|${issue.message}|${issue.element}`;
       if (!globalSeen.has(globalKey)) {
         globalSeen.add(globalKey);
         comp.checkCounts[issue.check]++;
@@ -777,6 +1139,15 @@ function formatSitemapResults(results) {
 
   lines.push('Tier: ' + results.tier.toUpperCase());
   lines.push('Source: ' + results.sitemapPath);
+  if (results.sitemaps && results.sitemaps.length > 1) {
+    lines.push(`  Sitemap index: ${results.sitemaps.length - 1} sitemaps read`);
+  }
+  if (results.missingSitemaps && results.missingSitemaps.length > 0) {
+    lines.push(`  Not found locally: ${results.missingSitemaps.join(', ')}`);
+  }
+  if (results.locales && results.locales.length > 0) {
+    lines.push(`Locales: ${results.locales.join(', ')} (${results.urlCount} URLs, ${results.pageCount} pages; alternates analyzed once)`);
+  }
 
   // Show analysis mode with explanation
   if (isDeep) {
@@ -916,6 +1287,8 @@ function formatSitemapResults(results) {
 module.exports = {
   findSitemap,
   parseSitemap,
+  readSitemap,
+  groupAlternates,
   findDynamicLoader,
   mapUrlToComponent,
   analyzeBySitemap,
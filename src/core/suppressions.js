@@ -0,0 +1,422 @@
+/**
+ * @fileoverview Inline suppression comments.
+ *
+ * Lets authors silence a known false positive where it occurs instead of
+ * ignoring a whole path:
+ *
+ *   <!-- mat-a11y-disable-next-line matTabLabel -->
+ *   <!-- mat-a11y-disable matIconAccessibility --> ... <!-- mat-a11y-enable -->
+ *   // mat-a11y-disable-next-line colorContrast          (SCSS)
+ *   /* mat-a11y-disable focusStyles *\/ ... /* mat-a11y-enable *\/   (SCSS/CSS)
+ *   // mat-a11y-disable-next-line matDialogOpenConfig    (TypeScript)
+ *
+ * Check names are separated by spaces or commas; no names means all checks.
+ * Text after " -- " is kept as the reason:
+ *
+ *   <!-- mat-a11y-disable-next-line matTabLabel -- label set by directive -->
+ *
+ * Issues are matched to directives by line. Structured issues use the
+ * location a check reported, or the line in their data; otherwise the line
+ * is taken from "(line N)" or the reported element snippet is located in the
+ * source. Issues that can't be located are only suppressed by a `disable` at
+ * the top of the file that is never re-enabled.
+ *
+ * @module core/suppressions
+ */
+
+'use strict';
+
+const { getPosition, offsetIssue } = require('./location');
+const { formatSnippet } = require('./errors');
+
+// Directive comments, captured as [kind, rest]
+const HTML_DIRECTIVE_REGEX = /<!--\s*mat-a11y-(disable-next-line|disable|enable)(?![\w-])([\s\S]*?)-->/g;
+const BLOCK_DIRECTIVE_REGEX = /\/\*\s*mat-a11y-(disable-next-line|disable|enable)(?![\w-])([\s\S]*?)\*\//g;
+const LINE_DIRECTIVE_REGEX = /\/\/[ \t]*mat-a11y-(disable-next-line|disable|enable)(?![\w-])([^\n]*)/g;
+
+// Early exit - skip files without any directive
+const HAS_DIRECTIVE = /mat-a11y-(?:disable|enable)/;
+
+// Comments stripped before deciding whether a directive is at the top of the file
+const COMMENT_REGEX = /<!--[\s\S]*?-->|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g;
+
+/**
+ * Get 1-based line number for a character offset
+ * @private
+ */
+function lineAt(content, index) {
+  return getPosition(content, index).line;
+}
+
+/**
+ * Parse the text after the directive keyword into check names and a reason
+ * @private
+ */
+function parseDirectiveText(text) {
+  const [namesPart, ...reasonParts] = text.split(/\s--\s|\s--$/);
+  const checks = namesPart.split(/[\s,]+/).filter(Boolean);
+  const reason = reasonParts.join(' -- ').trim() || null;
+  return { checks, reason };
+}
+
+/**
+ * Find all suppression directives in a file
+ *
+ * @param {string} content - File content
+ * @param {'html'|'scss'|'ts'} [type='html'] - Comment syntax to look for
+ * @returns {Array<{kind: string, checks: string[], reason: string|null, line: number, endLine: number, index: number}>}
+ *   Directives in source order. `checks` is empty for "all checks".
+ */
+function parseDirectives(content, type = 'html') {
+  if (typeof content !== 'string' || !HAS_DIRECTIVE.test(content)) {
+    return [];
+  }
+
+  // <style> blocks in templates use CSS comments
+  const regexes = type === 'scss' || type === 'ts'
+    ? [BLOCK_DIRECTIVE_REGEX, LINE_DIRECTIVE_REGEX]
+    : [HTML_DIRECTIVE_REGEX, BLOCK_DIRECTIVE_REGEX];
+
+  const directives = [];
+  for (const regex of regexes) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      const { checks, reason } = parseDirectiveText(match[2] || '');
+      directives.push({
+        kind: match[1],
+        checks,
+        reason,
+        line: lineAt(content, match.index),
+        endLine: lineAt(content, match.index + match[0].length),
+        index: match.index
+      });
+    }
+  }
+
+  return directives.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Turn directives into line ranges.
+ *
+ * disable-next-line covers the line after the comment; disable covers
+ * everything up to the matching enable (or the end of the file).
+ *
+ * @private
+ */
+function buildRegions(content, directives) {
+  const regions = [];
+  const open = [];
+
+  for (const directive of directives) {
+    if (directive.kind === 'disable-next-line') {
+      regions.push({ directive, start: directive.endLine + 1, end: directive.endLine + 1, fileWide: false });
+    } else if (directive.kind === 'disable') {
+      const before = content.slice(0, directive.index).replace(COMMENT_REGEX, '');
+      const region = { directive, start: directive.line, end: Infinity, fileWide: !/\S/.test(before) };
+      regions.push(region);
+      open.push(region);
+    } else {
+      // enable: closes every open region it names (or all of them)
+      for (let i = open.length - 1; i >= 0; i--) {
+        const region = open[i];
+        const closes = directive.checks.length === 0 ||
+          (region.directive.checks.length > 0 && region.directive.checks.every(c => directive.checks.includes(c)));
+        if (closes) {
+          region.end = directive.line;
+          region.fileWide = false;
+          open.splice(i, 1);
+        }
+      }
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Get message text from an issue (string or { message })
+ * @private
+ */
+function getMessage(issue) {
+  return typeof issue === 'string' ? issue : (issue && issue.message) || '';
+}
+
+/**
+ * Build a whitespace-tolerant regex for an element snippet
+ * @private
+ */
+function snippetRegex(snippet) {
+  const escaped = snippet
+    .trim()
+    .split(/\s+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  return escaped ? new RegExp(escaped, 'g') : null;
+}
+
+/**
+ * Find the line of the nth match of a regex in content
+ * @private
+ */
+function findLine(content, regex, occurrence) {
+  regex.lastIndex = 0;
+  let match;
+  let last = null;
+  let count = 0;
+  while ((match = regex.exec(content)) !== null) {
+    last = match.index;
+    if (count === occurrence) break;
+    count++;
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return last === null ? null : lineAt(content, last);
+}
+
+/**
+ * Candidate search patterns for an element snippet, most specific first
+ * @private
+ */
+function getSearchPatterns(snippet) {
+  const patterns = [];
+  const cleaned = snippet.replace(/\.\.\.$/, '');
+
+  // "mat-tab #2" style: the nth element with that tag
+  const counted = cleaned.match(/^<?([a-z][\w-]*)>?\s+#(\d+)$/i);
+  if (counted) {
+    return [{ regex: new RegExp(`<${counted[1]}(?![\\w-])`, 'gi'), nth: parseInt(counted[2], 10) - 1 }];
+  }
+
+  patterns.push({ regex: snippetRegex(cleaned) });
+
+  // Quoted parts, e.g. colorContrast's ".card .title": #999 on #fff
+  const quoted = cleaned.match(/"([^"]{2,})"/g) || [];
+  for (const part of quoted) {
+    patterns.push({ regex: snippetRegex(part.slice(1, -1)) });
+  }
+
+  // Selector part of "selector { prop: value; }"
+  const brace = cleaned.indexOf(' {');
+  if (brace > 0) {
+    patterns.push({ regex: snippetRegex(cleaned.slice(0, brace)) });
+  }
+
+  return patterns.filter(p => p.regex);
+}
+
+/**
+ * Locate the source line of an issue
+ *
+ * Uses the location or line reported by the check when present, otherwise
+ * searches for the element snippet. Repeated snippets map to repeated
+ * occurrences in source order.
+ *
+ * @param {string|object} issue - Structured issue or issue string
+ * @param {string} content - File content the check ran on
+ * @param {Map<string, number>} [seen] - Occurrence counter shared by the issues of one check
+ * @returns {number|null} 1-based line, or null if it can't be located
+ */
+function locateIssue(issue, content, seen = new Map()) {
+  let snippet = null;
+  if (issue && typeof issue === 'object') {
+    if (issue.location) return issue.location.line;
+    if (typeof issue.line === 'number') return issue.line;
+    if (issue.data && typeof issue.data.line === 'number') return issue.data.line;
+    if (issue.element) snippet = formatSnippet(issue.element);
+  }
+
+  if (!snippet) {
+    const found = getMessage(issue).match(/Found:\s*(.+?)(?:\s*\(line\s*(\d+)\))?$/m);
+    if (!found) return null;
+    if (found[2]) return parseInt(found[2], 10);
+    snippet = found[1];
+  }
+
+  const occurrence = seen.get(snippet) || 0;
+  seen.set(snippet, occurrence + 1);
+
+  for (const pattern of getSearchPatterns(snippet)) {
+    const line = findLine(content, pattern.regex, pattern.nth !== undefined ? pattern.nth : occurrence);
+    if (line !== null) return line;
+  }
+  return null;
+}
+
+/**
+ * Apply inline suppression comments to the check results of one file
+ *
+ * @param {string} content - File content the checks ran on
+ * @param {'html'|'scss'|'ts'} type - File type (comment syntax)
+ * @param {Object<string, Array<string|object>>} issuesByCheck - Check name -> issues
+ * @param {object} [options]
+ * @param {Iterable<string>} [options.knownChecks] - All check names; other names in directives are reported as unknown
+ * @param {{line: number, column: number}} [options.origin] - Where `content` starts in the reported file
+ *   (inline templates and styles); lines and locations in the result are relative to that file
+ * @returns {{
+ *   issues: Object<string, Array<string|object>>,
+ *   suppressed: Array<{check: string, message: string, line: number|null, directive: {kind: string, line: number, reason: string|null}}>,
+ *     (suppressed structured issues keep their other fields)
+ *   unused: Array<{kind: string, check: string, line: number, unknown: boolean}>
+ * }} Remaining issues per check, suppressed issues, and directives that suppressed nothing
+ *
+ * @example
+ * const { issues, suppressed } = applySuppressions(html, 'html', { matTabLabel: [...] });
+ */
+function applySuppressions(content, type, issuesByCheck, options = {}) {
+  const applied = matchDirectives(content, type, issuesByCheck, options);
+  return options.origin ? offsetApplied(applied, options.origin) : applied;
+}
+
+/**
+ * Map the result of matchDirectives() from embedded content to its file
+ * @private
+ */
+function offsetApplied(applied, origin) {
+  const shiftLine = line => (typeof line === 'number' ? line + origin.line - 1 : line);
+
+  const issues = {};
+  for (const [checkName, list] of Object.entries(applied.issues)) {
+    issues[checkName] = Array.isArray(list) ? list.map(issue => offsetIssue(issue, origin)) : list;
+  }
+
+  const suppressed = applied.suppressed.map(entry => ({
+    ...offsetIssue(entry, origin),
+    directive: { ...entry.directive, line: shiftLine(entry.directive.line) }
+  }));
+  const unused = applied.unused.map(entry => ({ ...entry, line: shiftLine(entry.line) }));
+
+  return { issues, suppressed, unused };
+}
+
+/**
+ * Match issues against the directives in `content`
+ * @private
+ */
+function matchDirectives(content, type, issuesByCheck, options) {
+  const directives = parseDirectives(content, type);
+  if (directives.length === 0) {
+    return { issues: issuesByCheck, suppressed: [], unused: [] };
+  }
+
+  const regions = buildRegions(content, directives);
+  const used = new Map(); // directive -> Set of check names that matched
+
+  const remaining = {};
+  const suppressed = [];
+
+  for (const [checkName, issues] of Object.entries(issuesByCheck)) {
+    const applicable = regions.filter(r =>
+      r.directive.checks.length === 0 || r.directive.checks.includes(checkName));
+    if (applicable.length === 0 || !Array.isArray(issues) || issues.length === 0) {
+      remaining[checkName] = issues;
+      continue;
+    }
+
+    const seen = new Map();
+    remaining[checkName] = [];
+    for (const issue of issues) {
+      const line = locateIssue(issue, content, seen);
+      const region = applicable.find(r => line !== null
+        ? line >= r.start && line <= r.end
+        : r.fileWide);
+
+      if (!region) {
+        remaining[checkName].push(issue);
+        continue;
+      }
+
+      if (!used.has(region.directive)) used.set(region.directive, new Set());
+      used.get(region.directive).add(checkName);
+      const entry = typeof issue === 'string'
+        ? { check: checkName, message: issue }
+        : { check: checkName, ...issue };
+      entry.line = line;
+      entry.directive = { kind: region.directive.kind, line: region.directive.line, reason: region.directive.reason };
+      suppressed.push(entry);
+    }
+  }
+
+  // Directives (or names within them) that didn't suppress anything
+  const ran = new Set(Object.keys(issuesByCheck));
+  const known = options.knownChecks ? new Set(options.knownChecks) : null;
+  const unused = [];
+  for (const directive of directives) {
+    if (directive.kind === 'enable') continue;
+    const matched = used.get(directive) || new Set();
+
+    if (directive.checks.length === 0) {
+      if (matched.size === 0) {
+        unused.push({ kind: directive.kind, check: '*', line: directive.line, unknown: false });
+      }
+      continue;
+    }
+
+    for (const name of directive.checks) {
+      if (matched.has(name)) continue;
+      const unknown = known ? !known.has(name) : false;
+      // Checks that exist but didn't run on this file (tier, type, config) are not reported
+      if (unknown || ran.has(name)) {
+        unused.push({ kind: directive.kind, check: name, line: directive.line, unknown });
+      }
+    }
+  }
+
+  return { issues: remaining, suppressed, unused };
+}
+
+/**
+ * Create an empty suppression summary for analysis results
+ * @returns {{count: number, issues: Array, unused: Array}}
+ */
+function createSuppressionSummary() {
+  return { count: 0, issues: [], unused: [] };
+}
+
+/**
+ * Add the suppressions of one file to a summary
+ *
+ * Entries already in the summary are skipped, so a file analyzed for
+ * several pages is only listed once.
+ *
+ * @param {object} summary - From createSuppressionSummary()
+ * @param {{suppressed: Array, unused: Array}} applied - From applySuppressions()
+ * @param {string} file - File path reported for these entries
+ */
+function addSuppressions(summary, applied, file) {
+  const isListed = (list, entry) => list.some(e =>
+    e.file === file && e.check === entry.check && e.line === entry.line &&
+    e.message === entry.message && e.element === entry.element);
+
+  for (const entry of applied.suppressed) {
+    if (!isListed(summary.issues, entry)) summary.issues.push({ ...entry, file });
+  }
+  for (const entry of applied.unused) {
+    if (!isListed(summary.unused, entry)) summary.unused.push({ ...entry, file });
+  }
+  summary.count = summary.issues.length;
+}
+
+/**
+ * Format unused directives for console output
+ *
+ * @param {object} results - Analysis results with a `suppressions` summary
+ * @returns {string[]} One line per unused directive
+ */
+function formatUnusedDisables(results) {
+  const unused = (results && results.suppressions && results.suppressions.unused) || [];
+  return unused.map(entry => {
+    const what = entry.check === '*' ? 'all checks' : entry.check;
+    const why = entry.unknown ? 'unknown check' : 'no issues suppressed';
+    return `${entry.file}:${entry.line} unused mat-a11y-${entry.kind} for ${what} (${why})`;
+  });
+}
+
+module.exports = {
+  parseDirectives,
+  locateIssue,
+  applySuppressions,
+  createSuppressionSummary,
+  addSuppressions,
+  formatUnusedDisables
+};
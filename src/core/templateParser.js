@@ -0,0 +1,919 @@
+'use strict';
+
+/**
+ * Angular Template Parser
+ *
+ * Dependency-free tokenizer and parser for Angular templates. HTML checks get
+ * the parsed template as `context.template` (the second argument of `check()`)
+ * instead of pattern-matching the raw text, so nested elements with the same
+ * tag, `>` inside bound expressions, multi-line attributes and comments are
+ * handled the way Angular handles them.
+ *
+ * Understands:
+ * - Elements: void, self-closing (`<mat-icon />`) and implicitly closed (`<p>`, `<li>`, ...)
+ * - Attributes: static, [prop], (event), [(twoWay)], [attr.x], [class.x], [style.x],
+ *   *structural, #ref, let-x (and the bind-/on-/bindon-/ref- forms)
+ * - Text, {{ interpolation }} and comments
+ * - Control flow: @if/@else, @for/@empty, @switch/@case/@default,
+ *   @defer/@placeholder/@loading/@error blocks and @let declarations
+ * - ICU expressions: {count, plural, =0 {none} other {{{count}} items}}
+ *
+ * Nodes:
+ *   root        { type, children, source, errors }
+ *   element     { type, name, attrs, children, start, end, startTagEnd, endTagStart, selfClosing }
+ *   text        { type, value, start, end }
+ *   interpolation { type, expression, start, end }
+ *   comment     { type, value, start, end }
+ *   block       { type, name, parameters, children, start, end }
+ *   let         { type, name, value, start, end }
+ *   expansion   { type, switchValue, kind, cases, start, end }
+ *   expansionCase { type, value, children, start, end }
+ *
+ * `start`/`end` are character offsets into the parsed content (end exclusive);
+ * every node but the root has a non-enumerable `parent`. Element names are
+ * lowercased; `endTagStart` is null when the element has no explicit end tag.
+ *
+ * Attributes are `{ name, kind, key, value, start, end }`: `name` as written
+ * (e.g. '[attr.aria-label]'), `kind` one of static, property, attribute, class,
+ * style, animation, event, twoWay, structural, reference, let, and `key` the
+ * bare name ('aria-label'). `value` is null for attributes without a value.
+ */
+
+// Elements that never have content or an end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is not parsed as markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Open elements that are implicitly closed when one of these elements starts
+const P_CLOSERS = [
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul'
+];
+const CLOSED_BY_CHILDREN = {
+  p: new Set(P_CLOSERS),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  option: new Set(['option', 'optgroup']),
+  optgroup: new Set(['optgroup']),
+  tr: new Set(['tr', 'tbody', 'tfoot']),
+  td: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot'])
+};
+
+// @-blocks of the built-in control flow
+const BLOCK_NAMES = new Set([
+  'if', 'else', 'for', 'empty', 'switch', 'case', 'default',
+  'defer', 'placeholder', 'loading', 'error'
+]);
+
+// Attribute kinds that can provide a value for the attribute/property `key`
+const VALUE_KINDS = new Set(['static', 'property', 'attribute', 'twoWay']);
+
+const TAG_NAME = /[a-zA-Z][\w:.-]*/y;
+const ICU_START = /\{\s*([^,{}]+?)\s*,\s*(plural|select|selectordinal)\s*,/y;
+const LET_DECLARATION = /@let\s+([A-Za-z_$][\w$]*)\s*=/y;
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+/**
+ * Find the end of a quoted string or balanced expression
+ * @private
+ */
+function skipQuoted(content, index) {
+  const quote = content[index];
+  let i = index + 1;
+  while (i < content.length && content[i] !== quote) {
+    if (content[i] === '\\') i++;
+    i++;
+  }
+  return Math.min(i + 1, content.length);
+}
+
+/**
+ * Find the index of `close` at depth 0 after `index`, skipping quoted strings
+ * @private
+ */
+function findClosing(content, index, open, close) {
+  let depth = 0;
+  let i = index;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipQuoted(content, i);
+      continue;
+    }
+    if (char === open) depth++;
+    else if (char === close) {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Find the end of an interpolation ("}}"), skipping quoted strings
+ * @private
+ */
+function findInterpolationEnd(content, index) {
+  let i = index;
+  while (i < content.length - 1) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipQuoted(content, i);
+      continue;
+    }
+    if (char === '}' && content[i + 1] === '}') return i;
+    i++;
+  }
+  return -1;
+}
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\t' || char === '\r' || char === '\f';
+}
+
+function skipWhitespace(content, index) {
+  let i = index;
+  while (i < content.length && isWhitespace(content[i])) i++;
+  return i;
+}
+
+function isLetter(char) {
+  return (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
+}
+
+/**
+ * Read the attributes and end of a start tag
+ * @private
+ */
+function readStartTag(content, index, tokens) {
+  let i = index;
+
+  while (i < content.length) {
+    i = skipWhitespace(content, i);
+    const char = content[i];
+
+    if (char === undefined) break;
+    if (char === '>') {
+      tokens.push({ type: 'tagOpenEnd', selfClosing: false, start: i, end: i + 1 });
+      return i + 1;
+    }
+    if (char === '/' && content[i + 1] === '>') {
+      tokens.push({ type: 'tagOpenEnd', selfClosing: true, start: i, end: i + 2 });
+      return i + 2;
+    }
+    if (char === '/' || char === '"' || char === "'" || char === '=') {
+      i++;
+      continue;
+    }
+
+    // Attribute name: anything up to whitespace, "=", ">" or "/>"
+    const nameStart = i;
+    while (i < content.length) {
+      const c = content[i];
+      if (isWhitespace(c) || c === '=' || c === '>' || c === '"' || c === "'") break;
+      if (c === '/' && content[i + 1] === '>') break;
+      i++;
+    }
+    const name = content.slice(nameStart, i);
+    let value = null;
+    let valueStart = null;
+
+    const afterName = skipWhitespace(content, i);
+    if (content[afterName] === '=') {
+      const valueIndex = skipWhitespace(content, afterName + 1);
+      const quote = content[valueIndex];
+      if (quote === '"' || quote === "'") {
+        const close = content.indexOf(quote, valueIndex + 1);
+        const valueEnd = close === -1 ? content.length : close;
+        valueStart = valueIndex + 1;
+        value = content.slice(valueStart, valueEnd);
+        i = close === -1 ? content.length : close + 1;
+      } else {
+        let end = valueIndex;
+        while (end < content.length && !isWhitespace(content[end]) && content[end] !== '>') end++;
+        valueStart = valueIndex;
+        value = content.slice(valueIndex, end);
+        i = end;
+      }
+    }
+
+    tokens.push({ type: 'attr', name, value, valueStart, start: nameStart, end: i });
+  }
+
+  // Unterminated start tag: ends with the content
+  tokens.push({ type: 'tagOpenEnd', selfClosing: false, start: content.length, end: content.length });
+  return content.length;
+}
+
+/**
+ * Tokenize an Angular template
+ *
+ * Tokens: tagOpenStart, attr, tagOpenEnd, tagClose, text, interpolation, comment,
+ * blockOpen, blockClose, let, expansionStart, expansionCaseStart, expansionCaseEnd,
+ * expansionEnd. Each has `start`/`end` offsets.
+ *
+ * @param {string} content - Template source
+ * @returns {Array<object>} Tokens in source order
+ */
+function tokenize(content) {
+  const tokens = [];
+  // Open "{" contexts: 'block' (@if {...}), 'expansion' (ICU), 'case' (ICU case)
+  const braces = [];
+  let textStart = -1;
+  let i = 0;
+
+  const flushText = (end) => {
+    if (textStart !== -1 && end > textStart) {
+      tokens.push({ type: 'text', value: content.slice(textStart, end), start: textStart, end });
+    }
+    textStart = -1;
+  };
+  const addText = (index) => {
+    if (textStart === -1) textStart = index;
+  };
+
+  // Read ICU case headers ("=0 {" or "other {") or the closing "}" of the expansion
+  const readExpansionCases = () => {
+    while (i < content.length) {
+      i = skipWhitespace(content, i);
+      if (content[i] === '}') {
+        braces.pop();
+        tokens.push({ type: 'expansionEnd', start: i, end: i + 1 });
+        i++;
+        return;
+      }
+      const valueStart = i;
+      while (i < content.length && content[i] !== '{' && content[i] !== '}' && !isWhitespace(content[i])) i++;
+      const value = content.slice(valueStart, i);
+      i = skipWhitespace(content, i);
+      if (content[i] !== '{') {
+        // Malformed case: give up on the expansion, the rest is text
+        braces.pop();
+        tokens.push({ type: 'expansionEnd', start: i, end: i });
+        return;
+      }
+      tokens.push({ type: 'expansionCaseStart', value, start: valueStart, end: i + 1 });
+      braces.push('case');
+      i++;
+      return;
+    }
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '<') {
+      const next = content[i + 1];
+
+      // Comment
+      if (content.startsWith('<!--', i)) {
+        flushText(i);
+        const close = content.indexOf('-->', i + 4);
+        const end = close === -1 ? content.length : close + 3;
+        tokens.push({ type: 'comment', value: content.slice(i + 4, close === -1 ? end : close), start: i, end });
+        i = end;
+        continue;
+      }
+
+      // <!DOCTYPE ...>, <![CDATA[...]]>
+      if (next === '!') {
+        flushText(i);
+        const close = content.indexOf('>', i);
+        const end = close === -1 ? content.length : close + 1;
+        tokens.push({ type: 'comment', value: content.slice(i + 2, end - 1), start: i, end });
+        i = end;
+        continue;
+      }
+
+      // End tag
+      if (next === '/' && isLetter(content[i + 2])) {
+        flushText(i);
+        TAG_NAME.lastIndex = i + 2;
+        const name = TAG_NAME.exec(content)[0];
+        const close = content.indexOf('>', i);
+        const end = close === -1 ? content.length : close + 1;
+        tokens.push({ type: 'tagClose', name: name.toLowerCase(), start: i, end });
+        i = end;
+        continue;
+      }
+
+      // Start tag
+      if (isLetter(next)) {
+        flushText(i);
+        TAG_NAME.lastIndex = i + 1;
+        const name = TAG_NAME.exec(content)[0].toLowerCase();
+        tokens.push({ type: 'tagOpenStart', name, start: i, end: i + 1 + name.length });
+        i = readStartTag(content, i + 1 + name.length, tokens);
+
+        // Raw text content (<script>, <style>, ...) up to the end tag
+        const openEnd = tokens[tokens.length - 1];
+        if (RAW_TEXT_ELEMENTS.has(name) && !openEnd.selfClosing) {
+          const closeMatch = new RegExp(`</${name}\\s*>`, 'ig');
+          closeMatch.lastIndex = i;
+          const found = closeMatch.exec(content);
+          const rawEnd = found ? found.index : content.length;
+          if (rawEnd > i) tokens.push({ type: 'text', value: content.slice(i, rawEnd), start: i, end: rawEnd });
+          i = rawEnd;
+        }
+        continue;
+      }
+
+      addText(i);
+      i++;
+      continue;
+    }
+
+    // Interpolation
+    if (char === '{' && content[i + 1] === '{') {
+      const close = findInterpolationEnd(content, i + 2);
+      if (close !== -1) {
+        flushText(i);
+        tokens.push({ type: 'interpolation', expression: content.slice(i + 2, close), start: i, end: close + 2 });
+        i = close + 2;
+        continue;
+      }
+    }
+
+    // ICU expansion
+    if (char === '{') {
+      ICU_START.lastIndex = i;
+      const match = ICU_START.exec(content);
+      if (match) {
+        flushText(i);
+        tokens.push({ type: 'expansionStart', switchValue: match[1].trim(), kind: match[2], start: i, end: i + match[0].length });
+        braces.push('expansion');
+        i += match[0].length;
+        readExpansionCases();
+        continue;
+      }
+    }
+
+    // End of a block or ICU case
+    if (char === '}' && braces.length > 0) {
+      flushText(i);
+      const context = braces.pop();
+      if (context === 'block') {
+        tokens.push({ type: 'blockClose', start: i, end: i + 1 });
+        i++;
+      } else {
+        tokens.push({ type: 'expansionCaseEnd', start: i, end: i + 1 });
+        i++;
+        readExpansionCases();
+      }
+      continue;
+    }
+
+    // @let declaration and control flow blocks
+    if (char === '@' && isLetter(content[i + 1])) {
+      LET_DECLARATION.lastIndex = i;
+      const letMatch = LET_DECLARATION.exec(content);
+      if (letMatch) {
+        const close = findStatementEnd(content, i + letMatch[0].length);
+        flushText(i);
+        tokens.push({
+          type: 'let',
+          name: letMatch[1],
+          value: content.slice(i + letMatch[0].length, close).trim(),
+          start: i,
+          end: Math.min(close + 1, content.length)
+        });
+        i = Math.min(close + 1, content.length);
+        continue;
+      }
+
+      const block = readBlockStart(content, i);
+      if (block) {
+        flushText(i);
+        tokens.push({ type: 'blockOpen', name: block.name, parameters: block.parameters, start: i, end: block.end });
+        braces.push('block');
+        i = block.end;
+        continue;
+      }
+    }
+
+    addText(i);
+    i++;
+  }
+
+  flushText(content.length);
+  return tokens;
+}
+
+/**
+ * Find the ";" that ends a @let declaration, skipping quoted strings
+ * @private
+ */
+function findStatementEnd(content, index) {
+  let i = index;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipQuoted(content, i);
+      continue;
+    }
+    if (char === ';') return i;
+    i++;
+  }
+  return content.length;
+}
+
+/**
+ * Read "@name (parameters) {" at index
+ * @private
+ * @returns {{name: string, parameters: string, end: number}|null} Null if it is not a block
+ */
+function readBlockStart(content, index) {
+  let i = index + 1;
+  while (i < content.length && isLetter(content[i])) i++;
+  let name = content.slice(index + 1, i);
+  if (!BLOCK_NAMES.has(name)) return null;
+
+  // "@else if (...)"
+  if (name === 'else') {
+    const afterElse = skipWhitespace(content, i);
+    if (content.startsWith('if', afterElse) && !isLetter(content[afterElse + 2] || '')) {
+      name = 'else if';
+      i = afterElse + 2;
+    }
+  }
+
+  let parameters = '';
+  i = skipWhitespace(content, i);
+  if (content[i] === '(') {
+    const close = findClosing(content, i, '(', ')');
+    if (close === -1) return null;
+    parameters = content.slice(i + 1, close).trim();
+    i = skipWhitespace(content, close + 1);
+  }
+
+  if (content[i] !== '{') return null;
+  return { name, parameters, end: i + 1 };
+}
+
+// ============================================
+// PARSER
+// ============================================
+
+function setParent(node, parent) {
+  Object.defineProperty(node, 'parent', { value: parent, enumerable: false, writable: true });
+  return node;
+}
+
+/**
+ * Classify an attribute by its Angular binding syntax
+ * @private
+ */
+function classifyAttribute(name) {
+  let match;
+  if ((match = /^\[\((.+)\)\]$/.exec(name)) || (match = /^bindon-(.+)$/.exec(name))) {
+    return { kind: 'twoWay', key: match[1] };
+  }
+  if ((match = /^\[(.+)\]$/.exec(name)) || (match = /^bind-(.+)$/.exec(name))) {
+    const target = match[1];
+    if (target.startsWith('attr.')) return { kind: 'attribute', key: target.slice(5) };
+    if (target.startsWith('class.')) return { kind: 'class', key: target.slice(6) };
+    if (target.startsWith('style.')) return { kind: 'style', key: target.slice(6) };
+    if (target.startsWith('@')) return { kind: 'animation', key: target.slice(1) };
+    return { kind: 'property', key: target };
+  }
+  if ((match = /^\((.+)\)$/.exec(name)) || (match = /^on-(.+)$/.exec(name))) {
+    return { kind: 'event', key: match[1] };
+  }
+  if (name.startsWith('*')) return { kind: 'structural', key: name.slice(1) };
+  if (name.startsWith('#')) return { kind: 'reference', key: name.slice(1) };
+  if (name.startsWith('ref-')) return { kind: 'reference', key: name.slice(4) };
+  if (name.startsWith('let-')) return { kind: 'let', key: name.slice(4) };
+  if (name.startsWith('@')) return { kind: 'animation', key: name.slice(1) };
+  return { kind: 'static', key: name };
+}
+
+/**
+ * Parse an Angular template into a tree
+ *
+ * Never throws: malformed markup (stray end tags, unclosed elements) is
+ * recovered from the way browsers and Angular do, and listed in `errors`.
+ *
+ * @param {string} content - Template source
+ * @returns {object} Root node ({ type: 'root', children, source, errors })
+ *
+ * @example
+ * const template = parseTemplate('<mat-tab [label]="title">...</mat-tab>');
+ * const [tab] = findElements(template, 'mat-tab');
+ * getAttribute(tab, 'label').kind; // 'property'
+ */
+function parseTemplate(content) {
+  const source = typeof content === 'string' ? content : '';
+  if (parseCache.source === source && parseCache.template) return parseCache.template;
+
+  const root = { type: 'root', children: [], source, errors: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const append = (node) => {
+    const parent = current();
+    setParent(node, parent);
+    parent.children.push(node);
+    return node;
+  };
+
+  // Close the open element at the top of the stack without an end tag
+  const closeImplicitly = (end) => {
+    const node = stack.pop();
+    node.end = end;
+  };
+
+  // Nearest stack index of an element named `name`, not crossing blocks or ICU cases
+  const findOpen = (name) => {
+    for (let s = stack.length - 1; s > 0; s--) {
+      const node = stack[s];
+      if (node.type !== 'element') return -1;
+      if (node.name === name) return s;
+    }
+    return -1;
+  };
+
+  const tokens = tokenize(source);
+  let element = null;
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'tagOpenStart': {
+        // <p>, <li>, ... end where a sibling or block-level element starts
+        let open = current();
+        while (open.type === 'element' && CLOSED_BY_CHILDREN[open.name] && CLOSED_BY_CHILDREN[open.name].has(token.name)) {
+          closeImplicitly(token.start);
+          open = current();
+        }
+        element = append({
+          type: 'element',
+          name: token.name,
+          attrs: [],
+          children: [],
+          start: token.start,
+          end: token.end,
+          startTagEnd: token.end,
+          endTagStart: null,
+          selfClosing: false
+        });
+        break;
+      }
+
+      case 'attr': {
+        if (!element) break;
+        const { kind, key } = classifyAttribute(token.name);
+        element.attrs.push({
+          name: token.name,
+          kind,
+          key,
+          value: token.value,
+          start: token.start,
+          end: token.end
+        });
+        break;
+      }
+
+      case 'tagOpenEnd': {
+        if (!element) break;
+        element.startTagEnd = token.end;
+        element.end = token.end;
+        element.selfClosing = token.selfClosing;
+        if (!token.selfClosing && !VOID_ELEMENTS.has(element.name)) stack.push(element);
+        element = null;
+        break;
+      }
+
+      case 'tagClose': {
+        const index = findOpen(token.name);
+        if (index === -1) {
+          if (!VOID_ELEMENTS.has(token.name)) {
+            root.errors.push({ message: `Unexpected closing tag </${token.name}>`, start: token.start, end: token.end });
+          }
+          break;
+        }
+        while (stack.length - 1 > index) closeImplicitly(token.start);
+        const node = stack.pop();
+        node.endTagStart = token.start;
+        node.end = token.end;
+        break;
+      }
+
+      case 'text':
+        append({ type: 'text', value: token.value, start: token.start, end: token.end });
+        break;
+
+      case 'interpolation':
+        append({ type: 'interpolation', expression: token.expression, start: token.start, end: token.end });
+        break;
+
+      case 'comment':
+        append({ type: 'comment', value: token.value, start: token.start, end: token.end });
+        break;
+
+      case 'let':
+        append({ type: 'let', name: token.name, value: token.value, start: token.start, end: token.end });
+        break;
+
+      case 'blockOpen':
+        stack.push(append({
+          type: 'block',
+          name: token.name,
+          parameters: token.parameters,
+          children: [],
+          start: token.start,
+          end: token.end
+        }));
+        break;
+
+      case 'blockClose': {
+        while (current().type === 'element') closeImplicitly(token.start);
+        const node = current();
+        if (node.type === 'block') {
+          stack.pop();
+          node.end = token.end;
+        }
+        break;
+      }
+
+      case 'expansionStart':
+        stack.push(append({
+          type: 'expansion',
+          switchValue: token.switchValue,
+          kind: token.kind,
+          cases: [],
+          start: token.start,
+          end: token.end
+        }));
+        break;
+
+      case 'expansionCaseStart': {
+        const expansion = current();
+        if (expansion.type !== 'expansion') break;
+        const node = setParent({
+          type: 'expansionCase',
+          value: token.value,
+          children: [],
+          start: token.start,
+          end: token.end
+        }, expansion);
+        expansion.cases.push(node);
+        stack.push(node);
+        break;
+      }
+
+      case 'expansionCaseEnd': {
+        while (current().type === 'element') closeImplicitly(token.start);
+        const node = current();
+        if (node.type === 'expansionCase') {
+          stack.pop();
+          node.end = token.end;
+        }
+        break;
+      }
+
+      case 'expansionEnd': {
+        const node = current();
+        if (node.type === 'expansion') {
+          stack.pop();
+          node.end = token.end;
+        }
+        break;
+      }
+    }
+  }
+
+  // Whatever is still open ends with the content
+  while (stack.length > 1) {
+    const node = stack.pop();
+    if (node.type === 'block' || node.type === 'expansion' || node.type === 'expansionCase') {
+      root.errors.push({ message: `Unclosed ${node.type === 'block' ? `@${node.name} block` : 'ICU expression'}`, start: node.start, end: node.start });
+    }
+    node.end = source.length;
+  }
+
+  parseCache = { source, template: root };
+  return root;
+}
+
+// Last parsed template (all checks of a file parse the same content)
+let parseCache = { source: null, template: null };
+
+/**
+ * Create the `check()` context for an HTML check
+ *
+ * @param {string} content - Template source
+ * @returns {{template: object}} Context with the parsed template
+ */
+function createTemplateContext(content) {
+  return { template: parseTemplate(content) };
+}
+
+/**
+ * Get the parsed template from a check's context, parsing the content if the
+ * caller did not provide it (e.g. checks run directly from tests)
+ *
+ * @param {string} content - Content passed to the check
+ * @param {object} [context] - Second argument of the check
+ * @returns {object} Root node
+ */
+function getTemplate(content, context) {
+  if (context && context.template && context.template.source === content) return context.template;
+  return parseTemplate(content);
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Child nodes of a node (ICU expansions have cases)
+ * @private
+ */
+function childrenOf(node) {
+  if (node.type === 'expansion') return node.cases;
+  return node.children || [];
+}
+
+/**
+ * Visit all descendants of a node in document order
+ *
+ * @param {object} node - Root, element, block, ... node
+ * @param {function(object): (boolean|void)} visit - Return false to skip a node's descendants
+ */
+function walk(node, visit) {
+  for (const child of childrenOf(node)) {
+    if (visit(child) === false) continue;
+    walk(child, visit);
+  }
+}
+
+/**
+ * Build an element matcher from a tag name, list of tag names or predicate
+ * @private
+ */
+function toMatcher(match) {
+  if (typeof match === 'function') return match;
+  const names = new Set((Array.isArray(match) ? match : [match]).map(name => name.toLowerCase()));
+  return element => names.has(element.name);
+}
+
+/**
+ * Find descendant elements
+ *
+ * @param {object} node - Node to search in
+ * @param {string|string[]|function(object): boolean} match - Tag name(s) or predicate
+ * @returns {object[]} Matching elements in document order
+ *
+ * @example
+ * findElements(template, 'mat-tab');
+ * findElements(template, el => hasAttribute(el, 'matTooltip'));
+ */
+function findElements(node, match) {
+  const matches = toMatcher(match);
+  const found = [];
+  walk(node, child => {
+    if (child.type === 'element' && matches(child)) found.push(child);
+  });
+  return found;
+}
+
+/**
+ * Find the nearest ancestor element
+ *
+ * @param {object} node - Node to start from (not included)
+ * @param {string|string[]|function(object): boolean} match - Tag name(s) or predicate
+ * @returns {object|null} Ancestor element
+ */
+function closest(node, match) {
+  const matches = toMatcher(match);
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'element' && matches(parent)) return parent;
+  }
+  return null;
+}
+
+/**
+ * Get an attribute that sets `name`, statically or through a binding
+ *
+ * Matches `name="..."`, `[name]="..."`, `[attr.name]="..."` and `[(name)]="..."`
+ * (case-insensitive).
+ *
+ * @param {object} element - Element node
+ * @param {string} name - Attribute or property name (e.g. 'aria-label')
+ * @param {string[]} [kinds] - Only match these attribute kinds
+ * @returns {object|null} Attribute
+ */
+function getAttribute(element, name, kinds = null) {
+  const key = name.toLowerCase();
+  for (const attr of element.attrs) {
+    if (attr.key.toLowerCase() !== key) continue;
+    if (kinds ? kinds.includes(attr.kind) : VALUE_KINDS.has(attr.kind)) return attr;
+  }
+  return null;
+}
+
+/**
+ * Check if an element has an attribute that sets `name`, with or without a value
+ *
+ * @param {object} element - Element node
+ * @param {string} name - Attribute or property name
+ * @param {string[]} [kinds] - Only match these attribute kinds
+ * @returns {boolean}
+ */
+function hasAttribute(element, name, kinds = null) {
+  return getAttribute(element, name, kinds) !== null;
+}
+
+/**
+ * Check if an element sets `name` to a non-empty value (static or bound)
+ *
+ * @param {object} element - Element node
+ * @param {string} name - Attribute or property name
+ * @returns {boolean}
+ */
+function hasAttributeValue(element, name) {
+  const key = name.toLowerCase();
+  return element.attrs.some(attr =>
+    attr.key.toLowerCase() === key && VALUE_KINDS.has(attr.kind) && attr.value !== null && attr.value.trim() !== '');
+}
+
+/**
+ * Get the literal value an element sets `name` to
+ *
+ * Static attributes give their value; bindings only when they bind a literal
+ * (`[attr.role]="'none'"`, `[disabled]="true"`).
+ *
+ * @param {object} element - Element node
+ * @param {string} name - Attribute or property name
+ * @returns {string|null} Value, or null if unset or bound to an expression
+ */
+function getStaticValue(element, name) {
+  const attr = getAttribute(element, name);
+  if (!attr || attr.value === null) return null;
+  if (attr.kind === 'static') return attr.value;
+
+  const expression = attr.value.trim();
+  const literal = /^'([^']*)'$/.exec(expression) || /^"([^"]*)"$/.exec(expression);
+  if (literal) return literal[1];
+  if (/^(?:true|false|-?\d+(?:\.\d+)?)$/.test(expression)) return expression;
+  return null;
+}
+
+/**
+ * Check if an element has a non-empty aria-label or aria-labelledby (static or bound)
+ *
+ * @param {object} element - Element node
+ * @returns {boolean}
+ */
+function hasAriaLabel(element) {
+  return hasAttributeValue(element, 'aria-label') || hasAttributeValue(element, 'aria-labelledby');
+}
+
+/**
+ * Get the text content of a node
+ *
+ * Interpolations are included as written ("{{ name }}") since they render text.
+ *
+ * @param {object} node - Node
+ * @param {function(object): boolean} [skip] - Return true to leave out an element's content
+ * @returns {string} Text content
+ */
+function getTextContent(node, skip = null) {
+  let text = '';
+  walk(node, child => {
+    if (child.type === 'text') text += child.value;
+    else if (child.type === 'interpolation') text += `{{${child.expression}}}`;
+    else if (child.type === 'element' && skip && skip(child)) return false;
+    return undefined;
+  });
+  return text;
+}
+
+module.exports = {
+  tokenize,
+  parseTemplate,
+  createTemplateContext,
+  getTemplate,
+  walk,
+  findElements,
+  closest,
+  getAttribute,
+  hasAttribute,
+  hasAttributeValue,
+  getStaticValue,
+  hasAriaLabel,
+  getTextContent,
+  VOID_ELEMENTS
+};
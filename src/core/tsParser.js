@@ -0,0 +1,502 @@
+'use strict';
+
+/**
+ * TypeScript Source Scanner
+ *
+ * Dependency-free scanner for the component, directive and service `.ts`
+ * files `ts` checks run on. It is not a TypeScript parser: it finds the few
+ * constructs accessibility checks look at - imports, decorated classes,
+ * injected services and method calls - without being fooled by comments,
+ * strings and template literals (a commented-out `dialog.open()`, a `//` in
+ * a URL or `(click)` inside an inline template).
+ *
+ * Source:
+ *   { type: 'source', source, code, bare, imports, classes }
+ *
+ *   code      the source with comments blanked out
+ *   bare      `code` with the contents of strings and template literals blanked out too
+ *             (quotes are kept); searches run on `bare`, text is read from `code`
+ *   imports   [{ name, local, from }]  named imports, `local` is the alias in this file
+ *   classes   [{ name, start, end, bodyStart, decorators, memberDecorators }]
+ *
+ * Decorators are `{ name, start, end, argsStart, argsEnd, args }` (`args` is the
+ * text between the parentheses), calls `{ receiver, method, start, end, args }`
+ * with arguments `{ text, start, end }`.
+ *
+ * Blanking keeps every offset and line, so `start`/`end` (end exclusive) are
+ * character offsets into the original source.
+ *
+ * @module core/tsParser
+ */
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+// Classes `ts` checks run on
+const ANGULAR_DECORATOR_REGEX = /@(?:Component|Directive|Injectable)\s*\(/;
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Escape a string for use in a RegExp
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace everything but line breaks with spaces
+ * @private
+ */
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Find the end of a string or template literal starting at `index`
+ * @returns {number} Index after the closing quote
+ * @private
+ */
+function skipString(content, index) {
+  const quote = content[index];
+  let i = index + 1;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === quote) return i + 1;
+    // Unterminated single-line string
+    if (char === '\n' && quote !== '`') return i;
+    // ${ ... } may contain strings and braces of its own
+    if (quote === '`' && char === '$' && content[i + 1] === '{') {
+      let depth = 0;
+      let j = i + 1;
+      while (j < content.length) {
+        const c = content[j];
+        if (c === '"' || c === "'" || c === '`') {
+          j = skipString(content, j);
+          continue;
+        }
+        if (c === '{') depth++;
+        else if (c === '}' && --depth === 0) break;
+        j++;
+      }
+      i = j + 1;
+      continue;
+    }
+    i++;
+  }
+  return content.length;
+}
+
+/**
+ * Blank out comments, and the contents of strings for `bare`
+ * @returns {{code: string, bare: string}}
+ * @private
+ */
+function scan(content) {
+  let code = '';
+  let bare = '';
+  let last = 0;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '"' || char === "'" || char === '`') {
+      const end = skipString(content, i);
+      const closed = content[end - 1] === char && end - 1 > i;
+      const inner = content.slice(i + 1, closed ? end - 1 : end);
+      code += content.slice(last, end);
+      bare += content.slice(last, i) + char + blank(inner) + (closed ? char : '');
+      last = i = end;
+      continue;
+    }
+
+    if (char === '/' && (content[i + 1] === '/' || content[i + 1] === '*')) {
+      let end;
+      if (content[i + 1] === '/') {
+        end = content.indexOf('\n', i);
+        if (end === -1) end = content.length;
+      } else {
+        end = content.indexOf('*/', i + 2);
+        end = end === -1 ? content.length : end + 2;
+      }
+      const before = content.slice(last, i);
+      const comment = blank(content.slice(i, end));
+      code += before + comment;
+      bare += before + comment;
+      last = i = end;
+      continue;
+    }
+
+    i++;
+  }
+
+  return { code: code + content.slice(last), bare: bare + content.slice(last) };
+}
+
+/**
+ * Find the bracket that closes the one at `index`
+ *
+ * @param {string} bare - Source with comments and string contents blanked (`source.bare`)
+ * @param {number} index - Offset of '(', '[' or '{'
+ * @returns {number} Offset of the closing bracket, or -1 if it is not closed
+ */
+function findClosing(bare, index) {
+  const stack = [];
+  for (let i = index; i < bare.length; i++) {
+    const char = bare[i];
+    if (CLOSING[char]) {
+      stack.push(CLOSING[char]);
+    } else if (char === ')' || char === ']' || char === '}') {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a range at top-level commas
+ *
+ * @param {object} source - Parsed source
+ * @param {number} start - Offset after the opening bracket
+ * @param {number} end - Offset of the closing bracket
+ * @returns {Array<{text: string, start: number, end: number}>} Trimmed parts (a trailing comma adds none)
+ */
+function splitTopLevel(source, start, end) {
+  const parts = [];
+  let depth = 0;
+  let partStart = start;
+
+  const push = (from, to) => {
+    const text = source.code.slice(from, to);
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    const offset = from + text.indexOf(trimmed);
+    parts.push({ text: trimmed, start: offset, end: offset + trimmed.length });
+  };
+
+  for (let i = start; i < end; i++) {
+    const char = source.bare[i];
+    if (CLOSING[char]) depth++;
+    else if (char === ')' || char === ']' || char === '}') depth--;
+    else if (char === ',' && depth === 0) {
+      push(partStart, i);
+      partStart = i + 1;
+    }
+  }
+  push(partStart, end);
+
+  return parts;
+}
+
+/**
+ * Named imports: import { A, B as C } from 'x'
+ * @private
+ */
+function parseImports(code) {
+  const imports = [];
+  const regex = /\bimport\s+(?:type\s+)?(?:[\w$]+\s*,\s*)?\{([^}]*)\}\s*from\s*['"]([^'"]+)['"]/g;
+  let match;
+  while ((match = regex.exec(code)) !== null) {
+    for (const part of match[1].split(',')) {
+      const specifier = /^\s*(?:type\s+)?([\w$]+)(?:\s+as\s+([\w$]+))?\s*$/.exec(part);
+      if (specifier) imports.push({ name: specifier[1], local: specifier[2] || specifier[1], from: match[2] });
+    }
+  }
+  return imports;
+}
+
+/**
+ * All decorator calls: @Name(...)
+ * @private
+ */
+function parseDecorators(source) {
+  const decorators = [];
+  const regex = new RegExp(`@(${IDENTIFIER})\\s*\\(`, 'g');
+  let match;
+  while ((match = regex.exec(source.bare)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(source.bare, open);
+    if (close === -1) continue;
+    decorators.push({
+      name: match[1],
+      start: match.index,
+      end: close + 1,
+      argsStart: open + 1,
+      argsEnd: close,
+      args: source.code.slice(open + 1, close)
+    });
+  }
+  return decorators;
+}
+
+/**
+ * Classes with their decorators and the decorators of their members
+ * @private
+ */
+function parseClasses(source, decorators) {
+  const classes = [];
+  const byEnd = new Map(decorators.map(decorator => [decorator.end, decorator]));
+  const regex = new RegExp(`\\bclass\\s+(${IDENTIFIER})[^{;]*\\{`, 'g');
+  let match;
+
+  while ((match = regex.exec(source.bare)) !== null) {
+    const bodyStart = match.index + match[0].length - 1;
+    const close = findClosing(source.bare, bodyStart);
+    const end = close === -1 ? source.bare.length : close + 1;
+
+    // Decorators directly before `export default abstract class`
+    const own = [];
+    let position = match.index;
+    const keywords = /(?:\b(?:export|default|abstract|declare)\s+)+$/.exec(source.bare.slice(0, position));
+    if (keywords) position = keywords.index;
+    for (;;) {
+      const before = source.bare.slice(0, position);
+      const decorator = byEnd.get(before.trimEnd().length);
+      if (!decorator) break;
+      own.unshift(decorator);
+      position = decorator.start;
+    }
+
+    classes.push({
+      name: match[1],
+      start: own.length > 0 ? own[0].start : match.index,
+      end,
+      bodyStart,
+      decorators: own,
+      memberDecorators: decorators.filter(decorator => decorator.start > bodyStart && decorator.start < end)
+    });
+  }
+
+  return classes;
+}
+
+/**
+ * Scan TypeScript source
+ *
+ * @param {string} content - TypeScript source
+ * @returns {object} Source (see module description)
+ */
+function parseSource(content) {
+  if (sourceCache.content === content) return sourceCache.source;
+
+  const { code, bare } = scan(content);
+  const source = { type: 'source', source: content, code, bare, imports: parseImports(code), classes: [] };
+  source.classes = parseClasses(source, parseDecorators(source));
+
+  sourceCache = { content, source };
+  return source;
+}
+
+// Last scanned source (all checks of a file scan the same content)
+let sourceCache = { content: null, source: null };
+
+/**
+ * Create the `check()` context for a TypeScript check
+ *
+ * @param {string} content - TypeScript source
+ * @returns {{source: object}} Context with the scanned source
+ */
+function createSourceContext(content) {
+  return { source: parseSource(content) };
+}
+
+/**
+ * Get the scanned source from a check's context, scanning the content if the
+ * caller did not provide it (e.g. checks run directly from tests)
+ *
+ * @param {string} content - Content passed to the check
+ * @param {object} [context] - Second argument of the check
+ * @returns {object} Source
+ */
+function getSource(content, context) {
+  if (context && context.source && context.source.source === content) return context.source;
+  return parseSource(content);
+}
+
+/**
+ * Check whether a file is TypeScript source `ts` checks run on
+ * (not a spec or declaration file)
+ *
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isSourceFile(filePath) {
+  const name = String(filePath).toLowerCase();
+  return name.endsWith('.ts') && !name.endsWith('.spec.ts') && !name.endsWith('.d.ts');
+}
+
+/**
+ * Check whether source declares a component, directive or service
+ *
+ * @param {string} content - TypeScript source
+ * @returns {boolean}
+ */
+function isAngularSource(content) {
+  return ANGULAR_DECORATOR_REGEX.test(content);
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Names a type is known by in this file (its import aliases, or the name itself)
+ *
+ * @param {object} source - Parsed source
+ * @param {string} typeName - Exported name, e.g. 'MatDialog'
+ * @returns {string[]} Local names
+ */
+function getLocalNames(source, typeName) {
+  const names = new Set([typeName]);
+  for (const entry of source.imports) {
+    if (entry.name === typeName) names.add(entry.local);
+  }
+  return [...names];
+}
+
+/**
+ * Find the properties and variables that hold an injected service
+ *
+ * Understands constructor parameters and fields typed as the service
+ * (`private dialog: MatDialog`) and `inject()` calls (`dialog = inject(MatDialog)`).
+ *
+ * @param {object} source - Parsed source
+ * @param {string} typeName - Service class, e.g. 'MatDialog'
+ * @returns {string[]} Property and variable names
+ *
+ * @example
+ * findInjected(source, 'MatSnackBar'); // ['snackBar']
+ */
+function findInjected(source, typeName) {
+  const names = new Set();
+  for (const local of getLocalNames(source, typeName)) {
+    const type = escapeRegExp(local);
+    const patterns = [
+      new RegExp(`(${IDENTIFIER})\\s*[?!]?\\s*:\\s*${type}(?![\\w$.])`, 'g'),
+      new RegExp(`(${IDENTIFIER})\\s*(?::[^=;,(){}\\n]+)?=\\s*inject\\s*(?:<[^>]*>)?\\s*\\(\\s*${type}(?![\\w$.])`, 'g')
+    ];
+    for (const regex of patterns) {
+      let match;
+      while ((match = regex.exec(source.bare)) !== null) names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Find method calls on the given receivers
+ *
+ * Matches `name.method(...)`, `this.name.method(...)` and `this.name?.method(...)`.
+ *
+ * @param {object} source - Parsed source
+ * @param {string[]} receivers - Variable or property names (e.g. from findInjected())
+ * @param {string[]} methods - Method names
+ * @returns {Array<{receiver: string, method: string, start: number, end: number,
+ *   args: Array<{text: string, start: number, end: number}>}>} Calls in source order
+ */
+function findCalls(source, receivers, methods) {
+  if (receivers.length === 0 || methods.length === 0) return [];
+
+  const regex = new RegExp(
+    `(?:\\bthis\\s*\\.\\s*|(?<![\\w$.]))(${receivers.map(escapeRegExp).join('|')})\\s*[?!]?\\s*\\.\\s*` +
+    `(${methods.map(escapeRegExp).join('|')})\\s*\\(`, 'g');
+  const calls = [];
+  let match;
+
+  while ((match = regex.exec(source.bare)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(source.bare, open);
+    if (close === -1) continue;
+    calls.push({
+      receiver: match[1],
+      method: match[2],
+      start: match.index,
+      end: close + 1,
+      args: splitTopLevel(source, open + 1, close)
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Read an object literal
+ *
+ * @param {object} source - Parsed source
+ * @param {{start: number, end: number}} range - Range of the expression (e.g. a call argument)
+ * @returns {{properties: Map<string, {text: string, start: number, end: number}>, spread: boolean}|null}
+ *   Properties by key (shorthand properties have their name as text), whether
+ *   the literal spreads another object; null if the expression is not an object literal
+ *
+ * @example
+ * const config = parseObjectLiteral(source, call.args[1]);
+ * if (config && !config.properties.has('ariaLabel')) { ... }
+ */
+function parseObjectLiteral(source, range) {
+  let start = range.start;
+  while (start < range.end && /\s/.test(source.bare[start])) start++;
+  if (source.bare[start] !== '{') return null;
+
+  const close = findClosing(source.bare, start);
+  if (close === -1 || source.code.slice(close + 1, range.end).trim()) return null;
+
+  const properties = new Map();
+  let spread = false;
+
+  for (const part of splitTopLevel(source, start + 1, close)) {
+    if (part.text.startsWith('...')) {
+      spread = true;
+      continue;
+    }
+
+    const key = /^(?:(['"])(.*?)\1|([\w$]+))\s*([:(]?)/.exec(part.text);
+    if (!key) continue;
+    const name = key[2] !== undefined ? key[2] : key[3];
+
+    if (key[4] === ':') {
+      const valueText = part.text.slice(key[0].length);
+      const value = valueText.trim();
+      const offset = part.start + key[0].length + valueText.indexOf(value);
+      properties.set(name, { text: value, start: offset, end: offset + value.length });
+    } else {
+      properties.set(name, { text: key[4] ? '' : name, start: part.start, end: part.end });
+    }
+  }
+
+  return { properties, spread };
+}
+
+/**
+ * Get the value of a string literal
+ *
+ * @param {string} text - Expression text
+ * @returns {string|null} The string, or null if the expression is not a plain string literal
+ *   (template literals with ${} are not plain)
+ */
+function getStringValue(text) {
+  const match = /^(['"`])([\s\S]*)\1$/.exec(String(text || '').trim());
+  if (!match) return null;
+  if (match[1] === '`' && match[2].includes('${')) return null;
+  return match[2];
+}
+
+module.exports = {
+  isSourceFile,
+  isAngularSource,
+  parseSource,
+  createSourceContext,
+  getSource,
+  findClosing,
+  splitTopLevel,
+  getLocalNames,
+  findInjected,
+  findCalls,
+  parseObjectLiteral,
+  getStringValue
+};
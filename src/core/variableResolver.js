@@ -9,8 +9,9 @@
  * Resolution chain:
  * 1. SCSS variables ($name)
  * 2. CSS custom properties (var(--name))
- * 3. SCSS map functions (map-get($map, key))
- * 4. SCSS color functions (lighten(), darken(), etc.)
+ * 3. Angular Material palette functions (mat.get-color-from-palette($primary, 500))
+ * 4. SCSS map functions (map-get($map, key))
+ * 5. SCSS color functions (lighten(), darken(), etc.)
  * 
  * Example:
  *   Input:  "color: $text-muted;"
@@ -22,6 +23,7 @@ const { evaluateMapFunction, isMapFunction } = require('./scssMapResolver');
 const { resolveAllVars, hasVar } = require('./cssCustomProperties');
 const { buildVariableMap, parseVariables } = require('./scssParser');
 const { parseToRgb } = require('./colorMath');
+const { createLookup, isThemeColorFunction, evaluateThemeColorFunction } = require('./materialTheme');
 
 /**
  * Variable context for resolution
@@ -79,6 +81,18 @@ function emptyContext() {
   };
 }
 
+/**
+ * Create a Material theme lookup (palettes, themes) for a stylesheet, resolving
+ * palette colors against the variable context
+ * @param {string} content - SCSS content ('' for the context only)
+ * @param {VariableContext} context - Variable context
+ * @returns {object} Lookup for the materialTheme functions
+ */
+function createThemeLookup(content, context) {
+  return createLookup(content, context, (value, lookup) =>
+    resolveValue(value, { ...context, scssVars: lookup.scssVars, maps: lookup.maps }));
+}
+
 /**
  * Resolve a single value (could be variable, function, or literal)
  * @param {string} value - Value to resolve
@@ -121,6 +135,15 @@ function resolveValue(value, context, depth = 0) {
     return null; // Cannot fully resolve
   }
   
+  // Angular Material palette function: mat.get-color-from-palette($primary, 500)
+  if (isThemeColorFunction(value)) {
+    const resolved = evaluateThemeColorFunction(value, createThemeLookup('', context));
+    if (resolved) {
+      return resolveValue(resolved, context, depth + 1);
+    }
+    return null;
+  }
+  
   // SCSS map function: map-get($colors, primary)
   if (isMapFunction(value)) {
     const resolved = evaluateMapFunction(value, context.maps, context.scssVars);
@@ -401,6 +424,7 @@ function getResolutionStats(values, context) {
 module.exports = {
   buildContext,
   emptyContext,
+  createThemeLookup,
   resolveValue,
   resolveVariablesInExpression,
   resolveDeclaration,
@@ -2,8 +2,8 @@
  * @fileoverview Verifier module for self-testing accessibility checks.
  *
  * This module handles verification of check modules by running them against
- * their verify files. Each check folder contains a verify file (verify.html
- * or verify.scss) with @a11y-pass and @a11y-fail sections.
+ * their verify files. Each check folder contains a verify file (verify.html,
+ * verify.scss or verify.ts) with @a11y-pass and @a11y-fail sections.
  *
  * Verification process:
  * 1. Load the verify file for a check
@@ -20,14 +20,16 @@
 const path = require('path');
 const fs = require('fs');
 const { parseVerifyFile, detectFileType } = require('./parser');
-const { loadCheck, loadAllChecks, getChecksByTier } = require('./loader');
+const { loadCheck, getChecksByTier, getCheckContext } = require('./loader');
+const { loadProjectChecks, getPluginInfo } = require('./plugins');
 const { buildContext } = require('./variableResolver');
+const { renderIssue } = require('./errors');
 
 /**
  * @typedef {Object} SectionResult
  * @property {'pass'|'fail'} expected - What the section should produce
  * @property {'pass'|'fail'} actual - What the check actually produced
- * @property {string[]} issues - Issues found by the check
+ * @property {Array<object|string>} issues - Issues found by the check
  * @property {string|null} error - Error message if check threw
  */
 
@@ -58,26 +60,28 @@ const VERIFY_FILES_DIR = path.resolve(__dirname, '../../dev/tests/verify-files')
 /**
  * Find the verify file for a check module.
  *
- * Looks for <checkName>.html or <checkName>.scss in dev/tests/verify-files.
+ * Looks for <checkName>.html, <checkName>.scss or <checkName>.ts in dev/tests/verify-files
+ * (plugin checks: in the plugin's verifyDir).
  *
  * @param {string} checkPath - Path to the check folder (used to get check name)
- * @param {string} checkType - Type of the check ('html' or 'scss')
+ * @param {string} checkType - Type of the check ('html', 'scss' or 'ts')
+ * @param {string} [verifyDir=VERIFY_FILES_DIR] - Directory with the verify files
  * @returns {{ filePath: string|null, error: string|null }}
  * @private
  */
-function findVerifyFile(checkPath, checkType) {
+function findVerifyFile(checkPath, checkType, verifyDir = VERIFY_FILES_DIR) {
   const checkName = path.basename(checkPath);
-  const extension = checkType === 'html' ? '.html' : '.scss';
-  const verifyFilePath = path.join(VERIFY_FILES_DIR, `${checkName}${extension}`);
+  const extension = checkType === 'html' ? '.html' : (checkType === 'ts' ? '.ts' : '.scss');
+  const verifyFilePath = path.join(verifyDir, `${checkName}${extension}`);
 
   if (fs.existsSync(verifyFilePath)) {
     return { filePath: verifyFilePath, error: null };
   }
 
   // Also check for alternative extensions
-  const alternativeExtensions = checkType === 'html' ? ['.htm'] : ['.css', '.sass'];
+  const alternativeExtensions = checkType === 'html' ? ['.htm'] : (checkType === 'ts' ? [] : ['.css', '.sass']);
   for (const ext of alternativeExtensions) {
-    const altPath = path.join(VERIFY_FILES_DIR, `${checkName}${ext}`);
+    const altPath = path.join(verifyDir, `${checkName}${ext}`);
     if (fs.existsSync(altPath)) {
       return { filePath: altPath, error: null };
     }
@@ -85,7 +89,7 @@ function findVerifyFile(checkPath, checkType) {
 
   return {
     filePath: null,
-    error: `Verify file not found: expected ${checkName}${extension} in ${VERIFY_FILES_DIR}`
+    error: `Verify file not found: expected ${checkName}${extension} in ${verifyDir}`
   };
 }
 
@@ -94,8 +98,8 @@ function findVerifyFile(checkPath, checkType) {
  *
  * @param {Function} checkFn - The check function to run
  * @param {string} content - Content to check
- * @param {object|null} context - Variable context for SCSS checks (optional)
- * @returns {{ pass: boolean, issues: string[], error: string|null }}
+ * @param {object|null} context - Parsed template for HTML checks, variable context for SCSS checks (optional)
+ * @returns {{ pass: boolean, issues: Array<object|string>, error: string|null }}
  * @private
  */
 function runCheckSafely(checkFn, content, context = null) {
@@ -202,8 +206,12 @@ function verifyCheck(checkModule, checkPath) {
     return createErrorResult(checkName, 'Invalid check module: missing type property');
   }
 
-  // Find verify file
-  const verifyFileResult = findVerifyFile(checkPath, checkModule.type);
+  // Find verify file (plugins bring their own)
+  const plugin = getPluginInfo(checkModule);
+  if (plugin && !plugin.verifyDir) {
+    return createSkippedResult(checkName, `Plugin "${plugin.name}" has no verifyDir`);
+  }
+  const verifyFileResult = findVerifyFile(checkPath, checkModule.type, plugin ? plugin.verifyDir : VERIFY_FILES_DIR);
   if (!verifyFileResult.filePath) {
     return createSkippedResult(checkName, verifyFileResult.error);
   }
@@ -232,7 +240,8 @@ function verifyCheck(checkModule, checkPath) {
   }
 
   // Run check on pass section
-  const passCheckResult = runCheckSafely(checkModule.check, parseResult.passContent, varContext);
+  const passCheckResult = runCheckSafely(checkModule.check, parseResult.passContent,
+    getCheckContext(checkModule, parseResult.passContent, varContext));
   const passResult = {
     expected: 'pass',
     actual: passCheckResult.pass ? 'pass' : 'fail',
@@ -241,7 +250,8 @@ function verifyCheck(checkModule, checkPath) {
   };
 
   // Run check on fail section
-  const failCheckResult = runCheckSafely(checkModule.check, parseResult.failContent, varContext);
+  const failCheckResult = runCheckSafely(checkModule.check, parseResult.failContent,
+    getCheckContext(checkModule, parseResult.failContent, varContext));
   const failResult = {
     expected: 'fail',
     actual: failCheckResult.pass ? 'pass' : 'fail',
@@ -310,13 +320,14 @@ function verifyAll(registry) {
  * on the filtered set.
  *
  * @param {'basic'|'material'|'full'} tier - Tier to verify
+ * @param {object} [options] - Include plugin checks ({ plugins, configFile }, see loadProjectChecks)
  * @returns {Map<string, VerifyResult>} Map of checkName to VerifyResult
  *
  * @example
  * const results = verifyByTier('material');
  * console.log(`Verified ${results.size} material tier checks`);
  */
-function verifyByTier(tier) {
+function verifyByTier(tier, options = {}) {
   // Validate tier
   const validTiers = ['basic', 'material', 'full'];
   if (!validTiers.includes(tier)) {
@@ -325,7 +336,7 @@ function verifyByTier(tier) {
   }
 
   // Load and filter checks
-  const allChecks = loadAllChecks();
+  const allChecks = loadProjectChecks(options);
   const tierChecks = getChecksByTier(allChecks, tier);
 
   // Verify filtered checks
@@ -449,7 +460,7 @@ function formatVerifyResults(results, options = {}) {
           if (result.passResult.issues.length > 0) {
             lines.push(`         Issues in pass section: ${result.passResult.issues.length}`);
             for (const issue of result.passResult.issues.slice(0, 3)) {
-              lines.push(`           - ${issue}`);
+              lines.push(`           - ${renderIssue(issue)}`);
             }
             if (result.passResult.issues.length > 3) {
               lines.push(`           ... and ${result.passResult.issues.length - 3} more`);
@@ -0,0 +1,628 @@
+'use strict';
+
+/**
+ * Watch Mode
+ *
+ * Keeps a component-based analysis in memory and updates it incrementally.
+ * The component list, the SCSS import graph and the variable map are built
+ * once; after that a change re-parses only the changed file and re-analyzes
+ * the components it affects:
+ *
+ * - a component .ts file: that component (added, changed or deleted); with
+ *   TypeScript checks selected, directive and service files too
+ * - a template or stylesheet: the components that use it, plus components
+ *   in the same directory (a new file may be picked up by naming convention)
+ * - an SCSS partial: components whose stylesheets import it, directly or
+ *   through other partials (the graph's `importedBy`)
+ * - changed variable definitions: components whose styles use them
+ * - a change to what renders behind a component (a parent template or
+ *   stylesheet, the global styles): the components whose text inherits
+ *   other backgrounds now (core/colorInheritance)
+ *
+ * Like analyzeByComponent(), the workspace's global stylesheets and, with
+ * i18n checks, the app's index.html are analyzed as pseudo-components.
+ *
+ * Every update lists the issues that are new and the ones that were resolved,
+ * matched by baseline fingerprint (check + file + element, not line numbers),
+ * so moving code around does not show up as churn.
+ *
+ * @module core/watcher
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getChecksByTier } = require('./loader');
+const { loadProjectChecks } = require('./plugins');
+const { resolveOptions, selectChecks } = require('./config');
+const {
+  findComponentFiles,
+  findSourceFiles,
+  parseSourceFile,
+  hasAnalyzableContent,
+  getCheckNamesByType,
+  analyzeComponent,
+  getDocumentEntry,
+  getGlobalStyleEntries,
+  buildInheritanceModel,
+  summarizeComponentResults
+} = require('./componentAnalyzer');
+const { getInheritedBackgrounds } = require('./colorInheritance');
+const { buildGraph } = require('./scssGraph');
+const { scanDirectory, sortVariableFiles, parseFile, mergeVariables } = require('./scssParser');
+const { getIssueFingerprint } = require('./baseline');
+const { loadComponentMap } = require('./componentMap');
+
+/**
+ * Default ignore patterns (same as component analysis)
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['node_modules', 'dist', '.git', '.angular', 'coverage'];
+
+/**
+ * Quiet period before a batch of file events is processed
+ * (editors often write a file in several steps)
+ * @type {number}
+ */
+const DEBOUNCE_MS = 100;
+
+/**
+ * File types that can change analysis results
+ * @type {string[]}
+ */
+const WATCHED_EXTENSIONS = ['.ts', '.html', '.htm', '.scss', '.css'];
+
+/**
+ * Style file extensions (SCSS graph and variable map)
+ * @type {string[]}
+ */
+const STYLE_EXTENSIONS = ['.scss', '.css'];
+
+/**
+ * Normalize a path the way the SCSS graph does
+ * @private
+ */
+function graphKey(filePath) {
+  return path.normalize(filePath).toLowerCase();
+}
+
+/**
+ * Serialize a variable value (map values are nested Maps)
+ * @private
+ */
+function serializeValue(value) {
+  return JSON.stringify(value, (key, v) => (v instanceof Map ? [...v] : v));
+}
+
+/**
+ * Names of variables that were added, removed or changed between two parses
+ * @private
+ */
+function changedVariableNames(before, after) {
+  const names = new Set();
+  for (const kind of ['scssVars', 'cssVars', 'maps']) {
+    const oldVars = before ? before[kind] : new Map();
+    const newVars = after ? after[kind] : new Map();
+    for (const [name, value] of newVars) {
+      if (!oldVars.has(name) || serializeValue(oldVars.get(name)) !== serializeValue(value)) {
+        names.add(name);
+      }
+    }
+    for (const name of oldVars.keys()) {
+      if (!newVars.has(name)) names.add(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Issues in `after` that are not in `before`, by fingerprint (duplicates counted)
+ * @private
+ */
+function subtractIssues(after, before, projectDir) {
+  const remaining = new Map();
+  for (const issue of before) {
+    const { fingerprint } = getIssueFingerprint(issue, { projectDir });
+    remaining.set(fingerprint, (remaining.get(fingerprint) || 0) + 1);
+  }
+
+  const extra = [];
+  for (const issue of after) {
+    const { fingerprint } = getIssueFingerprint(issue, { projectDir });
+    const count = remaining.get(fingerprint) || 0;
+    if (count > 0) remaining.set(fingerprint, count - 1);
+    else extra.push(issue);
+  }
+  return extra;
+}
+
+/**
+ * Incremental component analysis of one project
+ *
+ * @example
+ * const session = new WatchSession('./src', { tier: 'full' });
+ * const results = session.analyze();
+ * session.watch(update => console.log(formatWatchUpdate(update)));
+ */
+class WatchSession {
+  /**
+   * @param {string} projectDir - Project directory
+   * @param {object} [options] - Same options as analyzeByComponent() (tier, ignore, enable, disable, weights, severity)
+   */
+  constructor(projectDir, options = {}) {
+    this.projectDir = path.resolve(projectDir);
+    this.options = resolveOptions(projectDir, options, DEFAULT_IGNORE);
+    this.tier = this.options.tier || 'full';
+    this.ignore = this.options.ignore || DEFAULT_IGNORE;
+
+    // Check registry (tier + enable/disable from project config)
+    const fullRegistry = loadProjectChecks(this.options);
+    this.registry = selectChecks(getChecksByTier(fullRegistry, this.tier), this.options);
+    this.htmlChecks = getCheckNamesByType(this.registry, 'html');
+    this.scssChecks = getCheckNamesByType(this.registry, 'scss');
+    this.tsChecks = getCheckNamesByType(this.registry, 'ts');
+    this.analyzeOptions = {
+      ...this.options,
+      knownChecks: [...fullRegistry.keys()],
+      tsChecks: this.tsChecks,
+      componentMap: loadComponentMap(this.options, this.projectDir)
+    };
+
+    // Map: component .ts path -> parsed component
+    this.components = new Map();
+    // Map: global stylesheet or index.html path -> pseudo-component
+    this.entries = new Map();
+    // Map: component .ts path (or entry path) -> analyzeComponent() result
+    this.componentResults = new Map();
+    // Map: component .ts path -> serialized inherited backgrounds
+    this.inherited = new Map();
+    // Map: style file path -> parsed variables of that file
+    this.variableFiles = new Map();
+    this.graph = null;
+    this.varContext = null;
+    this.results = null;
+
+    // Map: directory -> fs.FSWatcher
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.onUpdate = null;
+    this.onError = null;
+  }
+
+  /**
+   * Build the in-memory state and analyze all components
+   * @returns {object} Analysis results (same shape as analyzeByComponent())
+   */
+  analyze() {
+    this.graph = buildGraph(this.projectDir, this.ignore);
+
+    this.variableFiles.clear();
+    for (const file of scanDirectory(this.projectDir)) {
+      this.variableFiles.set(file, parseFile(file));
+    }
+    this.varContext = this._mergeVariables();
+
+    this.components.clear();
+    this.componentResults.clear();
+    const componentFiles = this.tsChecks.length > 0
+      ? findSourceFiles(this.projectDir, this.ignore)
+      : findComponentFiles(this.projectDir, this.ignore);
+    for (const filePath of componentFiles) {
+      this._loadComponent(filePath);
+    }
+    this._loadEntries();
+    this._updateInheritance();
+    for (const filePath of [...this.components.keys(), ...this.entries.keys()]) {
+      this._analyzeComponent(filePath);
+    }
+
+    if (componentFiles.length === 0) {
+      this.results = {
+        error: 'No Angular components found. Make sure you are in an Angular project.',
+        components: [],
+        componentCount: 0
+      };
+    } else {
+      this.results = this._summarize();
+    }
+    return this.results;
+  }
+
+  /**
+   * Apply file changes and re-analyze the affected components
+   *
+   * @param {string[]} changedFiles - Added, changed or deleted files
+   * @returns {{
+   *   files: string[],
+   *   components: string[],
+   *   added: object[],
+   *   resolved: object[],
+   *   results: object,
+   *   duration: number
+   * }} What was re-analyzed, new and resolved issues, and the updated results
+   */
+  update(changedFiles) {
+    const startTime = Date.now();
+    const files = [...new Set(changedFiles.map(file => path.resolve(this.projectDir, file)))]
+      .filter(file => WATCHED_EXTENSIONS.includes(path.extname(file).toLowerCase()) && !this._isIgnored(file));
+
+    const affected = new Set();
+    const changedVariables = new Set();
+
+    for (const file of files) {
+      const ext = path.extname(file).toLowerCase();
+      const exists = fs.existsSync(file);
+
+      if (ext === '.ts') {
+        if (this._loadComponent(file)) affected.add(file);
+        continue;
+      }
+
+      // Keep the SCSS graph and variable map current
+      let usedBy = [graphKey(file)];
+      if (STYLE_EXTENSIONS.includes(ext)) {
+        if (exists) this.graph.updateFile(file);
+        else this.graph.removeFile(file);
+        usedBy = usedBy.concat(this.graph.getAllAncestors(file));
+
+        const parsed = exists ? parseFile(file) : null;
+        for (const name of changedVariableNames(this.variableFiles.get(file), parsed)) changedVariables.add(name);
+        if (parsed) this.variableFiles.set(file, parsed);
+        else this.variableFiles.delete(file);
+      }
+
+      // Components that use the file, directly or through SCSS imports
+      const usedBySet = new Set(usedBy);
+      for (const [filePath, component] of [...this.components, ...this.entries]) {
+        if (this._getComponentFiles(component).some(f => usedBySet.has(graphKey(f)))) affected.add(filePath);
+      }
+
+      // A new template or stylesheet may belong to a component next to it
+      const dir = path.dirname(file);
+      for (const filePath of [...this.components.keys()]) {
+        if (path.dirname(filePath) === dir && this._loadComponent(filePath)) affected.add(filePath);
+      }
+    }
+
+    if (changedVariables.size > 0) {
+      this.varContext = this._mergeVariables();
+      for (const [filePath, component] of [...this.components, ...this.entries]) {
+        if (this._usesVariables(component, changedVariables)) affected.add(filePath);
+      }
+    }
+
+    // Global stylesheets that were added or deleted, and components whose
+    // text is rendered on other backgrounds now (parents and their children)
+    if (files.length > 0) {
+      for (const filePath of this._loadEntries()) affected.add(filePath);
+      for (const filePath of this._updateInheritance()) affected.add(filePath);
+    }
+
+    // Re-analyze and compare
+    const before = [];
+    const after = [];
+    const names = [];
+    for (const filePath of affected) {
+      const previous = this.componentResults.get(filePath);
+      if (previous) before.push(...previous.issues);
+
+      if (this.components.has(filePath) || this.entries.has(filePath)) {
+        const result = this._analyzeComponent(filePath);
+        after.push(...result.issues);
+        names.push(result.name);
+      } else {
+        this.componentResults.delete(filePath);
+        if (previous) names.push(previous.name);
+      }
+    }
+
+    this.results = this._summarize();
+
+    return {
+      files,
+      components: names,
+      added: subtractIssues(after, before, this.projectDir),
+      resolved: subtractIssues(before, after, this.projectDir),
+      results: this.results,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Watch the project and call `onUpdate` after each batch of changes
+   *
+   * Directories matching the ignore patterns (node_modules, dist, ...) are not watched.
+   *
+   * @param {function(object): void} onUpdate - Receives the update() result
+   * @param {function(Error): void} [onError] - Receives errors of an update (default: console.warn)
+   * @returns {WatchSession} this
+   */
+  watch(onUpdate, onError = null) {
+    if (!this.results) this.analyze();
+    this.onUpdate = onUpdate;
+    this.onError = onError;
+    this._watchDirectory(this.projectDir);
+    return this;
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+  }
+
+  /**
+   * Parse a component file into this.components
+   * @returns {boolean} Whether the component was added, changed or removed
+   * @private
+   */
+  _loadComponent(filePath) {
+    let component = null;
+    if (!filePath.endsWith('.spec.ts') && fs.existsSync(filePath)) {
+      try {
+        component = parseSourceFile(filePath);
+      } catch (e) {
+        component = null;
+      }
+    }
+
+    if (component && hasAnalyzableContent(component, this.tsChecks.length > 0)) {
+      this.components.set(filePath, component);
+      return true;
+    }
+    return this.components.delete(filePath);
+  }
+
+  /**
+   * Reload the global stylesheets and index.html entries (as analyzeByComponent() finds them)
+   * @returns {string[]} Paths of entries that were added or removed
+   * @private
+   */
+  _loadEntries() {
+    const entries = getGlobalStyleEntries(this.projectDir, this.options);
+    const documentEntry = getDocumentEntry(this.options);
+    if (documentEntry) entries.unshift(documentEntry);
+
+    const loaded = new Map(entries.map(entry => [entry.filePath, entry]));
+    const changed = [...loaded.keys()].filter(filePath => !this.entries.has(filePath))
+      .concat([...this.entries.keys()].filter(filePath => !loaded.has(filePath)));
+    this.entries = loaded;
+    return changed;
+  }
+
+  /**
+   * Rebuild the color inheritance model
+   * @returns {string[]} Components whose inherited backgrounds changed
+   * @private
+   */
+  _updateInheritance() {
+    const model = buildInheritanceModel(this.projectDir, [...this.components.values()],
+      this.scssChecks, this.varContext, null, this.options);
+    this.analyzeOptions.inheritance = model;
+
+    const changed = [];
+    const inherited = new Map();
+    for (const [filePath, component] of this.components) {
+      const backgrounds = model && component.selector ? JSON.stringify(getInheritedBackgrounds(model, component.selector)) : '[]';
+      inherited.set(filePath, backgrounds);
+      if (this.inherited.has(filePath) && this.inherited.get(filePath) !== backgrounds) changed.push(filePath);
+    }
+    this.inherited = inherited;
+    return changed;
+  }
+
+  /**
+   * @private
+   */
+  _analyzeComponent(filePath) {
+    let result;
+    const entry = this.entries.get(filePath);
+    if (!entry) {
+      result = analyzeComponent(this.components.get(filePath), this.registry,
+        this.htmlChecks, this.scssChecks, this.varContext, this.analyzeOptions);
+    } else if (entry.templateFile) {
+      // index.html (i18n checks)
+      result = analyzeComponent(entry, this.registry, this.htmlChecks, [], null, this.analyzeOptions);
+    } else {
+      result = analyzeComponent(entry, this.registry, [], this.scssChecks, this.varContext, this.analyzeOptions);
+    }
+    this.componentResults.set(filePath, result);
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _summarize() {
+    return summarizeComponentResults([...this.componentResults.values()], {
+      tier: this.tier,
+      weights: this.options.weights,
+      registry: this.registry,
+      wcagLevel: this.options.wcagLevel
+    });
+  }
+
+  /**
+   * Merge the per-file variables in buildVariableMap() order
+   * @private
+   */
+  _mergeVariables() {
+    const files = sortVariableFiles([...this.variableFiles.keys()]);
+    return mergeVariables(files.map(file => this.variableFiles.get(file)));
+  }
+
+  /**
+   * Files a component reads (its .ts file, template and stylesheets)
+   * @private
+   */
+  _getComponentFiles(component) {
+    const files = [component.filePath, ...component.styleFiles];
+    if (component.templateFile) files.push(component.templateFile);
+    return files;
+  }
+
+  /**
+   * Check if a component's styles mention any of the given variables
+   * @private
+   */
+  _usesVariables(component, names) {
+    const contents = component.inlineStyles ? [component.inlineStyles] : [];
+    for (const styleFile of component.styleFiles) {
+      try {
+        contents.push(fs.readFileSync(styleFile, 'utf-8'));
+      } catch (e) {
+        // Deleted stylesheet
+      }
+    }
+    return contents.some(content => [...names].some(name => content.includes(name)));
+  }
+
+  /**
+   * @private
+   */
+  _isIgnored(filePath) {
+    const name = path.basename(filePath);
+    return this.ignore.some(pattern => filePath.includes(pattern) || name === pattern);
+  }
+
+  /**
+   * Watch a directory and its subdirectories (one watcher per directory,
+   * so ignored trees like node_modules are never watched)
+   * @private
+   */
+  _watchDirectory(dir) {
+    if (this.watchers.has(dir) || (dir !== this.projectDir && this._isIgnored(dir))) return;
+
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (eventType, fileName) => {
+        if (fileName) this._handleEvent(path.join(dir, fileName.toString()));
+      });
+    } catch (e) {
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      this.watchers.delete(dir);
+    });
+    this.watchers.set(dir, watcher);
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) this._watchDirectory(path.join(dir, entry.name));
+    }
+  }
+
+  /**
+   * Queue a changed path and process the batch once events stop coming in
+   * @private
+   */
+  _handleEvent(filePath) {
+    if (this._isIgnored(filePath)) return;
+
+    // New directories are watched too (their files arrive as separate events)
+    let stat = null;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (e) {
+      // Deleted
+    }
+    if (stat && stat.isDirectory()) {
+      this._watchDirectory(filePath);
+      return;
+    }
+    if (!stat && this.watchers.has(filePath)) {
+      this.watchers.get(filePath).close();
+      this.watchers.delete(filePath);
+      return;
+    }
+    if (!WATCHED_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return;
+
+    this.pending.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._flush(), DEBOUNCE_MS);
+  }
+
+  /**
+   * @private
+   */
+  _flush() {
+    const files = [...this.pending];
+    this.pending.clear();
+
+    let update;
+    try {
+      update = this.update(files);
+    } catch (error) {
+      if (this.onError) this.onError(error);
+      else console.warn('[watch] Update failed:', error.message);
+      return;
+    }
+
+    if (update.components.length > 0 && this.onUpdate) this.onUpdate(update);
+  }
+}
+
+/**
+ * Analyze a project and keep watching it
+ *
+ * @param {string} projectDir - Project directory
+ * @param {object} options - Same options as analyzeByComponent()
+ * @param {function(object): void} onUpdate - Receives each WatchSession#update() result
+ * @returns {WatchSession} Session (session.results holds the initial results; call close() to stop)
+ */
+function watchProject(projectDir, options, onUpdate) {
+  const session = new WatchSession(projectDir, options);
+  session.analyze();
+  if (!session.results.error) session.watch(onUpdate);
+  return session;
+}
+
+/**
+ * Format one watch update for the console
+ *
+ * @param {object} update - WatchSession#update() result
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Base for relative file paths (default: process.cwd())
+ * @returns {string} Summary of the change with new (+) and resolved (-) issues
+ */
+function formatWatchUpdate(update, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const relative = file => path.relative(cwd, file).split(path.sep).join('/');
+  const time = new Date().toTimeString().slice(0, 8);
+  const lines = [];
+
+  const changed = update.files.map(file => relative(file)).join(', ');
+  const count = update.components.length;
+  lines.push(`[${time}] ${changed}: ${count} component${count === 1 ? '' : 's'} re-analyzed in ${update.duration}ms`);
+
+  const formatIssue = (sign, issue) => {
+    const line = issue.location ? `:${issue.location.line}:${issue.location.column}` : '';
+    return `  ${sign} [${issue.check}] ${relative(issue.file)}${line} ${issue.message}`;
+  };
+  for (const issue of update.added) lines.push(formatIssue('+', issue));
+  for (const issue of update.resolved) lines.push(formatIssue('-', issue));
+
+  const results = update.results;
+  lines.push(`  ${update.added.length} new, ${update.resolved.length} resolved · ` +
+    `${results.totalIssues} issue${results.totalIssues === 1 ? '' : 's'} · score ${results.auditScore}%`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  WatchSession,
+  watchProject,
+  formatWatchUpdate,
+  DEBOUNCE_MS
+};
@@ -47,6 +47,8 @@ const WEIGHTS = {
   formFieldName: 7,
   scopeAttrMisuse: 7,
   autoplayMedia: 7,
+  accessibleAuthentication: 7,
+  redundantEntry: 7,
 
   // Weight 3 - Minor
   headingOrder: 3,
@@ -75,6 +77,7 @@ const WEIGHTS = {
   matProgressBarLabel: 7,
   matTooltipKeyboard: 7,
   matDialogFocus: 7,
+  matDialogOpenConfig: 7,
   matExpansionHeader: 7,
   matTabLabel: 7,
   matStepLabel: 7,
@@ -98,6 +101,7 @@ const WEIGHTS = {
 
   // Weight 7 - Important (keyboard accessibility)
   clickWithoutKeyboard: 7,
+  hostListenerKeyboard: 7,
   clickWithoutRole: 7,
   routerLinkNames: 7,
 
@@ -114,7 +118,9 @@ const WEIGHTS = {
 
   cdkTrapFocusDialog: 7,
   cdkLiveAnnouncer: 5,
+  cdkLiveAnnouncerUsage: 5,
   cdkAriaDescriber: 5,
+  cdkDragAlternative: 7,
 
   // ============================================
   // SCSS Checks
@@ -123,11 +129,13 @@ const WEIGHTS = {
   // Weight 7 - Important (focus visibility is WCAG AA)
   colorContrast: 7,
   focusStyles: 7,
+  nonTextContrast: 7,
   outlineNoneWithoutAlt: 7,
   hoverWithoutFocus: 7,
 
   // Weight 5 - Moderate
   touchTargets: 5,
+  focusNotObscured: 5,
   prefersReducedMotion: 5,
   pointerEventsNone: 5,
 
@@ -139,14 +147,26 @@ const WEIGHTS = {
   focusWithinSupport: 3,
   textJustify: 3,
   visibilityHiddenUsage: 3,
+
+  // ============================================
+  // i18n Checks (config "i18n" / --i18n)
+  // ============================================
+
+  i18nNames: 10,
+  i18nLocalizeNames: 10,
+  i18nHtmlLang: 7,
 };
 
 /**
  * Get weight for a check
  * @param {string} checkName - Name of the check
+ * @param {Object<string, number>|null} [overrides] - Per-check weight overrides (project config)
  * @returns {number} Weight (defaults to 5 if not defined)
  */
-function getWeight(checkName) {
+function getWeight(checkName, overrides = null) {
+  if (overrides && typeof overrides[checkName] === 'number') {
+    return overrides[checkName];
+  }
   return WEIGHTS[checkName] || 5;
 }
 
@@ -157,9 +177,10 @@ function getWeight(checkName) {
  * Warnings and info are tracked but don't fail audits.
  *
  * @param {Object} checkResults - Map of check name to { elementsFound, issues, errors }
+ * @param {Object<string, number>|null} [weightOverrides] - Per-check weight overrides (project config)
  * @returns {Object} { score, earned, total, passed, failed, audits }
  */
-function calculateAuditScore(checkResults) {
+function calculateAuditScore(checkResults, weightOverrides = null) {
   let totalWeight = 0;
   let earnedWeight = 0;
   const audits = [];
@@ -167,7 +188,7 @@ function calculateAuditScore(checkResults) {
   for (const [name, stats] of Object.entries(checkResults)) {
     // Only count checks that found elements (applicable audits)
     if (stats.elementsFound > 0) {
-      const weight = getWeight(name);
+      const weight = getWeight(name, weightOverrides);
       totalWeight += weight;
       // Only ERRORS fail an audit (not warnings/info)
       // Fall back to issues count for backwards compatibility
@@ -18,6 +18,12 @@
 const { parentPort, workerData } = require('worker_threads');
 const path = require('path');
 const fs = require('fs');
+const { applySuppressions } = require('./suppressions');
+const { withLocations, splitLocations } = require('./location');
+const { getCheckContext } = require('./loader');
+const { loadPlugins, loadI18nChecks } = require('./plugins');
+const { isSourceFile } = require('./tsParser');
+const { applyComponentMap, restoreIssues } = require('./componentMap');
 
 // Path to checks directory relative to this file
 const CHECKS_DIR = path.join(__dirname, '..', 'checks');
@@ -25,6 +31,21 @@ const CHECKS_DIR = path.join(__dirname, '..', 'checks');
 // Cache for loaded check modules to avoid repeated file system access
 const checkCache = new Map();
 
+// Plugin checks: the runner passes the plugins' module paths, loading them
+// here also registers their error codes in this thread's error catalog
+const pluginChecks = new Map();
+for (const plugin of loadPlugins((workerData && workerData.plugins) || []).plugins) {
+  for (const [name, module] of plugin.checks) {
+    if (!pluginChecks.has(name)) pluginChecks.set(name, module);
+  }
+}
+
+// i18n checks are built from the project's translation files (the main thread
+// already reported problems loading them)
+for (const module of loadI18nChecks(workerData || {}, () => {})) {
+  if (!pluginChecks.has(module.name)) pluginChecks.set(module.name, module);
+}
+
 /**
  * Deserialize varContext from JSON-safe format back to Maps.
  * Worker threads receive plain objects, we need to convert back to Maps.
@@ -61,7 +82,7 @@ try {
  * Attempts to load the check module from the checks directory.
  * Modules are cached after first load for performance.
  *
- * @param {string} checkName - Name of the check (folder name in src/checks)
+ * @param {string} checkName - Name of the check (file name in src/checks, or a plugin check)
  * @returns {{ module: object|null, error: string|null }}
  * @private
  */
@@ -81,6 +102,10 @@ function loadCheckModule(checkName) {
     return { module: checkCache.get(checkName), error: null };
   }
 
+  if (pluginChecks.has(checkName)) {
+    return { module: pluginChecks.get(checkName), error: null };
+  }
+
   // Checks are flat .js files, not directories with index.js
   const checkPath = path.join(CHECKS_DIR, `${checkName}.js`);
 
@@ -114,24 +139,26 @@ function loadCheckModule(checkName) {
  *
  * @param {Function} checkFn - The check function to run
  * @param {string} content - Content to check
- * @param {string} filePath - Optional file path for context
- * @returns {{ pass: boolean, issues: string[], error: string|null }}
+ * @param {object|null} [context] - Second argument of the check (parsed template or SCSS variable context)
+ * @returns {{ pass: boolean, issues: Object[], locations: Array<Object|null>, error: string|null }}
  * @private
  */
-function runCheckSafely(checkFn, content, filePath) {
+function runCheckSafely(checkFn, content, context = null) {
   try {
-    const result = checkFn(content, filePath);
+    const result = checkFn(content, context);
 
     // Normalize result to expected format
     const pass = result.pass === true;
-    const issues = Array.isArray(result.issues) ? result.issues : [];
+    const issues = withLocations(Array.isArray(result.issues) ? result.issues : [], result.locations);
+    const { locations } = splitLocations(issues);
     const elementsFound = result.elementsFound || 0;
 
-    return { pass, issues, elementsFound, error: null };
+    return { pass, issues, locations, elementsFound, error: null };
   } catch (err) {
     return {
       pass: false,
       issues: [],
+      locations: [],
       elementsFound: 0,
       error: `Check threw an error: ${err.message}`
     };
@@ -149,7 +176,7 @@ function runCheckSafely(checkFn, content, filePath) {
  * @private
  */
 function handleRun(msg) {
-  const { id, checkName, content, filePath } = msg;
+  const { id, checkName, content } = msg;
 
   // Validate required fields
   if (!id) {
@@ -175,7 +202,7 @@ function handleRun(msg) {
   }
 
   // Run the check
-  const checkResult = runCheckSafely(loadResult.module.check, content, filePath);
+  const checkResult = runCheckSafely(loadResult.module.check, content, getCheckContext(loadResult.module, content));
 
   if (checkResult.error) {
     sendError(id, checkName, 'CHECK_ERROR', checkResult.error);
@@ -190,6 +217,7 @@ function handleRun(msg) {
     result: {
       pass: checkResult.pass,
       issues: checkResult.issues,
+      locations: checkResult.locations,
       elementsFound: checkResult.elementsFound
     }
   });
@@ -242,14 +270,17 @@ function handlePreload(msg) {
  *
  * @param {Object} msg - The message object
  * @param {string} msg.id - Unique task ID
- * @param {Array<{path: string, content: string}>} msg.files - Files to process
+ * @param {Array<{path: string, content: string, origin?: Object, inherited?: Array}>} msg.files - Files to process
  * @param {string[]} msg.htmlCheckNames - Check names for HTML files
  * @param {string[]} msg.scssCheckNames - Check names for SCSS files
+ * @param {string[]} [msg.tsCheckNames] - Check names for TypeScript source files
+ * @param {string[]} [msg.knownCheckNames] - All check names (unknown names in disable comments are reported)
  * @param {Object} [msg.varContext] - Serialized SCSS variable context for color resolution
+ * @param {Map} [msg.componentMap] - Wrapper components to check as the elements they render (core/componentMap)
  * @private
  */
 function handleRunBatch(msg) {
-  const { id, files, htmlCheckNames, scssCheckNames, varContext: serializedVarContext } = msg;
+  const { id, files, htmlCheckNames, scssCheckNames, tsCheckNames = [], knownCheckNames, varContext: serializedVarContext, componentMap = null } = msg;
   
   // Deserialize varContext for SCSS checks (converts arrays back to Maps)
   const varContext = deserializeVarContext(serializedVarContext);
@@ -272,36 +303,63 @@ function handleRunBatch(msg) {
     const ext = path.extname(file.path).toLowerCase();
     const isHtml = ['.html', '.htm'].includes(ext);
     const isScss = ['.scss', '.css', '.sass'].includes(ext);
+    const isTs = isSourceFile(file.path);
 
-    const checkNames = isHtml ? htmlCheckNames : (isScss ? scssCheckNames : []);
+    const checkNames = isHtml ? htmlCheckNames : (isScss ? scssCheckNames : (isTs ? tsCheckNames : []));
     const fileResult = {
       path: file.path,
       checks: {}
     };
 
+    // Templates: wrapper components are checked as the elements they are mapped to
+    const mapped = isHtml ? applyComponentMap(file.content, componentMap) : null;
+    const content = mapped ? mapped.content : file.content;
+
     for (const checkName of checkNames) {
       const loadResult = loadCheckModule(checkName);
       if (!loadResult.module) {
         fileResult.checks[checkName] = {
           pass: false,
           issues: [],
+          locations: [],
           elementsFound: 0,
           error: loadResult.error
         };
         continue;
       }
 
-      // SCSS checks receive varContext as second arg, HTML checks receive filePath
-      const secondArg = isScss ? varContext : file.path;
-      const checkResult = runCheckSafely(loadResult.module.check, file.content, secondArg);
+      // SCSS checks receive varContext (and inherited backgrounds) as second arg, HTML and TypeScript checks the parsed content
+      const context = getCheckContext(loadResult.module, content, isScss ? varContext : null, isScss ? file.inherited : null);
+      const checkResult = runCheckSafely(loadResult.module.check, content, context);
+      const issues = restoreIssues(mapped, checkResult.issues);
       fileResult.checks[checkName] = {
         pass: checkResult.pass,
-        issues: checkResult.issues,
+        issues,
+        locations: splitLocations(issues).locations,
         elementsFound: checkResult.elementsFound,
         error: checkResult.error
       };
     }
 
+    // Drop issues silenced by inline mat-a11y-disable comments
+    const issuesByCheck = {};
+    for (const [checkName, checkResult] of Object.entries(fileResult.checks)) {
+      issuesByCheck[checkName] = checkResult.issues;
+    }
+    const applied = applySuppressions(file.content, isScss ? 'scss' : (isTs ? 'ts' : 'html'), issuesByCheck, {
+      knownChecks: knownCheckNames,
+      origin: file.origin
+    });
+    for (const [checkName, checkResult] of Object.entries(fileResult.checks)) {
+      const remaining = splitLocations(applied.issues[checkName]);
+      const suppressedAny = remaining.issues.length !== checkResult.issues.length;
+      checkResult.issues = remaining.issues;
+      checkResult.locations = remaining.locations;
+      if (suppressedAny && remaining.issues.length === 0 && !checkResult.error) checkResult.pass = true;
+    }
+    fileResult.suppressed = applied.suppressed;
+    fileResult.unused = applied.unused;
+
     results.files.push(fileResult);
   }
 
@@ -387,7 +445,8 @@ function handleVerify(msg) {
   }
 
   // Run check on pass section - expect pass (no issues)
-  const passCheckResult = runCheckSafely(checkModule.check, parseResult.passContent);
+  const passCheckResult = runCheckSafely(checkModule.check, parseResult.passContent,
+    getCheckContext(checkModule, parseResult.passContent));
   const passResult = {
     expected: 'pass',
     actual: passCheckResult.pass ? 'pass' : 'fail',
@@ -396,7 +455,8 @@ function handleVerify(msg) {
   };
 
   // Run check on fail section - expect fail (has issues)
-  const failCheckResult = runCheckSafely(checkModule.check, parseResult.failContent);
+  const failCheckResult = runCheckSafely(checkModule.check, parseResult.failContent,
+    getCheckContext(checkModule, parseResult.failContent));
   const failResult = {
     expected: 'fail',
     actual: failCheckResult.pass ? 'pass' : 'fail',
@@ -421,12 +481,12 @@ function handleVerify(msg) {
  * Find and read a verify file for a check.
  *
  * @param {string} checkPath - Path to the check folder
- * @param {string} checkType - Type of check ('html' or 'scss')
+ * @param {string} checkType - Type of check ('html', 'scss' or 'ts')
  * @returns {{ content: string|null, error: string|null }}
  * @private
  */
 function findAndReadVerifyFile(checkPath, checkType) {
-  const extension = checkType === 'html' ? '.html' : '.scss';
+  const extension = checkType === 'html' ? '.html' : (checkType === 'ts' ? '.ts' : '.scss');
   const verifyFileName = `verify${extension}`;
   const verifyFilePath = path.join(checkPath, verifyFileName);
 
@@ -441,7 +501,7 @@ function findAndReadVerifyFile(checkPath, checkType) {
   }
 
   // Try alternative extensions
-  const alternativeExtensions = checkType === 'html' ? ['.htm'] : ['.css', '.sass'];
+  const alternativeExtensions = checkType === 'html' ? ['.htm'] : (checkType === 'ts' ? [] : ['.css', '.sass']);
   for (const ext of alternativeExtensions) {
     const altPath = path.join(checkPath, `verify${ext}`);
     if (fs.existsSync(altPath)) {
@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * Angular Workspace
+ *
+ * Reads the projects of an Angular CLI workspace (`angular.json`) or an Nx
+ * monorepo (`nx.json` plus one `project.json` per project), so analysis can be
+ * scoped to one app (`--project <name>`) or reported per project
+ * (`--per-project`).
+ *
+ * For every project it records the source root, the global stylesheets and
+ * the build's `stylePreprocessorOptions.includePaths` (the SCSS graph
+ * resolves `@use 'theme'` against them, like the Angular compiler does).
+ *
+ * Libraries are attributed to the projects that consume them:
+ *
+ * - an import of the library's path alias (tsconfig `compilerOptions.paths`)
+ *   or package name from a project's TypeScript files
+ * - Nx `implicitDependencies`
+ *
+ * Consumption is transitive: an app importing `ui`, which imports `core`,
+ * consumes both.
+ *
+ * @module core/workspace
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directories never searched for project.json or TypeScript files
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['node_modules', 'dist', '.git', '.angular', 'coverage', 'tmp'];
+
+/**
+ * Find the workspace root by walking up to angular.json or nx.json
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Workspace root directory
+ */
+function findWorkspaceRoot(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    if (fs.existsSync(path.join(dir, 'angular.json')) || fs.existsSync(path.join(dir, 'nx.json'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Remove comments and trailing commas from JSON (tsconfig.json and angular.json
+ * allow both), leaving strings untouched
+ * @private
+ */
+function stripJsonComments(text) {
+  let output = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+      output += text.slice(i, end + 1);
+      i = end;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      output += char;
+    }
+  }
+  return output.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Read a JSON file, recording parse errors
+ * @private
+ */
+function readJson(file, errors) {
+  try {
+    return JSON.parse(stripJsonComments(fs.readFileSync(file, 'utf-8')));
+  } catch (error) {
+    errors.push(`Could not read ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Walk a directory for files matching a filter
+ * @private
+ */
+function walk(dir, matches, files = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return files;
+  }
+
+  for (const entry of entries) {
+    if (DEFAULT_IGNORE.includes(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(fullPath, matches, files);
+    else if (entry.isFile() && matches(entry.name)) files.push(fullPath);
+  }
+  return files;
+}
+
+/**
+ * Normalize a project definition from angular.json or project.json
+ * @private
+ */
+function normalizeProject(name, definition, root, projectRoot) {
+  const targets = definition.architect || definition.targets || {};
+  const build = targets.build || {};
+  const buildOptions = build.options || {};
+  const styleOptions = buildOptions.stylePreprocessorOptions || {};
+  const sourceRoot = definition.sourceRoot ? path.resolve(root, definition.sourceRoot) : projectRoot;
+
+  return {
+    name,
+    type: definition.projectType === 'library' ? 'library' : 'application',
+    root: projectRoot,
+    sourceRoot,
+    // Global stylesheets ("styles": ["src/styles.scss", { "input": "src/theme.scss" }])
+    styles: (Array.isArray(buildOptions.styles) ? buildOptions.styles : [])
+      .map(style => (typeof style === 'string' ? style : style && style.input))
+      .filter(style => typeof style === 'string')
+      .map(style => path.resolve(root, style)),
+    includePaths: (Array.isArray(styleOptions.includePaths) ? styleOptions.includePaths : [])
+      .filter(dir => typeof dir === 'string')
+      .map(dir => path.resolve(root, dir)),
+    implicitDependencies: (Array.isArray(definition.implicitDependencies) ? definition.implicitDependencies : [])
+      .filter(dep => typeof dep === 'string' && !dep.startsWith('!')),
+    libraries: []
+  };
+}
+
+/**
+ * Read the projects of an Angular CLI or Nx workspace
+ *
+ * angular.json entries may point to a project.json (`"shop": "apps/shop"`),
+ * as in Nx workspaces that kept their angular.json. With only nx.json, every
+ * project.json below the root is a project (named by its "name", or by its
+ * path like Nx does).
+ *
+ * Library consumption isn't resolved here (it reads every TypeScript file);
+ * see resolveLibraries().
+ *
+ * @param {string} dir - Workspace root or any directory inside it
+ * @returns {{
+ *   root: string,
+ *   type: 'angular'|'nx',
+ *   projects: Array<{name: string, type: 'application'|'library', root: string, sourceRoot: string,
+ *     styles: string[], includePaths: string[], implicitDependencies: string[], libraries: string[]}>,
+ *   errors: string[]
+ * }|null} The workspace, or null outside of one
+ */
+function loadWorkspace(dir) {
+  const root = findWorkspaceRoot(dir);
+  if (!root) return null;
+
+  const errors = [];
+  const projects = [];
+  const angularFile = path.join(root, 'angular.json');
+
+  if (fs.existsSync(angularFile)) {
+    const workspace = readJson(angularFile, errors);
+    for (const [name, entry] of Object.entries((workspace && workspace.projects) || {})) {
+      if (typeof entry === 'string') {
+        const projectRoot = path.resolve(root, entry);
+        const definition = readJson(path.join(projectRoot, 'project.json'), errors);
+        if (definition) projects.push(normalizeProject(name, definition, root, projectRoot));
+      } else if (entry && typeof entry === 'object') {
+        projects.push(normalizeProject(name, entry, root, path.resolve(root, entry.root || '')));
+      }
+    }
+  } else {
+    for (const file of walk(root, name => name === 'project.json')) {
+      const definition = readJson(file, errors);
+      if (!definition || typeof definition !== 'object') continue;
+      const projectRoot = path.dirname(file);
+      const name = definition.name || path.relative(root, projectRoot).split(path.sep).join('-') || path.basename(root);
+      projects.push(normalizeProject(name, definition, root, projectRoot));
+    }
+  }
+
+  projects.sort((a, b) => a.name.localeCompare(b.name));
+  return { root, type: fs.existsSync(path.join(root, 'nx.json')) ? 'nx' : 'angular', projects, errors };
+}
+
+/**
+ * Find the project a file belongs to (the one with the deepest root containing it)
+ * @param {object} workspace - loadWorkspace() result
+ * @param {string} filePath - Any file in the workspace
+ * @returns {object|null} The project, or null for files outside every project
+ */
+function findProject(workspace, filePath) {
+  const file = path.resolve(filePath);
+  let match = null;
+  for (const project of workspace.projects) {
+    for (const dir of [project.root, project.sourceRoot]) {
+      const relative = path.relative(dir, file);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) continue;
+      if (!match || dir.length > match.depth) match = { project, depth: dir.length };
+    }
+  }
+  return match ? match.project : null;
+}
+
+/**
+ * Import specifiers that can name a library: its tsconfig path aliases
+ * (when they point into the library) and its package name
+ * @private
+ */
+function libraryAliases(workspace) {
+  const aliases = new Map(); // specifier -> project name
+  const libraries = workspace.projects.filter(project => project.type === 'library');
+
+  for (const library of libraries) {
+    const pkg = readJson(path.join(library.root, 'package.json'), []);
+    if (pkg && typeof pkg.name === 'string') aliases.set(pkg.name, library.name);
+  }
+
+  for (const file of ['tsconfig.base.json', 'tsconfig.json']) {
+    const tsconfig = path.join(workspace.root, file);
+    if (!fs.existsSync(tsconfig)) continue;
+    const config = readJson(tsconfig, []);
+    const paths = (config && config.compilerOptions && config.compilerOptions.paths) || {};
+    for (const [alias, targets] of Object.entries(paths)) {
+      for (const target of [].concat(targets)) {
+        if (typeof target !== 'string') continue;
+        const library = findProject({ projects: libraries }, path.resolve(workspace.root, target.replace(/\*.*$/, '')));
+        if (library) aliases.set(alias.replace(/\/\*$/, ''), library.name);
+      }
+    }
+    break;
+  }
+
+  return aliases;
+}
+
+/**
+ * Fill in `libraries` of every project: the libraries it consumes, directly
+ * or through other libraries
+ * @param {object} workspace - loadWorkspace() result (changed in place)
+ * @returns {object} The workspace
+ */
+function resolveLibraries(workspace) {
+  const aliases = libraryAliases(workspace);
+  const names = new Set(workspace.projects.map(project => project.name));
+  const direct = new Map(workspace.projects.map(project => [project.name, new Set(project.implicitDependencies.filter(dep => names.has(dep)))]));
+
+  if (aliases.size > 0) {
+    const importRegex = /(?:\bfrom\s*|\bimport\s*\(?\s*)['"]([^'"]+)['"]/g;
+    for (const file of walk(workspace.root, name => name.endsWith('.ts') && !name.endsWith('.spec.ts'))) {
+      const project = findProject(workspace, file);
+      if (!project) continue;
+      const content = fs.readFileSync(file, 'utf-8');
+      let match;
+      while ((match = importRegex.exec(content)) !== null) {
+        const specifier = match[1];
+        if (specifier.startsWith('.')) continue;
+        for (const [alias, library] of aliases) {
+          if ((specifier === alias || specifier.startsWith(alias + '/')) && library !== project.name) {
+            direct.get(project.name).add(library);
+          }
+        }
+      }
+    }
+  }
+
+  for (const project of workspace.projects) {
+    const consumed = new Set();
+    const queue = [...direct.get(project.name)];
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (name === project.name || consumed.has(name)) continue;
+      consumed.add(name);
+      queue.push(...direct.get(name));
+    }
+    project.libraries = [...consumed].sort();
+  }
+
+  return workspace;
+}
+
+/**
+ * Every include path of the workspace that contains a directory
+ * (for resolving `@use` in the SCSS graph)
+ * @param {string} dir - Directory being analyzed
+ * @returns {string[]} Absolute include paths
+ */
+function findIncludePaths(dir) {
+  const workspace = loadWorkspace(dir);
+  if (!workspace) return [];
+  return [...new Set(workspace.projects.flatMap(project => project.includePaths))];
+}
+
+/**
+ * Format per-project results (analyzeByComponent() with perProject) for the console
+ * @param {object} results - Analysis results with `projects`
+ * @returns {string} Formatted table, or '' without projects
+ */
+function formatProjectResults(results) {
+  if (!Array.isArray(results.projects) || results.projects.length === 0) return '';
+
+  const width = Math.max(7, ...results.projects.map(project => project.name.length));
+  const lines = ['PROJECTS:'];
+  lines.push(`  ${'Project'.padEnd(width)}  ${'Type'.padEnd(11)}  Score  Issues  Components  Libraries`);
+  for (const project of results.projects) {
+    lines.push(`  ${project.name.padEnd(width)}  ${project.type.padEnd(11)}  ${String(project.auditScore).padStart(5)}  ` +
+      `${String(project.totalIssues).padStart(6)}  ${String(project.totalComponentsScanned).padStart(10)}  ` +
+      (project.libraries.length > 0 ? project.libraries.join(', ') : '-'));
+  }
+  lines.push(`  Roll-up: score ${results.auditScore}, ${results.totalIssues} issues in ${results.totalComponentsScanned} components (libraries counted once)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  findWorkspaceRoot,
+  loadWorkspace,
+  findProject,
+  resolveLibraries,
+  findIncludePaths,
+  formatProjectResults
+};
@@ -9,6 +9,7 @@
  */
 
 const { normalizeResults, getCheckWeight } = require('./result-utils');
+const { formatSnippet, renderIssue } = require('../core/errors');
 
 /**
  * Extract component name from file path
@@ -96,7 +97,7 @@ function format(results, options = {}) {
     comp.files.add(filePath);
     if (affectedUrl) comp.affectedUrls.add(affectedUrl);
 
-    const parsed = parseIssue(issue.message);
+    const parsed = parseIssue(issue);
     const element = parsed.element || issue.element || '';
     const fix = parsed.fixes[0] ? parsed.fixes[0] : null;
 
@@ -145,8 +146,12 @@ function format(results, options = {}) {
     .filter(([_, data]) => data.issues.length > 0)
     .sort((a, b) => b[1].issuePoints.totalPoints - a[1].issuePoints.totalPoints);
 
+  const baseline = normalized.baseline;
+
   if (sortedComponents.length === 0) {
-    lines.push('✓ No accessibility issues found!');
+    lines.push(baseline
+      ? `✓ No new accessibility issues since baseline (${baseline.fixed} fixed, ${baseline.unchanged} unchanged)`
+      : '✓ No accessibility issues found!');
     return lines.join('\n');
   }
 
@@ -158,6 +163,9 @@ function format(results, options = {}) {
   lines.push(`# traufix.de | freelancermap.de/profil/robin-spanier`);
   lines.push('');
   lines.push(`${totalIssues} issues | ${totalPoints} priority points | ${sortedComponents.length} files`);
+  if (baseline) {
+    lines.push(`# Baseline: only NEW issues listed (${baseline.fixed} fixed, ${baseline.unchanged} unchanged)`);
+  }
   lines.push(`# Components sorted by priority (fix top items first)`);
   lines.push('');
 
@@ -224,10 +232,16 @@ function format(results, options = {}) {
 }
 
 /**
- * Parse issue message for element and fixes
+ * Get the element and fixes of an issue
+ * (structured issues carry them; plain strings from custom checks are parsed)
  */
-function parseIssue(issueStr) {
+function parseIssue(issue) {
+  if (issue && typeof issue === 'object' && issue.code) {
+    return { fixes: issue.fixes || [], element: issue.element ? formatSnippet(issue.element) : null };
+  }
+
   const result = { fixes: [], element: null };
+  const issueStr = renderIssue(issue);
   if (!issueStr) return result;
 
   const lines = issueStr.split('\n');
@@ -294,11 +308,11 @@ function formatComponentResults(results, lines) {
         byCheck[check] = [];
       }
 
-      const parsed = parseIssue(issue.message);
+      const parsed = parseIssue(issue);
       const element = parsed.element || '';
       const fix = parsed.fixes[0] ? parsed.fixes[0] : null;
 
-      byCheck[check].push({ element, fix, message: issue.message });
+      byCheck[check].push({ element, fix, message: renderIssue(issue) });
     }
 
     // Output issues grouped by check
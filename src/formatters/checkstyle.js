@@ -115,7 +115,7 @@ function format(results, options = {}) {
 
     fileGroups.get(filePath).push({
       line: issue.line || 1,
-      column: 1,
+      column: issue.column || 1,
       weight,
       severity: getSeverityFromWeight(weight),
       message: cleanMessage(issue.message),
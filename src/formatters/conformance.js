@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Conformance Formatter
+ *
+ * WCAG 2.2 conformance report for audits: every success criterion (up to the
+ * --wcag-level, if set) with pass, fail, not applicable or not tested, derived
+ * from the checks that map to it (see core/conformance).
+ *
+ * @module formatters/conformance
+ */
+
+const { getConformance } = require('../core/conformance');
+
+/**
+ * Status labels, in report order
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  fail: 'Fail',
+  pass: 'Pass',
+  'not-applicable': 'Not applicable',
+  'not-tested': 'Not tested'
+};
+
+/**
+ * Describe the reported level ("AA (A and AA criteria)")
+ * @param {string|null} level - Conformance level
+ * @returns {string} Description
+ */
+function describeLevel(level) {
+  if (level === 'A') return 'A';
+  if (level === 'AA') return 'AA (A and AA criteria)';
+  if (level === 'AAA') return 'AAA (all criteria)';
+  return 'All levels';
+}
+
+/**
+ * Format the results as a WCAG conformance report
+ *
+ * @param {object} results - Analysis results (any mode)
+ * @param {object} [options={}] - Formatter options
+ * @param {string} [options.title] - Report title
+ * @param {string} [options.level] - Conformance level (default: the level the run was limited to)
+ * @param {boolean} [options.includeTimestamp=true] - Include generation timestamp
+ * @returns {string} Markdown report
+ */
+function format(results, options = {}) {
+  const {
+    title = 'mat-a11y WCAG 2.2 Conformance Report',
+    includeTimestamp = true
+  } = options;
+
+  const conformance = getConformance(results || {}, { level: options.level });
+  const { criteria, summary } = conformance;
+  const tested = criteria.length - summary['not-tested'];
+  const lines = [];
+
+  // Header
+  lines.push('<!-- Generated by mat-a11y - do not edit -->');
+  lines.push('');
+  lines.push(`# ${title}`);
+  lines.push('');
+  lines.push(`**Level:** ${describeLevel(conformance.level)}`);
+  lines.push(`**Tier:** ${(results && results.tier) || 'standard'}`);
+  if (includeTimestamp) {
+    lines.push(`**Generated:** ${new Date().toISOString()}`);
+  }
+  lines.push('');
+
+  // Summary
+  lines.push('## Summary');
+  lines.push('');
+  lines.push('| Status | Criteria |');
+  lines.push('|--------|----------|');
+  for (const [status, label] of Object.entries(STATUS_LABELS)) {
+    lines.push(`| ${label} | ${summary[status]} |`);
+  }
+  lines.push('');
+  lines.push(`Automated checks cover ${tested} of ${criteria.length} criteria. ` +
+    'Criteria marked "Not tested" need manual testing, and a pass means no automated check found an issue, not full conformance.');
+  lines.push('');
+
+  // Every criterion
+  lines.push('## Success Criteria');
+  lines.push('');
+  lines.push('| Criterion | Level | Status | Checks | Elements | Issues |');
+  lines.push('|-----------|-------|--------|--------|----------|--------|');
+  for (const entry of criteria) {
+    const checks = entry.checks.length > 0 ? entry.checks.map(name => `\`${name}\``).join(', ') : '-';
+    const tested = entry.status !== 'not-tested';
+    lines.push(`| ${entry.criterion} ${entry.name} | ${entry.level} | ${STATUS_LABELS[entry.status]} | ${checks} | ` +
+      `${tested ? entry.elementsFound : '-'} | ${tested ? entry.issues : '-'} |`);
+  }
+  lines.push('');
+
+  // Footer
+  lines.push('---');
+  lines.push('*Generated by [mat-a11y](https://github.com/robspan/mat-a11y)*');
+  lines.push('');
+  lines.push('*[traufix.de](https://traufix.de) | [freelancermap.de/profil/robin-spanier](https://www.freelancermap.de/profil/robin-spanier)*');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  name: 'conformance',
+  description: 'WCAG 2.2 conformance report: pass, fail, not applicable or not tested per success criterion',
+  category: 'a11y-standards',
+  output: 'text',
+  fileExtension: '.md',
+  mimeType: 'text/markdown',
+  format
+};
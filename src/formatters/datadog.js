@@ -260,6 +260,49 @@ function format(results, options = {}) {
     baseTags
   ));
 
+  // Baseline comparison (only when a baseline was applied)
+  if (normalized.baseline) {
+    for (const state of ['new', 'fixed', 'unchanged']) {
+      series.push(createSeries(
+        `${prefix}.baseline.${state}`,
+        normalized.baseline[state],
+        timestamp,
+        'gauge',
+        baseTags
+      ));
+    }
+  }
+
+  // Change since the previous snapshot (only when the run was recorded with --history)
+  const delta = normalized.history && normalized.history.delta;
+  if (delta) {
+    const deltaMetrics = [
+      ['score_delta', delta.auditScore],
+      ['issues_delta', delta.issues],
+      ['issues_new', delta.new],
+      ['issues_fixed', delta.fixed]
+    ];
+    for (const [name, value] of deltaMetrics) {
+      if (typeof value !== 'number') continue;
+      series.push(createSeries(
+        `${prefix}.history.${name}`,
+        value,
+        timestamp,
+        'gauge',
+        baseTags
+      ));
+    }
+    for (const [check, change] of Object.entries(delta.checks || {})) {
+      series.push(createSeries(
+        `${prefix}.history.issues_by_check_delta`,
+        change,
+        timestamp,
+        'gauge',
+        [...baseTags, `check:${sanitizeTagValue(check)}`]
+      ));
+    }
+  }
+
   // Per-URL metrics (entities are pre-sorted by priority - highest totalPoints first)
   if (includePerUrl && normalized.entities && normalized.entities.length > 0) {
     for (const url of normalized.entities) {
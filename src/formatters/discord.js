@@ -147,6 +147,88 @@ function formatTopIssues(results, limit = 5) {
     .join('\n');
 }
 
+/**
+ * Signed number ("+3", "-2", "0")
+ * @param {number} value - Number
+ * @returns {string} Signed number
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Format a report diff (mat-a11y diff) as Discord webhook message
+ *
+ * @param {object} diff - Diff from diffReports()
+ * @param {object} [options={}] - Formatter options
+ * @param {string} [options.title] - Custom embed title
+ * @param {number} [options.maxIssues] - Max new/fixed issues listed (default: 5)
+ * @param {string} [options.username] - Custom webhook username
+ * @param {string} [options.avatarUrl] - Custom webhook avatar URL
+ * @returns {string} JSON string of Discord webhook message
+ */
+function formatDiffMessage(diff, options = {}) {
+  const {
+    title = 'Accessibility Changes',
+    maxIssues = 5,
+    username = 'mat-a11y',
+    avatarUrl
+  } = options;
+  const { before, after } = diff;
+
+  const fields = [
+    {
+      name: 'Score',
+      value: diff.auditScore !== null ? `${before.auditScore}% → ${after.auditScore}% (**${signed(diff.auditScore)}**)` : 'n/a',
+      inline: true
+    },
+    {
+      name: 'Issues',
+      value: `${before.issues} → ${after.issues}`,
+      inline: true
+    },
+    {
+      name: 'New | Fixed | Unchanged',
+      value: `:red_circle: ${diff.new.length} | :green_circle: ${diff.fixed.length} | ${diff.unchanged.length}`,
+      inline: true
+    }
+  ];
+
+  // Changed components/pages
+  if (diff.components.length > 0) {
+    const lines = diff.components.slice(0, maxIssues).map(entry => {
+      const change = entry.auditScore !== null ? ` ${signed(entry.auditScore)}%` : '';
+      return `**${entry.name}**${change} (${entry.new} new, ${entry.fixed} fixed)`;
+    });
+    if (diff.components.length > maxIssues) lines.push(`*...and ${diff.components.length - maxIssues} more*`);
+    fields.push({ name: 'Changed', value: lines.join('\n'), inline: false });
+  }
+
+  // New and fixed issues
+  for (const [heading, issues] of [['New Issues', diff.new], ['Fixed Issues', diff.fixed]]) {
+    if (issues.length === 0) continue;
+    const lines = issues.slice(0, maxIssues).map(issue => `\`${issue.check}\` ${issue.file}`);
+    if (issues.length > maxIssues) lines.push(`*...and ${issues.length - maxIssues} more*`);
+    fields.push({ name: `${heading} (${issues.length})`, value: lines.join('\n'), inline: false });
+  }
+
+  const payload = {
+    username,
+    embeds: [{
+      title,
+      description: `${before.file || 'before'} → ${after.file || 'after'}`,
+      color: diff.new.length > 0 ? COLORS.RED : COLORS.GREEN,
+      fields,
+      footer: { text: 'Generated by mat-a11y' },
+      timestamp: new Date().toISOString()
+    }],
+    content: `**${title}**: ${diff.new.length} new, ${diff.fixed.length} fixed issues`
+  };
+  if (avatarUrl) payload.avatar_url = avatarUrl;
+
+  return JSON.stringify(payload, null, 2);
+}
+
 /**
  * Format mat-a11y results as Discord embed message
  *
@@ -174,6 +256,11 @@ function format(results, options = {}) {
     avatarUrl
   } = options;
 
+  // Report diff (mat-a11y diff)
+  if (results && results.diff) {
+    return formatDiffMessage(results.diff, options);
+  }
+
   const normalized = normalizeResults(results);
   const nouns = getEntityNouns(results, normalized);
   const distribution = normalized.distribution || { passing: 0, warning: 0, failing: 0 };
@@ -222,6 +309,15 @@ function format(results, options = {}) {
     }
   ];
 
+  // Baseline comparison (issues listed are new since the baseline)
+  if (normalized.baseline) {
+    fields.push({
+      name: 'Baseline',
+      value: `${normalized.baseline.new} new | ${normalized.baseline.fixed} fixed | ${normalized.baseline.unchanged} unchanged`,
+      inline: false
+    });
+  }
+
   // Add high priority entities field if there are any (sorted by issue points)
   if (highPriorityEntities.length > 0) {
     fields.push({
@@ -48,18 +48,27 @@ function format(results, options = {}) {
       // Clean the message (remove severity prefix)
       const message = cleanMessage(issue.message);
 
-      // Get file and line info
+      // Get file and position info (columns only when the check located the element;
+      // GitHub only supports an end column on single-line annotations, and it is inclusive)
       const file = issue.file || '';
-      const line = issue.line || 1;
+      let position = `line=${issue.line || 1}`;
+      if (issue.column) {
+        position += `,col=${issue.column}`;
+        if (issue.endLine === issue.line && issue.endColumn > issue.column) {
+          position += `,endColumn=${issue.endColumn - 1}`;
+        } else if (issue.endLine > issue.line) {
+          position += `,endLine=${issue.endLine}`;
+        }
+      }
 
       // Escape special characters for GitHub Actions
       const escapedMessage = escapeAnnotation(message);
       const escapedCheck = escapeAnnotation(issue.check);
       const escapedUrl = escapeAnnotation(issue.entity);
 
-      // Format: ::error file={name},line={line},title={title}::{message}
+      // Format: ::error file={name},line={line},col={col},endColumn={endColumn},title={title}::{message}
       lines.push(
-        `::${level} file=${file},line=${line},title=${escapedCheck}::${escapedMessage} (${escapedUrl})`
+        `::${level} file=${file},${position},title=${escapedCheck}::${escapedMessage} (${escapedUrl})`
       );
 
     annotationCount++;
@@ -70,6 +79,10 @@ function format(results, options = {}) {
     const d = normalized.distribution || { passing: 0, warning: 0, failing: 0 };
     const summary = `Analyzed ${normalized.total || 0} URLs - Passing: ${d.passing}, Warning: ${d.warning}, Failing: ${d.failing}`;
     lines.push(`::notice title=mat-a11y Summary::${escapeAnnotation(summary)}`);
+    if (normalized.baseline) {
+      const b = normalized.baseline;
+      lines.push(`::notice title=mat-a11y Baseline::${escapeAnnotation(`${b.new} new, ${b.fixed} fixed, ${b.unchanged} unchanged`)}`);
+    }
     lines.push(`::notice title=mat-a11y::traufix.de | freelancermap.de/profil/robin-spanier`);
   }
 
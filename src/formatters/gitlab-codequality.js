@@ -65,12 +65,7 @@ function format(results, options = {}) {
         categories: ['Accessibility'],
         severity: severity,
         fingerprint: fingerprint,
-        location: {
-          path: issue.file || 'unknown',
-          lines: {
-            begin: issue.line || 1
-          }
-        }
+        location: createLocation(issue)
       };
 
       // Add optional engine_name for better identification
@@ -127,6 +122,31 @@ function mapSeverity(weight) {
   return 'info';
 }
 
+/**
+ * Build the Code Quality location for an issue
+ *
+ * Uses `positions` (line and column) when the check located the element,
+ * otherwise just the line.
+ *
+ * @param {object} issue - The issue object
+ * @returns {object} Code Quality location
+ */
+function createLocation(issue) {
+  const path = issue.file || 'unknown';
+
+  if (!issue.column) {
+    return { path, lines: { begin: issue.line || 1 } };
+  }
+
+  return {
+    path,
+    positions: {
+      begin: { line: issue.line, column: issue.column },
+      end: { line: issue.endLine || issue.line, column: issue.endColumn || issue.column }
+    }
+  };
+}
+
 /**
  * Generate a unique fingerprint for the issue
  *
@@ -97,6 +97,37 @@ function format(results, options = {}) {
     }
   ];
 
+  // Baseline comparison (only when a baseline was applied)
+  if (normalized.baseline) {
+    for (const state of ['new', 'fixed', 'unchanged']) {
+      timeseries.push({
+        target: `baseline_${state}`,
+        datapoints: [[normalized.baseline[state], timestamp]]
+      });
+    }
+  }
+
+  // Change since the previous snapshot (only when the run was recorded with --history)
+  const delta = normalized.history && normalized.history.delta;
+  if (delta) {
+    const deltaTargets = [
+      ['score_delta', delta.auditScore],
+      ['issues_delta', delta.issues],
+      ['issues_new', delta.new],
+      ['issues_fixed', delta.fixed]
+    ];
+    for (const [target, value] of deltaTargets) {
+      if (typeof value !== 'number') continue;
+      timeseries.push({ target, datapoints: [[value, timestamp]] });
+    }
+    for (const [check, change] of Object.entries(delta.checks || {})) {
+      timeseries.push({
+        target: `issues_delta_${check.replace(/[^a-zA-Z0-9]/g, '_')}`,
+        datapoints: [[change, timestamp]]
+      });
+    }
+  }
+
   // Add per-URL score timeseries
   for (const url of urls) {
     const urlPath = url.label || 'unknown';
@@ -140,6 +171,7 @@ function format(results, options = {}) {
       issue.message || '',
       issue.file || '',
       issue.line || 0,
+      issue.column || 0,
       issue.weight || 1
     ]);
   }
@@ -151,6 +183,7 @@ function format(results, options = {}) {
       { text: 'Message', type: 'string' },
       { text: 'File', type: 'string' },
       { text: 'Line', type: 'number' },
+      { text: 'Column', type: 'number' },
       { text: 'Weight', type: 'number' }
     ],
     rows: issueRows,
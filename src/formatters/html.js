@@ -14,6 +14,11 @@ const path = require('path');
 const { normalizeResults, getEntitiesByIssuePoints, getCheckWeight } = require('./result-utils');
 
 function format(results, options = {}) {
+  // Report diff (mat-a11y diff)
+  if (results && results.diff) {
+    return formatDiffHTML(results.diff);
+  }
+
   const normalized = normalizeResults(results);
 
   const isFile = normalized.entities.length === 1 && normalized.entities[0]?.kind === 'file';
@@ -184,6 +189,8 @@ function formatEntityHTML(results, normalized) {
     optimizationNote = `<p class="optimization-note">Root Cause Analysis: ${optimization.originalCount} issues reduced to ${optimization.optimizedCount} unique fixes (${reduction}% reduction)</p>`;
   }
 
+  const baselineNote = formatBaselineNote(normalized.baseline);
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -555,6 +562,7 @@ function formatEntityHTML(results, normalized) {
   </div>
 
   ${optimizationNote}
+  ${baselineNote}
 
   <div class="controls">
     <label for="search" class="sr-only">Search components</label>
@@ -753,6 +761,16 @@ function formatEntityHTML(results, normalized) {
 </html>`;
 }
 
+/**
+ * Baseline comparison note (only new issues are listed in the report)
+ * @param {object|null} baseline - normalized.baseline
+ * @returns {string} HTML paragraph or empty string
+ */
+function formatBaselineNote(baseline) {
+  if (!baseline) return '';
+  return `<p class="optimization-note">Baseline: ${baseline.new} new, ${baseline.fixed} fixed, ${baseline.unchanged} unchanged issues. Only new issues are listed.</p>`;
+}
+
 function formatFileHTML(results, normalized) {
   const s = results.summary || {};
   const auditScore = typeof s.auditScore === 'number' ? s.auditScore : (normalized.entities[0]?.auditScore || 0);
@@ -819,11 +837,138 @@ function formatFileHTML(results, normalized) {
   <h1>mat-a11y Analysis Report</h1>
   <p>${s.filesChecked || 0} files | Tier: ${(normalized.tier || 'basic').toUpperCase()}</p>
   <div class="score ${scoreClass}">${auditScore}%</div>
+  ${formatBaselineNote(normalized.baseline)}
   ${issuesHtml || '<p>No issues found.</p>'}
 </body>
 </html>`;
 }
 
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Report diff (mat-a11y diff): score change, changed components and new/fixed issues
+ * @param {object} diff - Diff from diffReports()
+ * @returns {string} HTML document
+ */
+function formatDiffHTML(diff) {
+  const { before, after } = diff;
+  const noun = before.mode === 'component' ? 'Component' : (before.mode === 'file-based' ? 'File' : 'Page');
+  const score = (side) => typeof side?.auditScore === 'number' ? `${side.auditScore}%` : '-';
+  const label = (side) => `${escapeHtml(side.file ? path.basename(side.file) : 'report')}${side.timestamp ? ` (${escapeHtml(side.timestamp.slice(0, 10))})` : ''}`;
+  const changeClass = (value) => value > 0 ? 'pass' : value < 0 ? 'fail' : '';
+
+  const componentRows = diff.components.map(entry => {
+    const change = entry.auditScore !== null ? signed(entry.auditScore) : (entry.before ? 'removed' : 'added');
+    return `
+        <tr>
+          <td>${escapeHtml(entry.name)}</td>
+          <td>${score(entry.before)}</td>
+          <td>${score(entry.after)}</td>
+          <td class="${changeClass(entry.auditScore)}">${change}</td>
+          <td>${entry.new}</td>
+          <td>${entry.fixed}</td>
+        </tr>`;
+  }).join('');
+
+  const issueList = (heading, issues) => {
+    if (issues.length === 0) return '';
+    const items = issues.map(issue => {
+      const line = issue.line ? `<span class="line-num">:${issue.line}</span>` : '';
+      return `<li><strong>${escapeHtml(issue.check)}</strong> ${escapeHtml(issue.file)}${line} (${escapeHtml(issue.component)}): ${escapeHtml(issue.message)}</li>`;
+    }).join('');
+    return `
+  <h2>${heading} (${issues.length})</h2>
+  <ul class="issue-list">${items}</ul>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="mat-a11y">
+  <title>mat-a11y Accessibility Changes</title>
+  <style>
+    :root {
+      --pass: #047857;
+      --fail: #b91c1c;
+      --border: #e5e7eb;
+      --text: #111827;
+      --text-muted: #6b7280;
+      --bg: #ffffff;
+      --bg-alt: #f9fafb;
+    }
+    @media (prefers-color-scheme: dark) {
+      :root:not(.light-mode) {
+        --pass: #34d399;
+        --fail: #f87171;
+        --border: #374151;
+        --text: #f9fafb;
+        --text-muted: #9ca3af;
+        --bg: #111827;
+        --bg-alt: #1f2937;
+      }
+    }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1000px; margin: 0 auto; padding: 2rem; background: var(--bg); color: var(--text); line-height: 1.5; }
+    h1 { margin: 0 0 0.5rem; font-size: 1.5rem; }
+    h2 { font-size: 1.125rem; margin: 2rem 0 0.75rem; }
+    .subtitle { color: var(--text-muted); margin: 0 0 1.5rem; font-size: 0.875rem; }
+    .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem; }
+    .stat-card { background: var(--bg-alt); border: 1px solid var(--border); border-radius: 8px; padding: 1rem; }
+    .stat-value { font-size: 1.75rem; font-weight: 700; }
+    .stat-label { font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    th, td { padding: 0.5rem 0.75rem; text-align: left; border-bottom: 1px solid var(--border); }
+    th { background: var(--bg-alt); font-weight: 600; }
+    .pass { color: var(--pass); font-weight: 600; }
+    .fail { color: var(--fail); font-weight: 600; }
+    .issue-list { padding-left: 1.25rem; font-size: 0.875rem; }
+    .issue-list li { margin-bottom: 0.25rem; }
+    .line-num { color: var(--text-muted); }
+    footer { margin-top: 2rem; color: var(--text-muted); font-size: 0.75rem; }
+  </style>
+</head>
+<body>
+  <h1>mat-a11y Accessibility Changes</h1>
+  <p class="subtitle">${label(before)} &rarr; ${label(after)}</p>
+
+  <div class="summary">
+    <div class="stat-card">
+      <div class="stat-value ${changeClass(diff.auditScore)}">${diff.auditScore !== null ? signed(diff.auditScore) : '-'}</div>
+      <div class="stat-label">Score (${score(before)} &rarr; ${score(after)})</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value ${diff.new.length > 0 ? 'fail' : ''}">${diff.new.length}</div>
+      <div class="stat-label">New issues</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value ${diff.fixed.length > 0 ? 'pass' : ''}">${diff.fixed.length}</div>
+      <div class="stat-label">Fixed issues</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${diff.unchanged.length}</div>
+      <div class="stat-label">Unchanged issues</div>
+    </div>
+  </div>
+${diff.components.length > 0 ? `
+  <h2>Changed ${noun}s (${diff.components.length})</h2>
+  <table>
+    <thead>
+      <tr><th scope="col">${noun}</th><th scope="col">Before</th><th scope="col">After</th><th scope="col">Change</th><th scope="col">New</th><th scope="col">Fixed</th></tr>
+    </thead>
+    <tbody>${componentRows}
+    </tbody>
+  </table>` : ''}
+${issueList('New Issues', diff.new)}
+${issueList('Fixed Issues', diff.fixed)}
+
+  <footer>Generated by mat-a11y | ${new Date().toISOString()}</footer>
+</body>
+</html>`;
+}
+
 module.exports = {
   name: 'html',
   description: 'Interactive HTML report with sortable table',
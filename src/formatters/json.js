@@ -20,21 +20,30 @@ const { normalizeResults } = require('./result-utils');
  * @param {object} results - Analysis results from mat-a11y
  * @param {object} options - Formatter options
  * @param {number} [options.indent=2] - JSON indentation
+ * @param {string} [options.projectDir] - Scanned project (recorded so `mat-a11y diff` can match files across checkouts)
  * @returns {string} JSON string
  */
 function format(results, options = {}) {
   const indent = options.indent !== undefined ? options.indent : 2;
 
+  const generated = {
+    tool: 'mat-a11y',
+    timestamp: new Date().toISOString(),
+    notice: 'Generated file - do not edit',
+    promo: 'traufix.de | freelancermap.de/profil/robin-spanier'
+  };
+  if (options.projectDir) generated.projectDir = options.projectDir;
+
+  // Report diff (mat-a11y diff)
+  if (results && results.diff) {
+    return JSON.stringify({ _generated: generated, diff: results.diff }, null, indent);
+  }
+
   // Normalize results to get pre-sorted entities and issues with priority data
   const normalized = normalizeResults(results);
 
   const output = {
-    _generated: {
-      tool: 'mat-a11y',
-      timestamp: new Date().toISOString(),
-      notice: 'Generated file - do not edit',
-      promo: 'traufix.de | freelancermap.de/profil/robin-spanier'
-    },
+    _generated: generated,
     // Include normalized data with pre-sorted entities and issues
     ...normalized,
     // Preserve any additional raw data not covered by normalizeResults
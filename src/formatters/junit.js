@@ -95,9 +95,14 @@ function format(results, options = {}) {
   const failingEntities = [];
   const passingEntities = [];
 
+  // With a baseline, an entity only fails when it has NEW issues
+  const baseline = normalized.baseline;
+  const isFailing = (entity) => baseline
+    ? (entity.issues || []).length > 0
+    : (entity.auditScore ?? 0) < failThreshold;
+
   for (const entity of normalized.entities) {
-    const score = entity.auditScore ?? 0;
-    if (score < failThreshold) {
+    if (isFailing(entity)) {
       failingEntities.push(entity);
     } else {
       passingEntities.push(entity);
@@ -111,7 +116,7 @@ function format(results, options = {}) {
   for (const entity of orderedEntities) {
     totalTests++;
     const score = entity.auditScore ?? 0;
-    const passed = score >= failThreshold;
+    const passed = !isFailing(entity);
     // Issues are already pre-sorted by weight (highest first) from normalizeResults()
     const issues = entity.issues || [];
     const testName = escapeXml(entity.label);
@@ -125,7 +130,7 @@ function format(results, options = {}) {
       const failureMessages = topIssues.map(issue => {
         const check = escapeXml(issue.check);
         const message = escapeXml(cleanMessage(issue.message));
-        const file = issue.file ? ` (${escapeXml(issue.file)}:${issue.line || 1})` : '';
+        const file = issue.file ? ` (${escapeXml(issue.file)}:${issue.line || 1}${issue.column ? `:${issue.column}` : ''})` : '';
         // Include weight in message if enabled (helps prioritize fixes)
         const weight = includeWeight && typeof issue.weight === 'number'
           ? `[W:${issue.weight}] `
@@ -133,12 +138,16 @@ function format(results, options = {}) {
         return `${weight}[${check}] ${message}${file}`;
       }).join('\n');
 
+      const failureSummary = baseline
+        ? `${issues.length} new issue${issues.length === 1 ? '' : 's'} since baseline (score: ${score}%)`
+        : `Accessibility score: ${score}% (threshold: ${failThreshold}%)`;
+
       const remainingCount = issues.length - topIssues.length;
       const moreText = remainingCount > 0 ? `\n... and ${remainingCount} more issues` : '';
 
       let testcase = `
     <testcase name="${testName}" classname="${className}" time="0">
-      <failure message="Accessibility score: ${score}% (threshold: ${failThreshold}%)" type="${getFailureType(score)}">
+      <failure message="${failureSummary}" type="${getFailureType(score)}">
 <![CDATA[
 ${failureMessages}${moreText}
 ]]>
@@ -149,7 +158,7 @@ ${failureMessages}${moreText}
         const allIssues = issues.map(issue => {
           const check = escapeXml(issue.check);
           const message = escapeXml(cleanMessage(issue.message));
-          const file = issue.file ? ` (${escapeXml(issue.file)}:${issue.line || 1})` : '';
+          const file = issue.file ? ` (${escapeXml(issue.file)}:${issue.line || 1}${issue.column ? `:${issue.column}` : ''})` : '';
           const weight = includeWeight && typeof issue.weight === 'number'
             ? `[W:${issue.weight}] `
             : '';
@@ -199,6 +208,27 @@ ${warningMessages}
     }
   }
 
+  // Quality gate (set by the CLI): its own testcase, listed first
+  const gate = results.gate;
+  if (gate) {
+    totalTests++;
+    const gateName = escapeXml(`Quality gate: ${gate.description}`);
+    if (gate.passed) {
+      testcases.unshift(`
+    <testcase name="${gateName}" classname="${suiteName}.gate" time="0"/>`);
+    } else {
+      failures++;
+      testcases.unshift(`
+    <testcase name="${gateName}" classname="${suiteName}.gate" time="0">
+      <failure message="${escapeXml(gate.failures.join('; '))}" type="QualityGateFailure">
+<![CDATA[
+${gate.failures.join('\n')}
+]]>
+      </failure>
+    </testcase>`);
+    }
+  }
+
   // Build properties section
   const properties = `
     <properties>
@@ -207,7 +237,12 @@ ${warningMessages}
       <property name="failThreshold" value="${failThreshold}"/>
       <property name="passing" value="${normalized.distribution?.passing || 0}"/>
       <property name="warning" value="${normalized.distribution?.warning || 0}"/>
-      <property name="failing" value="${normalized.distribution?.failing || 0}"/>
+      <property name="failing" value="${normalized.distribution?.failing || 0}"/>${baseline ? `
+      <property name="baselineNew" value="${baseline.new}"/>
+      <property name="baselineFixed" value="${baseline.fixed}"/>
+      <property name="baselineUnchanged" value="${baseline.unchanged}"/>` : ''}${gate ? `
+      <property name="gate" value="${escapeXml(gate.description)}"/>
+      <property name="gatePassed" value="${gate.passed}"/>` : ''}
     </properties>`;
 
   // Build final XML
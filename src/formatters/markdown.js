@@ -98,6 +98,11 @@ function format(results, options = {}) {
     worstUrlsLimit = 10
   } = options;
 
+  // Report diff (mat-a11y diff)
+  if (results && results.diff) {
+    return formatDiffReport(results.diff, options);
+  }
+
   const lines = [];
   const normalized = normalizeResults(results);
 
@@ -136,6 +141,29 @@ function format(results, options = {}) {
     lines.push('');
   }
 
+  // Baseline comparison (only new issues are listed below)
+  if (normalized.baseline) {
+    const baseline = normalized.baseline;
+    lines.push('## Baseline');
+    lines.push('');
+    lines.push('| New | Fixed | Unchanged |');
+    lines.push('|-----|-------|-----------|');
+    lines.push(`| ${baseline.new} | ${baseline.fixed} | ${baseline.unchanged} |`);
+    lines.push('');
+    if (baseline.fixedIssues.length > 0) {
+      lines.push('**Fixed since baseline:**');
+      lines.push('');
+      for (const fixed of baseline.fixedIssues.slice(0, 20)) {
+        const count = fixed.count > 1 ? ` (x${fixed.count})` : '';
+        lines.push(`- \`${escapeMarkdown(fixed.check)}\` in ${escapeMarkdown(fixed.file)}${count}`);
+      }
+      if (baseline.fixedIssues.length > 20) {
+        lines.push(`- ... and ${baseline.fixedIssues.length - 20} more`);
+      }
+      lines.push('');
+    }
+  }
+
   // Distribution chart
   if (includeDistribution && urlCount > 0) {
     lines.push('## Distribution');
@@ -227,6 +255,93 @@ function format(results, options = {}) {
   return lines.join('\n');
 }
 
+/**
+ * Signed number ("+3", "-2", "0")
+ * @param {number} value - Number
+ * @returns {string} Signed number
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Format a report diff (mat-a11y diff) for PR comments and release notes
+ *
+ * @param {object} diff - Diff from diffReports()
+ * @param {object} [options={}] - Formatter options
+ * @param {string} [options.title] - Report title
+ * @param {number} [options.issueLimit=50] - Maximum issues listed per section
+ * @returns {string} Formatted markdown report
+ */
+function formatDiffReport(diff, options = {}) {
+  const {
+    title = 'mat-a11y Accessibility Changes',
+    issueLimit = 50
+  } = options;
+  const { before, after } = diff;
+  const lines = [];
+
+  const label = (side) => `${escapeMarkdown(side.file || 'report')}${side.timestamp ? ` (${side.timestamp.slice(0, 10)})` : ''}`;
+  const score = (side) => typeof side?.auditScore === 'number' ? `${side.auditScore}%` : '-';
+
+  lines.push('<!-- Generated by mat-a11y - do not edit -->');
+  lines.push('');
+  lines.push(`# ${title}`);
+  lines.push('');
+  lines.push(`**Before:** ${label(before)}`);
+  lines.push(`**After:** ${label(after)}`);
+  lines.push('');
+
+  // Summary table
+  lines.push('## Summary');
+  lines.push('');
+  lines.push('| Metric | Before | After | Change |');
+  lines.push('|--------|--------|-------|--------|');
+  if (diff.auditScore !== null) {
+    lines.push(`| Score | ${score(before)} | ${score(after)} | ${signed(diff.auditScore)} |`);
+  }
+  lines.push(`| Issues | ${before.issues} | ${after.issues} | ${signed(after.issues - before.issues)} |`);
+  lines.push('');
+  lines.push(`**${diff.new.length} new**, **${diff.fixed.length} fixed**, ${diff.unchanged.length} unchanged issues.`);
+  lines.push('');
+
+  // Changed components/pages
+  if (diff.components.length > 0) {
+    const noun = before.mode === 'component' ? 'Component' : (before.mode === 'file-based' ? 'File' : 'Page');
+    lines.push(`## Changed ${noun}s`);
+    lines.push('');
+    lines.push(`| ${noun} | Score | Change | New | Fixed |`);
+    lines.push('|-----|-------|--------|-----|-------|');
+    for (const entry of diff.components) {
+      const change = entry.auditScore !== null ? signed(entry.auditScore) : (entry.before ? 'removed' : 'added');
+      lines.push(`| ${escapeMarkdown(entry.name)} | ${score(entry.before)} -> ${score(entry.after)} | ${change} | ${entry.new} | ${entry.fixed} |`);
+    }
+    lines.push('');
+  }
+
+  // Issue lists
+  const sections = [['New Issues', diff.new], ['Fixed Issues', diff.fixed]];
+  for (const [heading, issues] of sections) {
+    if (issues.length === 0) continue;
+    lines.push(`## ${heading} (${issues.length})`);
+    lines.push('');
+    for (const issue of issues.slice(0, issueLimit)) {
+      const line = issue.line ? `:${issue.line}` : '';
+      lines.push(`- \`${escapeMarkdown(issue.check)}\` in ${escapeMarkdown(issue.file)}${line} (${escapeMarkdown(issue.component)}): ${escapeMarkdown(issue.message)}`);
+    }
+    if (issues.length > issueLimit) {
+      lines.push(`- ... and ${issues.length - issueLimit} more`);
+    }
+    lines.push('');
+  }
+
+  // Footer
+  lines.push('---');
+  lines.push('*Generated by [mat-a11y](https://github.com/robspan/mat-a11y)*');
+
+  return lines.join('\n');
+}
+
 /**
  * Extract top issues from a URL result (sorted by weight descending)
  * @param {object} url - URL result object
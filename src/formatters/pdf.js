@@ -319,7 +319,12 @@ function format(results, options = {}) {
       : `This audit found ${totalIssues} accessibility issues across ${componentCount} components. ${critical > 0 ? `There are ${critical} critical issues that should be addressed immediately.` : ''}`
     }
   </div>
-
+${normalized.baseline ? `
+  <div class="summary-text">
+    <strong>Baseline:</strong>
+    ${normalized.baseline.new} new, ${normalized.baseline.fixed} fixed, ${normalized.baseline.unchanged} unchanged issues since the baseline. Only new issues are counted above.
+  </div>
+` : ''}
   <section class="section">
     <h2 class="section-title">Top Issues by Frequency</h2>
     <table>
@@ -205,6 +205,54 @@ function format(results, options = {}) {
   }
   lines.push(`${prefix}_issues_weighted_total${buildLabels(baseLabels)} ${totalWeightedIssueWeight}${timestamp}`);
 
+  // --- Baseline comparison (only when a baseline was applied) ---
+  if (normalized.baseline) {
+    for (const state of ['new', 'fixed', 'unchanged']) {
+      if (includeHelp) {
+        lines.push(`# HELP ${prefix}_baseline_${state} Issues ${state} relative to the baseline`);
+      }
+      if (includeType) {
+        lines.push(`# TYPE ${prefix}_baseline_${state} gauge`);
+      }
+      lines.push(`${prefix}_baseline_${state}${buildLabels(baseLabels)} ${normalized.baseline[state]}${timestamp}`);
+    }
+  }
+
+  // --- Change since the previous snapshot (only when the run was recorded with --history) ---
+  const delta = normalized.history && normalized.history.delta;
+  if (delta) {
+    const deltaMetrics = [
+      ['score_delta', 'Audit score change since the previous run', delta.auditScore],
+      ['issues_delta', 'Issue count change since the previous run', delta.issues],
+      ['issues_new', 'Issues that were not in the previous run', delta.new],
+      ['issues_fixed', 'Issues of the previous run that are gone', delta.fixed]
+    ];
+    for (const [name, help, value] of deltaMetrics) {
+      if (typeof value !== 'number') continue;
+      if (includeHelp) {
+        lines.push(`# HELP ${prefix}_${name} ${help}`);
+      }
+      if (includeType) {
+        lines.push(`# TYPE ${prefix}_${name} gauge`);
+      }
+      lines.push(`${prefix}_${name}${buildLabels(baseLabels)} ${value}${timestamp}`);
+    }
+
+    const checkDeltas = Object.entries(delta.checks || {});
+    if (checkDeltas.length > 0) {
+      if (includeHelp) {
+        lines.push(`# HELP ${prefix}_issues_by_check_delta Issue count change per check since the previous run`);
+      }
+      if (includeType) {
+        lines.push(`# TYPE ${prefix}_issues_by_check_delta gauge`);
+      }
+      for (const [check, change] of checkDeltas) {
+        const checkLabels = { check, tier, ...customLabels };
+        lines.push(`${prefix}_issues_by_check_delta${buildLabels(checkLabels)} ${change}${timestamp}`);
+      }
+    }
+  }
+
   return lines.join('\n');
 }
 
@@ -15,27 +15,51 @@
 
 const { collectPages, getTotalCount, getDistribution, getPathLabel } = require('./page-utils');
 const { getWeight } = require('../core/weights');
+const { getSeverity, renderIssue } = require('../core/errors');
 
 function asArray(value) {
   return Array.isArray(value) ? value : [];
 }
 
+// Line from the "(line N)" that ends some messages, for issues without a location
+function lineFromMessage(message) {
+  const match = /\(line\s+(\d+)\)\s*$/.exec(String(message || ''));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Issues arrive structured ({ code, severity, wcag, message, fixes, element, location, data });
+// `message` is rendered to the full text here so formatters only deal with strings,
+// and the structured fields are kept for formatters that group by code or WCAG criterion.
 function normalizeIssue(issue, fallback = {}) {
   if (!issue || typeof issue !== 'object') {
+    const message = String(issue || '');
     return {
       check: fallback.check || 'unknown',
-      message: String(issue || ''),
+      message,
       file: fallback.file || 'unknown',
-      line: fallback.line || 1
+      line: fallback.line || lineFromMessage(message) || 1,
+      severity: getSeverity(message)
     };
   }
 
+  const message = renderIssue(issue) || fallback.message || '';
+  const location = issue.location || {};
   return {
     check: issue.check || fallback.check || 'unknown',
-    message: issue.message || fallback.message || '',
+    message,
     file: issue.file || fallback.file || 'unknown',
-    line: issue.line || fallback.line || 1,
-    element: issue.element
+    line: location.line || issue.line || fallback.line || lineFromMessage(message) || 1,
+    // Start column and end position (1-based, end exclusive) when the check located the element
+    column: location.column,
+    endLine: location.endLine,
+    endColumn: location.endColumn,
+    code: issue.code || undefined,
+    severity: issue.severity || getSeverity(message),
+    wcag: issue.wcag || undefined,
+    fixes: issue.fixes,
+    element: issue.element || undefined,
+    fingerprint: issue.fingerprint,
+    baselineState: issue.baselineState
   };
 }
 
@@ -201,11 +225,16 @@ function normalizeResults(results) {
   entities.sort((a, b) => b.issuePoints.totalPoints - a.issuePoints.totalPoints);
 
   // Collect and pre-sort all issues by check weight (most severe first)
+  // Project config weight overrides bypass the cache
+  const weightOverrides = (results && results.weightOverrides) || null;
   const issues = [];
   for (const entity of entities) {
+    // Entity issues were normalized (and rendered) by normalizeEntities
     for (const issue of asArray(entity.issues)) {
-      const normalized = normalizeIssue(issue);
-      normalized.weight = getCachedWeight(normalized.check);
+      const normalized = { ...issue };
+      normalized.weight = weightOverrides
+        ? getWeight(normalized.check, weightOverrides)
+        : getCachedWeight(normalized.check);
       issues.push({
         ...normalized,
         entity: entity.label,
@@ -217,7 +246,24 @@ function normalizeResults(results) {
   // Sort issues by weight descending (most critical first)
   issues.sort((a, b) => b.weight - a.weight);
 
-  return { tier, total, distribution, entities, issues };
+  // Baseline comparison (set by applyBaseline): issues above are the NEW ones only
+  const baseline = (results && results.baseline) || null;
+
+  // Change since the previous run (set when the run was recorded with --history)
+  const history = (results && results.history) || null;
+
+  // Issues silenced by inline mat-a11y-disable comments (not part of `issues`)
+  const suppressions = results && results.suppressions
+    ? {
+      ...results.suppressions,
+      issues: asArray(results.suppressions.issues).map(entry => ({
+        ...normalizeIssue(entry),
+        directive: entry.directive
+      }))
+    }
+    : null;
+
+  return { tier, total, distribution, entities, issues, baseline, history, suppressions };
 }
 
 function getWorstEntities(entities, limit = 5) {
@@ -65,6 +65,48 @@ function cleanMessage(message) {
   return message.replace(/^\[(Error|Warning|Info)\]\s*/, '');
 }
 
+/**
+ * Create a SARIF region from an issue's location
+ * @param {object} issue - Issue with line and, when located, column/endLine/endColumn
+ * @returns {object} SARIF region
+ */
+function createRegion(issue) {
+  const region = {
+    startLine: issue.line || 1,
+    startColumn: issue.column || 1
+  };
+  if (issue.endLine) {
+    region.endLine = issue.endLine;
+    region.endColumn = issue.endColumn;
+  }
+  return region;
+}
+
+/**
+ * Create a SARIF rule descriptor for a check
+ * @param {string} ruleId - Check name
+ * @returns {object} SARIF reportingDescriptor
+ */
+function createRule(ruleId) {
+  return {
+    id: ruleId,
+    name: ruleId,
+    shortDescription: {
+      text: `Accessibility check: ${ruleId}`
+    },
+    fullDescription: {
+      text: `mat-a11y accessibility rule that checks for ${ruleId.replace(/([A-Z])/g, ' $1').toLowerCase().trim()}`
+    },
+    defaultConfiguration: {
+      level: 'error'
+    },
+    helpUri: `https://github.com/anthropics/mat-a11y#${ruleId}`,
+    properties: {
+      tags: ['accessibility', 'a11y', 'wcag']
+    }
+  };
+}
+
 /**
  * Format results as SARIF 2.1.0
  *
@@ -99,27 +141,11 @@ function format(results, options = {}) {
       const level = getLevelFromWeight(weight);
       const message = cleanMessage(issue.message);
       const filePath = issue.file || '';
-      const line = issue.line || 1;
+      const region = createRegion(issue);
 
       // Add rule if not exists
       if (!rules.has(ruleId)) {
-        rules.set(ruleId, {
-          id: ruleId,
-          name: ruleId,
-          shortDescription: {
-            text: `Accessibility check: ${ruleId}`
-          },
-          fullDescription: {
-            text: `mat-a11y accessibility rule that checks for ${ruleId.replace(/([A-Z])/g, ' $1').toLowerCase().trim()}`
-          },
-          defaultConfiguration: {
-            level: 'error'
-          },
-          helpUri: `https://github.com/anthropics/mat-a11y#${ruleId}`,
-          properties: {
-            tags: ['accessibility', 'a11y', 'wcag']
-          }
-        });
+        rules.set(ruleId, createRule(ruleId));
       }
 
       // Track artifacts (files)
@@ -147,10 +173,7 @@ function format(results, options = {}) {
               uri: filePath,
               uriBaseId: '%SRCROOT%'
             },
-            region: {
-              startLine: line,
-              startColumn: 1
-            }
+            region
           }
         }],
         properties: {
@@ -160,6 +183,14 @@ function format(results, options = {}) {
         }
       };
 
+      // Baseline comparison: line-independent fingerprint + SARIF baselineState
+      if (issue.fingerprint) {
+        resultEntry.partialFingerprints = { 'matA11y/v1': issue.fingerprint };
+      }
+      if (issue.baselineState) {
+        resultEntry.baselineState = issue.baselineState;
+      }
+
       // Add related locations if available
       if (issue.element) {
         resultEntry.relatedLocations = [{
@@ -169,7 +200,7 @@ function format(results, options = {}) {
               uriBaseId: '%SRCROOT%'
             },
             region: {
-              startLine: line,
+              ...region,
               snippet: {
                 text: issue.element
               }
@@ -184,6 +215,46 @@ function format(results, options = {}) {
       sarifResults.push(resultEntry);
   }
 
+  // Issues silenced by inline mat-a11y-disable comments: reported with SARIF suppressions
+  const suppressed = normalized.suppressions ? normalized.suppressions.issues : [];
+  for (const issue of suppressed) {
+    const ruleId = issue.check;
+    const weight = getCheckWeight(ruleId);
+    const filePath = issue.file || '';
+
+    if (!rules.has(ruleId)) {
+      rules.set(ruleId, createRule(ruleId));
+    }
+
+    const suppression = { kind: 'inSource', status: 'accepted' };
+    if (issue.directive && issue.directive.reason) {
+      suppression.justification = issue.directive.reason;
+    }
+
+    sarifResults.push({
+      ruleId,
+      ruleIndex: Array.from(rules.keys()).indexOf(ruleId),
+      level: getLevelFromWeight(weight),
+      message: {
+        text: cleanMessage(issue.message)
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: {
+            uri: filePath,
+            uriBaseId: '%SRCROOT%'
+          },
+          region: createRegion(issue)
+        }
+      }],
+      suppressions: [suppression],
+      properties: {
+        weight,
+        directive: issue.directive
+      }
+    });
+  }
+
   // Build invocation object
   const invocation = {
     executionSuccessful: true,
@@ -197,8 +268,31 @@ function format(results, options = {}) {
     }
   };
 
-  // Mark as failed if there are failing URLs
-  if (normalized.distribution && normalized.distribution.failing > 0) {
+  if (normalized.baseline) {
+    invocation.properties.baseline = {
+      new: normalized.baseline.new,
+      fixed: normalized.baseline.fixed,
+      unchanged: normalized.baseline.unchanged
+    };
+  }
+
+  // The quality gate (set by the CLI) decides the exit code and says why it failed.
+  // Without one: with a baseline only new issues fail, otherwise failing URLs do
+  if (results.gate) {
+    invocation.properties.gate = {
+      description: results.gate.description,
+      passed: results.gate.passed,
+      failures: results.gate.failures
+    };
+    invocation.exitCode = results.gate.passed ? 0 : 1;
+    invocation.toolExecutionNotifications = results.gate.failures.map(failure => ({
+      level: 'error',
+      message: { text: `Quality gate failed: ${failure}` },
+      descriptor: { id: 'quality-gate' }
+    }));
+  } else if (normalized.baseline) {
+    invocation.exitCode = normalized.baseline.new > 0 ? 1 : 0;
+  } else if (normalized.distribution && normalized.distribution.failing > 0) {
     invocation.exitCode = 1;
   } else {
     invocation.exitCode = 0;
@@ -236,7 +330,11 @@ function format(results, options = {}) {
           passing: normalized.distribution?.passing || 0,
           warning: normalized.distribution?.warning || 0,
           failing: normalized.distribution?.failing || 0
-        }
+        },
+        ...(normalized.baseline ? { baseline: normalized.baseline } : {}),
+        ...(normalized.suppressions ? {
+          suppressions: { count: normalized.suppressions.count, unused: normalized.suppressions.unused.length }
+        } : {})
       }
     }]
   };
@@ -136,6 +136,88 @@ function formatEntityBlock(entity, options = {}) {
   };
 }
 
+/**
+ * Signed number ("+3", "-2", "0")
+ * @param {number} value - Number
+ * @returns {string} Signed number
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Format a report diff (mat-a11y diff) as Slack Block Kit message
+ *
+ * @param {object} diff - Diff from diffReports()
+ * @param {object} [options={}] - Formatter options
+ * @param {string} [options.title] - Custom message title
+ * @param {number} [options.maxIssues] - Max new/fixed issues listed (default: 5)
+ * @returns {string} JSON string of Slack Block Kit message
+ */
+function formatDiffMessage(diff, options = {}) {
+  const {
+    title = 'Accessibility Changes',
+    maxIssues = 5
+  } = options;
+  const { before, after } = diff;
+  const statusEmoji = diff.new.length > 0 ? ':red_circle:' : ':large_green_circle:';
+  const score = diff.auditScore !== null
+    ? `${before.auditScore}% → ${after.auditScore}% (${signed(diff.auditScore)})`
+    : 'n/a';
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: title, emoji: true }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${statusEmoji} *${diff.new.length} new, ${diff.fixed.length} fixed*\nScore: *${score}* | Issues: ${before.issues} → ${after.issues}`
+      }
+    },
+    { type: 'divider' }
+  ];
+
+  // Changed components/pages
+  if (diff.components.length > 0) {
+    const lines = diff.components.slice(0, maxIssues).map(entry => {
+      const change = entry.auditScore !== null ? ` ${signed(entry.auditScore)}%` : '';
+      return `- *${entry.name}*${change} (${entry.new} new, ${entry.fixed} fixed)`;
+    });
+    if (diff.components.length > maxIssues) lines.push(`_...and ${diff.components.length - maxIssues} more_`);
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Changed*\n${lines.join('\n')}` }
+    });
+  }
+
+  // New and fixed issues
+  for (const [heading, issues] of [['New issues', diff.new], ['Fixed issues', diff.fixed]]) {
+    if (issues.length === 0) continue;
+    const lines = issues.slice(0, maxIssues).map(issue => `- \`${issue.check}\` ${issue.file}: ${issue.message.substring(0, 80)}`);
+    if (issues.length > maxIssues) lines.push(`_...and ${issues.length - maxIssues} more_`);
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${heading} (${issues.length})*\n${lines.join('\n')}` }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: `Generated by *mat-a11y* | ${before.file || 'before'} → ${after.file || 'after'}`
+    }]
+  });
+
+  return JSON.stringify({
+    blocks,
+    text: `${title}: ${diff.new.length} new, ${diff.fixed.length} fixed issues (score ${diff.auditScore !== null ? signed(diff.auditScore) : 'n/a'})`
+  }, null, 2);
+}
+
 /**
  * Format mat-a11y results as Slack Block Kit message
  *
@@ -159,6 +241,11 @@ function format(results, options = {}) {
     showPriorityPoints = false
   } = options;
 
+  // Report diff (mat-a11y diff)
+  if (results && results.diff) {
+    return formatDiffMessage(results.diff, options);
+  }
+
   const normalized = normalizeResults(results);
   const nouns = getEntityNouns(results, normalized);
   const distribution = normalized.distribution || { passing: 0, warning: 0, failing: 0 };
@@ -215,6 +302,17 @@ function format(results, options = {}) {
     ]
   });
 
+  // Baseline comparison (issues below are new since the baseline)
+  if (normalized.baseline) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `*Baseline:* ${normalized.baseline.new} new | ${normalized.baseline.fixed} fixed | ${normalized.baseline.unchanged} unchanged`
+      }]
+    });
+  }
+
   // High-priority entities section (sorted by issue points, highest first)
   if (highPriorityEntities.length > 0) {
     blocks.push({ type: 'divider' });
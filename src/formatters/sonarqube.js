@@ -93,6 +93,24 @@ function getEffortMinutes(severity) {
   }
 }
 
+/**
+ * Build the text range for an issue (SonarQube columns are 0-based)
+ * @param {object} issue - Normalized issue
+ * @returns {object} SonarQube textRange
+ */
+function createTextRange(issue) {
+  const line = issue.line || 1;
+  if (!issue.column) {
+    return { startLine: line, endLine: line, startColumn: 0, endColumn: 0 };
+  }
+  return {
+    startLine: line,
+    endLine: issue.endLine || line,
+    startColumn: issue.column - 1,
+    endColumn: (issue.endColumn || issue.column) - 1
+  };
+}
+
 /**
  * Clean issue message by removing severity prefix
  * @param {string} message - Raw issue message
@@ -140,12 +158,7 @@ function format(results, options = {}) {
         primaryLocation: {
           message: cleanedMessage,
           filePath: issue.file || 'unknown',
-          textRange: {
-            startLine: issue.line || 1,
-            endLine: issue.line || 1,
-            startColumn: 0,
-            endColumn: 0
-          }
+          textRange: createTextRange(issue)
         },
         // Store severity for sorting (SonarQube doesn't have severity in issues, but we use it internally)
         _severity: severity,
@@ -92,6 +92,12 @@ function getWorstUrls(urls, count) {
  */
 function buildSummaryFacts(results, passRate, nouns) {
   const distribution = results.distribution || { passing: 0, warning: 0, failing: 0 };
+  const baselineFacts = results.baseline
+    ? [{
+        title: 'Baseline',
+        value: `${results.baseline.new} new, ${results.baseline.fixed} fixed, ${results.baseline.unchanged} unchanged`
+      }]
+    : [];
   return [
     {
       title: `Total ${nouns.plural}`,
@@ -116,7 +122,8 @@ function buildSummaryFacts(results, passRate, nouns) {
     {
       title: 'Tier',
       value: results.tier || 'default'
-    }
+    },
+    ...baselineFacts
   ];
 }
 
@@ -370,6 +377,125 @@ function buildWorstUrlsFallback(worstUrls, nouns) {
   }));
 }
 
+/**
+ * Wrap a card body in a Teams message with an Adaptive Card attachment
+ * @param {Array} body - Adaptive Card body elements
+ * @param {Array} [actions=[]] - Adaptive Card actions
+ * @returns {object} Teams message
+ */
+function buildCard(body, actions = []) {
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          msteams: {
+            width: 'Full'
+          },
+          body,
+          ...(actions.length > 0 && { actions })
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Signed number ("+3", "-2", "0")
+ * @param {number} value - Number
+ * @returns {string} Signed number
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Format a report diff (mat-a11y diff) as Microsoft Teams Adaptive Card
+ *
+ * @param {object} diff - Diff from diffReports()
+ * @param {object} [options={}] - Formatter options
+ * @param {string} [options.title='mat-a11y Accessibility Changes'] - Card title
+ * @param {number} [options.maxIssues=5] - Max new/fixed issues listed
+ * @param {string} [options.buildUrl] - URL to build/pipeline
+ * @returns {string} JSON string of Adaptive Card
+ */
+function formatDiffCard(diff, options = {}) {
+  const {
+    title = 'mat-a11y Accessibility Changes',
+    maxIssues = 5,
+    buildUrl
+  } = options;
+  const { before, after } = diff;
+  const statusEmoji = diff.new.length > 0 ? '\u274C' : '\u2705';
+
+  const body = [
+    {
+      type: 'TextBlock',
+      text: `${statusEmoji} ${title}`,
+      weight: 'bolder',
+      size: 'large',
+      wrap: true
+    },
+    {
+      type: 'FactSet',
+      facts: [
+        { title: 'Before', value: before.file || 'report' },
+        { title: 'After', value: after.file || 'report' },
+        { title: 'Score', value: diff.auditScore !== null ? `${before.auditScore}% -> ${after.auditScore}% (${signed(diff.auditScore)})` : 'n/a' },
+        { title: 'Issues', value: `${before.issues} -> ${after.issues}` },
+        { title: 'New', value: String(diff.new.length) },
+        { title: 'Fixed', value: String(diff.fixed.length) },
+        { title: 'Unchanged', value: String(diff.unchanged.length) }
+      ]
+    }
+  ];
+
+  const section = (heading, lines, more) => {
+    body.push({
+      type: 'TextBlock',
+      text: heading,
+      weight: 'bolder',
+      size: 'medium',
+      spacing: 'medium'
+    });
+    body.push({
+      type: 'TextBlock',
+      text: lines.join('\n') + (more > 0 ? `\n- ...and ${more} more` : ''),
+      wrap: true
+    });
+  };
+
+  // Changed components/pages
+  if (diff.components.length > 0) {
+    section('Changed', diff.components.slice(0, maxIssues).map(entry => {
+      const change = entry.auditScore !== null ? ` ${signed(entry.auditScore)}%` : '';
+      return `- **${entry.name}**${change} (${entry.new} new, ${entry.fixed} fixed)`;
+    }), diff.components.length - maxIssues);
+  }
+
+  // New and fixed issues
+  for (const [heading, issues] of [['New Issues', diff.new], ['Fixed Issues', diff.fixed]]) {
+    if (issues.length === 0) continue;
+    section(`${heading} (${issues.length})`, issues.slice(0, maxIssues).map(issue => `- \`${issue.check}\` ${issue.file}`), issues.length - maxIssues);
+  }
+
+  body.push({
+    type: 'TextBlock',
+    text: `Generated: ${new Date().toISOString()}`,
+    size: 'small',
+    isSubtle: true,
+    spacing: 'medium'
+  });
+
+  const actions = buildUrl ? [{ type: 'Action.OpenUrl', title: 'View Build', url: buildUrl }] : [];
+  return JSON.stringify(buildCard(body, actions), null, 2);
+}
+
 /**
  * Format mat-a11y results as Microsoft Teams Adaptive Card
  *
@@ -398,6 +524,11 @@ function format(results, options = {}) {
     showPriority = true
   } = options;
 
+  // Report diff (mat-a11y diff)
+  if (results && results.diff) {
+    return formatDiffCard(results.diff, options);
+  }
+
   const normalized = normalizeResults(results);
   const nouns = getEntityNouns(results, normalized);
 
@@ -446,7 +577,7 @@ function format(results, options = {}) {
     {
       type: 'FactSet',
       facts: buildSummaryFacts(
-        { tier: normalized.tier, total: normalized.total, distribution: normalized.distribution },
+        { tier: normalized.tier, total: normalized.total, distribution: normalized.distribution, baseline: normalized.baseline },
         passRate,
         nouns
       )
@@ -528,28 +659,7 @@ function format(results, options = {}) {
     });
   }
 
-  // Construct the full Adaptive Card
-  const card = {
-    type: 'message',
-    attachments: [
-      {
-        contentType: 'application/vnd.microsoft.card.adaptive',
-        contentUrl: null,
-        content: {
-          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
-          type: 'AdaptiveCard',
-          version: '1.4',
-          msteams: {
-            width: 'Full'
-          },
-          body,
-          ...(actions.length > 0 && { actions })
-        }
-      }
-    ]
-  };
-
-  return JSON.stringify(card, null, 2);
+  return JSON.stringify(buildCard(body, actions), null, 2);
 }
 
 module.exports = {
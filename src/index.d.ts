@@ -2,7 +2,7 @@
  * mat-a11y - TypeScript Type Definitions
  *
  * Angular Material accessibility linter.
- * 82 WCAG checks for mat-* components, Angular templates & SCSS.
+ * 90 WCAG checks for mat-* components, Angular templates, TypeScript & SCSS.
  */
 
 // ============================================
@@ -10,7 +10,7 @@
 // ============================================
 
 export type Tier = 'basic' | 'material' | 'angular' | 'full';
-export type FileType = 'html' | 'scss';
+export type FileType = 'html' | 'scss' | 'ts';
 export type Severity = 'error' | 'warning' | 'info';
 export type ContrastRating = 'fail' | 'AA-large' | 'AA' | 'AAA' | 'unknown';
 
@@ -21,7 +21,36 @@ export type RGB = [number, number, number];
 // ANALYSIS OPTIONS & RESULTS
 // ============================================
 
-export interface AnalyzeOptions {
+/**
+ * Options shared by all analyze*() functions for project config support.
+ * Explicit values win over the discovered config file.
+ */
+export interface ProjectConfigOptions {
+  /** Set to false to skip loading .mat-a11yrc / mat-a11y.config.js / package.json config */
+  config?: false;
+  /** Explicit config file (skips discovery) */
+  configFile?: string;
+  /** Only run these checks */
+  enable?: string[];
+  /** Never run these checks */
+  disable?: string[];
+  /** Only run checks for WCAG criteria up to this level (checks without a criterion don't run) */
+  wcagLevel?: WcagLevel;
+  /** Per-check weight overrides for the audit score */
+  weights?: Record<string, number>;
+  /** Per-check severity overrides */
+  severity?: Record<string, Severity>;
+  /** Check plugins: package names or paths (relative to the config file) */
+  plugins?: string[];
+  /** Wrapper components checked as the elements they render */
+  components?: Record<string, ComponentMapping>;
+  /** Derive wrapper mappings from components with a single Material root */
+  deriveComponents?: boolean;
+  /** Check translated accessible names (i18nNames, i18nLocalizeNames, i18nHtmlLang) */
+  i18n?: boolean | I18nSettings;
+}
+
+export interface AnalyzeOptions extends ProjectConfigOptions {
   /** Tier level: 'basic', 'material', or 'full' */
   tier?: Tier;
   /** Patterns to ignore (e.g., 'node_modules', 'dist') */
@@ -38,18 +67,50 @@ export interface AnalyzeOptions {
   extensions?: {
     html?: string[];
     scss?: string[];
+    /** Component, directive and service sources (.spec.ts and .d.ts files are skipped) */
+    ts?: string[];
   };
 }
 
+/** Position of an offending element (1-based; end is just past the match) */
+export interface SourceLocation {
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+/**
+ * Structured issue emitted by a check (see renderIssue() for the full text)
+ */
 export interface Issue {
-  /** Error message */
+  /** Error code from the catalog (e.g. 'IMG_MISSING_ALT'); null for plain-string issues of custom checks */
+  code: string | null;
+  severity: Severity;
+  /** WCAG success criterion (e.g. '1.1.1'), if any */
+  wcag: string | null;
+  /** Short message (the full text of plain-string issues) */
   message: string;
+  /** Why it matters */
+  why: string | null;
+  /** How to fix it */
+  fixes: string[];
+  /** Documentation link */
+  link: string | null;
+  /** Offending element or selector, if any */
+  element: string | null;
+  /** Location of the offending element (null for file-level issues) */
+  location: SourceLocation | null;
+  /** Data the message was built from */
+  data: Record<string, any>;
   /** File path where issue was found */
   file?: string;
   /** Check name that found the issue */
   check?: string;
-  /** Line number (if available) */
-  line?: number | null;
+  /** Stable fingerprint (set when a baseline was applied) */
+  fingerprint?: string;
+  /** 'new' when the issue is not in the applied baseline */
+  baselineState?: 'new';
 }
 
 export interface AuditResult {
@@ -104,6 +165,53 @@ export interface AnalysisResult {
   summary: AnalysisSummary;
   /** Timing information (when using parallel execution) */
   timing?: TimingInfo;
+  /** Issues silenced by inline mat-a11y-disable comments */
+  suppressions?: SuppressionSummary;
+  /** Elements evaluated and issues found per check, over the whole run (WCAG conformance) */
+  coverage?: Record<string, CheckCoverage>;
+  /** WCAG level the checks were limited to */
+  wcagLevel?: WcagLevel | null;
+}
+
+// ============================================
+// INLINE SUPPRESSIONS
+// ============================================
+
+export interface SuppressionDirective {
+  kind: 'disable-next-line' | 'disable';
+  /** Line of the mat-a11y-disable comment */
+  line: number;
+  /** Text after " -- " in the comment */
+  reason: string | null;
+}
+
+export interface SuppressedIssue extends Partial<Issue> {
+  check: string;
+  message: string;
+  file: string;
+  /** Line of the issue, or null if it could not be located */
+  line: number | null;
+  directive: SuppressionDirective;
+  /** Component name (component-based analysis) */
+  component?: string;
+}
+
+/** A mat-a11y-disable comment (or a check name in it) that suppressed nothing */
+export interface UnusedDisable {
+  kind: 'disable-next-line' | 'disable';
+  /** Check name, or '*' for a comment without check names */
+  check: string;
+  file: string;
+  line: number;
+  /** True if the check name does not exist */
+  unknown: boolean;
+  component?: string;
+}
+
+export interface SuppressionSummary {
+  count: number;
+  issues: SuppressedIssue[];
+  unused: UnusedDisable[];
 }
 
 // ============================================
@@ -116,13 +224,15 @@ export class CheckResult {
   /** Whether the check passed */
   passed: boolean;
   /** Array of issues found */
-  issues: string[];
+  issues: Issue[];
   /** Number of issues */
   count: number;
   /** Number of elements evaluated by this check */
   elementsFound: number;
+  /** Location of each issue, in the same order (null for file-level issues) */
+  locations: Array<SourceLocation | null>;
 
-  constructor(name: string, passed: boolean, issues?: string[], elementsFound?: number);
+  constructor(name: string, passed: boolean, issues?: Issue[], elementsFound?: number, locations?: Array<SourceLocation | null>);
 }
 
 export interface CheckInfo {
@@ -138,6 +248,8 @@ export interface CheckInfo {
   weight: number;
   /** WCAG criterion code (e.g., '4.1.2') */
   wcag: string | null;
+  /** Runs on the composed page (parent and child templates) in deep page analysis */
+  pageLevel: boolean;
 }
 
 // ============================================
@@ -173,6 +285,12 @@ export interface VerifyResult {
 export interface RunnerOptions {
   /** Parallel workers: 'sync' (default), 'auto', or number */
   workers?: number | 'auto' | 'sync';
+  /** Check plugins (config "plugins"), also loaded by the workers */
+  plugins?: string[];
+  /** Translation checks (config "i18n"), also built by the workers */
+  i18n?: boolean | I18nSettings;
+  /** Config file the plugin entries resolve from */
+  configFile?: string;
 }
 
 export interface FileWithContent {
@@ -180,12 +298,16 @@ export interface FileWithContent {
   path: string;
   /** File content */
   content: string;
+  /** Position of the content within its containing file (inline templates) */
+  origin?: { line: number; column: number };
 }
 
 export interface RunnerCheckResult {
   pass: boolean;
-  issues: string[];
+  issues: Issue[];
   elementsFound: number;
+  /** Location of each issue, in the same order (null for file-level issues) */
+  locations?: Array<SourceLocation | null>;
 }
 
 export interface RunnerFileResult {
@@ -195,6 +317,8 @@ export interface RunnerFileResult {
 export interface RunnerResult {
   files: Map<string, RunnerFileResult>;
   summary: AnalysisSummary;
+  /** Issues silenced by inline mat-a11y-disable comments */
+  suppressions: SuppressionSummary;
   timing: TimingInfo;
 }
 
@@ -240,6 +364,7 @@ export interface DefaultConfig {
   extensions: {
     html: string[];
     scss: string[];
+    ts: string[];
   };
   verbose: boolean;
   outputFormat: 'console' | 'json' | 'html';
@@ -303,7 +428,7 @@ export function material(targetPath: string): AnalysisResult;
 export function angular(targetPath: string): AnalysisResult;
 
 /**
- * Full audit with all 82 checks (most thorough)
+ * Full audit with all 90 checks (most thorough)
  * @param targetPath - Directory or file to analyze
  */
 export function full(targetPath: string): AnalysisResult;
@@ -333,11 +458,21 @@ export function checkHTML(html: string, tier?: Tier): CheckResult[];
  */
 export function checkSCSS(scss: string, tier?: Tier): CheckResult[];
 
+/**
+ * Check TypeScript source (component, directive or service) directly
+ * @param source - TypeScript content to analyze
+ * @param tier - Tier level
+ */
+export function checkTS(source: string, tier?: Tier): CheckResult[];
+
 /**
  * Verify all checks for a tier (self-test)
  * @param tier - Tier to verify
  */
-export function verifyChecks(tier?: Tier): Promise<VerifyResult>;
+export function verifyChecks(
+  tier?: Tier,
+  options?: { plugins?: string[]; configFile?: string }
+): Promise<VerifyResult>;
 
 /**
  * Get information about a specific check
@@ -351,6 +486,74 @@ export function getCheckInfo(name: string): CheckInfo | null;
  */
 export function formatConsoleOutput(results: AnalysisResult): string;
 
+/**
+ * Render an issue as text: severity, message, fixes, WCAG reference and snippet
+ * @param issue - Structured issue (plain strings are returned as-is)
+ */
+export function renderIssue(issue: Issue | string): string;
+
+/**
+ * Kind of a template attribute: `x`, `[x]`, `[attr.x]`, `[class.x]`, `[style.x]`,
+ * `[@x]`, `(x)`, `[(x)]`, `*x`, `#x`, `let-x`
+ */
+export type TemplateAttributeKind =
+  | 'static' | 'property' | 'attribute' | 'class' | 'style' | 'animation'
+  | 'event' | 'twoWay' | 'structural' | 'reference' | 'let';
+
+/**
+ * Attribute of a template element
+ */
+export interface TemplateAttribute {
+  /** Name as written, e.g. '[attr.aria-label]' */
+  name: string;
+  kind: TemplateAttributeKind;
+  /** Bare name, e.g. 'aria-label' */
+  key: string;
+  /** Value, or null for attributes without one */
+  value: string | null;
+  start: number;
+  end: number;
+}
+
+/**
+ * Node of a parsed Angular template. Offsets are into the parsed content (end exclusive);
+ * every node but the root has a non-enumerable `parent`.
+ */
+export interface TemplateNode {
+  type: 'root' | 'element' | 'text' | 'interpolation' | 'comment' | 'block' | 'let' | 'expansion' | 'expansionCase';
+  start?: number;
+  end?: number;
+  parent?: TemplateNode | null;
+  children?: TemplateNode[];
+  /** element, block (e.g. 'if', 'else if', 'for', 'defer') and let */
+  name?: string;
+  /** element */
+  attrs?: TemplateAttribute[];
+  startTagEnd?: number;
+  endTagStart?: number | null;
+  selfClosing?: boolean;
+  /** block: text inside the parentheses */
+  parameters?: string;
+  /** text, comment, let, expansionCase */
+  value?: string;
+  /** interpolation */
+  expression?: string;
+  /** expansion (ICU) */
+  switchValue?: string;
+  kind?: 'plural' | 'select' | 'selectordinal';
+  cases?: TemplateNode[];
+  /** root */
+  source?: string;
+  errors?: Array<{ message: string; start: number; end: number }>;
+}
+
+/**
+ * Parse an Angular template (elements, bindings, control flow blocks, ICU expressions).
+ * HTML checks receive the result as `context.template`, the second argument of `check()`.
+ * @param content - Template source
+ */
+export function parseTemplate(content: string): TemplateNode;
+
 /**
  * Find files matching extensions in directory
  * @param dir - Directory to search
@@ -379,6 +582,792 @@ export const WEIGHTS: Record<string, number>;
 /** Color utilities for contrast calculations */
 export const colors: ColorUtils;
 
+// ============================================
+// PROJECT CONFIGURATION
+// ============================================
+
+/** Contents of .mat-a11yrc, mat-a11y.config.js or package.json "mat-a11y" */
+export interface ProjectConfig {
+  tier?: Tier;
+  /** Extra ignore patterns (added to the defaults) */
+  ignore?: string[];
+  enable?: string[];
+  disable?: string[];
+  /** Only run checks for WCAG criteria up to this level (CLI --wcag-level) */
+  wcagLevel?: WcagLevel;
+  weights?: Record<string, number>;
+  severity?: Record<string, Severity>;
+  /** Default CLI output format */
+  format?: string;
+  /** Default CLI output path */
+  output?: string;
+  /** Additional reports written by the CLI: { sarif: 'a11y.sarif.json' } */
+  outputs?: Record<string, string>;
+  workers?: number | 'auto' | 'sync';
+  deepResolve?: boolean;
+  collapseRootCause?: boolean;
+  /** Baseline file to compare against (CLI only) */
+  baseline?: string;
+  /** Fail on mat-a11y-disable comments that suppress nothing (CLI only) */
+  reportUnusedDisables?: boolean;
+  /** Quality gate deciding the exit code (CLI only) */
+  gate?: QualityGate;
+  /** Append a snapshot per run: true for .mat-a11y/history.jsonl, or a file path (CLI and GUI) */
+  history?: boolean | string;
+  /** Check plugins: package names or paths relative to the config file */
+  plugins?: string[];
+  /** Wrapper components: { 'acme-button': { as: 'button[mat-button]', label: 'label' } } */
+  components?: Record<string, ComponentMapping>;
+  /** Derive wrapper mappings from components with a single Material root */
+  deriveComponents?: boolean;
+  /** Translation checks: true, or { root, translations, locales } (CLI --i18n) */
+  i18n?: boolean | I18nSettings;
+}
+
+export interface LoadedConfig {
+  config: ProjectConfig;
+  /** Config file used, or null if none was found */
+  filePath: string | null;
+  /** Read/validation errors (unknown keys, wrong types) */
+  errors: string[];
+}
+
+/**
+ * Load the project config for a directory (walks up to the filesystem root)
+ *
+ * @example
+ * const { config, filePath } = loadConfig('./my-app');
+ */
+export function loadConfig(startDir: string, options?: { configFile?: string }): LoadedConfig;
+
+/**
+ * Find the nearest config file, walking up from startDir
+ */
+export function findConfigFile(startDir: string): string | null;
+
+// ============================================
+// BASELINE
+// ============================================
+
+export interface BaselineEntry {
+  fingerprint: string;
+  check: string;
+  /** Project-relative file (forward slashes) */
+  file: string;
+  /** Normalized element snippet (no line numbers) */
+  element: string;
+  /** Number of identical issues */
+  count: number;
+}
+
+/** Contents of a baseline file written by --baseline-create */
+export interface Baseline {
+  version: number;
+  tool: 'mat-a11y';
+  tier?: Tier;
+  total: number;
+  issues: BaselineEntry[];
+}
+
+/** Attached to results as results.baseline after applyBaseline() */
+export interface BaselineSummary {
+  file: string | null;
+  total: number;
+  new: number;
+  unchanged: number;
+  fixed: number;
+  fixedIssues: BaselineEntry[];
+}
+
+/**
+ * Build a baseline from analysis results
+ * @param options.projectDir - Paths are stored relative to this directory
+ */
+export function createBaseline(results: any, options?: { projectDir?: string }): Baseline;
+
+/** Read and validate a baseline file (throws on missing/invalid files) */
+export function readBaseline(filePath: string): Baseline;
+
+/** Write a baseline file */
+export function writeBaseline(filePath: string, baseline: Baseline): void;
+
+/**
+ * Return a copy of results with baseline issues removed
+ *
+ * @example
+ * const results = analyzeByComponent('./src');
+ * const filtered = applyBaseline(results, readBaseline('a11y-baseline.json'), { projectDir: '.' });
+ * console.log(filtered.baseline.new, 'new issues');
+ */
+export function applyBaseline(
+  results: any,
+  baseline: Baseline,
+  options?: { projectDir?: string; file?: string }
+): any;
+
+/** Fingerprint of an issue: check + file + normalized element, no line numbers */
+export function getIssueFingerprint(
+  issue: string | Issue,
+  context?: { check?: string; file?: string; projectDir?: string }
+): { fingerprint: string; check: string; file: string; element: string };
+
+// ============================================
+// SCAN HISTORY
+// ============================================
+
+export type HistoryMode = 'component' | 'file-based' | 'sitemap' | 'routes';
+
+/** One line of .mat-a11y/history.jsonl */
+export interface HistorySnapshot {
+  version: number;
+  /** ISO timestamp of the run */
+  timestamp: string;
+  /** Short git commit, or null outside a git repository */
+  commit: string | null;
+  mode: HistoryMode;
+  tier: Tier | null;
+  auditScore: number | null;
+  issues: number;
+  /** Issue count per check */
+  checks: Record<string, number>;
+  /** Score and issue count per component (sitemap/routes: per page, file-based: per file) */
+  components: Record<string, { auditScore: number | null; issues: number }>;
+  /** Issue fingerprints, see getIssueFingerprint() */
+  fingerprints: string[];
+}
+
+/** Change between two snapshots */
+export interface HistoryDelta {
+  auditScore: number | null;
+  issues: number;
+  /** Fingerprints not in the previous snapshot */
+  new: number;
+  /** Fingerprints of the previous snapshot that are gone */
+  fixed: number;
+  /** Changed issue counts per check */
+  checks: Record<string, number>;
+  /** Changed scores and issue counts per component */
+  components: Record<string, { auditScore: number | null; issues: number }>;
+}
+
+/** Attached to results as results.history by --history */
+export interface HistoryEntry {
+  file: string;
+  /** Snapshots in the file, including this one */
+  snapshots: number;
+  /** Previous snapshot of the same mode */
+  previous: { timestamp: string; commit: string | null; auditScore: number | null; issues: number } | null;
+  /** Change since the previous snapshot (null for the first one) */
+  delta: HistoryDelta | null;
+}
+
+/** Build a snapshot from analysis results */
+export function createSnapshot(
+  results: any,
+  options?: { projectDir?: string; commit?: string | null; timestamp?: string }
+): HistorySnapshot;
+
+/** Read all snapshots of a history file (invalid lines are skipped, [] if missing) */
+export function readHistory(filePath: string): HistorySnapshot[];
+
+/** Append a snapshot to a history file */
+export function appendSnapshot(filePath: string, snapshot: HistorySnapshot): void;
+
+/** Compare a snapshot with the previous one (null without a previous snapshot) */
+export function compareSnapshots(previous: HistorySnapshot | null, current: HistorySnapshot): HistoryDelta | null;
+
+/**
+ * Append a snapshot of the results and compare it with the previous run of the same mode
+ *
+ * @example
+ * const history = recordSnapshot(analyzeByComponent('./my-app'), { projectDir: './my-app' });
+ * if (history.delta) console.log(`${history.delta.fixed} issues fixed since the last run`);
+ */
+export function recordSnapshot(results: any, options?: { projectDir?: string; file?: string }): HistoryEntry;
+
+/** Format the trend of a history file, as printed by `mat-a11y trend` */
+export function formatTrend(
+  snapshots: HistorySnapshot[],
+  options?: { file?: string; mode?: HistoryMode; component?: string; check?: string; last?: number }
+): string;
+
+// ============================================
+// REPORT DIFF
+// ============================================
+
+/** A JSON report read by readReport() */
+export interface ScanReport {
+  file: string;
+  /** When the report was generated */
+  timestamp: string | null;
+  /** Scanned project, recorded by the CLI (paths are compared relative to it) */
+  projectDir: string | null;
+  /** Analysis results (the report's `raw` data) */
+  results: any;
+}
+
+/** An issue in a diff */
+export interface DiffIssue {
+  fingerprint: string;
+  check: string;
+  /** Project-relative file */
+  file: string;
+  element: string;
+  /** Component name, page path or (file-based) file */
+  component: string;
+  severity: string | null;
+  wcag: string | null;
+  /** Short message */
+  message: string;
+  line: number | null;
+}
+
+/** A component or page whose issues or score changed */
+export interface DiffComponent {
+  name: string;
+  /** null when the component had no issues in the older report */
+  before: { auditScore: number | null; issues: number } | null;
+  /** null when the component has no issues in the newer report */
+  after: { auditScore: number | null; issues: number } | null;
+  /** Score change */
+  auditScore: number | null;
+  new: number;
+  fixed: number;
+}
+
+export interface ReportDiff {
+  before: { file: string | null; timestamp: string | null; mode: HistoryMode; tier: Tier | null; auditScore: number | null; issues: number };
+  after: { file: string | null; timestamp: string | null; mode: HistoryMode; tier: Tier | null; auditScore: number | null; issues: number };
+  /** Score change */
+  auditScore: number | null;
+  new: DiffIssue[];
+  fixed: DiffIssue[];
+  unchanged: DiffIssue[];
+  /** Changed components or pages, biggest change first */
+  components: DiffComponent[];
+}
+
+/** Read a JSON report (--json output or plain results); throws on missing or invalid files */
+export function readReport(filePath: string): ScanReport;
+
+/**
+ * Compare two reports. The result renders through the markdown, html, slack,
+ * teams, discord and json formatters.
+ *
+ * @example
+ * const result = diffReports(readReport('main.json'), readReport('branch.json'));
+ * console.log(`${result.diff.new.length} new, ${result.diff.fixed.length} fixed`);
+ * fs.writeFileSync('a11y-diff.md', formatters.format('markdown', result));
+ */
+export function diffReports(
+  before: ScanReport | { results: any; projectDir?: string | null },
+  after: ScanReport | { results: any; projectDir?: string | null }
+): { diff: ReportDiff };
+
+/** Format a diff for the console, as printed by `mat-a11y diff` */
+export function formatDiff(diff: ReportDiff): string;
+
+// ============================================
+// PLUGINS
+// ============================================
+
+/** A loaded check plugin */
+export interface Plugin {
+  name: string;
+  /** Resolved module path */
+  path: string;
+  /** Check modules by name */
+  checks: Map<string, any>;
+  /** Verify files of the plugin's checks (<checkName>.html|.scss|.ts), if any */
+  verifyDir: string | null;
+}
+
+/** An error code added to the catalog by registerErrors() */
+export interface ErrorDefinition {
+  severity: Severity;
+  message: string | ((data: any) => string);
+  why?: string;
+  fix?: string[] | ((data: any) => string[]);
+  /** WCAG criterion, e.g. '4.1.2' */
+  wcag?: string;
+  link?: string;
+}
+
+/**
+ * Load check plugins (package names or paths)
+ *
+ * @example
+ * const { plugins, errors } = loadPlugins(['mat-a11y-plugin-acme', './a11y-rules'], projectDir);
+ */
+export function loadPlugins(specs: string[], baseDir?: string): { plugins: Plugin[]; errors: string[] };
+
+/** Built-in checks plus the checks of the configured plugins (problems are logged) */
+export function loadProjectChecks(options?: { plugins?: string[]; configFile?: string }): Map<string, any>;
+
+/** Plugin a check module comes from, or null for built-in checks */
+export function getPluginInfo(checkModule: any): { name: string; path: string; verifyDir: string | null } | null;
+
+/** Add error codes (PREFIX_NAME) to the catalog used by createIssue() */
+export function registerErrors(
+  definitions: Record<string, ErrorDefinition>,
+  source: string
+): { registered: string[]; errors: string[] };
+
+// ============================================
+// WRAPPER COMPONENTS
+// ============================================
+
+/** Config "components" entry: the element a wrapper renders, e.g. 'mat-checkbox' */
+export type ComponentMapping = string | {
+  /** Mapped element: 'button[mat-button]', 'mat-select' */
+  as: string;
+  /** Input that gives the wrapper its accessible name (becomes aria-label) */
+  label?: string;
+  /** Wrapper inputs -> attributes of the mapped element */
+  inputs?: Record<string, string>;
+};
+
+/** A normalized wrapper mapping */
+export interface ComponentMapEntry {
+  selector: string;
+  tag: string;
+  attrs: Array<{ name: string; value: string | null }>;
+  /** Lowercased input name -> attribute name */
+  inputs: Record<string, string>;
+}
+
+/** A template with its wrappers rewritten, from applyComponentMap() */
+export interface MappedTemplate {
+  content: string;
+  original: string;
+  edits: Array<{ start: number; end: number; text: string }>;
+}
+
+/**
+ * Build the wrapper mapping of an analysis (config "components", plus derived
+ * entries with deriveComponents). Returns null when nothing is mapped.
+ */
+export function loadComponentMap(
+  options?: { components?: Record<string, ComponentMapping>; deriveComponents?: boolean },
+  projectDir?: string
+): Map<string, ComponentMapEntry> | null;
+
+/**
+ * Rewrite the wrappers of a template to their mapped elements (lines are kept)
+ *
+ * @example
+ * const mapped = applyComponentMap(template, loadComponentMap({ components: { 'acme-checkbox': 'mat-checkbox' } }));
+ * const issues = restoreIssues(mapped, checkIssues);
+ */
+export function applyComponentMap(content: string, componentMap: Map<string, ComponentMapEntry> | null): MappedTemplate | null;
+
+/** Map issues found in a mapped template back to the original template */
+export function restoreIssues(mapped: MappedTemplate | null, issues: Issue[]): Issue[];
+
+// ============================================
+// TRANSLATIONS
+// ============================================
+
+/** Config "i18n" object (paths relative to the config file) */
+export interface I18nSettings {
+  /** Where the angular.json lookup starts */
+  root?: string;
+  /** Runtime translation files or directories of <locale>.json (default: src/assets/i18n, public/i18n, public/assets/i18n) */
+  translations?: string | string[];
+  /** Only check these locales */
+  locales?: string[];
+}
+
+/** An Angular message (XLIFF, XMB, XTB); target is null when untranslated */
+export interface I18nMessage {
+  source: string | null;
+  target: string | null;
+}
+
+/** A project's translations, from loadI18n() */
+export interface I18nProject {
+  /** Workspace root (directory of angular.json) */
+  root: string;
+  workspace: string | null;
+  /** Source locale from angular.json, null without i18n settings */
+  sourceLocale: string | null;
+  /** The app's index.html */
+  index: string | null;
+  /** Angular message catalogs by locale */
+  messages: Array<{ locale: string; files: string[]; entries: Map<string, I18nMessage>; bySource: Map<string, I18nMessage> }>;
+  /** Runtime translations by locale (flattened keys) */
+  translations: Array<{ locale: string; files: string[]; entries: Map<string, unknown> }>;
+  /** Whether source code updates <html lang> on language changes */
+  setsLang: boolean;
+  errors: string[];
+}
+
+/** Load a project's message files and runtime translations */
+export function loadI18n(settings?: I18nSettings, baseDir?: string): I18nProject;
+
+/** Load the translations of an analysis (cached), or null when options.i18n is off */
+export function loadProjectI18n(
+  options?: { i18n?: boolean | I18nSettings; configFile?: string },
+  log?: (message: string) => void
+): I18nProject | null;
+
+/** Parse an XLIFF 1.2/2.0, XMB or XTB message file */
+export function parseMessageFile(content: string): {
+  format: 'xliff' | 'xliff2' | 'xmb' | 'xtb' | null;
+  locale: string | null;
+  messages: Map<string, I18nMessage>;
+};
+
+/**
+ * Translation keys in a template expression
+ *
+ * @example
+ * findTranslationKeys("'nav.close' | translate"); // ['nav.close']
+ */
+export function findTranslationKeys(expression: string): string[];
+
+// ============================================
+// WORKSPACES
+// ============================================
+
+/** A project of an Angular CLI or Nx workspace (paths absolute) */
+export interface WorkspaceProject {
+  name: string;
+  type: 'application' | 'library';
+  root: string;
+  sourceRoot: string;
+  /** Global stylesheets of the build target */
+  styles: string[];
+  /** stylePreprocessorOptions.includePaths of the build target */
+  includePaths: string[];
+  /** Nx implicitDependencies */
+  implicitDependencies: string[];
+  /** Libraries the project consumes, directly or transitively (filled in by resolveLibraries()) */
+  libraries: string[];
+}
+
+export interface Workspace {
+  /** Directory of angular.json or nx.json */
+  root: string;
+  type: 'angular' | 'nx';
+  projects: WorkspaceProject[];
+  errors: string[];
+}
+
+/** A workspace project in component analysis results */
+export interface ProjectSummary {
+  name: string;
+  type: 'application' | 'library';
+  /** Project root relative to the workspace root */
+  root: string;
+  libraries: string[];
+}
+
+/** Per-project scores (perProject); each includes the libraries the project consumes */
+export interface ProjectResult extends ProjectSummary {
+  totalComponentsScanned: number;
+  componentCount: number;
+  totalIssues: number;
+  auditScore: number;
+  /** Names of the components with issues */
+  components: string[];
+}
+
+/** Read the projects of the workspace containing a directory (null outside of one) */
+export function loadWorkspace(dir: string): Workspace | null;
+
+/** The project a file belongs to (deepest root containing it) */
+export function findProject(workspace: Workspace, filePath: string): WorkspaceProject | null;
+
+/** Resolve which libraries each project consumes (path aliases, package names, implicitDependencies) */
+export function resolveLibraries(workspace: Workspace): Workspace;
+
+/** Per-project table for the console ('' without `projects`) */
+export function formatProjectResults(results: ComponentAnalysisResult): string;
+
+// ============================================
+// MATERIAL THEMES
+// ============================================
+
+/** SCSS variables, CSS custom properties and maps colors are resolved with */
+export interface VariableContext {
+  scssVars: Map<string, string>;
+  cssVars: Map<string, string>;
+  maps: Map<string, Map<string, string>>;
+}
+
+/** A theme color; built-in M3 palettes are labeled by tone ("tone 40") */
+export interface ThemeColor {
+  color: string;
+  label: string;
+}
+
+/** A Material theme defined in a stylesheet */
+export interface MaterialTheme {
+  /** Variable it's assigned to, or "mat.theme in <selector>" for the mixin */
+  name: string;
+  version: 'm2' | 'm3';
+  /** Offset and length of the definition in the stylesheet */
+  index: number;
+  length: number;
+  variants: Array<{
+    type: 'light' | 'dark';
+    /** Colors by M3 role (primary, on-primary, secondary-container, tertiary, error, surface, ...) */
+    roles: Record<string, ThemeColor>;
+  }>;
+}
+
+/** A themed component and the colors it's drawn with */
+export interface ThemeCombination {
+  component: string;
+  /** Background and foreground role, in the theme's terms (M2: accent, warn) */
+  roles: [string, string];
+  background: ThemeColor;
+  foreground: ThemeColor;
+}
+
+/** Variable context of a project directory or of SCSS content strings */
+export function buildContext(input: string | string[]): VariableContext;
+
+/** Lookup for findThemes(): the context plus the stylesheet's own variables and palette maps */
+export function createThemeLookup(content: string, context: VariableContext): object;
+
+/**
+ * Themes (M2 define-light/dark-theme, M3 define-theme and the theme mixin) in a stylesheet
+ *
+ * @example
+ * const lookup = createThemeLookup(scss, buildContext(projectDir));
+ * for (const theme of findThemes(scss, lookup)) {
+ *   for (const variant of theme.variants) console.log(getThemeCombinations(theme, variant));
+ * }
+ */
+export function findThemes(
+  content: string,
+  lookup: object,
+  cssVars?: { light?: Map<string, string>; dark?: Map<string, string> }
+): MaterialTheme[];
+
+/** Colors of every checked component combination of a theme variant, with component token overrides */
+export function getThemeCombinations(
+  theme: MaterialTheme,
+  variant: MaterialTheme['variants'][number],
+  tokenValue?: (token: string) => string | null
+): ThemeCombination[];
+
+// ============================================
+// COLOR INHERITANCE
+// ============================================
+
+/** Opaque model of which backgrounds are rendered behind each component's elements */
+export interface InheritanceModel {
+  hasDarkMode: boolean;
+}
+
+/** A text color and the background it inherits from a parent component or the global styles */
+export interface InheritedBackground {
+  /** Stylesheet of the text rule (the component's .ts file for inline styles) */
+  file: string;
+  /** Selector of the text rule (dark-mode prefixes removed) */
+  selector: string;
+  mode: 'light' | 'dark';
+  /** Resolved text color */
+  color: string;
+  /** Resolved background, translucent layers composited */
+  background: string;
+  /** Rule that sets the background, e.g. '":host" in dashboard.component.scss' */
+  source: string;
+}
+
+/**
+ * Build the inheritance model of a project: global styles (angular.json `styles`),
+ * parent :host rules and the page composition of the component registry
+ *
+ * @example
+ * const model = createInheritanceModel(buildComponentRegistry(dir), [{ file: 'src/styles.scss' }], buildContext(dir));
+ * for (const entry of getInheritedBackgrounds(model, 'app-card')) console.log(entry.selector, entry.background);
+ */
+export function createInheritanceModel(
+  registry: Map<string, Partial<ComponentInfo> & { /** Inline styles */ styles?: string | null }>,
+  globalStyles?: Array<{ file: string; content?: string }>,
+  varContext?: VariableContext | null
+): InheritanceModel;
+
+/** Backgrounds behind the text of a component's stylesheets (rules with a color but no background) */
+export function getInheritedBackgrounds(model: InheritanceModel, selector: string): InheritedBackground[];
+
+// ============================================
+// QUALITY GATE
+// ============================================
+
+export type WcagLevel = 'A' | 'AA' | 'AAA';
+
+/** Thresholds that decide whether a run passes (config "gate", CLI --fail-on etc.) */
+export interface QualityGate {
+  /** Only issues of this severity or higher count (any counted issue fails unless maxIssues is set) */
+  failOn?: Severity;
+  /** Most counted issues allowed */
+  maxIssues?: number;
+  /** Lowest audit score allowed (sitemap/route results: every page's score) */
+  minScore?: number;
+  /** Most counted issues allowed per check: { imageAlt: 0 } */
+  checks?: Record<string, number>;
+  /** Most counted issues allowed per WCAG level (criteria of exactly that level): { A: 0, AA: 5 } */
+  levels?: Partial<Record<WcagLevel, number>>;
+}
+
+/** Attached to results as results.gate by the CLI (embedded in JUnit and SARIF) */
+export interface GateResult {
+  passed: boolean;
+  /** No gate was configured: the mode's default was used */
+  isDefault: boolean;
+  /** The gate the run was judged by */
+  gate: QualityGate;
+  /** e.g. "max 0 issues (error or higher), min score 80%" */
+  description: string;
+  /** Issues counted (at or above failOn) */
+  counted: number;
+  /** Audit score, or the lowest page score (null if unknown) */
+  score: number | null;
+  /** Why the gate failed, one reason per threshold */
+  failures: string[];
+}
+
+/**
+ * Evaluate a quality gate. Without a gate, any issue fails (sitemap/route
+ * results: any page below 50%; with a baseline: any new issue).
+ *
+ * @example
+ * const gate = evaluateGate(results, { failOn: 'error', minScore: 80, levels: { A: 0 } });
+ * process.exitCode = gate.passed ? 0 : 1;
+ */
+export function evaluateGate(results: any, gate?: QualityGate | null): GateResult;
+
+/** Format a gate result: the gate, passed/FAILED, and the failure reasons */
+export function formatGateResult(result: GateResult): string;
+
+/** Validate gate thresholds; returns the errors (empty if valid) */
+export function validateGate(gate: QualityGate): string[];
+
+// ============================================
+// WCAG CONFORMANCE
+// ============================================
+
+/** What one check covered in a run (results.coverage) */
+export interface CheckCoverage {
+  /** WCAG criterion the check tests, or null for best-practice checks */
+  wcag: string | null;
+  elementsFound: number;
+  issues: number;
+  /** Issues that cite another criterion than `wcag`, per criterion (e.g. { '3.3.2': 2 }) */
+  criteria?: Record<string, number>;
+}
+
+export type ConformanceStatus = 'pass' | 'fail' | 'not-applicable' | 'not-tested';
+
+export interface CriterionConformance {
+  /** e.g. '1.4.3' */
+  criterion: string;
+  /** e.g. 'Contrast (Minimum)' */
+  name: string;
+  level: WcagLevel;
+  /** fail: issues cite it; pass: elements evaluated without issues;
+   *  not-applicable: its checks found nothing to evaluate; not-tested: no check maps to it */
+  status: ConformanceStatus;
+  /** Checks that ran for this criterion */
+  checks: string[];
+  elementsFound: number;
+  issues: number;
+}
+
+export interface ConformanceResult {
+  /** Level the criteria were limited to (null: all criteria) */
+  level: WcagLevel | null;
+  /** Every WCAG 2.2 criterion up to the level, in WCAG order (without the obsolete 4.1.1 Parsing) */
+  criteria: CriterionConformance[];
+  /** Number of criteria per status */
+  summary: Record<ConformanceStatus, number>;
+}
+
+/**
+ * Get the conformance status of every WCAG 2.2 criterion from analysis
+ * results (any mode). The level defaults to the one the run was limited to.
+ *
+ * @example
+ * const results = analyzeByComponent('./my-app', { wcagLevel: 'AA' });
+ * const { summary } = getConformance(results);
+ * console.log(`${summary.fail} criteria fail, ${summary['not-tested']} need manual testing`);
+ */
+export function getConformance(results: any, options?: { level?: WcagLevel }): ConformanceResult;
+
+/** Whether a criterion is part of a level (cumulative: AA includes A) */
+export function isWithinLevel(criterion: string, level: WcagLevel): boolean;
+
+// ============================================
+// AUTOFIX
+// ============================================
+
+/** Text replacement in a file (offsets into the content, end exclusive) */
+export interface TextEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+/** One fix returned by a check's optional fix(content, context) */
+export interface Fix {
+  /** Where the fixed issue is reported (matched against mat-a11y-disable comments) */
+  location?: SourceLocation;
+  /** Applied together or not at all */
+  edits: TextEdit[];
+}
+
+export interface FixedFile {
+  /** Path as found on disk */
+  path: string;
+  /** Path relative to options.cwd, with forward slashes */
+  file: string;
+  original: string;
+  output: string;
+  /** Number of applied fixes per check */
+  fixed: Record<string, number>;
+  /** Unified diff from original to output */
+  diff: string;
+}
+
+/**
+ * Apply the fixes of all selected checks to the .html/.scss/.css files under a path
+ *
+ * @example
+ * const { files } = fixFiles('./src');            // preview
+ * files.forEach(f => process.stdout.write(f.diff));
+ * fixFiles('./src', { write: true });              // apply
+ */
+export function fixFiles(
+  targetPath: string,
+  options?: {
+    tier?: Tier;
+    check?: string;
+    ignore?: string[];
+    enable?: string[];
+    disable?: string[];
+    write?: boolean;
+    cwd?: string;
+  }
+): { files: FixedFile[]; fixCount: number };
+
+/** Apply the fixes of the given check modules to one file's content (conflict-free, in passes) */
+export function fixContent(
+  content: string,
+  type: 'html' | 'scss',
+  fixers: any[]
+): { output: string; fixed: Record<string, number> };
+
+/** Apply non-overlapping text edits */
+export function applyEdits(content: string, edits: TextEdit[]): string;
+
+/** Unified diff (git format) between two versions of a file; '' if equal */
+export function createUnifiedDiff(file: string, before: string, after: string): string;
+
 // ============================================
 // SITEMAP-BASED ANALYSIS (SEO Focus)
 // ============================================
@@ -401,17 +1390,15 @@ export interface UrlAudit {
   passed: boolean;
   /** Number of elements found */
   elementsFound: number;
-  /** Number of errors (issues starting with [Error]) */
+  /** Number of errors (issues with severity 'error') */
   errors: number;
-  /** Number of warnings (issues starting with [Warning]) */
+  /** Number of warnings (issues with severity 'warning') */
   warnings: number;
   /** Total number of issues (errors + warnings) */
   issues: number;
 }
 
-export interface UrlIssue {
-  /** Error message */
-  message: string;
+export interface UrlIssue extends Issue {
   /** File path */
   file: string;
   /** Check name */
@@ -445,6 +1432,10 @@ export interface UrlResult {
   audits: UrlAudit[];
   /** Error if component couldn't be resolved */
   error?: string;
+  /** hreflang of this URL (sitemap URLs with alternates) */
+  locale?: string | null;
+  /** URLs of the same page in other languages (analyzed once, reported per URL) */
+  alternates?: string[];
 }
 
 export interface WorstUrl {
@@ -485,6 +1476,14 @@ export interface SitemapAnalysisResult {
   sitemapPath: string;
   /** Total URLs in sitemap */
   urlCount: number;
+  /** Pages analyzed (hreflang alternates count once) */
+  pageCount?: number;
+  /** Sitemap files read (the index first, then the sitemaps it lists) */
+  sitemaps?: string[];
+  /** Sitemaps listed in an index that weren't found locally */
+  missingSitemaps?: string[];
+  /** hreflang locales found in the sitemap */
+  locales?: string[];
   /** URLs successfully resolved to components */
   resolved: number;
   /** URLs that couldn't be resolved */
@@ -499,14 +1498,20 @@ export interface SitemapAnalysisResult {
   deepResolve: DeepResolveStats;
   /** Internal pages not in sitemap */
   internal: InternalPagesResult;
+  /** Issues silenced by inline mat-a11y-disable comments */
+  suppressions?: SuppressionSummary;
+  /** Elements evaluated and issues found per check, over the whole run (WCAG conformance) */
+  coverage?: Record<string, CheckCoverage>;
+  /** WCAG level the checks were limited to */
+  wcagLevel?: WcagLevel | null;
   /** Error message if analysis failed */
   error?: string;
 }
 
-export interface SitemapAnalyzeOptions {
+export interface SitemapAnalyzeOptions extends ProjectConfigOptions {
   /** Tier level */
   tier?: Tier;
-  /** Custom sitemap path */
+  /** Custom sitemap path (sitemap.xml, a sitemap index or a .xml.gz) */
   sitemap?: string;
   /** Enable deep component resolution (default: true) */
   deepResolve?: boolean;
@@ -558,6 +1563,12 @@ export interface RouteResult {
   path: string;
   /** Component name */
   component: string | null;
+  /** Guards of the route and its parent routes (canActivate, canActivateChild, canMatch, canLoad) */
+  guards: string[];
+  /** Whether the route is loaded lazily (loadComponent, or through a parent's loadChildren) */
+  lazy: boolean;
+  /** Paths that redirect (redirectTo) to this route */
+  redirectFrom: string[];
   /** Files analyzed */
   files: string[];
   /** Lighthouse-style score (0-100) */
@@ -580,24 +1591,51 @@ export interface RouteResult {
   audits: UrlAudit[];
 }
 
+export interface RouteRedirect {
+  /** Path of the redirect route */
+  path: string;
+  /** Full path it redirects to */
+  redirectTo: string;
+  /** Whether a scored route has that path */
+  resolved: boolean;
+}
+
 export interface RouteAnalysisResult {
   /** Tier used */
   tier: Tier;
-  /** Total routes found */
+  /** Routes analyzed */
   routeCount: number;
   /** Routes successfully resolved */
   resolvedCount: number;
   /** Routes that couldn't be resolved */
   unresolvedCount: number;
+  /** Paths of routes whose component files weren't found (not scored) */
+  unresolvedRoutes: string[];
+  /** Average route score (0-100) */
+  siteAverage: number;
   /** Score distribution */
   distribution: { passing: number; warning: number; failing: number };
   /** All route results sorted by score (worst first) */
   routes: RouteResult[];
+  /** Redirects (redirectTo) in the router config */
+  redirects: RouteRedirect[];
+  /** Deep component resolution statistics */
+  deepResolve: DeepResolveStats;
+  /** Issues silenced by inline mat-a11y-disable comments */
+  suppressions?: SuppressionSummary;
+  /** Elements evaluated and issues found per check, over the whole run (WCAG conformance) */
+  coverage?: Record<string, CheckCoverage>;
+  /** WCAG level the checks were limited to */
+  wcagLevel?: WcagLevel | null;
+  /** Error message if analysis failed */
+  error?: string;
 }
 
-export interface RouteAnalyzeOptions {
+export interface RouteAnalyzeOptions extends ProjectConfigOptions {
   /** Tier level */
   tier?: Tier;
+  /** Bundle parent + child components per route (default: false) */
+  deepResolve?: boolean;
 }
 
 /**
@@ -638,10 +1676,8 @@ export interface ComponentCheckAggregate {
 export type ComponentCheckAggregates = Record<string, ComponentCheckAggregate>;
 
 export interface ComponentIssue extends Issue {
-  message: string;
   file: string;
   check: string;
-  line?: number | null;
 }
 
 export interface ComponentResult {
@@ -657,6 +1693,10 @@ export interface ComponentResult {
   issues: ComponentIssue[];
   /** Aggregated check statistics for this component */
   checkAggregates: ComponentCheckAggregates;
+  /** Issues silenced by inline mat-a11y-disable comments */
+  suppressed?: SuppressedIssue[];
+  /** mat-a11y-disable comments in this component that suppressed nothing */
+  unusedDisables?: UnusedDisable[];
 }
 
 export interface ComponentAnalysisResult {
@@ -673,13 +1713,31 @@ export interface ComponentAnalysisResult {
   audits: AuditResult[];
   /** Components with issues (worst first) */
   components: ComponentResult[];
+  /** Issues silenced by inline mat-a11y-disable comments (all components) */
+  suppressions?: SuppressionSummary;
+  /** Elements evaluated and issues found per check, over the whole run (WCAG conformance) */
+  coverage?: Record<string, CheckCoverage>;
+  /** WCAG level the checks were limited to */
+  wcagLevel?: WcagLevel | null;
+  /** Workspace the analysis was scoped to (project / perProject) */
+  workspace?: { root: string; type: 'angular' | 'nx' };
+  /** The analyzed project (project option) */
+  project?: ProjectSummary;
+  /** Scores per workspace project (perProject); the result itself is the roll-up */
+  projects?: ProjectResult[];
   /** Error message in case analysis could not run */
   error?: string;
 }
 
-export interface ComponentAnalyzeOptions {
+export interface ComponentAnalyzeOptions extends ProjectConfigOptions {
   tier?: Tier;
   ignore?: string[];
+  /** Analyze only these component .ts files (e.g. from findChangedComponents()) */
+  componentFiles?: string[];
+  /** Only this workspace project, with the libraries it consumes */
+  project?: string;
+  /** Add scores per workspace project (`projects`) */
+  perProject?: boolean;
 }
 
 /**
@@ -695,6 +1753,112 @@ export function analyzeByComponent(
  */
 export function formatComponentResults(results: ComponentAnalysisResult): string;
 
+// ============================================
+// WATCH MODE
+// ============================================
+
+/** Result of one incremental re-analysis */
+export interface WatchUpdate {
+  /** Changed files that were processed (absolute paths) */
+  files: string[];
+  /** Names of the components that were re-analyzed (or removed) */
+  components: string[];
+  /** Issues that are new since the last analysis (matched by baseline fingerprint) */
+  added: ComponentIssue[];
+  /** Issues that are gone since the last analysis */
+  resolved: ComponentIssue[];
+  /** Updated results for the whole project */
+  results: ComponentAnalysisResult;
+  /** Time the update took in ms */
+  duration: number;
+}
+
+/**
+ * Component analysis kept in memory and updated file by file.
+ * Changing an SCSS partial re-analyzes the components that import it
+ * (directly or through other partials).
+ *
+ * @example
+ * const session = new WatchSession('./src');
+ * session.analyze();
+ * session.watch(update => console.log(formatWatchUpdate(update)));
+ */
+export class WatchSession {
+  constructor(projectDir: string, options?: ComponentAnalyzeOptions);
+  projectDir: string;
+  /** Latest results (null until analyze()) */
+  results: ComponentAnalysisResult | null;
+  /** Analyze all components and build the SCSS graph and variable map */
+  analyze(): ComponentAnalysisResult;
+  /** Apply added/changed/deleted files and re-analyze the affected components */
+  update(changedFiles: string[]): WatchUpdate;
+  /** Watch the project directory (ignored directories excluded); updates are debounced */
+  watch(onUpdate: (update: WatchUpdate) => void, onError?: (error: Error) => void): this;
+  /** Stop watching */
+  close(): void;
+}
+
+/** Analyze a project and watch it for changes */
+export function watchProject(
+  projectDir: string,
+  options: ComponentAnalyzeOptions,
+  onUpdate: (update: WatchUpdate) => void
+): WatchSession;
+
+/** Format a watch update (new issues as `+`, resolved as `-`) */
+export function formatWatchUpdate(update: WatchUpdate, options?: { cwd?: string }): string;
+
+// ============================================
+// CHANGED FILES
+// ============================================
+
+/** Why a component was picked for a changed-files scan */
+export interface ChangeReason {
+  /** 'changed': one of its own files changed; 'imports': one of its stylesheets imports a changed file */
+  type: 'changed' | 'imports';
+  /** The changed file */
+  file: string;
+  /** The component stylesheet that imports it (type 'imports') */
+  via?: string;
+}
+
+export interface ChangedComponent {
+  /** Component class name */
+  name: string;
+  /** Component .ts file */
+  filePath: string;
+  reasons: ChangeReason[];
+}
+
+/**
+ * Files changed since a git ref (including uncommitted and untracked files), or only staged files.
+ * Throws if git fails (not a repository, unknown ref).
+ */
+export function getChangedFiles(
+  projectDir: string,
+  options: { since?: string; staged?: boolean }
+): string[];
+
+/**
+ * Components affected by changed files. Changed SCSS partials pick every
+ * component whose stylesheets import them (directly or through other partials).
+ *
+ * @example
+ * const picked = findChangedComponents('./src', getChangedFiles('./src', { since: 'origin/main' }));
+ * const results = analyzeByComponent('./src', { componentFiles: picked.map(c => c.filePath) });
+ */
+export function findChangedComponents(
+  projectDir: string,
+  changedFiles: string[],
+  options?: { ignore?: string[] }
+): ChangedComponent[];
+
+/** Format which components a changed-files scan covers and why */
+export function formatChangedComponents(
+  selection: { label: string; files: string[]; components: ChangedComponent[] },
+  options?: { cwd?: string }
+): string;
+
 // ============================================
 // OUTPUT FORMATTERS
 // ============================================
@@ -875,14 +2039,46 @@ export interface ResolvedPageFiles {
   htmlFiles: string[];
   /** All SCSS/CSS style files (including nested components) */
   scssFiles: string[];
-  /** Components with inline templates */
-  inlineTemplates: Array<{ selector: string; template: string }>;
+  /** Component class files (including nested components) */
+  tsFiles: string[];
+  /** Components with inline templates (including the route component itself) */
+  inlineTemplates: Array<{ selector: string; template: string; filePath?: string; origin?: { line: number; column: number } }>;
+  /** Inline styles of the route component when it has no stylesheet */
+  inlineStyles: Array<{ selector: string; styles: string; filePath: string; origin: { line: number; column: number } }>;
   /** Component selectors found */
   components: string[];
   /** Primary HTML file path */
   primaryHtml: string | null;
   /** Primary SCSS file path */
   primaryScss: string | null;
+  /** Primary component class file path */
+  primaryTs: string | null;
+  /** Composed page markup for page-level checks (null if it couldn't be composed) */
+  page: ComposedPage | null;
+}
+
+/** A template that contributes to a composed page */
+export interface PageTemplate {
+  /** Template file, or the component .ts file for inline templates */
+  file: string;
+  content: string;
+  /** Where an inline template starts in its .ts file */
+  origin: { line: number; column: number } | null;
+  ast: TemplateNode;
+}
+
+/**
+ * The markup a page renders: child component templates inserted at their
+ * selectors, host content projected into their <ng-content> slots
+ */
+export interface ComposedPage {
+  content: string;
+  /** Composed [start, end) comes from `template` starting at `offset` */
+  segments: Array<{ start: number; end: number; template: PageTemplate; offset: number }>;
+  /** Contributing templates, page template first */
+  templates: PageTemplate[];
+  /** Component selectors that were inserted */
+  components: string[];
 }
 
 export interface RegistryStats {
@@ -923,10 +2119,10 @@ export class PageResolver {
   getStats(): RegistryStats;
   
   /** Resolve all files for a page given its primary HTML template */
-  resolvePage(htmlPath: string, scssPath?: string): ResolvedPageFiles;
+  resolvePage(htmlPath: string, scssPath?: string, tsPath?: string): ResolvedPageFiles;
   
-  /** Resolve files for a route object { html, scss } */
-  resolveRouteFiles(routeFiles: { html?: string; scss?: string }): ResolvedPageFiles;
+  /** Resolve files for a route object { html, scss, ts } */
+  resolveRouteFiles(routeFiles: { html?: string; scss?: string; ts?: string }): ResolvedPageFiles;
 }
 
 /**
@@ -959,3 +2155,17 @@ export function buildComponentRegistry(projectDir: string): Map<string, Componen
  * @returns Registry statistics
  */
 export function getRegistryStats(registry: Map<string, ComponentInfo>): RegistryStats;
+
+/**
+ * Compose the markup of a page from its template and the component registry
+ * @param htmlPath - Route component's HTML template
+ * @param registry - From buildComponentRegistry()
+ * @returns The composed page, or null if it can't be composed
+ */
+export function composePage(htmlPath: string, registry: Map<string, ComponentInfo>): ComposedPage | null;
+
+/**
+ * Map issues of checks run on `page.content` to the templates they come from
+ * (locations become relative to each template)
+ */
+export function mapPageIssues(page: ComposedPage, issues: Issue[]): Array<{ template: PageTemplate; issues: Issue[] }>;
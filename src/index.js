@@ -2,7 +2,7 @@
  * mat-a11y
  *
  * Angular Material accessibility linter.
- * 82 WCAG checks for mat-* components, Angular templates & SCSS.
+ * 90 WCAG checks for mat-* components, Angular templates, TypeScript & SCSS.
  * Static analysis with color contrast calculation.
  *
  * HAFTUNGSAUSSCHLUSS / DISCLAIMER:
@@ -28,10 +28,30 @@ const path = require('path');
 const colors = require('./colors');
 
 // Import modular architecture
-const { loadAllChecks, getChecksByTier, getCheck } = require('./core/loader');
+const { loadAllChecks, getChecksByTier, getCheck, getCheckContext, TIER_HIERARCHY } = require('./core/loader');
+const { loadPlugins, loadProjectChecks, getPluginInfo } = require('./core/plugins');
 const { verifyByTier, getVerifySummary } = require('./core/verifier');
 const { CheckRunner, createRunner } = require('./core/runner');
 const { WEIGHTS, getWeight, calculateAuditScore } = require('./core/weights');
+const { resolveOptions, isCheckEnabled, applySeverityOverride, loadConfig, findConfigFile } = require('./core/config');
+const { createBaseline, readBaseline, writeBaseline, applyBaseline, getIssueFingerprint } = require('./core/baseline');
+const { evaluateGate, formatGateResult, validateGate } = require('./core/gate');
+const { getConformance, addCoverage, isWithinLevel } = require('./core/conformance');
+const { createSnapshot, readHistory, appendSnapshot, compareSnapshots, recordSnapshot, formatTrend } = require('./core/history');
+const { readReport, diffReports, formatDiff } = require('./core/reportDiff');
+const { applySuppressions, createSuppressionSummary, addSuppressions } = require('./core/suppressions');
+const { withLocations, offsetIssue, splitLocations } = require('./core/location');
+const { getSeverity, renderIssue, registerErrors } = require('./core/errors');
+const { parseTemplate } = require('./core/templateParser');
+const { isSourceFile, isAngularSource } = require('./core/tsParser');
+const { fixFiles, fixContent, applyEdits } = require('./core/fixer');
+const { createUnifiedDiff } = require('./core/diff');
+const { loadComponentMap, applyComponentMap, restoreIssues } = require('./core/componentMap');
+const { loadI18n, loadProjectI18n, parseMessageFile, findTranslationKeys } = require('./core/i18n');
+const { loadWorkspace, findProject, resolveLibraries, formatProjectResults } = require('./core/workspace');
+const { findThemes, getThemeCombinations } = require('./core/materialTheme');
+const { createInheritanceModel, getInheritedBackgrounds } = require('./core/colorInheritance');
+const { buildContext, createThemeLookup } = require('./core/variableResolver');
 
 // Import route-based analysis
 const { analyzeByRoute, formatRouteResults } = require('./core/routeAnalyzer');
@@ -41,6 +61,8 @@ const { analyzeBySitemap, formatSitemapResults, findSitemap } = require('./core/
 
 // Import component-based analysis
 const { analyzeByComponent, formatComponentResults } = require('./core/componentAnalyzer');
+const { WatchSession, watchProject, formatWatchUpdate } = require('./core/watcher');
+const { getChangedFiles, findChangedComponents, formatChangedComponents } = require('./core/changedFiles');
 
 // Import output formatters
 const formatters = require('./formatters');
@@ -104,7 +126,7 @@ function generateTiersFromRegistry() {
     } else if (name.startsWith('cdk') || name.includes('Cdk')) {
       category = 'cdk';
     } else if (name.includes('click') || name.includes('router') || name.includes('ngFor') ||
-               name.includes('innerHtml') || name.includes('asyncPipe')) {
+               name.includes('innerHtml') || name.includes('asyncPipe') || name.includes('hostListener')) {
       category = 'angular';
     }
 
@@ -128,9 +150,9 @@ function generateTiersFromRegistry() {
  * TIERS Configuration
  *
  * - basic: Quick wins, best value/effort across all categories (~20 checks)
- * - material: ONLY mat-* component checks (29 checks)
- * - angular: ONLY Angular + CDK checks (10 checks)
- * - full: Everything (82 checks) - Complete audit
+ * - material: ONLY mat-* component checks (30 checks)
+ * - angular: ONLY Angular + CDK checks (13 checks)
+ * - full: Everything (90 checks) - Complete audit
  */
 const STATIC_TIERS = {
   // Quick wins - highest value/effort ratio across all categories
@@ -164,7 +186,8 @@ const STATIC_TIERS = {
       // Data Table
       'matTableHeaders', 'matPaginatorLabel', 'matSortHeaderAnnounce',
       // Popups & Modals
-      'matDialogFocus', 'matBottomSheetA11y', 'matTooltipKeyboard', 'matSnackbarPoliteness'
+      'matDialogFocus', 'matDialogOpenConfig', 'matBottomSheetA11y', 'matTooltipKeyboard',
+      'matSnackbarPoliteness'
     ],
     cdk: []
   },
@@ -175,10 +198,14 @@ const STATIC_TIERS = {
     scss: [],
     angular: [
       'clickWithoutKeyboard', 'clickWithoutRole', 'routerLinkNames',
-      'ngForTrackBy', 'innerHtmlUsage', 'asyncPipeAria', 'autofocusUsage'
+      'ngForTrackBy', 'innerHtmlUsage', 'asyncPipeAria', 'autofocusUsage',
+      'hostListenerKeyboard'
     ],
     material: [],
-    cdk: ['cdkTrapFocusDialog', 'cdkAriaDescriber', 'cdkLiveAnnouncer']
+    cdk: [
+      'cdkTrapFocusDialog', 'cdkAriaDescriber', 'cdkLiveAnnouncer', 'cdkLiveAnnouncerUsage',
+      'cdkDragAlternative'
+    ]
   },
 
   full: {
@@ -190,18 +217,19 @@ const STATIC_TIERS = {
       'htmlHasLang', 'metaViewport', 'skipLink', 'inputImageAlt',
       'autoplayMedia', 'marqueeElement', 'blinkElement',
       'metaRefresh', 'duplicateIdAria', 'emptyTableHeader',
-      'scopeAttrMisuse', 'formFieldName'
+      'scopeAttrMisuse', 'formFieldName', 'accessibleAuthentication', 'redundantEntry'
     ],
     scss: [
-      'colorContrast', 'focusStyles', 'touchTargets',
+      'colorContrast', 'nonTextContrast', 'focusStyles', 'touchTargets',
       'outlineNoneWithoutAlt', 'prefersReducedMotion', 'userSelectNone',
       'pointerEventsNone', 'visibilityHiddenUsage',
       'focusWithinSupport', 'hoverWithoutFocus', 'contentOverflow',
-      'smallFontSize', 'lineHeightTight', 'textJustify'
+      'smallFontSize', 'lineHeightTight', 'textJustify', 'focusNotObscured'
     ],
     angular: [
       'clickWithoutKeyboard', 'clickWithoutRole', 'routerLinkNames',
-      'ngForTrackBy', 'innerHtmlUsage', 'asyncPipeAria', 'autofocusUsage'
+      'ngForTrackBy', 'innerHtmlUsage', 'asyncPipeAria', 'autofocusUsage',
+      'hostListenerKeyboard'
     ],
     material: [
       'matFormFieldLabel', 'matSelectPlaceholder', 'matAutocompleteLabel',
@@ -212,9 +240,13 @@ const STATIC_TIERS = {
       'matMenuTrigger', 'matSidenavA11y', 'matTabLabel', 'matStepLabel',
       'matExpansionHeader', 'matTreeA11y', 'matListSelectionLabel',
       'matTableHeaders', 'matPaginatorLabel', 'matSortHeaderAnnounce',
-      'matDialogFocus', 'matBottomSheetA11y', 'matTooltipKeyboard', 'matSnackbarPoliteness'
+      'matDialogFocus', 'matDialogOpenConfig', 'matBottomSheetA11y', 'matTooltipKeyboard',
+      'matSnackbarPoliteness'
     ],
-    cdk: ['cdkTrapFocusDialog', 'cdkAriaDescriber', 'cdkLiveAnnouncer']
+    cdk: [
+      'cdkTrapFocusDialog', 'cdkAriaDescriber', 'cdkLiveAnnouncer', 'cdkLiveAnnouncerUsage',
+      'cdkDragAlternative'
+    ]
   },
 
 };
@@ -244,7 +276,8 @@ const DEFAULT_CONFIG = {
   ignore: ['node_modules', '.git', 'dist', 'build', '.angular', 'coverage'],
   extensions: {
     html: ['.html', '.htm'],
-    scss: ['.scss', '.css']
+    scss: ['.scss', '.css'],
+    ts: ['.ts']
   },
   verbose: false,
   outputFormat: 'console',
@@ -261,10 +294,10 @@ const DEFAULT_CONFIG = {
 /**
  * Get check function by name from modular registry
  * @param {string} name - Check name (e.g., 'buttonNames')
+ * @param {Map<string, object>} [registry] - Registry to look in (default: built-in checks)
  * @returns {Function|null} Check function or null if not found
  */
-function getCheckFunction(name) {
-  const registry = getRegistry();
+function getCheckFunction(name, registry = getRegistry()) {
   const checkModule = registry.get(name);
   if (checkModule && typeof checkModule.check === 'function') {
     return checkModule.check;
@@ -287,7 +320,8 @@ function getCheckInfo(name) {
       tier: checkModule.tier,
       type: checkModule.type,
       weight: checkModule.weight || 1,
-      wcag: checkModule.wcag || null
+      wcag: checkModule.wcag || null,
+      pageLevel: checkModule.pageLevel === true
     };
   }
   return null;
@@ -297,16 +331,28 @@ function getCheckInfo(name) {
 // RESULT STRUCTURE
 // ============================================
 
+/**
+ * Get a check's type ('html', 'scss' or 'ts')
+ * @private
+ */
+function getCheckType(name, registry = getRegistry()) {
+  const checkModule = registry.get(name);
+  return checkModule ? checkModule.type : null;
+}
+
 /**
  * Result structure
  */
 class CheckResult {
-  constructor(name, passed, issues = [], elementsFound = 0) {
+  constructor(name, passed, issues = [], elementsFound = 0, locations = []) {
     this.name = name;
     this.passed = passed;
+    // Structured issues ({ code, severity, wcag, message, fixes, element, location, data })
     this.issues = issues;
     this.count = issues.length;
     this.elementsFound = elementsFound;
+    // Location of each issue ({ line, column, endLine, endColumn } or null), same order as issues
+    this.locations = locations;
   }
 }
 
@@ -317,16 +363,17 @@ class CheckResult {
 /**
  * Run a single check safely
  */
-function runCheck(name, content, filePath) {
-  const checkFn = getCheckFunction(name);
+function runCheck(name, content, filePath, registry = getRegistry()) {
+  const checkFn = getCheckFunction(name, registry);
   if (!checkFn) {
     return new CheckResult(name, true, [], 0); // Skip unknown checks
   }
 
   try {
-    const result = checkFn(content);
+    const result = checkFn(content, getCheckContext(registry.get(name), content));
     const elementsFound = result.elementsFound || 0;
-    return new CheckResult(name, result.pass, result.issues || [], elementsFound);
+    const located = splitLocations(withLocations(result.issues, result.locations));
+    return new CheckResult(name, result.pass, located.issues, elementsFound, located.locations);
   } catch (error) {
     return new CheckResult(name, true, [], 0); // Skip on error
   }
@@ -391,8 +438,8 @@ function findFiles(dir, extensions, ignore) {
  * @returns {Array<{path: string, content: string}>} Files with content
  */
 function findFilesWithContent(targetPath, config) {
-  const allExtensions = [...config.extensions.html, ...config.extensions.scss];
-  const files = findFiles(targetPath, allExtensions, config.ignore);
+  const files = findFiles(targetPath, getAnalyzedExtensions(config), config.ignore)
+    .filter(filePath => path.extname(filePath).toLowerCase() !== '.ts' || isSourceFile(filePath));
 
   return files.map(filePath => {
     try {
@@ -403,45 +450,89 @@ function findFilesWithContent(targetPath, config) {
     } catch (e) {
       return null;
     }
-  }).filter(Boolean);
+  }).filter(file => file && (!isSourceFile(file.path) || isAngularSource(file.content)));
+}
+
+/**
+ * Extensions of the files analyzed in file-based mode
+ * @private
+ */
+function getAnalyzedExtensions(config) {
+  return [...config.extensions.html, ...config.extensions.scss, ...(config.extensions.ts || [])];
 }
 
 // ============================================
 // ANALYSIS FUNCTIONS
 // ============================================
 
+/**
+ * Add plugin checks of a tier to a file-based tier config
+ *
+ * HTML and SCSS checks go to their lists, TypeScript checks to the Angular
+ * list (which runs on templates or TypeScript by type).
+ * @private
+ */
+function withPluginChecks(tierConfig, registry, tier) {
+  const allowedTiers = TIER_HIERARCHY[tier];
+  const plugins = [...registry.values()].filter(module => getPluginInfo(module) && allowedTiers && allowedTiers.includes(module.tier));
+  if (plugins.length === 0) return tierConfig;
+
+  const byType = (type) => plugins.filter(module => module.type === type).map(module => module.name);
+  return {
+    ...tierConfig,
+    html: [...(tierConfig.html || []), ...byType('html')],
+    scss: [...(tierConfig.scss || []), ...byType('scss')],
+    angular: [...(tierConfig.angular || []), ...byType('ts')]
+  };
+}
+
 /**
  * Analyze a single file
  * @param {string} filePath - Path to file
  * @param {string} tier - Tier name
  * @param {string|null} singleCheck - If set, only run this specific check
+ * @param {object} [options] - Check selection (enable/disable lists from project config, wcagLevel)
+ * @param {object} [options.suppressions] - Collects issues silenced by inline mat-a11y-disable comments
+ * @param {Map<string, object>} [options.registry] - Check registry with plugin checks (see loadProjectChecks)
+ * @param {Map<string, object>} [options.componentMap] - Wrapper components to check as the elements they render (see loadComponentMap)
  */
-function analyzeFile(filePath, tier = 'material', singleCheck = null) {
+function analyzeFile(filePath, tier = 'material', singleCheck = null, options = {}) {
   const tiers = getTiers();
-  const tierConfig = tiers[tier] || tiers.material;
+  const registry = options.registry || getRegistry();
+  const tierConfig = withPluginChecks(tiers[tier] || tiers.material, registry, tier);
   const ext = path.extname(filePath).toLowerCase();
   const content = fs.readFileSync(filePath, 'utf-8');
   const results = [];
 
   // Helper to check if we should run this check
-  const shouldRun = (checkName) => !singleCheck || checkName === singleCheck;
+  const shouldRun = (checkName) => (!singleCheck || checkName === singleCheck) && isCheckEnabled(checkName, options, registry.get(checkName));
+
+  // Angular, Material and CDK checks run on templates or TypeScript, by type
+  const categoryChecks = [
+    ...(tierConfig.angular || []),
+    ...(tierConfig.material || []),
+    ...(tierConfig.cdk || [])
+  ];
+  const isTs = isSourceFile(filePath);
 
   if (['.html', '.htm'].includes(ext)) {
+    // Wrapper components are checked as the elements they are mapped to
+    const mapped = applyComponentMap(content, options.componentMap);
+    const templateContent = mapped ? mapped.content : content;
+
     // Run HTML checks
     for (const checkName of (tierConfig.html || [])) {
-      if (shouldRun(checkName)) results.push(runCheck(checkName, content, filePath));
+      if (shouldRun(checkName)) results.push(runCheck(checkName, templateContent, filePath, registry));
     }
-    // Run Angular checks
-    for (const checkName of (tierConfig.angular || [])) {
-      if (shouldRun(checkName)) results.push(runCheck(checkName, content, filePath));
+    // Run Angular, Material and CDK template checks
+    for (const checkName of categoryChecks) {
+      if (shouldRun(checkName) && getCheckType(checkName, registry) !== 'ts') results.push(runCheck(checkName, templateContent, filePath, registry));
     }
-    // Run Material checks
-    for (const checkName of (tierConfig.material || [])) {
-      if (shouldRun(checkName)) results.push(runCheck(checkName, content, filePath));
-    }
-    // Run CDK checks
-    for (const checkName of (tierConfig.cdk || [])) {
-      if (shouldRun(checkName)) results.push(runCheck(checkName, content, filePath));
+    if (mapped) {
+      for (const result of results) {
+        result.issues = restoreIssues(mapped, result.issues);
+        result.locations = splitLocations(result.issues).locations;
+      }
     }
 
     // Run SCSS checks on embedded <style> content
@@ -451,19 +542,21 @@ function analyzeFile(filePath, tier = 'material', singleCheck = null) {
         for (const checkName of (tierConfig.scss || [])) {
           if (!shouldRun(checkName)) continue;
 
-          const checkFn = getCheckFunction(checkName);
+          const checkFn = getCheckFunction(checkName, registry);
           if (!checkFn) continue;
 
           try {
             const result = checkFn(block.css);
-            // Adjust line numbers to match original HTML file
-            const adjustedIssues = adjustIssueLineNumbers(result.issues || [], block.startLine);
+            // Adjust line numbers and locations to match original HTML file
+            const adjusted = splitLocations(withLocations(result.issues, result.locations)
+              .map(issue => offsetIssue(issue, { line: block.startLine, column: block.startColumn })));
 
             // Find existing result for this check or create new one
             const existingIndex = results.findIndex(r => r.name === checkName);
             if (existingIndex >= 0) {
               // Merge with existing result
-              results[existingIndex].issues = [...results[existingIndex].issues, ...adjustedIssues];
+              results[existingIndex].issues = [...results[existingIndex].issues, ...adjusted.issues];
+              results[existingIndex].locations = [...results[existingIndex].locations, ...adjusted.locations];
               results[existingIndex].count = results[existingIndex].issues.length;
               results[existingIndex].elementsFound += result.elementsFound || 0;
               if (!result.pass) results[existingIndex].passed = false;
@@ -471,8 +564,9 @@ function analyzeFile(filePath, tier = 'material', singleCheck = null) {
               results.push(new CheckResult(
                 checkName,
                 result.pass,
-                adjustedIssues,
-                result.elementsFound || 0
+                adjusted.issues,
+                result.elementsFound || 0,
+                adjusted.locations
               ));
             }
           } catch (error) {
@@ -484,10 +578,35 @@ function analyzeFile(filePath, tier = 'material', singleCheck = null) {
   } else if (['.scss', '.css'].includes(ext)) {
     // Run SCSS checks
     for (const checkName of (tierConfig.scss || [])) {
-      if (shouldRun(checkName)) results.push(runCheck(checkName, content, filePath));
+      if (shouldRun(checkName)) results.push(runCheck(checkName, content, filePath, registry));
+    }
+  } else if (isTs && isAngularSource(content)) {
+    // Run TypeScript checks on components, directives and services
+    for (const checkName of categoryChecks) {
+      if (shouldRun(checkName) && getCheckType(checkName, registry) === 'ts') results.push(runCheck(checkName, content, filePath, registry));
     }
   }
 
+  // Drop issues silenced by inline mat-a11y-disable comments
+  const issuesByCheck = {};
+  for (const result of results) issuesByCheck[result.name] = result.issues;
+  const applied = applySuppressions(content, ext === '.scss' || ext === '.css' ? 'scss' : (isTs ? 'ts' : 'html'), issuesByCheck, {
+    knownChecks: registry.keys()
+  });
+  if (applied.suppressed.length > 0) {
+    for (const result of results) {
+      const remaining = splitLocations(applied.issues[result.name]);
+      if (remaining.issues.length === result.issues.length) continue;
+      result.issues = remaining.issues;
+      result.locations = remaining.locations;
+      result.count = remaining.issues.length;
+      if (remaining.issues.length === 0) result.passed = true;
+    }
+  }
+  if (options.suppressions) {
+    addSuppressions(options.suppressions, applied, filePath);
+  }
+
   return results;
 }
 
@@ -501,10 +620,11 @@ function analyzeSync(targetPath, options = {}) {
   const tier = config.tier || 'material';
   const ignore = config.ignore || DEFAULT_CONFIG.ignore;
   const singleCheck = config.check || null;
+  const registry = loadProjectChecks(config);
+  const componentMap = loadComponentMap(config, targetPath);
 
   // Find all files
-  const allExtensions = [...config.extensions.html, ...config.extensions.scss];
-  const files = findFiles(targetPath, allExtensions, ignore);
+  const files = findFiles(targetPath, getAnalyzedExtensions(config), ignore);
 
   // Analyze all files
   const allResults = {
@@ -525,24 +645,19 @@ function analyzeSync(targetPath, options = {}) {
       audits: [],
       // Issues
       issues: []
-    }
+    },
+    // Issues silenced by inline mat-a11y-disable comments
+    suppressions: createSuppressionSummary()
   };
 
   // Aggregate check results across all files for audit scoring
   const checkAggregates = {};
 
-  // Helper to count errors from issues (issues start with [Error], [Warning], or [Info])
-  const countErrors = (issues) => {
-    let errors = 0;
-    for (const issue of issues) {
-      const msg = typeof issue === 'string' ? issue : issue.message || '';
-      if (msg.startsWith('[Error]')) errors++;
-    }
-    return errors;
-  };
+  // Helper to count errors from issues (severity 'error', not warnings/info)
+  const countErrors = (issues) => issues.filter(issue => getSeverity(issue) === 'error').length;
 
   for (const filePath of files) {
-    const results = analyzeFile(filePath, tier, singleCheck);
+    const results = analyzeFile(filePath, tier, singleCheck, { ...config, registry, componentMap, suppressions: allResults.suppressions });
 
     // Skip files with no results (e.g., HTML file when checking SCSS-only check)
     if (results.length === 0) continue;
@@ -551,6 +666,9 @@ function analyzeSync(targetPath, options = {}) {
     allResults.summary.totalFiles++;
 
     for (const result of results) {
+      // Apply per-check severity overrides (project config)
+      result.issues = result.issues.map(issue => applySeverityOverride(issue, result.name, config.severity));
+
       // Aggregate for audit scoring
       if (!checkAggregates[result.name]) {
         checkAggregates[result.name] = { elementsFound: 0, issues: 0, errors: 0, warnings: 0 };
@@ -574,25 +692,25 @@ function analyzeSync(targetPath, options = {}) {
 
       // Always collect issues for reporting
       if (result.issues.length > 0) {
-        allResults.summary.issues.push(...result.issues.map(issue => {
-          const issueObj = typeof issue === 'string' ? { message: issue } : issue;
-          return {
-            ...issueObj,
-            file: filePath,
-            check: result.name
-          };
-        }));
+        allResults.summary.issues.push(...result.issues.map(issue => ({
+          ...issue,
+          file: filePath,
+          check: result.name
+        })));
       }
     }
   }
 
   // Calculate Lighthouse-style audit score
-  const auditResult = calculateAuditScore(checkAggregates);
+  const auditResult = calculateAuditScore(checkAggregates, config.weights);
   allResults.summary.auditScore = auditResult.score;
   allResults.summary.auditsTotal = auditResult.passed + auditResult.failed;
   allResults.summary.auditsPassed = auditResult.passed;
   allResults.summary.auditsFailed = auditResult.failed;
   allResults.summary.audits = auditResult.audits;
+  allResults.coverage = addCoverage({}, checkAggregates, registry, allResults.summary.issues);
+  allResults.wcagLevel = config.wcagLevel || null;
+  allResults.weightOverrides = config.weights || null;
 
   return allResults;
 }
@@ -606,10 +724,12 @@ function analyzeSync(targetPath, options = {}) {
  * @param {string} options.check - Single check name to run (optional)
  * @param {boolean} options.verified - Run self-test first (optional)
  * @param {number|'auto'|'sync'} options.workers - Parallel execution ('sync' default, 'auto', or number)
+ * @param {string} options.configFile - Explicit project config file (default: discovered from targetPath)
+ * @param {boolean} options.config - Set to false to ignore project config files
  * @returns {object|Promise<object>} Analysis results
  */
 function analyze(targetPath, options = {}) {
-  const config = { ...DEFAULT_CONFIG, ...options };
+  const config = { ...DEFAULT_CONFIG, ...resolveOptions(targetPath, options, DEFAULT_CONFIG.ignore) };
 
   // Determine if we need async mode
   // 'sync' = use sync mode, 'auto' or number = use async mode
@@ -641,10 +761,16 @@ async function analyzeAsync(targetPath, config) {
 
   // If workers specified, use parallel runner
   if (config.workers) {
-    const runner = await createRunner({ workers: config.workers });
+    const runner = await createRunner({ workers: config.workers, plugins: config.plugins, i18n: config.i18n, configFile: config.configFile });
     try {
       const files = findFilesWithContent(targetPath, config);
-      const runnerResults = await runner.runChecks(files, config.tier, { check: config.check });
+      const runnerResults = await runner.runChecks(files, config.tier, {
+        check: config.check,
+        enable: config.enable,
+        disable: config.disable,
+        wcagLevel: config.wcagLevel,
+        componentMap: loadComponentMap(config, targetPath)
+      });
 
       // Convert runner results to legacy format for backwards compatibility
       return convertRunnerResults(runnerResults, config);
@@ -678,8 +804,9 @@ function convertRunnerResults(runnerResults, config) {
       auditsPassed: 0,
       auditsFailed: 0,
       audits: [],
-      issues: runnerResults.summary.issues
+      issues: runnerResults.summary.issues.map(issue => applySeverityOverride(issue, issue.check, config.severity))
     },
+    suppressions: runnerResults.suppressions || createSuppressionSummary(),
     timing: runnerResults.timing
   };
 
@@ -687,26 +814,20 @@ function convertRunnerResults(runnerResults, config) {
   const checkAggregates = {};
 
   // Helper to count errors from issues
-  const countErrors = (issues) => {
-    let errors = 0;
-    for (const issue of issues) {
-      const msg = typeof issue === 'string' ? issue : issue.message || '';
-      if (msg.startsWith('[Error]')) errors++;
-    }
-    return errors;
-  };
+  const countErrors = (issues) => issues.filter(issue => getSeverity(issue) === 'error').length;
 
   // Convert Map to object and calculate element-level metrics
   for (const [filePath, fileResult] of runnerResults.files) {
     const checkResults = [];
     for (const [checkName, checkResult] of fileResult.checks) {
       const elementsFound = checkResult.elementsFound || 0;
-      const issues = checkResult.issues || [];
+      const issues = (checkResult.issues || []).map(issue => applySeverityOverride(issue, checkName, config.severity));
       checkResults.push(new CheckResult(
         checkName,
         checkResult.pass,
         issues,
-        elementsFound
+        elementsFound,
+        checkResult.locations || []
       ));
 
       // Aggregate for audit scoring
@@ -731,12 +852,15 @@ function convertRunnerResults(runnerResults, config) {
   }
 
   // Calculate Lighthouse-style audit score
-  const auditResult = calculateAuditScore(checkAggregates);
+  const auditResult = calculateAuditScore(checkAggregates, config.weights);
   allResults.summary.auditScore = auditResult.score;
   allResults.summary.auditsTotal = auditResult.passed + auditResult.failed;
   allResults.summary.auditsPassed = auditResult.passed;
   allResults.summary.auditsFailed = auditResult.failed;
   allResults.summary.audits = auditResult.audits;
+  allResults.coverage = addCoverage({}, checkAggregates, loadProjectChecks(config), allResults.summary.issues);
+  allResults.wcagLevel = config.wcagLevel || null;
+  allResults.weightOverrides = config.weights || null;
 
   return allResults;
 }
@@ -748,6 +872,7 @@ function convertRunnerResults(runnerResults, config) {
 /**
  * Verify all checks for a tier (self-test)
  * @param {'basic'|'material'|'full'} tier - Tier to verify
+ * @param {object} [options] - Include plugin checks ({ plugins, configFile }), verified against the plugins' verify files
  * @returns {Promise<object>} Verification results
  *
  * @example
@@ -755,8 +880,8 @@ function convertRunnerResults(runnerResults, config) {
  * const results = await verifyChecks('full');
  * console.log(`Verified: ${results.verified}/${results.total}`);
  */
-async function verifyChecks(tier = 'full') {
-  const verifyResults = verifyByTier(tier);
+async function verifyChecks(tier = 'full', options = {}) {
+  const verifyResults = verifyByTier(tier, options);
   const summary = getVerifySummary(verifyResults);
 
   return {
@@ -814,7 +939,7 @@ function angular(targetPath) {
 }
 
 /**
- * Full audit with all 82 checks (most thorough)
+ * Full audit with all 90 checks (most thorough)
  * @param {string} targetPath - Directory or file to analyze
  * @returns {object} Analysis results
  *
@@ -843,7 +968,7 @@ function checkHTML(html, tier = 'material') {
     ...(tierConfig.material || []),
     ...(tierConfig.cdk || [])
   ]) {
-    results.push(runCheck(checkName, html, 'inline'));
+    if (getCheckType(checkName) !== 'ts') results.push(runCheck(checkName, html, 'inline'));
   }
 
   return results;
@@ -867,6 +992,28 @@ function checkSCSS(scss, tier = 'material') {
   return results;
 }
 
+/**
+ * Check specific TypeScript content (component, directive or service source)
+ * @param {string} source - TypeScript source to analyze
+ * @param {string} tier - 'basic', 'material', or 'full'
+ * @returns {CheckResult[]} Array of check results
+ */
+function checkTS(source, tier = 'material') {
+  const tiers = getTiers();
+  const tierConfig = tiers[tier] || tiers.material;
+  const results = [];
+
+  for (const checkName of [
+    ...(tierConfig.angular || []),
+    ...(tierConfig.material || []),
+    ...(tierConfig.cdk || [])
+  ]) {
+    if (getCheckType(checkName) === 'ts') results.push(runCheck(checkName, source, 'inline'));
+  }
+
+  return results;
+}
+
 // ============================================
 // OUTPUT FORMATTING
 // ============================================
@@ -932,7 +1079,7 @@ function formatConsoleOutput(results) {
       lines.push('');
       lines.push(file + ':');
       for (const issue of issues) {
-        lines.push('  [' + issue.check + '] ' + issue.message);
+        lines.push('  [' + issue.check + '] ' + renderIssue(issue));
       }
     }
   } else {
@@ -952,9 +1099,10 @@ function formatConsoleOutput(results) {
 // Import page resolver for deep component resolution (preprocessing)
 const { PageResolver, createPageResolver } = require('./core/pageResolver');
 const { buildComponentRegistry, getRegistryStats } = require('./core/componentRegistry');
+const { composePage, mapPageIssues } = require('./core/pageComposer');
 
 // Import embedded CSS extractor for HTML with <style> tags
-const { extractStyleTags, adjustIssueLineNumbers, hasEmbeddedCss } = require('./core/embeddedCssExtractor');
+const { extractStyleTags, hasEmbeddedCss } = require('./core/embeddedCssExtractor');
 
 module.exports = {
   // Simple one-liner API
@@ -967,6 +1115,7 @@ module.exports = {
   analyze,
   checkHTML,
   checkSCSS,
+  checkTS,
 
   // Route-based analysis (Lighthouse-style per-page)
   analyzeByRoute,
@@ -981,11 +1130,23 @@ module.exports = {
   analyzeByComponent,
   formatComponentResults,
 
+  // Watch mode (incremental component analysis)
+  WatchSession,
+  watchProject,
+  formatWatchUpdate,
+
+  // Changed files (--changed-since / --staged)
+  getChangedFiles,
+  findChangedComponents,
+  formatChangedComponents,
+
   // Page resolver (preprocessing for deep component resolution)
   PageResolver,
   createPageResolver,
   buildComponentRegistry,
   getRegistryStats,
+  composePage,
+  mapPageIssues,
 
   // New modular API
   verifyChecks,
@@ -993,6 +1154,39 @@ module.exports = {
   CheckRunner,
   createRunner,
 
+  // Plugins
+  loadPlugins,
+  loadProjectChecks,
+  getPluginInfo,
+  registerErrors,
+
+  // Wrapper components
+  loadComponentMap,
+  applyComponentMap,
+  restoreIssues,
+
+  // Translations (config "i18n")
+  loadI18n,
+  loadProjectI18n,
+  parseMessageFile,
+  findTranslationKeys,
+
+  // Workspaces (--project, --per-project)
+  loadWorkspace,
+  findProject,
+  resolveLibraries,
+  formatProjectResults,
+
+  // Material themes (colorContrast)
+  findThemes,
+  getThemeCombinations,
+  createThemeLookup,
+  buildContext,
+
+  // Cross-file color cascade (colorContrast in component analysis)
+  createInheritanceModel,
+  getInheritedBackgrounds,
+
   // Utilities
   formatConsoleOutput,
   findFiles,
@@ -1001,6 +1195,49 @@ module.exports = {
   TIERS,
   DEFAULT_CONFIG,
   WEIGHTS,
+  loadConfig,
+  findConfigFile,
+
+  // Baseline
+  createBaseline,
+  readBaseline,
+  writeBaseline,
+  applyBaseline,
+  getIssueFingerprint,
+
+  // Scan history
+  createSnapshot,
+  readHistory,
+  appendSnapshot,
+  compareSnapshots,
+  recordSnapshot,
+  formatTrend,
+
+  // Report diff
+  readReport,
+  diffReports,
+  formatDiff,
+
+  // Quality gate
+  evaluateGate,
+  formatGateResult,
+  validateGate,
+
+  // WCAG conformance
+  getConformance,
+  isWithinLevel,
+
+  // Issues
+  renderIssue,
+
+  // Templates
+  parseTemplate,
+
+  // Autofix
+  fixFiles,
+  fixContent,
+  applyEdits,
+  createUnifiedDiff,
 
   // Output formatters
   formatters,